@@ -5,6 +5,7 @@ import NoSSR from "@/components/no-ssr";
 import { getUserDesigns, getUserDesignByID } from "@/services/design-service";
 import { getUserSubscription } from "@/services/subscription-service";
 import { useEditorStore } from "@/store";
+import { canEditDesign } from "@/lib/design-roles";
 import { useParams, useRouter } from "next/navigation";
 import { useEffect, useState } from "react";
 import { toast } from "sonner";
@@ -38,6 +39,7 @@ export default function EditorPage() {
       const designResponse = await getUserDesignByID(designId);
 
       if (!designResponse?.success) {
+        // Also the case for designs that haven't been shared with the user
         toast.error("Design not found");
         router.push("/");
         return false;
@@ -45,6 +47,13 @@ export default function EditorPage() {
 
       const design = designResponse.data;
 
+      // Shared designs open read-only unless the user was made an editor
+      if (design?.role && !canEditDesign(design.role)) {
+        toast.info("View-only access", {
+          description: "The owner hasn't given you edit access to this design.",
+        });
+      }
+
       // Check if design was created from a premium template
       if (design?.canvasData) {
         try {
@@ -19,7 +19,8 @@ import { useSessionManager } from "@/components/ui/session-status";
 import { getUserDesigns } from "@/services/design-service";
 import { getUserSubscription } from "@/services/subscription-service";
 import { useEditorStore } from "@/store";
-import { useEffect, useState } from "react";
+import { useWorkspaceStore } from "@/store/workspace-store";
+import { useEffect, useRef, useState } from "react";
 import { toast } from "sonner";
 
 export default function Home() {
@@ -40,6 +41,11 @@ export default function Home() {
     userDesignsLoading,
   } = useEditorStore();
 
+  const activeWorkspaceId = useWorkspaceStore(
+    (state) => state.activeWorkspaceId
+  );
+  const workspaceRef = useRef(activeWorkspaceId);
+
   const { handleError } = useErrorHandler();
   const { extendSession } = useSessionManager();
   const [initialLoading, setInitialLoading] = useState(true);
@@ -168,6 +174,13 @@ export default function Home() {
     initializeData();
   }, [status]); // Only re-run when session status changes, not the session object itself
 
+  // Designs belong to a workspace, so switching reloads them
+  useEffect(() => {
+    if (workspaceRef.current === activeWorkspaceId) return;
+    workspaceRef.current = activeWorkspaceId;
+    fetchUserDesigns().catch(() => {});
+  }, [activeWorkspaceId]);
+
   // Show loading page during initial load
   if (status === "loading") {
     return <LoadingPage message="Checking authentication..." />;
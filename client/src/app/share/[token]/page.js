@@ -0,0 +1,157 @@
+"use client";
+
+import { registerImageFilters } from "@/fabric/image-filters";
+import { getSharedDesign } from "@/services/design-service";
+import { Eye, Palette } from "lucide-react";
+import Link from "next/link";
+import { useParams } from "next/navigation";
+import { useEffect, useRef, useState } from "react";
+
+const MAX_PAGE_WIDTH = 960;
+
+// Renders one page of the design read-only, scaled to fit the viewer
+function SharedPage({ page, width, height }) {
+  const canvasElementRef = useRef(null);
+  const [hasError, setHasError] = useState(false);
+
+  useEffect(() => {
+    let isMounted = true;
+    let staticCanvas = null;
+
+    const renderPage = async () => {
+      try {
+        const fabric = await import("fabric");
+        await registerImageFilters();
+        if (!isMounted || !canvasElementRef.current) return;
+
+        const scale = Math.min(1, MAX_PAGE_WIDTH / width);
+        staticCanvas = new fabric.StaticCanvas(canvasElementRef.current, {
+          width: Math.round(width * scale),
+          height: Math.round(height * scale),
+          backgroundColor: page.background || "#ffffff",
+        });
+
+        const canvasData =
+          typeof page.canvasData === "string"
+            ? JSON.parse(page.canvasData)
+            : page.canvasData;
+
+        if (canvasData) {
+          await staticCanvas.loadFromJSON(canvasData);
+          if (!isMounted) return;
+        }
+
+        staticCanvas.setZoom(scale);
+        staticCanvas.requestRenderAll();
+      } catch (error) {
+        console.error("Error rendering shared page:", error);
+        if (isMounted) setHasError(true);
+      }
+    };
+
+    renderPage();
+
+    return () => {
+      isMounted = false;
+      staticCanvas?.dispose();
+    };
+  }, [page._id, width, height]);
+
+  if (hasError) {
+    return (
+      <div className="w-full py-16 text-center text-sm text-gray-400 bg-white rounded-lg">
+        This page couldn't be displayed
+      </div>
+    );
+  }
+
+  return (
+    <div className="shadow-md bg-white">
+      <canvas ref={canvasElementRef} />
+    </div>
+  );
+}
+
+export default function SharedDesignPage() {
+  const params = useParams();
+  const token = params?.token;
+  const [design, setDesign] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    if (!token) return;
+
+    const fetchDesign = async () => {
+      try {
+        const response = await getSharedDesign(token);
+        if (response?.success) setDesign(response.data);
+      } catch (error) {
+        console.error("Error loading shared design:", error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchDesign();
+  }, [token]);
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="w-8 h-8 border-2 border-purple-600 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  if (!design) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-center">
+          <h2 className="text-xl font-semibold text-gray-800 mb-2">
+            Link unavailable
+          </h2>
+          <p className="text-gray-600">
+            This share link doesn't exist or has expired.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-[#f0f0f0]">
+      <header className="h-16 border-b border-slate-200/80 bg-white flex items-center px-6 shadow-sm">
+        <Link href={"/"} className="flex items-center space-x-3 flex-1">
+          <div className="w-8 h-8 bg-gradient-to-r from-blue-500 to-indigo-500 rounded-xl flex items-center justify-center">
+            <Palette className="w-4 h-4 text-white" />
+          </div>
+          <span className="text-xl font-black text-slate-800">Mocko</span>
+        </Link>
+        <h1 className="flex-1 text-center font-medium text-slate-800 truncate">
+          {design.name}
+        </h1>
+        <div className="flex-1 flex justify-end">
+          <span className="flex items-center text-sm text-slate-500">
+            <Eye className="mr-2 h-4 w-4" />
+            View only
+          </span>
+        </div>
+      </header>
+
+      <main className="flex flex-col items-center gap-8 py-10 px-4">
+        {design.pages.map((page) => (
+          <div key={page._id} className="flex flex-col items-center gap-2">
+            <SharedPage
+              page={page}
+              width={design.width || 800}
+              height={design.height || 600}
+            />
+            {design.pages.length > 1 && (
+              <span className="text-xs text-gray-500">{page.name}</span>
+            )}
+          </div>
+        ))}
+      </main>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 "use client";
 
-import { capturePaypalOrder } from "@/services/subscription-service";
+import { activateSubscription } from "@/services/subscription-service";
+import { activateTeamCheckout } from "@/services/team-service";
 import { Loader2 } from "lucide-react";
 import { useRouter, useSearchParams } from "next/navigation";
 import { useEffect, useState, Suspense } from "react";
@@ -11,11 +12,22 @@ function SubscriptionSuccessContent() {
   const [status, setStatus] = useState("processing");
 
   useEffect(() => {
-    const orderId = searchParams.get("token");
+    // Stripe returns with a session_id and PayPal with a subscription_id
+    const provider = searchParams.get("provider") || "paypal";
+    const checkoutId =
+      searchParams.get("session_id") || searchParams.get("subscription_id");
+    // Team checkouts say which team they paid for
+    const teamId = searchParams.get("team");
 
     const processPayment = async () => {
+      if (!checkoutId) {
+        setStatus("error");
+        return;
+      }
       try {
-        const response = await capturePaypalOrder(orderId);
+        const response = teamId
+          ? await activateTeamCheckout(teamId, { provider, checkoutId })
+          : await activateSubscription({ provider, checkoutId });
 
         if (response.success) {
           router.push("/");
@@ -0,0 +1,48 @@
+"use client";
+
+import { cn } from "@/lib/utils";
+import { useEditorStore } from "@/store";
+
+/**
+ * The brand kit's palettes as rows of swatches, shown first above the
+ * editor's color pickers. Renders nothing until the kit has colors.
+ */
+function BrandColors({ value, onSelect, className }) {
+  const brandKit = useEditorStore((state) => state.brandKit);
+  const palettes = (brandKit?.palettes || []).filter(
+    (palette) => palette.colors.length > 0
+  );
+
+  if (palettes.length === 0) return null;
+
+  const selected = typeof value === "string" ? value.toLowerCase() : null;
+
+  return (
+    <div className={cn("space-y-2", className)}>
+      {palettes.map((palette) => (
+        <div key={palette._id || palette.name} className="space-y-1">
+          <p className="text-[11px] font-medium text-slate-500">
+            {palette.name}
+          </p>
+          <div className="flex flex-wrap gap-1.5">
+            {palette.colors.map((color) => (
+              <button
+                key={color}
+                type="button"
+                title={color}
+                onClick={() => onSelect(color)}
+                className={cn(
+                  "h-6 w-6 rounded-md border border-slate-200 transition-transform hover:scale-110",
+                  color === selected && "ring-2 ring-blue-500 ring-offset-1"
+                )}
+                style={{ backgroundColor: color }}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default BrandColors;
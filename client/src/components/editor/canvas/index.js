@@ -1,8 +1,11 @@
 "use client";
 
 import { customizeBoundingBox, initializeFabric, initializeHistoryManagement } from "@/fabric/fabric-utils";
+import { enableFrameDrop } from "@/fabric/mask-utils";
 import { useEditorStore } from "@/store";
 import { useEffect, useRef } from "react";
+import { useSmartGuides } from "@/hooks/useSmartGuides";
+import CommentPins from "../comments/comment-pins";
 
 function Canvas() {
   const canvasRef = useRef(null);
@@ -12,6 +15,8 @@ function Canvas() {
 
   const { setCanvas, markAsModified } = useEditorStore();
 
+  useSmartGuides();
+
   useEffect(() => {
     const cleanUpCanvas = () => {
       if (fabricCanvasRef.current) {
@@ -96,10 +101,17 @@ function Canvas() {
         //initialize undo/redo functionality
         initializeHistoryManagement(fabricCanvas);
 
+        //let images be dragged into frames
+        enableFrameDrop(fabricCanvas);
+
         //set up event listeners
-        const handleCanvasChange = () => {
-          // Only mark as modified if we're not in the middle of undo/redo
-          if (!fabricCanvas.isPerformingHistory) {
+        const handleCanvasChange = (e) => {
+          // Only mark as modified if we're not in the middle of undo/redo,
+          // and not for editing helpers such as the crop frame
+          if (
+            !fabricCanvas.isPerformingHistory &&
+            !e?.target?.excludeFromExport
+          ) {
             markAsModified();
           }
         };
@@ -166,6 +178,7 @@ function Canvas() {
         </div>
       </div>
       <canvas ref={canvasRef} />
+      <CommentPins />
     </div>
   );
 }
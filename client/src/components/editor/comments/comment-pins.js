@@ -0,0 +1,202 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { ensureObjectId } from "@/fabric/collaboration-utils";
+import {
+  findObjectAtPoint,
+  getCommentAnchorPoint,
+  toScenePoint,
+  toViewportPoint,
+} from "@/fabric/comment-utils";
+import { canEditDesign } from "@/lib/design-roles";
+import { cn } from "@/lib/utils";
+import { createDesignComment } from "@/services/design-service";
+import { useEditorStore } from "@/store";
+import { useEffect, useState } from "react";
+import { createPortal } from "react-dom";
+import { toast } from "sonner";
+
+/**
+ * Comment pins drawn over the Fabric canvas. They live inside the canvas
+ * wrapper so they move and scale with it, and are repositioned after every
+ * render so pins anchored to an object follow it.
+ */
+function CommentPins() {
+  const {
+    canvas,
+    designId,
+    currentPageId,
+    comments,
+    setComments,
+    activeCommentId,
+    setActiveCommentId,
+    setShowComments,
+    isPlacingComment,
+    setIsPlacingComment,
+    designRole,
+    markAsModified,
+  } = useEditorStore();
+  const [, setRenderCount] = useState(0);
+  const [draft, setDraft] = useState(null);
+  const [isPosting, setIsPosting] = useState(false);
+
+  useEffect(() => {
+    if (!canvas) return;
+
+    let frame = null;
+    const handleAfterRender = () => {
+      if (frame) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        setRenderCount((count) => count + 1);
+      });
+    };
+
+    canvas.on("after:render", handleAfterRender);
+    return () => {
+      cancelAnimationFrame(frame);
+      canvas.off("after:render", handleAfterRender);
+    };
+  }, [canvas]);
+
+  useEffect(() => {
+    if (!isPlacingComment) setDraft(null);
+  }, [isPlacingComment]);
+
+  useEffect(() => {
+    setDraft(null);
+  }, [currentPageId]);
+
+  if (!canvas?.wrapperEl) return null;
+
+  const handlePlaceComment = (e) => {
+    const overlay = e.currentTarget;
+    const bounds = overlay.getBoundingClientRect();
+    // The wrapper may be scaled with CSS for zooming
+    const scale = overlay.offsetWidth / bounds.width;
+    const point = toScenePoint(canvas, {
+      x: (e.clientX - bounds.left) * scale,
+      y: (e.clientY - bounds.top) * scale,
+    });
+
+    const object = findObjectAtPoint(canvas, point);
+    let objectId = object?.id;
+    if (object && !objectId && canEditDesign(designRole)) {
+      // Give the object a stable id so the comment can follow it
+      objectId = ensureObjectId(object);
+      markAsModified();
+    }
+
+    setDraft({ x: point.x, y: point.y, objectId, body: "" });
+  };
+
+  const handlePostComment = async (e) => {
+    e.preventDefault();
+    if (!draft?.body.trim() || !currentPageId) return;
+
+    setIsPosting(true);
+    try {
+      const response = await createDesignComment(designId, {
+        pageId: currentPageId,
+        anchor: { objectId: draft.objectId, x: draft.x, y: draft.y },
+        body: draft.body.trim(),
+      });
+      if (response?.success) {
+        setComments([...useEditorStore.getState().comments, response.data]);
+        setActiveCommentId(response.data._id);
+        setShowComments(true);
+        setIsPlacingComment(false);
+      }
+    } catch (error) {
+      console.error("Failed to add comment:", error);
+      toast.error(error.response?.data?.message || "Failed to add comment");
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
+  const draftPosition = draft && toViewportPoint(canvas, draft);
+
+  return createPortal(
+    <>
+      {isPlacingComment && (
+        <div
+          className="absolute inset-0 z-20 cursor-crosshair"
+          onClick={handlePlaceComment}
+        />
+      )}
+
+      {comments.map((comment, index) => {
+        if (comment.resolved && comment._id !== activeCommentId) return null;
+
+        const position = toViewportPoint(
+          canvas,
+          getCommentAnchorPoint(canvas, comment)
+        );
+        return (
+          <button
+            key={comment._id}
+            onClick={(e) => {
+              e.stopPropagation();
+              setActiveCommentId(comment._id);
+              setShowComments(true);
+            }}
+            className={cn(
+              "absolute z-30 h-7 w-7 -translate-y-full rounded-full rounded-bl-none border-2 border-white text-xs font-bold text-white shadow-md transition-transform hover:scale-110",
+              comment.resolved ? "bg-slate-400" : "bg-blue-500",
+              comment._id === activeCommentId && "ring-2 ring-blue-300 scale-110"
+            )}
+            style={{ left: position.x, top: position.y }}
+            title={comment.body}
+          >
+            {index + 1}
+          </button>
+        );
+      })}
+
+      {draft && (
+        <div
+          className="absolute z-30"
+          style={{ left: draftPosition.x, top: draftPosition.y }}
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="h-7 w-7 -translate-y-full rounded-full rounded-bl-none border-2 border-white bg-blue-500 shadow-md" />
+          <form
+            onSubmit={handlePostComment}
+            className="mt-1 w-64 space-y-2 rounded-xl border border-slate-200 bg-white p-3 shadow-xl"
+          >
+            <Textarea
+              autoFocus
+              value={draft.body}
+              onChange={(e) => setDraft({ ...draft, body: e.target.value })}
+              placeholder="Add a comment… mention people with @email"
+              rows={3}
+              className="text-sm"
+            />
+            <div className="flex justify-end gap-2">
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() => setDraft(null)}
+              >
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                size="sm"
+                disabled={isPosting || !draft.body.trim()}
+              >
+                Comment
+              </Button>
+            </div>
+          </form>
+        </div>
+      )}
+    </>,
+    canvas.wrapperEl
+  );
+}
+
+export default CommentPins;
@@ -0,0 +1,231 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { splitMentions } from "@/fabric/comment-utils";
+import { cn } from "@/lib/utils";
+import {
+  deleteDesignComment,
+  deleteDesignCommentReply,
+  replyToDesignComment,
+  setDesignCommentResolved,
+} from "@/services/design-service";
+import { useEditorStore } from "@/store";
+import { CheckCircle2, RotateCcw, Trash2 } from "lucide-react";
+import { useState } from "react";
+import { toast } from "sonner";
+
+function CommentBody({ body, userEmail }) {
+  return (
+    <p className="text-sm text-slate-700 whitespace-pre-wrap break-words">
+      {splitMentions(body).map((part, index) =>
+        part.startsWith("@") && part.length > 1 ? (
+          <span
+            key={index}
+            className={cn(
+              "font-medium text-blue-600",
+              part.slice(1).toLowerCase() === userEmail && "bg-yellow-100"
+            )}
+          >
+            {part}
+          </span>
+        ) : (
+          part
+        )
+      )}
+    </p>
+  );
+}
+
+function CommentMeta({ name, email, createdAt, onDelete }) {
+  return (
+    <div className="flex items-center gap-2 mb-1">
+      <span className="text-xs font-semibold text-slate-800 truncate">
+        {name || email || "Someone"}
+      </span>
+      <span className="text-xs text-slate-400 shrink-0">
+        {new Date(createdAt).toLocaleString()}
+      </span>
+      {onDelete && (
+        <button
+          onClick={onDelete}
+          className="ml-auto text-slate-400 hover:text-red-500"
+          title="Delete"
+        >
+          <Trash2 className="h-3 w-3" />
+        </button>
+      )}
+    </div>
+  );
+}
+
+// A comment with its replies and the actions the user's role allows
+function CommentThread({ comment, number, userEmail, canComment, isOwner }) {
+  const { designId, setComments, activeCommentId, setActiveCommentId } =
+    useEditorStore();
+  const [reply, setReply] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+
+  const isActive = activeCommentId === comment._id;
+  const canDelete = (entry) =>
+    canComment && (isOwner || entry.authorEmail === userEmail);
+
+  // Read the latest list; it may have been refetched during the request
+  const replaceComment = (updated) =>
+    setComments(
+      useEditorStore
+        .getState()
+        .comments.map((existing) =>
+          existing._id === updated._id ? updated : existing
+        )
+    );
+
+  const runAction = async (request, errorMessage) => {
+    setIsBusy(true);
+    try {
+      return await request();
+    } catch (error) {
+      console.error(errorMessage, error);
+      toast.error(error.response?.data?.message || errorMessage);
+      return null;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+
+    const response = await runAction(
+      () => replyToDesignComment(designId, comment._id, reply.trim()),
+      "Failed to reply"
+    );
+    if (response?.success) {
+      replaceComment(response.data);
+      setReply("");
+    }
+  };
+
+  const handleToggleResolved = async () => {
+    const response = await runAction(
+      () => setDesignCommentResolved(designId, comment._id, !comment.resolved),
+      "Failed to update comment"
+    );
+    if (response?.success) replaceComment(response.data);
+  };
+
+  const handleDelete = async () => {
+    const response = await runAction(
+      () => deleteDesignComment(designId, comment._id),
+      "Failed to delete comment"
+    );
+    if (response?.success) {
+      setComments(
+        useEditorStore
+          .getState()
+          .comments.filter((existing) => existing._id !== comment._id)
+      );
+      if (isActive) setActiveCommentId(null);
+    }
+  };
+
+  const handleDeleteReply = async (replyId) => {
+    const response = await runAction(
+      () => deleteDesignCommentReply(designId, comment._id, replyId),
+      "Failed to delete reply"
+    );
+    if (response?.success) replaceComment(response.data);
+  };
+
+  return (
+    <div
+      id={`comment-${comment._id}`}
+      onClick={() => setActiveCommentId(comment._id)}
+      className={cn(
+        "rounded-xl border bg-white p-3 space-y-3 cursor-pointer transition-colors",
+        isActive ? "border-blue-400 shadow-md" : "border-slate-200",
+        comment.resolved && "opacity-70"
+      )}
+    >
+      <div>
+        <div className="flex items-center gap-2 mb-1">
+          <span
+            className={cn(
+              "h-5 w-5 rounded-full text-[10px] font-bold text-white flex items-center justify-center shrink-0",
+              comment.resolved ? "bg-slate-400" : "bg-blue-500"
+            )}
+          >
+            {number}
+          </span>
+          {comment.anchor?.objectId && (
+            <span className="text-[10px] uppercase tracking-wide text-slate-400">
+              On object
+            </span>
+          )}
+          {canComment && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                handleToggleResolved();
+              }}
+              disabled={isBusy}
+              className="ml-auto text-slate-400 hover:text-green-600"
+              title={comment.resolved ? "Reopen" : "Resolve"}
+            >
+              {comment.resolved ? (
+                <RotateCcw className="h-4 w-4" />
+              ) : (
+                <CheckCircle2 className="h-4 w-4" />
+              )}
+            </button>
+          )}
+        </div>
+        <CommentMeta
+          name={comment.authorName}
+          email={comment.authorEmail}
+          createdAt={comment.createdAt}
+          onDelete={canDelete(comment) ? handleDelete : null}
+        />
+        <CommentBody body={comment.body} userEmail={userEmail} />
+      </div>
+
+      {comment.replies?.length > 0 && (
+        <div className="space-y-2 border-l-2 border-slate-100 pl-3">
+          {comment.replies.map((entry) => (
+            <div key={entry._id}>
+              <CommentMeta
+                name={entry.authorName}
+                email={entry.authorEmail}
+                createdAt={entry.createdAt}
+                onDelete={
+                  canDelete(entry) ? () => handleDeleteReply(entry._id) : null
+                }
+              />
+              <CommentBody body={entry.body} userEmail={userEmail} />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {canComment && isActive && (
+        <form onSubmit={handleReply} className="space-y-2">
+          <Textarea
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            placeholder="Reply… mention people with @email"
+            rows={2}
+            className="text-sm"
+          />
+          <div className="flex justify-end">
+            <Button type="submit" size="sm" disabled={isBusy || !reply.trim()}>
+              Reply
+            </Button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default CommentThread;
@@ -0,0 +1,126 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { hasDesignRole } from "@/lib/design-roles";
+import { cn } from "@/lib/utils";
+import { useEditorStore } from "@/store";
+import { MessageSquarePlus, X } from "lucide-react";
+import { useSession } from "next-auth/react";
+import { useEffect, useState } from "react";
+import CommentThread from "./comment-thread";
+
+const FILTERS = [
+  { id: "open", label: "Open" },
+  { id: "resolved", label: "Resolved" },
+  { id: "mentions", label: "Mentions" },
+  { id: "all", label: "All" },
+];
+
+const isMentioned = (comment, email) =>
+  comment.mentions?.includes(email) ||
+  comment.replies?.some((reply) => reply.mentions?.includes(email));
+
+// Side panel listing the comment threads of the current page
+function CommentsPanel() {
+  const {
+    comments,
+    designRole,
+    activeCommentId,
+    setShowComments,
+    isPlacingComment,
+    setIsPlacingComment,
+  } = useEditorStore();
+  const { data: session } = useSession();
+  const [filter, setFilter] = useState("open");
+
+  const userEmail = session?.user?.email?.toLowerCase() || "";
+  const canComment = hasDesignRole(designRole, "commenter");
+
+  // Bring the thread of a clicked pin into view
+  useEffect(() => {
+    if (!activeCommentId) return;
+    document
+      .getElementById(`comment-${activeCommentId}`)
+      ?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  }, [activeCommentId]);
+
+  const visibleComments = comments.filter((comment) => {
+    if (filter === "open") return !comment.resolved;
+    if (filter === "resolved") return comment.resolved;
+    if (filter === "mentions") return isMentioned(comment, userEmail);
+    return true;
+  });
+
+  return (
+    <div className="fixed right-0 top-[56px] bottom-[0px] w-[320px] bg-gradient-to-b from-slate-50 to-white border-l border-slate-200 z-20 shadow-xl flex flex-col">
+      <div className="flex items-center justify-between p-4 border-b border-slate-200 bg-white/80 backdrop-blur-sm">
+        <div className="flex items-center gap-3">
+          <div className="w-2 h-2 bg-blue-500 rounded-full"></div>
+          <span className="font-semibold text-slate-800">Comments</span>
+        </div>
+        <button
+          onClick={() => {
+            setShowComments(false);
+            setIsPlacingComment(false);
+          }}
+          className="text-slate-400 hover:text-slate-700"
+          title="Close"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="p-4 space-y-3 border-b border-slate-200">
+        {canComment && (
+          <Button
+            className="w-full"
+            variant={isPlacingComment ? "secondary" : "default"}
+            onClick={() => setIsPlacingComment(!isPlacingComment)}
+          >
+            <MessageSquarePlus className="h-4 w-4" />
+            {isPlacingComment
+              ? "Click on the canvas to comment"
+              : "Add comment"}
+          </Button>
+        )}
+        <div className="flex gap-1">
+          {FILTERS.map((option) => (
+            <button
+              key={option.id}
+              onClick={() => setFilter(option.id)}
+              className={cn(
+                "flex-1 rounded-lg px-2 py-1 text-xs font-medium transition-colors",
+                filter === option.id
+                  ? "bg-blue-500 text-white"
+                  : "bg-slate-100 text-slate-600 hover:bg-slate-200"
+              )}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-3">
+        {visibleComments.length === 0 ? (
+          <p className="text-sm text-slate-500 text-center py-8">
+            No comments here yet.
+          </p>
+        ) : (
+          visibleComments.map((comment) => (
+            <CommentThread
+              key={comment._id}
+              comment={comment}
+              number={comments.indexOf(comment) + 1}
+              userEmail={userEmail}
+              canComment={canComment}
+              isOwner={designRole === "owner"}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CommentsPanel;
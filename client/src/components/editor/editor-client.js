@@ -7,6 +7,10 @@ import Sidebar from "./sidebar";
 import { useCallback, useEffect, useState } from "react";
 import { useEditorStore } from "@/store";
 import { getUserDesignByID } from "@/services/design-service";
+import { refreshComponentInstances } from "@/services/component-service";
+import { useCollaboration } from "@/hooks/useCollaboration";
+import { useDesignComments } from "@/hooks/useDesignComments";
+import { useBrandKit } from "@/hooks/useBrandKit";
 import {
   centerCanvas,
   cleanupEraserStrokes,
@@ -21,6 +25,8 @@ import {
   applyCanvasZoom,
 } from "@/fabric/fabric-utils";
 import Properties from "./properties";
+import PageStrip from "./pages";
+import CommentsPanel from "./comments";
 import SubscriptionModal from "../subscription/premium-modal";
 
 function MainEditor() {
@@ -82,14 +88,23 @@ function MainEditor() {
     setDesignId,
     resetStore,
     setName,
+    setDesignRole,
+    setPages,
+    setCurrentPageId,
     setShowProperties,
     showProperties,
     isEditing,
     setShowPremiumModal,
     showPremiumModal,
+    showComments,
     markAsModified,
   } = useEditorStore();
 
+  // Join the real-time editing room once the design is on the canvas
+  useCollaboration(loadAttempted && !isLoading && !error);
+  useDesignComments(loadAttempted && !isLoading && !error);
+  useBrandKit(loadAttempted && !isLoading && !error);
+
   useEffect(() => {
     //reset the store
     resetStore();
@@ -158,9 +173,16 @@ function MainEditor() {
         //update name
         setName(design.name);
 
+        //viewers and commenters open the design read-only
+        setDesignRole(design.role || "owner");
+
         //set the design ID just incase after getting the data
         setDesignId(designId);
 
+        //the design canvasData mirrors the first page, so open that one
+        setPages(design.pages || []);
+        setCurrentPageId(design.pages?.[0]?._id || null);
+
         // IMMEDIATELY hide canvas and show loading at the start
         hideCanvas();
         showLoadingOverlay();
@@ -251,6 +273,11 @@ function MainEditor() {
                 // Clean up any eraser strokes to make them non-selectable
                 cleanupEraserStrokes(canvas);
 
+                // Pick up changes made to components since the last visit
+                refreshComponentInstances(canvas).catch((error) =>
+                  console.error("Failed to refresh components:", error)
+                );
+
                 // Apply canvas dimensions after loading with a delay to ensure everything is rendered
                 let targetWidth = design.width;
                 let targetHeight = design.height;
@@ -668,9 +695,11 @@ function MainEditor() {
           >
             <Canvas />
           </main>
+          <PageStrip />
         </div>
       </div>
-      {showProperties && isEditing && <Properties />}
+      {showProperties && isEditing && !showComments && <Properties />}
+      {showComments && <CommentsPanel />}
       <SubscriptionModal
         isOpen={showPremiumModal}
         onClose={setShowPremiumModal}
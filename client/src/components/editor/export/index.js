@@ -9,12 +9,22 @@ import {
   DialogHeader,
   DialogTitle,
 } from "@/components/ui/dialog";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
 import { cn } from "@/lib/utils";
 import {
   exportAsJson,
   exportAsPDF,
   exportAsPng,
   exportAsSVG,
+  exportOnServer,
 } from "@/services/export-service";
 import { useEditorStore } from "@/store";
 import { isPremiumUser } from "@/lib/premium-utils";
@@ -32,12 +42,32 @@ import {
 import { useState } from "react";
 import { toast } from "sonner";
 
+// "screen" exports in the browser, anything else is rendered on the server
+const DPI_OPTIONS = [
+  { value: "screen", label: "Screen (browser)" },
+  { value: "150", label: "150 DPI" },
+  { value: "300", label: "300 DPI (print)" },
+  { value: "600", label: "600 DPI" },
+];
+
+const BLEED_OPTIONS = ["0", "3", "5"];
+
 function ExportModal({ isOpen, onClose }) {
-  const { canvas, userSubscription } = useEditorStore();
+  const {
+    canvas,
+    userSubscription,
+    designId,
+    currentPageId,
+    flushPendingSave,
+  } = useEditorStore();
 
   const [selectedFormat, setSelectedFormat] = useState("png");
   const [isExporting, setIsExporting] = useState(false);
   const [showUpgradeModal, setShowUpgradeModal] = useState(false);
+  const [dpi, setDpi] = useState("screen");
+  const [bleedMm, setBleedMm] = useState("0");
+  const [cropMarks, setCropMarks] = useState(false);
+  const [exportProgress, setExportProgress] = useState(null);
 
   const isUserPremium = isPremiumUser(userSubscription);
 
@@ -89,25 +119,65 @@ function ExportModal({ isOpen, onClose }) {
     try {
       let successFlag = false;
 
-      switch (selectedFormat) {
-        case "json":
-          successFlag = exportAsJson(canvas, "JSON FileName");
-          break;
+      // PDFs and high-DPI PNGs are rendered on the server from the saved
+      // design, so make sure pending edits are saved first
+      const useServer =
+        designId &&
+        (selectedFormat === "pdf" ||
+          (selectedFormat === "png" && dpi !== "screen"));
+
+      if (useServer) {
+        try {
+          await flushPendingSave();
+          setExportProgress(0);
+          successFlag = await exportOnServer(
+            designId,
+            {
+              format: selectedFormat,
+              dpi: dpi === "screen" ? 96 : Number(dpi),
+              bleedMm: selectedFormat === "pdf" ? Number(bleedMm) : 0,
+              cropMarks: selectedFormat === "pdf" && cropMarks,
+              pageIds:
+                selectedFormat === "png" && currentPageId
+                  ? [currentPageId]
+                  : [],
+            },
+            setExportProgress
+          );
+        } catch (serverError) {
+          // Fall back to the in-browser export when the server can't render
+          if (serverError.response?.data?.code !== "EXPORT_UNAVAILABLE") {
+            throw serverError;
+          }
+          console.warn("Server export unavailable, exporting in browser");
+        } finally {
+          setExportProgress(null);
+        }
+      }
+
+      if (!successFlag) {
+        switch (selectedFormat) {
+          case "json":
+            successFlag = exportAsJson(canvas, "JSON FileName");
+            break;
 
-        case "png":
-          successFlag = exportAsPng(canvas, "PNG FileName");
-          break;
+          case "png":
+            successFlag = exportAsPng(canvas, "PNG FileName", {
+              multiplier: dpi === "screen" ? 1 : Number(dpi) / 96,
+            });
+            break;
 
-        case "svg":
-          successFlag = exportAsSVG(canvas, "SVG FileName");
-          break;
+          case "svg":
+            successFlag = exportAsSVG(canvas, "SVG FileName");
+            break;
 
-        case "pdf":
-          successFlag = exportAsPDF(canvas, "PDF FileName");
-          break;
+          case "pdf":
+            successFlag = exportAsPDF(canvas, "PDF FileName");
+            break;
 
-        default:
-          break;
+          default:
+            break;
+        }
       }
 
       if (successFlag) {
@@ -121,6 +191,7 @@ function ExportModal({ isOpen, onClose }) {
     } catch (e) {
       toast.error("Export Failed", {
         description:
+          e.response?.data?.message ||
           "There was an error exporting your design. Please try again.",
       });
       console.error("Export failed:", e);
@@ -214,6 +285,78 @@ function ExportModal({ isOpen, onClose }) {
               })}
             </div>
 
+            {(selectedFormat === "png" || selectedFormat === "pdf") && (
+              <div className="mt-4 space-y-3">
+                <h3 className="text-xs font-medium">Print Settings</h3>
+                <div className="grid grid-cols-2 gap-3">
+                  {selectedFormat === "png" && (
+                    <div className="space-y-1">
+                      <Label className="text-xs text-muted-foreground">
+                        Resolution
+                      </Label>
+                      <Select value={dpi} onValueChange={setDpi}>
+                        <SelectTrigger className="h-9">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {DPI_OPTIONS.map((option) => (
+                            <SelectItem key={option.value} value={option.value}>
+                              {option.label}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  )}
+                  {selectedFormat === "pdf" && (
+                    <>
+                      <div className="space-y-1">
+                        <Label className="text-xs text-muted-foreground">
+                          Bleed
+                        </Label>
+                        <Select value={bleedMm} onValueChange={setBleedMm}>
+                          <SelectTrigger className="h-9">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {BLEED_OPTIONS.map((option) => (
+                              <SelectItem key={option} value={option}>
+                                {option === "0" ? "None" : `${option} mm`}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      <div className="flex items-center gap-2 pt-5">
+                        <Switch
+                          id="export-crop-marks"
+                          checked={cropMarks}
+                          onCheckedChange={setCropMarks}
+                        />
+                        <Label htmlFor="export-crop-marks" className="text-xs">
+                          Crop marks
+                        </Label>
+                      </div>
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {exportProgress !== null && (
+              <div className="mt-4">
+                <div className="h-1.5 w-full rounded bg-gray-100 overflow-hidden">
+                  <div
+                    className="h-full bg-purple-600 transition-all"
+                    style={{ width: `${exportProgress}%` }}
+                  />
+                </div>
+                <p className="mt-1 text-xs text-muted-foreground">
+                  Rendering on the server... {exportProgress}%
+                </p>
+              </div>
+            )}
+
             {!isUserPremium && (
               <div className="mt-4 p-3 bg-purple-50 border border-purple-200 rounded-lg">
                 <div className="flex items-center gap-2 mb-1">
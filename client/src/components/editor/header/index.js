@@ -3,8 +3,13 @@
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import {
   DropdownMenu,
+  DropdownMenuCheckboxItem,
   DropdownMenuContent,
   DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuSeparator,
   DropdownMenuTrigger,
 } from "@/components/ui/dropdown-menu";
 import {
@@ -21,6 +26,7 @@ import {
   Eye,
   Loader2,
   LogOut,
+  MessageSquare,
   Pencil,
   Save,
   SaveOff,
@@ -32,14 +38,19 @@ import {
   ZoomIn,
   ZoomOut,
   Maximize,
+  Magnet,
 } from "lucide-react";
 import { signOut, useSession } from "next-auth/react";
 import { useEffect, useState } from "react";
 import ExportModal from "../export";
+import ShareModal from "../share";
 import { toast } from "sonner";
 import { cn } from "@/lib/utils";
 import Link from "next/link";
 import { applyCanvasZoom, resetAndFitCanvas } from "@/fabric/fabric-utils";
+import { syncLayerLock } from "@/fabric/layer-utils";
+import { GRID_SIZES } from "@/fabric/alignment-utils";
+import { canEditDesign, ROLE_LABELS } from "@/lib/design-roles";
 
 function Header() {
   const {
@@ -54,9 +65,18 @@ function Header() {
     userDesigns,
     userSubscription,
     setShowPremiumModal,
+    collaborators,
+    designRole,
+    comments,
+    showComments,
+    setShowComments,
+    snapping,
+    setSnapping,
   } = useEditorStore();
   const { data: session } = useSession();
   const [showExportModal, setShowExportModal] = useState(false);
+  const [showShareModal, setShowShareModal] = useState(false);
+  const canEdit = canEditDesign(designRole);
   const [canUndo, setCanUndo] = useState(false);
   const [canRedo, setCanRedo] = useState(false);
 
@@ -130,12 +150,22 @@ function Header() {
 
   useEffect(() => {
     if (!canvas) return;
+    const applyEditingState = (obj) => syncLayerLock(obj, isEditing);
+
     canvas.selection = isEditing;
-    canvas.getObjects().forEach((obj) => {
-      obj.selectable = isEditing;
-      obj.evented = isEditing;
-    });
-  }, [isEditing]);
+    canvas.getObjects().forEach(applyEditingState);
+
+    // Objects loaded later (another page, a collaborator's change, undo)
+    // stay locked while viewing, as do locked layers while editing
+    const handleObjectAdded = ({ target }) => {
+      if (!isEditing || target.locked) applyEditingState(target);
+    };
+    canvas.on("object:added", handleObjectAdded);
+
+    return () => {
+      canvas.off("object:added", handleObjectAdded);
+    };
+  }, [canvas, isEditing]);
 
   useEffect(() => {
     if (!canvas || !designId) return;
@@ -258,12 +288,15 @@ function Header() {
 
           {/* Mode Selector */}
           <DropdownMenu>
-            <DropdownMenuTrigger asChild="true">
-              <button className="flex items-center px-3 py-2 bg-slate-100 hover:bg-slate-200 text-slate-700 rounded-xl transition-all duration-300 border border-slate-200">
+            <DropdownMenuTrigger asChild="true" disabled={!canEdit}>
+              <button
+                className="flex items-center px-3 py-2 bg-slate-100 hover:bg-slate-200 text-slate-700 rounded-xl transition-all duration-300 border border-slate-200 disabled:cursor-default"
+                title={canEdit ? undefined : ROLE_LABELS[designRole]}
+              >
                 <span className="text-sm font-medium">
                   {isEditing ? "Editing" : "Viewing"}
                 </span>
-                <ChevronDown className="ml-2 h-4 w-4" />
+                {canEdit && <ChevronDown className="ml-2 h-4 w-4" />}
               </button>
             </DropdownMenuTrigger>
             <DropdownMenuContent
@@ -351,6 +384,60 @@ function Header() {
                     <ZoomIn className="w-4 h-4 text-slate-600" />
                   </button>
                 </div>
+
+                {/* Snapping */}
+                <DropdownMenu>
+                  <DropdownMenuTrigger asChild="true">
+                    <button
+                      className={cn(
+                        "flex items-center justify-center w-10 h-10 rounded-xl transition-all duration-300 border cursor-pointer",
+                        snapping.guides || snapping.grid
+                          ? "bg-blue-50 border-blue-200 text-blue-600"
+                          : "bg-slate-100 hover:bg-slate-200 border-slate-200 text-slate-600"
+                      )}
+                      title="Snapping"
+                    >
+                      <Magnet className="w-5 h-5" />
+                    </button>
+                  </DropdownMenuTrigger>
+                  <DropdownMenuContent
+                    align="end"
+                    className="w-48 bg-white/95 backdrop-blur-md border-slate-200 shadow-xl rounded-2xl"
+                  >
+                    <DropdownMenuCheckboxItem
+                      checked={snapping.guides}
+                      onCheckedChange={(checked) =>
+                        setSnapping({ guides: checked })
+                      }
+                    >
+                      Smart guides
+                    </DropdownMenuCheckboxItem>
+                    <DropdownMenuCheckboxItem
+                      checked={snapping.grid}
+                      onCheckedChange={(checked) =>
+                        setSnapping({ grid: checked })
+                      }
+                    >
+                      Snap to grid
+                    </DropdownMenuCheckboxItem>
+                    <DropdownMenuSeparator />
+                    <DropdownMenuLabel className="text-xs text-slate-500">
+                      Grid size
+                    </DropdownMenuLabel>
+                    <DropdownMenuRadioGroup
+                      value={String(snapping.gridSize)}
+                      onValueChange={(value) =>
+                        setSnapping({ gridSize: Number(value) })
+                      }
+                    >
+                      {GRID_SIZES.map((size) => (
+                        <DropdownMenuRadioItem key={size} value={String(size)}>
+                          {size} px
+                        </DropdownMenuRadioItem>
+                      ))}
+                    </DropdownMenuRadioGroup>
+                  </DropdownMenuContent>
+                </DropdownMenu>
               </>
             )}
 
@@ -396,12 +483,70 @@ function Header() {
             className="w-full max-w-md text-center font-medium bg-slate-50/80 border-slate-200/60 rounded-2xl focus-visible:ring-blue-500 transition-all duration-300"
             value={name}
             onChange={(e) => setName(e.target.value)}
+            readOnly={!canEdit}
             placeholder="Design name..."
           />
         </div>
 
         {/* Right Section - Premium and User */}
         <div className="flex items-center space-x-4 flex-1 justify-end">
+          {/* Other people editing this design right now */}
+          {collaborators.length > 0 && (
+            <div className="flex -space-x-2">
+              {collaborators.slice(0, 4).map((peer) => (
+                <Avatar
+                  key={peer.clientId}
+                  title={peer.name}
+                  className="h-8 w-8 border-2 border-white"
+                >
+                  <AvatarFallback
+                    className="text-white text-xs font-bold"
+                    style={{ backgroundColor: peer.color }}
+                  >
+                    {peer.name?.[0] || "?"}
+                  </AvatarFallback>
+                </Avatar>
+              ))}
+              {collaborators.length > 4 && (
+                <div className="h-8 w-8 rounded-full border-2 border-white bg-slate-200 text-slate-700 text-xs font-bold flex items-center justify-center">
+                  +{collaborators.length - 4}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Comments Button */}
+          {designId && (
+            <button
+              onClick={() => setShowComments(!showComments)}
+              className={cn(
+                "relative flex items-center justify-center w-10 h-10 rounded-xl transition-all duration-300 border",
+                showComments
+                  ? "bg-blue-50 border-blue-200 text-blue-600"
+                  : "bg-slate-100 hover:bg-slate-200 border-slate-200 text-slate-600"
+              )}
+              title="Comments"
+            >
+              <MessageSquare className="w-5 h-5" />
+              {comments.some((comment) => !comment.resolved) && (
+                <span className="absolute -top-1 -right-1 min-w-4 h-4 px-1 rounded-full bg-blue-500 text-white text-[10px] font-bold flex items-center justify-center">
+                  {comments.filter((comment) => !comment.resolved).length}
+                </span>
+              )}
+            </button>
+          )}
+
+          {/* Share Button (only the owner manages access) */}
+          {designRole === "owner" && designId && (
+            <button
+              onClick={() => setShowShareModal(true)}
+              className="flex items-center px-4 py-2 bg-slate-100 hover:bg-slate-200 text-slate-700 rounded-xl font-bold transition-all duration-300 border border-slate-200"
+            >
+              <Share className="mr-2 h-4 w-4" />
+              <span className="text-sm">Share</span>
+            </button>
+          )}
+
           {/* Premium Button */}
           <button
             onClick={() => setShowPremiumModal(true)}
@@ -448,6 +593,7 @@ function Header() {
         </div>
 
         <ExportModal isOpen={showExportModal} onClose={setShowExportModal} />
+        <ShareModal isOpen={showShareModal} onClose={setShowShareModal} />
       </header>
     </TooltipProvider>
   );
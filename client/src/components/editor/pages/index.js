@@ -0,0 +1,259 @@
+"use client";
+
+import { useEditorStore } from "@/store";
+import {
+  addDesignPage,
+  deleteDesignPage,
+  duplicateDesignPage,
+  getDesignPage,
+  reorderDesignPages,
+} from "@/services/design-service";
+import { refreshComponentInstances } from "@/services/component-service";
+import { loadCanvasContent } from "@/fabric/fabric-utils";
+import { Copy, Loader2, Plus, Trash2 } from "lucide-react";
+import { useState } from "react";
+import { toast } from "sonner";
+import { cn } from "@/lib/utils";
+
+function PageStrip() {
+  const {
+    canvas,
+    designId,
+    pages,
+    setPages,
+    currentPageId,
+    setCurrentPageId,
+    isEditing,
+    flushPendingSave,
+    debouncedSaveToServer,
+    collaboration,
+  } = useEditorStore();
+
+  const [isSwitching, setIsSwitching] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [draggedPageId, setDraggedPageId] = useState(null);
+
+  const switchToPage = async (pageId, pageData = null) => {
+    if (!canvas || !designId || isSwitching) return;
+    if (pageId === currentPageId && !pageData) return;
+
+    setIsSwitching(true);
+    try {
+      if (pageId !== currentPageId) {
+        await flushPendingSave();
+      }
+
+      if (collaboration) {
+        // The room sends the merged page, which the collaboration hook loads
+        await collaboration.joinPage(pageId);
+      } else {
+        const page = pageData || (await getDesignPage(designId, pageId)).data;
+        await loadCanvasContent(canvas, page.canvasData, page.background);
+      }
+      setCurrentPageId(pageId);
+      if (!collaboration) {
+        refreshComponentInstances(canvas).catch((error) =>
+          console.error("Failed to refresh components:", error)
+        );
+      }
+    } catch (error) {
+      console.error("Failed to switch page:", error);
+      toast.error("Failed to load page");
+    } finally {
+      setIsSwitching(false);
+    }
+  };
+
+  const handleAddPage = async () => {
+    if (!designId || isBusy) return;
+
+    setIsBusy(true);
+    try {
+      await flushPendingSave();
+      const response = await addDesignPage(designId, {
+        afterPageId: currentPageId,
+        background: canvas?.backgroundColor,
+      });
+      setPages(response.data.pages);
+      collaboration?.send({ type: "pages:changed" });
+      await switchToPage(response.data.page._id, response.data.page);
+    } catch (error) {
+      console.error("Failed to add page:", error);
+      toast.error(error.response?.data?.message || "Failed to add page");
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDuplicatePage = async (pageId) => {
+    if (!designId || isBusy) return;
+
+    setIsBusy(true);
+    try {
+      await flushPendingSave();
+      const response = await duplicateDesignPage(designId, pageId);
+      setPages(response.data.pages);
+      collaboration?.send({ type: "pages:changed" });
+      await switchToPage(response.data.page._id, response.data.page);
+    } catch (error) {
+      console.error("Failed to duplicate page:", error);
+      toast.error(error.response?.data?.message || "Failed to duplicate page");
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDeletePage = async (pageId) => {
+    if (!designId || isBusy || pages.length <= 1) return;
+
+    setIsBusy(true);
+    try {
+      const deletedIndex = pages.findIndex((page) => page._id === pageId);
+      const response = await deleteDesignPage(designId, pageId);
+      const remainingPages = response.data;
+      setPages(remainingPages);
+      collaboration?.send({ type: "pages:changed" });
+
+      if (pageId === currentPageId) {
+        // Discard unsaved edits of the deleted page and open its neighbour
+        debouncedSaveToServer.cancel();
+        useEditorStore.setState({ isModified: false });
+        const nextPage =
+          remainingPages[Math.min(deletedIndex, remainingPages.length - 1)];
+        const page = (await getDesignPage(designId, nextPage._id)).data;
+        await switchToPage(page._id, page);
+      }
+    } catch (error) {
+      console.error("Failed to delete page:", error);
+      toast.error(error.response?.data?.message || "Failed to delete page");
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDrop = async (targetPageId) => {
+    const sourcePageId = draggedPageId;
+    setDraggedPageId(null);
+    if (!sourcePageId || sourcePageId === targetPageId) return;
+
+    const previousPages = pages;
+    const reordered = [...pages];
+    const fromIndex = reordered.findIndex((page) => page._id === sourcePageId);
+    const toIndex = reordered.findIndex((page) => page._id === targetPageId);
+    const [moved] = reordered.splice(fromIndex, 1);
+    reordered.splice(toIndex, 0, moved);
+
+    // Optimistic update, rolled back if the server rejects the order
+    setPages(reordered.map((page, index) => ({ ...page, index })));
+    try {
+      const response = await reorderDesignPages(
+        designId,
+        reordered.map((page) => page._id)
+      );
+      setPages(response.data);
+      collaboration?.send({ type: "pages:changed" });
+    } catch (error) {
+      console.error("Failed to reorder pages:", error);
+      toast.error("Failed to reorder pages");
+      setPages(previousPages);
+    }
+  };
+
+  if (!designId || pages.length === 0) return null;
+
+  return (
+    <div className="h-28 border-t bg-white flex items-center gap-3 px-4 overflow-x-auto shrink-0">
+      {pages.map((page, index) => {
+        const isActive = page._id === currentPageId;
+
+        return (
+          <div
+            key={page._id}
+            draggable={isEditing}
+            onDragStart={() => setDraggedPageId(page._id)}
+            onDragOver={(e) => isEditing && e.preventDefault()}
+            onDrop={() => handleDrop(page._id)}
+            onDragEnd={() => setDraggedPageId(null)}
+            onClick={() => switchToPage(page._id)}
+            className={cn(
+              "group relative flex flex-col items-center gap-1 cursor-pointer shrink-0",
+              draggedPageId === page._id && "opacity-50"
+            )}
+          >
+            <div
+              className={cn(
+                "w-24 h-16 rounded border-2 bg-gray-50 overflow-hidden flex items-center justify-center",
+                isActive
+                  ? "border-purple-500"
+                  : "border-gray-200 hover:border-gray-400"
+              )}
+              style={{ backgroundColor: page.background || "#ffffff" }}
+            >
+              {page.thumbnail ? (
+                <img
+                  src={page.thumbnail}
+                  alt={page.name}
+                  className="w-full h-full object-contain"
+                />
+              ) : (
+                <span className="text-xs text-gray-400">{index + 1}</span>
+              )}
+              {isActive && isSwitching && (
+                <div className="absolute inset-0 flex items-center justify-center bg-white/60">
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                </div>
+              )}
+            </div>
+            <span className="text-xs text-gray-600 max-w-24 truncate">
+              {page.name || `Page ${index + 1}`}
+            </span>
+
+            {isEditing && (
+              <div className="absolute top-1 right-1 hidden group-hover:flex gap-1">
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleDuplicatePage(page._id);
+                  }}
+                  className="p-1 rounded bg-white/90 hover:bg-white shadow"
+                  title="Duplicate page"
+                >
+                  <Copy className="h-3 w-3" />
+                </button>
+                {pages.length > 1 && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleDeletePage(page._id);
+                    }}
+                    className="p-1 rounded bg-white/90 hover:bg-white shadow text-red-500"
+                    title="Delete page"
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {isEditing && (
+        <button
+          onClick={handleAddPage}
+          disabled={isBusy}
+          className="w-24 h-16 mb-5 rounded border-2 border-dashed border-gray-300 hover:border-purple-400 flex items-center justify-center text-gray-400 hover:text-purple-500 shrink-0 disabled:opacity-50"
+          title="Add page"
+        >
+          {isBusy ? (
+            <Loader2 className="h-5 w-5 animate-spin" />
+          ) : (
+            <Plus className="h-5 w-5" />
+          )}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default PageStrip;
@@ -0,0 +1,180 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  detachComponentInstance,
+  getComponentInstances,
+  getComponentMasterData,
+  getComponentThumbnail,
+  getOverridableParts,
+  rebuildComponentInstance,
+  setComponentOverride,
+} from "@/fabric/component-utils";
+import { getComponent, updateComponent } from "@/services/component-service";
+import { Loader2, RotateCcw, Unlink, Upload } from "lucide-react";
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+
+/**
+ * Overrides and master actions for a selected component instance.
+ */
+function ComponentInstance({ canvas, instance }) {
+  const [parts, setParts] = useState(() => getOverridableParts(instance));
+  const [isBusy, setIsBusy] = useState(false);
+  const [isLinked, setIsLinked] = useState(true);
+
+  useEffect(() => {
+    setParts(getOverridableParts(instance));
+    setIsLinked(true);
+  }, [instance]);
+
+  if (!isLinked) return null;
+
+  const handleOverride = (part, changes) => {
+    setComponentOverride(canvas, instance, part, changes);
+    setParts(getOverridableParts(instance));
+  };
+
+  const runAction = async (action, errorMessage) => {
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error(errorMessage, error);
+      toast.error(errorMessage);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  // Make this instance (overrides included) the new master and refresh the
+  // other instances on this page; other designs follow when opened
+  const handleUpdateMaster = () =>
+    runAction(async () => {
+      const response = await updateComponent(instance.componentId, {
+        data: getComponentMasterData(instance),
+        thumbnail: getComponentThumbnail(instance),
+      });
+      if (!response?.success) return;
+
+      const component = response.data;
+      instance.set({
+        componentVersion: component.version,
+        componentOverrides: {},
+      });
+      for (const other of getComponentInstances(canvas)) {
+        if (other !== instance && other.componentId === component._id) {
+          await rebuildComponentInstance(canvas, other, component);
+        }
+      }
+      canvas.fire("object:modified", { target: instance });
+      toast.success(`Updated "${component.name}"`);
+    }, "Failed to update component");
+
+  const handleResetOverrides = () =>
+    runAction(async () => {
+      const response = await getComponent(instance.componentId);
+      if (!response?.success) return;
+      await rebuildComponentInstance(canvas, instance, response.data, {
+        resetOverrides: true,
+      });
+    }, "Failed to reset component");
+
+  const hasOverrides =
+    Object.keys(instance.componentOverrides || {}).length > 0;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2 pb-2 border-b border-slate-100">
+        <div className="w-1.5 h-1.5 bg-violet-500 rounded-full"></div>
+        <h3 className="text-sm font-semibold text-slate-800 uppercase tracking-wide">
+          Component
+        </h3>
+      </div>
+
+      {parts.length > 0 && (
+        <div className="space-y-3">
+          {parts.map(({ part, label, text, fill }) => (
+            <div key={part.id} className="space-y-1.5">
+              <Label className="text-xs font-medium text-slate-700">
+                {label}
+              </Label>
+              <div className="flex gap-2">
+                {text && (
+                  <Input
+                    defaultValue={part.text}
+                    onBlur={(e) =>
+                      e.target.value !== part.text &&
+                      handleOverride(part, { text: e.target.value })
+                    }
+                    className="h-9 text-sm"
+                  />
+                )}
+                {fill && (
+                  <div className="relative w-10 h-9 shrink-0 rounded-md border-2 border-slate-200 overflow-hidden">
+                    <div
+                      className="absolute inset-0"
+                      style={{ backgroundColor: part.fill }}
+                    />
+                    <Input
+                      type="color"
+                      value={part.fill}
+                      onChange={(e) =>
+                        handleOverride(part, { fill: e.target.value })
+                      }
+                      className="absolute inset-0 opacity-0 cursor-pointer"
+                    />
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-2">
+        <Button
+          onClick={handleUpdateMaster}
+          variant="outline"
+          size="sm"
+          disabled={isBusy}
+          className="h-10 text-xs font-medium col-span-2"
+        >
+          {isBusy ? (
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          ) : (
+            <Upload className="h-4 w-4 mr-2" />
+          )}
+          Update Component
+        </Button>
+        <Button
+          onClick={handleResetOverrides}
+          variant="outline"
+          size="sm"
+          disabled={isBusy || !hasOverrides}
+          className="h-10 text-xs font-medium"
+        >
+          <RotateCcw className="h-4 w-4 mr-2" />
+          Reset
+        </Button>
+        <Button
+          onClick={() => {
+            detachComponentInstance(canvas, instance);
+            setIsLinked(false);
+          }}
+          variant="outline"
+          size="sm"
+          disabled={isBusy}
+          className="h-10 text-xs font-medium"
+        >
+          <Unlink className="h-4 w-4 mr-2" />
+          Detach
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default ComponentInstance;
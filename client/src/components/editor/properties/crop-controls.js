@@ -0,0 +1,96 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { CROP_ASPECT_RATIOS } from "@/fabric/crop-utils";
+import { cn } from "@/lib/utils";
+import { Check, RotateCcw, X } from "lucide-react";
+import { useEffect, useState } from "react";
+
+/**
+ * Controls for the crop in progress: aspect ratio presets, reset, and
+ * apply (Enter) or cancel (Escape).
+ */
+function CropControls({ session }) {
+  const [aspectRatio, setAspectRatio] = useState("free");
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Enter") session.apply();
+      if (e.key === "Escape") session.cancel();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [session]);
+
+  const handleAspectRatioChange = (value) => {
+    setAspectRatio(value);
+    session.setAspectRatio(value);
+  };
+
+  return (
+    <div className="p-4 space-y-6">
+      <div className="space-y-4">
+        <div className="flex items-center gap-2 pb-2 border-b border-slate-100">
+          <div className="w-1.5 h-1.5 bg-pink-500 rounded-full"></div>
+          <h3 className="text-sm font-semibold text-slate-800 uppercase tracking-wide">
+            Crop Image
+          </h3>
+        </div>
+        <p className="text-xs text-slate-500">
+          Drag the frame or its handles to choose what stays visible
+        </p>
+
+        <div className="space-y-2">
+          <Label className="text-xs font-medium text-slate-700">
+            Aspect Ratio
+          </Label>
+          <div className="grid grid-cols-4 gap-1.5">
+            {CROP_ASPECT_RATIOS.map((preset) => (
+              <button
+                key={preset.value}
+                onClick={() => handleAspectRatioChange(preset.value)}
+                className={cn(
+                  "px-2 py-1.5 rounded-md border text-xs",
+                  aspectRatio === preset.value
+                    ? "border-blue-300 bg-blue-50 text-blue-700"
+                    : "border-slate-200 bg-white text-slate-700 hover:border-blue-300"
+                )}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <Button
+          onClick={session.reset}
+          variant="outline"
+          size="sm"
+          className="w-full h-9 text-xs"
+        >
+          <RotateCcw className="h-4 w-4 mr-2" />
+          Reset Crop
+        </Button>
+
+        <div className="grid grid-cols-2 gap-2">
+          <Button
+            onClick={session.cancel}
+            variant="outline"
+            size="sm"
+            className="h-10 text-xs"
+          >
+            <X className="h-4 w-4 mr-2" />
+            Cancel
+          </Button>
+          <Button onClick={session.apply} size="sm" className="h-10 text-xs">
+            <Check className="h-4 w-4 mr-2" />
+            Done
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CropControls;
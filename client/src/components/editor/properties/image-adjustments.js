@@ -0,0 +1,276 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Slider } from "@/components/ui/slider";
+import { Switch } from "@/components/ui/switch";
+import {
+  ADJUSTMENT_SLIDERS,
+  BUILT_IN_FILTER_PRESETS,
+  DEFAULT_ADJUSTMENTS,
+  IMAGE_EFFECTS,
+  applyImageAdjustments,
+  getChangedAdjustments,
+  getImageAdjustments,
+  hasAdjustments,
+} from "@/fabric/image-filters";
+import { cn } from "@/lib/utils";
+import {
+  createFilterPreset,
+  deleteFilterPreset,
+  getFilterPresets,
+} from "@/services/filter-preset-service";
+import { RotateCcw, Save, X } from "lucide-react";
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+
+function ColorField({ label, value, onChange }) {
+  return (
+    <div className="flex items-center justify-between gap-2">
+      <Label className="text-xs font-medium text-slate-700">{label}</Label>
+      <div className="relative w-16 h-8 rounded-md border-2 border-slate-200 overflow-hidden">
+        <div className="absolute inset-0" style={{ backgroundColor: value }} />
+        <Input
+          type="color"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className="absolute inset-0 opacity-0 cursor-pointer"
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Stackable adjustments for the selected image: an effect, sliders, tint and
+ * duotone colors, plus built-in and saved presets.
+ */
+function ImageAdjustments({ canvas, image }) {
+  const [adjustments, setAdjustments] = useState(() =>
+    getImageAdjustments(image)
+  );
+  const [savedPresets, setSavedPresets] = useState([]);
+  const [presetName, setPresetName] = useState("");
+  const [isSavingPreset, setIsSavingPreset] = useState(false);
+
+  useEffect(() => {
+    setAdjustments(getImageAdjustments(image));
+  }, [image]);
+
+  useEffect(() => {
+    let isMounted = true;
+    getFilterPresets().then((response) => {
+      if (isMounted && response?.success) setSavedPresets(response.data);
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  const updateAdjustments = (changes, options) => {
+    const next = { ...adjustments, ...changes };
+    setAdjustments(next);
+    applyImageAdjustments(canvas, image, next, options);
+  };
+
+  const applyPreset = (preset) =>
+    updateAdjustments({ ...DEFAULT_ADJUSTMENTS, ...preset.adjustments });
+
+  const handleSavePreset = async () => {
+    const name = presetName.trim();
+    if (!name) return;
+
+    setIsSavingPreset(true);
+    try {
+      const response = await createFilterPreset(
+        name,
+        getChangedAdjustments(adjustments)
+      );
+      if (response?.success) {
+        setSavedPresets((presets) => [response.data, ...presets]);
+        setPresetName("");
+        toast.success(`Saved "${name}"`);
+      }
+    } finally {
+      setIsSavingPreset(false);
+    }
+  };
+
+  const handleDeletePreset = async (preset) => {
+    const response = await deleteFilterPreset(preset._id);
+    if (response?.success) {
+      setSavedPresets((presets) =>
+        presets.filter((item) => item._id !== preset._id)
+      );
+    }
+  };
+
+  const renderPreset = (preset, onDelete) => (
+    <div
+      key={preset._id || preset.name}
+      className="group relative flex items-center"
+    >
+      <button
+        onClick={() => applyPreset(preset)}
+        className="px-2.5 py-1 rounded-md border border-slate-200 bg-white text-xs text-slate-700 hover:border-blue-300 hover:bg-blue-50"
+      >
+        {preset.name}
+      </button>
+      {onDelete && (
+        <button
+          onClick={() => onDelete(preset)}
+          className="absolute -top-1.5 -right-1.5 hidden group-hover:flex w-4 h-4 items-center justify-center rounded-full bg-slate-700 text-white"
+          title="Delete preset"
+        >
+          <X className="w-2.5 h-2.5" />
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      {/* Presets */}
+      <div className="space-y-2">
+        <Label className="text-xs font-medium text-slate-700">Presets</Label>
+        <div className="flex flex-wrap gap-1.5">
+          {BUILT_IN_FILTER_PRESETS.map((preset) => renderPreset(preset))}
+          {savedPresets.map((preset) =>
+            renderPreset(preset, handleDeletePreset)
+          )}
+        </div>
+      </div>
+
+      {/* Effect */}
+      <div className="space-y-2">
+        <Label className="text-xs font-medium text-slate-700">
+          Filter Effect
+        </Label>
+        <Select
+          value={adjustments.effect}
+          onValueChange={(effect) => updateAdjustments({ effect })}
+        >
+          <SelectTrigger className="h-10 border-slate-200 focus:border-blue-300">
+            <SelectValue placeholder="Choose Filter" />
+          </SelectTrigger>
+          <SelectContent>
+            {IMAGE_EFFECTS.map((effect) => (
+              <SelectItem key={effect.value} value={effect.value}>
+                {effect.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {/* Sliders */}
+      {ADJUSTMENT_SLIDERS.map((slider) => (
+        <div key={slider.key} className="space-y-2">
+          <div className="flex justify-between items-center">
+            <Label className="text-xs font-medium text-slate-700">
+              {slider.label}
+            </Label>
+            <span
+              className={cn(
+                "text-xs font-medium",
+                adjustments[slider.key] ? "text-blue-700" : "text-slate-500"
+              )}
+            >
+              {adjustments[slider.key]}
+              {slider.unit || ""}
+            </span>
+          </div>
+          <Slider
+            min={slider.min}
+            max={slider.max}
+            step={1}
+            value={[adjustments[slider.key]]}
+            onValueChange={([value]) =>
+              updateAdjustments({ [slider.key]: value }, { commit: false })
+            }
+            onValueCommit={([value]) =>
+              updateAdjustments({ [slider.key]: value })
+            }
+            className="w-full"
+          />
+          {slider.key === "tint" && adjustments.tint > 0 && (
+            <ColorField
+              label="Tint Color"
+              value={adjustments.tintColor}
+              onChange={(tintColor) => updateAdjustments({ tintColor })}
+            />
+          )}
+        </div>
+      ))}
+
+      {/* Duotone */}
+      <div className="space-y-3 p-3 bg-slate-50 rounded-lg border border-slate-100">
+        <div className="flex items-center justify-between">
+          <Label className="text-xs font-medium text-slate-700">Duotone</Label>
+          <Switch
+            checked={adjustments.duotone}
+            onCheckedChange={(duotone) => updateAdjustments({ duotone })}
+          />
+        </div>
+        {adjustments.duotone && (
+          <>
+            <ColorField
+              label="Shadows"
+              value={adjustments.duotoneDark}
+              onChange={(duotoneDark) => updateAdjustments({ duotoneDark })}
+            />
+            <ColorField
+              label="Highlights"
+              value={adjustments.duotoneLight}
+              onChange={(duotoneLight) => updateAdjustments({ duotoneLight })}
+            />
+          </>
+        )}
+      </div>
+
+      {/* Save / reset */}
+      <div className="flex gap-2">
+        <Input
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleSavePreset()}
+          placeholder="Preset name"
+          maxLength={50}
+          className="h-9 text-sm"
+        />
+        <Button
+          variant="outline"
+          size="sm"
+          className="h-9"
+          onClick={handleSavePreset}
+          disabled={
+            !presetName.trim() || !hasAdjustments(adjustments) || isSavingPreset
+          }
+          title="Save as preset"
+        >
+          <Save className="w-4 h-4" />
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          className="h-9"
+          onClick={() => updateAdjustments(DEFAULT_ADJUSTMENTS)}
+          disabled={!hasAdjustments(adjustments)}
+          title="Reset adjustments"
+        >
+          <RotateCcw className="w-4 h-4" />
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default ImageAdjustments;
@@ -0,0 +1,85 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { startImageCrop } from "@/fabric/crop-utils";
+import {
+  MASK_SHAPES,
+  applyImageMask,
+  getMaskShapeLabel,
+} from "@/fabric/mask-utils";
+import { useEditorStore } from "@/store";
+import { Crop } from "lucide-react";
+import { useEffect, useState } from "react";
+
+const NO_MASK = "none";
+
+/**
+ * Crop button and mask picker for the selected image.
+ */
+function ImageCrop({ canvas, image }) {
+  const setCropSession = useEditorStore((state) => state.setCropSession);
+  const [maskShape, setMaskShape] = useState(image?.mask?.shape || NO_MASK);
+
+  useEffect(() => {
+    setMaskShape(image?.mask?.shape || NO_MASK);
+  }, [image]);
+
+  const handleCrop = async () => {
+    const session = await startImageCrop(canvas, image, {
+      onEnd: () => setCropSession(null),
+    });
+    if (session) setCropSession(session);
+  };
+
+  const handleMaskChange = (shape) => {
+    setMaskShape(shape);
+    applyImageMask(canvas, image, shape === NO_MASK ? null : shape);
+  };
+
+  return (
+    <div className="space-y-3">
+      <Button
+        onClick={handleCrop}
+        variant="outline"
+        size="sm"
+        disabled={!!image?.parent}
+        className="w-full h-10 border-slate-200 hover:border-blue-300 hover:bg-blue-50 text-xs font-medium"
+      >
+        <Crop className="h-4 w-4 mr-2" />
+        Crop
+      </Button>
+      {image?.parent && (
+        <p className="text-xs text-slate-500">
+          Ungroup the image to crop it
+        </p>
+      )}
+
+      <div className="space-y-2">
+        <Label className="text-xs font-medium text-slate-700">Mask</Label>
+        <Select value={maskShape} onValueChange={handleMaskChange}>
+          <SelectTrigger className="h-10 border-slate-200 focus:border-blue-300">
+            <SelectValue placeholder="Choose Shape" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={NO_MASK}>None</SelectItem>
+            {MASK_SHAPES.map((shape) => (
+              <SelectItem key={shape} value={shape}>
+                {getMaskShapeLabel(shape)}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+    </div>
+  );
+}
+
+export default ImageCrop;
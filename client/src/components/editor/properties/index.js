@@ -6,7 +6,9 @@ import { Label } from "@/components/ui/label";
 import {
   Select,
   SelectContent,
+  SelectGroup,
   SelectItem,
+  SelectLabel,
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
@@ -17,28 +19,65 @@ import {
   cloneSelectedObject,
   deletedSelectedObject,
   debugSelection,
+  replaceImageSource,
 } from "@/fabric/fabric-utils";
 import { useEditorStore } from "@/store";
+import { getBrandFonts } from "@/lib/brand-kit";
 import {
+  alignSelectedObjects,
+  distributeSelectedObjects,
+} from "@/fabric/alignment-utils";
+import { isFrame } from "@/fabric/mask-utils";
+import { isComponentInstance } from "@/fabric/component-utils";
+import BrandColors from "@/components/editor/brand-kit/brand-colors";
+import ImageAdjustments from "./image-adjustments";
+import ImageCrop from "./image-crop";
+import CropControls from "./crop-controls";
+import ComponentInstance from "./component-instance";
+import VariableBinding from "./variable-binding";
+import { removeImageBackground } from "@/services/background-removal-service";
+import {
+  AlignCenterHorizontal,
+  AlignCenterVertical,
+  AlignEndHorizontal,
+  AlignEndVertical,
+  AlignHorizontalDistributeCenter,
+  AlignStartHorizontal,
+  AlignStartVertical,
+  AlignVerticalDistributeCenter,
   Bold,
   Copy,
   FlipHorizontal,
   FlipVertical,
   Italic,
+  Loader2,
   MoveDown,
   MoveUp,
+  Scissors,
   Trash,
   Underline,
 } from "lucide-react";
 import { useEffect, useState } from "react";
+import { toast } from "sonner";
+
+const ALIGN_OPTIONS = [
+  { value: "left", label: "Left", icon: AlignStartVertical },
+  { value: "center", label: "Center", icon: AlignCenterVertical },
+  { value: "right", label: "Right", icon: AlignEndVertical },
+  { value: "top", label: "Top", icon: AlignStartHorizontal },
+  { value: "middle", label: "Middle", icon: AlignCenterHorizontal },
+  { value: "bottom", label: "Bottom", icon: AlignEndHorizontal },
+];
 
 //all states one by one -> reason for tutorial ->
 
 function Properties() {
-  const { canvas, markAsModified } = useEditorStore();
+  const { canvas, markAsModified, brandKit, cropSession } = useEditorStore();
+  const brandFonts = getBrandFonts(brandKit);
   //active object
   const [selectedObject, setSelectedObject] = useState(null);
   const [objectType, setObjectType] = useState("");
+  const [selectionCount, setSelectionCount] = useState(0);
 
   //common
   const [opacity, setOpacity] = useState(100);
@@ -65,8 +104,7 @@ function Properties() {
   const [borderWidth, setBorderWidth] = useState(0);
   const [borderStyle, setBorderStyle] = useState("solid");
 
-  const [filter, setFilter] = useState("none");
-  const [blur, setBlur] = useState(0);
+  const [isRemovingBackground, setIsRemovingBackground] = useState(false);
 
   useEffect(() => {
     if (!canvas) return;
@@ -96,6 +134,7 @@ function Properties() {
         console.log(activeObject.type, "activeObjecttype");
 
         setSelectedObject(activeObject);
+        setSelectionCount(canvas.getActiveObjects().length);
         //update common properties
         setOpacity(Math.round(activeObject.opacity * 100) || 100);
         setWidth(Math.round(activeObject.width * activeObject.scaleX));
@@ -119,17 +158,6 @@ function Properties() {
         } else if (activeObject.type === "image") {
           setObjectType("image");
 
-          if (activeObject.filters && activeObject.filters.length > 0) {
-            const filterObj = activeObject.filters[0];
-            if (filterObj.type === "Grayscale") setFilter("grayscale");
-            else if (filterObj.type === "Sepia") setFilter("sepia");
-            else if (filterObj.type === "Invert") setFilter("invert");
-            else if (filterObj.type === "Blur") {
-              setFilter("blur");
-              setBlur(filterObj.blur * 100 || 0);
-            } else setFilter("none");
-          }
-
           if (activeObject.strokeDashArray) {
             if (
               activeObject.strokeDashArray[0] === 5 &&
@@ -241,6 +269,16 @@ function Properties() {
   };
 
   //arrangements
+  const handleAlign = (alignment) => {
+    if (!canvas || !selectedObject) return;
+    alignSelectedObjects(canvas, alignment);
+  };
+
+  const handleDistribute = (direction) => {
+    if (!canvas || !selectedObject) return;
+    distributeSelectedObjects(canvas, direction);
+  };
+
   const handleBringToFront = () => {
     if (!canvas || !selectedObject) return;
     canvas.bringObjectToFront(selectedObject);
@@ -275,6 +313,12 @@ function Properties() {
     updateObjectProperty("text", newText);
   };
 
+  const handleInsertVariable = (placeholder) => {
+    const newText = text ? `${text} ${placeholder}` : placeholder;
+    setText(newText);
+    updateObjectProperty("text", newText);
+  };
+
   const handleFontSizeChange = (e) => {
     const newSize = Number(e.target.value);
     setFontSize(newSize);
@@ -363,70 +407,27 @@ function Properties() {
     updateObjectProperty("strokeDashArray", strokeDashArray);
   };
 
-  const handleImageFilterChange = async (value) => {
-    setFilter(value);
-
-    if (!canvas || !selectedObject || selectedObject.type !== "image") return;
-    try {
-      canvas.discardActiveObject();
-
-      const { filters } = await import("fabric");
-
-      selectedObject.filters = [];
-
-      switch (value) {
-        case "grayscale":
-          selectedObject.filters.push(new filters.Grayscale());
-
-          break;
-        case "sepia":
-          selectedObject.filters.push(new filters.Sepia());
-
-          break;
-        case "invert":
-          selectedObject.filters.push(new filters.Invert());
-
-          break;
-        case "blur":
-          selectedObject.filters.push(new filters.Blur({ blur: blur / 100 }));
-
-          break;
-        case "none":
-        default:
-          break;
-      }
-
-      selectedObject.applyFilters();
-
-      canvas.setActiveObject(selectedObject);
-      canvas.renderAll();
-      markAsModified();
-    } catch (e) {
-      console.error("Failed to apply filters");
-    }
-  };
-
-  const handleBlurChange = async (value) => {
-    const newBlurValue = value[0];
-    setBlur(newBlurValue);
-
-    if (
-      !canvas ||
-      !selectedObject ||
-      selectedObject.type !== "image" ||
-      filter !== "blur"
-    )
-      return;
+  const handleRemoveBackground = async () => {
+    if (!canvas || !selectedObject?.mediaId) return;
 
+    const image = selectedObject;
+    setIsRemovingBackground(true);
     try {
-      const { filters } = await import("fabric");
-
-      selectedObject.filters = [new filters.Blur({ blur: newBlurValue / 100 })];
-      selectedObject.applyFilters();
-      canvas.renderAll();
-      markAsModified();
+      const response = await removeImageBackground(image.mediaId);
+      if (!response?.success) return;
+
+      await replaceImageSource(
+        canvas,
+        image,
+        response.data.secureUrl || response.data.url,
+        response.data._id
+      );
+      toast.success("Background removed");
     } catch (error) {
-      console.error("Error while applying blur !", e);
+      console.error("Error removing background:", error);
+      toast.error("Failed to remove background");
+    } finally {
+      setIsRemovingBackground(false);
     }
   };
 
@@ -438,7 +439,7 @@ function Properties() {
           <div className="w-2 h-2 bg-blue-500 rounded-full"></div>
           <span className="font-semibold text-slate-800">Properties</span>
         </div>
-        {selectedObject && (
+        {selectedObject && !cropSession && (
           <div className="px-2 py-1 bg-blue-100 text-blue-700 text-xs font-medium rounded-md capitalize">
             {objectType}
           </div>
@@ -446,7 +447,9 @@ function Properties() {
       </div>
 
       <div className="h-[calc(100%-73px)] overflow-auto">
-        {!selectedObject ? (
+        {cropSession ? (
+          <CropControls session={cropSession} />
+        ) : !selectedObject ? (
           <div className="flex flex-col items-center justify-center h-64 p-6 text-center">
             <div className="w-16 h-16 bg-slate-100 rounded-2xl flex items-center justify-center mb-4">
               <div className="w-8 h-8 border-2 border-dashed border-slate-400 rounded-lg"></div>
@@ -534,6 +537,54 @@ function Properties() {
               </div>
             </div>
 
+            {/* Alignment */}
+            <div className="space-y-4">
+              <div className="flex items-center gap-2 pb-2 border-b border-slate-100">
+                <div className="w-1.5 h-1.5 bg-cyan-500 rounded-full"></div>
+                <h3 className="text-sm font-semibold text-slate-800 uppercase tracking-wide">
+                  {selectionCount > 1 ? "Align Selection" : "Align to Page"}
+                </h3>
+              </div>
+
+              <div className="grid grid-cols-6 gap-1">
+                {ALIGN_OPTIONS.map(({ value, label, icon: Icon }) => (
+                  <Button
+                    key={value}
+                    onClick={() => handleAlign(value)}
+                    variant="outline"
+                    size="sm"
+                    className="h-9 px-0 border-slate-200 hover:border-blue-300 hover:bg-blue-50"
+                    title={`Align ${label.toLowerCase()}`}
+                  >
+                    <Icon className="h-4 w-4" />
+                  </Button>
+                ))}
+              </div>
+
+              {selectionCount > 2 && (
+                <div className="grid grid-cols-2 gap-2">
+                  <Button
+                    onClick={() => handleDistribute("horizontal")}
+                    variant="outline"
+                    size="sm"
+                    className="h-9 border-slate-200 hover:border-blue-300 hover:bg-blue-50 text-xs font-medium"
+                  >
+                    <AlignHorizontalDistributeCenter className="h-4 w-4 mr-1.5" />
+                    Space Evenly
+                  </Button>
+                  <Button
+                    onClick={() => handleDistribute("vertical")}
+                    variant="outline"
+                    size="sm"
+                    className="h-9 border-slate-200 hover:border-blue-300 hover:bg-blue-50 text-xs font-medium"
+                  >
+                    <AlignVerticalDistributeCenter className="h-4 w-4 mr-1.5" />
+                    Stack Evenly
+                  </Button>
+                </div>
+              )}
+            </div>
+
             {/* Layer Management */}
             <div className="space-y-4">
               <div className="flex items-center gap-2 pb-2 border-b border-slate-100">
@@ -596,6 +647,11 @@ function Properties() {
               </div>
             </div>
 
+            {/* Component Instance */}
+            {isComponentInstance(selectedObject) && (
+              <ComponentInstance canvas={canvas} instance={selectedObject} />
+            )}
+
             {/* Text Properties */}
             {objectType === "text" && (
               <div className="space-y-4">
@@ -619,6 +675,13 @@ function Properties() {
                   />
                 </div>
 
+                {/* Bulk Create Variables */}
+                <VariableBinding
+                  canvas={canvas}
+                  object={selectedObject}
+                  onInsertText={handleInsertVariable}
+                />
+
                 {/* Font Settings */}
                 <div className="space-y-4">
                   <div className="grid grid-cols-2 gap-3">
@@ -668,23 +731,42 @@ function Properties() {
                         <SelectValue placeholder="Select Font" />
                       </SelectTrigger>
                       <SelectContent className="max-h-60">
-                        {availableFonts.map((fontItem) => (
-                          <SelectItem
-                            key={fontItem}
-                            value={fontItem}
-                            style={{ fontFamily: fontItem }}
-                            className="py-2"
-                          >
-                            <div className="flex items-center justify-between w-full">
-                              <span>{fontItem}</span>
-                              {fontManager.getFontInfo(fontItem)?.category === 'custom' && (
-                                <span className="text-xs text-purple-600 bg-purple-100 px-1.5 py-0.5 rounded ml-2">
-                                  Custom
-                                </span>
-                              )}
-                            </div>
-                          </SelectItem>
-                        ))}
+                        {brandFonts.length > 0 && (
+                          <SelectGroup>
+                            <SelectLabel className="text-xs text-slate-500">
+                              Brand Fonts
+                            </SelectLabel>
+                            {brandFonts.map((fontItem) => (
+                              <SelectItem
+                                key={`brand-${fontItem}`}
+                                value={fontItem}
+                                style={{ fontFamily: fontItem }}
+                                className="py-2"
+                              >
+                                {fontItem}
+                              </SelectItem>
+                            ))}
+                          </SelectGroup>
+                        )}
+                        {availableFonts
+                          .filter((fontItem) => !brandFonts.includes(fontItem))
+                          .map((fontItem) => (
+                            <SelectItem
+                              key={fontItem}
+                              value={fontItem}
+                              style={{ fontFamily: fontItem }}
+                              className="py-2"
+                            >
+                              <div className="flex items-center justify-between w-full">
+                                <span>{fontItem}</span>
+                                {fontManager.getFontInfo(fontItem)?.category === 'custom' && (
+                                  <span className="text-xs text-purple-600 bg-purple-100 px-1.5 py-0.5 rounded ml-2">
+                                    Custom
+                                  </span>
+                                )}
+                              </div>
+                            </SelectItem>
+                          ))}
                       </SelectContent>
                     </Select>
                   </div>
@@ -735,6 +817,13 @@ function Properties() {
                   </div>
 
                   {/* Colors */}
+                  <BrandColors
+                    value={textColor}
+                    onSelect={(color) => {
+                      setTextColor(color);
+                      updateObjectProperty("fill", color);
+                    }}
+                  />
                   <div className="grid grid-cols-2 gap-4">
                     <div className="space-y-2">
                       <Label className="text-xs font-medium text-slate-700">
@@ -798,7 +887,21 @@ function Properties() {
                   </h3>
                 </div>
 
+                {isFrame(selectedObject) && (
+                  <p className="text-xs text-slate-500">
+                    Drag an image onto this frame, or pick one from your
+                    uploads while it is selected, to fill it
+                  </p>
+                )}
+
                 {/* Fill & Stroke Colors */}
+                <BrandColors
+                  value={fillColor}
+                  onSelect={(color) => {
+                    setFillColor(color);
+                    updateObjectProperty("fill", color);
+                  }}
+                />
                 <div className="grid grid-cols-2 gap-4">
                   <div className="space-y-2">
                     <Label className="text-xs font-medium text-slate-700">
@@ -927,6 +1030,38 @@ function Properties() {
                   </h3>
                 </div>
 
+                {/* Crop & Mask */}
+                <ImageCrop canvas={canvas} image={selectedObject} />
+
+                {/* Bulk Create Variable */}
+                <VariableBinding canvas={canvas} object={selectedObject} />
+
+                {/* Background Removal */}
+                <div className="space-y-2">
+                  <Button
+                    onClick={handleRemoveBackground}
+                    variant="outline"
+                    size="sm"
+                    disabled={!selectedObject?.mediaId || isRemovingBackground}
+                    className="w-full h-10 border-slate-200 hover:border-blue-300 hover:bg-blue-50 text-xs font-medium"
+                  >
+                    {isRemovingBackground ? (
+                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    ) : (
+                      <Scissors className="h-4 w-4 mr-2" />
+                    )}
+                    {isRemovingBackground
+                      ? "Removing background..."
+                      : "Remove background"}
+                  </Button>
+                  {!selectedObject?.mediaId && (
+                    <p className="text-xs text-slate-500">
+                      Only images added from your uploads can have their
+                      background removed
+                    </p>
+                  )}
+                </div>
+
                 {/* Border Settings */}
                 <div className="space-y-4">
                   <div className="space-y-2">
@@ -949,6 +1084,13 @@ function Properties() {
                         {borderColor.toUpperCase()}
                       </div>
                     </div>
+                    <BrandColors
+                      value={borderColor}
+                      onSelect={(color) => {
+                        setBorderColor(color);
+                        updateObjectProperty("stroke", color);
+                      }}
+                    />
                   </div>
 
                   {/* Border Width */}
@@ -1023,79 +1165,8 @@ function Properties() {
                   </div>
                 </div>
 
-                {/* Image Filters */}
-                <div className="space-y-4">
-                  <div className="space-y-2">
-                    <Label className="text-xs font-medium text-slate-700">
-                      Filter Effect
-                    </Label>
-                    <Select
-                      value={filter}
-                      onValueChange={handleImageFilterChange}
-                    >
-                      <SelectTrigger className="h-10 border-slate-200 focus:border-blue-300">
-                        <SelectValue placeholder="Choose Filter" />
-                      </SelectTrigger>
-                      <SelectContent>
-                        <SelectItem value="none">
-                          <div className="flex items-center gap-2">
-                            <div className="w-4 h-4 bg-gradient-to-br from-slate-200 to-slate-300 rounded"></div>
-                            <span>None</span>
-                          </div>
-                        </SelectItem>
-                        <SelectItem value="grayscale">
-                          <div className="flex items-center gap-2">
-                            <div className="w-4 h-4 bg-gradient-to-br from-gray-300 to-gray-500 rounded"></div>
-                            <span>Grayscale</span>
-                          </div>
-                        </SelectItem>
-                        <SelectItem value="sepia">
-                          <div className="flex items-center gap-2">
-                            <div className="w-4 h-4 bg-gradient-to-br from-yellow-200 to-amber-400 rounded"></div>
-                            <span>Sepia</span>
-                          </div>
-                        </SelectItem>
-                        <SelectItem value="invert">
-                          <div className="flex items-center gap-2">
-                            <div className="w-4 h-4 bg-gradient-to-br from-purple-400 to-blue-500 rounded"></div>
-                            <span>Invert</span>
-                          </div>
-                        </SelectItem>
-                        <SelectItem value="blur">
-                          <div className="flex items-center gap-2">
-                            <div className="w-4 h-4 bg-gradient-to-br from-blue-200 to-indigo-400 rounded blur-[1px]"></div>
-                            <span>Blur</span>
-                          </div>
-                        </SelectItem>
-                      </SelectContent>
-                    </Select>
-                  </div>
-
-                  {filter === "blur" && (
-                    <div className="space-y-3 p-4 bg-blue-50 rounded-lg border border-blue-100">
-                      <div className="flex justify-between items-center">
-                        <Label className="text-xs font-medium text-blue-800">
-                          Blur Intensity
-                        </Label>
-                        <div className="px-2 py-1 bg-blue-100 rounded-md">
-                          <span className="text-xs font-medium text-blue-800">
-                            {blur}%
-                          </span>
-                        </div>
-                      </div>
-                      <div className="px-1">
-                        <Slider
-                          min={0}
-                          max={100}
-                          step={1}
-                          value={[blur]}
-                          onValueChange={handleBlurChange}
-                          className="w-full"
-                        />
-                      </div>
-                    </div>
-                  )}
-                </div>
+                {/* Image Adjustments */}
+                <ImageAdjustments canvas={canvas} image={selectedObject} />
               </div>
             )}
 
@@ -1131,6 +1202,13 @@ function Properties() {
                         {borderColor.toUpperCase()}
                       </div>
                     </div>
+                    <BrandColors
+                      value={borderColor}
+                      onSelect={(color) => {
+                        setBorderColor(color);
+                        updateObjectProperty("stroke", color);
+                      }}
+                    />
                   </div>
 
                   {/* Stroke Width */}
@@ -0,0 +1,85 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { bindImageVariable, cleanVariableName } from "@/fabric/variable-utils";
+import { Braces } from "lucide-react";
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+
+/**
+ * Variables of the selected object for bulk creation: inserts a {{name}}
+ * placeholder into text, or binds an image to a variable.
+ */
+function VariableBinding({ canvas, object, onInsertText }) {
+  const isImage = object?.type === "image";
+  const [variableName, setVariableName] = useState(
+    isImage ? object.variable || "" : ""
+  );
+
+  useEffect(() => {
+    setVariableName(isImage ? object.variable || "" : "");
+  }, [object, isImage]);
+
+  const handleInsert = () => {
+    const name = cleanVariableName(variableName);
+    if (!name) {
+      toast.error("Use letters, numbers, dots, dashes or underscores");
+      return;
+    }
+    onInsertText(`{{${name}}}`);
+    setVariableName("");
+  };
+
+  const handleBind = () => {
+    if (variableName.trim() && !cleanVariableName(variableName)) {
+      toast.error("Use letters, numbers, dots, dashes or underscores");
+      setVariableName(object.variable || "");
+      return;
+    }
+    if ((object.variable || "") !== variableName.trim()) {
+      bindImageVariable(canvas, object, variableName);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <Label className="text-xs font-medium text-slate-700">
+        {isImage ? "Image Variable" : "Insert Variable"}
+      </Label>
+      <div className="flex gap-2">
+        <Input
+          value={variableName}
+          onChange={(e) => setVariableName(e.target.value)}
+          onBlur={isImage ? handleBind : undefined}
+          onKeyDown={(e) =>
+            e.key === "Enter" && (isImage ? handleBind() : handleInsert())
+          }
+          placeholder={isImage ? "photo" : "name"}
+          maxLength={50}
+          className="h-9 text-sm font-mono"
+        />
+        {!isImage && (
+          <Button
+            variant="outline"
+            size="sm"
+            className="h-9"
+            onClick={handleInsert}
+            disabled={!variableName.trim()}
+            title="Insert placeholder"
+          >
+            <Braces className="w-4 h-4" />
+          </Button>
+        )}
+      </div>
+      <p className="text-xs text-slate-500">
+        {isImage
+          ? "Filled with the image URL from this column when creating in bulk"
+          : "Replaced with the value from this column when creating in bulk"}
+      </p>
+    </div>
+  );
+}
+
+export default VariableBinding;
@@ -0,0 +1,298 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { COLLABORATOR_ROLES, ROLE_LABELS } from "@/lib/design-roles";
+import {
+  addDesignCollaborator,
+  createDesignShareLink,
+  deleteDesignShareLink,
+  getDesignSharing,
+  removeDesignCollaborator,
+  updateDesignCollaborator,
+} from "@/services/design-service";
+import { useEditorStore } from "@/store";
+import { Copy, Link2, Loader2, Share, Trash2, UserPlus } from "lucide-react";
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+
+// "never" keeps the link active until it is disabled
+const EXPIRY_OPTIONS = [
+  { value: "never", label: "Never expires" },
+  { value: "1", label: "Expires in 1 day" },
+  { value: "7", label: "Expires in 7 days" },
+  { value: "30", label: "Expires in 30 days" },
+];
+
+function RoleSelect({ value, onChange, disabled }) {
+  return (
+    <Select value={value} onValueChange={onChange} disabled={disabled}>
+      <SelectTrigger className="w-36">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {COLLABORATOR_ROLES.map((role) => (
+          <SelectItem key={role} value={role}>
+            {ROLE_LABELS[role]}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+function ShareModal({ isOpen, onClose }) {
+  const { designId } = useEditorStore();
+
+  const [sharing, setSharing] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("viewer");
+  const [expiry, setExpiry] = useState("never");
+
+  useEffect(() => {
+    if (!isOpen || !designId) return;
+
+    const fetchSharing = async () => {
+      setIsLoading(true);
+      try {
+        const response = await getDesignSharing(designId);
+        setSharing(response.data);
+      } catch (error) {
+        console.error("Failed to load sharing settings:", error);
+        toast.error("Failed to load sharing settings");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchSharing();
+  }, [isOpen, designId]);
+
+  // Every sharing endpoint answers with the full, updated settings
+  const runUpdate = async (request, successMessage, errorMessage) => {
+    setIsBusy(true);
+    try {
+      const response = await request();
+      setSharing(response.data);
+      if (successMessage) toast.success(successMessage);
+      return true;
+    } catch (error) {
+      console.error(errorMessage, error);
+      toast.error(error.response?.data?.message || errorMessage);
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    const invited = await runUpdate(
+      () => addDesignCollaborator(designId, email.trim(), role),
+      `Shared with ${email.trim()}`,
+      "Failed to share design"
+    );
+    if (invited) setEmail("");
+  };
+
+  const handleRoleChange = (collaboratorId, newRole) =>
+    runUpdate(
+      () => updateDesignCollaborator(designId, collaboratorId, newRole),
+      null,
+      "Failed to update access"
+    );
+
+  const handleRemove = (collaboratorId) =>
+    runUpdate(
+      () => removeDesignCollaborator(designId, collaboratorId),
+      "Access removed",
+      "Failed to remove access"
+    );
+
+  const handleCreateLink = () =>
+    runUpdate(
+      () =>
+        createDesignShareLink(
+          designId,
+          expiry === "never" ? null : Number(expiry)
+        ),
+      "Share link created",
+      "Failed to create share link"
+    );
+
+  const handleDisableLink = () =>
+    runUpdate(
+      () => deleteDesignShareLink(designId),
+      "Share link disabled",
+      "Failed to disable share link"
+    );
+
+  const shareUrl =
+    sharing?.shareLink && typeof window !== "undefined"
+      ? `${window.location.origin}/share/${sharing.shareLink.token}`
+      : null;
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      toast.success("Link copied");
+    } catch (error) {
+      console.error("Failed to copy link:", error);
+      toast.error("Failed to copy link");
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className={"sm:max-w-lg"}>
+        <DialogHeader>
+          <DialogTitle className={"text-xl flex items-center gap-2"}>
+            <Share className="h-5 w-5" />
+            Share Design
+          </DialogTitle>
+        </DialogHeader>
+
+        {isLoading || !sharing ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+          </div>
+        ) : (
+          <div className="space-y-6 py-2">
+            <form onSubmit={handleInvite} className="space-y-2">
+              <Label htmlFor="share-email">Invite people</Label>
+              <div className="flex gap-2">
+                <Input
+                  id="share-email"
+                  type="email"
+                  placeholder="name@example.com"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                />
+                <RoleSelect value={role} onChange={setRole} />
+                <Button type="submit" disabled={isBusy || !email.trim()}>
+                  <UserPlus className="h-4 w-4" />
+                </Button>
+              </div>
+            </form>
+
+            <div className="space-y-2">
+              <h3 className="text-xs font-medium">People with access</h3>
+              {sharing.collaborators.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  Only you can open this design.
+                </p>
+              ) : (
+                <div className="space-y-2 max-h-48 overflow-y-auto">
+                  {sharing.collaborators.map((collaborator) => (
+                    <div
+                      key={collaborator._id}
+                      className="flex items-center gap-2"
+                    >
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm truncate">{collaborator.email}</p>
+                        {!collaborator.hasJoined && (
+                          <p className="text-xs text-gray-400">
+                            Hasn't opened it yet
+                          </p>
+                        )}
+                      </div>
+                      <RoleSelect
+                        value={collaborator.role}
+                        onChange={(newRole) =>
+                          handleRoleChange(collaborator._id, newRole)
+                        }
+                        disabled={isBusy}
+                      />
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => handleRemove(collaborator._id)}
+                        disabled={isBusy}
+                        title="Remove access"
+                      >
+                        <Trash2 className="h-4 w-4 text-red-500" />
+                      </Button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <h3 className="text-xs font-medium flex items-center gap-1">
+                <Link2 className="h-3 w-3" />
+                Public view-only link
+              </h3>
+              {sharing.shareLink ? (
+                <>
+                  <div className="flex gap-2">
+                    <Input value={shareUrl || ""} readOnly />
+                    <Button variant="outline" onClick={handleCopyLink}>
+                      <Copy className="h-4 w-4" />
+                    </Button>
+                  </div>
+                  <div className="flex items-center justify-between">
+                    <p className="text-xs text-gray-500">
+                      {sharing.shareLink.expiresAt
+                        ? `Expires ${new Date(
+                            sharing.shareLink.expiresAt
+                          ).toLocaleString()}`
+                        : "Never expires"}
+                    </p>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={handleDisableLink}
+                      disabled={isBusy}
+                      className="text-red-500"
+                    >
+                      Disable link
+                    </Button>
+                  </div>
+                </>
+              ) : (
+                <div className="flex gap-2">
+                  <Select value={expiry} onValueChange={setExpiry}>
+                    <SelectTrigger className="flex-1">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {EXPIRY_OPTIONS.map((option) => (
+                        <SelectItem key={option.value} value={option.value}>
+                          {option.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Button onClick={handleCreateLink} disabled={isBusy}>
+                    Create link
+                  </Button>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default ShareModal;
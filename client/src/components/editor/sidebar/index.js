@@ -2,16 +2,20 @@
 
 import {
   ArrowLeft,
+  Boxes,
   ChevronLeft,
   Shapes,
   Type,
   Image,
   Download,
+  FileSpreadsheet,
   Layers,
   Paintbrush,
   MousePointer,
   Hand,
   Crop,
+  History,
+  Sparkles,
 } from "lucide-react";
 import { useState, useEffect } from "react";
 import ElementsPanel from "./panels/elements";
@@ -21,6 +25,11 @@ import DrawingPanel from "./panels/draw";
 import SettingsPanel from "./panels/settings";
 import ImportDesignPanel from "./panels/import";
 import CanvasSettings from "./panels/canvas-settings";
+import HistoryPanel from "./panels/history";
+import BrandKitPanel from "./panels/brand-kit";
+import LayersPanel from "./panels/layers";
+import ComponentsPanel from "./panels/components";
+import BulkCreatePanel from "./panels/bulk-create";
 import { useEditorStore } from "@/store";
 
 function Sidebar() {
@@ -48,6 +57,32 @@ function Sidebar() {
       label: "Images",
       panel: () => <UploadPanel isActive={activeSidebar === "uploads"} />,
     },
+    {
+      id: "layers",
+      icon: Layers,
+      label: "Layers",
+      panel: () => <LayersPanel isActive={activeSidebar === "layers"} />,
+    },
+    {
+      id: "brand",
+      icon: Sparkles,
+      label: "Brand",
+      panel: () => <BrandKitPanel isActive={activeSidebar === "brand"} />,
+    },
+    {
+      id: "components",
+      icon: Boxes,
+      label: "Components",
+      panel: () => (
+        <ComponentsPanel isActive={activeSidebar === "components"} />
+      ),
+    },
+    {
+      id: "bulk",
+      icon: FileSpreadsheet,
+      label: "Bulk Create",
+      panel: () => <BulkCreatePanel isActive={activeSidebar === "bulk"} />,
+    },
     {
       id: "draw",
       icon: Paintbrush,
@@ -66,6 +101,12 @@ function Sidebar() {
       label: "Resize",
       panel: () => <CanvasSettings isActive={activeSidebar === "canvas"} />,
     },
+    {
+      id: "history",
+      icon: History,
+      label: "History",
+      panel: () => <HistoryPanel isActive={activeSidebar === "history"} />,
+    },
   ];
 
   const handleItemClick = (id) => {
@@ -13,6 +13,7 @@ function AiPanel() {
   const [prompt, setPrompt] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [generatedContent, setGeneratedContent] = useState(null);
+  const [generatedMediaId, setGeneratedMediaId] = useState(null);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadSuccess, setUploadSuccess] = useState(false);
 
@@ -39,6 +40,7 @@ function AiPanel() {
       const response = await generateImageFromAI(prompt);
       if (response && response?.data?.url) {
         setGeneratedContent(response?.data?.url);
+        setGeneratedMediaId(response?.data?._id);
       }
       console.log(response);
     } catch (e) {
@@ -50,7 +52,7 @@ function AiPanel() {
   const handleAiImageToCanvas = async () => {
     if (!canvas && !generatedContent) return;
 
-    addImageToCanvas(canvas, generatedContent);
+    addImageToCanvas(canvas, generatedContent, generatedMediaId);
   };
 
   return (
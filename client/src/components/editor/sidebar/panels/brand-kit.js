@@ -0,0 +1,491 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { applyBrandKit } from "@/fabric/brand-utils";
+import { getUserMedia } from "@/services/upload-service";
+import {
+  addBrandKitLogo,
+  removeBrandKitLogo,
+  updateBrandKit,
+} from "@/services/brand-kit-service";
+import { useEditorStore } from "@/store";
+import { fontManager } from "@/utils/font-manager";
+import { Loader2, Plus, Sparkles, Trash2, X } from "lucide-react";
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+
+// Palettes and font pairs are stored without their subdocument ids
+const stripIds = (items) => items.map(({ _id, ...item }) => item);
+
+function BrandKitPanel() {
+  const { canvas, brandKit, setBrandKit } = useEditorStore();
+
+  const [isBusy, setIsBusy] = useState(false);
+  const [availableFonts, setAvailableFonts] = useState([]);
+  const [newColors, setNewColors] = useState({});
+  const [newFontPair, setNewFontPair] = useState({ heading: "", body: "" });
+  const [uploads, setUploads] = useState(null);
+  const [paletteIndex, setPaletteIndex] = useState("0");
+  const [fontPairIndex, setFontPairIndex] = useState("0");
+  const [isApplying, setIsApplying] = useState(false);
+
+  useEffect(() => {
+    fontManager
+      .initialize()
+      .then(setAvailableFonts)
+      .catch((error) => console.error("Failed to load fonts:", error));
+  }, []);
+
+  if (!brandKit) {
+    return (
+      <div className="flex items-center justify-center p-8">
+        <Loader2 className="w-6 h-6 animate-spin text-slate-400" />
+      </div>
+    );
+  }
+
+  const palettes = brandKit.palettes;
+  const fontPairs = brandKit.fontPairs;
+
+  // Every brand kit endpoint answers with the full, updated kit
+  const runUpdate = async (request) => {
+    setIsBusy(true);
+    try {
+      const response = await request();
+      if (response?.success) setBrandKit(response.data);
+      return !!response?.success;
+    } catch (error) {
+      console.error("Failed to update brand kit:", error);
+      toast.error("Failed to update brand kit");
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const savePalettes = (nextPalettes) =>
+    runUpdate(() => updateBrandKit({ palettes: stripIds(nextPalettes) }));
+
+  const saveFontPairs = (nextFontPairs) =>
+    runUpdate(() => updateBrandKit({ fontPairs: stripIds(nextFontPairs) }));
+
+  const handleRename = (e) => {
+    const name = e.target.value.trim();
+    if (name && name !== brandKit.name) {
+      runUpdate(() => updateBrandKit({ name }));
+    }
+  };
+
+  const handleAddPalette = () =>
+    savePalettes([
+      ...palettes,
+      { name: `Palette ${palettes.length + 1}`, colors: [] },
+    ]);
+
+  const handleRenamePalette = (index, name) => {
+    if (!name.trim() || name.trim() === palettes[index].name) return;
+    savePalettes(
+      palettes.map((palette, i) =>
+        i === index ? { ...palette, name: name.trim() } : palette
+      )
+    );
+  };
+
+  const handleAddColor = (index) => {
+    const color = newColors[index] || "#000000";
+    savePalettes(
+      palettes.map((palette, i) =>
+        i === index
+          ? { ...palette, colors: [...palette.colors, color] }
+          : palette
+      )
+    );
+  };
+
+  const handleRemoveColor = (index, color) =>
+    savePalettes(
+      palettes.map((palette, i) =>
+        i === index
+          ? { ...palette, colors: palette.colors.filter((c) => c !== color) }
+          : palette
+      )
+    );
+
+  const handleRemovePalette = (index) =>
+    savePalettes(palettes.filter((_, i) => i !== index));
+
+  const handleAddFontPair = async () => {
+    const { heading, body } = newFontPair;
+    if (!heading || !body) return;
+
+    const saved = await saveFontPairs([
+      ...fontPairs,
+      { name: `${heading} & ${body}`, heading, body },
+    ]);
+    if (saved) setNewFontPair({ heading: "", body: "" });
+  };
+
+  const handleRemoveFontPair = (index) =>
+    saveFontPairs(fontPairs.filter((_, i) => i !== index));
+
+  const handleShowUploads = async () => {
+    try {
+      const response = await getUserMedia({ type: "image", limit: 100 });
+      setUploads(
+        (response?.data || []).filter((media) => media.resourceType === "image")
+      );
+    } catch (error) {
+      console.error("Error fetching uploads:", error);
+    }
+  };
+
+  const handleAddLogo = async (mediaId) => {
+    const added = await runUpdate(() => addBrandKitLogo(mediaId));
+    if (added) setUploads(null);
+  };
+
+  const handleRemoveLogo = (logoId) =>
+    runUpdate(() => removeBrandKitLogo(logoId));
+
+  const handleApplyBrand = async () => {
+    if (!canvas) return;
+
+    setIsApplying(true);
+    try {
+      const changedCount = await applyBrandKit(canvas, {
+        palette: palettes[Number(paletteIndex)],
+        fontPair: fontPairs[Number(fontPairIndex)],
+      });
+      if (changedCount > 0) {
+        toast.success("Brand applied to this page");
+      } else {
+        toast.info("This page already matches your brand");
+      }
+    } catch (error) {
+      console.error("Failed to apply brand:", error);
+      toast.error("Failed to apply brand");
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  const logoMediaIds = new Set(brandKit.logos.map((logo) => logo.mediaId));
+
+  return (
+    <div className="h-full overflow-y-auto">
+      <div className="p-4 space-y-6">
+        {/* Header */}
+        <div className="space-y-2">
+          <h3 className="text-lg font-bold text-slate-800">Brand Kit</h3>
+          <Input
+            key={brandKit.name}
+            defaultValue={brandKit.name}
+            onBlur={handleRename}
+            onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+            className="h-9 font-medium"
+          />
+        </div>
+
+        {/* Apply Brand */}
+        <div className="space-y-3 p-3 bg-blue-50 border border-blue-200 rounded-xl">
+          <p className="text-xs text-blue-800">
+            Remap the colors and fonts on this page to your brand
+          </p>
+          {palettes.length > 0 && (
+            <Select value={paletteIndex} onValueChange={setPaletteIndex}>
+              <SelectTrigger className="h-9 bg-white">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {palettes.map((palette, index) => (
+                  <SelectItem key={palette._id || index} value={String(index)}>
+                    {palette.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          {fontPairs.length > 0 && (
+            <Select value={fontPairIndex} onValueChange={setFontPairIndex}>
+              <SelectTrigger className="h-9 bg-white">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {fontPairs.map((pair, index) => (
+                  <SelectItem key={pair._id || index} value={String(index)}>
+                    {pair.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          <Button
+            className="w-full"
+            onClick={handleApplyBrand}
+            disabled={
+              isApplying || (palettes.length === 0 && fontPairs.length === 0)
+            }
+          >
+            {isApplying ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <Sparkles className="w-4 h-4 mr-2" />
+            )}
+            Apply Brand
+          </Button>
+        </div>
+
+        {/* Palettes */}
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <h4 className="text-sm font-semibold text-slate-700 uppercase tracking-wide">
+              Colors
+            </h4>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={handleAddPalette}
+              disabled={isBusy}
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Palette
+            </Button>
+          </div>
+
+          {palettes.length === 0 && (
+            <p className="text-xs text-slate-500">
+              Add a palette to keep your brand colors one click away
+            </p>
+          )}
+
+          {palettes.map((palette, index) => (
+            <div
+              key={palette._id || index}
+              className="p-3 space-y-2 border border-slate-200 rounded-xl"
+            >
+              <div className="flex items-center gap-2">
+                <Input
+                  key={palette.name}
+                  defaultValue={palette.name}
+                  onBlur={(e) => handleRenamePalette(index, e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                  className="h-8 text-sm"
+                />
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => handleRemovePalette(index)}
+                  disabled={isBusy}
+                  title="Delete palette"
+                >
+                  <Trash2 className="w-4 h-4 text-slate-500" />
+                </Button>
+              </div>
+              <div className="flex flex-wrap gap-1.5">
+                {palette.colors.map((color) => (
+                  <div key={color} className="relative group">
+                    <div
+                      className="w-7 h-7 rounded-md border border-slate-200"
+                      style={{ backgroundColor: color }}
+                      title={color}
+                    />
+                    <button
+                      onClick={() => handleRemoveColor(index, color)}
+                      disabled={isBusy}
+                      className="absolute -top-1.5 -right-1.5 hidden group-hover:flex w-4 h-4 items-center justify-center bg-white border border-slate-200 rounded-full"
+                      title="Remove color"
+                    >
+                      <X className="w-2.5 h-2.5" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <div className="flex items-center gap-2">
+                <Input
+                  type="color"
+                  value={newColors[index] || "#000000"}
+                  onChange={(e) =>
+                    setNewColors({ ...newColors, [index]: e.target.value })
+                  }
+                  className="w-10 h-8 p-1 cursor-pointer"
+                />
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleAddColor(index)}
+                  disabled={isBusy}
+                >
+                  Add color
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Font Pairs */}
+        <div className="space-y-3">
+          <h4 className="text-sm font-semibold text-slate-700 uppercase tracking-wide">
+            Fonts
+          </h4>
+
+          {fontPairs.map((pair, index) => (
+            <div
+              key={pair._id || index}
+              className="flex items-center gap-2 p-3 border border-slate-200 rounded-xl"
+            >
+              <div className="flex-1 min-w-0">
+                <p
+                  className="text-base font-bold text-slate-800 truncate"
+                  style={{ fontFamily: pair.heading }}
+                >
+                  {pair.heading}
+                </p>
+                <p
+                  className="text-sm text-slate-600 truncate"
+                  style={{ fontFamily: pair.body }}
+                >
+                  {pair.body}
+                </p>
+              </div>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => handleRemoveFontPair(index)}
+                disabled={isBusy}
+                title="Delete font pair"
+              >
+                <Trash2 className="w-4 h-4 text-slate-500" />
+              </Button>
+            </div>
+          ))}
+
+          <div className="p-3 space-y-2 bg-slate-50 border border-slate-200 rounded-xl">
+            {["heading", "body"].map((role) => (
+              <div key={role} className="space-y-1">
+                <Label className="text-xs font-medium text-slate-700 capitalize">
+                  {role}
+                </Label>
+                <Select
+                  value={newFontPair[role]}
+                  onValueChange={(value) =>
+                    setNewFontPair({ ...newFontPair, [role]: value })
+                  }
+                >
+                  <SelectTrigger className="h-9 bg-white">
+                    <SelectValue placeholder="Select font" />
+                  </SelectTrigger>
+                  <SelectContent className="max-h-60">
+                    {availableFonts.map((font) => (
+                      <SelectItem
+                        key={font}
+                        value={font}
+                        style={{ fontFamily: font }}
+                      >
+                        {font}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            ))}
+            <Button
+              variant="outline"
+              size="sm"
+              className="w-full"
+              onClick={handleAddFontPair}
+              disabled={isBusy || !newFontPair.heading || !newFontPair.body}
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Add font pair
+            </Button>
+          </div>
+        </div>
+
+        {/* Logos */}
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <h4 className="text-sm font-semibold text-slate-700 uppercase tracking-wide">
+              Logos
+            </h4>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={uploads ? () => setUploads(null) : handleShowUploads}
+            >
+              {uploads ? "Done" : (
+                <>
+                  <Plus className="w-4 h-4 mr-1" />
+                  Logo
+                </>
+              )}
+            </Button>
+          </div>
+
+          {uploads ? (
+            uploads.length > 0 ? (
+              <div className="grid grid-cols-3 gap-2">
+                {uploads.map((media) => (
+                  <button
+                    key={media._id}
+                    onClick={() => handleAddLogo(media._id)}
+                    disabled={isBusy || logoMediaIds.has(media._id)}
+                    className="aspect-square p-1 bg-white border border-slate-200 hover:border-blue-300 rounded-lg disabled:opacity-40"
+                    title={media.name}
+                  >
+                    <img
+                      src={media.url}
+                      alt={media.name}
+                      className="w-full h-full object-contain"
+                    />
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <p className="text-xs text-slate-500">
+                Upload your logo in the Images panel first
+              </p>
+            )
+          ) : brandKit.logos.length > 0 ? (
+            <div className="grid grid-cols-3 gap-2">
+              {brandKit.logos.map((logo) => (
+                <div
+                  key={logo._id}
+                  className="relative group aspect-square p-1 bg-white border border-slate-200 rounded-lg"
+                >
+                  <img
+                    src={logo.url}
+                    alt={logo.name}
+                    className="w-full h-full object-contain"
+                  />
+                  <button
+                    onClick={() => handleRemoveLogo(logo._id)}
+                    disabled={isBusy}
+                    className="absolute top-1 right-1 hidden group-hover:flex w-5 h-5 items-center justify-center bg-white border border-slate-200 rounded-full"
+                    title="Remove logo"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-xs text-slate-500">
+              Logos you add here show up first in the Shapes panel
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BrandKitPanel;
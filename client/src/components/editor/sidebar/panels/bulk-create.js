@@ -0,0 +1,397 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { CUSTOM_OBJECT_PROPERTIES } from "@/fabric/fabric-utils";
+import {
+  getCanvasVariables,
+  renderRowPreview,
+} from "@/fabric/variable-utils";
+import { readDatasetFile } from "@/lib/dataset";
+import { isPremiumUser } from "@/lib/premium-utils";
+import {
+  createDesignsFromRows,
+  getDesignSourcePages,
+} from "@/services/design-service";
+import { exportRowsAsZip } from "@/services/export-service";
+import { useEditorStore } from "@/store";
+import {
+  ChevronLeft,
+  ChevronRight,
+  ExternalLink,
+  FileSpreadsheet,
+  Loader2,
+  Upload,
+} from "lucide-react";
+import { useEffect, useRef, useState } from "react";
+import { toast } from "sonner";
+
+// Designs a free account can hold, as on the home page
+const FREE_DESIGN_LIMIT = 5;
+
+const OUTPUTS = [
+  { value: "designs", label: "One design per row" },
+  { value: "png", label: "PNG images (zip)" },
+  { value: "pdf", label: "PDF files (zip)" },
+];
+
+function BulkCreatePanel() {
+  const {
+    canvas,
+    designId,
+    name,
+    pages,
+    currentPageId,
+    userSubscription,
+    userDesigns,
+  } = useEditorStore();
+  const fileInputRef = useRef(null);
+  const [variables, setVariables] = useState([]);
+  const [dataset, setDataset] = useState(null);
+  const [rowIndex, setRowIndex] = useState(0);
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [output, setOutput] = useState("designs");
+  const [nameTemplate, setNameTemplate] = useState("");
+  const [progress, setProgress] = useState(null);
+  const [createdDesigns, setCreatedDesigns] = useState([]);
+
+  // Keep the list of variables in sync with the canvas
+  useEffect(() => {
+    if (!canvas) return;
+
+    const updateVariables = () => setVariables(getCanvasVariables(canvas));
+    updateVariables();
+    canvas.on("object:added", updateVariables);
+    canvas.on("object:removed", updateVariables);
+    canvas.on("object:modified", updateVariables);
+    canvas.on("text:changed", updateVariables);
+    return () => {
+      canvas.off("object:added", updateVariables);
+      canvas.off("object:removed", updateVariables);
+      canvas.off("object:modified", updateVariables);
+      canvas.off("text:changed", updateVariables);
+    };
+  }, [canvas]);
+
+  // Preview the selected row on the current page
+  useEffect(() => {
+    if (!canvas || !dataset) return;
+
+    let isCurrent = true;
+    setIsPreviewing(true);
+    renderRowPreview(
+      canvas.toJSON(CUSTOM_OBJECT_PROPERTIES),
+      dataset.rows[rowIndex],
+      { width: canvas.width, height: canvas.height }
+    )
+      .then((dataUrl) => isCurrent && setPreview(dataUrl))
+      .catch((error) => {
+        console.error("Error rendering row preview:", error);
+        if (isCurrent) setPreview(null);
+      })
+      .finally(() => isCurrent && setIsPreviewing(false));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [canvas, dataset, rowIndex]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const nextDataset = await readDatasetFile(file);
+      setDataset({ ...nextDataset, fileName: file.name });
+      setRowIndex(0);
+      setCreatedDesigns([]);
+      if (!nameTemplate) {
+        const [firstVariable] = variables.filter((variable) =>
+          nextDataset.columns.includes(variable)
+        );
+        setNameTemplate(
+          firstVariable ? `${name} - {{${firstVariable}}}` : name || ""
+        );
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleGenerate = async () => {
+    if (!canvas || !designId || !dataset) return;
+
+    const { rows } = dataset;
+    if (
+      output === "designs" &&
+      !isPremiumUser(userSubscription) &&
+      (userDesigns?.length || 0) + rows.length > FREE_DESIGN_LIMIT
+    ) {
+      toast.error(
+        `The free plan is limited to ${FREE_DESIGN_LIMIT} designs. Upgrade to create designs in bulk.`
+      );
+      return;
+    }
+
+    setProgress({ done: 0, total: rows.length });
+    const onProgress = (done, total) => setProgress({ done, total });
+    try {
+      const sourcePages = await getDesignSourcePages(canvas, {
+        designId,
+        pages,
+        currentPageId,
+      });
+      const size = { width: canvas.width, height: canvas.height };
+
+      if (output === "designs") {
+        const designs = await createDesignsFromRows(
+          sourcePages,
+          rows,
+          { ...size, nameTemplate },
+          onProgress
+        );
+        setCreatedDesigns(designs);
+        toast.success(
+          `Created ${designs.length} design${designs.length === 1 ? "" : "s"}`
+        );
+      } else {
+        await exportRowsAsZip(
+          sourcePages,
+          rows,
+          {
+            ...size,
+            format: output,
+            fileNameTemplate: nameTemplate,
+            zipName: name,
+          },
+          onProgress
+        );
+        toast.success(`Exported ${rows.length} files`);
+      }
+    } catch (error) {
+      console.error("Error generating from data:", error);
+      toast.error(error.message || "Bulk creation failed");
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const missingColumns = dataset
+    ? variables.filter((variable) => !dataset.columns.includes(variable))
+    : [];
+  const isGenerating = progress !== null;
+
+  return (
+    <div className="h-full overflow-y-auto">
+      <div className="p-4 space-y-6">
+        <div>
+          <h3 className="text-lg font-bold text-slate-800 mb-2">Bulk Create</h3>
+          <p className="text-sm text-slate-600">
+            Generate certificates, badges and cards from a spreadsheet. Use
+            variables like {"{{name}}"} in text and bind images to a
+            variable, then upload one row per design.
+          </p>
+        </div>
+
+        {/* Variables used by the design */}
+        <div className="space-y-2">
+          <Label className="text-xs font-medium text-slate-700">
+            Variables
+          </Label>
+          {variables.length === 0 ? (
+            <p className="text-xs text-slate-500">
+              No variables on this page yet. Type {"{{name}}"} in a text, or
+              select an image and give it a variable name.
+            </p>
+          ) : (
+            <div className="flex flex-wrap gap-1.5">
+              {variables.map((variable) => (
+                <span
+                  key={variable}
+                  className={`px-2 py-1 rounded-md border text-xs font-mono ${
+                    missingColumns.includes(variable)
+                      ? "border-amber-300 bg-amber-50 text-amber-700"
+                      : "border-slate-200 bg-slate-50 text-slate-700"
+                  }`}
+                >
+                  {variable}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Dataset */}
+        <div className="space-y-2">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+          <Button
+            variant="outline"
+            className="w-full"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isGenerating}
+          >
+            <Upload className="w-4 h-4 mr-2" />
+            {dataset ? "Replace Data" : "Upload CSV or JSON"}
+          </Button>
+          {dataset && (
+            <p className="text-xs text-slate-500">
+              {dataset.fileName}: {dataset.rows.length} row
+              {dataset.rows.length === 1 ? "" : "s"},{" "}
+              {dataset.columns.length} column
+              {dataset.columns.length === 1 ? "" : "s"}
+            </p>
+          )}
+          {missingColumns.length > 0 && (
+            <p className="text-xs text-amber-700">
+              No column for {missingColumns.join(", ")} - these stay as they
+              are
+            </p>
+          )}
+        </div>
+
+        {dataset && (
+          <>
+            {/* Row preview */}
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <Label className="text-xs font-medium text-slate-700">
+                  Preview
+                </Label>
+                <div className="flex items-center gap-1">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="h-7 w-7 p-0"
+                    onClick={() => setRowIndex((index) => index - 1)}
+                    disabled={rowIndex === 0}
+                  >
+                    <ChevronLeft className="w-4 h-4" />
+                  </Button>
+                  <span className="text-xs text-slate-600 tabular-nums">
+                    Row {rowIndex + 1} of {dataset.rows.length}
+                  </span>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="h-7 w-7 p-0"
+                    onClick={() => setRowIndex((index) => index + 1)}
+                    disabled={rowIndex >= dataset.rows.length - 1}
+                  >
+                    <ChevronRight className="w-4 h-4" />
+                  </Button>
+                </div>
+              </div>
+              <div className="relative w-full aspect-[4/3] bg-slate-50 border border-slate-200 rounded-lg flex items-center justify-center overflow-hidden">
+                {preview ? (
+                  <img
+                    src={preview}
+                    alt={`Row ${rowIndex + 1}`}
+                    className="max-w-full max-h-full object-contain"
+                  />
+                ) : (
+                  !isPreviewing && (
+                    <span className="text-xs text-slate-500">
+                      No preview available
+                    </span>
+                  )
+                )}
+                {isPreviewing && (
+                  <Loader2 className="absolute w-5 h-5 animate-spin text-slate-400" />
+                )}
+              </div>
+            </div>
+
+            {/* Output */}
+            <div className="space-y-3">
+              <div className="space-y-2">
+                <Label className="text-xs font-medium text-slate-700">
+                  Create
+                </Label>
+                <Select value={output} onValueChange={setOutput}>
+                  <SelectTrigger className="h-9">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {OUTPUTS.map((option) => (
+                      <SelectItem key={option.value} value={option.value}>
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label className="text-xs font-medium text-slate-700">
+                  {output === "designs" ? "Design name" : "File name"}
+                </Label>
+                <Input
+                  value={nameTemplate}
+                  onChange={(e) => setNameTemplate(e.target.value)}
+                  placeholder="Certificate - {{name}}"
+                  className="h-9 text-sm"
+                />
+              </div>
+              <Button
+                className="w-full"
+                onClick={handleGenerate}
+                disabled={isGenerating || !designId}
+              >
+                {isGenerating ? (
+                  <>
+                    <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                    {progress.done} / {progress.total}
+                  </>
+                ) : (
+                  <>
+                    <FileSpreadsheet className="w-4 h-4 mr-2" />
+                    Generate {dataset.rows.length}
+                  </>
+                )}
+              </Button>
+            </div>
+          </>
+        )}
+
+        {createdDesigns.length > 0 && (
+          <div className="space-y-2">
+            <Label className="text-xs font-medium text-slate-700">
+              Created designs
+            </Label>
+            <div className="space-y-1 max-h-48 overflow-y-auto">
+              {createdDesigns.map((design) => (
+                <a
+                  key={design._id}
+                  href={`/editor/${design._id}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex items-center justify-between p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800 hover:bg-green-100"
+                >
+                  <span className="truncate">{design.name}</span>
+                  <ExternalLink className="w-4 h-4 shrink-0" />
+                </a>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BulkCreatePanel;
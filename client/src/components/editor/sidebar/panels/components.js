@@ -0,0 +1,192 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  addComponentToCanvas,
+  getComponentMasterData,
+  getComponentThumbnail,
+  linkComponentInstance,
+  prepareComponentGroup,
+} from "@/fabric/component-utils";
+import {
+  createComponent,
+  deleteComponent,
+  getComponent,
+  getComponents,
+} from "@/services/component-service";
+import { useEditorStore } from "@/store";
+import { Boxes, Loader2, Plus, Trash2 } from "lucide-react";
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+
+function ComponentsPanel() {
+  const { canvas } = useEditorStore();
+  const [components, setComponents] = useState(null);
+  const [name, setName] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [insertingId, setInsertingId] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+    getComponents().then((response) => {
+      if (isMounted) setComponents(response?.success ? response.data : []);
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  const handleCreate = async () => {
+    const componentName = name.trim();
+    if (!canvas || !componentName) return;
+
+    setIsSaving(true);
+    try {
+      const group = await prepareComponentGroup(canvas);
+      if (!group) {
+        toast.error(
+          "Select the objects to save, or detach a component instance first"
+        );
+        return;
+      }
+
+      const response = await createComponent({
+        name: componentName,
+        data: getComponentMasterData(group),
+        thumbnail: getComponentThumbnail(group),
+      });
+      if (!response?.success) return;
+
+      linkComponentInstance(canvas, group, response.data);
+      const { data, ...component } = response.data;
+      setComponents((current) => [component, ...(current || [])]);
+      setName("");
+      toast.success(`Saved "${componentName}" as a component`);
+    } catch (error) {
+      console.error("Error creating component:", error);
+      toast.error("Failed to save component");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleInsert = async (component) => {
+    setInsertingId(component._id);
+    try {
+      const response = await getComponent(component._id);
+      if (response?.success) {
+        await addComponentToCanvas(canvas, response.data);
+      }
+    } catch (error) {
+      console.error("Error inserting component:", error);
+      toast.error("Failed to insert component");
+    } finally {
+      setInsertingId(null);
+    }
+  };
+
+  const handleDelete = async (component) => {
+    const response = await deleteComponent(component._id);
+    if (response?.success) {
+      setComponents((current) =>
+        current.filter((item) => item._id !== component._id)
+      );
+    }
+  };
+
+  return (
+    <div className="h-full overflow-y-auto">
+      <div className="p-4 space-y-6">
+        <div>
+          <h3 className="text-lg font-bold text-slate-800 mb-2">Components</h3>
+          <p className="text-sm text-slate-600">
+            Reuse headers, footers and logo lockups across designs. Edits to
+            a component reach every design using it the next time it's
+            opened.
+          </p>
+        </div>
+
+        {/* Create from selection */}
+        <div className="space-y-2">
+          <div className="flex gap-2">
+            <Input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && handleCreate()}
+              placeholder="Component name"
+              maxLength={100}
+              className="h-9 text-sm"
+            />
+            <Button
+              size="sm"
+              className="h-9"
+              onClick={handleCreate}
+              disabled={!name.trim() || isSaving}
+              title="Save selection as component"
+            >
+              {isSaving ? (
+                <Loader2 className="w-4 h-4 animate-spin" />
+              ) : (
+                <Plus className="w-4 h-4" />
+              )}
+            </Button>
+          </div>
+          <p className="text-xs text-slate-500">
+            Select one or more objects, then name them to save a component
+          </p>
+        </div>
+
+        {/* Library */}
+        {!components ? (
+          <div className="flex items-center justify-center p-8">
+            <Loader2 className="w-6 h-6 animate-spin text-slate-400" />
+          </div>
+        ) : components.length === 0 ? (
+          <div className="flex flex-col items-center p-6 text-center text-slate-500">
+            <Boxes className="w-8 h-8 mb-2 text-slate-400" />
+            <p className="text-sm">No components yet</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-2 gap-3">
+            {components.map((component) => (
+              <div key={component._id} className="group relative">
+                <button
+                  onClick={() => handleInsert(component)}
+                  disabled={insertingId === component._id}
+                  className="w-full p-2 bg-white hover:bg-slate-50 border border-slate-200 hover:border-blue-300 rounded-xl transition-all duration-300"
+                >
+                  <div className="w-full h-20 bg-slate-50 rounded-lg flex items-center justify-center overflow-hidden">
+                    {insertingId === component._id ? (
+                      <Loader2 className="w-5 h-5 animate-spin text-slate-400" />
+                    ) : component.thumbnail ? (
+                      <img
+                        src={component.thumbnail}
+                        alt={component.name}
+                        className="max-w-full max-h-full object-contain"
+                      />
+                    ) : (
+                      <Boxes className="w-6 h-6 text-slate-400" />
+                    )}
+                  </div>
+                  <span className="block mt-2 text-xs font-medium text-slate-700 truncate">
+                    {component.name}
+                  </span>
+                </button>
+                <button
+                  onClick={() => handleDelete(component)}
+                  className="absolute top-1 right-1 hidden group-hover:flex w-6 h-6 items-center justify-center rounded-md bg-white/90 border border-slate-200 text-slate-500 hover:text-red-600"
+                  title="Delete component"
+                >
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ComponentsPanel;
@@ -1,6 +1,12 @@
 "use client";
 
-import { addShapeToCanvas } from "@/fabric/fabric-utils";
+import { addImageToCanvas, addShapeToCanvas } from "@/fabric/fabric-utils";
+import {
+  MASK_SHAPES,
+  addFrameToCanvas,
+  getMaskShapeLabel,
+} from "@/fabric/mask-utils";
+import { getBrandColors } from "@/lib/brand-kit";
 import {
   shapeDefinitions,
   shapeTypes,
@@ -9,7 +15,9 @@ import { useEditorStore } from "@/store";
 import { useEffect, useRef, useState } from "react";
 
 function ElementsPanel() {
-  const { canvas } = useEditorStore();
+  const { canvas, brandKit } = useEditorStore();
+  const brandLogos = brandKit?.logos || [];
+  const brandColors = getBrandColors(brandKit);
   const miniCanvasRef = useRef({});
   const canvasElementRef = useRef({});
   const [isInitialized, setIsInitialized] = useState(false);
@@ -80,9 +88,56 @@ function ElementsPanel() {
     addShapeToCanvas(canvas, type);
   };
 
+  const handleBrandLogoClick = (logo) => {
+    if (!canvas) return;
+    addImageToCanvas(canvas, logo.url, logo.mediaId);
+  };
+
   return (
     <div className="h-full overflow-y-auto">
       <div className="p-4">
+        {/* Brand Kit */}
+        {(brandLogos.length > 0 || brandColors.length > 0) && (
+          <div className="mb-6 space-y-3">
+            <h4 className="text-sm font-semibold text-slate-700 uppercase tracking-wide">
+              {brandKit.name}
+            </h4>
+            {brandLogos.length > 0 && (
+              <div className="grid grid-cols-3 gap-2">
+                {brandLogos.map((logo) => (
+                  <button
+                    key={logo._id}
+                    onClick={() => handleBrandLogoClick(logo)}
+                    title={logo.name}
+                    className="aspect-square p-2 bg-white hover:bg-slate-50 border border-slate-200 hover:border-blue-300 rounded-xl transition-all duration-300"
+                  >
+                    <img
+                      src={logo.url}
+                      alt={logo.name}
+                      className="w-full h-full object-contain"
+                    />
+                  </button>
+                ))}
+              </div>
+            )}
+            {brandColors.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {brandColors.map((color) => (
+                  <button
+                    key={color}
+                    onClick={() =>
+                      addShapeToCanvas(canvas, "rectangle", { fill: color })
+                    }
+                    title={`Add a ${color} rectangle`}
+                    className="w-8 h-8 rounded-lg border border-slate-200 hover:scale-110 transition-transform"
+                    style={{ backgroundColor: color }}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Header */}
         <div className="mb-6">
           <h3 className="text-lg font-bold text-slate-800 mb-2">
@@ -144,6 +199,32 @@ function ElementsPanel() {
           </div>
         </div>
 
+        {/* Frames */}
+        <div className="mt-6 space-y-4">
+          <div>
+            <h4 className="text-sm font-semibold text-slate-700 uppercase tracking-wide">
+              Frames
+            </h4>
+            <p className="text-xs text-slate-500 mt-1">
+              Drag an image onto a frame to fill it
+            </p>
+          </div>
+          <div className="grid grid-cols-3 gap-2">
+            {MASK_SHAPES.map((shape) => (
+              <button
+                key={shape}
+                onClick={() => addFrameToCanvas(canvas, shape)}
+                className="flex flex-col items-center gap-1.5 p-2 bg-white hover:bg-slate-50 border border-slate-200 hover:border-blue-300 rounded-xl transition-all duration-300"
+              >
+                <div className="w-8 h-8 rounded-md border-2 border-dashed border-slate-400 bg-slate-100" />
+                <span className="text-xs font-medium text-slate-700 text-center">
+                  {getMaskShapeLabel(shape)}
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+
         {/* Tips */}
         <div className="mt-6 p-3 bg-blue-50 border border-blue-200 rounded-xl">
           <p className="text-xs text-blue-800 font-medium">💡 Tip</p>
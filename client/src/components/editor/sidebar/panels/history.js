@@ -0,0 +1,292 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Separator } from "@/components/ui/separator";
+import {
+  createDesignVersion,
+  deleteDesignVersion,
+  getDesignPage,
+  getDesignVersions,
+  restoreDesignVersion,
+} from "@/services/design-service";
+import { loadCanvasContent, resizeCanvas } from "@/fabric/fabric-utils";
+import { useEditorStore } from "@/store";
+import { cn } from "@/lib/utils";
+import { Bookmark, Clock, Loader2, RotateCcw, Trash2 } from "lucide-react";
+import { useCallback, useEffect, useState } from "react";
+import { toast } from "sonner";
+
+const VERSION_TYPE_LABELS = {
+  auto: "Auto-save",
+  manual: "Checkpoint",
+  restore: "Before restore",
+};
+
+const formatVersionDate = (date) =>
+  new Date(date).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+function HistoryPanel({ isActive }) {
+  const {
+    canvas,
+    designId,
+    setName,
+    setPages,
+    setCurrentPageId,
+    flushPendingSave,
+    collaboration,
+  } = useEditorStore();
+
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [checkpointLabel, setCheckpointLabel] = useState("");
+  const [isSavingCheckpoint, setIsSavingCheckpoint] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const fetchVersions = useCallback(async () => {
+    if (!designId) return;
+
+    setIsLoading(true);
+    try {
+      const response = await getDesignVersions(designId, { limit: 50 });
+      setVersions(response.data || []);
+    } catch (error) {
+      console.error("Failed to load version history:", error);
+      toast.error("Failed to load version history");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [designId]);
+
+  useEffect(() => {
+    if (isActive) fetchVersions();
+  }, [isActive, fetchVersions]);
+
+  const handleSaveCheckpoint = async () => {
+    if (!designId || !checkpointLabel.trim()) return;
+
+    setIsSavingCheckpoint(true);
+    try {
+      // Make sure the checkpoint contains the latest edits
+      await flushPendingSave();
+      await createDesignVersion(designId, checkpointLabel.trim());
+      setCheckpointLabel("");
+      toast.success("Version saved");
+      fetchVersions();
+    } catch (error) {
+      console.error("Failed to save version:", error);
+      toast.error(error.response?.data?.message || "Failed to save version");
+    } finally {
+      setIsSavingCheckpoint(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!canvas || !designId || !selectedVersion) return;
+
+    setIsRestoring(true);
+    try {
+      await flushPendingSave();
+
+      const response = await restoreDesignVersion(
+        designId,
+        selectedVersion._id
+      );
+      const design = response.data;
+
+      if (
+        canvas.getWidth() !== design.width ||
+        canvas.getHeight() !== design.height
+      ) {
+        resizeCanvas(canvas, design.width, design.height);
+      }
+
+      // While editing together the server tells every editor, us included,
+      // to reload the restored pages
+      if (!collaboration) {
+        const firstPage = (await getDesignPage(designId, design.pages[0]._id))
+          .data;
+        await loadCanvasContent(
+          canvas,
+          firstPage.canvasData,
+          firstPage.background
+        );
+        setPages(design.pages);
+        setCurrentPageId(firstPage._id);
+      }
+
+      setName(design.name);
+      setSelectedVersion(null);
+
+      toast.success("Version restored");
+      fetchVersions();
+    } catch (error) {
+      console.error("Failed to restore version:", error);
+      toast.error(error.response?.data?.message || "Failed to restore version");
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const handleDelete = async (version) => {
+    try {
+      await deleteDesignVersion(designId, version._id);
+      setVersions((prev) => prev.filter((item) => item._id !== version._id));
+      if (selectedVersion?._id === version._id) setSelectedVersion(null);
+    } catch (error) {
+      console.error("Failed to delete version:", error);
+      toast.error("Failed to delete version");
+    }
+  };
+
+  return (
+    <div className="h-full overflow-y-auto">
+      <div className="p-4 space-y-6">
+        {/* Header */}
+        <div>
+          <h3 className="text-lg font-bold text-slate-800 mb-2">
+            Version History
+          </h3>
+          <p className="text-sm text-slate-600">
+            Snapshots are saved automatically while you work
+          </p>
+        </div>
+
+        {/* Named checkpoint */}
+        <div className="space-y-2">
+          <div className="flex items-center gap-2">
+            <Bookmark className="w-5 h-5 text-blue-500" />
+            <h4 className="text-sm font-semibold text-slate-700 uppercase tracking-wide">
+              Save Checkpoint
+            </h4>
+          </div>
+          <div className="flex gap-2">
+            <Input
+              value={checkpointLabel}
+              onChange={(e) => setCheckpointLabel(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && handleSaveCheckpoint()}
+              placeholder="e.g. Before client review"
+              maxLength={100}
+            />
+            <Button
+              onClick={handleSaveCheckpoint}
+              disabled={isSavingCheckpoint || !checkpointLabel.trim()}
+            >
+              {isSavingCheckpoint ? (
+                <Loader2 className="h-4 w-4 animate-spin" />
+              ) : (
+                "Save"
+              )}
+            </Button>
+          </div>
+        </div>
+
+        <Separator />
+
+        {/* Preview of the selected version */}
+        {selectedVersion && (
+          <div className="space-y-3">
+            <div className="rounded-lg border bg-gray-50 aspect-video flex items-center justify-center overflow-hidden">
+              {selectedVersion.thumbnail ? (
+                <img
+                  src={selectedVersion.thumbnail}
+                  alt={selectedVersion.label || "Version preview"}
+                  className="max-w-full max-h-full object-contain"
+                />
+              ) : (
+                <span className="text-sm text-gray-400">
+                  No preview available
+                </span>
+              )}
+            </div>
+            <div className="text-sm text-slate-600">
+              {selectedVersion.pages?.length || 1} page(s) ·{" "}
+              {selectedVersion.width}×{selectedVersion.height}
+            </div>
+            <Button
+              className="w-full"
+              onClick={handleRestore}
+              disabled={isRestoring}
+            >
+              {isRestoring ? (
+                <Loader2 className="h-4 w-4 animate-spin mr-2" />
+              ) : (
+                <RotateCcw className="h-4 w-4 mr-2" />
+              )}
+              Restore this version
+            </Button>
+          </div>
+        )}
+
+        {/* Version list */}
+        <div className="space-y-2">
+          <div className="flex items-center gap-2">
+            <Clock className="w-5 h-5 text-blue-500" />
+            <h4 className="text-sm font-semibold text-slate-700 uppercase tracking-wide">
+              Versions
+            </h4>
+          </div>
+
+          {isLoading ? (
+            <div className="flex justify-center py-6">
+              <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+            </div>
+          ) : versions.length === 0 ? (
+            <p className="text-sm text-slate-500 py-4">
+              No versions yet. Keep editing or save a checkpoint.
+            </p>
+          ) : (
+            versions.map((version) => (
+              <div
+                key={version._id}
+                onClick={() => setSelectedVersion(version)}
+                className={cn(
+                  "group flex items-center gap-3 p-2 rounded-lg border cursor-pointer hover:bg-gray-50",
+                  selectedVersion?._id === version._id &&
+                    "border-purple-500 bg-purple-50"
+                )}
+              >
+                <div className="w-12 h-12 rounded bg-gray-100 overflow-hidden shrink-0">
+                  {version.thumbnail && (
+                    <img
+                      src={version.thumbnail}
+                      alt=""
+                      className="w-full h-full object-cover"
+                    />
+                  )}
+                </div>
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm font-medium text-slate-800 truncate">
+                    {version.label || VERSION_TYPE_LABELS[version.type]}
+                  </div>
+                  <div className="text-xs text-slate-500">
+                    {formatVersionDate(version.createdAt)}
+                    {version.label && ` · ${VERSION_TYPE_LABELS[version.type]}`}
+                  </div>
+                </div>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleDelete(version);
+                  }}
+                  className="hidden group-hover:block p-1 text-gray-400 hover:text-red-500"
+                  title="Delete version"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default HistoryPanel;
@@ -0,0 +1,271 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  getLayerName,
+  getLayerTree,
+  groupSelectedLayers,
+  isGroupLayer,
+  isTextLayer,
+  moveLayer,
+  renameLayer,
+  selectLayer,
+  setLayerLocked,
+  setLayerVisible,
+  ungroupLayer,
+} from "@/fabric/layer-utils";
+import { cn } from "@/lib/utils";
+import { useEditorStore } from "@/store";
+import {
+  ChevronDown,
+  ChevronRight,
+  Eye,
+  EyeOff,
+  Folder,
+  GripVertical,
+  Group,
+  Image,
+  Lock,
+  LockOpen,
+  PenTool,
+  Shapes,
+  Type,
+  Ungroup,
+} from "lucide-react";
+import { useEffect, useState } from "react";
+
+// Canvas events after which the list has to be rebuilt
+const LAYER_EVENTS = [
+  "object:added",
+  "object:removed",
+  "object:modified",
+  "selection:created",
+  "selection:updated",
+  "selection:cleared",
+  "text:changed",
+];
+
+const getLayerIcon = (object) => {
+  if (isGroupLayer(object)) return Folder;
+  if (isTextLayer(object)) return Type;
+  if (object.type === "image") return Image;
+  if (object.type === "path") return PenTool;
+  return Shapes;
+};
+
+function LayersPanel() {
+  const { canvas } = useEditorStore();
+  const [, setLayersVersion] = useState(0);
+  const [collapsedGroups, setCollapsedGroups] = useState(new Set());
+  const [renamingObject, setRenamingObject] = useState(null);
+  const [draggedNode, setDraggedNode] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  useEffect(() => {
+    if (!canvas) return;
+
+    const handleLayersChanged = () =>
+      setLayersVersion((version) => version + 1);
+
+    LAYER_EVENTS.forEach((event) => canvas.on(event, handleLayersChanged));
+    return () => {
+      LAYER_EVENTS.forEach((event) => canvas.off(event, handleLayersChanged));
+    };
+  }, [canvas]);
+
+  if (!canvas) return null;
+
+  const layers = getLayerTree(canvas);
+  const activeObjects = canvas.getActiveObjects();
+  const activeObject = canvas.getActiveObject();
+  const canGroup = activeObjects.filter((object) => !object.parent).length > 1;
+  const canUngroup =
+    activeObject && isGroupLayer(activeObject) && !activeObject.parent;
+
+  const toggleGroup = (group) => {
+    const next = new Set(collapsedGroups);
+    if (next.has(group)) next.delete(group);
+    else next.add(group);
+    setCollapsedGroups(next);
+  };
+
+  const handleRename = (object, name) => {
+    renameLayer(canvas, object, name);
+    setRenamingObject(null);
+  };
+
+  const handleDrop = (targetNode) => {
+    setDropTarget(null);
+    if (!draggedNode || draggedNode.object === targetNode.object) return;
+    // Layers only move among their siblings
+    if (draggedNode.parent !== targetNode.parent) return;
+
+    moveLayer(
+      canvas,
+      draggedNode,
+      targetNode.parent.getObjects().indexOf(targetNode.object)
+    );
+  };
+
+  const renderLayer = (node) => {
+    const { object, depth, children } = node;
+    const Icon = getLayerIcon(object);
+    const isSelected =
+      activeObject === object || activeObjects.includes(object);
+    const isCollapsed = collapsedGroups.has(object);
+
+    return (
+      <div
+        key={object.id || `${depth}-${node.parent.getObjects().indexOf(object)}`}
+      >
+        <div
+          draggable={renamingObject !== object}
+          onDragStart={() => setDraggedNode(node)}
+          onDragOver={(e) => {
+            if (draggedNode?.parent !== node.parent) return;
+            e.preventDefault();
+            setDropTarget(object);
+          }}
+          onDragLeave={() => setDropTarget(null)}
+          onDrop={() => handleDrop(node)}
+          onDragEnd={() => {
+            setDraggedNode(null);
+            setDropTarget(null);
+          }}
+          onClick={(e) => selectLayer(canvas, object, e.shiftKey)}
+          onDoubleClick={() => setRenamingObject(object)}
+          className={cn(
+            "group flex items-center gap-1.5 h-9 pr-2 rounded-lg border border-transparent cursor-pointer text-sm",
+            isSelected ? "bg-blue-50 border-blue-200" : "hover:bg-slate-50",
+            dropTarget === object && "border-blue-400 border-dashed",
+            draggedNode?.object === object && "opacity-50",
+            !object.visible && "text-slate-400"
+          )}
+          style={{ paddingLeft: 4 + depth * 16 }}
+        >
+          <GripVertical className="w-3.5 h-3.5 shrink-0 text-slate-300 cursor-grab" />
+          {isGroupLayer(object) ? (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                toggleGroup(object);
+              }}
+              className="shrink-0 text-slate-500"
+            >
+              {isCollapsed ? (
+                <ChevronRight className="w-3.5 h-3.5" />
+              ) : (
+                <ChevronDown className="w-3.5 h-3.5" />
+              )}
+            </button>
+          ) : (
+            <span className="w-3.5 shrink-0" />
+          )}
+          <Icon className="w-4 h-4 shrink-0 text-slate-500" />
+
+          {renamingObject === object ? (
+            <Input
+              autoFocus
+              defaultValue={getLayerName(object)}
+              onClick={(e) => e.stopPropagation()}
+              onBlur={(e) => handleRename(object, e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") e.currentTarget.blur();
+                if (e.key === "Escape") setRenamingObject(null);
+              }}
+              className="h-7 px-2 text-sm"
+            />
+          ) : (
+            <span className="flex-1 truncate">{getLayerName(object)}</span>
+          )}
+
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              setLayerLocked(canvas, object, !object.locked);
+            }}
+            className={cn(
+              "shrink-0 p-1 rounded hover:bg-slate-200",
+              !object.locked && "opacity-0 group-hover:opacity-100"
+            )}
+            title={object.locked ? "Unlock" : "Lock"}
+          >
+            {object.locked ? (
+              <Lock className="w-3.5 h-3.5" />
+            ) : (
+              <LockOpen className="w-3.5 h-3.5" />
+            )}
+          </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              setLayerVisible(canvas, object, !object.visible);
+            }}
+            className={cn(
+              "shrink-0 p-1 rounded hover:bg-slate-200",
+              object.visible && "opacity-0 group-hover:opacity-100"
+            )}
+            title={object.visible ? "Hide" : "Show"}
+          >
+            {object.visible ? (
+              <Eye className="w-3.5 h-3.5" />
+            ) : (
+              <EyeOff className="w-3.5 h-3.5" />
+            )}
+          </button>
+        </div>
+
+        {children.length > 0 && !isCollapsed && children.map(renderLayer)}
+      </div>
+    );
+  };
+
+  return (
+    <div className="h-full overflow-y-auto">
+      <div className="p-4 space-y-4">
+        {/* Header */}
+        <div>
+          <h3 className="text-lg font-bold text-slate-800 mb-2">Layers</h3>
+          <p className="text-sm text-slate-600">
+            Drag to reorder, double-click to rename, shift-click to select
+            several
+          </p>
+        </div>
+
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            className="flex-1"
+            onClick={() => groupSelectedLayers(canvas)}
+            disabled={!canGroup}
+          >
+            <Group className="w-4 h-4 mr-1" />
+            Group
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            className="flex-1"
+            onClick={() => ungroupLayer(canvas, activeObject)}
+            disabled={!canUngroup}
+          >
+            <Ungroup className="w-4 h-4 mr-1" />
+            Ungroup
+          </Button>
+        </div>
+
+        {layers.length > 0 ? (
+          <div className="space-y-0.5">{layers.map(renderLayer)}</div>
+        ) : (
+          <div className="p-8 text-center border-2 border-dashed border-slate-200 rounded-xl">
+            <p className="text-sm text-slate-500">This page has no layers yet</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LayersPanel;
@@ -3,6 +3,7 @@
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
+import { createResizedDesigns } from "@/services/design-service";
 import { useEditorStore } from "@/store";
 import {
   Maximize2,
@@ -11,8 +12,13 @@ import {
   Tablet,
   Square,
   Crop,
+  Check,
+  ExternalLink,
+  Loader2,
+  Wand2,
 } from "lucide-react";
 import { useState, useEffect } from "react";
+import { toast } from "sonner";
 
 const presetSizes = [
   { name: "Instagram Post", width: 1080, height: 1080, icon: Square },
@@ -26,9 +32,13 @@ const presetSizes = [
 ];
 
 function ResizePanel() {
-  const { canvas, markAsModified } = useEditorStore();
+  const { canvas, markAsModified, designId, name, pages, currentPageId } =
+    useEditorStore();
   const [customWidth, setCustomWidth] = useState(800);
   const [customHeight, setCustomHeight] = useState(600);
+  const [magicResizeSizes, setMagicResizeSizes] = useState([]);
+  const [isMagicResizing, setIsMagicResizing] = useState(false);
+  const [resizedDesigns, setResizedDesigns] = useState([]);
 
   useEffect(() => {
     if (canvas) {
@@ -48,6 +58,39 @@ function ResizePanel() {
     setCustomHeight(height);
   };
 
+  const toggleMagicResizeSize = (preset) => {
+    setMagicResizeSizes((sizes) =>
+      sizes.includes(preset)
+        ? sizes.filter((size) => size !== preset)
+        : [...sizes, preset]
+    );
+  };
+
+  const handleMagicResize = async () => {
+    if (!canvas || !designId || magicResizeSizes.length === 0) return;
+
+    setIsMagicResizing(true);
+    try {
+      const designs = await createResizedDesigns(
+        canvas,
+        { designId, name, pages, currentPageId },
+        presetSizes.filter((preset) => magicResizeSizes.includes(preset))
+      );
+      setResizedDesigns(designs);
+      setMagicResizeSizes([]);
+      toast.success(
+        `Created ${designs.length} resized design${
+          designs.length === 1 ? "" : "s"
+        }`
+      );
+    } catch (error) {
+      console.error("Error creating resized designs:", error);
+      toast.error(error.message || "Failed to create resized designs");
+    } finally {
+      setIsMagicResizing(false);
+    }
+  };
+
   const handleCustomResize = () => {
     if (!canvas) return;
 
@@ -173,6 +216,86 @@ function ResizePanel() {
           </div>
         </div>
 
+        {/* Magic Resize */}
+        <div className="space-y-4">
+          <div>
+            <h4 className="text-sm font-semibold text-slate-700 uppercase tracking-wide">
+              Magic Resize
+            </h4>
+            <p className="text-xs text-slate-500 mt-1">
+              Copy this design into new sizes with the layout adapted to each
+            </p>
+          </div>
+
+          <div className="bg-white p-2 border border-slate-200 rounded-xl space-y-1">
+            {presetSizes.map((preset) => {
+              const isSelected = magicResizeSizes.includes(preset);
+              return (
+                <button
+                  key={preset.name}
+                  onClick={() => toggleMagicResizeSize(preset)}
+                  disabled={isMagicResizing}
+                  className="w-full flex items-center gap-3 p-2 rounded-lg hover:bg-slate-50 text-left"
+                >
+                  <div
+                    className={`w-4 h-4 rounded border flex items-center justify-center ${
+                      isSelected
+                        ? "bg-blue-500 border-blue-500"
+                        : "border-slate-300"
+                    }`}
+                  >
+                    {isSelected && <Check className="w-3 h-3 text-white" />}
+                  </div>
+                  <span className="flex-1 text-sm text-slate-800">
+                    {preset.name}
+                  </span>
+                  <span className="text-xs text-slate-500">
+                    {preset.width} × {preset.height}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+
+          <Button
+            onClick={handleMagicResize}
+            disabled={
+              !designId || magicResizeSizes.length === 0 || isMagicResizing
+            }
+            className="w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white rounded-xl font-medium"
+          >
+            {isMagicResizing ? (
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            ) : (
+              <Wand2 className="mr-2 h-4 w-4" />
+            )}
+            {isMagicResizing
+              ? "Resizing..."
+              : magicResizeSizes.length > 0
+              ? `Create ${magicResizeSizes.length} design${
+                  magicResizeSizes.length === 1 ? "" : "s"
+                }`
+              : "Select sizes to create"}
+          </Button>
+
+          {resizedDesigns.length > 0 && (
+            <div className="space-y-2">
+              {resizedDesigns.map((design) => (
+                <a
+                  key={design._id}
+                  href={`/editor/${design._id}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex items-center justify-between p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800 hover:bg-green-100"
+                >
+                  <span className="truncate">{design.size.name}</span>
+                  <ExternalLink className="w-4 h-4 shrink-0" />
+                </a>
+              ))}
+            </div>
+          )}
+        </div>
+
         {/* Custom Size */}
         <div className="space-y-4">
           <h4 className="text-sm font-semibold text-slate-700 uppercase tracking-wide">
@@ -10,6 +10,7 @@ import {
   TooltipTrigger,
 } from "@/components/ui/tooltip";
 import { colorPresets } from "@/config";
+import BrandColors from "@/components/editor/brand-kit/brand-colors";
 import { centerCanvas } from "@/fabric/fabric-utils";
 import { useEditorStore } from "@/store";
 import { Check, Palette } from "lucide-react";
@@ -60,6 +61,11 @@ function SettingsPanel() {
 
           {/* Color Presets */}
           <div className="space-y-3">
+            <BrandColors
+              value={backgroundColor}
+              onSelect={handleColorPresetApply}
+            />
+
             <div className="grid grid-cols-6 gap-3">
               {colorPresets.map((color) => (
                 <TooltipProvider key={color}>
@@ -1,109 +1,252 @@
 "use client";
 
+import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import { addImageToCanvas } from "@/fabric/fabric-utils";
-import { fetchWithAuth } from "@/services/base-service";
-import { uploadFileWithAuth, deleteMediaFromLibrary } from "@/services/upload-service";
+import { useMediaLibrary } from "@/hooks/useMediaLibrary";
+import {
+  deleteMediaInBulk,
+  updateMediaInBulk,
+  uploadFileWithAuth,
+} from "@/services/upload-service";
 import { useEditorStore } from "@/store";
-import { Loader2, Upload, Trash2 } from "lucide-react";
+import {
+  Check,
+  CheckSquare,
+  FolderPlus,
+  Loader2,
+  Pencil,
+  Search,
+  Trash2,
+  Upload,
+  X,
+} from "lucide-react";
 import { useSession } from "next-auth/react";
-import { useCallback, useEffect, useState } from "react";
+import { useState } from "react";
 import { toast } from "sonner";
 
+const ALL_MEDIA = "all";
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.ceil(bytes / 1024)} KB`;
+};
+
+function StorageMeter({ storage }) {
+  if (!storage) return null;
+
+  const percent = Math.min(100, (storage.used / storage.quota) * 100);
+  return (
+    <div className="space-y-1">
+      <div className="flex justify-between text-xs text-slate-600">
+        <span>Storage</span>
+        <span>
+          {formatBytes(storage.used)} of {formatBytes(storage.quota)}
+        </span>
+      </div>
+      <div className="h-1.5 bg-slate-200 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full ${
+            percent >= 90 ? "bg-amber-500" : "bg-blue-500"
+          }`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
 function UploadPanel() {
-  const { canvas } = useEditorStore();
+  const { canvas, brandKit, setBrandKit } = useEditorStore();
+  const { status } = useSession();
+  const library = useMediaLibrary(status === "authenticated");
+  const { media, setMedia, folders, folderId } = library;
 
   const [isUploading, setIsUploading] = useState(false);
-  const [isLoading, setIsLoading] = useState(false);
-  const [userUploads, setUserUploads] = useState([]);
-  const [deletingIds, setDeletingIds] = useState(new Set());
+  const [uploadTags, setUploadTags] = useState("");
+  const [folderName, setFolderName] = useState(null);
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [bulkTag, setBulkTag] = useState("");
+  const [isWorking, setIsWorking] = useState(false);
 
-  const { data: session, status } = useSession();
+  const currentFolder = folders.find((folder) => folder._id === folderId);
 
-  const fetchUserUploads = useCallback(async () => {
-    if (status !== "authenticated" || !session?.idToken) return;
+  const handleFileUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length === 0) return;
 
+    setIsUploading(true);
     try {
-      setIsLoading(true);
-      const data = await fetchWithAuth("/v1/media/get");
-      setUserUploads(data?.data || []);
-    } catch (e) {
-      console.error("Error fetching uploads:", e);
+      for (const file of files) {
+        const result = await uploadFileWithAuth(file, {
+          folderId: currentFolder?._id,
+          tags: uploadTags.trim() || undefined,
+        });
+        if (result?.data) setMedia((prev) => [result.data, ...prev]);
+      }
+    } catch (error) {
+      console.error("Error while uploading the file:", error);
+      toast.error(error.message);
     } finally {
-      setIsLoading(false);
+      setIsUploading(false);
+      e.target.value = "";
+      library.refreshOverview();
     }
-  }, [status, session?.idToken]);
+  };
 
-  useEffect(() => {
-    if (status === "authenticated") fetchUserUploads();
-  }, [status, fetchUserUploads]);
+  const handleAddImage = (imageData) => {
+    if (!canvas) return;
+    addImageToCanvas(canvas, imageData.url, imageData._id);
+  };
 
-  const handleFileUpload = async (e) => {
-    console.log(e.target.files);
-    const file = e.target.files[0];
+  const toggleSelected = (mediaId) =>
+    setSelectedIds((current) => {
+      const next = new Set(current);
+      next.has(mediaId) ? next.delete(mediaId) : next.add(mediaId);
+      return next;
+    });
 
-    setIsUploading(true);
+  const stopSelecting = () => {
+    setIsSelecting(false);
+    setSelectedIds(new Set());
+    setBulkTag("");
+  };
 
+  const deleteMedia = async (ids, force = false) => {
+    setIsWorking(true);
     try {
-      const result = await uploadFileWithAuth(file);
+      const response = await deleteMediaInBulk(ids, force);
+      if (!response?.success) return;
 
-      setUserUploads((prev) => [result?.data, ...prev]);
+      const deleted = new Set(response.data.deletedIds);
+      setMedia((prev) => prev.filter((item) => !deleted.has(item._id)));
+      // The server drops deleted images from the brand kit's logos too
+      if (brandKit) {
+        setBrandKit({
+          ...brandKit,
+          logos: brandKit.logos.filter((logo) => !deleted.has(logo.mediaId)),
+        });
+      }
+      setSelectedIds(new Set());
+      toast.success(response.message);
+      library.refreshOverview();
+    } catch (error) {
+      const data = error.response?.data;
+      if (data?.code !== "MEDIA_IN_USE") {
+        console.error("Error deleting media:", error);
+        toast.error(data?.message || "Failed to delete media");
+        return;
+      }
 
-      console.log(result);
-    } catch (e) {
-      console.error("Error while uploading the file");
+      const designNames = [
+        ...new Set(
+          data.data.usage.flatMap((item) =>
+            item.designs.map((design) => design.name)
+          )
+        ),
+      ];
+      toast.warning(data.message, {
+        description: `Used in: ${designNames.slice(0, 5).join(", ")}${
+          designNames.length > 5 ? "…" : ""
+        }`,
+        action: {
+          label: "Delete anyway",
+          onClick: () => deleteMedia(ids, true),
+        },
+      });
     } finally {
-      setIsUploading(false);
-      e.target.value = "";
+      setIsWorking(false);
     }
   };
 
-  const handleAddImage = (imageUrl) => {
-    if (!canvas) return;
-    addImageToCanvas(canvas, imageUrl);
+  const updateSelected = async (updates) => {
+    setIsWorking(true);
+    try {
+      const response = await updateMediaInBulk([...selectedIds], updates);
+      if (!response?.success) return;
+
+      toast.success(response.message);
+      setBulkTag("");
+      library.refreshMedia();
+      library.refreshOverview();
+    } catch (error) {
+      console.error("Error updating media:", error);
+      toast.error(error.response?.data?.message || "Failed to update media");
+    } finally {
+      setIsWorking(false);
+    }
   };
 
-  const handleDeleteImage = async (mediaId, mediaName) => {
-    if (deletingIds.has(mediaId)) return; // Prevent double-clicks
+  const handleSaveFolder = async () => {
+    const name = folderName?.trim();
+    if (!name) return setFolderName(null);
 
     try {
-      setDeletingIds(prev => new Set(prev).add(mediaId));
-      
-      const response = await deleteMediaFromLibrary(mediaId);
-      
-      if (response.success) {
-        // Remove from local state
-        setUserUploads(prev => prev.filter(item => item._id !== mediaId));
-        toast.success("Image deleted successfully");
-      } else {
-        throw new Error("Failed to delete image");
-      }
+      const folder = await library.addFolder(name);
+      if (folder) library.setFolderId(folder._id);
+      setFolderName(null);
     } catch (error) {
-      console.error("Error deleting image:", error);
-      toast.error("Failed to delete image");
-    } finally {
-      setDeletingIds(prev => {
-        const newSet = new Set(prev);
-        newSet.delete(mediaId);
-        return newSet;
-      });
+      toast.error(error.response?.data?.message || "Failed to create folder");
     }
   };
 
-  console.log("userUploads:", userUploads.length, "deletingIds:", deletingIds.size);
+  const handleRenameFolder = async () => {
+    const name = window.prompt("Rename folder", currentFolder.name)?.trim();
+    if (!name || name === currentFolder.name) return;
+
+    try {
+      await library.renameFolder(currentFolder._id, name);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to rename folder");
+    }
+  };
+
+  const handleDeleteFolder = async () => {
+    try {
+      await library.removeFolder(currentFolder._id);
+      toast.success(
+        `Deleted "${currentFolder.name}", its images moved to Unfiled`
+      );
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to delete folder");
+    }
+  };
+
+  const uploadInput = (
+    <Input
+      type="file"
+      className="hidden"
+      accept="image/*"
+      multiple
+      onChange={handleFileUpload}
+      disabled={isUploading}
+    />
+  );
 
   return (
     <div className="h-full overflow-y-auto">
       <div className="p-4 space-y-6">
         {/* Header */}
-        <div>
-          <h3 className="text-lg font-bold text-slate-800 mb-2">
-            Media Library
-          </h3>
-          <p className="text-sm text-slate-600">
-            Upload and manage your images
-          </p>
+        <div className="space-y-3">
+          <div>
+            <h3 className="text-lg font-bold text-slate-800 mb-2">
+              Media Library
+            </h3>
+            <p className="text-sm text-slate-600">
+              Upload and manage your images
+            </p>
+          </div>
+          <StorageMeter storage={library.storage} />
         </div>
 
         {/* Upload Action */}
@@ -120,16 +263,17 @@ function UploadPanel() {
               <Upload className="w-5 h-5" />
             )}
             <span>{isUploading ? "Uploading..." : "Upload Image"}</span>
-            <Input
-              type="file"
-              className="hidden"
-              accept="image/*"
-              onChange={handleFileUpload}
-              disabled={isUploading}
-            />
+            {uploadInput}
           </Label>
+          <Input
+            value={uploadTags}
+            onChange={(e) => setUploadTags(e.target.value)}
+            placeholder="Tags for new uploads, comma separated"
+            className="h-8 text-xs"
+          />
           <p className="text-xs text-slate-500 text-center">
             Supports PNG, JPG, JPEG, WebP, SVG
+            {currentFolder && ` · Uploading to "${currentFolder.name}"`}
           </p>
         </div>
 
@@ -139,14 +283,211 @@ function UploadPanel() {
             <h4 className="text-sm font-semibold text-slate-700 uppercase tracking-wide">
               Your Library
             </h4>
-            {userUploads.length > 0 && (
-              <span className="text-xs text-slate-500">
-                {userUploads.length} images
-              </span>
+            <div className="flex items-center gap-2">
+              {library.total > 0 && (
+                <span className="text-xs text-slate-500">
+                  {library.total} images
+                </span>
+              )}
+              <button
+                onClick={() =>
+                  isSelecting ? stopSelecting() : setIsSelecting(true)
+                }
+                className={`p-1 rounded ${
+                  isSelecting
+                    ? "bg-blue-100 text-blue-600"
+                    : "text-slate-500 hover:bg-slate-100"
+                }`}
+                title={isSelecting ? "Cancel selection" : "Select images"}
+              >
+                <CheckSquare className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+
+          {/* Folders */}
+          <div className="flex items-center gap-1">
+            <Select
+              value={folderId || ALL_MEDIA}
+              onValueChange={(value) =>
+                library.setFolderId(value === ALL_MEDIA ? "" : value)
+              }
+            >
+              <SelectTrigger className="h-8 flex-1 text-xs">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL_MEDIA}>All media</SelectItem>
+                <SelectItem value="root">Unfiled</SelectItem>
+                {folders.map((folder) => (
+                  <SelectItem key={folder._id} value={folder._id}>
+                    {folder.name} ({folder.mediaCount})
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <button
+              onClick={() => setFolderName("")}
+              className="p-1.5 rounded text-slate-500 hover:bg-slate-100"
+              title="New folder"
+            >
+              <FolderPlus className="w-4 h-4" />
+            </button>
+            {currentFolder && (
+              <>
+                <button
+                  onClick={handleRenameFolder}
+                  className="p-1.5 rounded text-slate-500 hover:bg-slate-100"
+                  title="Rename folder"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={handleDeleteFolder}
+                  className="p-1.5 rounded text-slate-500 hover:bg-red-50 hover:text-red-600"
+                  title="Delete folder"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </>
             )}
           </div>
+          {folderName !== null && (
+            <div className="flex items-center gap-1">
+              <Input
+                autoFocus
+                value={folderName}
+                onChange={(e) => setFolderName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") handleSaveFolder();
+                  if (e.key === "Escape") setFolderName(null);
+                }}
+                placeholder="Folder name"
+                className="h-8 text-xs"
+              />
+              <button
+                onClick={handleSaveFolder}
+                className="p-1.5 rounded text-slate-500 hover:bg-slate-100"
+                title="Create folder"
+              >
+                <Check className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setFolderName(null)}
+                className="p-1.5 rounded text-slate-500 hover:bg-slate-100"
+                title="Cancel"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          )}
 
-          {isLoading ? (
+          {/* Search and tags */}
+          <div className="relative">
+            <Search className="absolute left-2.5 top-1/2 -translate-y-1/2 w-3.5 h-3.5 text-slate-400" />
+            <Input
+              value={library.query}
+              onChange={(e) => library.setQuery(e.target.value)}
+              placeholder="Search by name or tag"
+              className="h-8 pl-8 text-xs"
+            />
+          </div>
+          {library.tags.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {library.tags.map(({ name, count }) => (
+                <button
+                  key={name}
+                  onClick={() =>
+                    library.setTag(library.tag === name ? "" : name)
+                  }
+                  className={`px-2 py-0.5 rounded-full border text-xs ${
+                    library.tag === name
+                      ? "bg-blue-500 border-blue-500 text-white"
+                      : "border-slate-200 text-slate-600 hover:border-blue-300"
+                  }`}
+                >
+                  {name} <span className="opacity-70">{count}</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Bulk actions */}
+          {isSelecting && (
+            <div className="p-2 space-y-2 bg-slate-50 border border-slate-200 rounded-xl">
+              <div className="flex items-center justify-between text-xs text-slate-600">
+                <span>{selectedIds.size} selected</span>
+                <button
+                  onClick={() =>
+                    setSelectedIds(new Set(media.map((item) => item._id)))
+                  }
+                  className="text-blue-600 hover:underline"
+                >
+                  Select all
+                </button>
+              </div>
+              <Select
+                value=""
+                onValueChange={(value) =>
+                  updateSelected({ folderId: value === "root" ? null : value })
+                }
+                disabled={selectedIds.size === 0 || isWorking}
+              >
+                <SelectTrigger className="h-8 text-xs bg-white">
+                  <SelectValue placeholder="Move to folder" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="root">Unfiled</SelectItem>
+                  {folders.map((folder) => (
+                    <SelectItem key={folder._id} value={folder._id}>
+                      {folder.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <div className="flex items-center gap-1">
+                <Input
+                  value={bulkTag}
+                  onChange={(e) => setBulkTag(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter" && bulkTag.trim()) {
+                      updateSelected({ addTags: bulkTag });
+                    }
+                  }}
+                  placeholder="Add tags"
+                  className="h-8 text-xs bg-white"
+                  disabled={selectedIds.size === 0 || isWorking}
+                />
+                <Button
+                  size="sm"
+                  variant="outline"
+                  className="h-8"
+                  onClick={() => updateSelected({ addTags: bulkTag })}
+                  disabled={
+                    selectedIds.size === 0 || !bulkTag.trim() || isWorking
+                  }
+                >
+                  Tag
+                </Button>
+              </div>
+              <Button
+                size="sm"
+                variant="destructive"
+                className="w-full h-8"
+                onClick={() => deleteMedia([...selectedIds])}
+                disabled={selectedIds.size === 0 || isWorking}
+              >
+                {isWorking ? (
+                  <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                ) : (
+                  <Trash2 className="w-3.5 h-3.5" />
+                )}
+                Delete selected
+              </Button>
+            </div>
+          )}
+
+          {library.loading && media.length === 0 ? (
             <div className="flex items-center justify-center p-8 bg-white border-2 border-dashed border-slate-200 rounded-xl">
               <div className="text-center">
                 <Loader2 className="w-6 h-6 mx-auto mb-2 animate-spin text-slate-400" />
@@ -155,49 +496,78 @@ function UploadPanel() {
                 </p>
               </div>
             </div>
-          ) : userUploads.length > 0 ? (
-            <div className="grid grid-cols-2 gap-3">
-              {userUploads.map((imageData, index) => (
-                <div
-                  key={imageData._id || index}
-                  className="relative w-full h-24 border-2 border-gray-300 rounded-lg overflow-hidden bg-white group"
-                >
-                  <img
-                    src={imageData.url}
-                    alt={imageData.name || 'Uploaded image'}
-                    className="w-full h-full object-cover cursor-pointer"
-                    onClick={() => handleAddImage(imageData.url)}
-                    onError={(e) => {
-                      e.target.style.display = 'none';
-                      e.target.parentElement.innerHTML = `<div class="w-full h-full bg-red-200 flex items-center justify-center text-xs">Failed: ${imageData.name}</div>`;
-                    }}
-                  />
-                  
-                  {/* Delete button - always visible for now */}
-                  <div className="absolute top-1 right-1">
-                    <button
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        handleDeleteImage(imageData._id, imageData.name);
-                      }}
-                      disabled={deletingIds.has(imageData._id)}
-                      className="w-6 h-6 bg-red-500 hover:bg-red-600 text-white rounded-full flex items-center justify-center shadow-lg disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
-                      title="Delete image"
+          ) : media.length > 0 ? (
+            <>
+              <div className="grid grid-cols-2 gap-3">
+                {media.map((imageData) => {
+                  const isSelected = selectedIds.has(imageData._id);
+                  return (
+                    <div
+                      key={imageData._id}
+                      className={`relative w-full h-24 border-2 rounded-lg overflow-hidden bg-white group ${
+                        isSelected ? "border-blue-500" : "border-gray-300"
+                      }`}
+                      title={[imageData.name, ...(imageData.tags || [])].join(
+                        " · "
+                      )}
                     >
-                      {deletingIds.has(imageData._id) ? (
-                        <Loader2 className="w-3 h-3 animate-spin" />
+                      <img
+                        src={imageData.url}
+                        alt={imageData.name || "Uploaded image"}
+                        className="w-full h-full object-cover cursor-pointer"
+                        onClick={() =>
+                          isSelecting
+                            ? toggleSelected(imageData._id)
+                            : handleAddImage(imageData)
+                        }
+                      />
+
+                      {isSelecting ? (
+                        <div
+                          className={`absolute top-1 left-1 w-5 h-5 rounded border-2 flex items-center justify-center pointer-events-none ${
+                            isSelected
+                              ? "bg-blue-500 border-blue-500 text-white"
+                              : "bg-white/80 border-slate-300"
+                          }`}
+                        >
+                          {isSelected && <Check className="w-3 h-3" />}
+                        </div>
                       ) : (
-                        <Trash2 className="w-3 h-3" />
+                        <div className="absolute top-1 right-1">
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              deleteMedia([imageData._id]);
+                            }}
+                            disabled={isWorking}
+                            className="w-6 h-6 bg-red-500 hover:bg-red-600 text-white rounded-full flex items-center justify-center shadow-lg opacity-0 group-hover:opacity-100 disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
+                            title="Delete image"
+                          >
+                            <Trash2 className="w-3 h-3" />
+                          </button>
+                        </div>
                       )}
-                    </button>
-                  </div>
-                </div>
-              ))}
-            </div>
+                    </div>
+                  );
+                })}
+              </div>
+              {library.hasMore && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="w-full"
+                  onClick={library.loadMore}
+                >
+                  Load more
+                </Button>
+              )}
+            </>
+          ) : folderId || library.tag || library.query ? (
+            <p className="text-center text-sm text-slate-500 p-6">
+              No images match
+            </p>
           ) : (
-            <Label
-              className="text-center p-8 bg-white border-2 border-dashed border-slate-200 rounded-xl cursor-pointer hover:border-blue-300 hover:bg-blue-50 transition-all duration-300"
-            >
+            <Label className="text-center p-8 bg-white border-2 border-dashed border-slate-200 rounded-xl cursor-pointer hover:border-blue-300 hover:bg-blue-50 transition-all duration-300">
               <div className="flex flex-col items-center">
                 <Upload className="w-8 h-8 mx-auto mb-3 text-slate-400" />
                 <p className="text-sm text-slate-600 font-medium mb-1">
@@ -207,13 +577,7 @@ function UploadPanel() {
                   Upload your first image to get started
                 </p>
               </div>
-              <Input
-                type="file"
-                className="hidden"
-                accept="image/*"
-                onChange={handleFileUpload}
-                disabled={isUploading}
-              />
+              {uploadInput}
             </Label>
           )}
         </div>
@@ -3,11 +3,35 @@
 import { useRouter } from "next/navigation";
 import dynamic from "next/dynamic";
 import { DesignThumbnail } from "./design-thumbnail";
-import { Trash2, FileText } from "lucide-react";
+import { Trash2, FileText, Folder, FolderInput, Star } from "lucide-react";
 import { LoadingSpinner } from "@/components/ui/loading-spinner";
-import { deleteDesign, getUserDesigns } from "@/services/design-service";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import {
+  deleteDesign,
+  getUserDesigns,
+  moveDesignToFolder,
+  restoreDesign,
+  setDesignStarred,
+} from "@/services/design-service";
+import { useFolders } from "@/hooks/useFolders";
 import { useEditorStore } from "@/store";
 import { useState } from "react";
+import { toast } from "sonner";
+
+// Folders in tree order with their depth, for the "move to folder" menu
+const flattenFolders = (folders, parentId = null, depth = 0) =>
+  folders
+    .filter((folder) => (folder.parentId || null) === parentId)
+    .flatMap((folder) => [
+      { ...folder, depth },
+      ...flattenFolders(folders, folder._id, depth + 1),
+    ]);
 
 // Dynamic import to prevent SSR issues
 const DesignPreview = dynamic(() => import("./design-preview"), {
@@ -25,9 +49,12 @@ function DesignList({
   isLoading,
   isModalView,
   setShowDesignsModal,
+  onDesignsChanged,
+  isSearchResult = false,
 }) {
   const router = useRouter();
-  const { setUserDesigns } = useEditorStore();
+  const { setUserDesigns, folders } = useEditorStore();
+  const { refreshFolders } = useFolders(false);
   const [deletingDesigns, setDeletingDesigns] = useState(new Set());
   const [deleteError, setDeleteError] = useState(null);
 
@@ -77,6 +104,14 @@ function DesignList({
 
       if (response.success) {
         await fetchUserDesigns();
+        onDesignsChanged?.();
+        refreshFolders();
+        toast.success("Design moved to trash", {
+          action: {
+            label: "Undo",
+            onClick: () => handleRestoreDesign(getCurrentDesignId),
+          },
+        });
       }
     } catch (error) {
       console.error("Error deleting design:", error);
@@ -93,6 +128,58 @@ function DesignList({
     }
   };
 
+  const handleRestoreDesign = async (designId) => {
+    try {
+      const response = await restoreDesign(designId);
+      if (response?.success) {
+        await fetchUserDesigns();
+        onDesignsChanged?.();
+        refreshFolders();
+      }
+    } catch (error) {
+      console.error("Error restoring design:", error);
+      toast.error("Failed to restore design");
+    }
+  };
+
+  // Apply a change to the design in the store's list as well
+  const updateStoredDesign = (designId, changes) => {
+    const { userDesigns } = useEditorStore.getState();
+    setUserDesigns(
+      (userDesigns || []).map((design) =>
+        design._id === designId ? { ...design, ...changes } : design
+      )
+    );
+  };
+
+  const handleToggleStar = async (design) => {
+    try {
+      const response = await setDesignStarred(design._id, !design.isStarred);
+      if (response?.success) {
+        updateStoredDesign(design._id, { isStarred: !design.isStarred });
+        onDesignsChanged?.();
+      }
+    } catch (error) {
+      console.error("Error starring design:", error);
+      toast.error("Failed to update design");
+    }
+  };
+
+  const handleMoveDesign = async (design, folderId) => {
+    try {
+      const response = await moveDesignToFolder(design._id, folderId);
+      if (response?.success) {
+        updateStoredDesign(design._id, { folderId });
+        onDesignsChanged?.();
+        refreshFolders();
+        toast.success(response.message);
+      }
+    } catch (error) {
+      console.error("Error moving design:", error);
+      toast.error(error.response?.data?.message || "Failed to move design");
+    }
+  };
+
   // Modern loading state
   if (isLoading)
     return (
@@ -115,11 +202,12 @@ function DesignList({
             <FileText className="w-12 h-12 text-slate-400" />
           </div>
           <h3 className="text-2xl font-bold text-slate-800 mb-3">
-            No designs yet
+            {isSearchResult ? "No designs here" : "No designs yet"}
           </h3>
           <p className="text-slate-600 text-center max-w-sm text-lg leading-relaxed">
-            Your creative journey starts here. Choose a template above to begin
-            crafting something amazing.
+            {isSearchResult
+              ? "Try other words or filters, or move designs here from their menu."
+              : "Your creative journey starts here. Choose a template above to begin crafting something amazing."}
           </p>
         </div>
       ) : (
@@ -154,8 +242,65 @@ function DesignList({
                   <div className="absolute inset-0 bg-gradient-to-t from-slate-900/20 via-transparent to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
                 </div>
 
-                {/* Delete button - elegant positioning */}
-                <div className="absolute top-3 right-3 opacity-0 group-hover:opacity-100 transition-all duration-300">
+                {/* Star - always shown once starred */}
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleToggleStar(design);
+                  }}
+                  title={design.isStarred ? "Unstar" : "Star"}
+                  className={`absolute top-3 left-3 w-8 h-8 bg-white/95 backdrop-blur-sm border-2 border-slate-200 rounded-xl flex items-center justify-center shadow-lg transition-all duration-300 hover:scale-110 ${
+                    design.isStarred
+                      ? "opacity-100"
+                      : "opacity-0 group-hover:opacity-100"
+                  }`}
+                >
+                  <Star
+                    className={`w-4 h-4 ${
+                      design.isStarred
+                        ? "fill-amber-400 text-amber-400"
+                        : "text-slate-500"
+                    }`}
+                  />
+                </button>
+
+                {/* Move and delete buttons - elegant positioning */}
+                <div className="absolute top-3 right-3 flex space-x-2 opacity-0 group-hover:opacity-100 transition-all duration-300">
+                  <DropdownMenu>
+                    <DropdownMenuTrigger asChild>
+                      <button
+                        onClick={(e) => e.stopPropagation()}
+                        title="Move to folder"
+                        className="w-8 h-8 bg-white/95 backdrop-blur-sm border-2 border-slate-200 rounded-xl flex items-center justify-center shadow-lg transition-all duration-300 hover:bg-blue-50 hover:border-blue-300 hover:scale-110"
+                      >
+                        <FolderInput className="w-4 h-4 text-slate-500" />
+                      </button>
+                    </DropdownMenuTrigger>
+                    <DropdownMenuContent
+                      align="end"
+                      onClick={(e) => e.stopPropagation()}
+                      className="max-h-72 overflow-y-auto bg-white/95 backdrop-blur-md border-slate-200 shadow-xl rounded-2xl"
+                    >
+                      <DropdownMenuItem
+                        disabled={!design.folderId}
+                        onClick={() => handleMoveDesign(design, null)}
+                      >
+                        No folder
+                      </DropdownMenuItem>
+                      {folders.length > 0 && <DropdownMenuSeparator />}
+                      {flattenFolders(folders).map((folder) => (
+                        <DropdownMenuItem
+                          key={folder._id}
+                          disabled={design.folderId === folder._id}
+                          onClick={() => handleMoveDesign(design, folder._id)}
+                          style={{ paddingLeft: folder.depth * 12 + 8 }}
+                        >
+                          <Folder className="mr-2 h-4 w-4 text-slate-500" />
+                          <span className="truncate">{folder.name}</span>
+                        </DropdownMenuItem>
+                      ))}
+                    </DropdownMenuContent>
+                  </DropdownMenu>
                   <button
                     onClick={(e) => {
                       e.stopPropagation();
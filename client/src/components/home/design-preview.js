@@ -1,5 +1,6 @@
 "use client";
 
+import { registerImageFilters } from "@/fabric/image-filters";
 import { useEffect, useRef, useState, useMemo } from "react";
 
 function DesignPreview({ design }) {
@@ -59,6 +60,7 @@ function DesignPreview({ design }) {
         if (!canvasElement || !isMounted) return;
 
         const fabric = await import("fabric");
+        await registerImageFilters();
         if (!isMounted) return;
 
         // Get design dimensions
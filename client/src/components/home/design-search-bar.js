@@ -0,0 +1,131 @@
+"use client";
+
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { DESIGN_SORT_OPTIONS } from "@/hooks/useDesignSearch";
+import { Search, X } from "lucide-react";
+
+const chipClassName = (isActive) =>
+  `px-3 py-1 rounded-full text-xs font-semibold border transition-colors ${
+    isActive
+      ? "bg-blue-600 border-blue-600 text-white"
+      : "bg-white border-slate-200 text-slate-600 hover:border-blue-300 hover:text-blue-700"
+  }`;
+
+/**
+ * Search input, sort order, date range and category / tag chips for
+ * `useDesignSearch`
+ */
+function DesignSearchBar({
+  filters,
+  setFilter,
+  toggleTag,
+  clearFilters,
+  filterOptions,
+  isFiltering,
+}) {
+  // "Best match" only means something while searching for words, and is
+  // the server's default order then
+  const isSearching = Boolean(filters.q.trim());
+  const sortOptions = isSearching
+    ? DESIGN_SORT_OPTIONS
+    : DESIGN_SORT_OPTIONS.filter((option) => option.value !== "relevance");
+  const sortValue = sortOptions.some(({ value }) => value === filters.sort)
+    ? filters.sort
+    : isSearching
+      ? "relevance"
+      : "updated";
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="relative flex-1 min-w-[220px]">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+          <Input
+            value={filters.q}
+            onChange={(e) => setFilter("q", e.target.value)}
+            placeholder="Search designs by name, tag or text"
+            className="h-10 pl-9"
+          />
+        </div>
+        <Select
+          value={sortValue}
+          onValueChange={(value) => setFilter("sort", value)}
+        >
+          <SelectTrigger className="h-10 w-[150px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {sortOptions.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <div className="flex items-center gap-2">
+          <Input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => setFilter("from", e.target.value)}
+            className="h-10 w-[150px]"
+            title="Edited from"
+          />
+          <span className="text-sm text-slate-500">to</span>
+          <Input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => setFilter("to", e.target.value)}
+            className="h-10 w-[150px]"
+            title="Edited until"
+          />
+        </div>
+        {isFiltering && (
+          <button
+            onClick={clearFilters}
+            className="flex items-center gap-1 text-sm font-semibold text-slate-600 hover:text-slate-900"
+          >
+            <X className="w-4 h-4" />
+            Clear
+          </button>
+        )}
+      </div>
+
+      {(filterOptions.categories.length > 0 ||
+        filterOptions.tags.length > 0) && (
+        <div className="flex flex-wrap gap-2">
+          {filterOptions.categories.map(({ name, count }) => (
+            <button
+              key={`category-${name}`}
+              onClick={() =>
+                setFilter("category", filters.category === name ? "" : name)
+              }
+              className={chipClassName(filters.category === name)}
+            >
+              {name} ({count})
+            </button>
+          ))}
+          {filterOptions.tags.map(({ name }) => (
+            <button
+              key={`tag-${name}`}
+              onClick={() => toggleTag(name)}
+              className={chipClassName(filters.tags.includes(name))}
+            >
+              #{name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DesignSearchBar;
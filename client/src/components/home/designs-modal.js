@@ -1,8 +1,20 @@
 "use client";
 
+import { useDesignSearch } from "@/hooks/useDesignSearch";
+import { useFolders } from "@/hooks/useFolders";
+import { useEditorStore } from "@/store";
 import { Dialog, DialogContent, DialogTitle } from "../ui/dialog";
-import { Sparkles } from "lucide-react";
+import { Folder, Loader2, Sparkles, Star, Trash2 } from "lucide-react";
 import DesignList from "./design-list";
+import DesignSearchBar from "./design-search-bar";
+import TrashList from "./trash-list";
+
+const VIEW_ICONS = {
+  all: Sparkles,
+  starred: Star,
+  folder: Folder,
+  trash: Trash2,
+};
 
 function DesignModal({
   isOpen,
@@ -11,8 +23,34 @@ function DesignModal({
   setShowDesignsModal,
   userDesignsLoading,
 }) {
+  const { designsView, setDesignsView } = useEditorStore();
+  const { folders } = useFolders();
+  const search = useDesignSearch({
+    pageSize: 30,
+    folderId: designsView.type === "folder" ? designsView.folderId : null,
+    starred: designsView.type === "starred",
+  });
+
+  const folder =
+    designsView.type === "folder"
+      ? folders.find((item) => item._id === designsView.folderId)
+      : null;
+  const title =
+    designsView.type === "starred"
+      ? "Starred"
+      : designsView.type === "trash"
+        ? "Trash"
+        : folder?.name || "All Designs";
+  const ViewIcon = VIEW_ICONS[designsView.type] || Sparkles;
+
+  // Opening the modal from elsewhere starts on all designs again
+  const handleOpenChange = (open) => {
+    onClose(open);
+    if (!open) setDesignsView({ type: "all" });
+  };
+
   return (
-    <Dialog open={isOpen} onOpenChange={onClose}>
+    <Dialog open={isOpen} onOpenChange={handleOpenChange}>
       <DialogContent
         className={
           "sm:max-w-[1400px] h-[600px] p-0 gap-0 overflow-auto bg-white/95 backdrop-blur-md border-slate-200 shadow-2xl rounded-3xl"
@@ -26,17 +64,42 @@ function DesignModal({
               }
             >
               <div className="w-8 h-8 bg-gradient-to-r from-blue-500 to-indigo-500 rounded-xl flex items-center justify-center mr-3">
-                <Sparkles className="h-4 w-4 text-white" />
+                <ViewIcon className="h-4 w-4 text-white" />
               </div>
-              All Designs
+              {title}
             </DialogTitle>
+            {designsView.type !== "trash" && <DesignSearchBar {...search} />}
           </div>
-          <DesignList
-            setShowDesignsModal={setShowDesignsModal}
-            isModalView={true}
-            listOfDesigns={userDesigns}
-            isLoading={userDesignsLoading}
-          />
+          {designsView.type === "trash" ? (
+            <TrashList />
+          ) : (
+            <DesignList
+              setShowDesignsModal={setShowDesignsModal}
+              isModalView={true}
+              listOfDesigns={
+                search.isActive ? search.designs : userDesigns || []
+              }
+              isLoading={search.isActive ? search.loading : userDesignsLoading}
+              isSearchResult={search.isActive}
+              onDesignsChanged={search.refresh}
+            />
+          )}
+          {designsView.type !== "trash" &&
+            search.isActive &&
+            search.hasMore && (
+              <div className="flex justify-center pb-6">
+                <button
+                  onClick={search.loadMore}
+                  disabled={search.loadingMore}
+                  className="flex items-center space-x-2 bg-white border border-slate-200 text-slate-700 font-semibold px-5 py-2 rounded-xl shadow-sm hover:border-blue-300 disabled:opacity-50"
+                >
+                  {search.loadingMore && (
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                  )}
+                  <span>Load more</span>
+                </button>
+              </div>
+            )}
         </div>
       </DialogContent>
     </Dialog>
@@ -0,0 +1,329 @@
+"use client";
+
+import { Input } from "@/components/ui/input";
+import { useFolders } from "@/hooks/useFolders";
+import { useEditorStore } from "@/store";
+import {
+  ChevronDown,
+  ChevronRight,
+  Folder,
+  FolderPlus,
+  LayoutGrid,
+  Pencil,
+  Star,
+  Trash2,
+  X,
+} from "lucide-react";
+import { useState } from "react";
+import { toast } from "sonner";
+
+// Name input shown in place of a folder while creating or renaming it
+function FolderNameInput({ initialName = "", depth, onSubmit, onCancel }) {
+  const [name, setName] = useState(initialName);
+
+  const submit = () => (name.trim() ? onSubmit(name.trim()) : onCancel());
+
+  return (
+    <div style={{ paddingLeft: depth * 14 + 8 }} className="pr-2 py-1">
+      <Input
+        autoFocus
+        value={name}
+        maxLength={100}
+        onChange={(e) => setName(e.target.value)}
+        onBlur={submit}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") submit();
+          if (e.key === "Escape") onCancel();
+        }}
+        placeholder="Folder name"
+        className="h-8 text-sm bg-slate-900 border-slate-600 text-white"
+      />
+    </div>
+  );
+}
+
+function FolderAction({ icon: Icon, title, onClick }) {
+  return (
+    <button
+      title={title}
+      onClick={(e) => {
+        e.stopPropagation();
+        onClick();
+      }}
+      className="w-6 h-6 flex items-center justify-center rounded-md hover:bg-slate-600"
+    >
+      <Icon className="w-3.5 h-3.5" />
+    </button>
+  );
+}
+
+function FolderNode({ folder, folders, depth, selectedId, actions }) {
+  const [isExpanded, setIsExpanded] = useState(true);
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [isAdding, setIsAdding] = useState(false);
+  const [isDropTarget, setIsDropTarget] = useState(false);
+  const children = folders.filter((item) => item.parentId === folder._id);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDropTarget(false);
+    const draggedId = e.dataTransfer.getData("application/x-folder-id");
+    if (draggedId && draggedId !== folder._id) {
+      actions.moveFolder(draggedId, folder._id);
+    }
+  };
+
+  if (isRenaming) {
+    return (
+      <FolderNameInput
+        initialName={folder.name}
+        depth={depth}
+        onSubmit={async (name) => {
+          setIsRenaming(false);
+          if (name !== folder.name) await actions.renameFolder(folder, name);
+        }}
+        onCancel={() => setIsRenaming(false)}
+      />
+    );
+  }
+
+  return (
+    <div>
+      <div
+        draggable
+        onDragStart={(e) =>
+          e.dataTransfer.setData("application/x-folder-id", folder._id)
+        }
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDropTarget(true);
+        }}
+        onDragLeave={() => setIsDropTarget(false)}
+        onDrop={handleDrop}
+        onClick={() => actions.select({ type: "folder", folderId: folder._id })}
+        style={{ paddingLeft: depth * 14 + 4 }}
+        className={`group flex items-center h-8 pr-1 rounded-lg cursor-pointer text-sm transition-colors ${
+          selectedId === folder._id
+            ? "bg-blue-500/20 text-blue-300"
+            : "text-slate-300 hover:bg-slate-700/60 hover:text-white"
+        } ${isDropTarget ? "ring-1 ring-blue-400" : ""}`}
+      >
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            setIsExpanded((expanded) => !expanded);
+          }}
+          className={`w-5 h-5 flex items-center justify-center ${
+            children.length === 0 ? "invisible" : ""
+          }`}
+        >
+          {isExpanded ? (
+            <ChevronDown className="w-3.5 h-3.5" />
+          ) : (
+            <ChevronRight className="w-3.5 h-3.5" />
+          )}
+        </button>
+        <Folder className="w-4 h-4 mr-2 shrink-0" />
+        <span className="truncate flex-1">{folder.name}</span>
+        <span className="text-xs text-slate-500 group-hover:hidden">
+          {folder.designCount || ""}
+        </span>
+        <div className="hidden group-hover:flex items-center">
+          <FolderAction
+            icon={FolderPlus}
+            title="New subfolder"
+            onClick={() => {
+              setIsExpanded(true);
+              setIsAdding(true);
+            }}
+          />
+          <FolderAction
+            icon={Pencil}
+            title="Rename"
+            onClick={() => setIsRenaming(true)}
+          />
+          <FolderAction
+            icon={Trash2}
+            title="Delete"
+            onClick={() => actions.deleteFolder(folder)}
+          />
+        </div>
+      </div>
+
+      {isExpanded &&
+        children.map((child) => (
+          <FolderNode
+            key={child._id}
+            folder={child}
+            folders={folders}
+            depth={depth + 1}
+            selectedId={selectedId}
+            actions={actions}
+          />
+        ))}
+      {isAdding && (
+        <FolderNameInput
+          depth={depth + 1}
+          onSubmit={async (name) => {
+            setIsAdding(false);
+            await actions.createFolder(name, folder._id);
+          }}
+          onCancel={() => setIsAdding(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Folder tree of the home sidebar: all designs, starred, nested folders
+ * and the trash. Picking an entry opens the designs modal on it. Folders
+ * are moved by dragging them onto another folder, or onto "All designs"
+ * for the top level.
+ */
+function FolderPanel({ onClose }) {
+  const { designsView, setDesignsView, setShowDesignsModal } =
+    useEditorStore();
+  const { folders, addFolder, editFolder, removeFolder } = useFolders();
+  const [isAdding, setIsAdding] = useState(false);
+  const [isRootDropTarget, setIsRootDropTarget] = useState(false);
+
+  const select = (view) => {
+    setDesignsView(view);
+    setShowDesignsModal(true);
+    onClose();
+  };
+
+  const actions = {
+    select,
+    createFolder: addFolder,
+    renameFolder: (folder, name) => editFolder(folder._id, { name }),
+    moveFolder: (folderId, parentId) => editFolder(folderId, { parentId }),
+    deleteFolder: async (folder) => {
+      const result = await removeFolder(folder._id);
+      if (!result) return;
+
+      const { trashedDesignCount } = result;
+      toast.success(`Deleted "${folder.name}"`, {
+        description:
+          trashedDesignCount > 0
+            ? `${trashedDesignCount} design${trashedDesignCount === 1 ? "" : "s"} moved to trash`
+            : undefined,
+      });
+      if (
+        designsView.type === "folder" &&
+        result.deletedFolderIds.includes(designsView.folderId)
+      ) {
+        setDesignsView({ type: "all" });
+      }
+    },
+  };
+
+  const selectedId =
+    designsView.type === "folder" ? designsView.folderId : null;
+  const topLevelFolders = folders.filter((folder) => !folder.parentId);
+
+  const viewClassName = (type) =>
+    `flex items-center h-9 px-3 rounded-lg cursor-pointer text-sm font-semibold transition-colors ${
+      designsView.type === type
+        ? "bg-blue-500/20 text-blue-300"
+        : "text-slate-300 hover:bg-slate-700/60 hover:text-white"
+    }`;
+
+  return (
+    <div className="fixed left-[72px] top-0 h-full w-64 bg-slate-800 border-r border-slate-700 z-20 shadow-2xl flex flex-col">
+      <div className="flex items-center justify-between px-4 py-5 border-b border-slate-700">
+        <h2 className="text-sm font-bold text-white">Projects</h2>
+        <button
+          onClick={onClose}
+          className="text-slate-400 hover:text-white"
+          title="Close"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2 space-y-1">
+        <div
+          onClick={() => select({ type: "all" })}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setIsRootDropTarget(true);
+          }}
+          onDragLeave={() => setIsRootDropTarget(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setIsRootDropTarget(false);
+            const draggedId = e.dataTransfer.getData(
+              "application/x-folder-id"
+            );
+            if (draggedId) actions.moveFolder(draggedId, null);
+          }}
+          className={`${viewClassName("all")} ${
+            isRootDropTarget ? "ring-1 ring-blue-400" : ""
+          }`}
+        >
+          <LayoutGrid className="w-4 h-4 mr-2" />
+          All designs
+        </div>
+        <div
+          onClick={() => select({ type: "starred" })}
+          className={viewClassName("starred")}
+        >
+          <Star className="w-4 h-4 mr-2" />
+          Starred
+        </div>
+
+        <div className="flex items-center justify-between px-3 pt-4 pb-1">
+          <span className="text-xs font-bold uppercase tracking-wide text-slate-500">
+            Folders
+          </span>
+          <button
+            onClick={() => setIsAdding(true)}
+            className="text-slate-400 hover:text-white"
+            title="New folder"
+          >
+            <FolderPlus className="w-4 h-4" />
+          </button>
+        </div>
+        {topLevelFolders.map((folder) => (
+          <FolderNode
+            key={folder._id}
+            folder={folder}
+            folders={folders}
+            depth={0}
+            selectedId={selectedId}
+            actions={actions}
+          />
+        ))}
+        {isAdding && (
+          <FolderNameInput
+            depth={0}
+            onSubmit={async (name) => {
+              setIsAdding(false);
+              await addFolder(name);
+            }}
+            onCancel={() => setIsAdding(false)}
+          />
+        )}
+        {folders.length === 0 && !isAdding && (
+          <p className="px-3 text-xs text-slate-500">
+            Create folders to organize your designs.
+          </p>
+        )}
+      </div>
+
+      <div className="p-2 border-t border-slate-700">
+        <div
+          onClick={() => select({ type: "trash" })}
+          className={viewClassName("trash")}
+        >
+          <Trash2 className="w-4 h-4 mr-2" />
+          Trash
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default FolderPanel;
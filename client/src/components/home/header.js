@@ -1,6 +1,6 @@
 "use client";
 
-import { LogOut, Palette, Crown, Sparkles, X } from "lucide-react";
+import { LogOut, Palette, Crown, Sparkles, X, Receipt } from "lucide-react";
 import { signOut, useSession } from "next-auth/react";
 import {
   DropdownMenu,
@@ -14,6 +14,8 @@ import { useEditorStore } from "@/store";
 import { isPremiumUser, getSubscriptionStatus } from "@/lib/premium-utils";
 import { getUserSubscription } from "@/services/subscription-service";
 import SubscriptionModal from "@/components/subscription/premium-modal";
+import BillingModal from "@/components/subscription/billing-modal";
+import WorkspaceSwitcher from "./workspace-switcher";
 import { useState } from "react";
 import { toast } from "sonner";
 
@@ -21,6 +23,7 @@ function Header() {
   const { data: session } = useSession();
   const { userSubscription, setUserSubscription } = useEditorStore();
   const [showUpgradeModal, setShowUpgradeModal] = useState(false);
+  const [showBillingModal, setShowBillingModal] = useState(false);
 
   const isUserPremium = isPremiumUser(userSubscription);
   const subscriptionStatus = getSubscriptionStatus(userSubscription);
@@ -54,6 +57,9 @@ function Header() {
         <div className="flex-1"></div>
 
         <div className="flex items-center gap-4 ml-4">
+          {/* Personal or team workspace */}
+          <WorkspaceSwitcher />
+
           {/* Premium Status / Upgrade Button */}
           {isUserPremium ? (
             <div className="flex items-center gap-2 px-3 py-2 bg-gradient-to-r from-yellow-50 to-amber-50 border border-yellow-200 rounded-xl">
@@ -97,6 +103,13 @@ function Header() {
                 align="end"
                 className="w-56 bg-white/95 backdrop-blur-md border-slate-200 shadow-xl rounded-2xl"
               >
+                <DropdownMenuItem
+                  onClick={() => setShowBillingModal(true)}
+                  className="cursor-pointer hover:bg-slate-50 rounded-xl mx-1 my-1"
+                >
+                  <Receipt className="mr-3 w-4 h-4 text-slate-500" />
+                  <span className="font-bold text-slate-700">Billing</span>
+                </DropdownMenuItem>
                 <DropdownMenuItem
                   onClick={handleLogout}
                   className="cursor-pointer hover:bg-slate-50 rounded-xl mx-1 my-1"
@@ -114,6 +127,10 @@ function Header() {
         isOpen={showUpgradeModal}
         onClose={() => setShowUpgradeModal(false)}
       />
+      <BillingModal
+        isOpen={showBillingModal}
+        onClose={() => setShowBillingModal(false)}
+      />
     </>
   );
 }
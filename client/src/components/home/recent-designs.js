@@ -1,11 +1,14 @@
 "use client";
 
+import { useDesignSearch } from "@/hooks/useDesignSearch";
 import { useEditorStore } from "@/store";
-import { ArrowRight, Sparkles, TrendingUp } from "lucide-react";
+import { ArrowRight, Loader2, Sparkles, TrendingUp } from "lucide-react";
 import DesignList from "./design-list";
+import DesignSearchBar from "./design-search-bar";
 
 function RecentDesigns() {
   const { userDesigns, userDesignsLoading } = useEditorStore();
+  const search = useDesignSearch();
 
   return (
     <div className="mt-24">
@@ -26,8 +29,9 @@ function RecentDesigns() {
             </h2>
             <div className="flex items-center space-x-3 mt-2">
               <p className="text-slate-600 text-lg">
-                {userDesigns?.length || 0} creative{" "}
-                {userDesigns?.length === 1 ? "project" : "projects"}
+                {search.isFiltering
+                  ? `${search.total} matching ${search.total === 1 ? "project" : "projects"}`
+                  : `${userDesigns?.length || 0} creative ${userDesigns?.length === 1 ? "project" : "projects"}`}
               </p>
               <div className="w-1.5 h-1.5 bg-slate-300 rounded-full"></div>
               <span className="text-base text-blue-600 font-semibold">
@@ -37,7 +41,7 @@ function RecentDesigns() {
           </div>
         </div>
 
-        {userDesigns && userDesigns.length > 8 && (
+        {!search.isFiltering && userDesigns && userDesigns.length > 8 && (
           <button className="group flex items-center space-x-3 bg-gradient-to-r from-slate-100 to-blue-100 hover:from-slate-200 hover:to-blue-200 text-slate-700 font-bold px-8 py-4 rounded-2xl transition-all duration-300 hover:scale-105 shadow-lg border border-slate-200">
             <span className="text-lg">View All</span>
             <ArrowRight className="w-5 h-5 group-hover:translate-x-2 transition-transform duration-300" />
@@ -45,13 +49,38 @@ function RecentDesigns() {
         )}
       </div>
 
+      {(search.isFiltering || userDesigns?.length > 0) && (
+        <div className="mb-8">
+          <DesignSearchBar {...search} />
+        </div>
+      )}
+
       <DesignList
         listOfDesigns={
-          userDesigns && userDesigns.length > 0 ? userDesigns.slice(0, 8) : []
+          search.isFiltering
+            ? search.designs
+            : userDesigns && userDesigns.length > 0
+              ? userDesigns.slice(0, 8)
+              : []
         }
-        isLoading={userDesignsLoading}
+        isLoading={search.isFiltering ? search.loading : userDesignsLoading}
         isModalView={false}
+        isSearchResult={search.isFiltering}
+        onDesignsChanged={search.refresh}
       />
+
+      {search.isFiltering && search.hasMore && (
+        <div className="flex justify-center mt-8">
+          <button
+            onClick={search.loadMore}
+            disabled={search.loadingMore}
+            className="flex items-center space-x-2 bg-white border border-slate-200 text-slate-700 font-semibold px-6 py-3 rounded-2xl shadow-sm hover:border-blue-300 disabled:opacity-50"
+          >
+            {search.loadingMore && <Loader2 className="w-4 h-4 animate-spin" />}
+            <span>Load more</span>
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,612 @@
+"use client";
+
+import { Dialog, DialogContent, DialogTitle } from "../ui/dialog";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "../ui/tabs";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "../ui/select";
+import { LoadingSpinner } from "../ui/loading-spinner";
+import BillingModal from "@/components/subscription/billing-modal";
+import { MEMBER_ROLES, TEAM_ROLE_LABELS, isTeamAdmin } from "@/lib/team-roles";
+import { getSubscriptionPlans } from "@/services/subscription-service";
+import {
+  cancelTeamSubscription,
+  changeTeamSeats,
+  createTeamCheckout,
+  deleteTeam,
+  getTeam,
+  getTeamBillingPortalUrl,
+  inviteTeamMember,
+  reactivateTeamSubscription,
+  removeTeamMember,
+  renameTeam,
+  updateTeamMemberRole,
+} from "@/services/team-service";
+import { Crown, Receipt, Trash2, UserPlus, Users } from "lucide-react";
+import { useCallback, useEffect, useState } from "react";
+import { toast } from "sonner";
+
+// Teams are billed per seat on the pro plan
+const TEAM_PLAN = "pro";
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+function RoleSelect({ value, onChange, disabled }) {
+  return (
+    <Select value={value} onValueChange={onChange} disabled={disabled}>
+      <SelectTrigger className="w-28">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {MEMBER_ROLES.map((role) => (
+          <SelectItem key={role} value={role}>
+            {TEAM_ROLE_LABELS[role]}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+function MembersTab({ team, isBusy, runUpdate }) {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("member");
+  const canManage = isTeamAdmin(team.role);
+  const { billing } = team;
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    const invited = await runUpdate(
+      () => inviteTeamMember(team._id, { email: email.trim(), role }),
+      `Invitation sent to ${email.trim()}`,
+      "Failed to send invitation"
+    );
+    if (invited) setEmail("");
+  };
+
+  // Admins can remove members and the owner anyone else; leaving is in
+  // the settings tab
+  const canRemove = (member) =>
+    member.role !== "owner" &&
+    (team.role === "owner" ||
+      (team.role === "admin" && member.role === "member"));
+
+  return (
+    <div className="space-y-5">
+      <p className="text-xs text-slate-500">
+        {billing.seatsUsed} of {billing.seats} seats used. Invitations take a
+        seat until they are accepted or revoked.
+      </p>
+
+      {canManage && (
+        <form onSubmit={handleInvite} className="space-y-2">
+          <Label htmlFor="team-invite-email">Invite people</Label>
+          <div className="flex gap-2">
+            <Input
+              id="team-invite-email"
+              type="email"
+              placeholder="name@example.com"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+            <RoleSelect value={role} onChange={setRole} />
+            <Button
+              type="submit"
+              disabled={
+                isBusy || !email.trim() || billing.seatsUsed >= billing.seats
+              }
+            >
+              <UserPlus className="h-4 w-4" />
+            </Button>
+          </div>
+        </form>
+      )}
+
+      <div className="space-y-2 max-h-72 overflow-y-auto">
+        {team.members.map((member) => (
+          <div key={member._id} className="flex items-center gap-2">
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-medium text-slate-800 truncate">
+                {member.name || member.email}
+                {member._id === team.membershipId && " (you)"}
+              </p>
+              <p className="text-xs text-slate-500 truncate">
+                {member.status === "invited"
+                  ? `Invited ${formatDate(member.createdAt)}`
+                  : member.email}
+              </p>
+            </div>
+            {team.role === "owner" && member.role !== "owner" ? (
+              <RoleSelect
+                value={member.role}
+                onChange={(newRole) =>
+                  runUpdate(
+                    () => updateTeamMemberRole(team._id, member._id, newRole),
+                    null,
+                    "Failed to change role"
+                  )
+                }
+                disabled={isBusy}
+              />
+            ) : (
+              <span className="text-xs font-medium text-slate-500 w-28 text-right">
+                {TEAM_ROLE_LABELS[member.role]}
+              </span>
+            )}
+            {canRemove(member) && member._id !== team.membershipId ? (
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() =>
+                  runUpdate(
+                    () => removeTeamMember(team._id, member._id),
+                    member.status === "invited"
+                      ? "Invitation revoked"
+                      : "Member removed",
+                    "Failed to remove member"
+                  )
+                }
+                disabled={isBusy}
+                title={
+                  member.status === "invited"
+                    ? "Revoke invitation"
+                    : "Remove from team"
+                }
+              >
+                <Trash2 className="h-4 w-4 text-red-500" />
+              </Button>
+            ) : (
+              <span className="w-9" />
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function BillingTab({ team, isBusy, runUpdate, setIsBusy }) {
+  const { billing } = team;
+  const [plans, setPlans] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [provider, setProvider] = useState("paypal");
+  const [billingCycle, setBillingCycle] = useState("monthly");
+  const [seats, setSeats] = useState(Math.max(billing.seatsUsed, 1));
+  const [showBilling, setShowBilling] = useState(false);
+
+  useEffect(() => {
+    getSubscriptionPlans()
+      .then((result) => {
+        if (!result?.success) return;
+        setPlans(result.data.plans);
+        setProviders(result.data.providers);
+        if (result.data.providers.length > 0) {
+          setProvider(result.data.providers[0].name);
+        }
+      })
+      .catch((error) => console.error("Error fetching plans:", error));
+  }, []);
+
+  useEffect(() => {
+    setSeats(billing.isRecurring ? billing.seats : billing.seatsUsed);
+  }, [billing.isRecurring, billing.seats, billing.seatsUsed]);
+
+  const teamPlan = plans.find(
+    (plan) => plan.plan === TEAM_PLAN && plan.billingCycle === billingCycle
+  );
+  const period = billingCycle === "yearly" ? "year" : "month";
+
+  // Confirming happens at the provider, which sends the owner back to the
+  // success page
+  const redirectTo = (response) => {
+    if (response?.data?.approvalLink) {
+      window.location.href = response.data.approvalLink;
+      return true;
+    }
+    return false;
+  };
+
+  const handleCheckout = async () => {
+    setIsBusy(true);
+    try {
+      const response = await createTeamCheckout(team._id, {
+        provider,
+        billingCycle,
+        seats,
+      });
+      if (redirectTo(response)) return;
+      throw new Error(response?.message || "Failed to start checkout");
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "Failed to start the subscription"
+      );
+    }
+    setIsBusy(false);
+  };
+
+  const handleChangeSeats = () =>
+    runUpdate(
+      async () => {
+        const response = await changeTeamSeats(team._id, seats);
+        redirectTo(response);
+        return response;
+      },
+      null,
+      "Failed to change seats"
+    );
+
+  const handleManageBilling = async () => {
+    setIsBusy(true);
+    try {
+      const response = await getTeamBillingPortalUrl(team._id);
+      if (response?.success) {
+        window.location.href = response.data.url;
+        return;
+      }
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "Failed to open billing settings"
+      );
+    }
+    setIsBusy(false);
+  };
+
+  const seatsInput = (
+    <div className="space-y-1">
+      <Label htmlFor="team-seats" className="text-xs">
+        Seats
+      </Label>
+      <Input
+        id="team-seats"
+        type="number"
+        min={Math.max(billing.seatsUsed, 1)}
+        value={seats}
+        onChange={(e) => setSeats(Number(e.target.value))}
+      />
+    </div>
+  );
+
+  if (!billing.isRecurring) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-slate-600">
+          Subscribe to give everyone in {team.name} premium features. Free
+          teams have up to {billing.seats} people.
+        </p>
+        {seatsInput}
+        <div className="grid grid-cols-2 gap-2">
+          {["monthly", "yearly"].map((cycle) => (
+            <Button
+              key={cycle}
+              variant={billingCycle === cycle ? "default" : "outline"}
+              size="sm"
+              onClick={() => setBillingCycle(cycle)}
+              className="capitalize"
+            >
+              {cycle}
+            </Button>
+          ))}
+        </div>
+        {providers.length > 1 && (
+          <div className="grid grid-cols-2 gap-2">
+            {providers.map((option) => (
+              <Button
+                key={option.name}
+                variant={provider === option.name ? "default" : "outline"}
+                size="sm"
+                onClick={() => setProvider(option.name)}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </div>
+        )}
+        {teamPlan && (
+          <p className="text-sm font-semibold text-slate-800">
+            ${teamPlan.price} per seat per {period} · $
+            {teamPlan.price * seats} per {period}
+          </p>
+        )}
+        <Button
+          className="w-full"
+          onClick={handleCheckout}
+          disabled={isBusy || !teamPlan?.available || seats < billing.seatsUsed}
+        >
+          {isBusy ? <LoadingSpinner size="sm" /> : "Subscribe"}
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2 p-3 bg-amber-50 border border-amber-200 rounded-xl">
+        <Crown className="h-4 w-4 text-amber-600" />
+        <div className="text-sm text-amber-900">
+          <p className="font-semibold capitalize">
+            {billing.plan} · {billing.billingCycle} · {billing.seats} seats
+          </p>
+          <p className="text-xs">
+            {billing.cancelAt
+              ? `Ends ${formatDate(billing.cancelAt)}`
+              : billing.trialEndsAt &&
+                new Date(billing.trialEndsAt) > new Date()
+              ? `Trial ends ${formatDate(billing.trialEndsAt)}`
+              : billing.nextBillingDate &&
+                `Next billing ${formatDate(billing.nextBillingDate)}`}
+          </p>
+        </div>
+      </div>
+
+      {!billing.cancelAt && (
+        <div className="flex items-end gap-2">
+          <div className="flex-1">{seatsInput}</div>
+          <Button
+            variant="outline"
+            onClick={handleChangeSeats}
+            disabled={
+              isBusy || seats === billing.seats || seats < billing.seatsUsed
+            }
+          >
+            Change seats
+          </Button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-2">
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setShowBilling(true)}
+        >
+          <Receipt className="h-4 w-4 mr-2" />
+          Invoices
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={handleManageBilling}
+          disabled={isBusy}
+        >
+          Payment details
+        </Button>
+      </div>
+
+      {billing.cancelAt ? (
+        <Button
+          className="w-full"
+          onClick={() =>
+            runUpdate(
+              () => reactivateTeamSubscription(team._id),
+              "Subscription reactivated",
+              "Failed to reactivate subscription"
+            )
+          }
+          disabled={isBusy}
+        >
+          Keep subscription
+        </Button>
+      ) : (
+        <Button
+          variant="ghost"
+          className="w-full text-red-500"
+          onClick={() =>
+            runUpdate(
+              () => cancelTeamSubscription(team._id),
+              "Subscription canceled",
+              "Failed to cancel subscription"
+            )
+          }
+          disabled={isBusy}
+        >
+          Cancel subscription
+        </Button>
+      )}
+
+      <BillingModal
+        isOpen={showBilling}
+        onClose={() => setShowBilling(false)}
+        teamId={team._id}
+      />
+    </div>
+  );
+}
+
+function SettingsTab({ team, isBusy, runUpdate, onLeft }) {
+  const [name, setName] = useState(team.name);
+  const [isConfirming, setIsConfirming] = useState(false);
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    runUpdate(
+      () => renameTeam(team._id, name.trim()),
+      "Team renamed",
+      "Failed to rename team"
+    );
+  };
+
+  // Deleting or leaving takes a second click to confirm
+  const handleExit = async () => {
+    if (!isConfirming) {
+      setIsConfirming(true);
+      return;
+    }
+    const isOwner = team.role === "owner";
+    const done = await runUpdate(
+      () =>
+        isOwner
+          ? deleteTeam(team._id)
+          : removeTeamMember(team._id, team.membershipId),
+      isOwner ? "Team deleted" : "You left the team",
+      isOwner ? "Failed to delete team" : "Failed to leave team",
+      { reload: false }
+    );
+    setIsConfirming(false);
+    if (done) onLeft();
+  };
+
+  return (
+    <div className="space-y-5">
+      {isTeamAdmin(team.role) && (
+        <form onSubmit={handleRename} className="space-y-2">
+          <Label htmlFor="team-name">Team name</Label>
+          <div className="flex gap-2">
+            <Input
+              id="team-name"
+              value={name}
+              maxLength={100}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <Button
+              type="submit"
+              disabled={isBusy || !name.trim() || name.trim() === team.name}
+            >
+              Save
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {team.role === "owner" && (
+        <p className="text-xs text-slate-500">
+          Deleting the team moves its designs and files back to the personal
+          workspace of whoever created them. Its folders and templates are
+          deleted.
+        </p>
+      )}
+      <Button
+        variant="ghost"
+        className="w-full text-red-500"
+        onClick={handleExit}
+        disabled={isBusy}
+      >
+        {team.role === "owner"
+          ? isConfirming
+            ? "Click again to delete the team"
+            : "Delete team"
+          : isConfirming
+          ? "Click again to leave the team"
+          : "Leave team"}
+      </Button>
+    </div>
+  );
+}
+
+// Members, invitations, billing and settings of a team. onTeamsChange is
+// called when the team is renamed, deleted or left.
+function TeamModal({ isOpen, onClose, teamId, onTeamsChange }) {
+  const [team, setTeam] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const fetchTeam = useCallback(async () => {
+    try {
+      const response = await getTeam(teamId);
+      if (response?.success) setTeam(response.data);
+    } catch (error) {
+      console.error("Failed to load team:", error);
+      toast.error("Failed to load team");
+    }
+  }, [teamId]);
+
+  useEffect(() => {
+    if (!isOpen || !teamId) return;
+    setTeam(null);
+    setIsLoading(true);
+    fetchTeam().finally(() => setIsLoading(false));
+  }, [isOpen, teamId, fetchTeam]);
+
+  // Team changes answer with the changed record only, so the team is
+  // reloaded afterwards
+  const runUpdate = async (
+    request,
+    successMessage,
+    errorMessage,
+    { reload = true } = {}
+  ) => {
+    setIsBusy(true);
+    try {
+      const response = await request();
+      if (response?.data?.approvalLink) return true;
+      if (successMessage) toast.success(successMessage);
+      else if (response?.message) toast.success(response.message);
+      if (reload) await fetchTeam();
+      onTeamsChange?.();
+      return true;
+    } catch (error) {
+      console.error(errorMessage, error);
+      toast.error(error.response?.data?.message || errorMessage);
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleLeft = () => {
+    onClose(false);
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[560px] max-h-[85vh] overflow-y-auto">
+        <DialogTitle className="text-xl font-bold text-slate-800 flex items-center gap-2">
+          <Users className="h-5 w-5" />
+          {team?.name || "Team"}
+        </DialogTitle>
+
+        {isLoading || !team ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <Tabs defaultValue="members">
+            <TabsList className="w-full">
+              <TabsTrigger value="members">Members</TabsTrigger>
+              {team.role === "owner" && (
+                <TabsTrigger value="billing">Billing</TabsTrigger>
+              )}
+              <TabsTrigger value="settings">Settings</TabsTrigger>
+            </TabsList>
+            <TabsContent value="members" className="mt-4">
+              <MembersTab
+                team={team}
+                isBusy={isBusy}
+                runUpdate={runUpdate}
+              />
+            </TabsContent>
+            {team.role === "owner" && (
+              <TabsContent value="billing" className="mt-4">
+                <BillingTab
+                  team={team}
+                  isBusy={isBusy}
+                  setIsBusy={setIsBusy}
+                  runUpdate={runUpdate}
+                />
+              </TabsContent>
+            )}
+            <TabsContent value="settings" className="mt-4">
+              <SettingsTab
+                team={team}
+                isBusy={isBusy}
+                runUpdate={runUpdate}
+                onLeft={handleLeft}
+              />
+            </TabsContent>
+          </Tabs>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default TeamModal;
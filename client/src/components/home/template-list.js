@@ -1,8 +1,8 @@
 "use client";
 
 import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
 import { LoadingSpinner } from "@/components/ui/loading-spinner";
-import { saveDesign } from "@/services/design-service";
 import { useEditorStore } from "@/store";
 import { isPremiumUser } from "@/lib/premium-utils";
 import SubscriptionModal from "@/components/subscription/premium-modal";
@@ -11,7 +11,8 @@ import { useState } from "react";
 import { toast } from "sonner";
 import dynamic from "next/dynamic";
 import { useTemplates } from "@/hooks/useTemplates";
-import { loadTemplateData } from "@/services/template-service";
+import { createDesignFromTemplate } from "@/services/template-service";
+import { Search } from "lucide-react";
 
 // Dynamic import to prevent SSR issues
 const TemplatePreview = dynamic(() => import("./template-preview"), {
@@ -41,8 +42,18 @@ function TemplateList({
   const {
     templates: customTemplates,
     loading: templatesLoading,
+    loadingMore,
     error: templatesError,
+    query,
+    setQuery,
+    category,
+    setCategory,
+    getCategories,
+    hasMore,
+    loadMore,
+    total,
   } = useTemplates();
+  const canSearch = isModalView || showAll;
 
   const isUserPremium = isPremiumUser(userSubscription);
   const designCount = userDesigns?.length || 0;
@@ -67,51 +78,21 @@ function TemplateList({
 
     try {
       setLoading(true);
-      setLoadingTemplate(template.id);
+      setLoadingTemplate(template._id);
 
-      console.log(
-        `Loading template: ${template.name} from ${template.fileName}`
+      const newDesign = await createDesignFromTemplate(
+        template._id,
+        `${template.name} Design`
       );
 
-      // Load the template JSON data using the service
-      const canvasData = await loadTemplateData(template.fileName);
-      console.log("Template data loaded:", canvasData);
-
-      // Check if the template file itself has premium flag and double-check
-      if (canvasData.isPremium && !isUserPremium) {
-        setShowUpgradeModal(true);
-        return;
-      }
-
-      // Validate the canvas data
-      if (!canvasData || typeof canvasData !== "object") {
-        throw new Error("Invalid template data format");
-      }
-
-      // Use dimensions from the canvas data if available, fallback to template config
-      const canvasWidth = canvasData.width || template.width;
-      const canvasHeight = canvasData.height || template.height;
-
-      // Create a new design with the template data
-      const initialDesignData = {
-        name: `${template.name} Design`,
-        canvasData: JSON.stringify(canvasData),
-        width: canvasWidth,
-        height: canvasHeight,
-        category: template.category,
-      };
-
-      console.log("Creating design with data:", initialDesignData);
-
-      const newDesign = await saveDesign(initialDesignData);
-      console.log("Design creation result:", newDesign);
-
       if (newDesign?.success) {
         // Close modal if in modal view
         if (isModalView && setShowTemplatesModal) {
           setShowTemplatesModal(false);
         }
         router.push(`/editor/${newDesign?.data?._id}`);
+      } else if (newDesign?.code === "PREMIUM_REQUIRED") {
+        setShowUpgradeModal(true);
       } else {
         throw new Error(
           newDesign?.message || "Failed to create design from template"
@@ -135,11 +116,51 @@ function TemplateList({
       ? customTemplates
       : customTemplates.slice(0, 5);
 
-  const hasMoreTemplates = customTemplates.length > 5;
+  const hasMoreTemplates = total > 5;
+
+  // Search and category filters - only offered in the full template view
+  const filters = canSearch && (
+    <div className="space-y-3 mb-6">
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+        <Input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search templates"
+          className="pl-9"
+        />
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {["", ...getCategories()].map((name) => (
+          <button
+            key={name || "all"}
+            onClick={() => setCategory(name)}
+            className={`px-3 py-1 rounded-full border text-xs capitalize transition-colors ${
+              category === name
+                ? "border-purple-400 bg-purple-50 text-purple-700"
+                : "border-slate-200 bg-white text-slate-600 hover:border-purple-300"
+            }`}
+          >
+            {name || "All"}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  const renderState = (content) =>
+    canSearch ? (
+      <div className={`${isModalView ? "p-6" : ""}`}>
+        {filters}
+        {content}
+      </div>
+    ) : (
+      content
+    );
 
   // Loading state for templates
   if (templatesLoading) {
-    return (
+    return renderState(
       <div className="flex flex-col items-center justify-center py-12">
         <LoadingSpinner size="lg" />
         <p className="text-slate-500 mt-4">Loading templates...</p>
@@ -149,7 +170,7 @@ function TemplateList({
 
   // Error state for templates
   if (templatesError) {
-    return (
+    return renderState(
       <div className="flex flex-col items-center justify-center py-12">
         <div className="text-slate-500 text-center">
           <p className="text-lg mb-2 text-red-500">Failed to load templates</p>
@@ -161,12 +182,14 @@ function TemplateList({
 
   // No templates state
   if (!customTemplates || customTemplates.length === 0) {
-    return (
+    return renderState(
       <div className="flex flex-col items-center justify-center py-12">
         <div className="text-slate-500 text-center">
-          <p className="text-lg mb-2">No templates available</p>
+          <p className="text-lg mb-2">No templates found</p>
           <p className="text-sm">
-            Add JSON template files to /public/examples/ folder
+            {query || category
+              ? "Try a different search or category"
+              : "Templates will appear here once they are published"}
           </p>
         </div>
       </div>
@@ -176,31 +199,41 @@ function TemplateList({
   return (
     <>
       <div className={`${isModalView ? "p-6" : ""}`}>
+        {filters}
+
         {/* Templates Grid */}
         <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-6">
           {templatesToShow.map((template) => {
             return (
               <div
-                key={`${template.id}-${isModalView ? "modal" : "home"}`}
+                key={`${template._id}-${isModalView ? "modal" : "home"}`}
                 onClick={() => handleSelectTemplate(template)}
                 className="group cursor-pointer bg-white rounded-2xl overflow-hidden shadow-lg hover:shadow-2xl transition-all duration-300 border border-slate-200 hover:border-purple-400 hover:scale-105"
               >
                 {/* Template Preview */}
                 <div className="aspect-[4/3] bg-white flex items-center justify-center relative overflow-hidden border-b border-slate-100 p-3">
-                  <TemplatePreview
-                    key={`${template.id}-preview-${
-                      isModalView ? "modal" : "home"
-                    }`}
-                    templateFile={template.fileName}
-                    width={template.width}
-                    height={template.height}
-                    className="w-full h-full"
-                    context={isModalView ? "modal" : "home"}
-                    isPremium={template.isPremium}
-                  />
+                  {template.thumbnail ? (
+                    <img
+                      src={template.thumbnail}
+                      alt={template.name}
+                      className="max-w-full max-h-full object-contain"
+                    />
+                  ) : (
+                    <TemplatePreview
+                      key={`${template._id}-preview-${
+                        isModalView ? "modal" : "home"
+                      }`}
+                      templateId={template._id}
+                      width={template.width}
+                      height={template.height}
+                      className="w-full h-full"
+                      context={isModalView ? "modal" : "home"}
+                      isPremium={template.isPremium}
+                    />
+                  )}
 
                   {/* Loading overlay */}
-                  {loadingTemplate === template.id && (
+                  {loadingTemplate === template._id && (
                     <div className="absolute inset-0 bg-black/50 flex items-center justify-center">
                       <LoadingSpinner size="md" className="text-white" />
                     </div>
@@ -231,7 +264,20 @@ function TemplateList({
           })}
         </div>
 
-        {/* Show More Button - only show on home page (not modal view) */}
+        {/* Load the next page of results in the full template view */}
+        {canSearch && hasMore && (
+          <div className="flex justify-center mt-8">
+            <Button
+              onClick={loadMore}
+              disabled={loadingMore}
+              variant="outline"
+              className="bg-white hover:bg-purple-50 text-purple-600 border-purple-200 hover:border-purple-300 rounded-full"
+            >
+              {loadingMore ? <LoadingSpinner size="sm" /> : "Load More"}
+            </Button>
+          </div>
+        )}
+
         {/* Show More Button - only show on home page (not modal view) */}
         {!isModalView && !showAll && hasMoreTemplates && !showMoreTemplates && (
           <div className="flex justify-center mt-8">
@@ -1,9 +1,10 @@
 "use client";
 
+import { loadTemplateData } from "@/services/template-service";
 import { useEffect, useRef, useState, useMemo } from "react";
 
 function TemplatePreview({
-  templateFile,
+  templateId,
   width,
   height,
   className = "",
@@ -18,8 +19,8 @@ function TemplatePreview({
   
   // Create unique canvas ID for each component instance
   const canvasId = useMemo(() => 
-    `template-preview-${context}-${templateFile?.replace(/[^a-zA-Z0-9]/g, "-")}-${Math.random().toString(36).substr(2, 9)}`,
-    [templateFile, context]
+    `template-preview-${context}-${templateId?.replace(/[^a-zA-Z0-9]/g, "-")}-${Math.random().toString(36).substr(2, 9)}`,
+    [templateId, context]
   );
 
   // Cleanup function
@@ -147,21 +148,17 @@ function TemplatePreview({
         fabricCanvasRef.current.setViewportTransform([1, 0, 0, 1, 0, 0]);
 
         // Load template data
-        if (templateFile && isMounted) {
+        if (templateId && isMounted) {
           try {
             console.log(
-              `Loading template: ${templateFile} (${width}x${height})`
+              `Loading template: ${templateId} (${width}x${height})`
             );
-            const response = await fetch(`/examples/${templateFile}`);
-            if (!response.ok) {
-              throw new Error(`Failed to load template: ${response.status}`);
-            }
+            const templateData = await loadTemplateData(templateId);
 
             if (!isMounted) return;
 
-            const templateData = await response.json();
             console.log(
-              `Template data loaded for ${templateFile}, objects:`,
+              `Template data loaded for ${templateId}, objects:`,
               templateData.objects?.length || 0
             );
 
@@ -184,7 +181,7 @@ function TemplatePreview({
                 );
 
                 console.log(
-                  `Template: ${templateFile}, Original: ${width}x${height}, Preview: ${previewWidth}x${previewHeight}, Scale: ${scale}`
+                  `Template: ${templateId}, Original: ${width}x${height}, Preview: ${previewWidth}x${previewHeight}, Scale: ${scale}`
                 );
 
                 // Set the canvas viewport to show the entire original design scaled down
@@ -212,11 +209,11 @@ function TemplatePreview({
                 }
 
                 console.log(
-                  `Template ${templateFile} loaded with zoom: ${zoom}`
+                  `Template ${templateId} loaded with zoom: ${zoom}`
                 );
               } catch (error) {
                 console.error(
-                  `Error rendering template ${templateFile}:`,
+                  `Error rendering template ${templateId}:`,
                   error
                 );
                 if (isMounted) {
@@ -275,7 +272,7 @@ function TemplatePreview({
         }
       }
     };
-  }, [templateFile, width, height]);
+  }, [templateId, width, height]);
 
   return (
     <div
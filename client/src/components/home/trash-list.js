@@ -0,0 +1,198 @@
+"use client";
+
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useFolders } from "@/hooks/useFolders";
+import {
+  deleteDesignPermanently,
+  emptyTrash,
+  getTrashedDesigns,
+  getUserDesigns,
+  restoreDesign,
+} from "@/services/design-service";
+import { useEditorStore } from "@/store";
+import { RotateCcw, Trash2 } from "lucide-react";
+import { useCallback, useEffect, useState } from "react";
+import { toast } from "sonner";
+import { DesignThumbnail } from "./design-thumbnail";
+
+const daysLeft = (purgeAt) =>
+  Math.max(0, Math.ceil((new Date(purgeAt) - Date.now()) / 86400000));
+
+/**
+ * Designs in the trash with restore and permanent delete. They are purged
+ * automatically 30 days after being deleted.
+ */
+function TrashList() {
+  const { setUserDesigns } = useEditorStore();
+  const { refreshFolders } = useFolders(false);
+  const [designs, setDesigns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyIds, setBusyIds] = useState(new Set());
+  const [isEmptying, setIsEmptying] = useState(false);
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      const result = await getTrashedDesigns({ limit: 100 });
+      if (result?.success) setDesigns(result.data);
+    } catch (error) {
+      console.error("Error fetching trash:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const setBusy = (designId, isBusy) =>
+    setBusyIds((current) => {
+      const next = new Set(current);
+      isBusy ? next.add(designId) : next.delete(designId);
+      return next;
+    });
+
+  const runOnDesign = async (design, action, successMessage) => {
+    if (busyIds.has(design._id)) return;
+    setBusy(design._id, true);
+    try {
+      const response = await action(design._id);
+      if (response?.success) {
+        setDesigns((current) =>
+          current.filter((item) => item._id !== design._id)
+        );
+        toast.success(successMessage);
+        return true;
+      }
+    } catch (error) {
+      console.error("Error updating trashed design:", error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    } finally {
+      setBusy(design._id, false);
+    }
+    return false;
+  };
+
+  const handleRestore = async (design) => {
+    const restored = await runOnDesign(
+      design,
+      restoreDesign,
+      `Restored "${design.name}"`
+    );
+    if (!restored) return;
+
+    const result = await getUserDesigns();
+    if (result?.success) setUserDesigns(result.data);
+    refreshFolders();
+  };
+
+  const handleEmptyTrash = async () => {
+    setIsEmptying(true);
+    try {
+      const response = await emptyTrash();
+      if (response?.success) {
+        setDesigns([]);
+        toast.success("Trash emptied");
+      }
+    } catch (error) {
+      console.error("Error emptying trash:", error);
+      toast.error("Failed to empty trash");
+    } finally {
+      setIsEmptying(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-20">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4">
+      <div className="flex items-center justify-between mb-6">
+        <p className="text-sm text-slate-600">
+          Designs in the trash are deleted permanently after 30 days.
+        </p>
+        {designs.length > 0 && (
+          <button
+            onClick={handleEmptyTrash}
+            disabled={isEmptying}
+            className="flex items-center space-x-2 px-4 py-2 rounded-xl border-2 border-red-200 text-red-600 text-sm font-semibold hover:bg-red-50 disabled:opacity-50"
+          >
+            {isEmptying ? (
+              <LoadingSpinner size="sm" />
+            ) : (
+              <Trash2 className="w-4 h-4" />
+            )}
+            <span>Empty trash</span>
+          </button>
+        )}
+      </div>
+
+      {designs.length === 0 ? (
+        <div className="flex flex-col items-center justify-center py-16">
+          <div className="w-24 h-24 bg-gradient-to-br from-slate-100 to-blue-100 border-2 border-dashed border-slate-300 rounded-3xl flex items-center justify-center mb-6">
+            <Trash2 className="w-10 h-10 text-slate-400" />
+          </div>
+          <h3 className="text-xl font-bold text-slate-800">Trash is empty</h3>
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 xl:grid-cols-6 gap-6">
+          {designs.map((design) => (
+            <div key={design._id} className="group">
+              <div className="relative aspect-square w-full border-2 border-slate-200 rounded-2xl overflow-hidden bg-white shadow-lg opacity-75">
+                {design.thumbnail ? (
+                  <img
+                    src={design.thumbnail}
+                    alt={design.name}
+                    className="w-full h-full object-cover"
+                    loading="lazy"
+                  />
+                ) : (
+                  <DesignThumbnail design={design} />
+                )}
+              </div>
+              <div className="mt-3 px-1">
+                <h3 className="text-sm font-bold text-slate-800 truncate">
+                  {design.name}
+                </h3>
+                <span className="text-xs text-slate-500 block font-medium">
+                  {daysLeft(design.purgeAt)} days left
+                </span>
+                <div className="flex space-x-2 mt-2">
+                  <button
+                    onClick={() => handleRestore(design)}
+                    disabled={busyIds.has(design._id)}
+                    className="flex-1 flex items-center justify-center space-x-1 py-1.5 rounded-lg border border-slate-200 text-xs font-semibold text-slate-700 hover:bg-blue-50 hover:border-blue-300 disabled:opacity-50"
+                  >
+                    <RotateCcw className="w-3.5 h-3.5" />
+                    <span>Restore</span>
+                  </button>
+                  <button
+                    onClick={() =>
+                      runOnDesign(
+                        design,
+                        deleteDesignPermanently,
+                        `Deleted "${design.name}" permanently`
+                      )
+                    }
+                    disabled={busyIds.has(design._id)}
+                    title="Delete forever"
+                    className="px-2 py-1.5 rounded-lg border border-slate-200 text-slate-500 hover:bg-red-50 hover:border-red-300 hover:text-red-600 disabled:opacity-50"
+                  >
+                    <Trash2 className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TrashList;
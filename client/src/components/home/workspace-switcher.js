@@ -0,0 +1,301 @@
+"use client";
+
+import {
+  Check,
+  ChevronDown,
+  Crown,
+  Mail,
+  Plus,
+  Settings,
+  User,
+  Users,
+  X,
+} from "lucide-react";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "../ui/dropdown-menu";
+import { Dialog, DialogContent, DialogTitle } from "../ui/dialog";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import TeamModal from "./team-modal";
+import { useEditorStore } from "@/store";
+import { useWorkspaceStore } from "@/store/workspace-store";
+import { getUserSubscription } from "@/services/subscription-service";
+import {
+  acceptTeamInvitation,
+  createTeam,
+  declineTeamInvitation,
+  getTeamInvitations,
+  getTeams,
+} from "@/services/team-service";
+import { useCallback, useEffect, useState } from "react";
+import { toast } from "sonner";
+
+/**
+ * Switch between the personal workspace and the user's teams, create
+ * teams and answer invitations. Designs, folders and media are listed and
+ * created in the workspace picked here.
+ */
+function WorkspaceSwitcher() {
+  const { teams, setTeams, activeWorkspaceId, setActiveWorkspace } =
+    useWorkspaceStore();
+  const [invitations, setInvitations] = useState([]);
+  const [showCreate, setShowCreate] = useState(false);
+  const [teamName, setTeamName] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+  const [managedTeamId, setManagedTeamId] = useState(null);
+
+  const activeTeam = teams.find((team) => team._id === activeWorkspaceId);
+
+  const switchWorkspace = useCallback(
+    (teamId) => {
+      if (teamId === useWorkspaceStore.getState().activeWorkspaceId) return;
+      // Folders, views and the brand kit of one workspace mean nothing in
+      // another
+      const { setFolders, setDesignsView, setBrandKit } =
+        useEditorStore.getState();
+      setFolders([]);
+      setDesignsView({ type: "all" });
+      setBrandKit(null);
+      setActiveWorkspace(teamId);
+    },
+    [setActiveWorkspace]
+  );
+
+  // Team premium comes and goes with joining and leaving teams
+  const refreshSubscription = async () => {
+    const response = await getUserSubscription();
+    if (response?.success) {
+      useEditorStore.getState().setUserSubscription(response.data);
+    }
+  };
+
+  const loadTeams = useCallback(async () => {
+    try {
+      const [teamsResult, invitationsResult] = await Promise.all([
+        getTeams(),
+        getTeamInvitations(),
+      ]);
+      if (teamsResult?.success) {
+        setTeams(teamsResult.data);
+        // The remembered team may have been left or deleted since
+        const { activeWorkspaceId } = useWorkspaceStore.getState();
+        if (
+          activeWorkspaceId &&
+          !teamsResult.data.some((team) => team._id === activeWorkspaceId)
+        ) {
+          switchWorkspace(null);
+        }
+      }
+      if (invitationsResult?.success) setInvitations(invitationsResult.data);
+    } catch (error) {
+      console.error("Error fetching teams:", error);
+    }
+  }, [setTeams, switchWorkspace]);
+
+  useEffect(() => {
+    loadTeams();
+  }, [loadTeams]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!teamName.trim()) return;
+
+    setIsBusy(true);
+    try {
+      const response = await createTeam(teamName.trim());
+      if (response?.success) {
+        await loadTeams();
+        switchWorkspace(response.data._id);
+        setShowCreate(false);
+        setTeamName("");
+        toast.success(`Created ${response.data.name}`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to create team");
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleAccept = async (invitation) => {
+    try {
+      await acceptTeamInvitation(invitation._id);
+      await Promise.all([loadTeams(), refreshSubscription()]);
+      switchWorkspace(invitation.team._id);
+      toast.success(`You joined ${invitation.team.name}`);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "Failed to accept invitation"
+      );
+      loadTeams();
+    }
+  };
+
+  const handleDecline = async (invitation) => {
+    try {
+      await declineTeamInvitation(invitation._id);
+      setInvitations((current) =>
+        current.filter((candidate) => candidate._id !== invitation._id)
+      );
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "Failed to decline invitation"
+      );
+    }
+  };
+
+  const handleTeamsChange = () => {
+    loadTeams();
+    refreshSubscription().catch((error) =>
+      console.error("Error fetching subscription:", error)
+    );
+  };
+
+  return (
+    <>
+      <DropdownMenu>
+        <DropdownMenuTrigger aschild="true">
+          <div className="flex items-center gap-2 px-3 py-2 rounded-xl border border-slate-200 hover:bg-slate-50 transition-all duration-300 cursor-pointer">
+            {activeTeam ? (
+              <Users className="h-4 w-4 text-blue-600" />
+            ) : (
+              <User className="h-4 w-4 text-slate-500" />
+            )}
+            <span className="text-sm font-semibold text-slate-700 max-w-[160px] truncate">
+              {activeTeam ? activeTeam.name : "Personal"}
+            </span>
+            {invitations.length > 0 && (
+              <span className="h-2 w-2 rounded-full bg-pink-500" />
+            )}
+            <ChevronDown className="h-4 w-4 text-slate-400" />
+          </div>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent
+          align="end"
+          className="w-64 bg-white/95 backdrop-blur-md border-slate-200 shadow-xl rounded-2xl"
+        >
+          <DropdownMenuLabel className="text-xs text-slate-500">
+            Workspaces
+          </DropdownMenuLabel>
+          <DropdownMenuItem
+            onClick={() => switchWorkspace(null)}
+            className="cursor-pointer rounded-xl mx-1"
+          >
+            <User className="mr-3 w-4 h-4 text-slate-500" />
+            <span className="flex-1 font-medium text-slate-700">Personal</span>
+            {!activeTeam && <Check className="w-4 h-4 text-blue-600" />}
+          </DropdownMenuItem>
+          {teams.map((team) => (
+            <DropdownMenuItem
+              key={team._id}
+              onClick={() => switchWorkspace(team._id)}
+              className="cursor-pointer rounded-xl mx-1"
+            >
+              <Users className="mr-3 w-4 h-4 text-slate-500" />
+              <span className="flex-1 font-medium text-slate-700 truncate">
+                {team.name}
+              </span>
+              {team.isPremium && (
+                <Crown className="w-4 h-4 text-yellow-500" />
+              )}
+              {team._id === activeWorkspaceId && (
+                <Check className="w-4 h-4 text-blue-600" />
+              )}
+            </DropdownMenuItem>
+          ))}
+
+          {invitations.length > 0 && (
+            <>
+              <DropdownMenuSeparator />
+              <DropdownMenuLabel className="text-xs text-slate-500">
+                Invitations
+              </DropdownMenuLabel>
+              {invitations.map((invitation) => (
+                <div
+                  key={invitation._id}
+                  className="flex items-center gap-2 px-3 py-1.5"
+                >
+                  <Mail className="w-4 h-4 text-pink-500" />
+                  <span className="flex-1 text-sm text-slate-700 truncate">
+                    {invitation.team.name}
+                  </span>
+                  <button
+                    onClick={() => handleAccept(invitation)}
+                    className="p-1 rounded-lg text-emerald-600 hover:bg-emerald-50"
+                    title="Join team"
+                  >
+                    <Check className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDecline(invitation)}
+                    className="p-1 rounded-lg text-slate-400 hover:bg-slate-100"
+                    title="Decline"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </>
+          )}
+
+          <DropdownMenuSeparator />
+          {activeTeam && (
+            <DropdownMenuItem
+              onClick={() => setManagedTeamId(activeTeam._id)}
+              className="cursor-pointer rounded-xl mx-1"
+            >
+              <Settings className="mr-3 w-4 h-4 text-slate-500" />
+              <span className="font-medium text-slate-700">Manage team</span>
+            </DropdownMenuItem>
+          )}
+          <DropdownMenuItem
+            onClick={() => setShowCreate(true)}
+            className="cursor-pointer rounded-xl mx-1"
+          >
+            <Plus className="mr-3 w-4 h-4 text-slate-500" />
+            <span className="font-medium text-slate-700">Create team</span>
+          </DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <Dialog open={showCreate} onOpenChange={setShowCreate}>
+        <DialogContent className="sm:max-w-[420px]">
+          <DialogTitle className="text-xl font-bold text-slate-800">
+            Create a team
+          </DialogTitle>
+          <p className="text-sm text-slate-500">
+            Designs, templates and files in a team are shared with everyone
+            you invite to it.
+          </p>
+          <form onSubmit={handleCreate} className="flex gap-2">
+            <Input
+              placeholder="Team name"
+              value={teamName}
+              maxLength={100}
+              onChange={(e) => setTeamName(e.target.value)}
+              autoFocus
+            />
+            <Button type="submit" disabled={isBusy || !teamName.trim()}>
+              Create
+            </Button>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <TeamModal
+        isOpen={Boolean(managedTeamId)}
+        onClose={() => setManagedTeamId(null)}
+        teamId={managedTeamId}
+        onTeamsChange={handleTeamsChange}
+      />
+    </>
+  );
+}
+
+export default WorkspaceSwitcher;
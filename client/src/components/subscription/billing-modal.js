@@ -0,0 +1,285 @@
+"use client";
+
+import { Dialog, DialogContent, DialogTitle } from "../ui/dialog";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "../ui/tabs";
+import { LoadingSpinner } from "../ui/loading-spinner";
+import {
+  getBillingDetails,
+  getBillingHistory,
+  getInvoicePdf,
+  updateBillingDetails,
+} from "@/services/subscription-service";
+import {
+  getTeamBillingDetails,
+  getTeamBillingHistory,
+  getTeamInvoicePdf,
+  updateTeamBillingDetails,
+} from "@/services/team-service";
+import { saveAs } from "file-saver";
+import { FileText, Receipt } from "lucide-react";
+import { useCallback, useEffect, useState } from "react";
+import { toast } from "sonner";
+
+const PAGE_SIZE = 20;
+
+const STATUS_LABELS = {
+  completed: "Paid",
+  pending: "Pending",
+  failed: "Failed",
+  partially_refunded: "Partially refunded",
+  refunded: "Refunded",
+  reversed: "Charged back",
+};
+
+const DETAIL_FIELDS = [
+  { name: "name", label: "Full name" },
+  { name: "company", label: "Company" },
+  { name: "email", label: "Billing email" },
+  { name: "address", label: "Address" },
+  { name: "country", label: "Country" },
+  { name: "taxId", label: "VAT / tax ID" },
+];
+
+// The user's own billing, or a team's for its owner
+const billingService = (teamId) =>
+  teamId
+    ? {
+        getHistory: (params) => getTeamBillingHistory(teamId, params),
+        getInvoice: (id) => getTeamInvoicePdf(teamId, id),
+        getDetails: () => getTeamBillingDetails(teamId),
+        updateDetails: (details) => updateTeamBillingDetails(teamId, details),
+      }
+    : {
+        getHistory: getBillingHistory,
+        getInvoice: getInvoicePdf,
+        getDetails: getBillingDetails,
+        updateDetails: updateBillingDetails,
+      };
+
+const formatMoney = (transaction) =>
+  new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency: transaction.currency,
+  }).format(
+    transaction.type === "payment" ? transaction.amount : -transaction.amount
+  );
+
+function TransactionList({ teamId }) {
+  const [transactions, setTransactions] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  const fetchPage = useCallback(
+    async (page) => {
+      try {
+        const result = await billingService(teamId).getHistory({
+          page,
+          limit: PAGE_SIZE,
+        });
+        if (!result?.success) return;
+        setTransactions((current) =>
+          page === 1 ? result.data : [...current, ...result.data]
+        );
+        setPagination(result.pagination);
+      } catch (error) {
+        console.error("Error fetching billing history:", error);
+        toast.error("Failed to load billing history");
+      } finally {
+        setLoading(false);
+      }
+    },
+    [teamId]
+  );
+
+  useEffect(() => {
+    fetchPage(1);
+  }, [fetchPage]);
+
+  const handleDownload = async (transaction) => {
+    setDownloadingId(transaction._id);
+    try {
+      const pdf = await billingService(teamId).getInvoice(transaction._id);
+      saveAs(pdf, `${transaction.invoiceNumber}.pdf`);
+    } catch (error) {
+      console.error("Error downloading invoice:", error);
+      toast.error("Failed to download invoice");
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (transactions.length === 0) {
+    return (
+      <div className="flex flex-col items-center py-12 text-slate-500">
+        <Receipt className="w-10 h-10 mb-3 text-slate-300" />
+        <p className="text-sm">No payments yet</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {transactions.map((transaction) => (
+        <div
+          key={transaction._id}
+          className="flex items-center gap-3 p-3 border border-slate-200 rounded-xl"
+        >
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-semibold text-slate-800 truncate">
+              {transaction.description}
+            </p>
+            <p className="text-xs text-slate-500">
+              {new Date(transaction.occurredAt).toLocaleDateString()} ·{" "}
+              {transaction.invoiceNumber}
+              {transaction.type === "payment" &&
+                ` · ${STATUS_LABELS[transaction.status] || transaction.status}`}
+            </p>
+          </div>
+          <span
+            className={`text-sm font-semibold ${
+              transaction.type === "payment"
+                ? "text-slate-800"
+                : "text-emerald-600"
+            }`}
+          >
+            {formatMoney(transaction)}
+          </span>
+          <button
+            onClick={() => handleDownload(transaction)}
+            disabled={downloadingId === transaction._id}
+            className="p-2 rounded-lg text-slate-500 hover:bg-slate-100 disabled:opacity-50"
+            title={
+              transaction.type === "payment"
+                ? "Download invoice"
+                : "Download credit note"
+            }
+          >
+            {downloadingId === transaction._id ? (
+              <LoadingSpinner size="sm" />
+            ) : (
+              <FileText className="w-4 h-4" />
+            )}
+          </button>
+        </div>
+      ))}
+      {pagination && pagination.current < pagination.total && (
+        <Button
+          variant="outline"
+          size="sm"
+          className="w-full"
+          onClick={() => fetchPage(pagination.current + 1)}
+        >
+          Load more
+        </Button>
+      )}
+    </div>
+  );
+}
+
+function BillingDetailsForm({ teamId }) {
+  const [details, setDetails] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    billingService(teamId)
+      .getDetails()
+      .then((result) => result?.success && setDetails(result.data))
+      .catch((error) => console.error("Error fetching billing details:", error))
+      .finally(() => setLoading(false));
+  }, [teamId]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const result = await billingService(teamId).updateDetails(details);
+      if (result?.success) {
+        setDetails(result.data);
+        toast.success("Billing details saved");
+      }
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "Failed to save billing details"
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <p className="text-xs text-slate-500">
+        Shown on invoices for future payments.
+      </p>
+      {DETAIL_FIELDS.map((field) => (
+        <div key={field.name} className="space-y-1">
+          <Label htmlFor={`billing-${field.name}`} className="text-xs">
+            {field.label}
+          </Label>
+          <Input
+            id={`billing-${field.name}`}
+            value={details[field.name] || ""}
+            onChange={(e) =>
+              setDetails((current) => ({
+                ...current,
+                [field.name]: e.target.value,
+              }))
+            }
+          />
+        </div>
+      ))}
+      <Button type="submit" className="w-full" disabled={isSaving}>
+        {isSaving ? <LoadingSpinner size="sm" /> : "Save details"}
+      </Button>
+    </form>
+  );
+}
+
+// Billing history with invoice downloads, and the details invoices show.
+// With a teamId it shows the team's billing instead of the user's.
+function BillingModal({ isOpen, onClose, teamId = null }) {
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[560px] max-h-[85vh] overflow-y-auto">
+        <DialogTitle className="text-xl font-bold text-slate-800">
+          Billing
+        </DialogTitle>
+        <Tabs defaultValue="history">
+          <TabsList className="w-full">
+            <TabsTrigger value="history">Payments & invoices</TabsTrigger>
+            <TabsTrigger value="details">Billing details</TabsTrigger>
+          </TabsList>
+          <TabsContent value="history" className="mt-4">
+            {isOpen && <TransactionList teamId={teamId} />}
+          </TabsContent>
+          <TabsContent value="details" className="mt-4">
+            {isOpen && <BillingDetailsForm teamId={teamId} />}
+          </TabsContent>
+        </Tabs>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default BillingModal;
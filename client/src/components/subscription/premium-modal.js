@@ -15,7 +15,11 @@ import {
 } from "lucide-react";
 import { Button } from "../ui/button";
 import {
-  createPaypalSubscription,
+  changeSubscriptionPlan,
+  createSubscriptionCheckout,
+  getBillingPortalUrl,
+  getSubscriptionPlans,
+  getUserSubscription,
   SUBSCRIPTION_CONFIG,
 } from "@/services/subscription-service";
 import { useState, useEffect } from "react";
@@ -23,11 +27,24 @@ import { toast } from "sonner";
 import { getSubscriptionStatus } from "@/lib/premium-utils";
 
 function SubscriptionModal({ isOpen, onClose }) {
-  const { userSubscription } = useEditorStore();
+  const { userSubscription, setUserSubscription } = useEditorStore();
   const [isLoading, setIsLoading] = useState(false);
   const [paymentStep, setPaymentStep] = useState("features");
+  const [billingCycle, setBillingCycle] = useState("monthly");
+  const [plans, setPlans] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [provider, setProvider] = useState("paypal");
+  const [trialDays, setTrialDays] = useState(0);
   const subscriptionStatus = getSubscriptionStatus(userSubscription);
 
+  const premiumPlan = plans.find(
+    (plan) => plan.plan === "premium" && plan.billingCycle === billingCycle
+  );
+  const price = premiumPlan?.price ?? SUBSCRIPTION_CONFIG.price;
+  const period = billingCycle === "yearly" ? "year" : "month";
+  const providerLabel =
+    providers.find((option) => option.name === provider)?.label || "PayPal";
+
   const handleClose = () => {
     if (typeof onClose === "function") {
       onClose(false); // Pass false to close the modal
@@ -37,30 +54,93 @@ function SubscriptionModal({ isOpen, onClose }) {
   useEffect(() => {
     if (isOpen) {
       setPaymentStep("features");
+      getSubscriptionPlans()
+        .then((result) => {
+          if (!result?.success) return;
+          setPlans(result.data.plans);
+          setProviders(result.data.providers);
+          setTrialDays(result.data.trialDays);
+          if (result.data.providers.length > 0) {
+            setProvider(
+              result.data.current?.provider ||
+                result.data.providers[0].name
+            );
+          }
+        })
+        .catch((error) => console.error("Error fetching plans:", error));
     }
   }, [isOpen]);
 
+  // Some providers switch plans right away, others send the user to
+  // confirm a new subscription for the plan
+  const handleChangePlan = async (plan) => {
+    setIsLoading(true);
+    try {
+      const response = await changeSubscriptionPlan({
+        provider: plan.providers.includes(provider)
+          ? provider
+          : plan.providers[0],
+        plan: plan.plan,
+        billingCycle: plan.billingCycle,
+      });
+      if (response?.data?.approvalLink) {
+        window.location.href = response.data.approvalLink;
+        return;
+      }
+      if (response?.success) {
+        const subscription = await getUserSubscription();
+        if (subscription?.success) setUserSubscription(subscription.data);
+        toast.success(response.message || "Your plan has been changed");
+      }
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "Failed to change your plan"
+      );
+    }
+    setIsLoading(false);
+  };
+
+  const handleManageBilling = async () => {
+    setIsLoading(true);
+    try {
+      const response = await getBillingPortalUrl();
+      if (response?.success) {
+        window.location.href = response.data.url;
+        return;
+      }
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "Failed to open billing settings"
+      );
+    }
+    setIsLoading(false);
+  };
+
   const handleUpgradeClick = () => {
     setPaymentStep("payment");
   };
 
-  const handlePayPalPayment = async () => {
+  const handleCheckout = async () => {
     setIsLoading(true);
     setPaymentStep("processing");
 
     try {
-      const response = await createPaypalSubscription();
+      const response = await createSubscriptionCheckout({
+        provider,
+        plan: "premium",
+        billingCycle,
+      });
 
       if (response?.success && response?.data?.approvalLink) {
         localStorage.setItem("pendingUpgrade", "true");
         window.location.href = response.data.approvalLink;
       } else {
-        throw new Error(response?.message || "Failed to create PayPal order");
+        throw new Error(response?.message || "Failed to start checkout");
       }
     } catch (error) {
-      console.error("PayPal payment error:", error);
+      console.error("Checkout error:", error);
       toast.error("Payment Error", {
-        description: "Failed to initiate PayPal payment. Please try again.",
+        description: `Failed to start payment with ${providerLabel}. Please try again.`,
       });
       setPaymentStep("payment");
     } finally {
@@ -90,6 +170,9 @@ function SubscriptionModal({ isOpen, onClose }) {
   ];
 
   if (userSubscription?.isPremium) {
+    // Premium that comes with a team is managed by the team's owner
+    const isTeamPremium = userSubscription.source === "team";
+
     return (
       <Dialog open={isOpen} onOpenChange={handleClose}>
         <DialogContent className="sm:max-w-[500px] p-0 gap-0 overflow-hidden">
@@ -101,31 +184,85 @@ function SubscriptionModal({ isOpen, onClose }) {
               You're Premium! 🎉
             </DialogTitle>
             <p className="text-gray-600 mb-6">
-              Thanks for being a premium member. Enjoy all the exclusive
-              features!
+              {isTeamPremium
+                ? `Your membership of ${userSubscription.team?.name} includes all the premium features.`
+                : "Thanks for being a premium member. Enjoy all the exclusive features!"}
             </p>
 
-            <div className="bg-white rounded-lg p-4 mb-6">
-              <div className="flex items-center justify-center gap-2 text-sm text-gray-600">
-                <Calendar className="h-4 w-4" />
-                <span>
-                  Premium since{" "}
-                  {new Date(
-                    userSubscription?.premiumSince
-                  ).toLocaleDateString() || "Recently"}
-                </span>
-              </div>
-              {userSubscription?.nextBillingDate && (
-                <div className="flex items-center justify-center gap-2 text-sm text-gray-500 mt-2">
+            {!isTeamPremium && (
+              <div className="bg-white rounded-lg p-4 mb-6">
+                <div className="flex items-center justify-center gap-2 text-sm text-gray-600">
+                  <Calendar className="h-4 w-4" />
                   <span>
-                    Next billing:{" "}
+                    Premium since{" "}
                     {new Date(
-                      userSubscription.nextBillingDate
-                    ).toLocaleDateString()}
+                      userSubscription?.premiumSince
+                    ).toLocaleDateString() || "Recently"}
                   </span>
                 </div>
-              )}
-            </div>
+                {userSubscription?.nextBillingDate && (
+                  <div className="flex items-center justify-center gap-2 text-sm text-gray-500 mt-2">
+                    <span>
+                      {userSubscription.trialEndsAt &&
+                      new Date(userSubscription.trialEndsAt) > new Date()
+                        ? "Trial ends"
+                        : "Next billing"}
+                      :{" "}
+                      {new Date(
+                        userSubscription.nextBillingDate
+                      ).toLocaleDateString()}
+                    </span>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {!isTeamPremium && plans.some((plan) => plan.available) && (
+              <div className="bg-white rounded-lg p-4 mb-6 text-left">
+                <p className="text-sm font-semibold text-gray-700 mb-1">
+                  Change plan
+                </p>
+                <p className="text-xs text-gray-500 mb-3">
+                  Unused time on your current plan is credited to the new one.
+                </p>
+                <div className="grid grid-cols-2 gap-2">
+                  {plans
+                    .filter(
+                      (plan) =>
+                        plan.available &&
+                        !(
+                          plan.plan === userSubscription.plan &&
+                          plan.billingCycle === userSubscription.billingCycle &&
+                          userSubscription.isRecurring
+                        )
+                    )
+                    .map((plan) => (
+                      <Button
+                        key={`${plan.plan}-${plan.billingCycle}`}
+                        variant="outline"
+                        size="sm"
+                        disabled={isLoading}
+                        onClick={() => handleChangePlan(plan)}
+                        className="capitalize"
+                      >
+                        {plan.plan} · ${plan.price}/
+                        {plan.billingCycle === "yearly" ? "yr" : "mo"}
+                      </Button>
+                    ))}
+                </div>
+              </div>
+            )}
+
+            {userSubscription.isRecurring && (
+              <Button
+                onClick={handleManageBilling}
+                disabled={isLoading}
+                variant="outline"
+                className="w-full mb-3"
+              >
+                Manage payment details
+              </Button>
+            )}
 
             <Button onClick={handleClose} className="w-full">
               Continue Creating
@@ -159,15 +296,33 @@ function SubscriptionModal({ isOpen, onClose }) {
                 ? "Renew Your Premium"
                 : "Upgrade to Premium"}
             </h2>
+            <div className="inline-flex bg-white/20 rounded-full p-1 mb-4">
+              {["monthly", "yearly"].map((cycle) => (
+                <button
+                  key={cycle}
+                  onClick={() => setBillingCycle(cycle)}
+                  className={`px-4 py-1 rounded-full text-sm font-semibold capitalize transition-colors ${
+                    billingCycle === cycle
+                      ? "bg-white text-purple-700"
+                      : "text-white hover:bg-white/10"
+                  }`}
+                >
+                  {cycle}
+                </button>
+              ))}
+            </div>
             <div className="flex items-center justify-center gap-2 mb-4">
-              <span className="text-4xl font-bold">
-                ${SUBSCRIPTION_CONFIG.price}
-              </span>
-              <span className="text-lg opacity-80">/month</span>
+              <span className="text-4xl font-bold">${price}</span>
+              <span className="text-lg opacity-80">/{period}</span>
             </div>
+            {trialDays > 0 && (
+              <p className="text-sm font-semibold mb-2">
+                Try it free for {trialDays} days
+              </p>
+            )}
             <p className="text-lg opacity-90">
               {subscriptionStatus.isRenewal
-                ? "Continue enjoying premium features with monthly billing"
+                ? `Continue enjoying premium features with ${billingCycle} billing`
                 : "Unlock unlimited creativity with premium features"}
             </p>
             {subscriptionStatus.status === "expired" && (
@@ -209,10 +364,14 @@ function SubscriptionModal({ isOpen, onClose }) {
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-6 mb-8">
               <h4 className="font-semibold text-blue-900 mb-2 flex items-center gap-2">
                 <Shield className="h-5 w-5" />
-                Monthly Billing Details
+                Billing Details
               </h4>
               <ul className="text-sm text-blue-800 space-y-1">
-                <li>• Billed monthly on the same date you subscribe</li>
+                <li>
+                  {trialDays > 0
+                    ? `• Free for ${trialDays} days, then billed ${billingCycle}`
+                    : `• Billed ${billingCycle} on the same date you subscribe`}
+                </li>
                 <li>• Cancel anytime - no long-term commitment</li>
                 <li>• Instant access to all premium features</li>
                 <li>• Secure payment processing via PayPal</li>
@@ -239,11 +398,29 @@ function SubscriptionModal({ isOpen, onClose }) {
                 Complete Your Purchase
               </h3>
               <p className="text-gray-600">
-                You'll be redirected to PayPal to complete your $
-                {SUBSCRIPTION_CONFIG.price}/month subscription
+                You'll be redirected to {providerLabel} to complete your $
+                {price}/{period} subscription
               </p>
             </div>
 
+            {providers.length > 1 && (
+              <div className="grid grid-cols-2 gap-3 mb-6">
+                {providers.map((option) => (
+                  <button
+                    key={option.name}
+                    onClick={() => setProvider(option.name)}
+                    className={`p-4 rounded-lg border-2 font-semibold transition-colors ${
+                      provider === option.name
+                        ? "border-purple-500 bg-purple-50 text-purple-700"
+                        : "border-gray-200 text-gray-600 hover:border-gray-300"
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            )}
+
             <div className="bg-gray-50 rounded-lg p-6 mb-8">
               <h4 className="font-semibold text-gray-800 mb-4">
                 Order Summary
@@ -251,19 +428,21 @@ function SubscriptionModal({ isOpen, onClose }) {
               <div className="flex justify-between items-center mb-2">
                 <span className="text-gray-600">Premium Subscription</span>
                 <span className="font-semibold">
-                  ${SUBSCRIPTION_CONFIG.price}.00/month
+                  ${price}.00/{period}
                 </span>
               </div>
               <div className="border-t pt-2 mt-4">
                 <div className="flex justify-between items-center font-bold text-lg">
-                  <span>Total</span>
-                  <span>${SUBSCRIPTION_CONFIG.price}.00/month</span>
+                  <span>{trialDays > 0 ? "Due today" : "Total"}</span>
+                  <span>
+                    {trialDays > 0 ? "$0.00" : `$${price}.00/${period}`}
+                  </span>
                 </div>
               </div>
             </div>
 
             <Button
-              onClick={handlePayPalPayment}
+              onClick={handleCheckout}
               disabled={isLoading}
               size="lg"
               className="w-full bg-blue-600 hover:bg-blue-700 text-lg py-6 mb-4"
@@ -273,7 +452,7 @@ function SubscriptionModal({ isOpen, onClose }) {
               ) : (
                 <span className="mr-2">💳</span>
               )}
-              Pay with PayPal
+              Pay with {providerLabel}
             </Button>
 
             <div className="flex gap-4">
@@ -297,7 +476,8 @@ function SubscriptionModal({ isOpen, onClose }) {
               Processing Payment...
             </h3>
             <p className="text-gray-600 mb-4">
-              You're being redirected to PayPal to complete your subscription.
+              You're being redirected to {providerLabel} to complete your
+              subscription.
             </p>
             <p className="text-sm text-gray-500">
               Please don't close this window.
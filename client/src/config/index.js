@@ -180,7 +180,8 @@ export const fontFamilies = [
 // Function to get all available fonts (including custom ones)
 export const getAllAvailableFonts = getAllFontFamilies;
 
-// Legacy static templates - now loaded dynamically from /public/examples/
+// Legacy static templates - templates are now published from designs and
+// served by the API (see services/template-service.js)
 // export const customTemplates = [
 //   {
 //     id: "business-card",
@@ -234,5 +235,5 @@ export const getAllAvailableFonts = getAllFontFamilies;
 //   },
 // ];
 
-// Templates are now loaded dynamically via /api/templates
-// This automatically includes all JSON files in /public/examples/
+// The example files in /public/examples/ can be imported into the template
+// collection with `npm run templates:import` on the server
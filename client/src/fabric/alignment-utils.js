@@ -0,0 +1,312 @@
+// Distance in screen pixels within which a moving object snaps to a guide
+const SNAP_THRESHOLD = 6;
+const GUIDE_COLOR = "#ec4899";
+const GRID_COLOR = "rgba(100, 116, 139, 0.15)";
+
+export const GRID_SIZES = [10, 20, 50, 100];
+
+const isHelperObject = (object) =>
+  object.isEraserIndicator || object.excludeFromExport;
+
+// Scene-plane box with the edges and centers snapping works with
+const getBounds = (object) => {
+  const { left, top, width, height } = object.getBoundingRect();
+  return {
+    left,
+    top,
+    right: left + width,
+    bottom: top + height,
+    centerX: left + width / 2,
+    centerY: top + height / 2,
+    width,
+    height,
+  };
+};
+
+const getArtboardBounds = (canvas) => ({
+  left: 0,
+  top: 0,
+  right: canvas.width,
+  bottom: canvas.height,
+  centerX: canvas.width / 2,
+  centerY: canvas.height / 2,
+  width: canvas.width,
+  height: canvas.height,
+});
+
+/**
+ * Find the smallest offset that lines one of `edges` of the moving box up
+ * with one of the candidates' matching lines, within `threshold`.
+ */
+const findSnap = (moving, candidates, edges, threshold) => {
+  let best = null;
+  candidates.forEach((candidate) => {
+    edges.forEach((edge) => {
+      edges.forEach((candidateEdge) => {
+        const offset = candidate[candidateEdge] - moving[edge];
+        if (
+          Math.abs(offset) <= threshold &&
+          (!best || Math.abs(offset) < Math.abs(best.offset))
+        ) {
+          best = { offset, position: candidate[candidateEdge], candidate };
+        }
+      });
+    });
+  });
+  return best;
+};
+
+const snapToGrid = (value, gridSize) =>
+  Math.round(value / gridSize) * gridSize - value;
+
+/**
+ * Smart guides and grid snapping while objects are dragged. Guides line
+ * the dragged object's edges and center up with the other objects and the
+ * artboard; otherwise it snaps to the grid when that is on. `getSettings`
+ * returns the current { guides, grid, gridSize }. Returns a cleanup function.
+ */
+export const enableSmartGuides = (canvas, getSettings) => {
+  let activeGuides = [];
+
+  const handleObjectMoving = ({ target }) => {
+    const { guides, grid, gridSize } = getSettings();
+    activeGuides = [];
+    if (!guides && !grid) return;
+
+    // Coordinates aren't updated during the drag on their own
+    target.setCoords();
+    const moving = getBounds(target);
+    const movingObjects = canvas.getActiveObjects();
+    const threshold = SNAP_THRESHOLD / (canvas.zoomLevel || 1);
+
+    let offsetX = 0;
+    let offsetY = 0;
+
+    if (guides) {
+      const candidates = [
+        getArtboardBounds(canvas),
+        ...canvas
+          .getObjects()
+          .filter(
+            (object) =>
+              object !== target &&
+              object.visible &&
+              !movingObjects.includes(object) &&
+              !isHelperObject(object)
+          )
+          .map(getBounds),
+      ];
+
+      const snapX = findSnap(
+        moving,
+        candidates,
+        ["left", "centerX", "right"],
+        threshold
+      );
+      const snapY = findSnap(
+        moving,
+        candidates,
+        ["top", "centerY", "bottom"],
+        threshold
+      );
+
+      if (snapX) {
+        offsetX = snapX.offset;
+        activeGuides.push({
+          vertical: true,
+          position: snapX.position,
+          start: Math.min(moving.top, snapX.candidate.top),
+          end: Math.max(moving.bottom, snapX.candidate.bottom),
+        });
+      }
+      if (snapY) {
+        offsetY = snapY.offset;
+        activeGuides.push({
+          vertical: false,
+          position: snapY.position,
+          start: Math.min(moving.left, snapY.candidate.left),
+          end: Math.max(moving.right, snapY.candidate.right),
+        });
+      }
+    }
+
+    if (grid && gridSize > 0) {
+      if (!activeGuides.some((guide) => guide.vertical)) {
+        offsetX = snapToGrid(moving.left, gridSize);
+      }
+      if (!activeGuides.some((guide) => !guide.vertical)) {
+        offsetY = snapToGrid(moving.top, gridSize);
+      }
+    }
+
+    if (offsetX || offsetY) {
+      target.set({ left: target.left + offsetX, top: target.top + offsetY });
+      target.setCoords();
+    }
+  };
+
+  const clearGuides = () => {
+    if (activeGuides.length === 0) return;
+    activeGuides = [];
+    canvas.requestRenderAll();
+  };
+
+  const handleAfterRender = ({ ctx }) => {
+    // Only draw on the main canvas, never into exports or thumbnails
+    if (ctx !== canvas.contextContainer) return;
+
+    const { grid, gridSize } = getSettings();
+    const zoom = canvas.zoomLevel || 1;
+    if (!grid && activeGuides.length === 0) return;
+
+    ctx.save();
+    ctx.transform(...canvas.viewportTransform);
+    ctx.lineWidth = 1 / zoom;
+
+    if (grid && gridSize > 0) {
+      ctx.strokeStyle = GRID_COLOR;
+      ctx.beginPath();
+      for (let x = gridSize; x < canvas.width; x += gridSize) {
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, canvas.height);
+      }
+      for (let y = gridSize; y < canvas.height; y += gridSize) {
+        ctx.moveTo(0, y);
+        ctx.lineTo(canvas.width, y);
+      }
+      ctx.stroke();
+    }
+
+    ctx.strokeStyle = GUIDE_COLOR;
+    activeGuides.forEach((guide) => {
+      ctx.beginPath();
+      if (guide.vertical) {
+        ctx.moveTo(guide.position, guide.start);
+        ctx.lineTo(guide.position, guide.end);
+      } else {
+        ctx.moveTo(guide.start, guide.position);
+        ctx.lineTo(guide.end, guide.position);
+      }
+      ctx.stroke();
+    });
+
+    ctx.restore();
+  };
+
+  canvas.on("object:moving", handleObjectMoving);
+  canvas.on("mouse:up", clearGuides);
+  canvas.on("after:render", handleAfterRender);
+
+  return () => {
+    canvas.off("object:moving", handleObjectMoving);
+    canvas.off("mouse:up", clearGuides);
+    canvas.off("after:render", handleAfterRender);
+  };
+};
+
+/**
+ * Move the selected objects and put them back in a selection. Members of a
+ * multi-selection are positioned relative to it, so it is dropped first.
+ */
+const moveSelectedObjects = async (canvas, getOffset) => {
+  const objects = canvas.getActiveObjects();
+  if (objects.length === 0) return;
+
+  const { ActiveSelection } = await import("fabric");
+  canvas.discardActiveObject();
+
+  const bounds = objects.map(getBounds);
+  objects.forEach((object, index) => {
+    const { x = 0, y = 0 } = getOffset(bounds[index], index, bounds) || {};
+    object.set({ left: object.left + x, top: object.top + y });
+    object.setCoords();
+  });
+
+  canvas.setActiveObject(
+    objects.length > 1 ? new ActiveSelection(objects, { canvas }) : objects[0]
+  );
+  canvas.requestRenderAll();
+  canvas.fire("object:modified", { target: canvas.getActiveObject() });
+};
+
+const getSelectionBounds = (bounds) => {
+  const left = Math.min(...bounds.map((box) => box.left));
+  const top = Math.min(...bounds.map((box) => box.top));
+  const right = Math.max(...bounds.map((box) => box.right));
+  const bottom = Math.max(...bounds.map((box) => box.bottom));
+  return {
+    left,
+    top,
+    right,
+    bottom,
+    centerX: (left + right) / 2,
+    centerY: (top + bottom) / 2,
+  };
+};
+
+/**
+ * Align the selected objects with each other, or a single object with the
+ * artboard. `alignment` is left, center, right, top, middle or bottom.
+ */
+export const alignSelectedObjects = (canvas, alignment) =>
+  moveSelectedObjects(canvas, (box, _, bounds) => {
+    const area =
+      bounds.length > 1
+        ? getSelectionBounds(bounds)
+        : getArtboardBounds(canvas);
+
+    switch (alignment) {
+      case "left":
+        return { x: area.left - box.left };
+      case "center":
+        return { x: area.centerX - box.centerX };
+      case "right":
+        return { x: area.right - box.right };
+      case "top":
+        return { y: area.top - box.top };
+      case "middle":
+        return { y: area.centerY - box.centerY };
+      case "bottom":
+        return { y: area.bottom - box.bottom };
+      default:
+        return null;
+    }
+  });
+
+/**
+ * Space three or more selected objects equally between the outermost ones,
+ * horizontally or vertically.
+ */
+export const distributeSelectedObjects = (canvas, direction) => {
+  if (canvas.getActiveObjects().length < 3) return;
+
+  const [start, end, size] =
+    direction === "horizontal"
+      ? ["left", "right", "width"]
+      : ["top", "bottom", "height"];
+
+  let positions = null;
+  return moveSelectedObjects(canvas, (box, index, bounds) => {
+    if (!positions) {
+      // The outermost objects stay put, the rest are spread between them
+      const order = bounds
+        .map((_, i) => i)
+        .sort((a, b) => bounds[a][start] - bounds[b][start]);
+      const first = bounds[order[0]];
+      const last = bounds[order[order.length - 1]];
+      const totalSize = bounds.reduce((sum, item) => sum + item[size], 0);
+      const gap =
+        (last[end] - first[start] - totalSize) / (bounds.length - 1);
+
+      positions = new Map();
+      let cursor = first[start];
+      order.forEach((i) => {
+        positions.set(i, cursor);
+        cursor += bounds[i][size] + gap;
+      });
+    }
+
+    const offset = positions.get(index) - box[start];
+    return direction === "horizontal" ? { x: offset } : { y: offset };
+  });
+};
@@ -0,0 +1,144 @@
+import { fontManager } from "@/utils/font-manager";
+
+const COLOR_PROPERTIES = ["fill", "stroke", "textBackgroundColor"];
+
+const isTextObject = (object) =>
+  ["text", "i-text", "textbox"].includes(object.type?.toLowerCase());
+
+// Walks into groups so grouped artwork is rebranded too
+const flattenObjects = (objects) =>
+  objects.flatMap((object) =>
+    object.getObjects
+      ? [object, ...flattenObjects(object.getObjects())]
+      : [object]
+  );
+
+// Solid colors only; gradients, patterns and transparent colors are skipped
+const toHexColor = (Color, value) => {
+  if (typeof value !== "string" || !value || value === "transparent") {
+    return null;
+  }
+  const color = new Color(value);
+  if (color.getAlpha() === 0) return null;
+  return `#${color.toHex().toLowerCase()}`;
+};
+
+const colorDistance = (Color, a, b) => {
+  const [r1, g1, b1] = new Color(a).getSource();
+  const [r2, g2, b2] = new Color(b).getSource();
+  return (r1 - r2) ** 2 + (g1 - g2) ** 2 + (b1 - b2) ** 2;
+};
+
+/**
+ * Decide which palette color replaces each color of the design. The most
+ * used colors take the palette colors in order; any colors left over follow
+ * whichever already-mapped color they are closest to, so shades stay
+ * grouped together.
+ */
+const buildColorMap = (Color, usage, paletteColors) => {
+  const ranked = [...usage.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([color]) => color);
+
+  const colorMap = new Map();
+  ranked.slice(0, paletteColors.length).forEach((color, index) => {
+    colorMap.set(color, paletteColors[index]);
+  });
+
+  ranked.slice(paletteColors.length).forEach((color) => {
+    let closest = ranked[0];
+    for (const mapped of colorMap.keys()) {
+      if (
+        colorDistance(Color, color, mapped) <
+        colorDistance(Color, color, closest)
+      ) {
+        closest = mapped;
+      }
+    }
+    colorMap.set(color, colorMap.get(closest));
+  });
+
+  return colorMap;
+};
+
+/**
+ * Remap the colors and fonts of everything on the canvas to a brand palette
+ * and font pair. The largest text becomes the heading font and all other
+ * text the body font. Returns how many objects (counting the background)
+ * changed.
+ */
+export const applyBrandKit = async (canvas, { palette, fontPair } = {}) => {
+  if (!canvas) return 0;
+
+  const { Color } = await import("fabric");
+  const objects = flattenObjects(canvas.getObjects());
+  const changed = new Set();
+  let backgroundChanged = false;
+
+  const paletteColors = palette?.colors || [];
+  if (paletteColors.length > 0) {
+    const usage = new Map();
+    const countColor = (value) => {
+      const hex = toHexColor(Color, value);
+      if (hex) usage.set(hex, (usage.get(hex) || 0) + 1);
+    };
+
+    countColor(canvas.backgroundColor);
+    objects.forEach((object) =>
+      COLOR_PROPERTIES.forEach((property) => countColor(object[property]))
+    );
+
+    if (usage.size > 0) {
+      const colorMap = buildColorMap(Color, usage, paletteColors);
+
+      const background = toHexColor(Color, canvas.backgroundColor);
+      if (background && colorMap.get(background) !== background) {
+        canvas.set("backgroundColor", colorMap.get(background));
+        backgroundChanged = true;
+      }
+
+      objects.forEach((object) => {
+        COLOR_PROPERTIES.forEach((property) => {
+          const hex = toHexColor(Color, object[property]);
+          if (hex && colorMap.get(hex) !== hex) {
+            object.set(property, colorMap.get(hex));
+            changed.add(object);
+          }
+        });
+      });
+    }
+  }
+
+  const texts = objects.filter(isTextObject);
+  if (fontPair && texts.length > 0) {
+    await Promise.all([
+      fontManager.loadFont(fontPair.heading),
+      fontManager.loadFont(fontPair.body),
+    ]);
+
+    const textSize = (text) => text.fontSize * (text.scaleY || 1);
+    const headingSize = Math.max(...texts.map(textSize));
+
+    texts.forEach((text) => {
+      const fontFamily =
+        textSize(text) === headingSize ? fontPair.heading : fontPair.body;
+      if (text.fontFamily !== fontFamily) {
+        text.set("fontFamily", fontFamily);
+        // Glyph widths differ between fonts
+        text.initDimensions?.();
+        text.setCoords();
+        changed.add(text);
+      }
+    });
+  }
+
+  changed.forEach((object) => object.group?.set("dirty", true));
+  canvas.requestRenderAll();
+
+  // One history entry (and save) for the whole rebrand
+  if (changed.size > 0 || backgroundChanged) {
+    canvas.fire("object:modified", { target: [...changed][0] });
+  }
+
+  return changed.size + (backgroundChanged ? 1 : 0);
+};
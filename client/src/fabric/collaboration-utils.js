@@ -0,0 +1,98 @@
+import { CUSTOM_OBJECT_PROPERTIES } from "./fabric-utils";
+
+// Changes to these can't be applied with `set` and need a new object
+const REPLACED_PROPERTIES = ["type", "src", "filters", "path", "objects", "clipPath"];
+
+export const ensureObjectId = (object) => {
+  if (!object.id) {
+    object.id = `${object.type || "object"}-${Date.now()}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+  }
+  return object.id;
+};
+
+/**
+ * Serialize an object with canvas-absolute coordinates. Objects inside a
+ * multi-selection are positioned relative to it, so their full transform is
+ * applied for the duration of the call.
+ */
+export const serializeObject = (object, util) => {
+  if (!object.group) return object.toObject(CUSTOM_OBJECT_PROPERTIES);
+
+  const savedTransform = util.saveObjectTransform(object);
+  util.applyTransformToObject(object, object.calcTransformMatrix());
+  const data = object.toObject(CUSTOM_OBJECT_PROPERTIES);
+  object.set(savedTransform);
+  return data;
+};
+
+// Properties whose value differs between two serialized objects, or null
+export const diffObjectProps = (previous, next) => {
+  const changed = {};
+  Object.keys(next).forEach((key) => {
+    if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+      changed[key] = next[key];
+    }
+  });
+  return Object.keys(changed).length > 0 ? changed : null;
+};
+
+export const requiresReplacement = (props) =>
+  Object.keys(props).some(
+    (key) =>
+      REPLACED_PROPERTIES.includes(key) ||
+      (props[key] !== null && typeof props[key] === "object")
+  );
+
+/**
+ * Draw other editors' selections and cursors on top of the rendered canvas
+ */
+export const drawCollaborators = (canvas, ctx, peers) => {
+  const objectsById = new Map(
+    canvas.getObjects().map((object) => [object.id, object])
+  );
+
+  ctx.save();
+  ctx.transform(...canvas.viewportTransform);
+
+  peers.forEach((peer) => {
+    ctx.strokeStyle = peer.color;
+    ctx.fillStyle = peer.color;
+    ctx.lineWidth = 2;
+
+    (peer.selection || []).forEach((objectId) => {
+      const object = objectsById.get(objectId);
+      if (!object) return;
+
+      const bounds = object.getBoundingRect();
+      ctx.strokeRect(
+        bounds.left - 3,
+        bounds.top - 3,
+        bounds.width + 6,
+        bounds.height + 6
+      );
+    });
+
+    if (peer.cursor) {
+      const { x, y } = peer.cursor;
+
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(x, y + 16);
+      ctx.lineTo(x + 4.5, y + 12);
+      ctx.lineTo(x + 11, y + 12);
+      ctx.closePath();
+      ctx.fill();
+
+      ctx.font = "12px sans-serif";
+      const label = peer.name || "Guest";
+      const labelWidth = ctx.measureText(label).width + 8;
+      ctx.fillRect(x + 10, y + 16, labelWidth, 18);
+      ctx.fillStyle = "#ffffff";
+      ctx.fillText(label, x + 14, y + 29);
+    }
+  });
+
+  ctx.restore();
+};
@@ -0,0 +1,57 @@
+/**
+ * Helpers for positioning comment pins over the canvas. Anchors are stored
+ * in scene coordinates so they stay put when the viewport changes.
+ */
+
+// Scene coordinates -> pixels inside the canvas element
+export const toViewportPoint = (canvas, point) => {
+  const [a, b, c, d, e, f] = canvas.viewportTransform;
+  return {
+    x: a * point.x + c * point.y + e,
+    y: b * point.x + d * point.y + f,
+  };
+};
+
+// Pixels inside the canvas element -> scene coordinates
+export const toScenePoint = (canvas, point) => {
+  const [a, b, c, d, e, f] = canvas.viewportTransform;
+  const determinant = a * d - b * c;
+  const x = point.x - e;
+  const y = point.y - f;
+  return {
+    x: (d * x - c * y) / determinant,
+    y: (a * y - b * x) / determinant,
+  };
+};
+
+export const findObjectById = (canvas, objectId) =>
+  objectId ? canvas.getObjects().find((object) => object.id === objectId) : null;
+
+// Topmost object under a scene point, ignoring helpers that aren't exported
+export const findObjectAtPoint = (canvas, point) =>
+  [...canvas.getObjects()]
+    .reverse()
+    .find(
+      (object) =>
+        !object.excludeFromExport &&
+        object.visible !== false &&
+        object.containsPoint(point)
+    ) || null;
+
+/**
+ * Where a comment's pin goes, in scene coordinates. Pins anchored to an
+ * object sit on its top-right corner and follow it around; if the object
+ * was deleted the pin stays at its last known position.
+ */
+export const getCommentAnchorPoint = (canvas, comment) => {
+  const object = findObjectById(canvas, comment.anchor?.objectId);
+  if (object) {
+    const bounds = object.getBoundingRect();
+    return { x: bounds.left + bounds.width, y: bounds.top };
+  }
+  return { x: comment.anchor?.x || 0, y: comment.anchor?.y || 0 };
+};
+
+// Split a comment body so @mentions can be highlighted
+export const splitMentions = (body) =>
+  String(body || "").split(/(@[\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g);
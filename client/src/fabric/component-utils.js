@@ -0,0 +1,276 @@
+import { ensureObjectId } from "./collaboration-utils";
+import { CUSTOM_OBJECT_PROPERTIES } from "./fabric-utils";
+import {
+  getLayerName,
+  groupSelectedLayers,
+  isGroupLayer,
+  isTextLayer,
+} from "./layer-utils";
+
+// A component's master is stored on the server as the Fabric JSON of a
+// group. Instances are copies of it carrying `componentId` and the
+// `componentVersion` they were built from; when the master moves on they
+// are rebuilt in place. Members of the master are tagged with a
+// `componentKey`, which is what `componentOverrides` ({ [key]: { text,
+// fill } }) refer to, so per-instance edits survive a rebuild.
+
+// Longest side of component thumbnails
+const THUMBNAIL_SIZE = 200;
+
+// Belong to the instance, not the master
+const INSTANCE_PROPERTIES = [
+  "id",
+  "name",
+  "locked",
+  "componentId",
+  "componentVersion",
+  "componentOverrides",
+];
+
+// Masters are stored untransformed; instances bring their own placement
+const MASTER_PLACEMENT = {
+  left: 0,
+  top: 0,
+  scaleX: 1,
+  scaleY: 1,
+  angle: 0,
+  flipX: false,
+  flipY: false,
+  skewX: 0,
+  skewY: 0,
+  opacity: 1,
+  visible: true,
+};
+
+export const isComponentInstance = (object) => Boolean(object?.componentId);
+
+const forEachPart = (group, callback) => {
+  group.getObjects().forEach((part) => {
+    callback(part);
+    if (isGroupLayer(part)) forEachPart(part, callback);
+  });
+};
+
+/**
+ * Turn the selection into the group a component is made from: several
+ * objects are grouped, a single object is wrapped in a group and a plain
+ * group is used as it is. Returns null for anything else.
+ */
+export const prepareComponentGroup = async (canvas) => {
+  const activeObject = canvas?.getActiveObject();
+  if (!activeObject || activeObject.parent) return null;
+  if (isComponentInstance(activeObject)) return null;
+
+  let group = activeObject;
+  if (activeObject.type.toLowerCase() === "activeselection") {
+    group = await groupSelectedLayers(canvas);
+  } else if (!isGroupLayer(activeObject)) {
+    const { Group } = await import("fabric");
+    const index = canvas.getObjects().indexOf(activeObject);
+    canvas.discardActiveObject();
+    canvas.remove(activeObject);
+    group = new Group([activeObject]);
+    ensureObjectId(group);
+    canvas.insertAt(index, group);
+    canvas.setActiveObject(group);
+  }
+  if (!group) return null;
+
+  forEachPart(group, (part) => {
+    if (!part.componentKey) {
+      const suffix = Math.random().toString(36).slice(2, 10);
+      part.componentKey = `${part.type}-${suffix}`;
+    }
+  });
+  return group;
+};
+
+// The master content of an instance, as stored on the server
+export const getComponentMasterData = (instance) => {
+  const data = instance.toObject(CUSTOM_OBJECT_PROPERTIES);
+  INSTANCE_PROPERTIES.forEach((property) => delete data[property]);
+  return JSON.stringify({ ...data, ...MASTER_PLACEMENT });
+};
+
+export const getComponentThumbnail = (instance) =>
+  instance.toDataURL({
+    format: "png",
+    multiplier: Math.min(
+      1,
+      THUMBNAIL_SIZE /
+        Math.max(instance.getScaledWidth(), instance.getScaledHeight())
+    ),
+  });
+
+// Link an object to a component, e.g. the group it was just created from
+export const linkComponentInstance = (canvas, instance, component) => {
+  instance.set({
+    name: component.name,
+    componentId: component._id,
+    componentVersion: component.version,
+    componentOverrides: {},
+  });
+  canvas.fire("object:modified", { target: instance });
+};
+
+/**
+ * The members of an instance that can be overridden, with the properties
+ * that can be: text and color for text, color for filled shapes.
+ */
+export const getOverridableParts = (instance) => {
+  const parts = [];
+  forEachPart(instance, (part) => {
+    if (!part.componentKey) return;
+    const hasColor = typeof part.fill === "string" && part.fill !== "";
+    if (isTextLayer(part)) {
+      parts.push({ part, label: getLayerName(part), text: true, fill: true });
+    } else if (hasColor && !isGroupLayer(part)) {
+      parts.push({ part, label: getLayerName(part), text: false, fill: true });
+    }
+  });
+  return parts;
+};
+
+const applyOverride = (part, override) => {
+  part.set(override);
+  if (override.text !== undefined) part.initDimensions?.();
+};
+
+export const applyComponentOverrides = (instance, overrides = {}) => {
+  forEachPart(instance, (part) => {
+    const override = overrides[part.componentKey];
+    if (override) applyOverride(part, override);
+  });
+  instance.triggerLayout?.();
+  instance.set("dirty", true);
+};
+
+/**
+ * Change a member of an instance and remember the change as an override.
+ * Records one history entry.
+ */
+export const setComponentOverride = (canvas, instance, part, changes) => {
+  const key = part.componentKey;
+  instance.set("componentOverrides", {
+    ...instance.componentOverrides,
+    [key]: { ...instance.componentOverrides?.[key], ...changes },
+  });
+  applyOverride(part, changes);
+  instance.triggerLayout?.();
+  instance.set("dirty", true);
+
+  canvas.requestRenderAll();
+  canvas.fire("object:modified", { target: instance });
+};
+
+// Build a fresh instance of a component (with its content)
+export const createComponentInstance = async (component, overrides = {}) => {
+  const { util } = await import("fabric");
+  const [instance] = await util.enlivenObjects([JSON.parse(component.data)]);
+
+  // Every instance needs its own object ids
+  instance.id = null;
+  ensureObjectId(instance);
+  forEachPart(instance, (part) => {
+    part.id = null;
+    ensureObjectId(part);
+  });
+
+  instance.set({
+    name: component.name,
+    componentId: component._id,
+    componentVersion: component.version,
+    componentOverrides: overrides,
+  });
+  applyComponentOverrides(instance, overrides);
+  return instance;
+};
+
+export const addComponentToCanvas = async (canvas, component) => {
+  if (!canvas) return null;
+
+  const instance = await createComponentInstance(component);
+  canvas.add(instance);
+  canvas.centerObject(instance);
+  instance.setCoords();
+  canvas.setActiveObject(instance);
+  canvas.renderAll();
+  return instance;
+};
+
+/**
+ * Rebuild an instance from the current master, keeping its placement, its
+ * overrides (unless `resetOverrides`) and its place in the stack.
+ */
+export const rebuildComponentInstance = async (
+  canvas,
+  instance,
+  component,
+  { resetOverrides = false } = {}
+) => {
+  const next = await createComponentInstance(
+    component,
+    resetOverrides ? {} : instance.componentOverrides || {}
+  );
+  next.set({
+    id: instance.id,
+    name: instance.name,
+    locked: instance.locked,
+    visible: instance.visible,
+    selectable: instance.selectable,
+    evented: instance.evented,
+    scaleX: instance.scaleX,
+    scaleY: instance.scaleY,
+    angle: instance.angle,
+    flipX: instance.flipX,
+    flipY: instance.flipY,
+    skewX: instance.skewX,
+    skewY: instance.skewY,
+    opacity: instance.opacity,
+  });
+  next.setPositionByOrigin(instance.getCenterPoint(), "center", "center");
+  next.setCoords();
+
+  const isActive = canvas.getActiveObject() === instance;
+  const index = canvas.getObjects().indexOf(instance);
+  canvas.remove(instance);
+  canvas.insertAt(index, next);
+  if (isActive) canvas.setActiveObject(next);
+  canvas.requestRenderAll();
+  return next;
+};
+
+export const getComponentInstances = (canvas) =>
+  canvas ? canvas.getObjects().filter(isComponentInstance) : [];
+
+/**
+ * Rebuild the instances on the canvas whose master is newer than they are.
+ * `components` are the masters, with their content. Returns how many
+ * instances were updated.
+ */
+export const syncComponentInstances = async (canvas, components) => {
+  const componentsById = new Map(
+    components.map((component) => [component._id, component])
+  );
+
+  let updated = 0;
+  for (const instance of getComponentInstances(canvas)) {
+    const component = componentsById.get(instance.componentId);
+    if (!component || component.version <= (instance.componentVersion || 0)) {
+      continue;
+    }
+    await rebuildComponentInstance(canvas, instance, component);
+    updated++;
+  }
+  return updated;
+};
+
+// Turn an instance back into a plain group that no longer follows its master
+export const detachComponentInstance = (canvas, instance) => {
+  instance.set({
+    componentId: undefined,
+    componentVersion: undefined,
+    componentOverrides: undefined,
+  });
+  canvas.fire("object:modified", { target: instance });
+};
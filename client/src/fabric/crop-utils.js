@@ -0,0 +1,276 @@
+import { syncLayerLock } from "./layer-utils";
+import { fitImageMask } from "./mask-utils";
+
+// Crops are non-destructive: they live in the image's own cropX/cropY/width/
+// height, so the full picture stays available and a crop can always be
+// re-edited. While cropping, a faded copy of the full image sits behind it
+// and a frame is dragged over it; both are helpers left out of the design.
+
+export const CROP_ASPECT_RATIOS = [
+  { value: "free", label: "Free" },
+  { value: "original", label: "Original" },
+  { value: "1:1", label: "1:1", ratio: 1 },
+  { value: "4:5", label: "4:5", ratio: 4 / 5 },
+  { value: "4:3", label: "4:3", ratio: 4 / 3 },
+  { value: "3:2", label: "3:2", ratio: 3 / 2 },
+  { value: "16:9", label: "16:9", ratio: 16 / 9 },
+  { value: "9:16", label: "9:16", ratio: 9 / 16 },
+];
+
+// Smallest crop, in image pixels
+const MIN_CROP_SIZE = 10;
+const GHOST_OPACITY = 0.35;
+
+const CROP_FRAME_STYLE = {
+  fill: "transparent",
+  strokeWidth: 0,
+  borderColor: "#3b82f6",
+  cornerColor: "#ffffff",
+  cornerStrokeColor: "#3b82f6",
+  cornerSize: 12,
+  transparentCorners: false,
+  lockRotation: true,
+  lockScalingFlip: true,
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Shrink a crop around its center until it has the given width / height
+const shrinkToRatio = (crop, ratio) => {
+  let { width, height } = crop;
+  if (width / height > ratio) width = height * ratio;
+  else height = width / ratio;
+  return {
+    cropX: crop.cropX + (crop.width - width) / 2,
+    cropY: crop.cropY + (crop.height - height) / 2,
+    width,
+    height,
+  };
+};
+
+/**
+ * Start cropping an image. Resolves with the crop session, which can change
+ * the aspect ratio, reset the crop, and apply or cancel it; deselecting the
+ * crop frame applies it too. `onEnd` is called once the session is over.
+ */
+export const startImageCrop = async (canvas, image, { onEnd } = {}) => {
+  // Crops are worked out in canvas coordinates, so grouped images are out
+  if (!canvas || image?.type !== "image" || image.parent) return null;
+
+  canvas.cropSession?.apply();
+
+  const { Point, Rect, util } = await import("fabric");
+  const { width: fullWidth, height: fullHeight } = image.getOriginalSize();
+  const saved = {
+    cropX: image.cropX,
+    cropY: image.cropY,
+    width: image.width,
+    height: image.height,
+    left: image.left,
+    top: image.top,
+  };
+
+  // The full picture, placed so its cropped part lines up with the image
+  const ghost = await image.clone();
+  ghost.set({
+    cropX: 0,
+    cropY: 0,
+    width: fullWidth,
+    height: fullHeight,
+    clipPath: undefined,
+    shadow: null,
+    stroke: null,
+    strokeWidth: 0,
+    opacity: GHOST_OPACITY,
+    selectable: false,
+    evented: false,
+    excludeFromExport: true,
+  });
+  ghost.setPositionByOrigin(
+    util.transformPoint(
+      new Point(
+        fullWidth / 2 - image.cropX - image.width / 2,
+        fullHeight / 2 - image.cropY - image.height / 2
+      ),
+      image.calcTransformMatrix()
+    ),
+    "center",
+    "center"
+  );
+
+  const frame = new Rect({
+    ...CROP_FRAME_STYLE,
+    originX: "center",
+    originY: "center",
+    excludeFromExport: true,
+  });
+  frame.setControlsVisibility({ mtr: false });
+
+  let ratio = null;
+  let ended = false;
+
+  // The crop the frame currently covers, kept inside the picture
+  const readCrop = () => {
+    frame.setCoords();
+    const toImage = util.invertTransform(ghost.calcTransformMatrix());
+    const points = frame
+      .getCoords()
+      .map((point) => util.transformPoint(point, toImage));
+    const xs = points.map((point) => point.x + fullWidth / 2);
+    const ys = points.map((point) => point.y + fullHeight / 2);
+
+    const left = clamp(Math.min(...xs), 0, fullWidth - MIN_CROP_SIZE);
+    const top = clamp(Math.min(...ys), 0, fullHeight - MIN_CROP_SIZE);
+    const right = clamp(Math.max(...xs), left + MIN_CROP_SIZE, fullWidth);
+    const bottom = clamp(Math.max(...ys), top + MIN_CROP_SIZE, fullHeight);
+
+    const crop = {
+      cropX: left,
+      cropY: top,
+      width: right - left,
+      height: bottom - top,
+    };
+    return ratio ? shrinkToRatio(crop, ratio) : crop;
+  };
+
+  const showCrop = (crop) => {
+    image.set(crop);
+    image.setPositionByOrigin(
+      util.transformPoint(
+        new Point(
+          crop.cropX + crop.width / 2 - fullWidth / 2,
+          crop.cropY + crop.height / 2 - fullHeight / 2
+        ),
+        ghost.calcTransformMatrix()
+      ),
+      "center",
+      "center"
+    );
+    fitImageMask(image);
+    image.setCoords();
+  };
+
+  // Put the frame exactly over the image again, e.g. after clamping
+  const fitFrame = () => {
+    frame.set({
+      width: image.width,
+      height: image.height,
+      scaleX: image.scaleX,
+      scaleY: image.scaleY,
+      angle: image.angle,
+    });
+    frame.setPositionByOrigin(image.getCenterPoint(), "center", "center");
+    frame.setCoords();
+    canvas.requestRenderAll();
+  };
+
+  const setCrop = (crop) => {
+    showCrop(crop);
+    fitFrame();
+  };
+
+  const handleFrameChange = () => showCrop(readCrop());
+  const handleFrameModified = () => setCrop(readCrop());
+
+  const finish = (mode) => {
+    if (ended) return;
+    ended = true;
+
+    frame.off("moving", handleFrameChange);
+    frame.off("scaling", handleFrameChange);
+    frame.off("modified", handleFrameModified);
+    canvas.off("selection:updated", handleSelectionEnd);
+    canvas.off("selection:cleared", handleSelectionEnd);
+    canvas.off("object:removed", handleObjectRemoved);
+    canvas.cropSession = null;
+
+    if (mode === "cancel") {
+      image.set(saved);
+      fitImageMask(image);
+      image.setCoords();
+    }
+    canvas.remove(frame, ghost);
+    syncLayerLock(image);
+
+    if (mode !== "abort") {
+      canvas.setActiveObject(image);
+      const changed = Object.keys(saved).some(
+        (key) => image[key] !== saved[key]
+      );
+      if (changed) canvas.fire("object:modified", { target: image });
+    }
+    canvas.requestRenderAll();
+    onEnd?.();
+  };
+
+  // Clicking away from the frame applies the crop
+  function handleSelectionEnd({ deselected }) {
+    if (deselected?.includes(frame)) finish("apply");
+  }
+
+  // The image (or a helper) went away, e.g. through undo
+  function handleObjectRemoved({ target }) {
+    if (target === image || target === frame || target === ghost) {
+      finish("abort");
+    }
+  }
+
+  const session = {
+    image,
+    setAspectRatio: (value) => {
+      const preset = CROP_ASPECT_RATIOS.find((item) => item.value === value);
+      if (value === "original") {
+        ratio = fullWidth / fullHeight;
+      } else {
+        // Presets describe the image as displayed, which may be stretched
+        ratio = preset?.ratio
+          ? (preset.ratio * image.scaleY) / image.scaleX
+          : null;
+      }
+
+      frame.setControlsVisibility({
+        mt: !ratio,
+        mb: !ratio,
+        ml: !ratio,
+        mr: !ratio,
+      });
+      if (!ratio) return;
+
+      // The largest crop with this ratio, centered where the crop is now
+      const width = Math.min(fullWidth, fullHeight * ratio);
+      const height = width / ratio;
+      const centerX = image.cropX + image.width / 2;
+      const centerY = image.cropY + image.height / 2;
+      setCrop({
+        cropX: clamp(centerX - width / 2, 0, fullWidth - width),
+        cropY: clamp(centerY - height / 2, 0, fullHeight - height),
+        width,
+        height,
+      });
+    },
+    reset: () => {
+      const crop = { cropX: 0, cropY: 0, width: fullWidth, height: fullHeight };
+      setCrop(ratio ? shrinkToRatio(crop, ratio) : crop);
+    },
+    apply: () => finish("apply"),
+    cancel: () => finish("cancel"),
+  };
+
+  image.selectable = false;
+  image.evented = false;
+  canvas.insertAt(canvas.getObjects().indexOf(image), ghost);
+  canvas.add(frame);
+  fitFrame();
+  canvas.setActiveObject(frame);
+
+  frame.on("moving", handleFrameChange);
+  frame.on("scaling", handleFrameChange);
+  frame.on("modified", handleFrameModified);
+  canvas.on("selection:updated", handleSelectionEnd);
+  canvas.on("selection:cleared", handleSelectionEnd);
+  canvas.on("object:removed", handleObjectRemoved);
+
+  canvas.cropSession = session;
+  canvas.requestRenderAll();
+  return session;
+};
@@ -1,5 +1,25 @@
 import { shapeDefinitions } from "./shapes/shape-definitions";
 import { createShape } from "./shapes/shape-factory";
+import { registerImageFilters } from "./image-filters";
+import { fillFrameWithImage, isFrame } from "./mask-utils";
+
+// Custom object properties kept when a canvas is saved, synced with other
+// editors or put in the undo history
+export const CUSTOM_OBJECT_PROPERTIES = [
+  "id",
+  "name",
+  "locked",
+  "filters",
+  "adjustments",
+  "mediaId",
+  "mask",
+  "frameShape",
+  "componentId",
+  "componentVersion",
+  "componentOverrides",
+  "componentKey",
+  "variable",
+];
 
 /**
  * Wait for container to be properly rendered and measured
@@ -63,6 +83,7 @@ const waitForContainerReady = (containerEl) => {
 export const initializeFabric = async (canvasEl, containerEl) => {
   try {
     const { Canvas, PencilBrush } = await import("fabric");
+    await registerImageFilters();
 
     // Wait for container to be properly measured before canvas initialization
     console.log("Waiting for container to be ready...");
@@ -967,9 +988,14 @@ export const addTextToCanvas = async (
   }
 };
 
-export const addImageToCanvas = async (canvas, imageUrl) => {
+// `mediaId` links the image to its media library item, e.g. for background
+// removal. With a frame selected, the image goes into the frame.
+export const addImageToCanvas = async (canvas, imageUrl, mediaId) => {
   if (!canvas) return null;
 
+  const activeObject = canvas.getActiveObject();
+  const frame = isFrame(activeObject) ? activeObject : null;
+
   try {
     const { Image: FabricImage } = await import("fabric");
 
@@ -982,6 +1008,7 @@ export const addImageToCanvas = async (canvas, imageUrl) => {
         let image = new FabricImage(imgObj);
         image.set({
           id: `image-${Date.now()}`,
+          mediaId,
           top: 100,
           left: 100,
           padding: 10,
@@ -1000,6 +1027,11 @@ export const addImageToCanvas = async (canvas, imageUrl) => {
           }
         }
 
+        if (frame && canvas.getObjects().includes(frame)) {
+          resolve(fillFrameWithImage(canvas, frame, image));
+          return;
+        }
+
         canvas.add(image);
         canvas.setActiveObject(image);
         canvas.renderAll();
@@ -1017,6 +1049,30 @@ export const addImageToCanvas = async (canvas, imageUrl) => {
   }
 };
 
+/**
+ * Swap the picture shown by an image object, keeping its place, displayed
+ * size and filters. Records one history entry.
+ */
+export const replaceImageSource = async (canvas, image, imageUrl, mediaId) => {
+  if (!canvas || !image) return null;
+
+  const displayedWidth = image.width * image.scaleX;
+  const displayedHeight = image.height * image.scaleY;
+
+  await image.setSrc(imageUrl, { crossOrigin: "anonymous" });
+  image.set({
+    mediaId,
+    scaleX: displayedWidth / image.width,
+    scaleY: displayedHeight / image.height,
+  });
+  image.setCoords();
+
+  image.parent?.set?.("dirty", true);
+  canvas.requestRenderAll();
+  canvas.fire("object:modified", { target: image });
+  return image;
+};
+
 export const toggleDrawingMode = (
   canvas,
   isDrawingMode,
@@ -1598,7 +1654,7 @@ export const initializeHistoryManagement = (canvas) => {
   // Use the exported ensureCanvasVisible function
 
   // Save initial state with zoom level
-  const initialCanvasData = canvas.toJSON();
+  const initialCanvasData = canvas.toJSON(CUSTOM_OBJECT_PROPERTIES);
   const initialState = JSON.stringify({
     canvas: initialCanvasData,
     zoomLevel: canvas.zoomLevel || 1,
@@ -1617,7 +1673,7 @@ export const initializeHistoryManagement = (canvas) => {
     canvas.mods++;
 
     // Create a state object that includes both canvas data and zoom level
-    const canvasData = canvas.toJSON();
+    const canvasData = canvas.toJSON(CUSTOM_OBJECT_PROPERTIES);
     const currentState = JSON.stringify({
       canvas: canvasData,
       zoomLevel: canvas.zoomLevel || 1,
@@ -1753,6 +1809,19 @@ export const initializeHistoryManagement = (canvas) => {
     }
   };
 
+  // Reset history to the current canvas state (e.g. after switching pages)
+  canvas.resetHistory = () => {
+    clearTimeout(canvas.saveTimeout);
+    canvas.historyUndo = [
+      JSON.stringify({
+        canvas: canvas.toJSON(CUSTOM_OBJECT_PROPERTIES),
+        zoomLevel: canvas.zoomLevel || 1,
+      }),
+    ];
+    canvas.historyRedo = [];
+    canvas.fire("history:changed");
+  };
+
   // Set up event listeners with proper debouncing
   const events = [
     "object:added",
@@ -1766,6 +1835,9 @@ export const initializeHistoryManagement = (canvas) => {
       // Don't save history during undo/redo operations
       if (canvas.isPerformingHistory) return;
 
+      // Editing helpers (e.g. the crop frame) aren't part of the design
+      if (e?.target?.excludeFromExport) return;
+
       // For drawing operations, add a longer debounce
       const debounceTime = event === "path:created" ? 500 : 300;
 
@@ -1784,6 +1856,34 @@ export const initializeHistoryManagement = (canvas) => {
   console.log("History management initialized");
 };
 
+/**
+ * Replace the canvas content with a saved page (Fabric JSON string or object)
+ * without recording it in undo history, then reset history to the new state
+ */
+export const loadCanvasContent = async (canvas, canvasData, background) => {
+  if (!canvas) return;
+
+  const parsedCanvasData =
+    typeof canvasData === "string" ? JSON.parse(canvasData) : canvasData;
+
+  canvas.isPerformingHistory = true;
+  try {
+    canvas.clear();
+    await canvas.loadFromJSON(parsedCanvasData);
+    canvas.backgroundColor =
+      parsedCanvasData.background || background || "#ffffff";
+    cleanupEraserStrokes(canvas);
+    applyUndoRedoRestorationSequence(canvas);
+    canvas.requestRenderAll();
+  } finally {
+    canvas.isPerformingHistory = false;
+  }
+
+  if (typeof canvas.resetHistory === "function") {
+    canvas.resetHistory();
+  }
+};
+
 // Utility function to clean up eraser indicators and temporary objects
 export const cleanupEraserStrokes = (canvas) => {
   if (!canvas) return;
@@ -0,0 +1,316 @@
+// Image adjustments are kept on the image as `adjustments` and turned into
+// a stack of Fabric filters. The filters are what renders (and what other
+// renderers such as the server see); the adjustments are what the sliders
+// edit.
+
+export const IMAGE_EFFECTS = [
+  { value: "none", label: "None" },
+  { value: "grayscale", label: "Grayscale" },
+  { value: "sepia", label: "Sepia" },
+  { value: "invert", label: "Invert" },
+];
+
+export const ADJUSTMENT_SLIDERS = [
+  { key: "brightness", label: "Brightness", min: -100, max: 100 },
+  { key: "contrast", label: "Contrast", min: -100, max: 100 },
+  { key: "saturation", label: "Saturation", min: -100, max: 100 },
+  { key: "vibrance", label: "Vibrance", min: -100, max: 100 },
+  { key: "hue", label: "Hue", min: -180, max: 180, unit: "°" },
+  { key: "sharpen", label: "Sharpen", min: 0, max: 100 },
+  { key: "blur", label: "Blur", min: 0, max: 100 },
+  { key: "noise", label: "Noise", min: 0, max: 100 },
+  { key: "pixelate", label: "Pixelate", min: 0, max: 20, unit: "px" },
+  { key: "vignette", label: "Vignette", min: 0, max: 100 },
+  { key: "tint", label: "Tint", min: 0, max: 100 },
+];
+
+export const DEFAULT_ADJUSTMENTS = {
+  effect: "none",
+  brightness: 0,
+  contrast: 0,
+  saturation: 0,
+  vibrance: 0,
+  hue: 0,
+  sharpen: 0,
+  blur: 0,
+  noise: 0,
+  pixelate: 0,
+  vignette: 0,
+  tint: 0,
+  tintColor: "#f97316",
+  duotone: false,
+  duotoneDark: "#1e3a8a",
+  duotoneLight: "#fde68a",
+};
+
+export const BUILT_IN_FILTER_PRESETS = [
+  {
+    name: "Vivid",
+    adjustments: { contrast: 15, saturation: 35, vibrance: 25 },
+  },
+  {
+    name: "Vintage",
+    adjustments: {
+      effect: "sepia",
+      contrast: -10,
+      noise: 20,
+      vignette: 45,
+    },
+  },
+  {
+    name: "Noir",
+    adjustments: { effect: "grayscale", contrast: 35, vignette: 60 },
+  },
+  {
+    name: "Warm",
+    adjustments: { tint: 20, tintColor: "#f59e0b", saturation: 10 },
+  },
+  {
+    name: "Cool",
+    adjustments: { tint: 20, tintColor: "#3b82f6", brightness: 5 },
+  },
+  {
+    name: "Fade",
+    adjustments: { contrast: -30, brightness: 10, saturation: -25 },
+  },
+  {
+    name: "Duotone",
+    adjustments: { duotone: true, contrast: 10 },
+  },
+];
+
+// Keep in sync with server/consolidated-server/src/utils/image-filters.js
+const VIGNETTE_START = 0.3;
+const VIGNETTE_END = 0.75;
+
+const VIGNETTE_FRAGMENT_SOURCE = `
+  precision highp float;
+  uniform sampler2D uTexture;
+  uniform float uAmount;
+  varying vec2 vTexCoord;
+  void main() {
+    vec4 color = texture2D(uTexture, vTexCoord);
+    float centerDistance = length(vTexCoord - vec2(0.5));
+    float shade = 1.0 - uAmount *
+      smoothstep(${VIGNETTE_START}, ${VIGNETTE_END}, centerDistance);
+    gl_FragColor = vec4(color.rgb * shade, color.a);
+  }
+`;
+
+const smoothstep = (edge0, edge1, value) => {
+  const t = Math.min(1, Math.max(0, (value - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+const createVignetteFilter = (filters) =>
+  class Vignette extends filters.BaseFilter {
+    static type = "Vignette";
+
+    static defaults = { amount: 0 };
+
+    static uniformLocations = ["uAmount"];
+
+    getFragmentSource() {
+      return VIGNETTE_FRAGMENT_SOURCE;
+    }
+
+    sendUniformData(gl, uniformLocations) {
+      gl.uniform1f(uniformLocations.uAmount, this.amount);
+    }
+
+    // Darken the edges by up to `amount` (0-1)
+    applyTo2d({ imageData: { data, width, height } }) {
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const dx = (x + 0.5) / width - 0.5;
+          const dy = (y + 0.5) / height - 0.5;
+          const shade =
+            1 -
+            this.amount *
+              smoothstep(VIGNETTE_START, VIGNETTE_END, Math.hypot(dx, dy));
+          const index = (y * width + x) * 4;
+          data[index] *= shade;
+          data[index + 1] *= shade;
+          data[index + 2] *= shade;
+        }
+      }
+    }
+
+    isNeutralState() {
+      return this.amount === 0;
+    }
+  };
+
+let registration = null;
+
+/**
+ * Register the custom filters with Fabric. Has to happen before any JSON
+ * that may use them is loaded.
+ */
+export const registerImageFilters = () => {
+  if (!registration) {
+    registration = import("fabric").then(({ classRegistry, filters }) => {
+      classRegistry.setClass(createVignetteFilter(filters));
+    });
+  }
+  return registration;
+};
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(
+    (channel) => channel / 255
+  );
+};
+
+// Color matrix mapping luminance onto a dark -> light color ramp
+const getDuotoneMatrix = (dark, light) => {
+  const darkRgb = hexToRgb(dark);
+  const lightRgb = hexToRgb(light);
+  const colorRows = darkRgb.flatMap((darkChannel, index) => {
+    const range = lightRgb[index] - darkChannel;
+    return [range * 0.2126, range * 0.7152, range * 0.0722, 0, darkChannel];
+  });
+  return [...colorRows, 0, 0, 0, 1, 0];
+};
+
+const getSharpenMatrix = (amount) => [
+  0,
+  -amount,
+  0,
+  -amount,
+  1 + 4 * amount,
+  -amount,
+  0,
+  -amount,
+  0,
+];
+
+/**
+ * The adjustments an image was edited with. Images filtered before the
+ * adjustment stack existed only have the single filter the old effect
+ * picker applied.
+ */
+export const getImageAdjustments = (image) => {
+  if (image?.adjustments) {
+    return { ...DEFAULT_ADJUSTMENTS, ...image.adjustments };
+  }
+
+  const adjustments = { ...DEFAULT_ADJUSTMENTS };
+  (image?.filters || []).forEach((filter) => {
+    if (filter.type === "Grayscale") adjustments.effect = "grayscale";
+    else if (filter.type === "Sepia") adjustments.effect = "sepia";
+    else if (filter.type === "Invert") adjustments.effect = "invert";
+    else if (filter.type === "Blur") {
+      adjustments.blur = Math.round(filter.blur * 100);
+    }
+  });
+  return adjustments;
+};
+
+// Only the values that differ from the defaults, e.g. for saving presets
+export const getChangedAdjustments = (adjustments) =>
+  Object.fromEntries(
+    Object.entries(adjustments).filter(
+      ([key, value]) => DEFAULT_ADJUSTMENTS[key] !== value
+    )
+  );
+
+export const hasAdjustments = (adjustments) =>
+  Object.keys(getChangedAdjustments(adjustments)).length > 0;
+
+/**
+ * Build the Fabric filter stack for a set of adjustments, in the order they
+ * are applied.
+ */
+export const buildImageFilters = async (adjustments) => {
+  await registerImageFilters();
+  const { classRegistry, filters } = await import("fabric");
+  const {
+    effect,
+    brightness,
+    contrast,
+    saturation,
+    vibrance,
+    hue,
+    sharpen,
+    blur,
+    noise,
+    pixelate,
+    vignette,
+    tint,
+    tintColor,
+    duotone,
+    duotoneDark,
+    duotoneLight,
+  } = { ...DEFAULT_ADJUSTMENTS, ...adjustments };
+
+  const stack = [];
+  if (effect === "grayscale") stack.push(new filters.Grayscale());
+  if (effect === "sepia") stack.push(new filters.Sepia());
+  if (effect === "invert") stack.push(new filters.Invert());
+  if (duotone) {
+    stack.push(
+      new filters.ColorMatrix({
+        matrix: getDuotoneMatrix(duotoneDark, duotoneLight),
+      })
+    );
+  }
+  if (brightness) {
+    stack.push(new filters.Brightness({ brightness: brightness / 100 }));
+  }
+  if (contrast) stack.push(new filters.Contrast({ contrast: contrast / 100 }));
+  if (saturation) {
+    stack.push(new filters.Saturation({ saturation: saturation / 100 }));
+  }
+  if (vibrance) stack.push(new filters.Vibrance({ vibrance: vibrance / 100 }));
+  if (hue) stack.push(new filters.HueRotation({ rotation: hue / 180 }));
+  if (tint) {
+    stack.push(
+      new filters.BlendColor({
+        color: tintColor,
+        mode: "tint",
+        alpha: tint / 100,
+      })
+    );
+  }
+  if (sharpen) {
+    stack.push(
+      new filters.Convolute({ matrix: getSharpenMatrix(sharpen / 100) })
+    );
+  }
+  if (blur) stack.push(new filters.Blur({ blur: blur / 100 }));
+  if (noise) stack.push(new filters.Noise({ noise: noise * 5 }));
+  if (pixelate >= 2) stack.push(new filters.Pixelate({ blocksize: pixelate }));
+  if (vignette) {
+    const Vignette = classRegistry.getClass("Vignette");
+    stack.push(new Vignette({ amount: vignette / 100 }));
+  }
+  return stack;
+};
+
+/**
+ * Apply adjustments to an image and redraw it. With `commit`, the change is
+ * recorded in the undo history and saved; leave it off while a slider is
+ * being dragged.
+ */
+export const applyImageAdjustments = async (
+  canvas,
+  image,
+  adjustments,
+  { commit = true } = {}
+) => {
+  if (!canvas || image?.type !== "image") return;
+
+  const next = { ...DEFAULT_ADJUSTMENTS, ...adjustments };
+  image.filters = await buildImageFilters(next);
+  image.set(
+    "adjustments",
+    hasAdjustments(next) ? getChangedAdjustments(next) : undefined
+  );
+  image.applyFilters();
+
+  image.parent?.set?.("dirty", true);
+  canvas.requestRenderAll();
+  if (commit) canvas.fire("object:modified", { target: image });
+};
@@ -0,0 +1,192 @@
+import { ensureObjectId } from "./collaboration-utils";
+
+const LAYER_TYPE_LABELS = {
+  rect: "Rectangle",
+  circle: "Circle",
+  ellipse: "Ellipse",
+  triangle: "Triangle",
+  line: "Line",
+  polygon: "Polygon",
+  polyline: "Polyline",
+  path: "Drawing",
+  image: "Image",
+  group: "Group",
+};
+
+// Eraser previews and other helpers that never show up as layers
+const isHelperObject = (object) =>
+  object.isEraserIndicator || object.excludeFromExport;
+
+export const isGroupLayer = (object) =>
+  typeof object.getObjects === "function" && object.type === "group";
+
+export const isTextLayer = (object) => typeof object.text === "string";
+
+export const getLayerName = (object) => {
+  if (object.name) return object.name;
+  if (isTextLayer(object)) {
+    return object.text.trim().split("\n")[0].slice(0, 40) || "Text";
+  }
+  return LAYER_TYPE_LABELS[object.type] || object.type || "Layer";
+};
+
+/**
+ * The canvas objects as a layer tree, topmost first like a layers list.
+ * Each node keeps the collection (canvas or group) its object lives in.
+ */
+export const getLayerTree = (collection, depth = 0) =>
+  collection
+    .getObjects()
+    .filter((object) => !isHelperObject(object))
+    .map((object) => ({
+      object,
+      parent: collection,
+      depth,
+      children: isGroupLayer(object) ? getLayerTree(object, depth + 1) : [],
+    }))
+    .reverse();
+
+/**
+ * Locked objects can't be picked on the canvas, and neither can anything
+ * while `interactive` is false (view mode).
+ */
+export const syncLayerLock = (object, interactive = true) => {
+  const enabled = interactive && !object.locked;
+  object.selectable = enabled;
+  object.evented = enabled;
+};
+
+// Re-render and record the change in the undo history (and save it)
+const commitLayerChange = (canvas, object) => {
+  object?.parent?.set?.("dirty", true);
+  canvas.requestRenderAll();
+  canvas.fire("object:modified", { target: object });
+};
+
+// Drop the selection if it contains the object, e.g. before hiding it
+const deselectLayer = (canvas, object) => {
+  const active = canvas.getActiveObjects();
+  if (active.includes(object) || canvas.getActiveObject() === object) {
+    canvas.discardActiveObject();
+  }
+};
+
+export const renameLayer = (canvas, object, name) => {
+  const trimmed = name.trim();
+  if (trimmed === (object.name || "")) return;
+  object.set("name", trimmed || undefined);
+  commitLayerChange(canvas, object);
+};
+
+export const setLayerVisible = (canvas, object, visible) => {
+  if (!visible) deselectLayer(canvas, object);
+  object.set("visible", visible);
+  commitLayerChange(canvas, object);
+};
+
+export const setLayerLocked = (canvas, object, locked) => {
+  if (locked) deselectLayer(canvas, object);
+  object.set("locked", locked);
+  syncLayerLock(object);
+  commitLayerChange(canvas, object);
+};
+
+/**
+ * Move an object to another position among its siblings. `index` counts
+ * from the bottom of the stack, as Fabric does.
+ */
+export const moveLayer = (canvas, node, index) => {
+  const { object, parent } = node;
+  if (parent.getObjects().indexOf(object) === index) return;
+
+  deselectLayer(canvas, object);
+  parent.moveObjectTo(object, index);
+  commitLayerChange(canvas, object);
+};
+
+// The top-level object that has to be selected to reach `object`
+export const getSelectableLayer = (object) => {
+  let layer = object;
+  while (layer.parent) layer = layer.parent;
+  return layer;
+};
+
+/**
+ * Select a layer on the canvas, adding it to the current selection when
+ * `additive` is set (shift-click).
+ */
+export const selectLayer = async (canvas, object, additive = false) => {
+  const layer = getSelectableLayer(object);
+  if (layer.locked || !layer.visible) return;
+
+  const current = canvas.getActiveObjects();
+  if (!additive || current.length === 0) {
+    canvas.setActiveObject(layer);
+  } else {
+    const { ActiveSelection } = await import("fabric");
+    const objects = current.includes(layer)
+      ? current.filter((item) => item !== layer)
+      : [...current, layer];
+
+    canvas.discardActiveObject();
+    if (objects.length === 1) {
+      canvas.setActiveObject(objects[0]);
+    } else if (objects.length > 1) {
+      canvas.setActiveObject(new ActiveSelection(objects, { canvas }));
+    }
+  }
+  canvas.requestRenderAll();
+};
+
+/**
+ * Group the selected top-level objects. The group takes the stacking
+ * position of the topmost of them.
+ */
+export const groupSelectedLayers = async (canvas) => {
+  const objects = canvas
+    .getActiveObjects()
+    .filter((object) => canvas.getObjects().includes(object))
+    .sort(
+      (a, b) => canvas.getObjects().indexOf(a) - canvas.getObjects().indexOf(b)
+    );
+  if (objects.length < 2) return null;
+
+  const { Group } = await import("fabric");
+
+  // Members of a selection are positioned relative to it
+  canvas.discardActiveObject();
+
+  const index =
+    canvas.getObjects().indexOf(objects[objects.length - 1]) -
+    (objects.length - 1);
+  canvas.remove(...objects);
+
+  const group = new Group(objects);
+  ensureObjectId(group);
+  canvas.insertAt(index, group);
+  canvas.setActiveObject(group);
+  commitLayerChange(canvas, group);
+  return group;
+};
+
+// Replace a group with its members, keeping their place in the stack
+export const ungroupLayer = async (canvas, group) => {
+  if (!isGroupLayer(group) || group.parent) return null;
+
+  const { ActiveSelection } = await import("fabric");
+
+  deselectLayer(canvas, group);
+  const index = canvas.getObjects().indexOf(group);
+  // Removing members applies the group's transform to them
+  const objects = group.removeAll();
+  canvas.remove(group);
+  canvas.insertAt(index, ...objects);
+
+  objects.forEach((object) => syncLayerLock(object));
+  const selectable = objects.filter((object) => object.selectable);
+  if (selectable.length > 0) {
+    canvas.setActiveObject(new ActiveSelection(selectable, { canvas }));
+  }
+  commitLayerChange(canvas, objects[0]);
+  return objects;
+};
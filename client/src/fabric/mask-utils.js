@@ -0,0 +1,217 @@
+import { shapeDefinitions } from "./shapes/shape-definitions";
+import { createShape } from "./shapes/shape-factory";
+
+// Masks are kept on the image as its `clipPath` plus a `mask` ({ shape,
+// stretch }) naming the shape, so they can be swapped, refitted after a crop
+// or removed later. Frames are placeholder shapes carrying `frameShape`;
+// an image dropped onto one is cropped to fill it and masked with its shape.
+
+// Closed shapes only: lines and connectors have no inside to show
+export const MASK_SHAPES = Object.keys(shapeDefinitions).filter(
+  (shape) =>
+    shapeDefinitions[shape].type !== "line" &&
+    shapeDefinitions[shape].defaultProps.fill
+);
+
+// These take the image's proportions instead of keeping their own
+const STRETCHED_MASKS = ["rectangle", "ellipse"];
+
+const FRAME_STYLE = {
+  fill: "rgba(148, 163, 184, 0.25)",
+  stroke: "#94a3b8",
+  strokeWidth: 2,
+  strokeDashArray: [8, 6],
+  strokeUniform: true,
+};
+const FRAME_HIGHLIGHT_COLOR = "#3b82f6";
+// Longest side of a newly added frame
+const FRAME_SIZE = 200;
+
+export const isFrame = (object) => Boolean(object?.frameShape);
+
+export const getMaskShapeLabel = (shape) =>
+  shapeDefinitions[shape]?.label || shape;
+
+const createMaskShape = async (shape) => {
+  const fabric = await import("fabric");
+  const clipPath = createShape(fabric, shape, shapeDefinitions, {
+    fill: "#000000",
+    stroke: null,
+    strokeWidth: 0,
+  });
+  clipPath.set({ originX: "center", originY: "center", left: 0, top: 0 });
+  return clipPath;
+};
+
+/**
+ * Scale an image's mask to its current (cropped) size. Stretched masks fill
+ * the image; the others keep their proportions and fit inside it.
+ */
+export const fitImageMask = (image) => {
+  const { clipPath, mask } = image;
+  if (!clipPath || !mask) return;
+
+  const scaleX = image.width / clipPath.width;
+  const scaleY = image.height / clipPath.height;
+  const fit = Math.min(scaleX, scaleY);
+  clipPath.set(
+    mask.stretch ? { scaleX, scaleY } : { scaleX: fit, scaleY: fit }
+  );
+  image.set("dirty", true);
+};
+
+/**
+ * Mask an image with one of the `MASK_SHAPES`, or remove its mask when
+ * `shape` is empty. Records one history entry.
+ */
+export const applyImageMask = async (
+  canvas,
+  image,
+  shape,
+  { stretch = STRETCHED_MASKS.includes(shape) } = {}
+) => {
+  if (!canvas || image?.type !== "image") return;
+
+  if (shape) {
+    image.set({
+      clipPath: await createMaskShape(shape),
+      mask: { shape, stretch },
+    });
+    fitImageMask(image);
+  } else {
+    image.set({ clipPath: undefined, mask: undefined, dirty: true });
+  }
+
+  image.parent?.set?.("dirty", true);
+  canvas.requestRenderAll();
+  canvas.fire("object:modified", { target: image });
+};
+
+export const addFrameToCanvas = async (canvas, shape) => {
+  if (!canvas) return null;
+
+  const fabric = await import("fabric");
+  const frame = createShape(fabric, shape, shapeDefinitions, {
+    left: 100,
+    top: 100,
+    ...FRAME_STYLE,
+  });
+  if (!frame) return null;
+
+  frame.set({
+    id: `frame-${Date.now()}`,
+    name: `${getMaskShapeLabel(shape)} Frame`,
+    frameShape: shape,
+  });
+  frame.scale(FRAME_SIZE / Math.max(frame.width, frame.height));
+
+  canvas.add(frame);
+  canvas.setActiveObject(frame);
+  canvas.renderAll();
+  return frame;
+};
+
+/**
+ * Put an image into a frame: crop it to the frame's proportions (centered),
+ * size it to cover the frame, mask it with the frame's shape and let it take
+ * the frame's place in the stack. The frame itself is removed.
+ */
+export const fillFrameWithImage = async (canvas, frame, image) => {
+  if (!canvas || !isFrame(frame) || image?.type !== "image") return null;
+
+  const { width: fullWidth, height: fullHeight } = image.getOriginalSize();
+  const frameWidth = frame.width * frame.scaleX;
+  const frameHeight = frame.height * frame.scaleY;
+  const frameRatio = frameWidth / frameHeight;
+  const width = Math.min(fullWidth, fullHeight * frameRatio);
+  const height = width / frameRatio;
+  const scale = frameWidth / width;
+
+  image.set({
+    cropX: (fullWidth - width) / 2,
+    cropY: (fullHeight - height) / 2,
+    width,
+    height,
+    scaleX: scale,
+    scaleY: scale,
+    angle: frame.angle,
+    flipX: false,
+    flipY: false,
+    clipPath: await createMaskShape(frame.frameShape),
+    // Frames can be stretched, so the mask follows the image exactly
+    mask: { shape: frame.frameShape, stretch: true },
+  });
+  fitImageMask(image);
+  image.setPositionByOrigin(frame.getCenterPoint(), "center", "center");
+  image.setCoords();
+
+  const index = canvas.getObjects().indexOf(frame);
+  if (canvas.getObjects().includes(image)) {
+    canvas.moveObjectTo(image, index);
+  } else {
+    canvas.insertAt(index, image);
+  }
+  canvas.remove(frame);
+
+  canvas.setActiveObject(image);
+  canvas.requestRenderAll();
+  canvas.fire("object:modified", { target: image });
+  return image;
+};
+
+/**
+ * Let images be dropped into frames by dragging them over one; the frame
+ * under the image's center is highlighted while dragging. Returns a cleanup
+ * function.
+ */
+export const enableFrameDrop = (canvas) => {
+  let targetFrame = null;
+  let targetStroke = null;
+
+  const highlightFrame = (frame) => {
+    if (frame === targetFrame) return;
+    targetFrame?.set("stroke", targetStroke);
+    targetFrame = frame;
+    targetStroke = frame?.stroke;
+    frame?.set("stroke", FRAME_HIGHLIGHT_COLOR);
+  };
+
+  const findFrame = (image) => {
+    const center = image.getCenterPoint();
+    return canvas
+      .getObjects()
+      .filter(
+        (object) =>
+          isFrame(object) &&
+          object.visible &&
+          !object.locked &&
+          object.containsPoint(center)
+      )
+      .pop();
+  };
+
+  const isDroppable = (object) => object?.type === "image" && !object.parent;
+
+  const handleObjectMoving = ({ target }) => {
+    if (!isDroppable(target)) return;
+    target.setCoords();
+    highlightFrame(findFrame(target) || null);
+  };
+
+  const handleObjectModified = ({ target, action }) => {
+    const frame = targetFrame;
+    highlightFrame(null);
+    if (frame && action === "drag" && isDroppable(target)) {
+      fillFrameWithImage(canvas, frame, target);
+    }
+  };
+
+  canvas.on("object:moving", handleObjectMoving);
+  canvas.on("object:modified", handleObjectModified);
+
+  return () => {
+    highlightFrame(null);
+    canvas.off("object:moving", handleObjectMoving);
+    canvas.off("object:modified", handleObjectModified);
+  };
+};
@@ -0,0 +1,177 @@
+import { CUSTOM_OBJECT_PROPERTIES } from "./fabric-utils";
+import { registerImageFilters } from "./image-filters";
+import { isTextLayer } from "./layer-utils";
+
+// Objects covering this share of the artboard both ways count as backgrounds
+const BACKGROUND_COVERAGE = 0.9;
+// Objects starting or ending this close to an artboard edge stay pinned to it
+const EDGE_ANCHOR_RATIO = 0.1;
+// Text is never scaled below this font size (in design pixels)
+const MIN_READABLE_FONT_SIZE = 14;
+// Longest side of the thumbnails generated for resized designs
+const THUMBNAIL_SIZE = 300;
+
+const getBox = (object) => {
+  object.setCoords();
+  const { left, top, width, height } = object.getBoundingRect();
+  return {
+    left,
+    top,
+    right: left + width,
+    bottom: top + height,
+    width,
+    height,
+  };
+};
+
+const isBackgroundObject = (box, from) =>
+  box.width >= from.width * BACKGROUND_COVERAGE &&
+  box.height >= from.height * BACKGROUND_COVERAGE;
+
+/**
+ * Where an object's box goes along one axis. Objects hugging an edge keep
+ * their (scaled) distance to it; everything else keeps its relative center.
+ */
+const placeOnAxis = (start, end, size, fromLength, toLength, scale) => {
+  const margin = fromLength * EDGE_ANCHOR_RATIO;
+  if (start <= margin) return start * scale;
+  if (end >= fromLength - margin) {
+    return toLength - (fromLength - end) * scale - size;
+  }
+  return ((start + end) / 2 / fromLength) * toLength - size / 2;
+};
+
+// Keep the box on the artboard when it fits, centered when it doesn't
+const clampOnAxis = (start, size, length) =>
+  size <= length
+    ? Math.min(Math.max(start, 0), length - size)
+    : (length - size) / 2;
+
+/**
+ * Scale factors for an object. Backgrounds stretch (images cover the
+ * artboard instead, to avoid distortion), text keeps a readable size and
+ * everything else scales uniformly to fit.
+ */
+const getObjectScale = (object, isBackground, scales) => {
+  const { x, y, fit, cover } = scales;
+  if (isBackground) {
+    return object.type === "image" ? { x: cover, y: cover } : { x, y };
+  }
+
+  if (isTextLayer(object) && fit < 1) {
+    // Shrink, but not below a readable size (or whatever it already was)
+    const fontSize = object.fontSize * (object.scaleY || 1);
+    const scale = Math.min(
+      1,
+      Math.max(fit, MIN_READABLE_FONT_SIZE / fontSize)
+    );
+    return { x: scale, y: scale };
+  }
+
+  return { x: fit, y: fit };
+};
+
+const resizeObject = (object, from, to, scales) => {
+  const box = getBox(object);
+  const isBackground = isBackgroundObject(box, from);
+  const scale = getObjectScale(object, isBackground, scales);
+
+  object.set({
+    scaleX: object.scaleX * scale.x,
+    scaleY: object.scaleY * scale.y,
+  });
+
+  // Wrap text that would otherwise run off the new artboard
+  if (object.type === "textbox") {
+    const maxWidth = to.width * (1 - EDGE_ANCHOR_RATIO * 2);
+    if (object.width * object.scaleX > maxWidth) {
+      object.set("width", maxWidth / object.scaleX);
+      object.initDimensions?.();
+    }
+  }
+
+  const scaled = getBox(object);
+  let left;
+  let top;
+  if (isBackground) {
+    // Backgrounds stay centered where they were
+    left = ((box.left + box.width / 2) / from.width) * to.width;
+    top = ((box.top + box.height / 2) / from.height) * to.height;
+    left -= scaled.width / 2;
+    top -= scaled.height / 2;
+  } else {
+    left = placeOnAxis(
+      box.left,
+      box.right,
+      scaled.width,
+      from.width,
+      to.width,
+      scales.fit
+    );
+    top = placeOnAxis(
+      box.top,
+      box.bottom,
+      scaled.height,
+      from.height,
+      to.height,
+      scales.fit
+    );
+    left = clampOnAxis(left, scaled.width, to.width);
+    top = clampOnAxis(top, scaled.height, to.height);
+  }
+
+  object.set({
+    left: object.left + left - scaled.left,
+    top: object.top + top - scaled.top,
+  });
+  object.setCoords();
+};
+
+/**
+ * Adapt Fabric JSON laid out for `from` ({ width, height }) to the `to`
+ * size, moving and scaling every top-level object proportionally. Resolves
+ * with the new canvas data as a JSON string and a JPEG thumbnail data URL.
+ */
+export const resizeCanvasData = async (canvasData, from, to) => {
+  const { StaticCanvas } = await import("fabric");
+  await registerImageFilters();
+  const data =
+    typeof canvasData === "string" ? JSON.parse(canvasData) : canvasData;
+
+  const staticCanvas = new StaticCanvas(null, {
+    width: to.width,
+    height: to.height,
+    renderOnAddRemove: false,
+  });
+
+  try {
+    await staticCanvas.loadFromJSON(data);
+
+    const x = to.width / from.width;
+    const y = to.height / from.height;
+    const scales = { x, y, fit: Math.min(x, y), cover: Math.max(x, y) };
+
+    staticCanvas
+      .getObjects()
+      .forEach((object) => resizeObject(object, from, to, scales));
+
+    if (staticCanvas.backgroundImage) {
+      resizeObject(staticCanvas.backgroundImage, from, to, scales);
+    }
+    staticCanvas.renderAll();
+
+    const thumbnail = staticCanvas.toDataURL({
+      format: "jpeg",
+      quality: 0.8,
+      multiplier: Math.min(
+        THUMBNAIL_SIZE / to.width,
+        THUMBNAIL_SIZE / to.height
+      ),
+    });
+
+    const json = staticCanvas.toJSON(CUSTOM_OBJECT_PROPERTIES);
+    return { canvasData: JSON.stringify(json), thumbnail };
+  } finally {
+    staticCanvas.dispose();
+  }
+};
@@ -0,0 +1,160 @@
+import { CUSTOM_OBJECT_PROPERTIES } from "./fabric-utils";
+import { registerImageFilters } from "./image-filters";
+import { isGroupLayer, isTextLayer } from "./layer-utils";
+import { fitImageMask } from "./mask-utils";
+
+// Designs become templates for bulk creation through variables: text holds
+// `{{name}}` placeholders and images are bound with a `variable` property,
+// whose value in a data row is the URL of the picture to show.
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const VARIABLE_NAME_PATTERN = /^[\w.-]+$/;
+
+// Longest side of row previews
+const PREVIEW_SIZE = 600;
+
+export const cleanVariableName = (name) => {
+  const cleaned = typeof name === "string" ? name.trim() : "";
+  return VARIABLE_NAME_PATTERN.test(cleaned) ? cleaned : null;
+};
+
+export const getTextVariables = (text = "") =>
+  [...text.matchAll(VARIABLE_PATTERN)].map((match) => match[1]);
+
+/**
+ * Names of the variables used in Fabric JSON (one page), in the order they
+ * first appear
+ */
+export const getDataVariables = (canvasData) => {
+  const data =
+    typeof canvasData === "string" ? JSON.parse(canvasData) : canvasData;
+  const names = new Set();
+
+  const visit = (objects = []) => {
+    objects.forEach((object) => {
+      if (typeof object.text === "string") {
+        getTextVariables(object.text).forEach((name) => names.add(name));
+      }
+      if (object.variable) names.add(object.variable);
+      if (object.objects) visit(object.objects);
+    });
+  };
+  visit(data?.objects);
+  return [...names];
+};
+
+export const getCanvasVariables = (canvas) =>
+  canvas ? getDataVariables(canvas.toJSON(CUSTOM_OBJECT_PROPERTIES)) : [];
+
+// Bind an image to a variable, or unbind it with an empty name
+export const bindImageVariable = (canvas, image, name) => {
+  if (!canvas || image?.type !== "image") return;
+
+  image.set("variable", cleanVariableName(name) || undefined);
+  canvas.fire("object:modified", { target: image });
+};
+
+const forEachObject = (objects, callback) => {
+  objects.forEach((object) => {
+    callback(object);
+    if (isGroupLayer(object)) forEachObject(object.getObjects(), callback);
+  });
+};
+
+// Replace the placeholders in a string (text content, a file or design
+// name) that have a value in the row; others are left as they are
+export const fillTextVariables = (text, row) =>
+  text.replace(VARIABLE_PATTERN, (placeholder, name) =>
+    row[name] === undefined || row[name] === null
+      ? placeholder
+      : String(row[name])
+  );
+
+// Show a new picture in the box the image occupies, cropped to cover it
+const fillImage = async (image, url) => {
+  const width = image.getScaledWidth();
+  const height = image.getScaledHeight();
+
+  await image.setSrc(url, { crossOrigin: "anonymous" });
+  const scale = Math.max(width / image.width, height / image.height);
+  image.set({
+    cropX: (image.width - width / scale) / 2,
+    cropY: (image.height - height / scale) / 2,
+    width: width / scale,
+    height: height / scale,
+    scaleX: scale,
+    scaleY: scale,
+  });
+  fitImageMask(image);
+};
+
+/**
+ * Fill the variables of the objects on a canvas with the values of a data
+ * row ({ [variable]: value }). Images that fail to load keep their picture.
+ */
+export const fillCanvasVariables = async (canvas, row) => {
+  const images = [];
+  forEachObject(canvas.getObjects(), (object) => {
+    if (isTextLayer(object) && object.text.includes("{{")) {
+      object.set("text", fillTextVariables(object.text, row));
+      object.initDimensions?.();
+    }
+    if (object.type === "image" && object.variable && row[object.variable]) {
+      images.push(object);
+    }
+  });
+
+  await Promise.all(
+    images.map((image) =>
+      fillImage(image, String(row[image.variable])).catch((error) =>
+        console.warn(`Failed to load ${image.variable} image:`, error)
+      )
+    )
+  );
+  canvas.getObjects().forEach((object) => {
+    if (isGroupLayer(object)) object.triggerLayout?.();
+    object.setCoords();
+  });
+  canvas.renderAll();
+};
+
+/**
+ * Render one page filled with a data row on an offscreen canvas. The
+ * caller gets the canvas and must dispose of it.
+ */
+export const renderRowCanvas = async (canvasData, row, { width, height }) => {
+  const { StaticCanvas } = await import("fabric");
+  await registerImageFilters();
+
+  const staticCanvas = new StaticCanvas(null, {
+    width,
+    height,
+    renderOnAddRemove: false,
+  });
+  try {
+    await staticCanvas.loadFromJSON(
+      typeof canvasData === "string" ? JSON.parse(canvasData) : canvasData
+    );
+    await fillCanvasVariables(staticCanvas, row);
+    return staticCanvas;
+  } catch (error) {
+    staticCanvas.dispose();
+    throw error;
+  }
+};
+
+// Data URL preview of a page filled with a data row
+export const renderRowPreview = async (canvasData, row, size) => {
+  const staticCanvas = await renderRowCanvas(canvasData, row, size);
+  try {
+    return staticCanvas.toDataURL({
+      format: "png",
+      multiplier: Math.min(
+        1,
+        PREVIEW_SIZE / Math.max(size.width, size.height)
+      ),
+    });
+  } finally {
+    staticCanvas.dispose();
+  }
+};
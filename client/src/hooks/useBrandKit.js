@@ -0,0 +1,34 @@
+"use client";
+
+import { useEffect } from "react";
+import { useEditorStore } from "@/store";
+import { getBrandKit } from "@/services/brand-kit-service";
+
+/**
+ * Load the workspace's brand kit into the editor store once. Colors, fonts and
+ * logos from it are offered first throughout the editor.
+ */
+export function useBrandKit(enabled) {
+  const hasBrandKit = useEditorStore((state) => !!state.brandKit);
+
+  useEffect(() => {
+    if (!enabled || hasBrandKit) return;
+
+    let cancelled = false;
+    const fetchBrandKit = async () => {
+      try {
+        const response = await getBrandKit();
+        if (!cancelled && response?.success) {
+          useEditorStore.getState().setBrandKit(response.data);
+        }
+      } catch (error) {
+        console.error("Failed to load brand kit:", error);
+      }
+    };
+
+    fetchBrandKit();
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, hasBrandKit]);
+}
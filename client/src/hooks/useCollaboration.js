@@ -0,0 +1,446 @@
+"use client";
+
+import { useEffect } from "react";
+import { throttle } from "lodash";
+import { toast } from "sonner";
+import { useEditorStore } from "@/store";
+import { CollaborationSession } from "@/services/collaboration-service";
+import { getDesignPages } from "@/services/design-service";
+import { loadCanvasContent } from "@/fabric/fabric-utils";
+import { canEditDesign } from "@/lib/design-roles";
+import {
+  diffObjectProps,
+  drawCollaborators,
+  ensureObjectId,
+  requiresReplacement,
+  serializeObject,
+} from "@/fabric/collaboration-utils";
+import { syncLayerLock } from "@/fabric/layer-utils";
+
+const SYNC_DELAY = 150;
+const CURSOR_THROTTLE = 50;
+const CANVAS_KEY = "__canvas";
+const DESIGN_KEY = "__design";
+
+/**
+ * Edit the open design together with everyone else who has it open.
+ *
+ * Local changes are found by diffing the canvas against the last synced
+ * state and sent as object-level operations. The server applies operations
+ * in arrival order and broadcasts them; remote changes to properties with
+ * unacknowledged local changes are skipped, since the server applies ours
+ * after theirs, so every editor ends up with the server's state.
+ */
+export function useCollaboration(enabled) {
+  const canvas = useEditorStore((state) => state.canvas);
+  const designId = useEditorStore((state) => state.designId);
+
+  useEffect(() => {
+    if (!enabled || !canvas || !designId) return;
+
+    const { setCollaboration, setCollaborators } = useEditorStore.getState();
+
+    let fabric = null;
+    let syncedPageId = null;
+    let syncTimer = null;
+    let opCounter = 0;
+    let remoteQueue = Promise.resolve();
+
+    // objectId -> serialized object as last synced
+    const shadow = new Map();
+    let shadowBackground = null;
+    let shadowName = null;
+    // opId -> [objectId, property keys] and objectId -> property -> count
+    const pendingOps = new Map();
+    const pendingProps = new Map();
+    const peers = new Map();
+
+    const updateCollaborators = () => {
+      setCollaborators([...peers.values()]);
+      canvas.requestRenderAll();
+    };
+
+    const updateSaveStatus = () => {
+      useEditorStore.setState(
+        pendingOps.size > 0
+          ? { saveStatus: "Saving..." }
+          : {
+              saveStatus: "Saved",
+              isModified: false,
+              lastSaved: Date.now(),
+              saveError: null,
+            }
+      );
+    };
+
+    const resetShadow = () => {
+      shadow.clear();
+      canvas.getObjects().forEach((object) => {
+        if (object.excludeFromExport) return;
+        ensureObjectId(object);
+        shadow.set(object.id, serializeObject(object, fabric.util));
+      });
+      shadowBackground = canvas.backgroundColor;
+    };
+
+    const sendOperation = (operation, objectId, keys) => {
+      const opId = `${session.clientId}-${++opCounter}`;
+      if (!session.send({ ...operation, opId, pageId: syncedPageId })) return;
+
+      pendingOps.set(opId, [objectId, keys]);
+      const counts = pendingProps.get(objectId) || new Map();
+      keys.forEach((key) => counts.set(key, (counts.get(key) || 0) + 1));
+      pendingProps.set(objectId, counts);
+      updateSaveStatus();
+    };
+
+    const handleAck = ({ opId }) => {
+      const pending = pendingOps.get(opId);
+      if (!pending) return;
+
+      const [objectId, keys] = pending;
+      pendingOps.delete(opId);
+      const counts = pendingProps.get(objectId);
+      keys.forEach((key) => {
+        const count = (counts.get(key) || 1) - 1;
+        if (count > 0) counts.set(key, count);
+        else counts.delete(key);
+      });
+      if (counts.size === 0) pendingProps.delete(objectId);
+      updateSaveStatus();
+    };
+
+    // Send whatever changed on the canvas since the last sync
+    const syncLocalChanges = () => {
+      clearTimeout(syncTimer);
+      if (!session.isConnected || !syncedPageId || !fabric) return;
+      if (canvas.isPerformingHistory) return;
+      // Viewers and commenters follow along without sending changes
+      if (!canEditDesign(useEditorStore.getState().designRole)) return;
+
+      const seen = new Set();
+      canvas.getObjects().forEach((object, index) => {
+        if (object.excludeFromExport) return;
+
+        const objectId = ensureObjectId(object);
+        const data = serializeObject(object, fabric.util);
+        const previous = shadow.get(objectId);
+        seen.add(objectId);
+
+        if (!previous) {
+          shadow.set(objectId, data);
+          sendOperation({ type: "object:add", object: data, index }, objectId, [
+            "*",
+          ]);
+          return;
+        }
+
+        const props = diffObjectProps(previous, data);
+        if (props) {
+          shadow.set(objectId, data);
+          sendOperation(
+            { type: "object:modify", objectId, props },
+            objectId,
+            Object.keys(props)
+          );
+        }
+      });
+
+      [...shadow.keys()].forEach((objectId) => {
+        if (seen.has(objectId)) return;
+        shadow.delete(objectId);
+        sendOperation({ type: "object:remove", objectId }, objectId, ["*"]);
+      });
+
+      if (canvas.backgroundColor !== shadowBackground) {
+        shadowBackground = canvas.backgroundColor;
+        sendOperation(
+          { type: "canvas:update", props: { background: shadowBackground } },
+          CANVAS_KEY,
+          ["background"]
+        );
+      }
+
+      const { name } = useEditorStore.getState();
+      if (shadowName !== null && name.trim() && name !== shadowName) {
+        shadowName = name;
+        sendOperation({ type: "design:update", props: { name } }, DESIGN_KEY, [
+          "name",
+        ]);
+      }
+    };
+
+    const scheduleSync = () => {
+      clearTimeout(syncTimer);
+      syncTimer = setTimeout(syncLocalChanges, SYNC_DELAY);
+    };
+
+    const findObject = (objectId) =>
+      canvas.getObjects().find((object) => object.id === objectId);
+
+    const applyRemoteOperation = async (message) => {
+      if (message.pageId !== syncedPageId) return;
+
+      switch (message.type) {
+        case "object:add": {
+          if (findObject(message.object.id)) return;
+          const [object] = await fabric.util.enlivenObjects([message.object]);
+          canvas.insertAt(
+            Math.min(message.index ?? Infinity, canvas.getObjects().length),
+            object
+          );
+          shadow.set(object.id, serializeObject(object, fabric.util));
+          break;
+        }
+
+        case "object:modify": {
+          const object = findObject(message.objectId);
+          if (!object) return;
+
+          // Keep our own unacknowledged changes, the server orders them last
+          const pending = pendingProps.get(message.objectId);
+          if (pending?.has("*")) return;
+          const props = Object.fromEntries(
+            Object.entries(message.props).filter(([key]) => !pending?.has(key))
+          );
+          if (Object.keys(props).length === 0) return;
+
+          // Members of a multi-selection use coordinates relative to it
+          if (object.group) canvas.discardActiveObject();
+
+          const merged = { ...shadow.get(message.objectId), ...props };
+          if (requiresReplacement(props)) {
+            const [replacement] = await fabric.util.enlivenObjects([merged]);
+            const index = canvas.getObjects().indexOf(object);
+            if (index === -1) return;
+            canvas.remove(object);
+            canvas.insertAt(index, replacement);
+          } else {
+            object.set(props);
+            object.setCoords();
+            if ("locked" in props) {
+              syncLayerLock(object, useEditorStore.getState().isEditing);
+            }
+          }
+          shadow.set(message.objectId, merged);
+          break;
+        }
+
+        case "object:remove": {
+          const object = findObject(message.objectId);
+          shadow.delete(message.objectId);
+          if (!object) return;
+          if (object.group) canvas.discardActiveObject();
+          canvas.remove(object);
+          break;
+        }
+
+        case "canvas:update": {
+          if (pendingProps.get(CANVAS_KEY)?.has("background")) return;
+          if (message.props.background !== undefined) {
+            canvas.backgroundColor = message.props.background;
+            shadowBackground = message.props.background;
+          }
+          break;
+        }
+
+        default:
+          return;
+      }
+
+      canvas.requestRenderAll();
+    };
+
+    // Load the merged state of a page the server sent us
+    const loadPageState = async ({ pageId, canvasData }) => {
+      syncedPageId = null;
+      clearTimeout(syncTimer);
+      pendingOps.clear();
+      pendingProps.clear();
+
+      await loadCanvasContent(canvas, canvasData);
+      resetShadow();
+      syncedPageId = pageId;
+      useEditorStore.getState().setCurrentPageId(pageId);
+      updateSaveStatus();
+      canvas.requestRenderAll();
+    };
+
+    // Remote changes are applied one at a time, in the order received
+    const enqueue = (task) => {
+      remoteQueue = remoteQueue.then(task).catch((error) => {
+        console.error("Failed to apply collaboration change:", error);
+      });
+      return remoteQueue;
+    };
+
+    // Joining a page answers with page:state, which is loaded through the
+    // queue; so never await this from inside a queued task
+    const openPage = (pageId) => session.joinPage(pageId);
+
+    const joinRoom = async () => {
+      // Save offline edits over REST first so the room starts from them
+      await useEditorStore.getState().flushPendingSave();
+      const pageId = useEditorStore.getState().currentPageId;
+      if (pageId) await openPage(pageId);
+      shadowName = useEditorStore.getState().name;
+      setCollaboration(session);
+    };
+
+    const refreshPages = async () => {
+      const response = await getDesignPages(designId);
+      const pages = response.data || [];
+      useEditorStore.getState().setPages(pages);
+
+      if (pages.length > 0 && !pages.some((page) => page._id === syncedPageId)) {
+        await openPage(pages[0]._id);
+      }
+    };
+
+    const session = new CollaborationSession(designId, {
+      welcome: (message) => {
+        useEditorStore.getState().setDesignRole(message.role);
+        peers.clear();
+        message.peers.forEach((peer) => peers.set(peer.clientId, peer));
+        updateCollaborators();
+
+        joinRoom().catch((error) => {
+          console.error("Failed to join collaboration room:", error);
+        });
+      },
+      "page:state": (message) => enqueue(() => loadPageState(message)),
+      "peer:join": ({ peer }) => {
+        peers.set(peer.clientId, peer);
+        updateCollaborators();
+      },
+      "peer:update": ({ peer }) => {
+        peers.set(peer.clientId, { ...peers.get(peer.clientId), ...peer });
+        updateCollaborators();
+      },
+      "peer:leave": ({ clientId }) => {
+        peers.delete(clientId);
+        updateCollaborators();
+      },
+      cursor: ({ clientId, cursor }) => {
+        const peer = peers.get(clientId);
+        if (!peer) return;
+        peer.cursor = cursor;
+        canvas.requestRenderAll();
+      },
+      selection: ({ clientId, objectIds }) => {
+        const peer = peers.get(clientId);
+        if (!peer) return;
+        peer.selection = objectIds;
+        canvas.requestRenderAll();
+      },
+      "object:add": (message) => enqueue(() => applyRemoteOperation(message)),
+      "object:modify": (message) => enqueue(() => applyRemoteOperation(message)),
+      "object:remove": (message) => enqueue(() => applyRemoteOperation(message)),
+      "canvas:update": (message) => enqueue(() => applyRemoteOperation(message)),
+      "design:update": ({ props }) => {
+        if (pendingProps.get(DESIGN_KEY)?.has("name")) return;
+        shadowName = props.name;
+        useEditorStore.getState().setName(props.name);
+      },
+      ack: handleAck,
+      "pages:changed": () => {
+        refreshPages().catch((error) => {
+          console.error("Failed to refresh pages:", error);
+        });
+      },
+      "design:reload": () => {
+        // Every page was replaced, e.g. by a version restore
+        syncedPageId = null;
+        refreshPages().catch((error) => {
+          console.error("Failed to reload design:", error);
+        });
+      },
+      // The owner changed our role while the design was open
+      role: ({ role }) => useEditorStore.getState().setDesignRole(role),
+      forbidden: () => {
+        useEditorStore.getState().setDesignRole("viewer");
+        toast.error("You no longer have access to this design");
+      },
+      "comments:changed": ({ pageId }) => {
+        const { currentPageId, refreshComments } = useEditorStore.getState();
+        if (pageId === currentPageId) refreshComments();
+      },
+      error: (message) => {
+        console.error("Collaboration error:", message.code, message.message);
+      },
+      beforeFlush: syncLocalChanges,
+      close: () => {
+        // Fall back to saving over REST until we are reconnected
+        setCollaboration(null);
+        syncedPageId = null;
+        pendingOps.clear();
+        pendingProps.clear();
+        peers.clear();
+        updateCollaborators();
+      },
+    });
+
+    const sendCursor = throttle((cursor) => {
+      session.send({ type: "cursor", cursor });
+    }, CURSOR_THROTTLE);
+
+    const handleMouseMove = (e) => {
+      const point = e.scenePoint || canvas.getScenePoint(e.e);
+      sendCursor({ x: Math.round(point.x), y: Math.round(point.y) });
+    };
+    const handleMouseOut = () => sendCursor(null);
+
+    const handleSelection = () => {
+      session.send({
+        type: "selection",
+        objectIds: canvas
+          .getActiveObjects()
+          .map((object) => object.id)
+          .filter(Boolean),
+      });
+    };
+
+    const handleAfterRender = ({ ctx }) => {
+      // Only draw on the main canvas, not the selection layer on top of it
+      if (ctx !== canvas.contextContainer) return;
+      const visiblePeers = [...peers.values()].filter(
+        (peer) => peer.pageId === syncedPageId
+      );
+      if (visiblePeers.length > 0) drawCollaborators(canvas, ctx, visiblePeers);
+    };
+
+    // Every local edit goes through markAsModified or the undo history
+    const unsubscribe = useEditorStore.subscribe((state, previous) => {
+      if (state.lastModified !== previous.lastModified) scheduleSync();
+    });
+
+    canvas.on("history:changed", scheduleSync);
+    canvas.on("mouse:move", handleMouseMove);
+    canvas.on("mouse:out", handleMouseOut);
+    canvas.on("selection:created", handleSelection);
+    canvas.on("selection:updated", handleSelection);
+    canvas.on("selection:cleared", handleSelection);
+    canvas.on("after:render", handleAfterRender);
+
+    import("fabric").then((module) => {
+      fabric = module;
+      session.connect();
+    });
+
+    return () => {
+      clearTimeout(syncTimer);
+      sendCursor.cancel();
+      unsubscribe();
+      canvas.off("history:changed", scheduleSync);
+      canvas.off("mouse:move", handleMouseMove);
+      canvas.off("mouse:out", handleMouseOut);
+      canvas.off("selection:created", handleSelection);
+      canvas.off("selection:updated", handleSelection);
+      canvas.off("selection:cleared", handleSelection);
+      canvas.off("after:render", handleAfterRender);
+      session.close();
+      setCollaboration(null);
+      setCollaborators([]);
+    };
+  }, [enabled, canvas, designId]);
+}
@@ -0,0 +1,46 @@
+"use client";
+
+import { useEffect } from "react";
+import { useEditorStore } from "@/store";
+import { getDesignComments } from "@/services/design-service";
+
+/**
+ * Keep the comment threads of the current page in the editor store. They
+ * are refetched when the page changes and whenever refreshComments() is
+ * called, e.g. after someone else commented in a collaboration session.
+ */
+export function useDesignComments(enabled) {
+  const designId = useEditorStore((state) => state.designId);
+  const currentPageId = useEditorStore((state) => state.currentPageId);
+  const commentsVersion = useEditorStore((state) => state.commentsVersion);
+
+  useEffect(() => {
+    if (!enabled || !designId || !currentPageId) return;
+
+    let cancelled = false;
+    const fetchComments = async () => {
+      try {
+        const response = await getDesignComments(designId, {
+          pageId: currentPageId,
+        });
+        if (!cancelled && response?.success) {
+          useEditorStore.getState().setComments(response.data);
+        }
+      } catch (error) {
+        console.error("Failed to load comments:", error);
+      }
+    };
+
+    fetchComments();
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, designId, currentPageId, commentsVersion]);
+
+  // Threads of the previous page don't belong on this one
+  useEffect(() => {
+    const { setComments, setActiveCommentId } = useEditorStore.getState();
+    setComments([]);
+    setActiveCommentId(null);
+  }, [currentPageId]);
+}
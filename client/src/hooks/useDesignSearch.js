@@ -0,0 +1,178 @@
+"use client";
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { getDesignFilters, getUserDesigns } from "@/services/design-service";
+import { useWorkspaceStore } from "@/store/workspace-store";
+
+// Wait for typing to pause before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+export const DESIGN_SORT_OPTIONS = [
+  { value: "updated", label: "Last edited" },
+  { value: "created", label: "Newest" },
+  { value: "oldest", label: "Oldest" },
+  { value: "name", label: "Name" },
+  { value: "relevance", label: "Best match" },
+];
+
+const EMPTY_FILTERS = {
+  q: "",
+  category: "",
+  tags: [],
+  sort: "",
+  from: "",
+  to: "",
+};
+
+/**
+ * Search, filter and sort the designs of the active workspace on the
+ * server, optionally within a folder ("root" for designs outside folders)
+ * or the starred ones. Nothing is fetched until a filter or scope is set
+ * (`isActive`), so callers can keep showing the designs already in the
+ * store until then.
+ */
+export function useDesignSearch({
+  pageSize = 20,
+  folderId = null,
+  starred = false,
+} = {}) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [filterOptions, setFilterOptions] = useState({
+    categories: [],
+    tags: [],
+  });
+  const [designs, setDesigns] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Ignore responses to searches that have since been replaced
+  const requestRef = useRef(0);
+  const workspaceId = useWorkspaceStore((state) => state.activeWorkspaceId);
+
+  const isFiltering = Boolean(
+    filters.q.trim() ||
+      filters.category ||
+      filters.tags.length > 0 ||
+      filters.sort ||
+      filters.from ||
+      filters.to
+  );
+  const isActive = isFiltering || Boolean(folderId || starred);
+
+  const fetchPage = useCallback(
+    async (page) => {
+      const requestId = ++requestRef.current;
+      const params = { page, limit: pageSize };
+      if (folderId) params.folderId = folderId;
+      if (starred) params.starred = "true";
+      const q = filters.q.trim();
+      if (q) params.q = q;
+      if (filters.category) params.category = filters.category;
+      if (filters.tags.length > 0) params.tags = filters.tags.join(",");
+      // Results are only ranked by relevance while searching for words
+      if (filters.sort && (q || filters.sort !== "relevance")) {
+        params.sort = filters.sort;
+      }
+      if (filters.from) params.from = filters.from;
+      if (filters.to) params.to = filters.to;
+
+      const result = await getUserDesigns(params);
+      if (requestId !== requestRef.current || !result?.success) return;
+
+      setDesigns((current) =>
+        page === 1 ? result.data : [...current, ...result.data]
+      );
+      setPagination(result.pagination);
+    },
+    [filters, pageSize, folderId, starred]
+  );
+
+  const search = useCallback(async () => {
+    setLoading(true);
+    try {
+      await fetchPage(1);
+    } catch (error) {
+      console.error("Error searching designs:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchPage]);
+
+  useEffect(() => {
+    if (!isActive) {
+      requestRef.current++;
+      setDesigns([]);
+      setPagination(null);
+      setLoading(false);
+      return;
+    }
+
+    const timeout = setTimeout(search, filters.q ? SEARCH_DEBOUNCE_MS : 0);
+    return () => clearTimeout(timeout);
+  }, [search, isActive, filters.q, workspaceId]);
+
+  const refreshFilterOptions = useCallback(async () => {
+    try {
+      const result = await getDesignFilters();
+      if (result?.success) setFilterOptions(result.data);
+    } catch (error) {
+      console.error("Error fetching design filters:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshFilterOptions();
+  }, [refreshFilterOptions, workspaceId]);
+
+  const hasMore = Boolean(pagination && pagination.current < pagination.total);
+
+  const loadMore = useCallback(async () => {
+    if (!hasMore || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      await fetchPage(pagination.current + 1);
+    } catch (error) {
+      console.error("Error loading more designs:", error);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [hasMore, loadingMore, fetchPage, pagination]);
+
+  const setFilter = useCallback((key, value) => {
+    setFilters((current) => ({ ...current, [key]: value }));
+  }, []);
+
+  const toggleTag = useCallback((tag) => {
+    setFilters((current) => ({
+      ...current,
+      tags: current.tags.includes(tag)
+        ? current.tags.filter((item) => item !== tag)
+        : [...current.tags, tag],
+    }));
+  }, []);
+
+  const clearFilters = useCallback(() => setFilters(EMPTY_FILTERS), []);
+
+  // After a design was deleted or renamed
+  const refresh = useCallback(async () => {
+    await refreshFilterOptions();
+    if (isActive) await search();
+  }, [refreshFilterOptions, isActive, search]);
+
+  return {
+    filters,
+    setFilter,
+    toggleTag,
+    clearFilters,
+    filterOptions,
+    isFiltering,
+    isActive,
+    designs,
+    total: pagination?.totalItems || 0,
+    loading,
+    loadingMore,
+    hasMore,
+    loadMore,
+    refresh,
+  };
+}
@@ -0,0 +1,92 @@
+"use client";
+
+import { useCallback, useEffect } from "react";
+import { toast } from "sonner";
+import { useEditorStore } from "@/store";
+import { useWorkspaceStore } from "@/store/workspace-store";
+import {
+  createFolder,
+  deleteFolder,
+  getFolders,
+  updateFolder,
+} from "@/services/design-service";
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.message || fallback;
+
+/**
+ * The design folders of the active workspace, kept in the editor store so
+ * the sidebar tree and the "move to folder" menus share them.
+ */
+export function useFolders(enabled = true) {
+  const folders = useEditorStore((state) => state.folders);
+  const workspaceId = useWorkspaceStore((state) => state.activeWorkspaceId);
+
+  const refreshFolders = useCallback(async () => {
+    try {
+      const response = await getFolders();
+      if (response?.success) {
+        useEditorStore.getState().setFolders(response.data);
+      }
+    } catch (error) {
+      console.error("Failed to load folders:", error);
+    }
+  }, []);
+
+  // Reloaded when the user switches workspace
+  useEffect(() => {
+    if (enabled) refreshFolders();
+  }, [enabled, refreshFolders, workspaceId]);
+
+  const addFolder = useCallback(async (name, parentId = null) => {
+    try {
+      const response = await createFolder(name, parentId);
+      if (!response?.success) return null;
+
+      const { folders, setFolders } = useEditorStore.getState();
+      setFolders([...folders, response.data]);
+      return response.data;
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to create folder"));
+      return null;
+    }
+  }, []);
+
+  // Rename ({ name }) or move ({ parentId }) a folder
+  const editFolder = useCallback(async (folderId, updates) => {
+    try {
+      const response = await updateFolder(folderId, updates);
+      if (!response?.success) return false;
+
+      const { folders, setFolders } = useEditorStore.getState();
+      setFolders(
+        folders.map((folder) =>
+          folder._id === folderId ? { ...folder, ...response.data } : folder
+        )
+      );
+      return true;
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to update folder"));
+      return false;
+    }
+  }, []);
+
+  const removeFolder = useCallback(async (folderId) => {
+    try {
+      const response = await deleteFolder(folderId);
+      if (!response?.success) return null;
+
+      const { deletedFolderIds } = response.data;
+      const { folders, setFolders } = useEditorStore.getState();
+      setFolders(
+        folders.filter((folder) => !deletedFolderIds.includes(folder._id))
+      );
+      return response.data;
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to delete folder"));
+      return null;
+    }
+  }, []);
+
+  return { folders, refreshFolders, addFolder, editFolder, removeFolder };
+}
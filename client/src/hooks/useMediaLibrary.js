@@ -0,0 +1,157 @@
+"use client";
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  createMediaFolder,
+  deleteMediaFolder,
+  getMediaFolders,
+  getMediaStorage,
+  getMediaTags,
+  getUserMedia,
+  renameMediaFolder,
+} from "@/services/upload-service";
+import { useWorkspaceStore } from "@/store/workspace-store";
+
+const PAGE_SIZE = 30;
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * The media library of the active workspace for the upload panel: files
+ * filtered by folder ("" for all, "root" for files outside folders), tag
+ * and search text, plus the folders, tags and storage usage shown around
+ * them.
+ */
+export function useMediaLibrary(enabled) {
+  const [folderId, setFolderId] = useState("");
+  const [tag, setTag] = useState("");
+  const [query, setQuery] = useState("");
+  const [media, setMedia] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [folders, setFolders] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [storage, setStorage] = useState(null);
+  // Ignore responses to requests that have since been replaced
+  const requestRef = useRef(0);
+  const workspaceId = useWorkspaceStore((state) => state.activeWorkspaceId);
+
+  const fetchPage = useCallback(
+    async (page) => {
+      const requestId = ++requestRef.current;
+      const params = { page, limit: PAGE_SIZE, type: "image" };
+      if (folderId) params.folderId = folderId;
+      if (tag) params.tags = tag;
+      if (query.trim()) params.q = query.trim();
+
+      const result = await getUserMedia(params);
+      if (requestId !== requestRef.current || !result?.success) return;
+
+      setMedia((current) =>
+        page === 1 ? result.data : [...current, ...result.data]
+      );
+      setPagination(result.pagination);
+    },
+    [folderId, tag, query]
+  );
+
+  const refreshMedia = useCallback(async () => {
+    setLoading(true);
+    try {
+      await fetchPage(1);
+    } catch (error) {
+      console.error("Error fetching uploads:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchPage]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const timeout = setTimeout(
+      refreshMedia,
+      query ? SEARCH_DEBOUNCE_MS : 0
+    );
+    return () => clearTimeout(timeout);
+  }, [enabled, refreshMedia, query, workspaceId]);
+
+  // Folder counts, tags and storage change with every upload or delete
+  const refreshOverview = useCallback(async () => {
+    try {
+      const [foldersResult, tagsResult, storageResult] = await Promise.all([
+        getMediaFolders(),
+        getMediaTags(),
+        getMediaStorage(),
+      ]);
+      if (foldersResult?.success) setFolders(foldersResult.data);
+      if (tagsResult?.success) setTags(tagsResult.data);
+      if (storageResult?.success) setStorage(storageResult.data);
+    } catch (error) {
+      console.error("Error fetching media library details:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (enabled) refreshOverview();
+  }, [enabled, refreshOverview, workspaceId]);
+
+  const hasMore = Boolean(pagination && pagination.current < pagination.total);
+
+  const loadMore = useCallback(async () => {
+    if (!hasMore || loading) return;
+    try {
+      await fetchPage(pagination.current + 1);
+    } catch (error) {
+      console.error("Error loading more uploads:", error);
+    }
+  }, [hasMore, loading, fetchPage, pagination]);
+
+  const addFolder = useCallback(
+    async (name) => {
+      const result = await createMediaFolder(name);
+      if (result?.success) await refreshOverview();
+      return result?.data;
+    },
+    [refreshOverview]
+  );
+
+  const renameFolder = useCallback(
+    async (id, name) => {
+      const result = await renameMediaFolder(id, name);
+      if (result?.success) await refreshOverview();
+    },
+    [refreshOverview]
+  );
+
+  const removeFolder = useCallback(
+    async (id) => {
+      const result = await deleteMediaFolder(id);
+      if (!result?.success) return;
+      if (folderId === id) setFolderId("");
+      await refreshOverview();
+    },
+    [folderId, refreshOverview]
+  );
+
+  return {
+    folderId,
+    setFolderId,
+    tag,
+    setTag,
+    query,
+    setQuery,
+    media,
+    setMedia,
+    total: pagination?.totalItems || 0,
+    loading,
+    hasMore,
+    loadMore,
+    refreshMedia,
+    folders,
+    tags,
+    storage,
+    refreshOverview,
+    addFolder,
+    renameFolder,
+    removeFolder,
+  };
+}
@@ -0,0 +1,24 @@
+"use client";
+
+import { useEffect } from "react";
+import { useEditorStore } from "@/store";
+import { enableSmartGuides } from "@/fabric/alignment-utils";
+
+/**
+ * Show alignment guides and snap objects while they are dragged, following
+ * the snapping settings in the editor store.
+ */
+export function useSmartGuides() {
+  const canvas = useEditorStore((state) => state.canvas);
+  const snapping = useEditorStore((state) => state.snapping);
+
+  useEffect(() => {
+    if (!canvas) return;
+    return enableSmartGuides(canvas, () => useEditorStore.getState().snapping);
+  }, [canvas]);
+
+  // The grid is drawn with the canvas, so redraw when it changes
+  useEffect(() => {
+    canvas?.requestRenderAll();
+  }, [canvas, snapping]);
+}
@@ -1,94 +1,147 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { getAvailableTemplates } from '@/services/template-service';
+import {
+  getAvailableTemplates,
+  getTemplateCategories,
+} from '@/services/template-service';
+
+// Wait for typing to pause before searching
+const SEARCH_DEBOUNCE_MS = 300;
 
 /**
- * Hook for managing dynamic templates
- * Automatically loads templates from /public/examples/ folder
- * Refreshes templates when returning to the page
+ * Hook for browsing published templates
+ * Loads templates page by page from the server, filtered by the search
+ * query and category
  */
-export function useTemplates() {
+export function useTemplates({ pageSize = 20 } = {}) {
   const [templates, setTemplates] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [query, setQuery] = useState('');
+  const [category, setCategory] = useState('');
+  const [pagination, setPagination] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
-  const mountedRef = useRef(false);
+  // Ignore responses to searches that have since been replaced
+  const requestRef = useRef(0);
+
+  const fetchPage = useCallback(
+    async (page) => {
+      const requestId = ++requestRef.current;
+      const params = { page, limit: pageSize };
+      if (query.trim()) params.q = query.trim();
+      if (category) params.category = category;
+
+      const result = await getAvailableTemplates(params);
+      if (requestId !== requestRef.current) return;
+
+      if (!result?.success) {
+        throw new Error(result?.message || 'Failed to load templates');
+      }
+
+      setTemplates((current) =>
+        page === 1 ? result.data || [] : [...current, ...(result.data || [])]
+      );
+      setPagination(result.pagination);
+      setLastUpdated(Date.now());
+    },
+    [query, category, pageSize]
+  );
 
   const loadTemplates = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
-      
-      const result = await getAvailableTemplates();
-      setTemplates(result.data || []);
-      setLastUpdated(Date.now());
-      
+      await fetchPage(1);
     } catch (err) {
       console.error('Failed to load templates:', err);
       setError(err.message);
       // Fallback to empty array if loading fails
       setTemplates([]);
+      setPagination(null);
     } finally {
       setLoading(false);
     }
+  }, [fetchPage]);
+
+  const hasMore = Boolean(pagination && pagination.current < pagination.total);
+
+  const loadMore = useCallback(async () => {
+    if (!hasMore || loadingMore) return;
+    try {
+      setLoadingMore(true);
+      await fetchPage(pagination.current + 1);
+    } catch (err) {
+      console.error('Failed to load more templates:', err);
+      setError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [hasMore, loadingMore, fetchPage, pagination]);
+
+  const loadCategories = useCallback(async () => {
+    const result = await getTemplateCategories();
+    if (result?.success) setCategories(result.data || []);
   }, []);
 
-  // Load templates on mount and when page becomes visible again
+  // Reload from the first page whenever the search or category changes
   useEffect(() => {
-    loadTemplates();
-    mountedRef.current = true;
-
-    // Listen for page visibility changes to refresh templates
-    const handleVisibilityChange = () => {
-      if (!document.hidden && mountedRef.current) {
-        // Small delay to ensure any file changes are processed
-        setTimeout(loadTemplates, 100);
-      }
-    };
+    const timeout = setTimeout(loadTemplates, query ? SEARCH_DEBOUNCE_MS : 0);
+    return () => clearTimeout(timeout);
+  }, [loadTemplates, query]);
 
-    // document.addEventListener('visibilitychange', handleVisibilityChange);
+  useEffect(() => {
+    loadCategories();
+  }, [loadCategories]);
 
-    return () => {
-      document.removeEventListener('visibilitychange', handleVisibilityChange);
-      mountedRef.current = false;
-    };
-  }, []); // Only run once on mount
+  const refreshTemplates = useCallback(async () => {
+    await Promise.all([loadTemplates(), loadCategories()]);
+  }, [loadTemplates, loadCategories]);
 
-  // Get templates by category
-  const getTemplatesByCategory = (category) => {
-    return templates.filter(template => template.category === category);
+  // Get loaded templates by category
+  const getTemplatesByCategory = (name) => {
+    return templates.filter(template => template.category === name);
   };
 
-  // Get premium templates
+  // Get loaded premium templates
   const getPremiumTemplates = () => {
     return templates.filter(template => template.isPremium);
   };
 
-  // Get free templates
+  // Get loaded free templates
   const getFreeTemplates = () => {
     return templates.filter(template => !template.isPremium);
   };
 
-  // Get template by ID
+  // Get a loaded template by ID
   const getTemplateById = (id) => {
-    return templates.find(template => template.id === id);
+    return templates.find(template => template._id === id);
   };
 
-  // Get all unique categories
+  // Get all categories with published templates
   const getCategories = () => {
-    const categories = [...new Set(templates.map(template => template.category))];
-    return categories.sort();
+    return categories.map(({ name }) => name);
   };
 
   return {
     templates,
     loading,
+    loadingMore,
     error,
     lastUpdated,
+    query,
+    setQuery,
+    category,
+    setCategory,
+    hasMore,
+    loadMore,
+    refreshTemplates,
     getTemplatesByCategory,
     getPremiumTemplates,
     getFreeTemplates,
     getTemplateById,
     getCategories,
-    count: templates.length
+    count: templates.length,
+    total: pagination?.totalItems || 0,
   };
 }
@@ -0,0 +1,15 @@
+/**
+ * Helpers for reading the user's brand kit on the client
+ */
+
+// Heading and body fonts of every pair, without duplicates, in kit order
+export const getBrandFonts = (brandKit) => [
+  ...new Set(
+    (brandKit?.fontPairs || []).flatMap((pair) => [pair.heading, pair.body])
+  ),
+];
+
+// Every palette color, without duplicates, in kit order
+export const getBrandColors = (brandKit) => [
+  ...new Set((brandKit?.palettes || []).flatMap((palette) => palette.colors)),
+];
@@ -0,0 +1,100 @@
+/**
+ * Reading the data rows used for bulk creation from CSV or JSON files
+ */
+
+// Rows generated in one go - each one is rendered in the browser
+export const MAX_DATASET_ROWS = 500;
+
+// RFC 4180 style CSV: quoted fields may hold commas, newlines and "" quotes
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") index++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...lines] = records.filter((line) =>
+    line.some((value) => value.trim() !== "")
+  );
+  const columns = header.map((column) => column.trim());
+  const rows = lines.map((line) =>
+    Object.fromEntries(
+      columns.map((column, index) => [column, (line[index] || "").trim()])
+    )
+  );
+  return { columns, rows };
+};
+
+// A JSON array of flat objects, or { rows: [...] }
+export const parseJsonDataset = (text) => {
+  const parsed = JSON.parse(text);
+  const list = Array.isArray(parsed) ? parsed : parsed?.rows;
+  if (!Array.isArray(list)) {
+    throw new Error("JSON data must be an array of rows");
+  }
+
+  const rows = list.filter(
+    (row) => row && typeof row === "object" && !Array.isArray(row)
+  );
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return { columns, rows };
+};
+
+/**
+ * Read a CSV or JSON file into { columns, rows }. Throws with a message
+ * meant for the user when the file can't be used.
+ */
+export const readDatasetFile = async (file) => {
+  const text = await file.text();
+  const isJson =
+    file.type === "application/json" ||
+    file.name.toLowerCase().endsWith(".json");
+
+  let dataset;
+  try {
+    dataset = isJson ? parseJsonDataset(text) : parseCsv(text);
+  } catch (error) {
+    throw new Error(`Could not read ${file.name}: ${error.message}`);
+  }
+
+  if (dataset.rows.length === 0) {
+    throw new Error(`${file.name} has no data rows`);
+  }
+  if (dataset.rows.length > MAX_DATASET_ROWS) {
+    throw new Error(
+      `${file.name} has ${dataset.rows.length} rows, the limit is ${MAX_DATASET_ROWS}`
+    );
+  }
+  return dataset;
+};
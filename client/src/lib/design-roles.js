@@ -0,0 +1,38 @@
+/**
+ * Roles a design can be shared with, mirroring the server's design-access
+ */
+
+export const COLLABORATOR_ROLES = ["viewer", "commenter", "editor"];
+
+export const ROLE_LABELS = {
+  viewer: "Can view",
+  commenter: "Can comment",
+  editor: "Can edit",
+  owner: "Owner",
+};
+
+const ROLE_RANK = {
+  viewer: 1,
+  commenter: 2,
+  editor: 3,
+  owner: 4,
+};
+
+/**
+ * Check if a role grants at least the given level of access
+ * @param {string} role - The user's role on a design
+ * @param {string} minimumRole - The role required
+ * @returns {boolean}
+ */
+export function hasDesignRole(role, minimumRole) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[minimumRole];
+}
+
+/**
+ * Check if a role may change the design
+ * @param {string} role - The user's role on a design
+ * @returns {boolean}
+ */
+export function canEditDesign(role) {
+  return hasDesignRole(role, "editor");
+}
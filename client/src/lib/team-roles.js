@@ -0,0 +1,21 @@
+/**
+ * Roles in a team, mirroring the server's utils/teams
+ */
+
+// Roles members can be invited with or given; each team has one owner
+export const MEMBER_ROLES = ["member", "admin"];
+
+export const TEAM_ROLE_LABELS = {
+  member: "Member",
+  admin: "Admin",
+  owner: "Owner",
+};
+
+/**
+ * Check if a role may invite and remove members
+ * @param {string} role - The user's role in a team
+ * @returns {boolean}
+ */
+export function isTeamAdmin(role) {
+  return role === "owner" || role === "admin";
+}
@@ -0,0 +1,8 @@
+import { fetchWithAuth } from "./base-service";
+
+// Resolves with the cut-out as a new media library item
+export async function removeImageBackground(mediaId) {
+  return fetchWithAuth(`/v1/media/${mediaId}/remove-background`, {
+    method: "POST",
+  });
+}
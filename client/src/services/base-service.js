@@ -3,6 +3,7 @@ import { getSession, signOut } from "next-auth/react";
 import { errorHandler } from "./error-handler";
 import { tokenManager } from "./token-manager";
 import { useTokenStore } from "@/store/token-store";
+import { useWorkspaceStore } from "@/store/workspace-store";
 import { toast } from "sonner";
 import { emergencyAuthCleanup } from "@/utils/auth-cleanup";
 import { logger, LOG_CATEGORIES } from "@/utils/logger";
@@ -295,6 +296,9 @@ export async function fetchWithAuth(endpoint, options = {}) {
       });
     }
 
+    // Team workspace the request works in; none means the personal one
+    const workspaceId = useWorkspaceStore.getState().activeWorkspaceId;
+
     const requestConfig = {
       url: `${API_URL}${endpoint}`,
       method: options.method || "GET",
@@ -302,10 +306,12 @@ export async function fetchWithAuth(endpoint, options = {}) {
         Authorization: `Bearer ${session.idToken}`,
         "Content-Type": "application/json",
         "x-request-timestamp": new Date().toISOString(),
+        ...(workspaceId && { "X-Workspace-Id": workspaceId }),
         ...options.headers,
       },
       data: options.body,
       params: options.params,
+      responseType: options.responseType,
       timeout: options.timeout || 30000,
     };
 
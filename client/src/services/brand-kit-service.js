@@ -0,0 +1,26 @@
+import { fetchWithAuth } from "./base-service";
+
+export async function getBrandKit() {
+  return fetchWithAuth("/v1/brand-kit");
+}
+
+// Accepts any of { name, palettes, fontPairs }
+export async function updateBrandKit(data) {
+  return fetchWithAuth("/v1/brand-kit", {
+    method: "PUT",
+    body: data,
+  });
+}
+
+export async function addBrandKitLogo(mediaId) {
+  return fetchWithAuth("/v1/brand-kit/logos", {
+    method: "POST",
+    body: { mediaId },
+  });
+}
+
+export async function removeBrandKitLogo(logoId) {
+  return fetchWithAuth(`/v1/brand-kit/logos/${logoId}`, {
+    method: "DELETE",
+  });
+}
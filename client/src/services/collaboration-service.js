@@ -0,0 +1,189 @@
+"use client";
+
+import { getSession } from "next-auth/react";
+
+const API_URL =
+  process.env.NEXT_PUBLIC_API_URL ||
+  process.env.NEXT_PUBLIC_API_BASE_URL ||
+  "http://localhost:5000";
+
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 15000;
+const REQUEST_TIMEOUT = 10000;
+// Close code of the server when the user has no access to the design
+const CLOSE_FORBIDDEN = 4403;
+
+const getSocketUrl = (designId) =>
+  `${API_URL.replace(/^http/, "ws")}/ws/designs/${designId}`;
+
+/**
+ * WebSocket connection to the real-time editing room of a design.
+ * Reconnects with backoff until closed; `handlers` receive server messages
+ * by type (e.g. `handlers["object:add"](message)`) plus `close`,
+ * `forbidden` (no access to the design, no reconnect) and `beforeFlush`.
+ */
+export class CollaborationSession {
+  constructor(designId, handlers = {}) {
+    this.designId = designId;
+    this.handlers = handlers;
+    this.socket = null;
+    this.clientId = null;
+    this.isClosed = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.requestCounter = 0;
+    this.pendingRequests = new Map();
+  }
+
+  get isConnected() {
+    return (
+      !!this.clientId &&
+      !!this.socket &&
+      this.socket.readyState === WebSocket.OPEN
+    );
+  }
+
+  async connect() {
+    if (this.isClosed) return;
+
+    const session = await getSession();
+    if (!session?.idToken) {
+      this.scheduleReconnect();
+      return;
+    }
+
+    const socket = new WebSocket(getSocketUrl(this.designId));
+    this.socket = socket;
+
+    // The token goes in the first message rather than the URL, which ends
+    // up in server and proxy logs
+    socket.onopen = () => {
+      socket.send(JSON.stringify({ type: "auth", token: session.idToken }));
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        console.error("Invalid collaboration message:", error);
+        return;
+      }
+
+      if (message.type === "welcome") {
+        this.clientId = message.clientId;
+        this.reconnectAttempts = 0;
+      }
+
+      const handled = this.handlers[message.type]?.(message);
+
+      // Resolve request/response style messages once the handler is done
+      const requestKey = `${message.type}:${message.requestId || message.pageId}`;
+      const pending = this.pendingRequests.get(requestKey);
+      if (pending) {
+        this.pendingRequests.delete(requestKey);
+        clearTimeout(pending.timer);
+        Promise.resolve(handled).then(
+          () => pending.resolve(message),
+          pending.reject
+        );
+      }
+    };
+
+    socket.onclose = (event) => {
+      if (this.socket !== socket) return;
+
+      const wasConnected = !!this.clientId;
+      this.socket = null;
+      this.clientId = null;
+      this.rejectPendingRequests(new Error("Collaboration connection closed"));
+
+      if (wasConnected) this.handlers.close?.();
+      if (event.code === CLOSE_FORBIDDEN) {
+        this.isClosed = true;
+        this.handlers.forbidden?.();
+        return;
+      }
+      this.scheduleReconnect();
+    };
+
+    socket.onerror = () => {
+      // onclose follows and takes care of reconnecting
+    };
+  }
+
+  scheduleReconnect() {
+    if (this.isClosed) return;
+
+    const delay = Math.min(
+      RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts,
+      RECONNECT_MAX_DELAY
+    );
+    this.reconnectAttempts++;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  send(message) {
+    if (!this.isConnected) return false;
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  // Send a message and wait for the matching reply
+  request(message, replyType, replyKey) {
+    return new Promise((resolve, reject) => {
+      const key = `${replyType}:${replyKey}`;
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(key);
+        reject(new Error(`Timed out waiting for ${replyType}`));
+      }, REQUEST_TIMEOUT);
+
+      this.pendingRequests.set(key, { resolve, reject, timer });
+      if (!this.send(message)) {
+        clearTimeout(timer);
+        this.pendingRequests.delete(key);
+        reject(new Error("Not connected to the collaboration server"));
+      }
+    });
+  }
+
+  rejectPendingRequests(error) {
+    this.pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.pendingRequests.clear();
+  }
+
+  // Open a page in the room; resolves with its merged Fabric JSON
+  async joinPage(pageId) {
+    const message = await this.request(
+      { type: "page:join", pageId },
+      "page:state",
+      pageId
+    );
+    return message.canvasData;
+  }
+
+  // Ask the server to write merged edits to the database now
+  async flush() {
+    // Let the editor send changes it hasn't synced yet; messages are
+    // handled in order, so they are part of the save
+    this.handlers.beforeFlush?.();
+    const requestId = `save-${++this.requestCounter}`;
+    await this.request({ type: "save", requestId }, "saved", requestId);
+  }
+
+  close() {
+    this.isClosed = true;
+    clearTimeout(this.reconnectTimer);
+    this.rejectPendingRequests(new Error("Collaboration session closed"));
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      this.clientId = null;
+      socket.close();
+    }
+  }
+}
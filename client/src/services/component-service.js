@@ -0,0 +1,53 @@
+import {
+  getComponentInstances,
+  syncComponentInstances,
+} from "@/fabric/component-utils";
+import { fetchWithAuth } from "./base-service";
+
+// Without ids the list leaves out each component's content
+export async function getComponents(ids) {
+  return fetchWithAuth(
+    ids ? `/v1/components?ids=${ids.join(",")}` : "/v1/components"
+  );
+}
+
+export async function getComponent(componentId) {
+  return fetchWithAuth(`/v1/components/${componentId}`);
+}
+
+export async function createComponent(componentData) {
+  return fetchWithAuth("/v1/components", {
+    method: "POST",
+    body: componentData,
+  });
+}
+
+export async function updateComponent(componentId, changes) {
+  return fetchWithAuth(`/v1/components/${componentId}`, {
+    method: "PUT",
+    body: changes,
+  });
+}
+
+export async function deleteComponent(componentId) {
+  return fetchWithAuth(`/v1/components/${componentId}`, {
+    method: "DELETE",
+  });
+}
+
+/**
+ * Bring the component instances on the canvas up to date with their
+ * masters. Resolves with the number of instances that changed.
+ */
+export async function refreshComponentInstances(canvas) {
+  const ids = [
+    ...new Set(
+      getComponentInstances(canvas).map((instance) => instance.componentId)
+    ),
+  ];
+  if (ids.length === 0) return 0;
+
+  const response = await getComponents(ids);
+  if (!response?.success) return 0;
+  return syncComponentInstances(canvas, response.data);
+}
@@ -1,7 +1,19 @@
-import { fetchWithAuth } from "./base-service";
+import { CUSTOM_OBJECT_PROPERTIES } from "@/fabric/fabric-utils";
+import { resizeCanvasData } from "@/fabric/resize-utils";
+import { fillTextVariables, renderRowCanvas } from "@/fabric/variable-utils";
+import { fetchWithAuth, fetchWithoutAuth } from "./base-service";
 
-export async function getUserDesigns() {
-  return fetchWithAuth("/v1/designs");
+/**
+ * List the user's designs, newest edits first by default
+ * params: { q, category, tags, sort, from, to, page, limit }
+ */
+export async function getUserDesigns(params = {}) {
+  return fetchWithAuth("/v1/designs", { params });
+}
+
+// Categories and tags used by the user's designs, with their counts
+export async function getDesignFilters() {
+  return fetchWithAuth("/v1/designs/filters");
 }
 
 export async function getUserDesignByID(designId) {
@@ -24,15 +36,244 @@ export async function deleteDesign(designId) {
   });
 }
 
+export async function restoreDesign(designId) {
+  return fetchWithAuth(`/v1/designs/${designId}/restore`, {
+    method: "POST",
+  });
+}
+
+export async function deleteDesignPermanently(designId) {
+  return fetchWithAuth(`/v1/designs/${designId}/permanent`, {
+    method: "DELETE",
+  });
+}
+
+export async function getTrashedDesigns(params = {}) {
+  return fetchWithAuth("/v1/designs/trash", { params });
+}
+
+export async function emptyTrash() {
+  return fetchWithAuth("/v1/designs/trash", {
+    method: "DELETE",
+  });
+}
+
+export async function setDesignStarred(designId, starred) {
+  return fetchWithAuth(`/v1/designs/${designId}/star`, {
+    method: "PUT",
+    body: { starred },
+  });
+}
+
+export async function moveDesignToFolder(designId, folderId) {
+  return fetchWithAuth(`/v1/designs/${designId}/folder`, {
+    method: "PUT",
+    body: { folderId },
+  });
+}
+
+export async function getFolders() {
+  return fetchWithAuth("/v1/designs/folders");
+}
+
+export async function createFolder(name, parentId = null) {
+  return fetchWithAuth("/v1/designs/folders", {
+    method: "POST",
+    body: { name, parentId },
+  });
+}
+
+export async function updateFolder(folderId, updates) {
+  return fetchWithAuth(`/v1/designs/folders/${folderId}`, {
+    method: "PUT",
+    body: updates,
+  });
+}
+
+export async function deleteFolder(folderId) {
+  return fetchWithAuth(`/v1/designs/folders/${folderId}`, {
+    method: "DELETE",
+  });
+}
+
+export async function getDesignPages(designId) {
+  return fetchWithAuth(`/v1/designs/${designId}/pages`);
+}
+
+export async function getDesignPage(designId, pageId) {
+  return fetchWithAuth(`/v1/designs/${designId}/pages/${pageId}`);
+}
+
+export async function addDesignPage(designId, pageData = {}) {
+  return fetchWithAuth(`/v1/designs/${designId}/pages`, {
+    method: "POST",
+    body: pageData,
+  });
+}
+
+export async function updateDesignPage(designId, pageId, pageData) {
+  return fetchWithAuth(`/v1/designs/${designId}/pages/${pageId}`, {
+    method: "PUT",
+    body: pageData,
+  });
+}
+
+export async function duplicateDesignPage(designId, pageId) {
+  return fetchWithAuth(`/v1/designs/${designId}/pages/${pageId}/duplicate`, {
+    method: "POST",
+  });
+}
+
+export async function reorderDesignPages(designId, pageIds) {
+  return fetchWithAuth(`/v1/designs/${designId}/pages/order`, {
+    method: "PUT",
+    body: { pageIds },
+  });
+}
+
+export async function deleteDesignPage(designId, pageId) {
+  return fetchWithAuth(`/v1/designs/${designId}/pages/${pageId}`, {
+    method: "DELETE",
+  });
+}
+
+export async function getDesignVersions(designId, params = {}) {
+  return fetchWithAuth(`/v1/designs/${designId}/versions`, { params });
+}
+
+export async function createDesignVersion(designId, label) {
+  return fetchWithAuth(`/v1/designs/${designId}/versions`, {
+    method: "POST",
+    body: { label },
+  });
+}
+
+export async function restoreDesignVersion(designId, versionId) {
+  return fetchWithAuth(
+    `/v1/designs/${designId}/versions/${versionId}/restore`,
+    {
+      method: "POST",
+    }
+  );
+}
+
+export async function deleteDesignVersion(designId, versionId) {
+  return fetchWithAuth(`/v1/designs/${designId}/versions/${versionId}`, {
+    method: "DELETE",
+  });
+}
+
+export async function getDesignSharing(designId) {
+  return fetchWithAuth(`/v1/designs/${designId}/sharing`);
+}
+
+export async function addDesignCollaborator(designId, email, role) {
+  return fetchWithAuth(`/v1/designs/${designId}/collaborators`, {
+    method: "POST",
+    body: { email, role },
+  });
+}
+
+export async function updateDesignCollaborator(designId, collaboratorId, role) {
+  return fetchWithAuth(
+    `/v1/designs/${designId}/collaborators/${collaboratorId}`,
+    {
+      method: "PUT",
+      body: { role },
+    }
+  );
+}
+
+export async function removeDesignCollaborator(designId, collaboratorId) {
+  return fetchWithAuth(
+    `/v1/designs/${designId}/collaborators/${collaboratorId}`,
+    {
+      method: "DELETE",
+    }
+  );
+}
+
+export async function createDesignShareLink(designId, expiresInDays = null) {
+  return fetchWithAuth(`/v1/designs/${designId}/share-link`, {
+    method: "POST",
+    body: { expiresInDays },
+  });
+}
+
+export async function deleteDesignShareLink(designId) {
+  return fetchWithAuth(`/v1/designs/${designId}/share-link`, {
+    method: "DELETE",
+  });
+}
+
+export async function getSharedDesign(token) {
+  return fetchWithoutAuth(`/v1/shared/${token}`);
+}
+
+export async function getDesignComments(designId, params = {}) {
+  return fetchWithAuth(`/v1/designs/${designId}/comments`, { params });
+}
+
+export async function createDesignComment(designId, commentData) {
+  return fetchWithAuth(`/v1/designs/${designId}/comments`, {
+    method: "POST",
+    body: commentData,
+  });
+}
+
+export async function updateDesignComment(designId, commentId, commentData) {
+  return fetchWithAuth(`/v1/designs/${designId}/comments/${commentId}`, {
+    method: "PUT",
+    body: commentData,
+  });
+}
+
+export async function deleteDesignComment(designId, commentId) {
+  return fetchWithAuth(`/v1/designs/${designId}/comments/${commentId}`, {
+    method: "DELETE",
+  });
+}
+
+export async function replyToDesignComment(designId, commentId, body) {
+  return fetchWithAuth(
+    `/v1/designs/${designId}/comments/${commentId}/replies`,
+    {
+      method: "POST",
+      body: { body },
+    }
+  );
+}
+
+export async function deleteDesignCommentReply(designId, commentId, replyId) {
+  return fetchWithAuth(
+    `/v1/designs/${designId}/comments/${commentId}/replies/${replyId}`,
+    {
+      method: "DELETE",
+    }
+  );
+}
+
+export async function setDesignCommentResolved(designId, commentId, resolved) {
+  return fetchWithAuth(
+    `/v1/designs/${designId}/comments/${commentId}/${
+      resolved ? "resolve" : "reopen"
+    }`,
+    {
+      method: "POST",
+    }
+  );
+}
+
 export async function saveCanvasState(
   canvas,
   designId = null,
-  title = "Untitled Design"
+  title = "Untitled Design",
+  pageId = null
 ) {
   if (!canvas) return false;
 
   try {
-    const canvasData = canvas.toJSON(["id", "filters"]);
+    const canvasData = canvas.toJSON(CUSTOM_OBJECT_PROPERTIES);
 
     // Generate thumbnail for design preview
     let thumbnail = null;
@@ -83,6 +324,7 @@ export async function saveCanvasState(
       width: canvas.width,
       height: canvas.height,
       thumbnail: thumbnail,
+      pageId,
     };
 
     return saveDesign(designData, designId);
@@ -91,3 +333,151 @@ export async function saveCanvasState(
     throw error;
   }
 }
+
+/**
+ * The content of every page of the open design, in order, as
+ * { name, canvasData }. The page on the canvas is taken as it is, so unsaved
+ * changes are included; the others are loaded from the server.
+ */
+export async function getDesignSourcePages(
+  canvas,
+  { designId, pages = [], currentPageId }
+) {
+  const sourcePages = [];
+  for (const page of pages.length > 0 ? pages : [{ _id: currentPageId }]) {
+    if (!page._id || page._id === currentPageId) {
+      sourcePages.push({
+        name: page.name,
+        canvasData: canvas.toJSON(CUSTOM_OBJECT_PROPERTIES),
+      });
+      continue;
+    }
+
+    const response = await getDesignPage(designId, page._id);
+    if (!response?.success) {
+      throw new Error(`Failed to load ${page.name || "page"}`);
+    }
+    sourcePages.push({ name: page.name, canvasData: response.data.canvasData });
+  }
+  return sourcePages;
+}
+
+/**
+ * Magic resize: save a copy of the open design for each of `sizes`
+ * ({ name, width, height }) as a new design, with the layout of every page
+ * adapted to the new size. The page on the canvas is taken as it is, so
+ * unsaved changes are included. Resolves with the created designs.
+ */
+export async function createResizedDesigns(
+  canvas,
+  { designId, name, pages = [], currentPageId },
+  sizes
+) {
+  if (!canvas || sizes.length === 0) return [];
+
+  const from = { width: canvas.width, height: canvas.height };
+  const sourcePages = await getDesignSourcePages(canvas, {
+    designId,
+    pages,
+    currentPageId,
+  });
+
+  const createdDesigns = [];
+  // One size at a time, each offscreen canvas is fairly heavy
+  for (const size of sizes) {
+    const [firstPage, ...otherPages] = sourcePages;
+    const resizedFirstPage = await resizeCanvasData(
+      firstPage.canvasData,
+      from,
+      size
+    );
+
+    const response = await saveDesign({
+      name: `${name} - ${size.name}`,
+      canvasData: resizedFirstPage.canvasData,
+      width: size.width,
+      height: size.height,
+      thumbnail: resizedFirstPage.thumbnail,
+    });
+    if (!response?.success) {
+      throw new Error(`Failed to create the ${size.name} design`);
+    }
+
+    const newDesignId = response.data._id;
+    for (const page of otherPages) {
+      const resizedPage = await resizeCanvasData(page.canvasData, from, size);
+      await addDesignPage(newDesignId, {
+        name: page.name,
+        canvasData: resizedPage.canvasData,
+      });
+    }
+
+    createdDesigns.push({ ...response.data, size });
+  }
+
+  return createdDesigns;
+}
+
+// Create a single-page design from Fabric JSON carrying its `width` and
+// `height`, through the template route
+export async function createDesignFromTemplateData(templateData, name) {
+  return fetchWithAuth("/v1/designs/template", {
+    method: "POST",
+    body: { templateData, name },
+  });
+}
+
+/**
+ * Bulk creation: save a copy of the design for each data row, with its
+ * variables filled in. `sourcePages` come from getDesignSourcePages and
+ * `nameTemplate` may hold variables too. Resolves with the created designs.
+ */
+export async function createDesignsFromRows(
+  sourcePages,
+  rows,
+  { width, height, nameTemplate },
+  onProgress
+) {
+  const createdDesigns = [];
+
+  for (let index = 0; index < rows.length; index++) {
+    const row = rows[index];
+    const filledPages = [];
+    // Pages one at a time, each offscreen canvas is fairly heavy
+    for (const page of sourcePages) {
+      const staticCanvas = await renderRowCanvas(page.canvasData, row, {
+        width,
+        height,
+      });
+      filledPages.push({
+        name: page.name,
+        canvasData: staticCanvas.toJSON(CUSTOM_OBJECT_PROPERTIES),
+      });
+      staticCanvas.dispose();
+    }
+
+    const [firstPage, ...otherPages] = filledPages;
+    const name =
+      fillTextVariables(nameTemplate, row).trim().slice(0, 100) ||
+      `Design ${index + 1}`;
+    const response = await createDesignFromTemplateData(
+      { ...firstPage.canvasData, width, height },
+      name
+    );
+    if (!response?.success) {
+      throw new Error(`Failed to create the design for row ${index + 1}`);
+    }
+
+    for (const page of otherPages) {
+      await addDesignPage(response.data._id, {
+        name: page.name,
+        canvasData: JSON.stringify(page.canvasData),
+      });
+    }
+
+    createdDesigns.push(response.data);
+    onProgress?.(index + 1, rows.length);
+  }
+
+  return createdDesigns;
+}
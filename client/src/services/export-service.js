@@ -1,11 +1,19 @@
 import { saveAs } from "file-saver";
 import jsPDF from "jspdf";
+import { CUSTOM_OBJECT_PROPERTIES } from "@/fabric/fabric-utils";
+import { fillTextVariables, renderRowCanvas } from "@/fabric/variable-utils";
+import { fetchWithAuth } from "./base-service";
+
+const EXPORT_POLL_INTERVAL = 1500;
+const EXPORT_TIMEOUT = 5 * 60 * 1000;
+// Design pixels are CSS pixels, PDF pages are sized in points
+const POINTS_PER_PIXEL = 72 / 96;
 
 export function exportAsJson(canvas, fileName = "FileName") {
   if (!canvas) return;
 
   try {
-    const canvasData = canvas.toJSON(["id", "filters"]);
+    const canvasData = canvas.toJSON(CUSTOM_OBJECT_PROPERTIES);
 
     const jsonString = JSON.stringify(canvasData, null, 2);
 
@@ -98,3 +106,109 @@ export function exportAsPDF(canvas, fileName = "PDF Design", options = {}) {
     return false;
   }
 }
+
+// Server-side export: renders the saved design at print resolution
+export async function requestServerExport(designId, options) {
+  return fetchWithAuth(`/v1/designs/${designId}/export`, {
+    method: "POST",
+    body: options,
+  });
+}
+
+export async function getServerExport(designId, jobId) {
+  return fetchWithAuth(`/v1/designs/${designId}/export/${jobId}`);
+}
+
+// Queue a server export, wait for it to finish and download the file
+export async function exportOnServer(designId, options, onProgress) {
+  const response = await requestServerExport(designId, options);
+  let job = response.data;
+  const startedAt = Date.now();
+
+  while (job.status === "queued" || job.status === "processing") {
+    if (Date.now() - startedAt > EXPORT_TIMEOUT) {
+      throw new Error("Export is taking too long, please try again later");
+    }
+    onProgress?.(job.progress || 0);
+    await new Promise((resolve) => setTimeout(resolve, EXPORT_POLL_INTERVAL));
+    job = (await getServerExport(designId, job._id)).data;
+  }
+
+  if (job.status === "failed") {
+    throw new Error(job.error || "Export failed");
+  }
+
+  onProgress?.(100);
+  saveAs(job.result.url, job.result.fileName);
+  return true;
+}
+
+const toFileName = (name) => name.replace(/[^\w\- ]+/g, "").trim();
+
+/**
+ * Bulk export: render the design once per data row and download the files
+ * as a zip. PNG files show the first page, PDF files hold every page.
+ * `fileNameTemplate` may hold variables; duplicate names are numbered.
+ */
+export async function exportRowsAsZip(
+  sourcePages,
+  rows,
+  { width, height, format = "png", fileNameTemplate, zipName = "designs" },
+  onProgress
+) {
+  const { default: JSZip } = await import("jszip");
+  const zip = new JSZip();
+  const usedNames = new Set();
+  const pages = format === "pdf" ? sourcePages : sourcePages.slice(0, 1);
+  const pageSize = [width * POINTS_PER_PIXEL, height * POINTS_PER_PIXEL];
+
+  for (let index = 0; index < rows.length; index++) {
+    const row = rows[index];
+    const pdf =
+      format === "pdf"
+        ? new jsPDF({
+            orientation: width > height ? "landscape" : "portrait",
+            unit: "pt",
+            format: pageSize,
+          })
+        : null;
+    let png = null;
+
+    for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+      const staticCanvas = await renderRowCanvas(
+        pages[pageIndex].canvasData,
+        row,
+        { width, height }
+      );
+      const dataUrl = staticCanvas.toDataURL({ format: "png", multiplier: 1 });
+      staticCanvas.dispose();
+
+      if (!pdf) {
+        png = dataUrl.split(",")[1];
+        continue;
+      }
+      if (pageIndex > 0) pdf.addPage(pageSize);
+      pdf.addImage(dataUrl, "PNG", 0, 0, pageSize[0], pageSize[1]);
+    }
+
+    const baseName =
+      toFileName(fillTextVariables(fileNameTemplate || "", row)) ||
+      `${zipName} ${index + 1}`;
+    let fileName = baseName;
+    for (let copy = 2; usedNames.has(fileName); copy++) {
+      fileName = `${baseName} (${copy})`;
+    }
+    usedNames.add(fileName);
+
+    if (pdf) {
+      zip.file(`${fileName}.pdf`, pdf.output("arraybuffer"));
+    } else {
+      zip.file(`${fileName}.png`, png, { base64: true });
+    }
+    onProgress?.(index + 1, rows.length);
+  }
+
+  const blob = await zip.generateAsync({ type: "blob" });
+  saveAs(blob, `${toFileName(zipName) || "designs"}.zip`);
+  return true;
+}
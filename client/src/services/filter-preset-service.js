@@ -0,0 +1,18 @@
+import { fetchWithAuth } from "./base-service";
+
+export async function getFilterPresets() {
+  return fetchWithAuth("/v1/filter-presets");
+}
+
+export async function createFilterPreset(name, adjustments) {
+  return fetchWithAuth("/v1/filter-presets", {
+    method: "POST",
+    body: { name, adjustments },
+  });
+}
+
+export async function deleteFilterPreset(presetId) {
+  return fetchWithAuth(`/v1/filter-presets/${presetId}`, {
+    method: "DELETE",
+  });
+}
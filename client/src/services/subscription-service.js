@@ -30,48 +30,58 @@ export async function getUserSubscription() {
   }
 }
 
-// Create PayPal subscription (monthly billing)
-export async function createPaypalSubscription() {
+// Paid plans with prices, payment providers and trial days on offer, and
+// the current plan
+export async function getSubscriptionPlans() {
+  return fetchWithAuth(`/v1/subscription/plans`);
+}
+
+// Start a recurring subscription with a payment provider ("paypal" or
+// "stripe"); resolves with the link where the user confirms it
+export async function createSubscriptionCheckout({
+  provider = "paypal",
+  plan = "premium",
+  billingCycle = SUBSCRIPTION_CONFIG.billingCycle,
+} = {}) {
   try {
     return await fetchWithAuth(`/v1/subscription/create-subscription`, {
       method: "POST",
-      body: {
-        amount: SUBSCRIPTION_CONFIG.price,
-        currency: SUBSCRIPTION_CONFIG.currency,
-        billingCycle: SUBSCRIPTION_CONFIG.billingCycle,
-      },
+      body: { provider, plan, billingCycle },
     });
   } catch (error) {
-    console.error("PayPal subscription creation error:", error);
+    console.error("Subscription checkout error:", error);
     throw new Error(
-      "Unable to create PayPal subscription. Please try again later."
+      error.response?.data?.message ||
+        "Unable to start your subscription. Please try again later."
     );
   }
 }
 
-// Create PayPal order (alternative endpoint)
-export async function createPaypalOrder() {
-  try {
-    return await fetchWithAuth(`/v1/subscription/create-order`, {
-      method: "POST",
-      body: {
-        amount: SUBSCRIPTION_CONFIG.price,
-        currency: SUBSCRIPTION_CONFIG.currency,
-      },
-    });
-  } catch (error) {
-    console.error("PayPal order creation error:", error);
-    throw new Error("Unable to create PayPal order. Please try again later.");
-  }
+// Activate the checkout the user just confirmed at the provider
+export async function activateSubscription({ provider, checkoutId }) {
+  return fetchWithAuth(`/v1/subscription/activate-subscription`, {
+    method: "POST",
+    body: { provider, checkoutId },
+  });
 }
 
-// Capture PayPal payment and activate subscription
-export async function capturePaypalOrder(orderId) {
-  return fetchWithAuth(`/v1/subscription/capture-order`, {
+// Switch plan, billing cycle or provider; unused time is credited to the
+// new plan. Resolves with an approvalLink when the user must confirm it.
+export async function changeSubscriptionPlan({
+  provider,
+  plan,
+  billingCycle,
+}) {
+  return fetchWithAuth(`/v1/subscription/change-plan`, {
+    method: "POST",
+    body: { provider, plan, billingCycle },
+  });
+}
+
+// URL of the provider page where the user manages payment details
+export async function getBillingPortalUrl() {
+  return fetchWithAuth(`/v1/subscription/billing-portal`, {
     method: "POST",
-    body: {
-      orderId,
-    },
   });
 }
 
@@ -87,7 +97,26 @@ export async function checkSubscriptionStatus() {
   return fetchWithAuth(`/v1/subscription/status`);
 }
 
-// Get subscription billing history
-export async function getBillingHistory() {
-  return fetchWithAuth(`/v1/subscription/billing-history`);
+// Payments and refunds, newest first (params: page, limit, type)
+export async function getBillingHistory(params = {}) {
+  return fetchWithAuth(`/v1/subscription/billing-history`, { params });
+}
+
+// The invoice or credit note of a transaction, as a PDF Blob
+export async function getInvoicePdf(transactionId) {
+  return fetchWithAuth(
+    `/v1/subscription/billing-history/${transactionId}/invoice`,
+    { responseType: "blob" }
+  );
+}
+
+export async function getBillingDetails() {
+  return fetchWithAuth(`/v1/subscription/billing-details`);
+}
+
+export async function updateBillingDetails(details) {
+  return fetchWithAuth(`/v1/subscription/billing-details`, {
+    method: "PUT",
+    body: details,
+  });
 }
@@ -0,0 +1,160 @@
+import { fetchWithAuth } from "./base-service";
+
+// Teams the user is a member of, with their role in each
+export async function getTeams() {
+  return fetchWithAuth(`/v1/teams`);
+}
+
+export async function createTeam(name) {
+  return fetchWithAuth(`/v1/teams`, {
+    method: "POST",
+    body: { name },
+  });
+}
+
+// A team with its members, pending invitations and billing summary
+export async function getTeam(teamId) {
+  return fetchWithAuth(`/v1/teams/${teamId}`);
+}
+
+export async function renameTeam(teamId, name) {
+  return fetchWithAuth(`/v1/teams/${teamId}`, {
+    method: "PUT",
+    body: { name },
+  });
+}
+
+export async function deleteTeam(teamId) {
+  return fetchWithAuth(`/v1/teams/${teamId}`, {
+    method: "DELETE",
+  });
+}
+
+// Invite someone by email as a "member" or an "admin"
+export async function inviteTeamMember(teamId, { email, role = "member" }) {
+  return fetchWithAuth(`/v1/teams/${teamId}/members`, {
+    method: "POST",
+    body: { email, role },
+  });
+}
+
+export async function updateTeamMemberRole(teamId, memberId, role) {
+  return fetchWithAuth(`/v1/teams/${teamId}/members/${memberId}`, {
+    method: "PUT",
+    body: { role },
+  });
+}
+
+// Remove a member or revoke an invitation; with the user's own membership
+// this leaves the team
+export async function removeTeamMember(teamId, memberId) {
+  return fetchWithAuth(`/v1/teams/${teamId}/members/${memberId}`, {
+    method: "DELETE",
+  });
+}
+
+// Invitations sent to the user's email
+export async function getTeamInvitations() {
+  return fetchWithAuth(`/v1/teams/invitations`);
+}
+
+export async function acceptTeamInvitation(invitationId) {
+  return fetchWithAuth(`/v1/teams/invitations/${invitationId}/accept`, {
+    method: "POST",
+  });
+}
+
+export async function declineTeamInvitation(invitationId) {
+  return fetchWithAuth(`/v1/teams/invitations/${invitationId}/decline`, {
+    method: "POST",
+  });
+}
+
+// Buy seats on the pro plan; resolves with the link where the owner
+// confirms the subscription
+export async function createTeamCheckout(
+  teamId,
+  { provider = "paypal", billingCycle = "monthly", seats }
+) {
+  return fetchWithAuth(`/v1/teams/${teamId}/billing/checkout`, {
+    method: "POST",
+    body: { provider, billingCycle, seats },
+  });
+}
+
+// Activate the team checkout the owner just confirmed at the provider
+export async function activateTeamCheckout(teamId, { provider, checkoutId }) {
+  return fetchWithAuth(`/v1/teams/${teamId}/billing/activate`, {
+    method: "POST",
+    body: { provider, checkoutId },
+  });
+}
+
+// Change the seats paid for. Resolves with an approvalLink when the owner
+// must confirm the new amount at the provider.
+export async function changeTeamSeats(teamId, seats) {
+  return fetchWithAuth(`/v1/teams/${teamId}/billing/seats`, {
+    method: "PUT",
+    body: { seats },
+  });
+}
+
+export async function cancelTeamSubscription(teamId) {
+  return fetchWithAuth(`/v1/teams/${teamId}/billing/cancel`, {
+    method: "POST",
+  });
+}
+
+export async function reactivateTeamSubscription(teamId) {
+  return fetchWithAuth(`/v1/teams/${teamId}/billing/reactivate`, {
+    method: "POST",
+  });
+}
+
+export async function getTeamBillingPortalUrl(teamId) {
+  return fetchWithAuth(`/v1/teams/${teamId}/billing/portal`, {
+    method: "POST",
+  });
+}
+
+// Team payments and refunds, newest first (params: page, limit, type)
+export async function getTeamBillingHistory(teamId, params = {}) {
+  return fetchWithAuth(`/v1/teams/${teamId}/billing/history`, { params });
+}
+
+export async function getTeamInvoicePdf(teamId, transactionId) {
+  return fetchWithAuth(
+    `/v1/teams/${teamId}/billing/history/${transactionId}/invoice`,
+    { responseType: "blob" }
+  );
+}
+
+export async function getTeamBillingDetails(teamId) {
+  return fetchWithAuth(`/v1/teams/${teamId}/billing/details`);
+}
+
+export async function updateTeamBillingDetails(teamId, details) {
+  return fetchWithAuth(`/v1/teams/${teamId}/billing/details`, {
+    method: "PUT",
+    body: details,
+  });
+}
+
+// Templates published to the team
+export async function getTeamTemplates(teamId, params = {}) {
+  return fetchWithAuth(`/v1/teams/${teamId}/templates`, { params });
+}
+
+// Publish one of the team's designs as a template for its members
+export async function publishTeamTemplate(teamId, details) {
+  return fetchWithAuth(`/v1/teams/${teamId}/templates`, {
+    method: "POST",
+    body: details,
+  });
+}
+
+export async function deleteTeamTemplate(teamId, templateId) {
+  return fetchWithAuth(`/v1/teams/${teamId}/templates/${templateId}`, {
+    method: "DELETE",
+  });
+}
@@ -1,118 +1,137 @@
-// Template service for dynamic template loading
-import { apiRequest } from './base-service';
+// Template service - templates are published from designs by admins and
+// served from the database
+import { fetchWithAuth, fetchWithoutAuth } from './base-service';
 
 /**
- * Fetch all available templates from the examples folder
- * This automatically includes any new JSON files added to /public/examples/
+ * Fetch a page of published templates
+ * params: { q, category, tags, premium, sort, page, limit }
  */
-export async function getAvailableTemplates() {
-  try {
-    const response = await fetch('/api/templates', {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch templates: ${response.status} ${response.statusText}`);
-    }
-
-    const result = await response.json();
-    
-    if (!result.success) {
-      throw new Error(result.error || 'Failed to load templates');
-    }
-
-    return result;
-  } catch (error) {
-    console.error('Error fetching templates:', error);
-    throw error;
-  }
+export async function getAvailableTemplates(params = {}) {
+  return fetchWithoutAuth('/v1/templates', { params });
+}
+
+/**
+ * Categories that have published templates, with their template count
+ */
+export async function getTemplateCategories() {
+  return fetchWithoutAuth('/v1/templates/categories');
 }
 
 /**
- * Fetch a specific template by ID
+ * Fetch a published template with its page content. Pages of premium
+ * templates come without canvas data, which only a design created from
+ * the template gets.
  */
 export async function getTemplateById(templateId) {
-  try {
-    const templates = await getAvailableTemplates();
-    const template = templates.data.find(t => t.id === templateId);
-    
-    if (!template) {
-      throw new Error(`Template with ID '${templateId}' not found`);
-    }
-
-    return template;
-  } catch (error) {
-    console.error(`Error fetching template ${templateId}:`, error);
-    throw error;
-  }
+  return fetchWithoutAuth(`/v1/templates/${templateId}`);
 }
 
 /**
- * Load template JSON data
+ * Load the canvas JSON of a template's first page (used for previews).
+ * Premium templates only preview their background.
  */
-export async function loadTemplateData(fileName) {
-  try {
-    const response = await fetch(`/examples/${fileName}`);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to load template data: ${response.status} ${response.statusText}`);
-    }
-
-    const templateData = await response.json();
-    return templateData;
-  } catch (error) {
-    console.error(`Error loading template data from ${fileName}:`, error);
-    throw error;
+export async function loadTemplateData(templateId) {
+  const response = await getTemplateById(templateId);
+  if (!response?.success) {
+    throw new Error(response?.message || 'Failed to load template data');
   }
+
+  const [firstPage] = response.data.pages || [];
+  return firstPage?.canvasData
+    ? JSON.parse(firstPage.canvasData)
+    : { background: firstPage?.background };
+}
+
+/**
+ * Create a new design for the current user from a template
+ */
+export async function createDesignFromTemplate(templateId, name) {
+  return fetchWithAuth('/v1/designs/template', {
+    method: 'POST',
+    body: { templateId, name },
+  });
 }
 
 /**
  * Get templates by category
  */
-export async function getTemplatesByCategory(category) {
-  try {
-    const templates = await getAvailableTemplates();
-    return {
-      ...templates,
-      data: templates.data.filter(template => template.category === category)
-    };
-  } catch (error) {
-    console.error(`Error fetching templates for category ${category}:`, error);
-    throw error;
-  }
+export async function getTemplatesByCategory(category, params = {}) {
+  return getAvailableTemplates({ ...params, category });
 }
 
 /**
  * Get premium templates only
  */
-export async function getPremiumTemplates() {
-  try {
-    const templates = await getAvailableTemplates();
-    return {
-      ...templates,
-      data: templates.data.filter(template => template.isPremium)
-    };
-  } catch (error) {
-    console.error('Error fetching premium templates:', error);
-    throw error;
-  }
+export async function getPremiumTemplates(params = {}) {
+  return getAvailableTemplates({ ...params, premium: true });
 }
 
 /**
  * Get free templates only
  */
-export async function getFreeTemplates() {
-  try {
-    const templates = await getAvailableTemplates();
-    return {
-      ...templates,
-      data: templates.data.filter(template => !template.isPremium)
-    };
-  } catch (error) {
-    console.error('Error fetching free templates:', error);
-    throw error;
-  }
+export async function getFreeTemplates(params = {}) {
+  return getAvailableTemplates({ ...params, premium: false });
+}
+
+// Admin: managing templates
+
+/**
+ * List every template, unpublished ones included
+ * params: same as getAvailableTemplates, plus status
+ */
+export async function getManagedTemplates(params = {}) {
+  return fetchWithAuth('/v1/templates/manage', { params });
+}
+
+/**
+ * Publish a design as a new template
+ * details: { designId, name, description, category, tags, isPremium, thumbnail }
+ */
+export async function publishDesignAsTemplate(details) {
+  return fetchWithAuth('/v1/templates', {
+    method: 'POST',
+    body: details,
+  });
+}
+
+export async function updateTemplate(templateId, details) {
+  return fetchWithAuth(`/v1/templates/${templateId}`, {
+    method: 'PUT',
+    body: details,
+  });
+}
+
+/**
+ * Publish new content for a template from a design (defaults to the design
+ * it was last published from)
+ */
+export async function publishTemplateVersion(templateId, { designId, note } = {}) {
+  return fetchWithAuth(`/v1/templates/${templateId}/versions`, {
+    method: 'POST',
+    body: { designId, note },
+  });
+}
+
+export async function getTemplateVersions(templateId) {
+  return fetchWithAuth(`/v1/templates/${templateId}/versions`);
+}
+
+export async function restoreTemplateVersion(templateId, version) {
+  return fetchWithAuth(
+    `/v1/templates/${templateId}/versions/${version}/restore`,
+    { method: 'POST' }
+  );
+}
+
+export async function setTemplatePublished(templateId, isPublished) {
+  return fetchWithAuth(
+    `/v1/templates/${templateId}/${isPublished ? 'publish' : 'unpublish'}`,
+    { method: 'POST' }
+  );
+}
+
+export async function deleteTemplate(templateId) {
+  return fetchWithAuth(`/v1/templates/${templateId}`, {
+    method: 'DELETE',
+  });
 }
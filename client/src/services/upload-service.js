@@ -1,6 +1,7 @@
 import axios from "axios";
 import { getSession } from "next-auth/react";
 import { fetchWithAuth } from "./base-service";
+import { useWorkspaceStore } from "@/store/workspace-store";
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5000";
 
@@ -15,23 +16,93 @@ export async function uploadFileWithAuth(file, metaData = {}) {
   formData.append("file", file);
 
   Object.entries(metaData).forEach(([key, value]) => {
-    formData.append(key, value);
+    if (value !== undefined && value !== null) formData.append(key, value);
   });
 
+  // Files go to the library of the active workspace, like fetchWithAuth
+  const workspaceId = useWorkspaceStore.getState().activeWorkspaceId;
+
   try {
     const response = await axios.post(`${API_URL}/v1/media/upload`, formData, {
       headers: {
         Authorization: `Bearer ${session.idToken}`,
         "Content-Type": "multipart/form-data",
+        ...(workspaceId && { "X-Workspace-Id": workspaceId }),
       },
     });
 
     return response.data;
   } catch (e) {
-    throw new Error("Upload Failed");
+    // Keep the server's reason, e.g. a full storage quota
+    throw new Error(e.response?.data?.message || "Upload Failed");
   }
 }
 
+// The user's library (params: page, limit, type, folderId, tags, q)
+export async function getUserMedia(params = {}) {
+  return fetchWithAuth("/v1/media", { params });
+}
+
+export async function getMediaStorage() {
+  return fetchWithAuth("/v1/media/storage");
+}
+
+export async function getMediaTags() {
+  return fetchWithAuth("/v1/media/tags");
+}
+
+export async function getMediaUsage(mediaId) {
+  return fetchWithAuth(`/v1/media/${mediaId}/usage`);
+}
+
+export async function updateMedia(mediaId, updates) {
+  return fetchWithAuth(`/v1/media/${mediaId}`, {
+    method: "PUT",
+    body: updates,
+  });
+}
+
+// Without force, media used in designs isn't deleted: the request fails
+// with code MEDIA_IN_USE and the designs in error.response.data.data
+export async function deleteMediaInBulk(ids, force = false) {
+  return fetchWithAuth("/v1/media/bulk-delete", {
+    method: "POST",
+    body: { ids, force },
+  });
+}
+
+// updates: { folderId, addTags, removeTags }
+export async function updateMediaInBulk(ids, updates) {
+  return fetchWithAuth("/v1/media/bulk-update", {
+    method: "POST",
+    body: { ids, ...updates },
+  });
+}
+
+export async function getMediaFolders() {
+  return fetchWithAuth("/v1/media/folders");
+}
+
+export async function createMediaFolder(name) {
+  return fetchWithAuth("/v1/media/folders", {
+    method: "POST",
+    body: { name },
+  });
+}
+
+export async function renameMediaFolder(folderId, name) {
+  return fetchWithAuth(`/v1/media/folders/${folderId}`, {
+    method: "PUT",
+    body: { name },
+  });
+}
+
+export async function deleteMediaFolder(folderId) {
+  return fetchWithAuth(`/v1/media/folders/${folderId}`, {
+    method: "DELETE",
+  });
+}
+
 export async function generateImageFromAI(prompt) {
   try {
     const response = await fetchWithAuth("/v1/media/ai-image-generate", {
@@ -47,14 +118,10 @@ export async function generateImageFromAI(prompt) {
   }
 }
 
-export async function deleteMediaFromLibrary(mediaId) {
-  try {
-    const response = await fetchWithAuth(`/v1/media/${mediaId}`, {
-      method: "DELETE",
-    });
-
-    return response;
-  } catch (e) {
-    throw new Error(e.message || "Failed to delete media");
-  }
+// Media used in designs is only deleted with force, see deleteMediaInBulk
+export async function deleteMediaFromLibrary(mediaId, force = false) {
+  return fetchWithAuth(`/v1/media/${mediaId}`, {
+    method: "DELETE",
+    params: force ? { force: "true" } : undefined,
+  });
 }
@@ -1,6 +1,7 @@
 "use client";
 
 import { saveCanvasState } from "@/services/design-service";
+import { canEditDesign } from "@/lib/design-roles";
 import { debounce } from "lodash";
 import { create } from "zustand";
 
@@ -17,8 +18,46 @@ export const useEditorStore = create((set, get) => ({
   designId: null,
   setDesignId: (id) => set({ designId: id }),
 
+  pages: [],
+  setPages: (pages) => set({ pages }),
+
+  currentPageId: null,
+  setCurrentPageId: (id) => set({ currentPageId: id }),
+
   isEditing: true,
-  setIsEditing: (flag) => set({ isEditing: flag }),
+  setIsEditing: (flag) =>
+    set({ isEditing: flag && canEditDesign(get().designRole) }),
+
+  // The current user's role on the open design; viewers and commenters
+  // can never switch to editing
+  designRole: "owner",
+  setDesignRole: (role) =>
+    set((state) => ({
+      designRole: role,
+      isEditing: state.isEditing && canEditDesign(role),
+    })),
+
+  // Real-time session (see useCollaboration); while it is connected edits
+  // are synced over the socket and saved by the server instead of REST
+  collaboration: null,
+  setCollaboration: (session) => set({ collaboration: session }),
+
+  collaborators: [],
+  setCollaborators: (collaborators) => set({ collaborators }),
+
+  // Comment threads of the current page (see useDesignComments)
+  comments: [],
+  setComments: (comments) => set({ comments }),
+  commentsVersion: 0,
+  refreshComments: () =>
+    set((state) => ({ commentsVersion: state.commentsVersion + 1 })),
+  activeCommentId: null,
+  setActiveCommentId: (id) => set({ activeCommentId: id }),
+  showComments: false,
+  setShowComments: (flag) => set({ showComments: flag }),
+  // While on, clicking the canvas drops a new comment pin
+  isPlacingComment: false,
+  setIsPlacingComment: (flag) => set({ isPlacingComment: flag }),
 
   name: "Untitled Design",
   setName: (value) => set({ name: value }),
@@ -36,7 +75,13 @@ export const useEditorStore = create((set, get) => ({
   markAsModified: () => {
     const designId = get().designId;
 
-    if (designId) {
+    // Changes made without edit access are never saved
+    if (!canEditDesign(get().designRole)) return;
+
+    if (get().collaboration) {
+      // The collaboration hook picks the change up and reports save status
+      set({ lastModified: Date.now() });
+    } else if (designId) {
       set({
         lastModified: Date.now(),
         saveStatus: "Saving...",
@@ -65,9 +110,15 @@ export const useEditorStore = create((set, get) => ({
     }
 
     try {
-      const savedDesign = await saveCanvasState(canvas, designId, get().name);
+      const savedDesign = await saveCanvasState(
+        canvas,
+        designId,
+        get().name,
+        get().currentPageId
+      );
 
       set({
+        ...(savedDesign?.data?.pages && { pages: savedDesign.data.pages }),
         saveStatus: "Saved",
         isModified: false,
         lastSaved: Date.now(),
@@ -85,10 +136,27 @@ export const useEditorStore = create((set, get) => ({
     }
   },
 
+  // Save pending edits right away instead of waiting for the debounce,
+  // e.g. before switching pages or restoring a version
+  flushPendingSave: async () => {
+    if (!canEditDesign(get().designRole)) return null;
+
+    if (get().collaboration) {
+      await get().collaboration.flush();
+      return null;
+    }
+
+    get().debouncedSaveToServer.cancel();
+    if (get().isModified) {
+      return get().saveToServer();
+    }
+    return null;
+  },
+
   // Enhanced auto-save with error handling
   debouncedSaveToServer: debounce(async () => {
     const state = get();
-    const { canvas, designId, name } = state;
+    const { canvas, designId, name, currentPageId } = state;
 
     if (!canvas || !designId) {
       console.warn("Cannot auto-save: missing canvas or design ID");
@@ -98,9 +166,15 @@ export const useEditorStore = create((set, get) => ({
     try {
       set({ saveStatus: "Saving..." });
 
-      const savedDesign = await saveCanvasState(canvas, designId, name);
+      const savedDesign = await saveCanvasState(
+        canvas,
+        designId,
+        name,
+        currentPageId
+      );
 
       set({
+        ...(savedDesign?.data?.pages && { pages: savedDesign.data.pages }),
         saveStatus: "Saved",
         isModified: false,
         lastSaved: Date.now(),
@@ -133,6 +207,29 @@ export const useEditorStore = create((set, get) => ({
   showDesignsModal: false,
   setShowDesignsModal: (flag) => set({ showDesignsModal: flag }),
 
+  // Folders of the user's designs, flat with parentId (see useFolders)
+  folders: [],
+  setFolders: (folders) => set({ folders }),
+
+  // What the designs modal lists: { type: "all" | "starred" | "trash" } or
+  // { type: "folder", folderId }
+  designsView: { type: "all" },
+  setDesignsView: (view) => set({ designsView: view }),
+
+  // Smart guides and grid snapping while dragging (see useSmartGuides)
+  snapping: { guides: true, grid: false, gridSize: 20 },
+  setSnapping: (settings) =>
+    set((state) => ({ snapping: { ...state.snapping, ...settings } })),
+
+  // The image crop in progress, if any (see startImageCrop)
+  cropSession: null,
+  setCropSession: (cropSession) => set({ cropSession }),
+
+  // The user's brand kit (see useBrandKit); it outlives a single design so
+  // resetStore leaves it alone
+  brandKit: null,
+  setBrandKit: (brandKit) => set({ brandKit }),
+
   showTemplatesModal: false,
   setShowTemplatesModal: (flag) => set({ showTemplatesModal: flag }),
 
@@ -143,6 +240,16 @@ export const useEditorStore = create((set, get) => ({
     set({
       canvas: null,
       designId: null,
+      pages: [],
+      currentPageId: null,
+      collaboration: null,
+      collaborators: [],
+      designRole: "owner",
+      comments: [],
+      activeCommentId: null,
+      showComments: false,
+      isPlacingComment: false,
+      cropSession: null,
       isEditing: true,
       name: "Untitled Design",
       showProperties: false,
@@ -0,0 +1,27 @@
+"use client";
+
+import { create } from "zustand";
+
+// Remembered across reloads so users come back to the workspace they left
+const STORAGE_KEY = "activeWorkspace";
+
+const readStoredWorkspace = () =>
+  typeof window === "undefined" ? null : localStorage.getItem(STORAGE_KEY);
+
+// The workspace designs, folders and media are listed and created in: a
+// team id, or null for the user's personal workspace. Requests made with
+// fetchWithAuth say which one it is in the X-Workspace-Id header.
+export const useWorkspaceStore = create((set) => ({
+  activeWorkspaceId: readStoredWorkspace(),
+  setActiveWorkspace: (teamId) => {
+    if (typeof window !== "undefined") {
+      if (teamId) localStorage.setItem(STORAGE_KEY, teamId);
+      else localStorage.removeItem(STORAGE_KEY);
+    }
+    set({ activeWorkspaceId: teamId || null });
+  },
+
+  // Teams the user is a member of (see getTeams)
+  teams: [],
+  setTeams: (teams) => set({ teams }),
+}));
@@ -4,6 +4,7 @@ const {
   generateImageVariations,
 } = require("../utils/cloudinary");
 const Media = require("../models/media");
+const { workspaceFields } = require("../utils/workspaces");
 
 // Use OpenAI DALL-E as the primary AI image generator (more reliable than Stability AI)
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
@@ -138,7 +139,7 @@ const aiImageController = {
 
       // Save to database
       const newMedia = new Media({
-        userId,
+        ...workspaceFields(req),
         name: `AI: ${prompt.substring(0, 50)}${
           prompt.length > 50 ? "..." : ""
         }`,
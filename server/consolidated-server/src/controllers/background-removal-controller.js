@@ -0,0 +1,118 @@
+const axios = require("axios");
+const {
+  uploadMediaToCloudinary,
+  generateImageVariations,
+} = require("../utils/cloudinary");
+const {
+  isBackgroundRemovalAvailable,
+  isSupportedImage,
+  removeBackground,
+} = require("../utils/background-removal");
+const Media = require("../models/media");
+const { checkStorageQuota } = require("../utils/media-library");
+const { workspaceFilter, workspaceFields } = require("../utils/workspaces");
+
+// "photo.jpg" -> "photo (no background).png"
+const getCutoutName = (name) =>
+  `${name.replace(/\.[^./]+$/, "")} (no background).png`.slice(-255);
+
+const backgroundRemovalController = {
+  // Cut the subject out of an image and store the result as new media
+  async removeBackground(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { userId } = req.user;
+      const scope = workspaceFilter(req);
+
+      const media = await Media.findOne({ _id: id, ...scope });
+
+      if (!media) {
+        return res.status(404).json({
+          success: false,
+          error: "Media not found",
+          message: "Media not found or you don't have permission to edit it",
+          code: "MEDIA_NOT_FOUND",
+        });
+      }
+
+      if (media.resourceType !== "image" || !isSupportedImage(media.mimeType)) {
+        return res.status(400).json({
+          success: false,
+          error: "Unsupported media",
+          message: "Backgrounds can only be removed from JPEG, PNG, GIF or WebP images",
+          code: "UNSUPPORTED_MEDIA_TYPE",
+        });
+      }
+
+      if (!isBackgroundRemovalAvailable()) {
+        return res.status(503).json({
+          success: false,
+          error: "Background removal unavailable",
+          message: "Background removal is not configured on this server",
+          code: "BACKGROUND_REMOVAL_UNAVAILABLE",
+        });
+      }
+
+      const imageResponse = await axios.get(media.secureUrl || media.url, {
+        responseType: "arraybuffer",
+        timeout: 30000,
+      });
+
+      const result = await removeBackground(
+        Buffer.from(imageResponse.data),
+        media.mimeType
+      );
+
+      // The cut-out is stored as new media, so it counts towards the quota
+      const quotaError = await checkStorageQuota(scope, result.buffer.length);
+      if (quotaError) {
+        return res.status(403).json({
+          success: false,
+          error: "Storage quota exceeded",
+          message: quotaError,
+          code: "STORAGE_QUOTA_EXCEEDED",
+        });
+      }
+
+      const cloudinaryResult = await uploadMediaToCloudinary(
+        { buffer: result.buffer },
+        {
+          folder: `mocko-designs/${userId}`,
+          resource_type: "image",
+          format: "png",
+          tags: ["background-removed"],
+        }
+      );
+
+      const cutout = await Media.create({
+        ...workspaceFields(req),
+        name: getCutoutName(media.name),
+        cloudinaryId: cloudinaryResult.public_id,
+        url: cloudinaryResult.secure_url,
+        secureUrl: cloudinaryResult.secure_url,
+        mimeType: "image/png",
+        size: cloudinaryResult.bytes || result.buffer.length,
+        width: cloudinaryResult.width || result.width,
+        height: cloudinaryResult.height || result.height,
+        format: cloudinaryResult.format,
+        resourceType: "image",
+        folder: cloudinaryResult.folder,
+        tags: [...new Set([...(media.tags || []), "background-removed"])],
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ...cutout.toObject(),
+          variations: generateImageVariations(cloudinaryResult.public_id),
+        },
+        message: "Background removed successfully",
+      });
+    } catch (error) {
+      console.error("Error removing background:", error);
+      next(error);
+    }
+  },
+};
+
+module.exports = backgroundRemovalController;
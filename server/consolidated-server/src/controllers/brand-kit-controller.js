@@ -0,0 +1,169 @@
+const mongoose = require("mongoose");
+const BrandKit = require("../models/brand-kit");
+const Media = require("../models/media");
+const {
+  MAX_LOGOS,
+  sanitizePalettes,
+  sanitizeFontPairs,
+} = require("../utils/brand-kit");
+const { workspaceFilter, workspaceFields } = require("../utils/workspaces");
+
+const invalidInput = (res, message, code) =>
+  res.status(400).json({
+    success: false,
+    error: "Invalid input",
+    message,
+    code,
+  });
+
+// The workspace's kit, or an unsaved empty one if it isn't set up yet
+const findOrBuildBrandKit = async (req) =>
+  (await BrandKit.findOne(workspaceFilter(req))) ||
+  new BrandKit(workspaceFields(req));
+
+const brandKitController = {
+  // Get the workspace's brand kit
+  async getBrandKit(req, res, next) {
+    try {
+      const brandKit = await findOrBuildBrandKit(req);
+
+      res.status(200).json({
+        success: true,
+        data: brandKit,
+      });
+    } catch (error) {
+      console.error("Error fetching brand kit:", error);
+      next(error);
+    }
+  },
+
+  // Update the name, palettes and/or font pairs of the brand kit
+  async updateBrandKit(req, res, next) {
+    try {
+      const { name, palettes, fontPairs } = req.body;
+      const brandKit = await findOrBuildBrandKit(req);
+
+      if (name !== undefined) {
+        if (typeof name !== "string" || !name.trim()) {
+          return invalidInput(res, "Brand kit name is required", "INVALID_NAME");
+        }
+        brandKit.name = name.trim().slice(0, 100);
+      }
+
+      if (palettes !== undefined) {
+        const result = sanitizePalettes(palettes);
+        if (result.error) {
+          return invalidInput(res, result.error, "INVALID_PALETTES");
+        }
+        brandKit.palettes = result.palettes;
+      }
+
+      if (fontPairs !== undefined) {
+        const result = sanitizeFontPairs(fontPairs);
+        if (result.error) {
+          return invalidInput(res, result.error, "INVALID_FONT_PAIRS");
+        }
+        brandKit.fontPairs = result.fontPairs;
+      }
+
+      await brandKit.save();
+
+      res.status(200).json({
+        success: true,
+        data: brandKit,
+        message: "Brand kit updated",
+      });
+    } catch (error) {
+      console.error("Error updating brand kit:", error);
+      next(error);
+    }
+  },
+
+  // Add one of the workspace's uploaded images as a logo
+  async addLogo(req, res, next) {
+    try {
+      const { mediaId } = req.body;
+
+      if (!mongoose.isValidObjectId(mediaId)) {
+        return invalidInput(res, "A media id is required", "INVALID_MEDIA");
+      }
+
+      const media = await Media.findOne({
+        _id: mediaId,
+        ...workspaceFilter(req),
+        resourceType: "image",
+      });
+      if (!media) {
+        return res.status(404).json({
+          success: false,
+          error: "Media not found",
+          message: "Logos must be images from your uploads.",
+          code: "MEDIA_NOT_FOUND",
+        });
+      }
+
+      const brandKit = await findOrBuildBrandKit(req);
+      const existing = brandKit.logos.find(
+        (logo) => logo.mediaId.toString() === media._id.toString()
+      );
+
+      if (!existing) {
+        if (brandKit.logos.length >= MAX_LOGOS) {
+          return invalidInput(
+            res,
+            `A brand kit can have at most ${MAX_LOGOS} logos`,
+            "LOGO_LIMIT_REACHED"
+          );
+        }
+        brandKit.logos.push({
+          mediaId: media._id,
+          name: media.name,
+          url: media.secureUrl || media.url,
+          width: media.width,
+          height: media.height,
+        });
+        await brandKit.save();
+      }
+
+      res.status(existing ? 200 : 201).json({
+        success: true,
+        data: brandKit,
+        message: existing ? "Logo already in brand kit" : "Logo added",
+      });
+    } catch (error) {
+      console.error("Error adding brand logo:", error);
+      next(error);
+    }
+  },
+
+  // Remove a logo from the brand kit (the media itself is kept)
+  async removeLogo(req, res, next) {
+    try {
+      const brandKit = await BrandKit.findOne(workspaceFilter(req));
+      const logo = brandKit?.logos.id(req.params.logoId);
+
+      if (!logo) {
+        return res.status(404).json({
+          success: false,
+          error: "Logo not found",
+          message: "This logo is not in your brand kit.",
+          code: "LOGO_NOT_FOUND",
+        });
+      }
+
+      logo.deleteOne();
+      await brandKit.save();
+
+      res.status(200).json({
+        success: true,
+        data: brandKit,
+        message: "Logo removed",
+      });
+    } catch (error) {
+      console.error("Error removing brand logo:", error);
+      next(error);
+    }
+  },
+};
+
+module.exports = brandKitController;
@@ -0,0 +1,216 @@
+const mongoose = require("mongoose");
+const Component = require("../models/component");
+const {
+  MAX_COMPONENTS,
+  cleanComponentName,
+  normalizeComponentData,
+  isValidThumbnail,
+} = require("../utils/components");
+const { workspaceFilter, workspaceFields } = require("../utils/workspaces");
+
+const invalidInput = (res, message, code) =>
+  res.status(400).json({
+    success: false,
+    error: "Invalid input",
+    message,
+    code,
+  });
+
+const componentNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Component not found",
+    message: "Component not found or you don't have permission to use it",
+    code: "COMPONENT_NOT_FOUND",
+  });
+
+// Components of every workspace the user belongs to. A design may hold
+// instances of another workspace's components, e.g. one opened from a
+// link while working in the personal workspace.
+const memberWorkspacesFilter = (req) => ({
+  $or: [
+    { userId: req.user.userId, teamId: null },
+    { teamId: { $in: req.user.teamIds } },
+  ],
+});
+
+const componentController = {
+  // List the workspace's components. Their content is left out unless
+  // specific ones are asked for with ?ids=a,b (to refresh instances).
+  async getComponents(req, res, next) {
+    try {
+      let query = workspaceFilter(req);
+      let projection = "-data";
+
+      if (typeof req.query.ids === "string") {
+        query = {
+          ...memberWorkspacesFilter(req),
+          _id: {
+            $in: req.query.ids.split(",").filter(mongoose.isValidObjectId),
+          },
+        };
+        projection = "";
+      }
+
+      const components = await Component.find(query)
+        .select(projection)
+        .sort({ updatedAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        data: components,
+      });
+    } catch (error) {
+      console.error("Error fetching components:", error);
+      next(error);
+    }
+  },
+
+  // A single component with its content
+  async getComponent(req, res, next) {
+    try {
+      const component = await Component.findOne({
+        _id: req.params.id,
+        ...workspaceFilter(req),
+      });
+      if (!component) return componentNotFound(res);
+
+      res.status(200).json({
+        success: true,
+        data: component,
+      });
+    } catch (error) {
+      console.error("Error fetching component:", error);
+      next(error);
+    }
+  },
+
+  // Save a selection as a new component
+  async createComponent(req, res, next) {
+    try {
+      const name = cleanComponentName(req.body.name);
+      if (!name) {
+        return invalidInput(res, "Component name is required", "INVALID_NAME");
+      }
+
+      const result = normalizeComponentData(req.body.data);
+      if (result.error) {
+        return invalidInput(res, result.error, "INVALID_COMPONENT_DATA");
+      }
+
+      const { thumbnail } = req.body;
+      if (thumbnail !== undefined && !isValidThumbnail(thumbnail)) {
+        return invalidInput(
+          res,
+          "Thumbnail must be an image data URL",
+          "INVALID_THUMBNAIL"
+        );
+      }
+
+      const count = await Component.countDocuments(workspaceFilter(req));
+      if (count >= MAX_COMPONENTS) {
+        return invalidInput(
+          res,
+          `You can save at most ${MAX_COMPONENTS} components`,
+          "COMPONENT_LIMIT_REACHED"
+        );
+      }
+
+      const component = await Component.create({
+        ...workspaceFields(req),
+        name,
+        data: result.data,
+        thumbnail,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: component,
+        message: "Component saved",
+      });
+    } catch (error) {
+      console.error("Error creating component:", error);
+      next(error);
+    }
+  },
+
+  // Rename a component or replace its master content. New content bumps
+  // the version so linked instances pick it up.
+  async updateComponent(req, res, next) {
+    try {
+      const component = await Component.findOne({
+        _id: req.params.id,
+        ...workspaceFilter(req),
+      });
+      if (!component) return componentNotFound(res);
+
+      if (req.body.name !== undefined) {
+        const name = cleanComponentName(req.body.name);
+        if (!name) {
+          return invalidInput(
+            res,
+            "Component name is required",
+            "INVALID_NAME"
+          );
+        }
+        component.name = name;
+      }
+
+      if (req.body.data !== undefined) {
+        const result = normalizeComponentData(req.body.data);
+        if (result.error) {
+          return invalidInput(res, result.error, "INVALID_COMPONENT_DATA");
+        }
+        if (result.data !== component.data) {
+          component.data = result.data;
+          component.version += 1;
+        }
+      }
+
+      if (req.body.thumbnail !== undefined) {
+        if (!isValidThumbnail(req.body.thumbnail)) {
+          return invalidInput(
+            res,
+            "Thumbnail must be an image data URL",
+            "INVALID_THUMBNAIL"
+          );
+        }
+        component.thumbnail = req.body.thumbnail;
+      }
+
+      await component.save();
+
+      res.status(200).json({
+        success: true,
+        data: component,
+        message: "Component updated",
+      });
+    } catch (error) {
+      console.error("Error updating component:", error);
+      next(error);
+    }
+  },
+
+  // Delete a component. Existing instances stay in their designs but are
+  // no longer updated.
+  async deleteComponent(req, res, next) {
+    try {
+      const component = await Component.findOneAndDelete({
+        _id: req.params.id,
+        ...workspaceFilter(req),
+      });
+      if (!component) return componentNotFound(res);
+
+      res.status(200).json({
+        success: true,
+        data: { _id: component._id },
+        message: "Component deleted",
+      });
+    } catch (error) {
+      console.error("Error deleting component:", error);
+      next(error);
+    }
+  },
+};
+
+module.exports = componentController;
@@ -0,0 +1,403 @@
+const mongoose = require("mongoose");
+const DesignComment = require("../models/design-comment");
+const {
+  findDesignForAction,
+  designNotFound,
+  permissionDenied,
+  normalizeEmail,
+} = require("../utils/design-access");
+const {
+  MAX_COMMENT_LENGTH,
+  extractMentions,
+  toAuthor,
+} = require("../utils/design-comments");
+const { notifyCommentsChanged } = require("../realtime/collaboration-server");
+
+// All the comment handlers need of the design
+const DESIGN_FIELDS = "userId teamId collaborators pages._id";
+
+const commentNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Comment not found",
+    message: "The requested comment does not exist for this design.",
+    code: "COMMENT_NOT_FOUND",
+  });
+
+// Returns an error message for an invalid comment body, or null
+const validateBody = (body) => {
+  if (typeof body !== "string" || !body.trim()) {
+    return "Comment text is required";
+  }
+  if (body.trim().length > MAX_COMMENT_LENGTH) {
+    return `Comments can be at most ${MAX_COMMENT_LENGTH} characters`;
+  }
+  return null;
+};
+
+const invalidBody = (res, message) =>
+  res.status(400).json({
+    success: false,
+    error: "Invalid input",
+    message,
+    code: "INVALID_COMMENT",
+  });
+
+const findComment = (req) =>
+  mongoose.isValidObjectId(req.params.commentId)
+    ? DesignComment.findOne({
+        _id: req.params.commentId,
+        designId: req.params.id,
+      })
+    : null;
+
+// Authors can change their own comments; the owner can delete any of them
+const canModify = (entry, req, role, action) =>
+  entry.authorId === req.user.userId ||
+  (action === "delete" && role === "owner");
+
+const designCommentController = {
+  // List comment threads of a design, optionally for a single page
+  async getComments(req, res, next) {
+    try {
+      const { design, allowed } = await findDesignForAction(
+        req,
+        "view",
+        DESIGN_FIELDS
+      );
+      if (!design) return designNotFound(res);
+      if (!allowed) return permissionDenied(res, "view comments");
+
+      const { pageId, status, mentioned } = req.query;
+      const filter = { designId: design._id };
+
+      if (pageId) {
+        if (!mongoose.isValidObjectId(pageId)) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid page",
+            message: "The page id is not valid",
+            code: "INVALID_PAGE",
+          });
+        }
+        filter.pageId = pageId;
+      }
+      if (status === "open") filter.resolved = false;
+      if (status === "resolved") filter.resolved = true;
+      if (mentioned === "me") {
+        const email = normalizeEmail(req.user.email);
+        filter.$or = [{ mentions: email }, { "replies.mentions": email }];
+      }
+
+      const comments = await DesignComment.find(filter).sort({ createdAt: 1 });
+
+      res.status(200).json({
+        success: true,
+        data: comments,
+      });
+    } catch (error) {
+      console.error("Error fetching comments:", error);
+      next(error);
+    }
+  },
+
+  // Start a thread pinned to a point on a page, or to an object
+  async createComment(req, res, next) {
+    try {
+      const { pageId, anchor = {}, body } = req.body;
+
+      const bodyError = validateBody(body);
+      if (bodyError) return invalidBody(res, bodyError);
+
+      const x = Number(anchor.x);
+      const y = Number(anchor.y);
+      if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid anchor",
+          message: "Comments need an x and y position on the canvas",
+          code: "INVALID_ANCHOR",
+        });
+      }
+
+      const { design, allowed } = await findDesignForAction(
+        req,
+        "comment",
+        DESIGN_FIELDS
+      );
+      if (!design) return designNotFound(res);
+      if (!allowed) return permissionDenied(res, "comment on this design");
+
+      const page = design.pages.find(
+        (designPage) => designPage._id.toString() === String(pageId)
+      );
+      if (!page) {
+        return res.status(404).json({
+          success: false,
+          error: "Page not found",
+          message: "The requested page does not exist in this design.",
+          code: "PAGE_NOT_FOUND",
+        });
+      }
+
+      const comment = await DesignComment.create({
+        designId: design._id,
+        pageId: page._id,
+        anchor: {
+          objectId:
+            typeof anchor.objectId === "string"
+              ? anchor.objectId.slice(0, 100)
+              : undefined,
+          x,
+          y,
+        },
+        ...toAuthor(req.user),
+        body: body.trim(),
+        mentions: extractMentions(body),
+      });
+
+      notifyCommentsChanged(design._id, page._id);
+
+      res.status(201).json({
+        success: true,
+        data: comment,
+        message: "Comment added",
+      });
+    } catch (error) {
+      console.error("Error creating comment:", error);
+      next(error);
+    }
+  },
+
+  // Edit the text or move the pin of your own comment
+  async updateComment(req, res, next) {
+    try {
+      const { body, anchor } = req.body;
+
+      if (body !== undefined) {
+        const bodyError = validateBody(body);
+        if (bodyError) return invalidBody(res, bodyError);
+      }
+
+      const { design, role, allowed } = await findDesignForAction(
+        req,
+        "comment",
+        DESIGN_FIELDS
+      );
+      if (!design) return designNotFound(res);
+      if (!allowed) return permissionDenied(res, "comment on this design");
+
+      const comment = await findComment(req);
+      if (!comment) return commentNotFound(res);
+
+      if (body !== undefined) {
+        if (!canModify(comment, req, role, "edit")) {
+          return permissionDenied(res, "edit this comment");
+        }
+        comment.body = body.trim();
+        comment.mentions = extractMentions(body);
+      }
+
+      // Anyone who can comment may move a pin, e.g. to follow its object
+      if (anchor) {
+        const x = Number(anchor.x);
+        const y = Number(anchor.y);
+        if (Number.isFinite(x) && Number.isFinite(y)) {
+          comment.anchor.x = x;
+          comment.anchor.y = y;
+        }
+      }
+
+      await comment.save();
+      notifyCommentsChanged(design._id, comment.pageId);
+
+      res.status(200).json({
+        success: true,
+        data: comment,
+        message: "Comment updated",
+      });
+    } catch (error) {
+      console.error("Error updating comment:", error);
+      next(error);
+    }
+  },
+
+  // Delete a whole thread
+  async deleteComment(req, res, next) {
+    try {
+      const { design, role, allowed } = await findDesignForAction(
+        req,
+        "comment",
+        DESIGN_FIELDS
+      );
+      if (!design) return designNotFound(res);
+      if (!allowed) return permissionDenied(res, "comment on this design");
+
+      const comment = await findComment(req);
+      if (!comment) return commentNotFound(res);
+      if (!canModify(comment, req, role, "delete")) {
+        return permissionDenied(res, "delete this comment");
+      }
+
+      await comment.deleteOne();
+      notifyCommentsChanged(design._id, comment.pageId);
+
+      res.status(200).json({
+        success: true,
+        message: "Comment deleted",
+      });
+    } catch (error) {
+      console.error("Error deleting comment:", error);
+      next(error);
+    }
+  },
+
+  // Reply to a thread; replying reopens a resolved thread
+  async addReply(req, res, next) {
+    try {
+      const { body } = req.body;
+      const bodyError = validateBody(body);
+      if (bodyError) return invalidBody(res, bodyError);
+
+      const { design, allowed } = await findDesignForAction(
+        req,
+        "comment",
+        DESIGN_FIELDS
+      );
+      if (!design) return designNotFound(res);
+      if (!allowed) return permissionDenied(res, "comment on this design");
+
+      const comment = await findComment(req);
+      if (!comment) return commentNotFound(res);
+
+      comment.replies.push({
+        ...toAuthor(req.user),
+        body: body.trim(),
+        mentions: extractMentions(body),
+      });
+      comment.resolved = false;
+      comment.resolvedBy = undefined;
+      comment.resolvedAt = undefined;
+
+      await comment.save();
+      notifyCommentsChanged(design._id, comment.pageId);
+
+      res.status(201).json({
+        success: true,
+        data: comment,
+        message: "Reply added",
+      });
+    } catch (error) {
+      console.error("Error adding reply:", error);
+      next(error);
+    }
+  },
+
+  // Delete a reply from a thread
+  async deleteReply(req, res, next) {
+    try {
+      const { design, role, allowed } = await findDesignForAction(
+        req,
+        "comment",
+        DESIGN_FIELDS
+      );
+      if (!design) return designNotFound(res);
+      if (!allowed) return permissionDenied(res, "comment on this design");
+
+      const comment = await findComment(req);
+      if (!comment) return commentNotFound(res);
+
+      const reply = comment.replies.id(req.params.replyId);
+      if (!reply) {
+        return res.status(404).json({
+          success: false,
+          error: "Reply not found",
+          message: "The requested reply does not exist in this thread.",
+          code: "REPLY_NOT_FOUND",
+        });
+      }
+      if (!canModify(reply, req, role, "delete")) {
+        return permissionDenied(res, "delete this reply");
+      }
+
+      reply.deleteOne();
+      await comment.save();
+      notifyCommentsChanged(design._id, comment.pageId);
+
+      res.status(200).json({
+        success: true,
+        data: comment,
+        message: "Reply deleted",
+      });
+    } catch (error) {
+      console.error("Error deleting reply:", error);
+      next(error);
+    }
+  },
+
+  // Mark a thread as resolved
+  async resolveComment(req, res, next) {
+    try {
+      const { design, allowed } = await findDesignForAction(
+        req,
+        "comment",
+        DESIGN_FIELDS
+      );
+      if (!design) return designNotFound(res);
+      if (!allowed) return permissionDenied(res, "comment on this design");
+
+      const comment = await findComment(req);
+      if (!comment) return commentNotFound(res);
+
+      comment.resolved = true;
+      comment.resolvedBy = req.user.userId;
+      comment.resolvedAt = new Date();
+
+      await comment.save();
+      notifyCommentsChanged(design._id, comment.pageId);
+
+      res.status(200).json({
+        success: true,
+        data: comment,
+        message: "Comment resolved",
+      });
+    } catch (error) {
+      console.error("Error resolving comment:", error);
+      next(error);
+    }
+  },
+
+  // Reopen a resolved thread
+  async reopenComment(req, res, next) {
+    try {
+      const { design, allowed } = await findDesignForAction(
+        req,
+        "comment",
+        DESIGN_FIELDS
+      );
+      if (!design) return designNotFound(res);
+      if (!allowed) return permissionDenied(res, "comment on this design");
+
+      const comment = await findComment(req);
+      if (!comment) return commentNotFound(res);
+
+      comment.resolved = false;
+      comment.resolvedBy = undefined;
+      comment.resolvedAt = undefined;
+
+      await comment.save();
+      notifyCommentsChanged(design._id, comment.pageId);
+
+      res.status(200).json({
+        success: true,
+        data: comment,
+        message: "Comment reopened",
+      });
+    } catch (error) {
+      console.error("Error reopening comment:", error);
+      next(error);
+    }
+  },
+};
+
+module.exports = designCommentController;
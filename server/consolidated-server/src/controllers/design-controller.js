@@ -1,34 +1,121 @@
+const mongoose = require("mongoose");
 const Design = require("../models/design");
+const Template = require("../models/template");
+const Folder = require("../models/folder");
 const { validationResult } = require("express-validator");
+const { serializeDesign, ensurePages } = require("../utils/design-pages");
+const { createAutoSnapshotIfDue } = require("../utils/design-versions");
+const { buildDesignSearch } = require("../utils/design-search");
+const { getPurgeDate, purgeDesigns } = require("../utils/design-trash");
+const {
+  acceptClientThumbnail,
+  renderPageThumbnail,
+  scheduleThumbnailRender,
+} = require("../utils/design-thumbnails");
+const { isRendererAvailable } = require("../utils/canvas-renderer");
+const {
+  accessibleDesignsFilter,
+  getDesignRole,
+  hasRole,
+  designNotFound,
+  permissionDenied,
+  claimInvitation,
+} = require("../utils/design-access");
+const { workspaceFilter, workspaceFields } = require("../utils/workspaces");
+const { getPremiumAccess } = require("../utils/entitlements");
+const { notifyAccessChanged } = require("../realtime/collaboration-server");
+
+const DESIGN_LIST_FIELDS =
+  "_id name width height category isPremium tags thumbnail folderId isStarred createdAt updatedAt canvasData";
+
+// Create a design from a template in the database: its pages are copied
+// and premium templates need premium, personal or from a team. Team
+// templates are for members of their team only.
+const createFromPublishedTemplate = async (req, res, templateId, name) => {
+  const template = mongoose.isValidObjectId(templateId)
+    ? await Template.findOne({
+        _id: templateId,
+        status: "published",
+        teamId: { $in: [null, ...req.user.teamIds] },
+      })
+    : null;
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: "Template not found",
+      message: "Template not found or no longer available",
+      code: "TEMPLATE_NOT_FOUND",
+    });
+  }
 
-// Utility function to generate thumbnail from canvas data
-const generateThumbnailFromCanvas = async (canvasData, width = 200, height = 200) => {
-  try {
-    // If no server-side canvas generation is available, 
-    // we can return a placeholder or let the frontend handle it
-    return null;
-  } catch (error) {
-    console.error("Error generating thumbnail:", error);
-    return null;
+  if (template.isPremium) {
+    const access = await getPremiumAccess(req.user.userId);
+    if (!access.isPremium) {
+      return res.status(403).json({
+        success: false,
+        error: "Premium required",
+        message: "This template requires a premium subscription",
+        code: "PREMIUM_REQUIRED",
+      });
+    }
   }
+
+  const newDesign = new Design({
+    ...workspaceFields(req),
+    name:
+      typeof name === "string" && name.trim()
+        ? name.trim().slice(0, 100)
+        : template.name,
+    width: template.width,
+    height: template.height,
+    category: template.category,
+    isPremium: template.isPremium,
+    tags: template.tags,
+    pages: template.pages.map((page) => page.toObject()),
+  });
+
+  const savedDesign = await newDesign.save();
+  await Template.updateOne({ _id: template._id }, { $inc: { usageCount: 1 } });
+  if (!savedDesign.thumbnail) scheduleThumbnailRender(savedDesign._id, null, 0);
+
+  return res.status(201).json({
+    success: true,
+    data: serializeDesign(savedDesign),
+    message: "Design created from template successfully",
+  });
 };
 
 const designController = {
-  // Get all designs for a user
+  // Get the designs of the current workspace. Supports full-text search
+  // (?q=), ?category=, ?tags=a,b, a last-edited range (?from=&to=) and
+  // ?sort=relevance|updated|created|oldest|name
   async getUserDesigns(req, res, next) {
     try {
-      const userId = req.user.userId;
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 20;
       const skip = (page - 1) * limit;
 
-      const designs = await Design.find({ userId })
-        .sort({ updatedAt: -1 })
+      const { filter, sort, projection, error } = buildDesignSearch(
+        workspaceFilter(req),
+        req.query
+      );
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid search",
+          message: error,
+          code: "INVALID_SEARCH",
+        });
+      }
+
+      const designs = await Design.find(filter, projection)
+        .sort(sort)
         .skip(skip)
         .limit(limit)
-        .select("_id name width height category isPremium tags thumbnail createdAt updatedAt canvasData"); // Include canvasData for previews
+        .select(DESIGN_LIST_FIELDS); // Include canvasData for previews
 
-      const total = await Design.countDocuments({ userId });
+      const total = await Design.countDocuments(filter);
 
       res.status(200).json({
         success: true,
@@ -46,13 +133,50 @@ const designController = {
     }
   },
 
-  // Get specific design by ID
+  // Categories and tags used by the workspace's designs, for search filters
+  async getDesignFilters(req, res, next) {
+    try {
+      const match = { ...workspaceFilter(req), deletedAt: null };
+
+      const [categories, tags] = await Promise.all([
+        Design.aggregate([
+          { $match: match },
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ]),
+        Design.aggregate([
+          { $match: match },
+          { $unwind: "$tags" },
+          { $group: { _id: "$tags", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 50 },
+        ]),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          categories: categories
+            .filter(({ _id }) => _id)
+            .map(({ _id, count }) => ({ name: _id, count })),
+          tags: tags.map(({ _id, count }) => ({ name: _id, count })),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching design filters:", error);
+      next(error);
+    }
+  },
+
+  // Get specific design by ID (owner or anyone it is shared with)
   async getUserDesignById(req, res, next) {
     try {
-      const userId = req.user.userId;
       const designId = req.params.id;
 
-      const design = await Design.findOne({ _id: designId, userId });
+      const design = await Design.findOne({
+        _id: designId,
+        ...accessibleDesignsFilter(req.user),
+      });
 
       if (!design) {
         return res.status(404).json({
@@ -101,9 +225,13 @@ const designController = {
         await design.save();
       }
 
+      ensurePages(design);
+
+      await claimInvitation(design, req.user);
+
       res.status(200).json({
         success: true,
-        data: design,
+        data: serializeDesign(design, getDesignRole(design, req.user)),
       });
     } catch (error) {
       console.error("Error fetching design by ID:", error);
@@ -114,9 +242,9 @@ const designController = {
   // Create or update design
   async saveDesign(req, res, next) {
     try {
-      const userId = req.user.userId;
       const {
         designId,
+        pageId,
         name,
         canvasData,
         width,
@@ -147,8 +275,11 @@ const designController = {
       }
 
       if (designId) {
-        // Update existing design
-        const design = await Design.findOne({ _id: designId, userId });
+        // Update existing design (owner or editors)
+        const design = await Design.findOne({
+          _id: designId,
+          ...accessibleDesignsFilter(req.user),
+        });
         if (!design) {
           return res.status(404).json({
             success: false,
@@ -159,6 +290,25 @@ const designController = {
           });
         }
 
+        const role = getDesignRole(design, req.user);
+        if (!hasRole(role, "editor")) {
+          return permissionDenied(res, "edit this design");
+        }
+
+        // Canvas data is written to the requested page when one is given
+        const page = pageId ? design.pages.id(pageId) : null;
+        if (pageId && !page) {
+          return res.status(404).json({
+            success: false,
+            error: "Page not found",
+            message: "The requested page does not exist in this design.",
+            code: "PAGE_NOT_FOUND",
+          });
+        }
+
+        // Keep a periodic snapshot of the state this save overwrites
+        await createAutoSnapshotIfDue(design);
+
         // Update fields
         if (name) design.name = name.trim();
         if (canvasData) {
@@ -176,7 +326,12 @@ const designController = {
               parsedCanvasData.version = "5.3.0";
             }
             
-            design.canvasData = JSON.stringify(parsedCanvasData);
+            if (page) {
+              page.canvasData = JSON.stringify(parsedCanvasData);
+              page.background = parsedCanvasData.background;
+            } else {
+              design.canvasData = JSON.stringify(parsedCanvasData);
+            }
           } catch (parseError) {
             console.error("Invalid canvasData provided:", parseError);
             return res.status(400).json({
@@ -192,14 +347,24 @@ const designController = {
         if (category) design.category = category;
         if (isPremium !== undefined) design.isPremium = isPremium;
         if (tags) design.tags = tags;
-        if (thumbnail) design.thumbnail = thumbnail;
+        if (acceptClientThumbnail(thumbnail)) {
+          if (page) {
+            page.thumbnail = thumbnail;
+          } else {
+            design.thumbnail = thumbnail;
+          }
+        }
 
         design.updatedAt = Date.now();
         const updatedDesign = await design.save();
 
+        if (canvasData) {
+          scheduleThumbnailRender(updatedDesign._id, page ? page._id : null);
+        }
+
         return res.status(200).json({
           success: true,
-          data: updatedDesign,
+          data: serializeDesign(updatedDesign, role),
           message: "Design updated successfully",
         });
       } else {
@@ -241,7 +406,7 @@ const designController = {
         }
 
         const newDesign = new Design({
-          userId,
+          ...workspaceFields(req),
           name: name.trim(),
           width,
           height,
@@ -249,13 +414,14 @@ const designController = {
           category: category || "General",
           isPremium: isPremium || false,
           tags: tags || [],
-          thumbnail,
+          thumbnail: acceptClientThumbnail(thumbnail) ? thumbnail : undefined,
         });
 
         const savedDesign = await newDesign.save();
+        scheduleThumbnailRender(savedDesign._id, null, 0);
         return res.status(201).json({
           success: true,
-          data: savedDesign,
+          data: serializeDesign(savedDesign),
           message: "Design created successfully",
         });
       }
@@ -265,14 +431,16 @@ const designController = {
     }
   },
 
-  // Update specific design
+  // Update specific design (owner or editors)
   async updateDesign(req, res, next) {
     try {
-      const userId = req.user.userId;
       const designId = req.params.id;
       const updates = req.body;
 
-      const design = await Design.findOne({ _id: designId, userId });
+      const design = await Design.findOne({
+        _id: designId,
+        ...accessibleDesignsFilter(req.user),
+      });
       if (!design) {
         return res.status(404).json({
           success: false,
@@ -282,9 +450,27 @@ const designController = {
         });
       }
 
-      // Apply updates
+      const role = getDesignRole(design, req.user);
+      if (!hasRole(role, "editor")) {
+        return permissionDenied(res, "edit this design");
+      }
+
+      // Apply updates (pages are managed through the page routes, sharing
+      // through the sharing routes, folders, stars and the trash through
+      // their own routes)
       Object.keys(updates).forEach((key) => {
-        if (updates[key] !== undefined && key !== "_id" && key !== "userId") {
+        if (
+          updates[key] !== undefined &&
+          key !== "_id" &&
+          key !== "userId" &&
+          key !== "teamId" &&
+          key !== "pages" &&
+          key !== "collaborators" &&
+          key !== "shareLink" &&
+          key !== "folderId" &&
+          key !== "isStarred" &&
+          key !== "deletedAt"
+        ) {
           design[key] = updates[key];
         }
       });
@@ -294,7 +480,7 @@ const designController = {
 
       res.status(200).json({
         success: true,
-        data: updatedDesign,
+        data: serializeDesign(updatedDesign, role),
         message: "Design updated successfully",
       });
     } catch (error) {
@@ -303,31 +489,208 @@ const designController = {
     }
   },
 
-  // Delete design
+  // Move a design to the trash, it is purged after the retention period
   async deleteDesign(req, res, next) {
     try {
-      const userId = req.user.userId;
       const designId = req.params.id;
 
-      const design = await Design.findOne({ _id: designId, userId });
-      if (!design) {
+      const deletedAt = new Date();
+      const result = await Design.updateOne(
+        { _id: designId, ...workspaceFilter(req), deletedAt: null },
+        { $set: { deletedAt } }
+      );
+      if (result.matchedCount === 0) return designNotFound(res, "delete");
+
+      // Disconnect everyone still editing it in real time
+      notifyAccessChanged(designId);
+
+      res.status(200).json({
+        success: true,
+        data: { _id: designId, deletedAt, purgeAt: getPurgeDate(deletedAt) },
+        message: "Design moved to trash",
+      });
+    } catch (error) {
+      console.error("Error deleting design:", error);
+      next(error);
+    }
+  },
+
+  // List the designs in the workspace's trash, most recently deleted first
+  async getTrash(req, res, next) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const skip = (page - 1) * limit;
+      const filter = { ...workspaceFilter(req), deletedAt: { $ne: null } };
+
+      const designs = await Design.find(filter)
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select(`${DESIGN_LIST_FIELDS} deletedAt`)
+        .lean();
+
+      const total = await Design.countDocuments(filter);
+
+      res.status(200).json({
+        success: true,
+        data: designs.map((design) => ({
+          ...design,
+          purgeAt: getPurgeDate(design.deletedAt),
+        })),
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: designs.length,
+          totalItems: total,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching trash:", error);
+      next(error);
+    }
+  },
+
+  // Take a design out of the trash. It goes back to its folder, or to the
+  // top level when the folder was deleted in the meantime.
+  async restoreDesign(req, res, next) {
+    try {
+      const scope = workspaceFilter(req);
+      const design = await Design.findOne({
+        _id: req.params.id,
+        ...scope,
+        deletedAt: { $ne: null },
+      });
+      if (!design) return designNotFound(res, "restore");
+
+      const folderExists =
+        design.folderId &&
+        (await Folder.exists({ _id: design.folderId, ...scope }));
+
+      await Design.updateOne(
+        { _id: design._id },
+        {
+          $set: {
+            deletedAt: null,
+            folderId: folderExists ? design.folderId : null,
+          },
+        }
+      );
+
+      res.status(200).json({
+        success: true,
+        data: serializeDesign(await Design.findById(design._id)),
+        message: "Design restored",
+      });
+    } catch (error) {
+      console.error("Error restoring design:", error);
+      next(error);
+    }
+  },
+
+  // Delete a design for good, without waiting for the trash to be purged
+  async deleteDesignPermanently(req, res, next) {
+    try {
+      const design = await Design.findOne({
+        _id: req.params.id,
+        ...workspaceFilter(req),
+      }).select("_id");
+      if (!design) return designNotFound(res, "delete");
+
+      await purgeDesigns([design._id]);
+
+      res.status(200).json({
+        success: true,
+        message: "Design deleted permanently",
+      });
+    } catch (error) {
+      console.error("Error deleting design permanently:", error);
+      next(error);
+    }
+  },
+
+  // Permanently delete everything in the workspace's trash
+  async emptyTrash(req, res, next) {
+    try {
+      const designs = await Design.find({
+        ...workspaceFilter(req),
+        deletedAt: { $ne: null },
+      }).select("_id");
+
+      await purgeDesigns(designs.map((design) => design._id));
+
+      res.status(200).json({
+        success: true,
+        data: { deletedCount: designs.length },
+        message: "Trash emptied",
+      });
+    } catch (error) {
+      console.error("Error emptying trash:", error);
+      next(error);
+    }
+  },
+
+  // Star or unstar a design ({ starred: boolean })
+  async setDesignStarred(req, res, next) {
+    try {
+      if (typeof req.body.starred !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid input",
+          message: "starred must be true or false",
+          code: "INVALID_STARRED",
+        });
+      }
+
+      const result = await Design.updateOne(
+        { _id: req.params.id, ...workspaceFilter(req), deletedAt: null },
+        { $set: { isStarred: req.body.starred } }
+      );
+      if (result.matchedCount === 0) return designNotFound(res, "edit");
+
+      res.status(200).json({
+        success: true,
+        data: { _id: req.params.id, isStarred: req.body.starred },
+        message: req.body.starred ? "Design starred" : "Design unstarred",
+      });
+    } catch (error) {
+      console.error("Error starring design:", error);
+      next(error);
+    }
+  },
+
+  // Move a design into a folder ({ folderId }, null for the top level)
+  async moveDesign(req, res, next) {
+    try {
+      const scope = workspaceFilter(req);
+      const folderId = req.body.folderId || null;
+
+      if (
+        folderId &&
+        (!mongoose.isValidObjectId(folderId) ||
+          !(await Folder.exists({ _id: folderId, ...scope })))
+      ) {
         return res.status(404).json({
           success: false,
-          error: "Design not found",
-          message:
-            "Design not found or you don't have permission to delete it.",
-          code: "DESIGN_NOT_FOUND",
+          error: "Folder not found",
+          message: "Folder not found or you don't have permission to use it.",
+          code: "FOLDER_NOT_FOUND",
         });
       }
 
-      await Design.deleteOne({ _id: designId });
+      const result = await Design.updateOne(
+        { _id: req.params.id, ...scope, deletedAt: null },
+        { $set: { folderId } }
+      );
+      if (result.matchedCount === 0) return designNotFound(res, "move");
 
       res.status(200).json({
         success: true,
-        message: "Design deleted successfully",
+        data: { _id: req.params.id, folderId },
+        message: folderId ? "Design moved to folder" : "Design moved",
       });
     } catch (error) {
-      console.error("Error deleting design:", error);
+      console.error("Error moving design:", error);
       next(error);
     }
   },
@@ -335,10 +698,13 @@ const designController = {
   // Duplicate design
   async duplicateDesign(req, res, next) {
     try {
-      const userId = req.user.userId;
       const designId = req.params.id;
 
-      const originalDesign = await Design.findOne({ _id: designId, userId });
+      const originalDesign = await Design.findOne({
+        _id: designId,
+        ...workspaceFilter(req),
+        deletedAt: null,
+      });
       if (!originalDesign) {
         return res.status(404).json({
           success: false,
@@ -350,7 +716,7 @@ const designController = {
       }
 
       const duplicateDesign = new Design({
-        userId,
+        ...workspaceFields(req),
         name: `${originalDesign.name} (Copy)`,
         canvasData: originalDesign.canvasData, // Already stored as string
         width: originalDesign.width,
@@ -359,13 +725,24 @@ const designController = {
         isPremium: originalDesign.isPremium,
         tags: [...(originalDesign.tags || [])],
         thumbnail: originalDesign.thumbnail,
+        folderId: originalDesign.folderId,
+        pages: (originalDesign.pages || []).map((page) => ({
+          name: page.name,
+          canvasData: page.canvasData,
+          background: page.background,
+          thumbnail: page.thumbnail,
+        })),
       });
 
       const savedDuplicate = await duplicateDesign.save();
+      // Give the copy its own thumbnails instead of sharing the original's
+      savedDuplicate.pages.forEach((page) =>
+        scheduleThumbnailRender(savedDuplicate._id, page._id, 0)
+      );
 
       res.status(201).json({
         success: true,
-        data: savedDuplicate,
+        data: serializeDesign(savedDuplicate),
         message: "Design duplicated successfully",
       });
     } catch (error) {
@@ -377,19 +754,19 @@ const designController = {
   // Get designs by category
   async getDesignsByCategory(req, res, next) {
     try {
-      const userId = req.user.userId;
       const category = req.params.category;
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 20;
       const skip = (page - 1) * limit;
 
-      const designs = await Design.find({ userId, category })
+      const filter = { ...workspaceFilter(req), category, deletedAt: null };
+      const designs = await Design.find(filter)
         .sort({ updatedAt: -1 })
         .skip(skip)
         .limit(limit)
-        .select("_id name width height category isPremium tags thumbnail createdAt updatedAt canvasData"); // Include canvasData for previews
+        .select(DESIGN_LIST_FIELDS); // Include canvasData for previews
 
-      const total = await Design.countDocuments({ userId, category });
+      const total = await Design.countDocuments(filter);
 
       res.status(200).json({
         success: true,
@@ -410,8 +787,11 @@ const designController = {
   // Create design from template
   async createFromTemplate(req, res, next) {
     try {
-      const userId = req.user.userId;
-      const { templateData, name } = req.body;
+      const { templateId, templateData, name } = req.body;
+
+      if (templateId) {
+        return createFromPublishedTemplate(req, res, templateId, name);
+      }
 
       if (!templateData) {
         return res.status(400).json({
@@ -452,7 +832,7 @@ const designController = {
 
       // Create new design from template
       const newDesign = new Design({
-        userId,
+        ...workspaceFields(req),
         name: designName,
         width,
         height,
@@ -460,14 +840,15 @@ const designController = {
         category,
         isPremium,
         tags: [],
-        thumbnail: null, // Will be generated client-side if needed
+        thumbnail: null, // Rendered server-side right after creation
       });
 
       const savedDesign = await newDesign.save();
+      scheduleThumbnailRender(savedDesign._id, null, 0);
 
       return res.status(201).json({
         success: true,
-        data: savedDesign,
+        data: serializeDesign(savedDesign),
         message: "Design created from template successfully",
       });
     } catch (error) {
@@ -476,14 +857,18 @@ const designController = {
     }
   },
 
-  // Generate thumbnail for a design
+  // Generate thumbnail for a design - rendered on the server when possible,
+  // otherwise the client-provided image is stored
   async generateThumbnail(req, res, next) {
     try {
-      const userId = req.user.userId;
       const designId = req.params.id;
-      const { thumbnailData } = req.body;
+      const { thumbnailData, pageId } = req.body;
 
-      const design = await Design.findOne({ _id: designId, userId });
+      const design = await Design.findOne({
+        _id: designId,
+        ...workspaceFilter(req),
+        deletedAt: null,
+      });
       if (!design) {
         return res.status(404).json({
           success: false,
@@ -493,16 +878,39 @@ const designController = {
         });
       }
 
-      // Update thumbnail if provided
-      if (thumbnailData) {
-        design.thumbnail = thumbnailData;
+      const role = getDesignRole(design, req.user);
+      if (!hasRole(role, "editor")) {
+        return permissionDenied(res, "edit this design");
+      }
+
+      ensurePages(design);
+      if (pageId && !design.pages.id(pageId)) {
+        return res.status(404).json({
+          success: false,
+          error: "Page not found",
+          message: "The requested page does not exist in this design.",
+          code: "PAGE_NOT_FOUND",
+        });
+      }
+
+      if (isRendererAvailable()) {
+        await renderPageThumbnail(design._id, pageId);
+      } else if (thumbnailData) {
+        const page = pageId ? design.pages.id(pageId) : null;
+        if (page) {
+          page.thumbnail = thumbnailData;
+        } else {
+          design.thumbnail = thumbnailData;
+        }
         design.updatedAt = Date.now();
         await design.save();
       }
 
+      const updatedDesign = await Design.findById(design._id);
+
       res.status(200).json({
         success: true,
-        data: design,
+        data: serializeDesign(updatedDesign),
         message: "Thumbnail updated successfully",
       });
     } catch (error) {
@@ -0,0 +1,157 @@
+const Design = require("../models/design");
+const ExportJob = require("../models/export-job");
+const { isRendererAvailable } = require("../utils/canvas-renderer");
+const { accessibleDesignsFilter } = require("../utils/design-access");
+const { getPremiumAccess } = require("../utils/entitlements");
+const {
+  EXPORT_FORMATS,
+  normalizeExportOptions,
+  enqueueExportJob,
+} = require("../utils/design-export");
+
+const toJobResponse = (job) => ({
+  _id: job._id,
+  designId: job.designId,
+  format: job.format,
+  status: job.status,
+  progress: job.progress,
+  options: job.options,
+  result: job.status === "completed" ? job.result : undefined,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+});
+
+const designExportController = {
+  // Queue a server-side export of a design
+  async createExport(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const designId = req.params.id;
+      const format = (req.body.format || "png").toLowerCase();
+
+      if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid format",
+          message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(
+            ", "
+          )}`,
+          code: "INVALID_FORMAT",
+        });
+      }
+
+      if (!isRendererAvailable()) {
+        return res.status(503).json({
+          success: false,
+          error: "Export unavailable",
+          message: "Server-side rendering is not available on this server",
+          code: "EXPORT_UNAVAILABLE",
+        });
+      }
+
+      // Anyone the design is shared with can export it
+      const design = await Design.findOne({
+        _id: designId,
+        ...accessibleDesignsFilter(req.user),
+      });
+      if (!design) {
+        return res.status(404).json({
+          success: false,
+          error: "Design not found",
+          message:
+            "Design not found or you don't have permission to export it.",
+          code: "DESIGN_NOT_FOUND",
+        });
+      }
+
+      if (EXPORT_FORMATS[format].isPremium) {
+        const access = await getPremiumAccess(userId);
+        if (!access.isPremium) {
+          return res.status(403).json({
+            success: false,
+            error: "Premium required",
+            message: `${format.toUpperCase()} export requires a premium subscription`,
+            code: "PREMIUM_REQUIRED",
+          });
+        }
+      }
+
+      const { options, error } = normalizeExportOptions(
+        format,
+        req.body,
+        design
+      );
+      if (error) {
+        return res.status(400).json({ success: false, ...error });
+      }
+
+      const job = await ExportJob.create({
+        userId,
+        userEmail: req.user.email,
+        designId: design._id,
+        format,
+        options,
+      });
+      enqueueExportJob(job._id);
+
+      res.status(202).json({
+        success: true,
+        data: toJobResponse(job),
+        message: "Export queued",
+      });
+    } catch (error) {
+      console.error("Error creating export job:", error);
+      next(error);
+    }
+  },
+
+  // Get the status (and download URL once finished) of an export job
+  async getExport(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const { id: designId, jobId } = req.params;
+
+      const job = await ExportJob.findOne({ _id: jobId, designId, userId });
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: "Export not found",
+          message: "The requested export job does not exist.",
+          code: "EXPORT_NOT_FOUND",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: toJobResponse(job),
+      });
+    } catch (error) {
+      console.error("Error fetching export job:", error);
+      next(error);
+    }
+  },
+
+  // List recent export jobs of a design
+  async getExports(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const designId = req.params.id;
+
+      const jobs = await ExportJob.find({ designId, userId })
+        .sort({ createdAt: -1 })
+        .limit(20);
+
+      res.status(200).json({
+        success: true,
+        data: jobs.map(toJobResponse),
+      });
+    } catch (error) {
+      console.error("Error fetching export jobs:", error);
+      next(error);
+    }
+  },
+};
+
+module.exports = designExportController;
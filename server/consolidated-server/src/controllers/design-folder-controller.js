@@ -0,0 +1,204 @@
+const mongoose = require("mongoose");
+const Design = require("../models/design");
+const Folder = require("../models/folder");
+const {
+  MAX_FOLDERS_PER_USER,
+  cleanFolderName,
+  getFolderSubtreeIds,
+  validateFolderParent,
+} = require("../utils/design-folders");
+const { workspaceFilter, workspaceFields } = require("../utils/workspaces");
+const { notifyAccessChanged } = require("../realtime/collaboration-server");
+
+const invalidInput = (res, message, code) =>
+  res.status(400).json({
+    success: false,
+    error: "Invalid input",
+    message,
+    code,
+  });
+
+const folderNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Folder not found",
+    message: "Folder not found or you don't have permission to edit it",
+    code: "FOLDER_NOT_FOUND",
+  });
+
+// parentId from the request body: undefined when not given, null for the
+// top level, or false when it isn't a valid id
+const readParentId = (parentId) => {
+  if (parentId === undefined) return undefined;
+  if (parentId === null || parentId === "") return null;
+  return mongoose.isValidObjectId(parentId) ? parentId.toString() : false;
+};
+
+const findWorkspaceFolders = (scope) =>
+  Folder.find(scope).select("_id name parentId").lean();
+
+const designFolderController = {
+  // List the workspace's folders (flat, with parentId) and how many
+  // designs each one holds directly
+  async getFolders(req, res, next) {
+    try {
+      const scope = workspaceFilter(req);
+
+      const [folders, counts] = await Promise.all([
+        Folder.find(scope).sort({ name: 1 }).lean(),
+        Design.aggregate([
+          { $match: { ...scope, deletedAt: null, folderId: { $ne: null } } },
+          { $group: { _id: "$folderId", count: { $sum: 1 } } },
+        ]),
+      ]);
+
+      const countByFolder = new Map(
+        counts.map(({ _id, count }) => [_id.toString(), count])
+      );
+
+      res.status(200).json({
+        success: true,
+        data: folders.map((folder) => ({
+          ...folder,
+          designCount: countByFolder.get(folder._id.toString()) || 0,
+        })),
+      });
+    } catch (error) {
+      console.error("Error fetching folders:", error);
+      next(error);
+    }
+  },
+
+  // Create a folder, at the top level or inside another one
+  async createFolder(req, res, next) {
+    try {
+      const name = cleanFolderName(req.body.name);
+      if (!name) {
+        return invalidInput(res, "Folder name is required", "INVALID_NAME");
+      }
+
+      const parentId = readParentId(req.body.parentId);
+      if (parentId === false) {
+        return invalidInput(res, "Invalid parent folder", "INVALID_PARENT");
+      }
+
+      const folders = await findWorkspaceFolders(workspaceFilter(req));
+      if (folders.length >= MAX_FOLDERS_PER_USER) {
+        return invalidInput(
+          res,
+          `You can have at most ${MAX_FOLDERS_PER_USER} folders`,
+          "FOLDER_LIMIT_REACHED"
+        );
+      }
+
+      const parentError = validateFolderParent(folders, null, parentId);
+      if (parentError) {
+        return invalidInput(res, parentError, "INVALID_PARENT");
+      }
+
+      const folder = await Folder.create({
+        ...workspaceFields(req),
+        name,
+        parentId: parentId || null,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: { ...folder.toObject(), designCount: 0 },
+        message: "Folder created",
+      });
+    } catch (error) {
+      console.error("Error creating folder:", error);
+      next(error);
+    }
+  },
+
+  // Rename a folder and/or move it to another parent
+  async updateFolder(req, res, next) {
+    try {
+      const scope = workspaceFilter(req);
+      const folder = mongoose.isValidObjectId(req.params.folderId)
+        ? await Folder.findOne({ _id: req.params.folderId, ...scope })
+        : null;
+      if (!folder) return folderNotFound(res);
+
+      if (req.body.name !== undefined) {
+        const name = cleanFolderName(req.body.name);
+        if (!name) {
+          return invalidInput(res, "Folder name is required", "INVALID_NAME");
+        }
+        folder.name = name;
+      }
+
+      const parentId = readParentId(req.body.parentId);
+      if (parentId === false) {
+        return invalidInput(res, "Invalid parent folder", "INVALID_PARENT");
+      }
+      if (parentId !== undefined) {
+        const folders = await findWorkspaceFolders(scope);
+        const parentError = validateFolderParent(
+          folders,
+          folder._id,
+          parentId
+        );
+        if (parentError) {
+          return invalidInput(res, parentError, "INVALID_PARENT");
+        }
+        folder.parentId = parentId;
+      }
+
+      await folder.save();
+
+      res.status(200).json({
+        success: true,
+        data: folder,
+        message: "Folder updated",
+      });
+    } catch (error) {
+      console.error("Error updating folder:", error);
+      next(error);
+    }
+  },
+
+  // Delete a folder with its subfolders. Their designs go to the trash.
+  async deleteFolder(req, res, next) {
+    try {
+      const scope = workspaceFilter(req);
+      const folder = mongoose.isValidObjectId(req.params.folderId)
+        ? await Folder.findOne({ _id: req.params.folderId, ...scope })
+        : null;
+      if (!folder) return folderNotFound(res);
+
+      const folderIds = getFolderSubtreeIds(
+        await findWorkspaceFolders(scope),
+        folder._id
+      );
+
+      const designIds = await Design.distinct("_id", {
+        ...scope,
+        folderId: { $in: folderIds },
+        deletedAt: null,
+      });
+      const result = await Design.updateMany(
+        { _id: { $in: designIds }, deletedAt: null },
+        { $set: { deletedAt: new Date() } }
+      );
+      await Folder.deleteMany({ _id: { $in: folderIds }, ...scope });
+      designIds.forEach((designId) => notifyAccessChanged(designId));
+
+      res.status(200).json({
+        success: true,
+        data: {
+          deletedFolderIds: folderIds,
+          trashedDesignCount: result.modifiedCount,
+        },
+        message: "Folder deleted",
+      });
+    } catch (error) {
+      console.error("Error deleting folder:", error);
+      next(error);
+    }
+  },
+};
+
+module.exports = designFolderController;
@@ -0,0 +1,340 @@
+const DesignComment = require("../models/design-comment");
+const {
+  createEmptyCanvasData,
+  normalizeCanvasData,
+  parseCanvasData,
+} = require("../utils/canvas-data");
+const {
+  MAX_PAGES_PER_DESIGN,
+  summarizePages,
+} = require("../utils/design-pages");
+const {
+  acceptClientThumbnail,
+  scheduleThumbnailRender,
+} = require("../utils/design-thumbnails");
+const {
+  findDesignForAction,
+  designNotFound,
+  permissionDenied,
+} = require("../utils/design-access");
+
+const pageNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Page not found",
+    message: "The requested page does not exist in this design.",
+    code: "PAGE_NOT_FOUND",
+  });
+
+const invalidCanvasData = (res) =>
+  res.status(400).json({
+    success: false,
+    error: "Invalid canvas data",
+    message: "Canvas data is not valid JSON",
+    code: "INVALID_CANVAS_DATA",
+  });
+
+const pageLimitReached = (res) =>
+  res.status(400).json({
+    success: false,
+    error: "Page limit reached",
+    message: `A design can have at most ${MAX_PAGES_PER_DESIGN} pages`,
+    code: "PAGE_LIMIT_REACHED",
+  });
+
+// Full page payload including its Fabric JSON
+const toPageDetail = (page, index) => {
+  let canvasData = page.canvasData;
+  try {
+    canvasData = canvasData
+      ? normalizeCanvasData(canvasData)
+      : JSON.stringify(createEmptyCanvasData(page.background));
+  } catch (parseError) {
+    console.error(`Invalid canvasData for page ${page._id}:`, parseError);
+    canvasData = JSON.stringify(createEmptyCanvasData(page.background));
+  }
+
+  return {
+    _id: page._id,
+    name: page.name || `Page ${index + 1}`,
+    index,
+    background: page.background,
+    thumbnail: page.thumbnail,
+    canvasData,
+    createdAt: page.createdAt,
+    updatedAt: page.updatedAt,
+  };
+};
+
+// Index to insert a new page at: right after `afterPageId`, or at the end
+const getInsertIndex = (design, afterPageId) => {
+  if (!afterPageId) return design.pages.length;
+  const index = design.pages.findIndex(
+    (page) => page._id.toString() === afterPageId.toString()
+  );
+  return index === -1 ? design.pages.length : index + 1;
+};
+
+const designPageController = {
+  // List the pages of a design (without canvas data)
+  async getPages(req, res, next) {
+    try {
+      const { design, allowed } = await findDesignForAction(req, "view");
+      if (!design) return designNotFound(res, "view");
+      if (!allowed) return permissionDenied(res, "view this design");
+
+      res.status(200).json({
+        success: true,
+        data: summarizePages(design.pages),
+      });
+    } catch (error) {
+      console.error("Error fetching design pages:", error);
+      next(error);
+    }
+  },
+
+  // Get a single page with its canvas data
+  async getPage(req, res, next) {
+    try {
+      const { pageId } = req.params;
+
+      const { design, allowed } = await findDesignForAction(req, "view");
+      if (!design) return designNotFound(res, "view");
+      if (!allowed) return permissionDenied(res, "view this design");
+
+      const index = design.pages.findIndex(
+        (page) => page._id.toString() === pageId
+      );
+      if (index === -1) return pageNotFound(res);
+
+      res.status(200).json({
+        success: true,
+        data: toPageDetail(design.pages[index], index),
+      });
+    } catch (error) {
+      console.error("Error fetching design page:", error);
+      next(error);
+    }
+  },
+
+  // Add a new page, optionally right after an existing one
+  async addPage(req, res, next) {
+    try {
+      const { name, canvasData, background, afterPageId } = req.body;
+
+      const { design, allowed } = await findDesignForAction(req, "edit");
+      if (!design) return designNotFound(res, "edit");
+      if (!allowed) return permissionDenied(res, "edit this design");
+
+      if (design.pages.length >= MAX_PAGES_PER_DESIGN) {
+        return pageLimitReached(res);
+      }
+
+      let processedCanvasData;
+      try {
+        processedCanvasData = canvasData
+          ? normalizeCanvasData(canvasData)
+          : JSON.stringify(createEmptyCanvasData(background));
+      } catch (parseError) {
+        console.error("Invalid canvasData provided for new page:", parseError);
+        return invalidCanvasData(res);
+      }
+
+      const insertIndex = getInsertIndex(design, afterPageId);
+      design.pages.splice(insertIndex, 0, {
+        name: name ? name.trim() : `Page ${design.pages.length + 1}`,
+        canvasData: processedCanvasData,
+        background: background || JSON.parse(processedCanvasData).background,
+      });
+
+      design.updatedAt = Date.now();
+      await design.save();
+      scheduleThumbnailRender(design._id, design.pages[insertIndex]._id, 0);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          page: toPageDetail(design.pages[insertIndex], insertIndex),
+          pages: summarizePages(design.pages),
+        },
+        message: "Page added successfully",
+      });
+    } catch (error) {
+      console.error("Error adding design page:", error);
+      next(error);
+    }
+  },
+
+  // Update a page's canvas data, background, name or thumbnail
+  async updatePage(req, res, next) {
+    try {
+      const { pageId } = req.params;
+      const { name, canvasData, background, thumbnail } = req.body;
+
+      const { design, allowed } = await findDesignForAction(req, "edit");
+      if (!design) return designNotFound(res, "edit");
+      if (!allowed) return permissionDenied(res, "edit this design");
+
+      const page = design.pages.id(pageId);
+      if (!page) return pageNotFound(res);
+
+      if (canvasData) {
+        try {
+          const parsedCanvasData = parseCanvasData(canvasData);
+          if (background) parsedCanvasData.background = background;
+          page.canvasData = JSON.stringify(parsedCanvasData);
+          page.background = parsedCanvasData.background;
+        } catch (parseError) {
+          console.error("Invalid canvasData provided for page:", parseError);
+          return invalidCanvasData(res);
+        }
+      } else if (background) {
+        page.background = background;
+      }
+      if (name !== undefined) page.name = name.trim();
+      if (acceptClientThumbnail(thumbnail)) page.thumbnail = thumbnail;
+
+      design.updatedAt = Date.now();
+      await design.save();
+      if (canvasData) scheduleThumbnailRender(design._id, page._id);
+
+      const index = design.pages.indexOf(page);
+      res.status(200).json({
+        success: true,
+        data: {
+          page: toPageDetail(page, index),
+          pages: summarizePages(design.pages),
+        },
+        message: "Page updated successfully",
+      });
+    } catch (error) {
+      console.error("Error updating design page:", error);
+      next(error);
+    }
+  },
+
+  // Duplicate a page and insert the copy right after it
+  async duplicatePage(req, res, next) {
+    try {
+      const { pageId } = req.params;
+
+      const { design, allowed } = await findDesignForAction(req, "edit");
+      if (!design) return designNotFound(res, "edit");
+      if (!allowed) return permissionDenied(res, "edit this design");
+
+      const page = design.pages.id(pageId);
+      if (!page) return pageNotFound(res);
+
+      if (design.pages.length >= MAX_PAGES_PER_DESIGN) {
+        return pageLimitReached(res);
+      }
+
+      const insertIndex = design.pages.indexOf(page) + 1;
+      design.pages.splice(insertIndex, 0, {
+        name: `${page.name || `Page ${insertIndex}`} (Copy)`,
+        canvasData: page.canvasData,
+        background: page.background,
+        thumbnail: page.thumbnail,
+      });
+
+      design.updatedAt = Date.now();
+      await design.save();
+      scheduleThumbnailRender(design._id, design.pages[insertIndex]._id, 0);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          page: toPageDetail(design.pages[insertIndex], insertIndex),
+          pages: summarizePages(design.pages),
+        },
+        message: "Page duplicated successfully",
+      });
+    } catch (error) {
+      console.error("Error duplicating design page:", error);
+      next(error);
+    }
+  },
+
+  // Reorder pages - expects every page ID exactly once
+  async reorderPages(req, res, next) {
+    try {
+      const { pageIds } = req.body;
+
+      const { design, allowed } = await findDesignForAction(req, "edit");
+      if (!design) return designNotFound(res, "edit");
+      if (!allowed) return permissionDenied(res, "edit this design");
+
+      const currentIds = design.pages.map((page) => page._id.toString());
+      const isValidOrder =
+        Array.isArray(pageIds) &&
+        pageIds.length === currentIds.length &&
+        new Set(pageIds).size === pageIds.length &&
+        pageIds.every((pageId) => currentIds.includes(String(pageId)));
+
+      if (!isValidOrder) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid page order",
+          message: "pageIds must contain every page of the design exactly once",
+          code: "INVALID_PAGE_ORDER",
+        });
+      }
+
+      design.pages = pageIds.map((pageId) =>
+        design.pages.id(pageId).toObject()
+      );
+
+      design.updatedAt = Date.now();
+      await design.save();
+
+      res.status(200).json({
+        success: true,
+        data: summarizePages(design.pages),
+        message: "Pages reordered successfully",
+      });
+    } catch (error) {
+      console.error("Error reordering design pages:", error);
+      next(error);
+    }
+  },
+
+  // Delete a page (a design always keeps at least one page)
+  async deletePage(req, res, next) {
+    try {
+      const { pageId } = req.params;
+
+      const { design, allowed } = await findDesignForAction(req, "edit");
+      if (!design) return designNotFound(res, "edit");
+      if (!allowed) return permissionDenied(res, "edit this design");
+
+      const page = design.pages.id(pageId);
+      if (!page) return pageNotFound(res);
+
+      if (design.pages.length <= 1) {
+        return res.status(400).json({
+          success: false,
+          error: "Cannot delete last page",
+          message: "A design must have at least one page",
+          code: "LAST_PAGE",
+        });
+      }
+
+      design.pages.pull(page._id);
+
+      design.updatedAt = Date.now();
+      await design.save();
+      await DesignComment.deleteMany({ designId: design._id, pageId: page._id });
+
+      res.status(200).json({
+        success: true,
+        data: summarizePages(design.pages),
+        message: "Page deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting design page:", error);
+      next(error);
+    }
+  },
+};
+
+module.exports = designPageController;
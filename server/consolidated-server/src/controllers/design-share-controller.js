@@ -0,0 +1,318 @@
+const crypto = require("crypto");
+const Design = require("../models/design");
+const TeamMembership = require("../models/team-membership");
+const {
+  MAX_COLLABORATORS_PER_DESIGN,
+  COLLABORATOR_ROLES,
+  normalizeEmail,
+  accessibleDesignsFilter,
+  getDesignRole,
+  designNotFound,
+  permissionDenied,
+  isShareLinkActive,
+} = require("../utils/design-access");
+const { isTeamAdmin } = require("../utils/teams");
+const { notifyAccessChanged } = require("../realtime/collaboration-server");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_SHARE_LINK_DAYS = 365;
+
+const invalidRole = (res) =>
+  res.status(400).json({
+    success: false,
+    error: "Invalid role",
+    message: `Role must be one of: ${COLLABORATOR_ROLES.join(", ")}`,
+    code: "INVALID_ROLE",
+  });
+
+const toSharingResponse = (design) => ({
+  collaborators: design.collaborators.map((collaborator) => ({
+    _id: collaborator._id,
+    email: collaborator.email,
+    role: collaborator.role,
+    hasJoined: Boolean(collaborator.userId),
+    createdAt: collaborator.createdAt,
+  })),
+  shareLink: isShareLinkActive(design.shareLink)
+    ? {
+        token: design.shareLink.token,
+        expiresAt: design.shareLink.expiresAt,
+        createdAt: design.shareLink.createdAt,
+      }
+    : null,
+});
+
+// The owner manages who a design is shared with, as do the admins of the
+// team it belongs to. `allowed` tells whether the user is one of them.
+const findDesignToShare = async (req) => {
+  const design = await Design.findOne({
+    _id: req.params.id,
+    ...accessibleDesignsFilter(req.user),
+  });
+  const role = getDesignRole(design, req.user);
+  if (role === "owner") return { design, allowed: true };
+
+  // Team members edit the team's designs, the team role tells admins apart
+  const membership =
+    design && design.teamId && role === "editor"
+      ? await TeamMembership.findOne({
+          teamId: design.teamId,
+          userId: req.user.userId,
+          status: "active",
+        }).select("role")
+      : null;
+  return {
+    design,
+    allowed: Boolean(membership) && isTeamAdmin(membership.role),
+  };
+};
+
+const designShareController = {
+  // Get collaborators and the public link of a design
+  async getSharing(req, res, next) {
+    try {
+      const { design, allowed } = await findDesignToShare(req);
+      if (!design) return designNotFound(res, "share");
+      if (!allowed) return permissionDenied(res, "share this design");
+
+      res.status(200).json({
+        success: true,
+        data: toSharingResponse(design),
+      });
+    } catch (error) {
+      console.error("Error fetching sharing settings:", error);
+      next(error);
+    }
+  },
+
+  // Invite someone by email, or change their role if already invited
+  async addCollaborator(req, res, next) {
+    try {
+      const email = normalizeEmail(req.body.email);
+      const role = req.body.role || "viewer";
+
+      if (!EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid email",
+          message: "A valid email address is required",
+          code: "INVALID_EMAIL",
+        });
+      }
+      if (!COLLABORATOR_ROLES.includes(role)) return invalidRole(res);
+
+      if (email === normalizeEmail(req.user.email)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid collaborator",
+          message: "You already own this design",
+          code: "INVALID_COLLABORATOR",
+        });
+      }
+
+      const { design, allowed } = await findDesignToShare(req);
+      if (!design) return designNotFound(res, "share");
+      if (!allowed) return permissionDenied(res, "share this design");
+
+      const existing = design.collaborators.find(
+        (collaborator) => collaborator.email === email
+      );
+      if (existing) {
+        existing.role = role;
+      } else {
+        if (design.collaborators.length >= MAX_COLLABORATORS_PER_DESIGN) {
+          return res.status(400).json({
+            success: false,
+            error: "Collaborator limit reached",
+            message: `A design can be shared with at most ${MAX_COLLABORATORS_PER_DESIGN} people`,
+            code: "COLLABORATOR_LIMIT_REACHED",
+          });
+        }
+        design.collaborators.push({
+          email,
+          role,
+          invitedBy: req.user.userId,
+        });
+      }
+
+      await design.save();
+
+      res.status(existing ? 200 : 201).json({
+        success: true,
+        data: toSharingResponse(design),
+        message: existing ? "Collaborator updated" : "Collaborator invited",
+      });
+    } catch (error) {
+      console.error("Error adding collaborator:", error);
+      next(error);
+    }
+  },
+
+  // Change a collaborator's role
+  async updateCollaborator(req, res, next) {
+    try {
+      const { role } = req.body;
+      if (!COLLABORATOR_ROLES.includes(role)) return invalidRole(res);
+
+      const { design, allowed } = await findDesignToShare(req);
+      if (!design) return designNotFound(res, "share");
+      if (!allowed) return permissionDenied(res, "share this design");
+
+      const collaborator = design.collaborators.id(req.params.collaboratorId);
+      if (!collaborator) {
+        return res.status(404).json({
+          success: false,
+          error: "Collaborator not found",
+          message: "This person doesn't have access to the design.",
+          code: "COLLABORATOR_NOT_FOUND",
+        });
+      }
+
+      collaborator.role = role;
+      await design.save();
+      // Editors connected in real time get the new role straight away
+      notifyAccessChanged(design._id);
+
+      res.status(200).json({
+        success: true,
+        data: toSharingResponse(design),
+        message: "Collaborator updated",
+      });
+    } catch (error) {
+      console.error("Error updating collaborator:", error);
+      next(error);
+    }
+  },
+
+  // Revoke a collaborator's access
+  async removeCollaborator(req, res, next) {
+    try {
+      const { design, allowed } = await findDesignToShare(req);
+      if (!design) return designNotFound(res, "share");
+      if (!allowed) return permissionDenied(res, "share this design");
+
+      const collaborator = design.collaborators.id(req.params.collaboratorId);
+      if (collaborator) {
+        collaborator.deleteOne();
+        await design.save();
+        notifyAccessChanged(design._id);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: toSharingResponse(design),
+        message: "Collaborator removed",
+      });
+    } catch (error) {
+      console.error("Error removing collaborator:", error);
+      next(error);
+    }
+  },
+
+  // Create (or replace) the public read-only link
+  async createShareLink(req, res, next) {
+    try {
+      const { expiresInDays } = req.body;
+      let expiresAt = null;
+
+      if (expiresInDays !== undefined && expiresInDays !== null) {
+        const days = Number(expiresInDays);
+        if (!Number.isFinite(days) || days <= 0 || days > MAX_SHARE_LINK_DAYS) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid expiry",
+            message: `Links can expire after 1 to ${MAX_SHARE_LINK_DAYS} days`,
+            code: "INVALID_EXPIRY",
+          });
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+      }
+
+      const { design, allowed } = await findDesignToShare(req);
+      if (!design) return designNotFound(res, "share");
+      if (!allowed) return permissionDenied(res, "share this design");
+
+      // A new token invalidates any link handed out before
+      design.shareLink = {
+        token: crypto.randomBytes(24).toString("base64url"),
+        expiresAt,
+        createdAt: new Date(),
+      };
+      await design.save();
+
+      res.status(201).json({
+        success: true,
+        data: toSharingResponse(design),
+        message: "Share link created",
+      });
+    } catch (error) {
+      console.error("Error creating share link:", error);
+      next(error);
+    }
+  },
+
+  // Disable the public link
+  async deleteShareLink(req, res, next) {
+    try {
+      const { design, allowed } = await findDesignToShare(req);
+      if (!design) return designNotFound(res, "share");
+      if (!allowed) return permissionDenied(res, "share this design");
+
+      design.shareLink = undefined;
+      await design.save();
+
+      res.status(200).json({
+        success: true,
+        data: toSharingResponse(design),
+        message: "Share link disabled",
+      });
+    } catch (error) {
+      console.error("Error deleting share link:", error);
+      next(error);
+    }
+  },
+
+  // Read-only view of a design through its public link (no login needed)
+  async getSharedDesign(req, res, next) {
+    try {
+      const design = await Design.findOne({
+        "shareLink.token": req.params.token,
+        deletedAt: null,
+      });
+
+      if (!design || !isShareLinkActive(design.shareLink)) {
+        return res.status(404).json({
+          success: false,
+          error: "Link not found",
+          message: "This share link doesn't exist or has expired.",
+          code: "SHARE_LINK_NOT_FOUND",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          _id: design._id,
+          name: design.name,
+          width: design.width,
+          height: design.height,
+          role: "viewer",
+          pages: design.pages.map((page, index) => ({
+            _id: page._id,
+            name: page.name || `Page ${index + 1}`,
+            index,
+            canvasData: page.canvasData,
+            background: page.background,
+            thumbnail: page.thumbnail,
+          })),
+          updatedAt: design.updatedAt,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching shared design:", error);
+      next(error);
+    }
+  },
+};
+
+module.exports = designShareController;
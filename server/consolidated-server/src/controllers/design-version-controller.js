@@ -0,0 +1,204 @@
+const DesignVersion = require("../models/design-version");
+const { serializeDesign } = require("../utils/design-pages");
+const {
+  VERSION_LIST_FIELDS,
+  createSnapshot,
+} = require("../utils/design-versions");
+const {
+  findDesignForAction,
+  designNotFound,
+  permissionDenied,
+} = require("../utils/design-access");
+const { notifyDesignReplaced } = require("../realtime/collaboration-server");
+
+// Snapshot types the history can be filtered by
+const VERSION_TYPES = DesignVersion.schema.path("type").enumValues;
+
+const versionNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Version not found",
+    message: "The requested version does not exist for this design.",
+    code: "VERSION_NOT_FOUND",
+  });
+
+const designVersionController = {
+  // List versions of a design, newest first
+  async getVersions(req, res, next) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const skip = (page - 1) * limit;
+      const { type } = req.query;
+
+      if (type !== undefined && !VERSION_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid input",
+          message: `Version type must be one of ${VERSION_TYPES.join(", ")}`,
+          code: "INVALID_VERSION_TYPE",
+        });
+      }
+
+      const { design, allowed } = await findDesignForAction(req, "view");
+      if (!design) return designNotFound(res, "view");
+      if (!allowed) return permissionDenied(res, "view this design");
+
+      const filter = { designId: design._id };
+      if (type) filter.type = type;
+
+      const versions = await DesignVersion.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select(VERSION_LIST_FIELDS);
+
+      const total = await DesignVersion.countDocuments(filter);
+
+      res.status(200).json({
+        success: true,
+        data: versions,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: versions.length,
+          totalItems: total,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching design versions:", error);
+      next(error);
+    }
+  },
+
+  // Create a named checkpoint of the current design state
+  async createVersion(req, res, next) {
+    try {
+      const { label } = req.body;
+
+      if (typeof label !== "string" || !label.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid input",
+          message: "Version label is required",
+          code: "MISSING_LABEL",
+        });
+      }
+
+      const { design, allowed } = await findDesignForAction(req, "edit");
+      if (!design) return designNotFound(res, "edit");
+      if (!allowed) return permissionDenied(res, "edit this design");
+
+      const version = await createSnapshot(design, {
+        type: "manual",
+        label: label.trim(),
+      });
+
+      res.status(201).json({
+        success: true,
+        data: version,
+        message: "Version saved successfully",
+      });
+    } catch (error) {
+      console.error("Error creating design version:", error);
+      next(error);
+    }
+  },
+
+  // Get a single version including its page canvas data
+  async getVersion(req, res, next) {
+    try {
+      const { design, allowed } = await findDesignForAction(req, "view");
+      if (!design) return designNotFound(res, "view");
+      if (!allowed) return permissionDenied(res, "view this design");
+
+      const version = await DesignVersion.findOne({
+        _id: req.params.versionId,
+        designId: design._id,
+      });
+      if (!version) return versionNotFound(res);
+
+      res.status(200).json({
+        success: true,
+        data: version,
+      });
+    } catch (error) {
+      console.error("Error fetching design version:", error);
+      next(error);
+    }
+  },
+
+  // Restore a version. The current state is snapshotted first so the
+  // restore itself can be undone from the history panel.
+  async restoreVersion(req, res, next) {
+    try {
+      const { design, allowed } = await findDesignForAction(req, "edit");
+      if (!design) return designNotFound(res, "edit");
+      if (!allowed) return permissionDenied(res, "edit this design");
+
+      const version = await DesignVersion.findOne({
+        _id: req.params.versionId,
+        designId: design._id,
+      });
+      if (!version) return versionNotFound(res);
+
+      await createSnapshot(design, {
+        type: "restore",
+        label: `Before restoring ${
+          version.label || version.createdAt.toISOString()
+        }`,
+      });
+
+      design.name = version.name;
+      design.width = version.width;
+      design.height = version.height;
+      design.pages = version.pages.map((page) => ({
+        name: page.name,
+        canvasData: page.canvasData,
+        background: page.background,
+        thumbnail: page.thumbnail,
+      }));
+      if (version.thumbnail) design.thumbnail = version.thumbnail;
+
+      design.updatedAt = Date.now();
+      const restoredDesign = await design.save();
+
+      // Editors connected in real time reload the restored pages
+      notifyDesignReplaced(restoredDesign._id);
+
+      res.status(200).json({
+        success: true,
+        data: serializeDesign(restoredDesign),
+        message: "Version restored successfully",
+      });
+    } catch (error) {
+      console.error("Error restoring design version:", error);
+      next(error);
+    }
+  },
+
+  // Delete a version
+  async deleteVersion(req, res, next) {
+    try {
+      const { design, allowed } = await findDesignForAction(req, "edit");
+      if (!design) return designNotFound(res, "edit");
+      if (!allowed) return permissionDenied(res, "edit this design");
+
+      const version = await DesignVersion.findOneAndDelete({
+        _id: req.params.versionId,
+        designId: design._id,
+      });
+      if (!version) return versionNotFound(res);
+
+      res.status(200).json({
+        success: true,
+        message: "Version deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting design version:", error);
+      next(error);
+    }
+  },
+};
+
+module.exports = designVersionController;
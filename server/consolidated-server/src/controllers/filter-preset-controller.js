@@ -0,0 +1,143 @@
+const FilterPreset = require("../models/filter-preset");
+const {
+  MAX_FILTER_PRESETS,
+  sanitizeAdjustments,
+} = require("../utils/filter-presets");
+
+const invalidInput = (res, message, code) =>
+  res.status(400).json({
+    success: false,
+    error: "Invalid input",
+    message,
+    code,
+  });
+
+const presetNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Filter preset not found",
+    message: "Filter preset not found or you don't have permission to edit it",
+    code: "FILTER_PRESET_NOT_FOUND",
+  });
+
+const cleanPresetName = (name) =>
+  typeof name === "string" && name.trim() ? name.trim().slice(0, 50) : null;
+
+const filterPresetController = {
+  // List the current user's saved filter presets
+  async getFilterPresets(req, res, next) {
+    try {
+      const presets = await FilterPreset.find({
+        userId: req.user.userId,
+      }).sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        data: presets,
+      });
+    } catch (error) {
+      console.error("Error fetching filter presets:", error);
+      next(error);
+    }
+  },
+
+  // Save an adjustment stack under a name
+  async createFilterPreset(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const name = cleanPresetName(req.body.name);
+      if (!name) {
+        return invalidInput(res, "Preset name is required", "INVALID_NAME");
+      }
+
+      const result = sanitizeAdjustments(req.body.adjustments);
+      if (result.error) {
+        return invalidInput(res, result.error, "INVALID_ADJUSTMENTS");
+      }
+
+      const count = await FilterPreset.countDocuments({ userId });
+      if (count >= MAX_FILTER_PRESETS) {
+        return invalidInput(
+          res,
+          `You can save at most ${MAX_FILTER_PRESETS} filter presets`,
+          "FILTER_PRESET_LIMIT_REACHED"
+        );
+      }
+
+      const preset = await FilterPreset.create({
+        userId,
+        name,
+        adjustments: result.adjustments,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: preset,
+        message: "Filter preset saved",
+      });
+    } catch (error) {
+      console.error("Error creating filter preset:", error);
+      next(error);
+    }
+  },
+
+  // Rename a preset or replace its adjustments
+  async updateFilterPreset(req, res, next) {
+    try {
+      const preset = await FilterPreset.findOne({
+        _id: req.params.id,
+        userId: req.user.userId,
+      });
+      if (!preset) return presetNotFound(res);
+
+      if (req.body.name !== undefined) {
+        const name = cleanPresetName(req.body.name);
+        if (!name) {
+          return invalidInput(res, "Preset name is required", "INVALID_NAME");
+        }
+        preset.name = name;
+      }
+
+      if (req.body.adjustments !== undefined) {
+        const result = sanitizeAdjustments(req.body.adjustments);
+        if (result.error) {
+          return invalidInput(res, result.error, "INVALID_ADJUSTMENTS");
+        }
+        preset.adjustments = result.adjustments;
+      }
+
+      await preset.save();
+
+      res.status(200).json({
+        success: true,
+        data: preset,
+        message: "Filter preset updated",
+      });
+    } catch (error) {
+      console.error("Error updating filter preset:", error);
+      next(error);
+    }
+  },
+
+  // Delete a saved preset
+  async deleteFilterPreset(req, res, next) {
+    try {
+      const preset = await FilterPreset.findOneAndDelete({
+        _id: req.params.id,
+        userId: req.user.userId,
+      });
+      if (!preset) return presetNotFound(res);
+
+      res.status(200).json({
+        success: true,
+        data: preset,
+        message: "Filter preset deleted",
+      });
+    } catch (error) {
+      console.error("Error deleting filter preset:", error);
+      next(error);
+    }
+  },
+};
+
+module.exports = filterPresetController;
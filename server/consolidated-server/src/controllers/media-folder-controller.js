@@ -0,0 +1,145 @@
+const mongoose = require("mongoose");
+const Media = require("../models/media");
+const MediaFolder = require("../models/media-folder");
+const { cleanFolderName } = require("../utils/design-folders");
+const {
+  MAX_FOLDERS_PER_USER,
+  LIBRARY_FILTER,
+} = require("../utils/media-library");
+const { workspaceFilter, workspaceFields } = require("../utils/workspaces");
+
+const invalidInput = (res, message, code) =>
+  res.status(400).json({
+    success: false,
+    error: "Invalid input",
+    message,
+    code,
+  });
+
+const folderNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Folder not found",
+    message: "Media folder not found or you don't have permission to edit it",
+    code: "FOLDER_NOT_FOUND",
+  });
+
+const findFolder = (req) =>
+  mongoose.isValidObjectId(req.params.folderId)
+    ? MediaFolder.findOne({
+        _id: req.params.folderId,
+        ...workspaceFilter(req),
+      })
+    : null;
+
+const mediaFolderController = {
+  // List the library folders with how many files each holds
+  async getMediaFolders(req, res, next) {
+    try {
+      const scope = workspaceFilter(req);
+
+      const [folders, counts] = await Promise.all([
+        MediaFolder.find(scope).sort({ name: 1 }).lean(),
+        Media.aggregate([
+          { $match: { ...scope, ...LIBRARY_FILTER, folderId: { $ne: null } } },
+          { $group: { _id: "$folderId", count: { $sum: 1 } } },
+        ]),
+      ]);
+
+      const countByFolder = new Map(
+        counts.map(({ _id, count }) => [_id.toString(), count])
+      );
+
+      res.status(200).json({
+        success: true,
+        data: folders.map((folder) => ({
+          ...folder,
+          mediaCount: countByFolder.get(folder._id.toString()) || 0,
+        })),
+      });
+    } catch (error) {
+      console.error("Error fetching media folders:", error);
+      next(error);
+    }
+  },
+
+  async createMediaFolder(req, res, next) {
+    try {
+      const name = cleanFolderName(req.body.name);
+      if (!name) {
+        return invalidInput(res, "Folder name is required", "INVALID_NAME");
+      }
+
+      const count = await MediaFolder.countDocuments(workspaceFilter(req));
+      if (count >= MAX_FOLDERS_PER_USER) {
+        return invalidInput(
+          res,
+          `You can have at most ${MAX_FOLDERS_PER_USER} media folders`,
+          "FOLDER_LIMIT_REACHED"
+        );
+      }
+
+      const folder = await MediaFolder.create({
+        ...workspaceFields(req),
+        name,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: { ...folder.toObject(), mediaCount: 0 },
+        message: "Folder created",
+      });
+    } catch (error) {
+      console.error("Error creating media folder:", error);
+      next(error);
+    }
+  },
+
+  async renameMediaFolder(req, res, next) {
+    try {
+      const folder = await findFolder(req);
+      if (!folder) return folderNotFound(res);
+
+      const name = cleanFolderName(req.body.name);
+      if (!name) {
+        return invalidInput(res, "Folder name is required", "INVALID_NAME");
+      }
+
+      folder.name = name;
+      await folder.save();
+
+      res.status(200).json({
+        success: true,
+        data: folder,
+        message: "Folder renamed",
+      });
+    } catch (error) {
+      console.error("Error renaming media folder:", error);
+      next(error);
+    }
+  },
+
+  // Delete a folder; its files move to the top level of the library
+  async deleteMediaFolder(req, res, next) {
+    try {
+      const folder = await findFolder(req);
+      if (!folder) return folderNotFound(res);
+
+      await Media.updateMany(
+        { ...workspaceFilter(req), folderId: folder._id },
+        { $set: { folderId: null } }
+      );
+      await MediaFolder.deleteOne({ _id: folder._id });
+
+      res.status(200).json({
+        success: true,
+        message: "Folder deleted",
+      });
+    } catch (error) {
+      console.error("Error deleting media folder:", error);
+      next(error);
+    }
+  },
+};
+
+module.exports = mediaFolderController;
@@ -1,204 +1,384 @@
 const Subscription = require("../models/subscription");
-const axios = require("axios");
-
-const PAYPAL_API =
-  process.env.PAYPAL_BASE_URL ||
-  (process.env.NODE_ENV === "production"
-    ? "https://api-m.paypal.com"
-    : "https://api-m.sandbox.paypal.com");
-
-const CLIENT_ID = process.env.PAYPAL_CLIENT_ID;
-const CLIENT_SECRET = process.env.PAYPAL_CLIENT_SECRET;
-const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
-
-// PayPal API helper functions
-async function getAccessToken() {
-  if (!CLIENT_ID || !CLIENT_SECRET) {
-    throw new Error("PayPal credentials not configured");
-  }
+const WebhookEvent = require("../models/webhook-event");
+const {
+  getPaymentProvider,
+  listPaymentProviders,
+} = require("../utils/payment-providers");
+const {
+  TRIAL_DAYS,
+  DAY_MS,
+  listPlans,
+  isTrialEligible,
+  getProratedStartTime,
+} = require("../utils/subscription-plans");
+const {
+  FRONTEND_URL,
+  readPlanChoice,
+  startCheckout,
+} = require("../utils/subscription-checkout");
+const { getBillingAccountId } = require("../utils/workspaces");
 
-  try {
-    const auth = Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString(
-      "base64"
-    );
+// Verify, record and apply a webhook delivery. Each event is recorded by
+// id, so retried deliveries are only applied once.
+async function receiveWebhook(provider, req, res) {
+  const event = req.body;
+  const description = provider.describeWebhookEvent(event);
 
-    const response = await axios({
-      method: "post",
-      url: `${PAYPAL_API}/v1/oauth2/token`,
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        Authorization: `Basic ${auth}`,
-      },
-      data: "grant_type=client_credentials",
-      timeout: 10000,
+  if (!description) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid event",
+      message: `Webhook body is not a ${provider.name} event`,
+      code: "INVALID_WEBHOOK_EVENT",
     });
+  }
 
-    return response.data.access_token;
+  try {
+    const isVerified = await provider.verifyWebhook(req);
+    if (!isVerified) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid signature",
+        message: `${provider.name} webhook signature verification failed`,
+        code: "INVALID_WEBHOOK_SIGNATURE",
+      });
+    }
   } catch (error) {
     console.error(
-      "PayPal access token error:",
+      `${provider.name} webhook verification error:`,
       error.response?.data || error.message
     );
-    throw new Error("Failed to get PayPal access token");
+    return res.status(500).json({
+      success: false,
+      message: `Error while verifying ${provider.name} webhook`,
+    });
+  }
+
+  let record;
+  try {
+    record = await WebhookEvent.create({
+      provider: provider.name,
+      eventId: description.id,
+      eventType: description.type,
+      resourceId: description.resourceId,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(200).json({
+        success: true,
+        message: "Event already processed",
+      });
+    }
+    console.error(`Error recording ${provider.name} webhook:`, error);
+    return res.status(500).json({
+      success: false,
+      message: `Error while processing ${provider.name} webhook`,
+    });
+  }
+
+  try {
+    const { result, userId } = await provider.processWebhookEvent(event);
+    record.result = result;
+    record.userId = userId;
+    await record.save();
+
+    console.log(
+      `${provider.name} webhook ${description.type} ${description.id}: ${result}`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { result },
+    });
+  } catch (error) {
+    console.error(`Error processing ${provider.name} webhook:`, error);
+    // Forget the event so the provider's retry gets processed
+    await WebhookEvent.deleteOne({ _id: record._id }).catch(() => {});
+    res.status(500).json({
+      success: false,
+      message: `Error while processing ${provider.name} webhook`,
+    });
   }
 }
 
 const paymentController = {
-  // Create PayPal order (simple one-time payment - matches original)
-  async createOrder(req, res) {
+  // Paid plans with their prices and providers, the providers checkouts
+  // can use, and how many trial days the user gets
+  async getPlans(req, res, next) {
     try {
-      const {
-        amount = 60,
-        currency = "USD",
-        billingCycle = "monthly",
-      } = req.body;
-
-      const accessToken = await getAccessToken();
-
-      const response = await axios({
-        method: "post",
-        url: `${PAYPAL_API}/v2/checkout/orders`,
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${accessToken}`,
-        },
-        data: {
-          intent: "CAPTURE",
-          purchase_units: [
-            {
-              amount: {
-                currency_code: currency,
-                value: amount.toString(),
-              },
-              description: `Premium Design Subscription - ${billingCycle}`,
-            },
-          ],
-          application_context: {
-            return_url: `${FRONTEND_URL}/subscription/success`,
-            cancel_url: `${FRONTEND_URL}/subscription/cancel`,
-          },
-        },
-      });
-
-      const order = response.data;
-      const approvalLink = order.links.find(
-        (link) => link.rel === "approve"
-      ).href;
+      const subscription = await Subscription.findOne({
+        userId: req.user.userId,
+      }).lean();
+      const providers = listPaymentProviders();
 
       res.status(200).json({
         success: true,
         data: {
-          orderId: order.id,
-          approvalLink,
+          plans: listPlans(providers.map((provider) => provider.name)),
+          providers,
+          trialDays: isTrialEligible(subscription) ? TRIAL_DAYS : 0,
+          current: subscription?.isPremium
+            ? {
+                plan: subscription.plan,
+                billingCycle: subscription.billingCycle,
+                provider: subscription.paymentMethod,
+                isRecurring: Boolean(subscription.subscriptionId),
+              }
+            : null,
         },
       });
+    } catch (error) {
+      console.error("Error getting subscription plans:", error);
+      next(error);
+    }
+  },
+
+  // Start a recurring subscription with the provider in req.body. New
+  // subscribers get a trial: the provider only starts billing when it ends.
+  async createSubscription(req, res) {
+    try {
+      const { userId } = req.user;
+      const subscription = await Subscription.findOne({ userId });
+
+      if (subscription?.isPremium && subscription.subscriptionId) {
+        return res.status(409).json({
+          success: false,
+          error: "Already subscribed",
+          message: "You already have a subscription. Change your plan instead.",
+          code: "ALREADY_SUBSCRIBED",
+        });
+      }
+
+      const choice = readPlanChoice(req.body);
+      if (choice.error) {
+        return res.status(400).json({ success: false, ...choice.error });
+      }
+
+      const trial = isTrialEligible(subscription);
+      const startTime = trial
+        ? new Date(Date.now() + TRIAL_DAYS * DAY_MS)
+        : // Premium bought with a one-off payment runs out first
+          subscription?.isPremium && subscription.nextBillingDate > new Date()
+          ? subscription.nextBillingDate
+          : null;
+
+      const data = await startCheckout(subscription, userId, choice, {
+        email: req.user.email,
+        startTime,
+        trial,
+      });
+      return res.status(200).json({ success: true, data });
     } catch (error) {
       console.error(
-        "PayPal order creation error:",
+        "Subscription checkout error:",
         error.response?.data || error.message
       );
       res.status(500).json({
         success: false,
-        message: "Error while creating paypal order",
-        error: error.response?.data?.details || error.message,
+        message: "Error while creating subscription",
       });
     }
   },
 
-  // Create PayPal subscription (alias for createOrder to maintain compatibility)
-  async createSubscription(req, res) {
-    return this.createOrder(req, res);
-  },
-
-  // Capture PayPal payment (matches original)
-  async capturePayment(req, res) {
+  // Switch plan, billing cycle or provider. Providers that can reprice a
+  // subscription do so in place. Otherwise the buyer confirms a new
+  // subscription that starts billing once the credit left on the current
+  // period is used up, and the old one is cancelled when it activates.
+  async changePlan(req, res) {
     try {
-      const { orderId } = req.body;
       const { userId } = req.user;
+      const subscription = await Subscription.findOne({ userId });
 
-      if (!orderId) {
-        return res.status(400).json({
+      if (!subscription?.isPremium) {
+        return res.status(404).json({
           success: false,
-          error: "Missing order ID",
-          message: "PayPal order ID is required",
-          code: "MISSING_ORDER_ID",
+          error: "No active subscription",
+          message: "No active premium subscription found to change",
+          code: "NO_ACTIVE_SUBSCRIPTION",
         });
       }
 
-      const accessToken = await getAccessToken();
-
-      const response = await axios({
-        method: "post",
-        url: `${PAYPAL_API}/v2/checkout/orders/${orderId}/capture`,
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${accessToken}`,
-        },
-      });
+      const choice = readPlanChoice(
+        req.body,
+        subscription.subscriptionId ? subscription.paymentMethod : undefined
+      );
+      if (choice.error) {
+        return res.status(400).json({ success: false, ...choice.error });
+      }
 
-      const captureData = response.data;
+      const { provider, plan, billingCycle } = choice;
+      const isCurrentProvider =
+        Boolean(subscription.subscriptionId) &&
+        provider.name === subscription.paymentMethod;
 
-      if (captureData.status !== "COMPLETED") {
+      if (
+        isCurrentProvider &&
+        plan === subscription.plan &&
+        billingCycle === subscription.billingCycle
+      ) {
         return res.status(400).json({
           success: false,
-          error: "Payment not completed",
-          message: "PayPal payment was not completed successfully",
-          code: "PAYMENT_NOT_COMPLETED",
+          error: "Invalid input",
+          message: "You are already on this plan",
+          code: "SAME_PLAN",
         });
       }
 
-      const captureId = captureData.purchase_units[0].payments.captures[0].id;
-
-      let subscription = await Subscription.findOne({ userId });
+      if (isCurrentProvider && provider.changePlan) {
+        await provider.changePlan(subscription, plan, billingCycle);
+        await subscription.save();
 
-      if (!subscription) {
-        subscription = new Subscription({ userId });
+        return res.status(200).json({
+          success: true,
+          data: {
+            provider: provider.name,
+            plan: subscription.plan,
+            billingCycle: subscription.billingCycle,
+            nextBillingDate: subscription.nextBillingDate,
+          },
+          message: "Your plan has been changed",
+        });
       }
 
-      // Set premium with current date for monthly billing cycle
-      const subscriptionDate = new Date();
-      subscription.isPremium = true;
-      subscription.premiumSince = subscriptionDate;
-      subscription.paymentId = captureId;
+      const data = await startCheckout(subscription, userId, choice, {
+        email: req.user.email,
+        startTime: getProratedStartTime(
+          subscription,
+          plan,
+          billingCycle,
+          new Date()
+        ),
+        trial: false,
+      });
+      return res.status(200).json({ success: true, data });
+    } catch (error) {
+      console.error(
+        "Plan change error:",
+        error.response?.data || error.message
+      );
+      res.status(500).json({
+        success: false,
+        message: "Error while changing subscription plan",
+      });
+    }
+  },
+
+  // Called when the buyer returns from confirming a checkout. The
+  // provider's webhooks apply it too.
+  async activateSubscription(req, res) {
+    try {
+      const { userId } = req.user;
+      const { provider: providerName = "paypal" } = req.body;
+      // PayPal returns with the subscription id, Stripe with the session id
+      const checkoutId = req.body.checkoutId || req.body.subscriptionId;
+      const provider = getPaymentProvider(providerName);
 
-      await subscription.save();
+      if (!provider) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid provider",
+          message: `Payments with ${providerName} are not available`,
+          code: "INVALID_PROVIDER",
+        });
+      }
+      if (typeof checkoutId !== "string" || !checkoutId) {
+        return res.status(400).json({
+          success: false,
+          error: "Missing checkout ID",
+          message: "Checkout ID is required",
+          code: "MISSING_CHECKOUT_ID",
+        });
+      }
 
-      console.log(
-        `User ${userId} upgraded to premium. Subscription starts: ${subscriptionDate.toISOString()}`
+      const subscription =
+        (await Subscription.findOne({ userId })) ||
+        new Subscription({ userId });
+      const result = await provider.activateCheckout(
+        subscription,
+        checkoutId,
+        userId
       );
+      if (result.error) {
+        return res
+          .status(result.status)
+          .json({ success: false, ...result.error });
+      }
+      await subscription.save();
 
       res.status(200).json({
         success: true,
         data: {
-          isPremium: true,
-          premiumSince: subscriptionDate,
-          paymentId: captureId,
-          message: "Premium subscription activated successfully!",
+          isPremium: subscription.isPremium,
+          provider: subscription.paymentMethod,
+          plan: subscription.plan,
+          billingCycle: subscription.billingCycle,
+          premiumSince: subscription.premiumSince,
+          nextBillingDate: subscription.nextBillingDate,
+          trialEndsAt: subscription.trialEndsAt,
         },
+        message: "Premium subscription activated successfully!",
       });
     } catch (error) {
       console.error(
-        "PayPal capture error:",
+        "Subscription activation error:",
         error.response?.data || error.message
       );
+      res.status(500).json({
+        success: false,
+        message: "Error while activating subscription",
+      });
+    }
+  },
+
+  // Link to the provider's page where the user, or team owner, manages
+  // payment details
+  async createBillingPortal(req, res) {
+    try {
+      const subscription = await Subscription.findOne({
+        userId: getBillingAccountId(req),
+      });
+      const provider =
+        subscription?.subscriptionId &&
+        getPaymentProvider(subscription.paymentMethod);
+      const url =
+        provider &&
+        (await provider.createPortalSession(subscription, FRONTEND_URL));
 
-      if (error.response?.status === 422) {
-        return res.status(422).json({
+      if (!url) {
+        return res.status(400).json({
           success: false,
-          error: "Order cannot be captured",
-          message:
-            "This PayPal order cannot be captured. It may have already been processed.",
-          code: "ORDER_NOT_CAPTURABLE",
+          error: "No billing portal",
+          message: "There is no recurring subscription to manage",
+          code: "NO_BILLING_PORTAL",
         });
       }
 
+      res.status(200).json({
+        success: true,
+        data: { provider: provider.name, url },
+      });
+    } catch (error) {
+      console.error(
+        "Billing portal error:",
+        error.response?.data || error.message
+      );
       res.status(500).json({
         success: false,
-        message: "Error while capturing paypal order",
+        message: "Error while opening billing portal",
       });
     }
   },
 
+  // Receive PayPal webhook events, verified with PayPal
+  async handlePayPalWebhook(req, res) {
+    return receiveWebhook(getPaymentProvider("paypal"), req, res);
+  },
+
+  // Receive Stripe webhook events, verified by their signature
+  async handleStripeWebhook(req, res) {
+    return receiveWebhook(getPaymentProvider("stripe"), req, res);
+  },
+
   // Verify payment (placeholder from original)
   async verifyPayment(req, res) {
     try {
@@ -1,4 +1,23 @@
+const mongoose = require("mongoose");
 const Subscription = require("../models/subscription");
+const Transaction = require("../models/transaction");
+const { addBillingPeriod, isPastBillingDate } = require("../utils/billing");
+const { renderInvoicePdf } = require("../utils/invoices");
+const { getPaymentProvider } = require("../utils/payment-providers");
+const { expireSubscription } = require("../utils/subscription-expiry");
+const { getPremiumAccess } = require("../utils/entitlements");
+const { getBillingAccountId } = require("../utils/workspaces");
+const Team = require("../models/team");
+
+const TRANSACTION_TYPES = ["payment", "refund", "reversal"];
+const BILLING_DETAIL_FIELDS = [
+  "name",
+  "company",
+  "email",
+  "address",
+  "country",
+  "taxId",
+];
 
 // Helper function to check if subscription has expired
 const isSubscriptionExpired = (premiumSince, billingCycle = "monthly") => {
@@ -61,10 +80,14 @@ const subscriptionController = {
       let nextBillingDate = null;
 
       if (subscription.isPremium && subscription.premiumSince) {
-        const isExpired = isSubscriptionExpired(
-          subscription.premiumSince,
-          subscription.billingCycle
-        );
+        // Payments and PayPal webhooks keep nextBillingDate current; older
+        // subscriptions only know when they started
+        const isExpired = subscription.nextBillingDate
+          ? isPastBillingDate(subscription.nextBillingDate)
+          : isSubscriptionExpired(
+              subscription.premiumSince,
+              subscription.billingCycle
+            );
 
         if (isExpired) {
           console.log(
@@ -72,29 +95,40 @@ const subscriptionController = {
           );
 
           // Automatically expire the subscription but keep history
-          subscription.isPremium = false;
-          subscription.isActive = false;
-          subscription.canceledAt = new Date();
-          await subscription.save();
+          await expireSubscription(subscription);
 
           isPremiumActive = false;
           subscriptionMessage =
             "Your premium subscription has expired. Please renew to continue enjoying premium features.";
         } else {
-          // Calculate next billing date
-          const premiumDate = new Date(subscription.premiumSince);
-          if (subscription.billingCycle === "yearly") {
-            nextBillingDate = new Date(
-              premiumDate.setFullYear(premiumDate.getFullYear() + 1)
-            );
-          } else {
-            nextBillingDate = new Date(
-              premiumDate.setMonth(premiumDate.getMonth() + 1)
+          nextBillingDate =
+            subscription.nextBillingDate ||
+            addBillingPeriod(
+              subscription.premiumSince,
+              subscription.billingCycle
             );
-          }
         }
       }
 
+      // Without premium of their own, members get it from a paid team
+      const access = isPremiumActive ? null : await getPremiumAccess(userId);
+      if (access?.source === "team") {
+        const team = await Team.findById(access.teamId).select("name").lean();
+        return res.status(200).json({
+          success: true,
+          data: {
+            isPremium: true,
+            plan: access.plan,
+            isActive: true,
+            isRecurring: false,
+            source: "team",
+            team: team && { _id: team._id, name: team.name },
+            userId: userId,
+            message: subscriptionMessage,
+          },
+        });
+      }
+
       return res.status(200).json({
         success: true,
         data: {
@@ -104,6 +138,10 @@ const subscriptionController = {
           plan: subscription.plan,
           billingCycle: subscription.billingCycle,
           isActive: subscription.isActive,
+          isRecurring: Boolean(subscription.subscriptionId),
+          trialEndsAt: subscription.trialEndsAt,
+          cancelAt: subscription.cancelAt,
+          source: isPremiumActive ? "personal" : null,
           userId: userId,
           message: subscriptionMessage,
         },
@@ -117,7 +155,7 @@ const subscriptionController = {
   // Cancel subscription
   async cancelSubscription(req, res, next) {
     try {
-      const userId = req.user.userId;
+      const userId = getBillingAccountId(req);
       const { reason } = req.body;
 
       const subscription = await Subscription.findOne({ userId });
@@ -131,6 +169,15 @@ const subscriptionController = {
         });
       }
 
+      // Stop the provider from charging again, in a way that can be undone
+      // until access ends
+      const provider =
+        subscription.subscriptionId &&
+        getPaymentProvider(subscription.paymentMethod);
+      if (provider && !subscription.cancelAt) {
+        await provider.cancel(subscription, reason);
+      }
+
       // Set cancellation but keep access until period ends
       subscription.cancelAt = subscription.nextBillingDate || new Date();
       subscription.metadata = {
@@ -161,7 +208,7 @@ const subscriptionController = {
   // Reactivate subscription
   async reactivateSubscription(req, res, next) {
     try {
-      const userId = req.user.userId;
+      const userId = getBillingAccountId(req);
 
       const subscription = await Subscription.findOne({ userId });
 
@@ -174,7 +221,11 @@ const subscriptionController = {
         });
       }
 
-      if (subscription.isPremium && subscription.isActive) {
+      if (
+        subscription.isPremium &&
+        subscription.isActive &&
+        !subscription.cancelAt
+      ) {
         return res.status(400).json({
           success: false,
           error: "Already active",
@@ -183,6 +234,21 @@ const subscriptionController = {
         });
       }
 
+      if (!subscription.isPremium && subscription.subscriptionId) {
+        return res.status(409).json({
+          success: false,
+          error: "Subscription ended",
+          message: "Your subscription has ended. Please subscribe again.",
+          code: "SUBSCRIPTION_ENDED",
+        });
+      }
+
+      // Resume billing at the provider
+      const provider =
+        subscription.subscriptionId &&
+        getPaymentProvider(subscription.paymentMethod);
+      if (provider) await provider.resume(subscription);
+
       // Reactivate subscription
       subscription.isActive = true;
       subscription.cancelAt = null;
@@ -201,41 +267,140 @@ const subscriptionController = {
     }
   },
 
-  // Get billing history
+  // Payments, refunds and chargebacks of the user or team, newest first
   async getBillingHistory(req, res, next) {
     try {
-      const userId = req.user.userId;
+      const userId = getBillingAccountId(req);
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const skip = (page - 1) * limit;
+      const filter = { userId };
+      if (TRANSACTION_TYPES.includes(req.query.type)) {
+        filter.type = req.query.type;
+      }
 
-      const subscription = await Subscription.findOne({ userId });
+      const transactions = await Transaction.find(filter)
+        .sort({ occurredAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select("-billingDetails")
+        .lean();
 
-      if (!subscription) {
-        return res.status(200).json({
-          success: true,
-          data: [],
-          message: "No billing history found",
+      const total = await Transaction.countDocuments(filter);
+
+      res.status(200).json({
+        success: true,
+        data: transactions,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: transactions.length,
+          totalItems: total,
+        },
+      });
+    } catch (error) {
+      console.error("Error getting billing history:", error);
+      next(error);
+    }
+  },
+
+  // Download the invoice, or credit note, of a transaction as a PDF
+  async getInvoice(req, res, next) {
+    try {
+      const userId = getBillingAccountId(req);
+      const transaction = mongoose.isValidObjectId(req.params.transactionId)
+        ? await Transaction.findOne({
+            _id: req.params.transactionId,
+            userId,
+          }).lean()
+        : null;
+
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          error: "Transaction not found",
+          message: "No transaction found with this id",
+          code: "TRANSACTION_NOT_FOUND",
         });
       }
 
-      // In a real implementation, you'd have a separate payments/transactions table
-      // For now, return basic subscription info
-      const history = [
-        {
-          date: subscription.premiumSince,
-          amount: subscription.billingCycle === "yearly" ? 600 : 60, // $600/year or $60/month
-          currency: "USD",
-          status: "completed",
-          paymentId: subscription.paymentId,
-          plan: subscription.plan,
-          billingCycle: subscription.billingCycle,
-        },
-      ].filter((item) => item.date); // Only include if there's a payment date
+      const [original, subscription] = await Promise.all([
+        transaction.relatedTransactionId
+          ? Transaction.findById(transaction.relatedTransactionId).lean()
+          : null,
+        Subscription.findOne({ userId }).select("billingDetails").lean(),
+      ]);
+
+      const pdf = await renderInvoicePdf(transaction, {
+        original,
+        fallbackDetails: subscription?.billingDetails,
+      });
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${transaction.invoiceNumber}.pdf"`
+      );
+      res.send(pdf);
+    } catch (error) {
+      console.error("Error generating invoice:", error);
+      next(error);
+    }
+  },
+
+  // Customer details printed on invoices
+  async getBillingDetails(req, res, next) {
+    try {
+      const subscription = await Subscription.findOne({
+        userId: getBillingAccountId(req),
+      })
+        .select("billingDetails")
+        .lean();
 
       res.status(200).json({
         success: true,
-        data: history,
+        data: subscription?.billingDetails || {},
       });
     } catch (error) {
-      console.error("Error getting billing history:", error);
+      console.error("Error getting billing details:", error);
+      next(error);
+    }
+  },
+
+  // Set the customer details for future invoices. Invoices already issued
+  // keep the details they were issued with.
+  async updateBillingDetails(req, res, next) {
+    try {
+      const userId = getBillingAccountId(req);
+      const billingDetails = {};
+      for (const field of BILLING_DETAIL_FIELDS) {
+        const value = req.body[field];
+        if (value !== undefined && typeof value !== "string") {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid input",
+            message: `${field} must be a string`,
+            code: "INVALID_BILLING_DETAILS",
+          });
+        }
+        if (value?.trim()) billingDetails[field] = value.trim();
+      }
+
+      const subscription = await Subscription.findOneAndUpdate(
+        { userId },
+        { $set: { billingDetails }, $setOnInsert: { userId } },
+        { new: true, upsert: true, runValidators: true }
+      )
+        .select("billingDetails")
+        .lean();
+
+      res.status(200).json({
+        success: true,
+        data: subscription.billingDetails,
+        message: "Billing details saved",
+      });
+    } catch (error) {
+      console.error("Error updating billing details:", error);
       next(error);
     }
   },
@@ -264,6 +429,7 @@ const subscriptionController = {
       subscription.billingCycle = "monthly";
       subscription.isActive = true;
       subscription.paymentId = `test-${Date.now()}`;
+      subscription.nextBillingDate = null;
 
       await subscription.save();
 
@@ -337,6 +503,7 @@ const subscriptionController = {
       subscription.billingCycle = "monthly";
       subscription.isActive = true;
       subscription.paymentId = `test-expired-${Date.now()}`;
+      subscription.nextBillingDate = null;
 
       await subscription.save();
 
@@ -0,0 +1,749 @@
+const mongoose = require("mongoose");
+const Team = require("../models/team");
+const TeamMembership = require("../models/team-membership");
+const Subscription = require("../models/subscription");
+const Transaction = require("../models/transaction");
+const Design = require("../models/design");
+const Folder = require("../models/folder");
+const Media = require("../models/media");
+const MediaFolder = require("../models/media-folder");
+const Template = require("../models/template");
+const TemplateVersion = require("../models/template-version");
+const { normalizeEmail } = require("../utils/design-access");
+const { getPaymentProvider } = require("../utils/payment-providers");
+const {
+  TRIAL_DAYS,
+  DAY_MS,
+  isTrialEligible,
+} = require("../utils/subscription-plans");
+const {
+  FRONTEND_URL,
+  readPlanChoice,
+  getCheckoutReturnUrl,
+  startCheckout,
+} = require("../utils/subscription-checkout");
+const { isPremiumActive } = require("../utils/entitlements");
+const {
+  MAX_TEAMS_PER_USER,
+  FREE_TEAM_SEATS,
+  TEAM_PLAN,
+  teamAccountId,
+  cleanTeamName,
+  isTeamAdmin,
+  readSeats,
+} = require("../utils/teams");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Roles members can be invited with or given; there is one owner
+const ASSIGNABLE_ROLES = ["member", "admin"];
+
+const invalidInput = (res, message, code) =>
+  res.status(400).json({
+    success: false,
+    error: "Invalid input",
+    message,
+    code,
+  });
+
+const permissionDenied = (res, message) =>
+  res.status(403).json({
+    success: false,
+    error: "Permission denied",
+    message,
+    code: "PERMISSION_DENIED",
+  });
+
+const memberNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Member not found",
+    message: "This person is not in the team",
+    code: "MEMBER_NOT_FOUND",
+  });
+
+const findTeamSubscription = (teamId) =>
+  Subscription.findOne({ userId: teamAccountId(teamId) });
+
+// Members and pending invitations each take a seat, the owner included
+const countSeatsUsed = (teamId) => TeamMembership.countDocuments({ teamId });
+
+// Paid teams have the seats they bought, others the free team size
+const getSeatLimit = (subscription) =>
+  isPremiumActive(subscription) ? subscription.seats : FREE_TEAM_SEATS;
+
+const toBillingResponse = (subscription, seatsUsed) => ({
+  isPremium: isPremiumActive(subscription),
+  plan: isPremiumActive(subscription) ? subscription.plan : "free",
+  billingCycle: subscription?.billingCycle,
+  provider: subscription?.subscriptionId ? subscription.paymentMethod : null,
+  isRecurring: Boolean(subscription?.subscriptionId),
+  seats: getSeatLimit(subscription),
+  seatsUsed,
+  nextBillingDate: subscription?.nextBillingDate,
+  trialEndsAt: subscription?.trialEndsAt,
+  cancelAt: subscription?.cancelAt,
+});
+
+const loadBilling = async (teamId) => {
+  const [subscription, seatsUsed] = await Promise.all([
+    findTeamSubscription(teamId),
+    countSeatsUsed(teamId),
+  ]);
+  return toBillingResponse(subscription, seatsUsed);
+};
+
+const teamController = {
+  // Teams the user has joined, with their role in each
+  async getTeams(req, res, next) {
+    try {
+      const memberships = await TeamMembership.find({
+        userId: req.user.userId,
+        status: "active",
+      })
+        .populate("teamId")
+        .lean();
+
+      const teams = memberships.filter((membership) => membership.teamId);
+      const premiumAccounts = await Subscription.find({
+        userId: { $in: teams.map(({ teamId }) => teamAccountId(teamId._id)) },
+        isPremium: true,
+        isActive: true,
+      })
+        .select("userId")
+        .lean();
+      const premiumIds = new Set(premiumAccounts.map(({ userId }) => userId));
+
+      res.status(200).json({
+        success: true,
+        data: teams.map(({ teamId: team, role }) => ({
+          _id: team._id,
+          name: team.name,
+          ownerId: team.ownerId,
+          role,
+          isPremium: premiumIds.has(teamAccountId(team._id)),
+          createdAt: team.createdAt,
+        })),
+      });
+    } catch (error) {
+      console.error("Error fetching teams:", error);
+      next(error);
+    }
+  },
+
+  // Create a team, owned by the user
+  async createTeam(req, res, next) {
+    try {
+      const { userId, email, name: userName } = req.user;
+      const name = cleanTeamName(req.body.name);
+      if (!name) {
+        return invalidInput(res, "Team name is required", "INVALID_NAME");
+      }
+
+      const ownedCount = await Team.countDocuments({ ownerId: userId });
+      if (ownedCount >= MAX_TEAMS_PER_USER) {
+        return invalidInput(
+          res,
+          `You can own at most ${MAX_TEAMS_PER_USER} teams`,
+          "TEAM_LIMIT_REACHED"
+        );
+      }
+
+      const team = await Team.create({ name, ownerId: userId });
+      await TeamMembership.create({
+        teamId: team._id,
+        userId,
+        email: normalizeEmail(email),
+        name: userName,
+        role: "owner",
+        status: "active",
+        joinedAt: new Date(),
+      });
+
+      res.status(201).json({
+        success: true,
+        data: { ...team.toObject(), role: "owner", isPremium: false },
+        message: "Team created",
+      });
+    } catch (error) {
+      console.error("Error creating team:", error);
+      next(error);
+    }
+  },
+
+  // A team with its members, invitations and billing
+  async getTeam(req, res, next) {
+    try {
+      const [members, billing] = await Promise.all([
+        TeamMembership.find({ teamId: req.team._id })
+          .sort({ status: 1, createdAt: 1 })
+          .lean(),
+        loadBilling(req.team._id),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...req.team.toObject(),
+          role: req.membership.role,
+          membershipId: req.membership._id,
+          members,
+          billing,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching team:", error);
+      next(error);
+    }
+  },
+
+  // Rename a team (admins)
+  async updateTeam(req, res, next) {
+    try {
+      if (!isTeamAdmin(req.membership.role)) {
+        return permissionDenied(res, "Only team admins can rename the team");
+      }
+
+      const name = cleanTeamName(req.body.name);
+      if (!name) {
+        return invalidInput(res, "Team name is required", "INVALID_NAME");
+      }
+
+      req.team.name = name;
+      await req.team.save();
+
+      res.status(200).json({
+        success: true,
+        data: req.team,
+        message: "Team renamed",
+      });
+    } catch (error) {
+      console.error("Error updating team:", error);
+      next(error);
+    }
+  },
+
+  // Delete a team (owner). Its designs and media go back to the personal
+  // workspace of whoever created them, outside any folder; its folders
+  // and templates are deleted. Its payments and refunds move to the
+  // owner's billing history, so their invoices stay available.
+  async deleteTeam(req, res, next) {
+    try {
+      if (req.membership.role !== "owner") {
+        return permissionDenied(res, "Only the team owner can delete the team");
+      }
+
+      // A cancelled subscription still runs until the end of the paid
+      // period, when the expiry job ends it at the provider
+      const subscription = await findTeamSubscription(req.team._id);
+      if (isPremiumActive(subscription)) {
+        return res.status(409).json({
+          success: false,
+          error: "Team has a subscription",
+          message: subscription.cancelAt
+            ? `The team's subscription runs until ${subscription.cancelAt.toDateString()}. Delete the team once it has ended.`
+            : "Cancel the team's subscription before deleting the team",
+          code: "TEAM_HAS_SUBSCRIPTION",
+        });
+      }
+
+      const teamId = req.team._id;
+      const release = { $set: { teamId: null, folderId: null } };
+      const templateIds = await Template.find({ teamId }).distinct("_id");
+      await Promise.all([
+        Transaction.updateMany(
+          { userId: teamAccountId(teamId) },
+          { $set: { userId: req.user.userId } }
+        ),
+        Design.updateMany({ teamId }, release),
+        Media.updateMany({ teamId }, release),
+        Folder.deleteMany({ teamId }),
+        MediaFolder.deleteMany({ teamId }),
+        TemplateVersion.deleteMany({ templateId: { $in: templateIds } }),
+        Template.deleteMany({ _id: { $in: templateIds } }),
+        TeamMembership.deleteMany({ teamId }),
+      ]);
+      await req.team.deleteOne();
+
+      res.status(200).json({
+        success: true,
+        message: "Team deleted",
+      });
+    } catch (error) {
+      console.error("Error deleting team:", error);
+      next(error);
+    }
+  },
+
+  // Invite someone by email ({ email, role }). Each invitation takes a
+  // seat until it is declined or revoked.
+  async inviteMember(req, res, next) {
+    try {
+      if (!isTeamAdmin(req.membership.role)) {
+        return permissionDenied(res, "Only team admins can invite members");
+      }
+
+      const email = normalizeEmail(req.body.email);
+      const role = req.body.role || "member";
+      if (!EMAIL_PATTERN.test(email)) {
+        return invalidInput(
+          res,
+          "A valid email address is required",
+          "INVALID_EMAIL"
+        );
+      }
+      if (!ASSIGNABLE_ROLES.includes(role)) {
+        return invalidInput(
+          res,
+          `Role must be one of: ${ASSIGNABLE_ROLES.join(", ")}`,
+          "INVALID_ROLE"
+        );
+      }
+
+      const teamId = req.team._id;
+      if (await TeamMembership.exists({ teamId, email })) {
+        return res.status(409).json({
+          success: false,
+          error: "Already invited",
+          message: "This person is already in the team or invited to it",
+          code: "ALREADY_MEMBER",
+        });
+      }
+
+      const [subscription, seatsUsed] = await Promise.all([
+        findTeamSubscription(teamId),
+        countSeatsUsed(teamId),
+      ]);
+      const seats = getSeatLimit(subscription);
+      if (seatsUsed >= seats) {
+        return res.status(409).json({
+          success: false,
+          error: "No seats available",
+          message: isPremiumActive(subscription)
+            ? `All ${seats} seats are taken. Add seats to invite more people.`
+            : `Free teams have up to ${seats} people. Subscribe to add seats.`,
+          code: "NO_SEATS_AVAILABLE",
+        });
+      }
+
+      const membership = await TeamMembership.create({
+        teamId,
+        email,
+        role,
+        invitedBy: req.user.userId,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: membership,
+        message: "Invitation sent",
+      });
+    } catch (error) {
+      console.error("Error inviting team member:", error);
+      next(error);
+    }
+  },
+
+  // Change a member's role (owner)
+  async updateMember(req, res, next) {
+    try {
+      if (req.membership.role !== "owner") {
+        return permissionDenied(res, "Only the team owner can change roles");
+      }
+      if (!ASSIGNABLE_ROLES.includes(req.body.role)) {
+        return invalidInput(
+          res,
+          `Role must be one of: ${ASSIGNABLE_ROLES.join(", ")}`,
+          "INVALID_ROLE"
+        );
+      }
+
+      const member = mongoose.isValidObjectId(req.params.memberId)
+        ? await TeamMembership.findOne({
+            _id: req.params.memberId,
+            teamId: req.team._id,
+          })
+        : null;
+      if (!member) return memberNotFound(res);
+      if (member.role === "owner") {
+        return invalidInput(
+          res,
+          "The owner's role can't be changed",
+          "INVALID_ROLE"
+        );
+      }
+
+      member.role = req.body.role;
+      await member.save();
+
+      res.status(200).json({
+        success: true,
+        data: member,
+        message: "Role updated",
+      });
+    } catch (error) {
+      console.error("Error updating team member:", error);
+      next(error);
+    }
+  },
+
+  // Remove a member or revoke an invitation. Admins can remove members,
+  // only the owner can remove admins, and anyone but the owner can leave.
+  async removeMember(req, res, next) {
+    try {
+      const member = mongoose.isValidObjectId(req.params.memberId)
+        ? await TeamMembership.findOne({
+            _id: req.params.memberId,
+            teamId: req.team._id,
+          })
+        : null;
+      if (!member) return memberNotFound(res);
+
+      const isSelf = member._id.equals(req.membership._id);
+      if (member.role === "owner") {
+        return invalidInput(
+          res,
+          "The owner can't leave the team. Delete the team instead.",
+          "OWNER_CANNOT_LEAVE"
+        );
+      }
+      const canRemove =
+        isSelf ||
+        req.membership.role === "owner" ||
+        (req.membership.role === "admin" && member.role === "member");
+      if (!canRemove) {
+        return permissionDenied(res, "You can't remove this member");
+      }
+
+      await member.deleteOne();
+
+      res.status(200).json({
+        success: true,
+        data: { _id: member._id },
+        message: isSelf ? "You left the team" : "Member removed",
+      });
+    } catch (error) {
+      console.error("Error removing team member:", error);
+      next(error);
+    }
+  },
+
+  // Invitations waiting for the user, matched on their email
+  async getInvitations(req, res, next) {
+    try {
+      const invitations = await TeamMembership.find({
+        email: normalizeEmail(req.user.email),
+        status: "invited",
+      })
+        .populate("teamId", "name")
+        .sort({ createdAt: -1 })
+        .lean();
+
+      res.status(200).json({
+        success: true,
+        data: invitations
+          .filter((invitation) => invitation.teamId)
+          .map((invitation) => ({
+            _id: invitation._id,
+            team: invitation.teamId,
+            role: invitation.role,
+            createdAt: invitation.createdAt,
+          })),
+      });
+    } catch (error) {
+      console.error("Error fetching team invitations:", error);
+      next(error);
+    }
+  },
+
+  // Join the team of an invitation
+  async acceptInvitation(req, res, next) {
+    try {
+      const invitation = mongoose.isValidObjectId(req.params.invitationId)
+        ? await TeamMembership.findOne({
+            _id: req.params.invitationId,
+            email: normalizeEmail(req.user.email),
+            status: "invited",
+          })
+        : null;
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          error: "Invitation not found",
+          message: "Invitation not found or no longer valid",
+          code: "INVITATION_NOT_FOUND",
+        });
+      }
+
+      // Already in the team under another email
+      const existing = await TeamMembership.findOne({
+        teamId: invitation.teamId,
+        userId: req.user.userId,
+        status: "active",
+      });
+      if (existing) {
+        await invitation.deleteOne();
+        return res.status(409).json({
+          success: false,
+          error: "Already a member",
+          message: "You are already a member of this team",
+          code: "ALREADY_MEMBER",
+        });
+      }
+
+      // Seats may have been removed, or the subscription ended, since the
+      // invitation was sent. It is kept so it can be accepted once seats
+      // are added again.
+      const [subscription, seatsUsed] = await Promise.all([
+        findTeamSubscription(invitation.teamId),
+        countSeatsUsed(invitation.teamId),
+      ]);
+      if (seatsUsed > getSeatLimit(subscription)) {
+        return res.status(409).json({
+          success: false,
+          error: "No seats available",
+          message:
+            "The team has no free seat for you. Ask a team admin to add seats.",
+          code: "NO_SEATS_AVAILABLE",
+        });
+      }
+
+      invitation.userId = req.user.userId;
+      invitation.name = req.user.name;
+      invitation.status = "active";
+      invitation.joinedAt = new Date();
+      await invitation.save();
+
+      res.status(200).json({
+        success: true,
+        data: invitation,
+        message: "You joined the team",
+      });
+    } catch (error) {
+      console.error("Error accepting team invitation:", error);
+      next(error);
+    }
+  },
+
+  async declineInvitation(req, res, next) {
+    try {
+      const result = mongoose.isValidObjectId(req.params.invitationId)
+        ? await TeamMembership.deleteOne({
+            _id: req.params.invitationId,
+            email: normalizeEmail(req.user.email),
+            status: "invited",
+          })
+        : { deletedCount: 0 };
+      if (result.deletedCount === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "Invitation not found",
+          message: "Invitation not found or no longer valid",
+          code: "INVITATION_NOT_FOUND",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Invitation declined",
+      });
+    } catch (error) {
+      console.error("Error declining team invitation:", error);
+      next(error);
+    }
+  },
+
+  // Buy seats on the pro plan ({ provider, billingCycle, seats }), enough
+  // for everyone in the team. New team subscriptions get a trial.
+  async createCheckout(req, res) {
+    try {
+      const teamId = req.team._id;
+      const [subscription, seatsUsed] = await Promise.all([
+        findTeamSubscription(teamId),
+        countSeatsUsed(teamId),
+      ]);
+
+      if (isPremiumActive(subscription) && subscription.subscriptionId) {
+        return res.status(409).json({
+          success: false,
+          error: "Already subscribed",
+          message:
+            "The team already has a subscription. Change its seats instead.",
+          code: "ALREADY_SUBSCRIBED",
+        });
+      }
+
+      const seats = readSeats(req.body.seats);
+      if (!seats || seats < seatsUsed) {
+        return invalidInput(
+          res,
+          `Buy a seat for each of the ${seatsUsed} people in the team`,
+          "INVALID_SEATS"
+        );
+      }
+
+      const choice = readPlanChoice({ ...req.body, plan: TEAM_PLAN });
+      if (choice.error) {
+        return res.status(400).json({ success: false, ...choice.error });
+      }
+
+      const trial = isTrialEligible(subscription);
+      const data = await startCheckout(
+        subscription,
+        teamAccountId(teamId),
+        choice,
+        {
+          email: req.user.email,
+          startTime: trial ? new Date(Date.now() + TRIAL_DAYS * DAY_MS) : null,
+          trial,
+          seats,
+          teamId,
+        }
+      );
+      return res.status(200).json({ success: true, data });
+    } catch (error) {
+      console.error(
+        "Team checkout error:",
+        error.response?.data || error.message
+      );
+      res.status(500).json({
+        success: false,
+        message: "Error while creating team subscription",
+      });
+    }
+  },
+
+  // Called when the owner returns from confirming a team checkout
+  // ({ provider, checkoutId }). The provider's webhooks apply it too.
+  async activateCheckout(req, res) {
+    try {
+      const { provider: providerName = "paypal", checkoutId } = req.body;
+      const provider = getPaymentProvider(providerName);
+      if (!provider) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid provider",
+          message: `Payments with ${providerName} are not available`,
+          code: "INVALID_PROVIDER",
+        });
+      }
+      if (typeof checkoutId !== "string" || !checkoutId) {
+        return invalidInput(
+          res,
+          "Checkout ID is required",
+          "MISSING_CHECKOUT_ID"
+        );
+      }
+
+      const accountId = teamAccountId(req.team._id);
+      const subscription =
+        (await Subscription.findOne({ userId: accountId })) ||
+        new Subscription({ userId: accountId });
+      const result = await provider.activateCheckout(
+        subscription,
+        checkoutId,
+        accountId
+      );
+      if (result.error) {
+        return res
+          .status(result.status)
+          .json({ success: false, ...result.error });
+      }
+      await subscription.save();
+
+      res.status(200).json({
+        success: true,
+        data: toBillingResponse(
+          subscription,
+          await countSeatsUsed(req.team._id)
+        ),
+        message: "Team subscription activated",
+      });
+    } catch (error) {
+      console.error(
+        "Team subscription activation error:",
+        error.response?.data || error.message
+      );
+      res.status(500).json({
+        success: false,
+        message: "Error while activating team subscription",
+      });
+    }
+  },
+
+  // Buy more seats or give some up ({ seats }). Providers that reprice in
+  // place charge the prorated difference; others need the owner to
+  // approve the new amount at the returned link.
+  async changeSeats(req, res) {
+    try {
+      const teamId = req.team._id;
+      const [subscription, seatsUsed] = await Promise.all([
+        findTeamSubscription(teamId),
+        countSeatsUsed(teamId),
+      ]);
+      const provider =
+        isPremiumActive(subscription) &&
+        subscription.subscriptionId &&
+        getPaymentProvider(subscription.paymentMethod);
+
+      if (!provider?.changeSeats) {
+        return res.status(404).json({
+          success: false,
+          error: "No active subscription",
+          message: "The team has no subscription to change",
+          code: "NO_ACTIVE_SUBSCRIPTION",
+        });
+      }
+
+      const seats = readSeats(req.body.seats);
+      if (!seats) {
+        return invalidInput(res, "Invalid number of seats", "INVALID_SEATS");
+      }
+      if (seats < seatsUsed) {
+        return res.status(400).json({
+          success: false,
+          error: "Seats in use",
+          message: `${seatsUsed} seats are in use. Remove members first.`,
+          code: "SEATS_IN_USE",
+        });
+      }
+      if (seats === subscription.seats) {
+        return invalidInput(
+          res,
+          `The team already has ${seats} seats`,
+          "SAME_SEATS"
+        );
+      }
+
+      const result = await provider.changeSeats(subscription, seats, {
+        returnUrl: getCheckoutReturnUrl(provider.name, teamId),
+        cancelUrl: `${FRONTEND_URL}/subscription/cancel`,
+      });
+      if (result.redirectUrl) {
+        return res.status(200).json({
+          success: true,
+          data: { provider: provider.name, approvalLink: result.redirectUrl },
+          message: "Approve the new number of seats to finish",
+        });
+      }
+      await subscription.save();
+
+      res.status(200).json({
+        success: true,
+        data: toBillingResponse(subscription, seatsUsed),
+        message: `The team now has ${subscription.seats} seats`,
+      });
+    } catch (error) {
+      console.error(
+        "Team seat change error:",
+        error.response?.data || error.message
+      );
+      res.status(500).json({
+        success: false,
+        message: "Error while changing team seats",
+      });
+    }
+  },
+};
+
+module.exports = teamController;
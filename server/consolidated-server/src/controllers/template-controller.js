@@ -0,0 +1,537 @@
+const mongoose = require("mongoose");
+const Design = require("../models/design");
+const Template = require("../models/template");
+const TemplateVersion = require("../models/template-version");
+const { copyPages } = require("../utils/design-pages");
+const {
+  MAX_TEMPLATES_PER_PAGE,
+  TEMPLATE_LIST_FIELDS,
+  cleanTemplateName,
+  cleanCategory,
+  normalizeTags,
+  escapeRegex,
+  isValidTemplateThumbnail,
+  templateContent,
+} = require("../utils/templates");
+const { isTeamAdmin } = require("../utils/teams");
+
+const TEMPLATE_SORTS = {
+  newest: { publishedAt: -1, _id: -1 },
+  popular: { usageCount: -1, publishedAt: -1 },
+  name: { name: 1 },
+};
+
+const invalidInput = (res, message, code) =>
+  res.status(400).json({
+    success: false,
+    error: "Invalid input",
+    message,
+    code,
+  });
+
+const templateNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Template not found",
+    message: "Template not found or no longer available",
+    code: "TEMPLATE_NOT_FOUND",
+  });
+
+const designNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Design not found",
+    message: "The design to publish could not be found",
+    code: "DESIGN_NOT_FOUND",
+  });
+
+// Gallery templates; team templates are managed by their team
+const findTemplate = (id) =>
+  mongoose.isValidObjectId(id)
+    ? Template.findOne({ _id: id, teamId: null })
+    : null;
+
+const findDesign = (id) =>
+  mongoose.isValidObjectId(id) ? Design.findById(id) : null;
+
+// Build the list query shared by the public and admin lists
+const buildTemplateQuery = (query, baseQuery = {}) => {
+  const filter = { ...baseQuery };
+
+  if (typeof query.category === "string" && query.category.trim()) {
+    filter.category = cleanCategory(query.category);
+  }
+
+  const tags = normalizeTags(query.tags);
+  if (tags.length > 0) filter.tags = { $all: tags };
+
+  if (query.premium === "true") filter.isPremium = true;
+  if (query.premium === "false") filter.isPremium = false;
+
+  if (typeof query.q === "string" && query.q.trim()) {
+    const pattern = new RegExp(escapeRegex(query.q.trim().slice(0, 100)), "i");
+    filter.$or = [
+      { name: pattern },
+      { description: pattern },
+      { tags: pattern },
+      { category: pattern },
+    ];
+  }
+  return filter;
+};
+
+const listTemplates = async (req, res, baseQuery) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit) || 20, 1),
+    MAX_TEMPLATES_PER_PAGE
+  );
+  const skip = (page - 1) * limit;
+  const filter = buildTemplateQuery(req.query, baseQuery);
+  const sort = TEMPLATE_SORTS[req.query.sort] || TEMPLATE_SORTS.newest;
+
+  const [templates, total] = await Promise.all([
+    Template.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .select(TEMPLATE_LIST_FIELDS),
+    Template.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: templates,
+    pagination: {
+      current: page,
+      total: Math.ceil(total / limit),
+      count: templates.length,
+      totalItems: total,
+    },
+  });
+};
+
+// Copy a design's current content into a template
+const applyDesignContent = (template, design) => {
+  template.width = design.width;
+  template.height = design.height;
+  template.pages = copyPages(design);
+  template.sourceDesignId = design._id;
+};
+
+const recordVersion = (template, userId, note = "") =>
+  TemplateVersion.create({
+    templateId: template._id,
+    version: template.version,
+    ...templateContent(template),
+    sourceDesignId: template.sourceDesignId,
+    publishedBy: userId,
+    note,
+  });
+
+// Apply name/description/category/tags/isPremium/thumbnail from a request
+// body. Returns an error message, or null when everything was valid.
+const applyTemplateDetails = (template, body) => {
+  if (body.name !== undefined) {
+    const name = cleanTemplateName(body.name);
+    if (!name) return "Template name is required";
+    template.name = name;
+  }
+  if (body.description !== undefined) {
+    template.description =
+      typeof body.description === "string"
+        ? body.description.trim().slice(0, 500)
+        : "";
+  }
+  if (body.category !== undefined) {
+    template.category = cleanCategory(body.category);
+  }
+  if (body.tags !== undefined) {
+    template.tags = normalizeTags(body.tags);
+  }
+  if (body.isPremium !== undefined) {
+    template.isPremium = Boolean(body.isPremium);
+  }
+  if (body.thumbnail !== undefined) {
+    if (body.thumbnail && !isValidTemplateThumbnail(body.thumbnail)) {
+      return "Thumbnail must be an image URL";
+    }
+    template.thumbnail = body.thumbnail || undefined;
+  }
+  return null;
+};
+
+const templateController = {
+  // Published templates, with search (?q=), ?category=, ?tags=a,b,
+  // ?premium=true|false and ?sort=newest|popular|name
+  async getTemplates(req, res, next) {
+    try {
+      await listTemplates(req, res, { status: "published", teamId: null });
+    } catch (error) {
+      console.error("Error fetching templates:", error);
+      next(error);
+    }
+  },
+
+  // Categories that have published templates, with how many each has
+  async getTemplateCategories(req, res, next) {
+    try {
+      const categories = await Template.aggregate([
+        { $match: { status: "published", teamId: null } },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: categories.map(({ _id, count }) => ({ name: _id, count })),
+      });
+    } catch (error) {
+      console.error("Error fetching template categories:", error);
+      next(error);
+    }
+  },
+
+  // A published template with its page content. This route is public, so
+  // the pages of premium templates come without their canvas data; it is
+  // only handed out by creating a design from the template, which checks
+  // the user's plan.
+  async getTemplate(req, res, next) {
+    try {
+      const template = await findTemplate(req.params.id);
+      if (!template || template.status !== "published") {
+        return templateNotFound(res);
+      }
+
+      const data = template.toObject();
+      if (template.isPremium) {
+        data.pages = data.pages.map(({ canvasData, ...page }) => page);
+      }
+
+      res.status(200).json({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      console.error("Error fetching template:", error);
+      next(error);
+    }
+  },
+
+  // Admin list, including unpublished templates (?status= to filter)
+  async getManagedTemplates(req, res, next) {
+    try {
+      const baseQuery = { teamId: null };
+      if (["published", "unpublished"].includes(req.query.status)) {
+        baseQuery.status = req.query.status;
+      }
+      await listTemplates(req, res, baseQuery);
+    } catch (error) {
+      console.error("Error fetching managed templates:", error);
+      next(error);
+    }
+  },
+
+  // Publish a design as a new template
+  async createTemplate(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const design = await findDesign(req.body.designId);
+      if (!design) return designNotFound(res);
+
+      const template = new Template({
+        name: design.name,
+        createdBy: userId,
+        thumbnail: design.thumbnail,
+        publishedAt: new Date(),
+      });
+      const error = applyTemplateDetails(template, req.body);
+      if (error) return invalidInput(res, error, "INVALID_TEMPLATE_DETAILS");
+
+      applyDesignContent(template, design);
+      await template.save();
+      await recordVersion(template, userId, "Initial version");
+
+      res.status(201).json({
+        success: true,
+        data: template,
+        message: "Template published successfully",
+      });
+    } catch (error) {
+      console.error("Error creating template:", error);
+      next(error);
+    }
+  },
+
+  // Update a template's details (content changes go through versions)
+  async updateTemplate(req, res, next) {
+    try {
+      const template = await findTemplate(req.params.id);
+      if (!template) return templateNotFound(res);
+
+      const error = applyTemplateDetails(template, req.body);
+      if (error) return invalidInput(res, error, "INVALID_TEMPLATE_DETAILS");
+
+      await template.save();
+
+      res.status(200).json({
+        success: true,
+        data: template,
+        message: "Template updated successfully",
+      });
+    } catch (error) {
+      console.error("Error updating template:", error);
+      next(error);
+    }
+  },
+
+  // Previous versions of a template, newest first (without page content)
+  async getTemplateVersions(req, res, next) {
+    try {
+      const template = await findTemplate(req.params.id);
+      if (!template) return templateNotFound(res);
+
+      const versions = await TemplateVersion.find({ templateId: template._id })
+        .sort({ version: -1 })
+        .select("-pages.canvasData");
+
+      res.status(200).json({
+        success: true,
+        data: versions,
+      });
+    } catch (error) {
+      console.error("Error fetching template versions:", error);
+      next(error);
+    }
+  },
+
+  // Publish new content for a template, from the given design or the one it
+  // was last published from
+  async createTemplateVersion(req, res, next) {
+    try {
+      const template = await findTemplate(req.params.id);
+      if (!template) return templateNotFound(res);
+
+      const design = await findDesign(
+        req.body.designId || template.sourceDesignId
+      );
+      if (!design) return designNotFound(res);
+
+      applyDesignContent(template, design);
+      if (req.body.updateThumbnail !== false && design.thumbnail) {
+        template.thumbnail = design.thumbnail;
+      }
+      template.version += 1;
+      await template.save();
+
+      const note =
+        typeof req.body.note === "string" ? req.body.note.trim() : "";
+      await recordVersion(template, req.user.userId, note.slice(0, 200));
+
+      res.status(201).json({
+        success: true,
+        data: template,
+        message: `Published version ${template.version}`,
+      });
+    } catch (error) {
+      console.error("Error creating template version:", error);
+      next(error);
+    }
+  },
+
+  // Roll a template back to an earlier version. This publishes the old
+  // content as a new version, so the history stays linear.
+  async restoreTemplateVersion(req, res, next) {
+    try {
+      const template = await findTemplate(req.params.id);
+      if (!template) return templateNotFound(res);
+
+      const version = await TemplateVersion.findOne({
+        templateId: template._id,
+        version: parseInt(req.params.version),
+      });
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          error: "Version not found",
+          message: "That version of the template doesn't exist",
+          code: "VERSION_NOT_FOUND",
+        });
+      }
+
+      template.width = version.width;
+      template.height = version.height;
+      template.thumbnail = version.thumbnail;
+      template.pages = version.pages.map((page) => page.toObject());
+      template.sourceDesignId = version.sourceDesignId;
+      template.version += 1;
+      await template.save();
+      await recordVersion(
+        template,
+        req.user.userId,
+        `Restored from version ${version.version}`
+      );
+
+      res.status(200).json({
+        success: true,
+        data: template,
+        message: `Restored version ${version.version}`,
+      });
+    } catch (error) {
+      console.error("Error restoring template version:", error);
+      next(error);
+    }
+  },
+
+  async publishTemplate(req, res, next) {
+    try {
+      const template = await findTemplate(req.params.id);
+      if (!template) return templateNotFound(res);
+
+      template.status = "published";
+      template.publishedAt = new Date();
+      await template.save();
+
+      res.status(200).json({
+        success: true,
+        data: template,
+        message: "Template published",
+      });
+    } catch (error) {
+      console.error("Error publishing template:", error);
+      next(error);
+    }
+  },
+
+  // Hide a template from the gallery; designs made from it are unaffected
+  async unpublishTemplate(req, res, next) {
+    try {
+      const template = await findTemplate(req.params.id);
+      if (!template) return templateNotFound(res);
+
+      template.status = "unpublished";
+      await template.save();
+
+      res.status(200).json({
+        success: true,
+        data: template,
+        message: "Template unpublished",
+      });
+    } catch (error) {
+      console.error("Error unpublishing template:", error);
+      next(error);
+    }
+  },
+
+  async deleteTemplate(req, res, next) {
+    try {
+      const template = await findTemplate(req.params.id);
+      if (!template) return templateNotFound(res);
+
+      await TemplateVersion.deleteMany({ templateId: template._id });
+      await template.deleteOne();
+
+      res.status(200).json({
+        success: true,
+        message: "Template deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting template:", error);
+      next(error);
+    }
+  },
+
+  // Templates the team published for its members (same filters as the
+  // gallery)
+  async getTeamTemplates(req, res, next) {
+    try {
+      await listTemplates(req, res, {
+        status: "published",
+        teamId: req.team._id,
+      });
+    } catch (error) {
+      console.error("Error fetching team templates:", error);
+      next(error);
+    }
+  },
+
+  // Publish one of the team's designs as a template for its members
+  async createTeamTemplate(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const design = mongoose.isValidObjectId(req.body.designId)
+        ? await Design.findOne({
+            _id: req.body.designId,
+            teamId: req.team._id,
+            deletedAt: null,
+          })
+        : null;
+      if (!design) return designNotFound(res);
+
+      const template = new Template({
+        name: design.name,
+        createdBy: userId,
+        teamId: req.team._id,
+        thumbnail: design.thumbnail,
+        publishedAt: new Date(),
+      });
+      // Team templates are free to use for everyone in the team
+      const error = applyTemplateDetails(template, {
+        ...req.body,
+        isPremium: undefined,
+      });
+      if (error) return invalidInput(res, error, "INVALID_TEMPLATE_DETAILS");
+
+      applyDesignContent(template, design);
+      await template.save();
+      await recordVersion(template, userId, "Initial version");
+
+      res.status(201).json({
+        success: true,
+        data: template,
+        message: "Template published to your team",
+      });
+    } catch (error) {
+      console.error("Error creating team template:", error);
+      next(error);
+    }
+  },
+
+  // Remove a team template: its publisher or a team admin can
+  async deleteTeamTemplate(req, res, next) {
+    try {
+      const template = mongoose.isValidObjectId(req.params.templateId)
+        ? await Template.findOne({
+            _id: req.params.templateId,
+            teamId: req.team._id,
+          })
+        : null;
+      if (!template) return templateNotFound(res);
+
+      if (
+        template.createdBy !== req.user.userId &&
+        !isTeamAdmin(req.membership.role)
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: "Permission denied",
+          message: "Only team admins can delete templates others published",
+          code: "PERMISSION_DENIED",
+        });
+      }
+
+      await TemplateVersion.deleteMany({ templateId: template._id });
+      await template.deleteOne();
+
+      res.status(200).json({
+        success: true,
+        message: "Template deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting team template:", error);
+      next(error);
+    }
+  },
+};
+
+module.exports = templateController;
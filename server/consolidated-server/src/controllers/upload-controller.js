@@ -3,7 +3,82 @@ const {
   deleteMediaFromCloudinary,
   generateImageVariations,
 } = require("../utils/cloudinary");
+const mongoose = require("mongoose");
 const Media = require("../models/media");
+const MediaFolder = require("../models/media-folder");
+const BrandKit = require("../models/brand-kit");
+const {
+  MAX_TAGS_PER_MEDIA,
+  MAX_BULK_ITEMS,
+  LIBRARY_FILTER,
+  normalizeTags,
+  buildMediaFilter,
+  getStorageUsage,
+  checkStorageQuota,
+  findMediaUsage,
+} = require("../utils/media-library");
+const { workspaceFilter, workspaceFields } = require("../utils/workspaces");
+
+const invalidInput = (res, message, code) =>
+  res.status(400).json({
+    success: false,
+    error: "Invalid input",
+    message,
+    code,
+  });
+
+const quotaExceeded = (res, message) =>
+  res.status(403).json({
+    success: false,
+    error: "Storage quota exceeded",
+    message,
+    code: "STORAGE_QUOTA_EXCEEDED",
+  });
+
+const folderNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Folder not found",
+    message: "Media folder not found or you don't have permission to use it",
+    code: "FOLDER_NOT_FOUND",
+  });
+
+// Library folder id from a request: null for the top level, or false when
+// it isn't one of the workspace's folders
+const resolveFolderId = async (scope, folderId) => {
+  if (!folderId || folderId === "root") return null;
+  if (!mongoose.isValidObjectId(folderId)) return false;
+  const exists = await MediaFolder.exists({ _id: folderId, ...scope });
+  return exists ? folderId : false;
+};
+
+// Ids for a bulk request, or null when the list is missing or too long
+const readBulkIds = (ids) =>
+  Array.isArray(ids) &&
+  ids.length > 0 &&
+  ids.length <= MAX_BULK_ITEMS &&
+  ids.every((id) => mongoose.isValidObjectId(id))
+    ? ids
+    : null;
+
+// Delete a file from Cloudinary and the library. Cloudinary failures are
+// logged only, so a missing file doesn't keep the record around.
+const removeMedia = async (media) => {
+  try {
+    await deleteMediaFromCloudinary(media.cloudinaryId);
+  } catch (cloudinaryError) {
+    console.warn("Failed to delete from Cloudinary:", cloudinaryError);
+  }
+
+  await Media.deleteOne({ _id: media._id });
+  // A deleted image can't stay in the brand kit of its workspace
+  await BrandKit.updateOne(
+    media.teamId
+      ? { teamId: media.teamId }
+      : { userId: media.userId, teamId: null },
+    { $pull: { logos: { mediaId: media._id } } }
+  );
+};
 
 const uploadController = {
   // Upload single media file
@@ -20,6 +95,13 @@ const uploadController = {
 
       const { originalname, mimetype, size } = req.file;
       const { userId } = req.user;
+      const scope = workspaceFilter(req);
+
+      const folderId = await resolveFolderId(scope, req.body.folderId);
+      if (folderId === false) return folderNotFound(res);
+
+      const quotaError = await checkStorageQuota(scope, size);
+      if (quotaError) return quotaExceeded(res, quotaError);
 
       // Upload to Cloudinary
       const cloudinaryResult = await uploadMediaToCloudinary(req.file, {
@@ -34,7 +116,7 @@ const uploadController = {
 
       // Create media record in database
       const newMedia = new Media({
-        userId,
+        ...workspaceFields(req),
         name: originalname,
         cloudinaryId: cloudinaryResult.public_id,
         url: cloudinaryResult.secure_url,
@@ -46,6 +128,8 @@ const uploadController = {
         format: cloudinaryResult.format,
         resourceType: cloudinaryResult.resource_type,
         folder: cloudinaryResult.folder,
+        folderId,
+        tags: normalizeTags(req.body.tags),
       });
 
       const savedMedia = await newMedia.save();
@@ -77,6 +161,18 @@ const uploadController = {
       }
 
       const { userId } = req.user;
+      const scope = workspaceFilter(req);
+
+      const folderId = await resolveFolderId(scope, req.body.folderId);
+      if (folderId === false) return folderNotFound(res);
+
+      const quotaError = await checkStorageQuota(
+        scope,
+        req.files.reduce((total, file) => total + file.size, 0)
+      );
+      if (quotaError) return quotaExceeded(res, quotaError);
+
+      const tags = normalizeTags(req.body.tags);
       const uploadPromises = req.files.map(async (file) => {
         try {
           const cloudinaryResult = await uploadMediaToCloudinary(file, {
@@ -85,7 +181,7 @@ const uploadController = {
           });
 
           const newMedia = new Media({
-            userId,
+            ...workspaceFields(req),
             name: file.originalname,
             cloudinaryId: cloudinaryResult.public_id,
             url: cloudinaryResult.secure_url,
@@ -97,6 +193,8 @@ const uploadController = {
             format: cloudinaryResult.format,
             resourceType: cloudinaryResult.resource_type,
             folder: cloudinaryResult.folder,
+            folderId,
+            tags,
           });
 
           return await newMedia.save();
@@ -125,19 +223,18 @@ const uploadController = {
     }
   },
 
-  // Get all media for user
+  // Get all media for user (?type=&folderId=&tags=a,b&q=)
   async getAllMediasByUser(req, res, next) {
     try {
-      const { userId } = req.user;
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 20;
       const skip = (page - 1) * limit;
-      const resourceType = req.query.type; // Filter by resource type
 
-      const query = { userId };
-      if (resourceType) {
-        query.resourceType = resourceType;
-      }
+      const { filter: query, error } = buildMediaFilter(
+        workspaceFilter(req),
+        req.query
+      );
+      if (error) return invalidInput(res, error, "INVALID_FILTER");
 
       const medias = await Media.find(query)
         .sort({ createdAt: -1 })
@@ -166,9 +263,9 @@ const uploadController = {
   async getMediaById(req, res, next) {
     try {
       const { id } = req.params;
-      const { userId } = req.user;
+      const scope = workspaceFilter(req);
 
-      const media = await Media.findOne({ _id: id, userId });
+      const media = await Media.findOne({ _id: id, ...scope });
 
       if (!media) {
         return res.status(404).json({
@@ -195,13 +292,14 @@ const uploadController = {
     }
   },
 
-  // Delete media
+  // Delete media. Media still used by designs is only deleted with
+  // ?force=true, otherwise the designs using it are returned with a 409.
   async deleteMedia(req, res, next) {
     try {
       const { id } = req.params;
-      const { userId } = req.user;
+      const scope = workspaceFilter(req);
 
-      const media = await Media.findOne({ _id: id, userId });
+      const media = await Media.findOne({ _id: id, ...scope });
 
       if (!media) {
         return res.status(404).json({
@@ -212,16 +310,22 @@ const uploadController = {
         });
       }
 
-      // Delete from Cloudinary
-      try {
-        await deleteMediaFromCloudinary(media.cloudinaryId);
-      } catch (cloudinaryError) {
-        console.warn("Failed to delete from Cloudinary:", cloudinaryError);
-        // Continue with database deletion even if Cloudinary deletion fails
+      if (req.query.force !== "true") {
+        const designs = await findMediaUsage(scope, media);
+        if (designs.length > 0) {
+          return res.status(409).json({
+            success: false,
+            error: "Media in use",
+            message: `This image is used in ${designs.length} design${
+              designs.length === 1 ? "" : "s"
+            }. Deleting it will leave them without it.`,
+            code: "MEDIA_IN_USE",
+            data: { designs },
+          });
+        }
       }
 
-      // Delete from database
-      await Media.deleteOne({ _id: id });
+      await removeMedia(media);
 
       res.status(200).json({
         success: true,
@@ -237,18 +341,16 @@ const uploadController = {
   async searchMedia(req, res, next) {
     try {
       const { query } = req.params;
-      const { userId } = req.user;
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 20;
       const skip = (page - 1) * limit;
 
-      const searchQuery = {
-        userId,
-        $or: [
-          { name: { $regex: query, $options: "i" } },
-          { tags: { $regex: query, $options: "i" } },
-        ],
-      };
+      // Same filters as the library list, with the path as the search text
+      const { filter: searchQuery, error } = buildMediaFilter(
+        workspaceFilter(req),
+        { ...req.query, q: query }
+      );
+      if (error) return invalidInput(res, error, "INVALID_FILTER");
 
       const medias = await Media.find(searchQuery)
         .sort({ createdAt: -1 })
@@ -277,10 +379,10 @@ const uploadController = {
   async updateMediaMetadata(req, res, next) {
     try {
       const { id } = req.params;
-      const { userId } = req.user;
-      const { name, tags, isPublic } = req.body;
+      const scope = workspaceFilter(req);
+      const { name, tags, isPublic, folderId } = req.body;
 
-      const media = await Media.findOne({ _id: id, userId });
+      const media = await Media.findOne({ _id: id, ...scope });
 
       if (!media) {
         return res.status(404).json({
@@ -293,8 +395,13 @@ const uploadController = {
 
       // Update allowed fields
       if (name) media.name = name;
-      if (tags) media.tags = tags;
+      if (tags) media.tags = normalizeTags(tags);
       if (isPublic !== undefined) media.isPublic = isPublic;
+      if (folderId !== undefined) {
+        const resolvedFolderId = await resolveFolderId(scope, folderId);
+        if (resolvedFolderId === false) return folderNotFound(res);
+        media.folderId = resolvedFolderId;
+      }
 
       const updatedMedia = await media.save();
 
@@ -309,6 +416,186 @@ const uploadController = {
     }
   },
 
+  // Designs that use a media file, to warn before deleting it
+  async getMediaUsage(req, res, next) {
+    try {
+      const scope = workspaceFilter(req);
+      const media = await Media.findOne({ _id: req.params.id, ...scope });
+
+      if (!media) {
+        return res.status(404).json({
+          success: false,
+          error: "Media not found",
+          message: "Media not found or you don't have permission to view it",
+          code: "MEDIA_NOT_FOUND",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: { designs: await findMediaUsage(scope, media) },
+      });
+    } catch (error) {
+      console.error("Error fetching media usage:", error);
+      next(error);
+    }
+  },
+
+  // Storage used by the library against the plan's quota
+  async getStorage(req, res, next) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: await getStorageUsage(workspaceFilter(req)),
+      });
+    } catch (error) {
+      console.error("Error fetching storage usage:", error);
+      next(error);
+    }
+  },
+
+  // Tags used in the library with how many files have each
+  async getMediaTags(req, res, next) {
+    try {
+      const tags = await Media.aggregate([
+        { $match: { ...workspaceFilter(req), ...LIBRARY_FILTER } },
+        { $unwind: "$tags" },
+        { $group: { _id: "$tags", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: 100 },
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: tags.map(({ _id, count }) => ({ name: _id, count })),
+      });
+    } catch (error) {
+      console.error("Error fetching media tags:", error);
+      next(error);
+    }
+  },
+
+  // Delete several files ({ ids, force }). Without force nothing is
+  // deleted when any of them is used by a design.
+  async bulkDeleteMedia(req, res, next) {
+    try {
+      const scope = workspaceFilter(req);
+      const ids = readBulkIds(req.body.ids);
+      if (!ids) {
+        return invalidInput(
+          res,
+          `Select between 1 and ${MAX_BULK_ITEMS} files`,
+          "INVALID_IDS"
+        );
+      }
+
+      const medias = await Media.find({ _id: { $in: ids }, ...scope });
+
+      if (req.body.force !== true) {
+        const usage = [];
+        for (const media of medias) {
+          const designs = await findMediaUsage(scope, media);
+          if (designs.length > 0) {
+            usage.push({ mediaId: media._id, name: media.name, designs });
+          }
+        }
+        if (usage.length > 0) {
+          return res.status(409).json({
+            success: false,
+            error: "Media in use",
+            message: `${usage.length} of the selected files ${
+              usage.length === 1 ? "is" : "are"
+            } used in designs.`,
+            code: "MEDIA_IN_USE",
+            data: { usage },
+          });
+        }
+      }
+
+      for (const media of medias) {
+        await removeMedia(media);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: { deletedIds: medias.map((media) => media._id) },
+        message: `${medias.length} file${
+          medias.length === 1 ? "" : "s"
+        } deleted`,
+      });
+    } catch (error) {
+      console.error("Error deleting media in bulk:", error);
+      next(error);
+    }
+  },
+
+  // Move several files to a folder and/or change their tags
+  // ({ ids, folderId, addTags, removeTags })
+  async bulkUpdateMedia(req, res, next) {
+    try {
+      const scope = workspaceFilter(req);
+      const ids = readBulkIds(req.body.ids);
+      if (!ids) {
+        return invalidInput(
+          res,
+          `Select between 1 and ${MAX_BULK_ITEMS} files`,
+          "INVALID_IDS"
+        );
+      }
+
+      // Applied as an update pipeline, which Mongoose doesn't cast, so ids
+      // are converted here and tags are passed as literals
+      const set = {};
+      if (req.body.folderId !== undefined) {
+        const folderId = await resolveFolderId(scope, req.body.folderId);
+        if (folderId === false) return folderNotFound(res);
+        set.folderId = folderId && new mongoose.Types.ObjectId(folderId);
+      }
+
+      const addTags = normalizeTags(req.body.addTags);
+      const removeTags = normalizeTags(req.body.removeTags);
+      if (addTags.length > 0 || removeTags.length > 0) {
+        set.tags = {
+          $slice: [
+            {
+              $setDifference: [
+                {
+                  $setUnion: [
+                    { $ifNull: ["$tags", []] },
+                    { $literal: addTags },
+                  ],
+                },
+                { $literal: removeTags },
+              ],
+            },
+            MAX_TAGS_PER_MEDIA,
+          ],
+        };
+      }
+
+      if (Object.keys(set).length === 0) {
+        return invalidInput(res, "Nothing to update", "NOTHING_TO_UPDATE");
+      }
+
+      const result = await Media.updateMany(
+        { _id: { $in: ids }, ...scope },
+        [{ $set: set }]
+      );
+      const medias = await Media.find({ _id: { $in: ids }, ...scope });
+
+      res.status(200).json({
+        success: true,
+        data: medias,
+        message: `${result.modifiedCount} file${
+          result.modifiedCount === 1 ? "" : "s"
+        } updated`,
+      });
+    } catch (error) {
+      console.error("Error updating media in bulk:", error);
+      next(error);
+    }
+  },
+
   // Validate AI request middleware
   validateAIRequest(req, res, next) {
     const { prompt } = req.body;
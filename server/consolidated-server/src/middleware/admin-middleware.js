@@ -0,0 +1,36 @@
+// Admins are configured on the server, there is no admin role in the
+// database: ADMIN_EMAILS and ADMIN_USER_IDS are comma separated lists
+const parseList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+const isAdminUser = (user) => {
+  if (!user) return false;
+
+  const emails = parseList(process.env.ADMIN_EMAILS);
+  const userIds = parseList(process.env.ADMIN_USER_IDS);
+  const email = (user.email || "").toLowerCase();
+  const userId = String(user.userId || "").toLowerCase();
+  return (
+    (Boolean(email) && emails.includes(email)) ||
+    (Boolean(userId) && userIds.includes(userId))
+  );
+};
+
+// Must run after authMiddleware
+function adminMiddleware(req, res, next) {
+  if (!isAdminUser(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: "Admin access required",
+      message: "You don't have permission to manage templates",
+      code: "ADMIN_REQUIRED",
+    });
+  }
+  next();
+}
+
+module.exports = adminMiddleware;
+module.exports.isAdminUser = isAdminUser;
@@ -2,6 +2,36 @@ const { OAuth2Client } = require("google-auth-library");
 
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
+// Verify a Google ID token and return the user it belongs to. Shared with
+// the WebSocket server, which can't use the Express middleware.
+async function verifyAccessToken(token) {
+  const now = Math.floor(Date.now() / 1000);
+
+  // Add clock tolerance for token verification (10 minutes for better reliability)
+  const ticket = await client.verifyIdToken({
+    idToken: token,
+    audience: process.env.GOOGLE_CLIENT_ID,
+    // Increase clock skew tolerance to handle server time differences better
+    clockSkew: 600, // 10 minutes in seconds
+  });
+
+  const payload = ticket.getPayload();
+
+  // Additional manual expiry check with increased tolerance
+  const expiry = payload.exp;
+  const clockTolerance = 600; // 10 minutes
+
+  if (now > expiry + clockTolerance) {
+    throw new Error(`Token expired: ${now} > ${expiry + clockTolerance}`);
+  }
+
+  return {
+    userId: payload["sub"],
+    email: payload["email"],
+    name: payload["name"],
+  };
+}
+
 async function authMiddleware(req, res, next) {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
@@ -46,37 +76,15 @@ async function authMiddleware(req, res, next) {
       // Continue with normal verification if decode fails
     }
 
-    // Add clock tolerance for token verification (10 minutes for better reliability)
-    const ticket = await client.verifyIdToken({
-      idToken: token,
-      audience: process.env.GOOGLE_CLIENT_ID,
-      // Increase clock skew tolerance to handle server time differences better
-      clockSkew: 600, // 10 minutes in seconds
-    });
-
-    const payload = ticket.getPayload();
-
-    // Additional manual expiry check with increased tolerance
-    const expiry = payload.exp;
-    const clockTolerance = 600; // 10 minutes
-
-    if (now > expiry + clockTolerance) {
-      throw new Error(`Token expired: ${now} > ${expiry + clockTolerance}`);
-    }
-
     //add user info to req.user
-    req.user = {
-      userId: payload["sub"],
-      email: payload["email"],
-      name: payload["name"],
-    };
+    req.user = await verifyAccessToken(token);
 
     //Add User ID to headers for downstream services
-    req.headers["x-user-id"] = payload["sub"];
+    req.headers["x-user-id"] = req.user.userId;
 
     //optional
-    req.headers["x-user-email"] = payload["email"];
-    req.headers["x-user-name"] = payload["name"];
+    req.headers["x-user-email"] = req.user.email;
+    req.headers["x-user-name"] = req.user.name;
 
     next();
   } catch (err) {
@@ -136,3 +144,4 @@ async function authMiddleware(req, res, next) {
 }
 
 module.exports = authMiddleware;
+module.exports.verifyAccessToken = verifyAccessToken;
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+const Team = require("../models/team");
+const TeamMembership = require("../models/team-membership");
+
+// Load the team in :teamId into req.team and the user's membership of it
+// into req.membership. Teams the user hasn't joined are not found. Must
+// run after authMiddleware.
+async function teamMiddleware(req, res, next) {
+  try {
+    const { teamId } = req.params;
+    const [team, membership] = mongoose.isValidObjectId(teamId)
+      ? await Promise.all([
+          Team.findById(teamId),
+          TeamMembership.findOne({
+            teamId,
+            userId: req.user.userId,
+            status: "active",
+          }),
+        ])
+      : [];
+
+    if (!team || !membership) {
+      return res.status(404).json({
+        success: false,
+        error: "Team not found",
+        message: "Team not found or you are not a member of it",
+        code: "TEAM_NOT_FOUND",
+      });
+    }
+
+    req.team = team;
+    req.membership = membership;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Team billing is managed by the owner only. Must run after teamMiddleware.
+function requireTeamOwner(req, res, next) {
+  if (req.membership.role !== "owner") {
+    return res.status(403).json({
+      success: false,
+      error: "Permission denied",
+      message: "Only the team owner can manage billing",
+      code: "PERMISSION_DENIED",
+    });
+  }
+  next();
+}
+
+module.exports = teamMiddleware;
+module.exports.requireTeamOwner = requireTeamOwner;
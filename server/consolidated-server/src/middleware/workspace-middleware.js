@@ -0,0 +1,37 @@
+const { findActiveMemberships } = require("../utils/workspaces");
+
+// Load the user's teams into req.user.teamIds and set req.workspace to
+// the team workspace picked with the X-Workspace-Id header, { teamId,
+// role }. Without the header requests work in the personal workspace and
+// req.workspace is null. Must run after authMiddleware.
+async function workspaceMiddleware(req, res, next) {
+  try {
+    const memberships = await findActiveMemberships(req.user.userId);
+    req.user.teamIds = memberships.map((membership) =>
+      membership.teamId.toString()
+    );
+    req.workspace = null;
+
+    const workspaceId = req.headers["x-workspace-id"];
+    if (!workspaceId || workspaceId === "personal") return next();
+
+    const membership = memberships.find(
+      (candidate) => candidate.teamId.toString() === workspaceId
+    );
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        error: "Workspace access denied",
+        message: "You are not a member of this team",
+        code: "WORKSPACE_ACCESS_DENIED",
+      });
+    }
+
+    req.workspace = { teamId: membership.teamId, role: membership.role };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = workspaceMiddleware;
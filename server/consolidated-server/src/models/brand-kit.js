@@ -0,0 +1,117 @@
+const mongoose = require("mongoose");
+
+const PaletteSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    maxlength: 50,
+  },
+  // Lowercase #rrggbb values, most important first
+  colors: {
+    type: [String],
+    default: [],
+  },
+});
+
+const FontPairSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    maxlength: 50,
+  },
+  heading: {
+    type: String,
+    required: true,
+    maxlength: 100,
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 100,
+  },
+});
+
+// A logo is a reference to an uploaded media item
+const LogoSchema = new mongoose.Schema(
+  {
+    mediaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+      required: true,
+    },
+    name: {
+      type: String,
+      maxlength: 255,
+      default: "",
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    width: Number,
+    height: Number,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Colors, fonts and logos offered first throughout the editor. Each
+// workspace has its own kit, shared by all members of a team.
+const BrandKitSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    // Team workspace the kit belongs to, null for a personal kit
+    teamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      default: null,
+    },
+    name: {
+      type: String,
+      maxlength: 100,
+      default: "My Brand",
+    },
+    palettes: {
+      type: [PaletteSchema],
+      default: [],
+    },
+    fontPairs: {
+      type: [FontPairSchema],
+      default: [],
+    },
+    logos: {
+      type: [LogoSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One personal kit per user and one kit per team. These replace the unique
+// userId_1 index, which has to be dropped where it was already built.
+BrandKitSchema.index(
+  { userId: 1 },
+  {
+    name: "personal_kit_unique",
+    unique: true,
+    partialFilterExpression: { teamId: { $type: "null" } },
+  }
+);
+BrandKitSchema.index(
+  { teamId: 1 },
+  {
+    name: "team_kit_unique",
+    unique: true,
+    partialFilterExpression: { teamId: { $type: "objectId" } },
+  }
+);
+
+const BrandKit =
+  mongoose.models.BrandKit || mongoose.model("BrandKit", BrandKitSchema);
+module.exports = BrandKit;
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// A reusable piece of a design (header, footer, logo lockup...). Designs
+// hold linked instances that are refreshed when `version` moves past theirs.
+const ComponentSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Team workspace the component belongs to, null in the personal one
+    teamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      default: null,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      maxlength: 100,
+    },
+    // Fabric JSON of the master object, validated by utils/components
+    data: {
+      type: String,
+      required: true,
+    },
+    thumbnail: {
+      type: String,
+      required: false,
+    },
+    // Bumped whenever the master's content changes
+    version: {
+      type: Number,
+      default: 1,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ComponentSchema.index({ userId: 1, updatedAt: -1 });
+ComponentSchema.index({ teamId: 1, updatedAt: -1 });
+
+const Component =
+  mongoose.models.Component || mongoose.model("Component", ComponentSchema);
+module.exports = Component;
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// Named sequences, e.g. invoice numbers
+const CounterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const Counter =
+  mongoose.models.Counter || mongoose.model("Counter", CounterSchema);
+
+module.exports = Counter;
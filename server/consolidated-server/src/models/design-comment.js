@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+const { MAX_COMMENT_LENGTH } = require("../utils/design-comments");
+
+const CommentReplySchema = new mongoose.Schema(
+  {
+    authorId: {
+      type: String,
+      required: true,
+    },
+    authorName: {
+      type: String,
+      default: "",
+    },
+    authorEmail: {
+      type: String,
+      default: "",
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: MAX_COMMENT_LENGTH,
+    },
+    // Lowercased emails of the people @mentioned in the body
+    mentions: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A review thread pinned to a spot on a page, or to an object on it
+const DesignCommentSchema = new mongoose.Schema(
+  {
+    designId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Design",
+      required: true,
+      index: true,
+    },
+    pageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Canvas coordinates of the pin. With an objectId the pin follows that
+    // object and x/y only keep its last known position.
+    anchor: {
+      objectId: {
+        type: String,
+        required: false,
+      },
+      x: {
+        type: Number,
+        required: true,
+      },
+      y: {
+        type: Number,
+        required: true,
+      },
+    },
+    authorId: {
+      type: String,
+      required: true,
+    },
+    authorName: {
+      type: String,
+      default: "",
+    },
+    authorEmail: {
+      type: String,
+      default: "",
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: MAX_COMMENT_LENGTH,
+    },
+    mentions: {
+      type: [String],
+      default: [],
+    },
+    replies: {
+      type: [CommentReplySchema],
+      default: [],
+    },
+    resolved: {
+      type: Boolean,
+      default: false,
+    },
+    resolvedBy: {
+      type: String,
+      required: false,
+    },
+    resolvedAt: {
+      type: Date,
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+DesignCommentSchema.index({ designId: 1, pageId: 1, createdAt: 1 });
+DesignCommentSchema.index({ designId: 1, mentions: 1 });
+
+const DesignComment =
+  mongoose.models.DesignComment ||
+  mongoose.model("DesignComment", DesignCommentSchema);
+module.exports = DesignComment;
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+// Page content captured in a snapshot
+const VersionPageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      maxlength: 100,
+      default: "",
+    },
+    canvasData: {
+      type: String,
+      required: false,
+    },
+    background: {
+      type: String,
+      required: false,
+      maxlength: 100,
+    },
+    thumbnail: {
+      type: String,
+      required: false,
+    },
+  },
+  { _id: false }
+);
+
+// Point-in-time snapshot of a design used for version history
+const DesignVersionSchema = new mongoose.Schema(
+  {
+    designId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Design",
+      required: true,
+      index: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // "auto" snapshots are taken while saving, "manual" ones are named
+    // checkpoints and "restore" ones keep the state replaced by a restore
+    type: {
+      type: String,
+      enum: ["auto", "manual", "restore"],
+      default: "auto",
+    },
+    label: {
+      type: String,
+      maxlength: 100,
+      default: "",
+    },
+    name: {
+      type: String,
+      required: true,
+      maxlength: 100,
+    },
+    width: {
+      type: Number,
+      required: true,
+    },
+    height: {
+      type: Number,
+      required: true,
+    },
+    thumbnail: {
+      type: String,
+      required: false,
+    },
+    pages: {
+      type: [VersionPageSchema],
+      default: [],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound index for history queries
+DesignVersionSchema.index({ designId: 1, createdAt: -1 });
+DesignVersionSchema.index({ designId: 1, type: 1, createdAt: -1 });
+
+const DesignVersion =
+  mongoose.models.DesignVersion ||
+  mongoose.model("DesignVersion", DesignVersionSchema);
+module.exports = DesignVersion;
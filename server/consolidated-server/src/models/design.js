@@ -1,4 +1,67 @@
 const mongoose = require("mongoose");
+const {
+  MAX_PAGES_PER_DESIGN,
+  legacyPage,
+} = require("../utils/design-pages");
+const { COLLABORATOR_ROLES } = require("../utils/design-access");
+const { buildSearchText } = require("../utils/design-search");
+
+// A single page of a multi-page design (presentations, brochures...)
+const PageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      maxlength: 100,
+      default: "",
+    },
+    canvasData: {
+      type: String,
+      required: false,
+    },
+    background: {
+      type: String,
+      required: false,
+      maxlength: 100,
+    },
+    thumbnail: {
+      type: String,
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Someone the owner shared the design with. Invites are by email; userId is
+// filled in the first time the invitee opens the design.
+const CollaboratorSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      maxlength: 254,
+    },
+    userId: {
+      type: String,
+      required: false,
+    },
+    role: {
+      type: String,
+      enum: COLLABORATOR_ROLES,
+      default: "viewer",
+    },
+    invitedBy: {
+      type: String,
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
 
 const DesignSchema = new mongoose.Schema(
   {
@@ -7,6 +70,13 @@ const DesignSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Team workspace the design belongs to, null in the personal one
+    teamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      default: null,
+      index: true,
+    },
     name: {
       type: String,
       required: true,
@@ -47,6 +117,56 @@ const DesignSchema = new mongoose.Schema(
       type: String,
       required: false,
     },
+    // Ordered list of pages. canvasData/thumbnail above mirror the first page
+    // so list previews and older clients keep working.
+    pages: {
+      type: [PageSchema],
+      default: [],
+      validate: {
+        validator: (pages) => pages.length <= MAX_PAGES_PER_DESIGN,
+        message: `A design can have at most ${MAX_PAGES_PER_DESIGN} pages`,
+      },
+    },
+    // Folder the design is filed in, top-level designs have none
+    folderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Folder",
+      default: null,
+    },
+    isStarred: {
+      type: Boolean,
+      default: false,
+    },
+    // Set while the design is in the trash (see utils/design-trash)
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    // Text content of all pages, kept for full-text search
+    searchText: {
+      type: String,
+      default: "",
+      select: false,
+    },
+    collaborators: {
+      type: [CollaboratorSchema],
+      default: [],
+    },
+    // Public read-only link, anyone with the token can view the design
+    shareLink: {
+      token: {
+        type: String,
+        required: false,
+      },
+      expiresAt: {
+        type: Date,
+        required: false,
+      },
+      createdAt: {
+        type: Date,
+        required: false,
+      },
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -65,6 +185,21 @@ const DesignSchema = new mongoose.Schema(
 // Compound index for user queries
 DesignSchema.index({ userId: 1, updatedAt: -1 });
 DesignSchema.index({ userId: 1, category: 1 });
+DesignSchema.index({ userId: 1, deletedAt: 1, folderId: 1 });
+
+// Finding designs whose time in the trash is up
+DesignSchema.index({ deletedAt: 1 });
+
+// Full-text search over the user's designs (MongoDB allows one text index)
+DesignSchema.index(
+  { name: "text", tags: "text", searchText: "text" },
+  { weights: { name: 10, tags: 5, searchText: 1 }, name: "DesignTextIndex" }
+);
+
+// Lookups of designs shared with a user and of public links
+DesignSchema.index({ "collaborators.userId": 1 });
+DesignSchema.index({ "collaborators.email": 1 });
+DesignSchema.index({ "shareLink.token": 1 }, { unique: true, sparse: true });
 
 // Pre-save middleware to update timestamp
 DesignSchema.pre("save", function (next) {
@@ -72,5 +207,30 @@ DesignSchema.pre("save", function (next) {
   next();
 });
 
+// Keep the legacy single-canvas fields and the first page in sync
+DesignSchema.pre("save", function (next) {
+  if (!this.pages || this.pages.length === 0) {
+    // Designs created before multi-page support get their canvas as page 1
+    this.pages = [legacyPage(this)];
+  } else if (this.isModified("pages")) {
+    const [firstPage] = this.pages;
+    this.canvasData = firstPage.canvasData;
+    if (firstPage.thumbnail) this.thumbnail = firstPage.thumbnail;
+  } else if (this.isModified("canvasData")) {
+    this.pages[0].canvasData = this.canvasData;
+  }
+  next();
+});
+
+// Refresh the searchable text whenever page content changes
+DesignSchema.pre("save", function (next) {
+  const contentChanged =
+    this.isModified("pages") || this.isModified("canvasData");
+  if (this.isNew || contentChanged) {
+    this.searchText = buildSearchText(this);
+  }
+  next();
+});
+
 const Design = mongoose.models.Design || mongoose.model("Design", DesignSchema);
 module.exports = Design;
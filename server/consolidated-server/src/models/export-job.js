@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+
+// Jobs and their files are removed after a week by the export cleanup
+// (see utils/design-export). It is not a TTL index, because the file in
+// Cloudinary has to be deleted along with the job.
+
+const ExportJobSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Email of the requester, so the worker can check their access to a
+    // design shared with them by email
+    userEmail: {
+      type: String,
+      required: false,
+    },
+    designId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Design",
+      required: true,
+      index: true,
+    },
+    format: {
+      type: String,
+      enum: ["png", "jpeg", "pdf", "svg"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "failed"],
+      default: "queued",
+      index: true,
+    },
+    options: {
+      dpi: {
+        type: Number,
+        default: 300,
+      },
+      quality: {
+        type: Number,
+        default: 0.92,
+      },
+      // Pages to export, empty means all pages (PDF) or the first page
+      pageIds: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+      ],
+      bleedMm: {
+        type: Number,
+        default: 0,
+      },
+      cropMarks: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    progress: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    result: {
+      url: String,
+      cloudinaryId: String,
+      fileName: String,
+      mimeType: String,
+      size: Number,
+      width: Number,
+      height: Number,
+    },
+    error: {
+      type: String,
+      required: false,
+    },
+    startedAt: {
+      type: Date,
+      required: false,
+    },
+    completedAt: {
+      type: Date,
+      required: false,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ExportJobSchema.index({ userId: 1, createdAt: -1 });
+
+const ExportJob =
+  mongoose.models.ExportJob || mongoose.model("ExportJob", ExportJobSchema);
+module.exports = ExportJob;
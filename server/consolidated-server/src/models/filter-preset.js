@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// A named image adjustment stack a user saved to reuse on other images
+const FilterPresetSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      maxlength: 50,
+    },
+    // Validated by utils/filter-presets before saving
+    adjustments: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+FilterPresetSchema.index({ userId: 1, createdAt: -1 });
+
+const FilterPreset =
+  mongoose.models.FilterPreset ||
+  mongoose.model("FilterPreset", FilterPresetSchema);
+module.exports = FilterPreset;
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// A folder the user organizes their designs in. Folders nest through
+// parentId; top-level folders have none.
+const FolderSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Team workspace the folder belongs to, null in the personal one
+    teamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      default: null,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      maxlength: 100,
+    },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Folder",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+FolderSchema.index({ userId: 1, parentId: 1 });
+
+const Folder = mongoose.models.Folder || mongoose.model("Folder", FolderSchema);
+module.exports = Folder;
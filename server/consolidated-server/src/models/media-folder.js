@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// A folder of the user's media library. Library folders are one level
+// deep, unlike design folders.
+const MediaFolderSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Team workspace the folder belongs to, null in the personal one
+    teamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      default: null,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      maxlength: 100,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const MediaFolder =
+  mongoose.models.MediaFolder ||
+  mongoose.model("MediaFolder", MediaFolderSchema);
+module.exports = MediaFolder;
@@ -7,6 +7,13 @@ const mediaSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Team workspace the file belongs to, null in the personal one
+    teamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      default: null,
+      index: true,
+    },
     name: {
       type: String,
       required: true,
@@ -53,10 +60,17 @@ const mediaSchema = new mongoose.Schema(
       enum: ["image", "video", "raw", "auto"],
       default: "image",
     },
+    // Cloudinary folder the file is stored in
     folder: {
       type: String,
       default: "mocko-designs",
     },
+    // Media library folder the user filed it in, none for the top level
+    folderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MediaFolder",
+      default: null,
+    },
     tags: [
       {
         type: String,
@@ -67,6 +81,19 @@ const mediaSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // "thumbnail" media is generated by the server for a design and is
+    // hidden from the user's media library
+    purpose: {
+      type: String,
+      enum: ["upload", "thumbnail"],
+      default: "upload",
+    },
+    designId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Design",
+      required: false,
+      index: true,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -85,6 +112,8 @@ const mediaSchema = new mongoose.Schema(
 // Compound index for user queries
 mediaSchema.index({ userId: 1, createdAt: -1 });
 mediaSchema.index({ userId: 1, resourceType: 1 });
+mediaSchema.index({ userId: 1, folderId: 1, createdAt: -1 });
+mediaSchema.index({ userId: 1, tags: 1 });
 
 const Media = mongoose.models.Media || mongoose.model("Media", mediaSchema);
 module.exports = Media;
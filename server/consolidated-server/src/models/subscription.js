@@ -60,6 +60,21 @@ const SubscriptionSchema = new mongoose.Schema(
       type: Date,
       required: false,
     },
+    // Seats paid for, on team subscriptions
+    seats: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // Shown as the customer on invoices
+    billingDetails: {
+      name: { type: String, maxlength: 200 },
+      company: { type: String, maxlength: 200 },
+      email: { type: String, maxlength: 200 },
+      address: { type: String, maxlength: 500 },
+      country: { type: String, maxlength: 100 },
+      taxId: { type: String, maxlength: 50 },
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {},
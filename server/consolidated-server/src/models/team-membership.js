@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+const { TEAM_ROLES, MEMBERSHIP_STATUSES } = require("../utils/teams");
+
+// Someone in a team, or invited to it. Invites are by email; userId is
+// filled in when the invitee accepts.
+const TeamMembershipSchema = new mongoose.Schema(
+  {
+    teamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      maxlength: 254,
+    },
+    userId: {
+      type: String,
+      required: false,
+    },
+    name: {
+      type: String,
+      maxlength: 200,
+    },
+    role: {
+      type: String,
+      enum: TEAM_ROLES,
+      default: "member",
+    },
+    status: {
+      type: String,
+      enum: MEMBERSHIP_STATUSES,
+      default: "invited",
+    },
+    invitedBy: {
+      type: String,
+      required: false,
+    },
+    joinedAt: {
+      type: Date,
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One membership per person and team
+TeamMembershipSchema.index({ teamId: 1, email: 1 }, { unique: true });
+
+// The teams of a user and the invitations waiting for them
+TeamMembershipSchema.index({ userId: 1, status: 1 });
+TeamMembershipSchema.index({ email: 1, status: 1 });
+
+const TeamMembership =
+  mongoose.models.TeamMembership ||
+  mongoose.model("TeamMembership", TeamMembershipSchema);
+module.exports = TeamMembership;
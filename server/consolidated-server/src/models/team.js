@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// A shared workspace. Members share its designs, templates and media, and
+// get premium from its subscription, which is billed per seat (see
+// utils/teams).
+const TeamSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    ownerId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Team = mongoose.models.Team || mongoose.model("Team", TeamSchema);
+module.exports = Team;
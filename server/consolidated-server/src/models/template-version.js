@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+// Page content captured with a template version
+const TemplateVersionPageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      maxlength: 100,
+      default: "",
+    },
+    canvasData: {
+      type: String,
+      required: false,
+    },
+    background: {
+      type: String,
+      required: false,
+      maxlength: 100,
+    },
+    thumbnail: {
+      type: String,
+      required: false,
+    },
+  },
+  { _id: false }
+);
+
+// Content of a template as it was published, so a bad update can be
+// rolled back
+const TemplateVersionSchema = new mongoose.Schema(
+  {
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Template",
+      required: true,
+      index: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    width: {
+      type: Number,
+      required: true,
+    },
+    height: {
+      type: Number,
+      required: true,
+    },
+    thumbnail: {
+      type: String,
+      required: false,
+    },
+    pages: {
+      type: [TemplateVersionPageSchema],
+      default: [],
+    },
+    sourceDesignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Design",
+      required: false,
+    },
+    publishedBy: {
+      type: String,
+      required: true,
+    },
+    note: {
+      type: String,
+      maxlength: 200,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+TemplateVersionSchema.index({ templateId: 1, version: -1 }, { unique: true });
+
+const TemplateVersion =
+  mongoose.models.TemplateVersion ||
+  mongoose.model("TemplateVersion", TemplateVersionSchema);
+module.exports = TemplateVersion;
@@ -0,0 +1,132 @@
+const mongoose = require("mongoose");
+const {
+  TEMPLATE_STATUSES,
+  DEFAULT_TEMPLATE_CATEGORY,
+} = require("../utils/templates");
+
+// Page content of a template, copied from the design it was published from
+const TemplatePageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      maxlength: 100,
+      default: "",
+    },
+    canvasData: {
+      type: String,
+      required: false,
+    },
+    background: {
+      type: String,
+      required: false,
+      maxlength: 100,
+    },
+    thumbnail: {
+      type: String,
+      required: false,
+    },
+  },
+  { _id: false }
+);
+
+// A design published by an admin for everyone to start from, or by a
+// team for its members. Only published templates are listed; earlier
+// content is kept as TemplateVersion records.
+const TemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+      default: "",
+    },
+    category: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      maxlength: 50,
+      default: DEFAULT_TEMPLATE_CATEGORY,
+    },
+    tags: [
+      {
+        type: String,
+        maxlength: 30,
+      },
+    ],
+    isPremium: {
+      type: Boolean,
+      default: false,
+    },
+    thumbnail: {
+      type: String,
+      required: false,
+    },
+    width: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 10000,
+    },
+    height: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 10000,
+    },
+    pages: {
+      type: [TemplatePageSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: TEMPLATE_STATUSES,
+      default: "published",
+    },
+    // Bumped each time new content is published
+    version: {
+      type: Number,
+      default: 1,
+    },
+    // The design the current version was published from
+    sourceDesignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Design",
+      required: false,
+    },
+    createdBy: {
+      type: String,
+      required: true,
+    },
+    // Set on templates a team published for its members only, which are
+    // never listed in the public gallery
+    teamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      default: null,
+      index: true,
+    },
+    publishedAt: {
+      type: Date,
+      required: false,
+    },
+    // Designs created from this template
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+TemplateSchema.index({ status: 1, category: 1, publishedAt: -1 });
+TemplateSchema.index({ status: 1, tags: 1 });
+
+const Template =
+  mongoose.models.Template || mongoose.model("Template", TemplateSchema);
+module.exports = Template;
@@ -0,0 +1,118 @@
+const mongoose = require("mongoose");
+
+// The customer details an invoice was issued to, copied from the
+// subscription when the transaction is recorded
+const BillingDetailsSchema = new mongoose.Schema(
+  {
+    name: String,
+    company: String,
+    email: String,
+    address: String,
+    country: String,
+    taxId: String,
+  },
+  { _id: false }
+);
+
+// A payment, refund or chargeback reported by a payment provider. Amounts
+// are in the currency's major unit (60.5 is $60.50).
+const TransactionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    provider: {
+      type: String,
+      enum: ["paypal", "stripe", "manual"],
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["payment", "refund", "reversal"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: [
+        "pending",
+        "completed",
+        "failed",
+        "partially_refunded",
+        "refunded",
+        "reversed",
+      ],
+      default: "completed",
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    // Total refunded or reversed so far, for payments
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+    description: {
+      type: String,
+    },
+    plan: {
+      type: String,
+      enum: ["free", "premium", "pro"],
+    },
+    billingCycle: {
+      type: String,
+      enum: ["monthly", "yearly"],
+    },
+    // The provider's id for this transaction: PayPal capture or refund id
+    providerTransactionId: {
+      type: String,
+      required: true,
+    },
+    providerOrderId: {
+      type: String,
+    },
+    providerSubscriptionId: {
+      type: String,
+    },
+    // The payment a refund or reversal returns money from
+    relatedTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    invoiceNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    billingDetails: {
+      type: BillingDetailsSchema,
+      default: undefined,
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+TransactionSchema.index(
+  { provider: 1, providerTransactionId: 1 },
+  { unique: true }
+);
+TransactionSchema.index({ userId: 1, occurredAt: -1 });
+
+const Transaction =
+  mongoose.models.Transaction ||
+  mongoose.model("Transaction", TransactionSchema);
+module.exports = Transaction;
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// Deliveries are remembered for 90 days, well past PayPal's retry window
+const WEBHOOK_EVENT_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// A payment provider webhook delivery that has been handled. The unique
+// event id makes retried deliveries no-ops.
+const WebhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ["paypal", "stripe"],
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    eventType: {
+      type: String,
+      required: true,
+    },
+    resourceId: {
+      type: String,
+    },
+    userId: {
+      type: String,
+      index: true,
+    },
+    // "processed" changed a subscription, "ignored" had nothing to act on
+    result: {
+      type: String,
+      enum: ["processing", "processed", "ignored"],
+      default: "processing",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: WEBHOOK_EVENT_TTL_SECONDS }
+);
+
+const WebhookEvent =
+  mongoose.models.WebhookEvent ||
+  mongoose.model("WebhookEvent", WebhookEventSchema);
+module.exports = WebhookEvent;
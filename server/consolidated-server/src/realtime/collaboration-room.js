@@ -0,0 +1,206 @@
+const Design = require("../models/design");
+const { createEmptyCanvasData, parseCanvasData } = require("../utils/canvas-data");
+const { createAutoSnapshotIfDue } = require("../utils/design-versions");
+const { scheduleThumbnailRender } = require("../utils/design-thumbnails");
+const { ensurePages } = require("../utils/design-pages");
+
+// Merged page state is written back to MongoDB once edits settle
+const PERSIST_DELAY_MS = 2000;
+
+// Cursor/selection colors handed out to editors in a room
+const PEER_COLORS = [
+  "#e11d48",
+  "#2563eb",
+  "#16a34a",
+  "#d97706",
+  "#7c3aed",
+  "#0891b2",
+  "#db2777",
+  "#4d7c0f",
+];
+
+// Objects saved without an id get one derived from their position, so the
+// server and every client loading the same JSON agree on it
+const ensureObjectIds = (objects = []) =>
+  objects.map((object, index) =>
+    object.id ? object : { ...object, id: `obj-${index}` }
+  );
+
+/**
+ * In-memory state of one design being edited together. Operations are
+ * applied in arrival order and each gets a sequence number; property-level
+ * modifications mean concurrent edits to different properties of the same
+ * object are both kept, and for the same property the later one wins.
+ */
+class CollaborationRoom {
+  constructor(designId) {
+    this.designId = designId;
+    this.clients = new Map();
+    this.pages = new Map();
+    this.name = null;
+    this.seq = 0;
+    this.persistTimer = null;
+    this.colorIndex = 0;
+  }
+
+  nextColor() {
+    const color = PEER_COLORS[this.colorIndex % PEER_COLORS.length];
+    this.colorIndex++;
+    return color;
+  }
+
+  // Load a page from the database the first time it is touched
+  async loadPage(pageId) {
+    if (this.pages.has(pageId)) return this.pages.get(pageId);
+
+    const design = ensurePages(
+      await Design.findById(this.designId).select("pages canvasData thumbnail")
+    );
+    const page = design && design.pages.id(pageId);
+    if (!page) return null;
+
+    // Another request may have loaded the page while we were waiting
+    if (this.pages.has(pageId)) return this.pages.get(pageId);
+
+    const { objects, ...canvasProps } = page.canvasData
+      ? parseCanvasData(page.canvasData)
+      : createEmptyCanvasData(page.background);
+    const pageState = {
+      canvasProps,
+      objects: new Map(),
+      order: [],
+      dirty: false,
+    };
+    ensureObjectIds(objects).forEach((object) => {
+      pageState.objects.set(object.id, object);
+      pageState.order.push(object.id);
+    });
+
+    this.pages.set(pageId, pageState);
+    return pageState;
+  }
+
+  // Fabric JSON of a page as currently merged
+  serializePage(pageState) {
+    return {
+      ...pageState.canvasProps,
+      objects: pageState.order.map((id) => pageState.objects.get(id)),
+    };
+  }
+
+  // Apply a client operation. Returns the operation to broadcast (with its
+  // sequence number) or null when it no longer applies, e.g. a modification
+  // of an object someone else already removed.
+  applyOperation(pageState, operation) {
+    switch (operation.type) {
+      case "object:add": {
+        const { object, index } = operation;
+        if (!object || !object.id || pageState.objects.has(object.id)) {
+          return null;
+        }
+        pageState.objects.set(object.id, object);
+        const position =
+          Number.isInteger(index) && index >= 0 && index < pageState.order.length
+            ? index
+            : pageState.order.length;
+        pageState.order.splice(position, 0, object.id);
+        break;
+      }
+
+      case "object:modify": {
+        const current = pageState.objects.get(operation.objectId);
+        if (!current || !operation.props) return null;
+        const { id, ...props } = operation.props;
+        pageState.objects.set(operation.objectId, { ...current, ...props });
+        break;
+      }
+
+      case "object:remove": {
+        if (!pageState.objects.has(operation.objectId)) return null;
+        pageState.objects.delete(operation.objectId);
+        pageState.order = pageState.order.filter(
+          (objectId) => objectId !== operation.objectId
+        );
+        break;
+      }
+
+      case "canvas:update": {
+        if (!operation.props) return null;
+        pageState.canvasProps = { ...pageState.canvasProps, ...operation.props };
+        break;
+      }
+
+      default:
+        return null;
+    }
+
+    pageState.dirty = true;
+    this.seq++;
+    this.schedulePersist();
+    return { ...operation, seq: this.seq };
+  }
+
+  // Design-level changes (currently only the name) that aren't tied to a page
+  applyDesignUpdate(operation) {
+    const name = operation.props && operation.props.name;
+    if (typeof name !== "string" || !name.trim()) return null;
+
+    this.name = name.trim();
+    this.seq++;
+    this.schedulePersist();
+    return { ...operation, props: { name: this.name }, seq: this.seq };
+  }
+
+  schedulePersist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = setTimeout(() => {
+      this.persist().catch((error) =>
+        console.error(`Failed to persist design ${this.designId}:`, error)
+      );
+    }, PERSIST_DELAY_MS);
+  }
+
+  // Write dirty pages back to the design. Returns true if anything was saved.
+  async persist() {
+    clearTimeout(this.persistTimer);
+
+    const dirtyPages = [...this.pages.entries()].filter(
+      ([, pageState]) => pageState.dirty
+    );
+    const name = this.name;
+    if (dirtyPages.length === 0 && !name) return false;
+
+    // Edits to a design moved to the trash meanwhile are dropped
+    const design = await Design.findOne({ _id: this.designId, deletedAt: null });
+    if (!design) return false;
+    ensurePages(design);
+
+    await createAutoSnapshotIfDue(design);
+
+    if (name) {
+      design.name = name;
+      this.name = null;
+    }
+
+    dirtyPages.forEach(([pageId, pageState]) => {
+      const page = design.pages.id(pageId);
+      pageState.dirty = false;
+      if (!page) return;
+
+      const canvasData = this.serializePage(pageState);
+      page.canvasData = JSON.stringify(canvasData);
+      page.background = canvasData.background;
+    });
+
+    design.updatedAt = Date.now();
+    await design.save();
+
+    dirtyPages.forEach(([pageId]) => scheduleThumbnailRender(design._id, pageId));
+    return true;
+  }
+}
+
+module.exports = {
+  CollaborationRoom,
+  ensureObjectIds,
+};
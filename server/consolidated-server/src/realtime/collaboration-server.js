@@ -0,0 +1,431 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { WebSocketServer } = require("ws");
+const Design = require("../models/design");
+const { verifyAccessToken } = require("../middleware/auth-middleware");
+const {
+  accessibleDesignsFilter,
+  getDesignRole,
+  hasRole,
+} = require("../utils/design-access");
+const { findActiveTeamIds } = require("../utils/workspaces");
+const { CollaborationRoom } = require("./collaboration-room");
+
+// ws://host/ws/designs/:designId. The first message must be
+// { type: "auth", token: <google id token> }, so the token stays out of
+// URLs and access logs.
+const COLLABORATION_PATH = /^\/ws\/designs\/([^/]+)\/?$/;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const AUTH_TIMEOUT_MS = 10 * 1000;
+// How long a checked role is trusted before an edit checks it again, so
+// removed team members and trashed designs stop taking edits
+const ROLE_CHECK_INTERVAL_MS = 60 * 1000;
+// Image objects carry their source as a data URL, so allow large messages
+const MAX_MESSAGE_BYTES = 10 * 1024 * 1024;
+
+const OBJECT_OPERATIONS = [
+  "object:add",
+  "object:modify",
+  "object:remove",
+  "canvas:update",
+];
+
+// Close codes telling the client whether reconnecting could help
+const CLOSE_UNAUTHORIZED = 4401;
+const CLOSE_FORBIDDEN = 4403;
+
+const rooms = new Map();
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const broadcast = (room, message, exceptClientId) => {
+  room.clients.forEach((client, clientId) => {
+    if (clientId !== exceptClientId) send(client.socket, message);
+  });
+};
+
+const toPeer = (client) => ({
+  clientId: client.clientId,
+  userId: client.user.userId,
+  name: client.user.name,
+  role: client.role,
+  color: client.color,
+  pageId: client.pageId,
+  cursor: client.cursor,
+  selection: client.selection,
+});
+
+const rejectUpgrade = (socket, status, reason) => {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+// The user's role on a design, or null if it isn't shared with them or
+// their team. Anyone with access can follow along; only editors can
+// change things.
+const getRoleOnDesign = async (user, designId) => {
+  if (!mongoose.isValidObjectId(designId)) return null;
+  const member = { ...user, teamIds: await findActiveTeamIds(user.userId) };
+  const design = await Design.findOne({
+    _id: designId,
+    ...accessibleDesignsFilter(member),
+  }).select("userId teamId collaborators");
+  return getDesignRole(design, member);
+};
+
+// Look the client's role up again. Clients that lost access are
+// disconnected; returns whether they still have it.
+const refreshRole = async (room, client) => {
+  const role = await getRoleOnDesign(client.user, room.designId);
+  client.roleCheckedAt = Date.now();
+
+  if (!role) {
+    client.socket.close(CLOSE_FORBIDDEN, "Access revoked");
+    return false;
+  }
+  if (role !== client.role) {
+    client.role = role;
+    send(client.socket, { type: "role", role });
+    broadcast(room, { type: "peer:update", peer: toPeer(client) }, client.clientId);
+  }
+  return true;
+};
+
+// Messages that change the design
+const EDIT_MESSAGES = [
+  ...OBJECT_OPERATIONS,
+  "design:update",
+  "save",
+  "pages:changed",
+];
+
+const getRoom = (designId) => {
+  if (!rooms.has(designId)) {
+    rooms.set(designId, new CollaborationRoom(designId));
+  }
+  return rooms.get(designId);
+};
+
+const leaveRoom = async (room, clientId) => {
+  if (!room.clients.delete(clientId)) return;
+  broadcast(room, { type: "peer:leave", clientId });
+
+  if (room.clients.size === 0) {
+    try {
+      await room.persist();
+    } catch (error) {
+      console.error(`Failed to persist design ${room.designId}:`, error);
+    }
+    // Someone may have joined while the room was being saved
+    if (room.clients.size === 0) rooms.delete(room.designId);
+  }
+};
+
+const handleMessage = async (room, client, message) => {
+  const { type, pageId } = message;
+
+  if (
+    EDIT_MESSAGES.includes(type) &&
+    Date.now() - client.roleCheckedAt > ROLE_CHECK_INTERVAL_MS &&
+    !(await refreshRole(room, client))
+  ) {
+    return;
+  }
+
+  if (EDIT_MESSAGES.includes(type) && !hasRole(client.role, "editor")) {
+    return send(client.socket, {
+      type: "error",
+      code: "READ_ONLY",
+      message: "You can only view this design",
+      opId: message.opId,
+    });
+  }
+
+  if (type === "page:join") {
+    const pageState = await room.loadPage(pageId);
+    if (!pageState) {
+      return send(client.socket, {
+        type: "error",
+        code: "PAGE_NOT_FOUND",
+        message: "The requested page does not exist",
+      });
+    }
+
+    client.pageId = pageId;
+    client.cursor = null;
+    client.selection = [];
+    broadcast(room, { type: "peer:update", peer: toPeer(client) }, client.clientId);
+
+    return send(client.socket, {
+      type: "page:state",
+      pageId,
+      seq: room.seq,
+      canvasData: room.serializePage(pageState),
+    });
+  }
+
+  if (type === "design:update" || OBJECT_OPERATIONS.includes(type)) {
+    let applied;
+    if (type === "design:update") {
+      applied = room.applyDesignUpdate(message);
+    } else {
+      const pageState = await room.loadPage(pageId);
+      applied = pageState && room.applyOperation(pageState, message);
+    }
+
+    // Always acknowledge so the sender stops holding back remote changes
+    send(client.socket, {
+      type: "ack",
+      opId: message.opId,
+      seq: applied ? applied.seq : null,
+      applied: Boolean(applied),
+    });
+
+    if (applied) {
+      broadcast(room, { ...applied, clientId: client.clientId }, client.clientId);
+    }
+    return;
+  }
+
+  if (type === "cursor") {
+    client.cursor = message.cursor || null;
+    return broadcast(
+      room,
+      {
+        type,
+        pageId: client.pageId,
+        clientId: client.clientId,
+        cursor: client.cursor,
+      },
+      client.clientId
+    );
+  }
+
+  if (type === "selection") {
+    client.selection = message.objectIds || [];
+    return broadcast(
+      room,
+      {
+        type,
+        pageId: client.pageId,
+        clientId: client.clientId,
+        objectIds: client.selection,
+      },
+      client.clientId
+    );
+  }
+
+  if (type === "save") {
+    // Write merged edits now, e.g. before a server export or a checkpoint
+    await room.persist();
+    return send(client.socket, { type: "saved", requestId: message.requestId });
+  }
+
+  if (type === "pages:changed") {
+    // Pages were added, removed or reordered over REST; drop cached pages
+    // that have no unsaved edits so they are reloaded on next use
+    room.pages.forEach((pageState, cachedPageId) => {
+      if (!pageState.dirty) room.pages.delete(cachedPageId);
+    });
+    return broadcast(room, { type, clientId: client.clientId }, client.clientId);
+  }
+};
+
+// Add an authenticated socket to the design's room
+const joinRoom = (socket, designId, user, role) => {
+  const room = getRoom(designId);
+  const client = {
+    clientId: crypto.randomUUID(),
+    socket,
+    user,
+    role,
+    roleCheckedAt: Date.now(),
+    color: room.nextColor(),
+    pageId: null,
+    cursor: null,
+    selection: [],
+  };
+
+  send(socket, {
+    type: "welcome",
+    clientId: client.clientId,
+    color: client.color,
+    role: client.role,
+    seq: room.seq,
+    peers: [...room.clients.values()].map(toPeer),
+  });
+  room.clients.set(client.clientId, client);
+  broadcast(room, { type: "peer:join", peer: toPeer(client) }, client.clientId);
+
+  // Handle messages one at a time so operations keep their order even
+  // while a page is being loaded from the database
+  let queue = Promise.resolve();
+  socket.on("message", (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return send(socket, {
+        type: "error",
+        code: "INVALID_MESSAGE",
+        message: "Messages must be JSON",
+      });
+    }
+
+    queue = queue
+      .then(() => handleMessage(room, client, message))
+      .catch((error) => {
+        console.error("Error handling collaboration message:", error);
+        send(socket, {
+          type: "error",
+          code: "OPERATION_FAILED",
+          message: "The change could not be applied",
+          opId: message.opId,
+        });
+      });
+  });
+
+  socket.on("close", () => {
+    queue.then(() => leaveRoom(room, client.clientId));
+  });
+};
+
+/**
+ * Attach the real-time collaboration endpoint to the HTTP server. Editors
+ * of the same design share a room; object-level changes are merged on the
+ * server, broadcast to everyone else and persisted in the background.
+ */
+function attachCollaborationServer(server) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: MAX_MESSAGE_BYTES,
+  });
+
+  server.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    const match = url.pathname.match(COLLABORATION_PATH);
+    if (!match) return rejectUpgrade(socket, 404, "Not Found");
+
+    const designId = match[1];
+    if (!mongoose.isValidObjectId(designId)) {
+      return rejectUpgrade(socket, 404, "Not Found");
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit("connection", ws, designId);
+    });
+  });
+
+  wss.on("connection", (socket, designId) => {
+    socket.isAlive = true;
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+
+    const authTimer = setTimeout(
+      () => socket.close(CLOSE_UNAUTHORIZED, "Authentication timed out"),
+      AUTH_TIMEOUT_MS
+    );
+
+    socket.once("message", async (data) => {
+      clearTimeout(authTimer);
+
+      let user;
+      try {
+        const { type, token } = JSON.parse(data.toString());
+        if (type !== "auth" || !token) throw new Error("Expected auth message");
+        user = await verifyAccessToken(token);
+      } catch (error) {
+        console.error("WebSocket authentication failed:", error.message);
+        return socket.close(CLOSE_UNAUTHORIZED, "Unauthorized");
+      }
+
+      let role;
+      try {
+        role = await getRoleOnDesign(user, designId);
+      } catch (error) {
+        console.error("Error checking design access:", error);
+        return socket.close(1011, "Internal Server Error");
+      }
+      if (!role) return socket.close(CLOSE_FORBIDDEN, "Forbidden");
+
+      if (socket.readyState === socket.OPEN) {
+        joinRoom(socket, designId, user, role);
+      }
+    });
+
+    socket.on("close", () => clearTimeout(authTimer));
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+    });
+
+    // Viewers who never edit would otherwise keep receiving changes after
+    // losing access
+    rooms.forEach((room) =>
+      room.clients.forEach((client) => {
+        if (Date.now() - client.roleCheckedAt <= ROLE_CHECK_INTERVAL_MS) return;
+        refreshRole(room, client).catch((error) =>
+          console.error("Error checking design access:", error)
+        );
+      })
+    );
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  wss.on("close", () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+// The design was replaced outside the room (e.g. a version restore): drop
+// the merged state and tell connected editors to reload
+function notifyDesignReplaced(designId) {
+  const room = rooms.get(String(designId));
+  if (!room) return;
+
+  clearTimeout(room.persistTimer);
+  room.pages.clear();
+  broadcast(room, { type: "design:reload" });
+}
+
+/**
+ * Sharing of the design changed or it was moved to the trash: check the
+ * role of everyone connected again, disconnecting those who lost access and
+ * telling those whose role changed
+ */
+async function notifyAccessChanged(designId) {
+  const room = rooms.get(String(designId));
+  if (!room) return;
+
+  await Promise.all(
+    [...room.clients.values()].map((client) =>
+      refreshRole(room, client).catch((error) =>
+        console.error("Error checking design access:", error)
+      )
+    )
+  );
+}
+
+// Comments of a page changed over REST; connected clients refetch them
+function notifyCommentsChanged(designId, pageId) {
+  const room = rooms.get(String(designId));
+  if (!room) return;
+
+  broadcast(room, { type: "comments:changed", pageId: String(pageId) });
+}
+
+module.exports = {
+  attachCollaborationServer,
+  notifyDesignReplaced,
+  notifyAccessChanged,
+  notifyCommentsChanged,
+};
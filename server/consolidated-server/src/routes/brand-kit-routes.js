@@ -0,0 +1,25 @@
+const express = require("express");
+const brandKitController = require("../controllers/brand-kit-controller");
+const authMiddleware = require("../middleware/auth-middleware");
+const workspaceMiddleware = require("../middleware/workspace-middleware");
+
+const router = express.Router();
+
+// Apply authentication to all brand kit routes, which work on the kit of
+// the workspace picked with the X-Workspace-Id header
+router.use(authMiddleware);
+router.use(workspaceMiddleware);
+
+// GET /api/v1/brand-kit - Get the workspace's brand kit
+router.get("/", brandKitController.getBrandKit);
+
+// PUT /api/v1/brand-kit - Update palettes, font pairs or the kit name
+router.put("/", brandKitController.updateBrandKit);
+
+// POST /api/v1/brand-kit/logos - Add an uploaded image as a logo
+router.post("/logos", brandKitController.addLogo);
+
+// DELETE /api/v1/brand-kit/logos/:logoId - Remove a logo
+router.delete("/logos/:logoId", brandKitController.removeLogo);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require("express");
+const componentController = require("../controllers/component-controller");
+const authMiddleware = require("../middleware/auth-middleware");
+const workspaceMiddleware = require("../middleware/workspace-middleware");
+
+const router = express.Router();
+
+// Apply authentication to all component routes, which work in the
+// workspace picked with the X-Workspace-Id header
+router.use(authMiddleware);
+router.use(workspaceMiddleware);
+
+// GET /api/v1/components - List the workspace's components (?ids= for
+// content)
+router.get("/", componentController.getComponents);
+
+// POST /api/v1/components - Save a selection as a component
+router.post("/", componentController.createComponent);
+
+// GET /api/v1/components/:id - Get a component with its content
+router.get("/:id", componentController.getComponent);
+
+// PUT /api/v1/components/:id - Rename a component or update its master
+router.put("/:id", componentController.updateComponent);
+
+// DELETE /api/v1/components/:id - Delete a component
+router.delete("/:id", componentController.deleteComponent);
+
+module.exports = router;
@@ -1,15 +1,46 @@
 const express = require("express");
 const designController = require("../controllers/design-controller");
+const designPageController = require("../controllers/design-page-controller");
+const designVersionController = require("../controllers/design-version-controller");
+const designExportController = require("../controllers/design-export-controller");
+const designShareController = require("../controllers/design-share-controller");
+const designCommentController = require("../controllers/design-comment-controller");
+const designFolderController = require("../controllers/design-folder-controller");
 const authMiddleware = require("../middleware/auth-middleware");
+const workspaceMiddleware = require("../middleware/workspace-middleware");
 
 const router = express.Router();
 
-// Apply authentication to all design routes
+// Apply authentication to all design routes, which work in the workspace
+// picked with the X-Workspace-Id header
 router.use(authMiddleware);
+router.use(workspaceMiddleware);
 
-// GET /api/v1/designs - Get all user designs
+// GET /api/v1/designs - Get user designs
+// (?q=&category=&tags=&sort=&from=&to=&folderId=&starred=)
 router.get("/", designController.getUserDesigns);
 
+// GET /api/v1/designs/filters - Categories and tags for the search filters
+router.get("/filters", designController.getDesignFilters);
+
+// GET /api/v1/designs/folders - List the user's folders
+router.get("/folders", designFolderController.getFolders);
+
+// POST /api/v1/designs/folders - Create a folder
+router.post("/folders", designFolderController.createFolder);
+
+// PUT /api/v1/designs/folders/:folderId - Rename or move a folder
+router.put("/folders/:folderId", designFolderController.updateFolder);
+
+// DELETE /api/v1/designs/folders/:folderId - Delete a folder, its designs go to the trash
+router.delete("/folders/:folderId", designFolderController.deleteFolder);
+
+// GET /api/v1/designs/trash - List designs in the trash
+router.get("/trash", designController.getTrash);
+
+// DELETE /api/v1/designs/trash - Permanently delete everything in the trash
+router.delete("/trash", designController.emptyTrash);
+
 // GET /api/v1/designs/:id - Get specific design by ID
 router.get("/:id", designController.getUserDesignById);
 
@@ -19,9 +50,21 @@ router.post("/", designController.saveDesign);
 // PUT /api/v1/designs/:id - Update specific design
 router.put("/:id", designController.updateDesign);
 
-// DELETE /api/v1/designs/:id - Delete specific design
+// DELETE /api/v1/designs/:id - Move a design to the trash
 router.delete("/:id", designController.deleteDesign);
 
+// POST /api/v1/designs/:id/restore - Restore a design from the trash
+router.post("/:id/restore", designController.restoreDesign);
+
+// DELETE /api/v1/designs/:id/permanent - Delete a design for good
+router.delete("/:id/permanent", designController.deleteDesignPermanently);
+
+// PUT /api/v1/designs/:id/star - Star or unstar a design
+router.put("/:id/star", designController.setDesignStarred);
+
+// PUT /api/v1/designs/:id/folder - Move a design into a folder
+router.put("/:id/folder", designController.moveDesign);
+
 // POST /api/v1/designs/:id/duplicate - Duplicate a design
 router.post("/:id/duplicate", designController.duplicateDesign);
 
@@ -34,6 +77,123 @@ router.post("/template", designController.createFromTemplate);
 // POST /api/v1/designs/:id/thumbnail - Generate/update thumbnail for a design
 router.post("/:id/thumbnail", designController.generateThumbnail);
 
+// GET /api/v1/designs/:id/pages - List pages of a design
+router.get("/:id/pages", designPageController.getPages);
+
+// POST /api/v1/designs/:id/pages - Add a page to a design
+router.post("/:id/pages", designPageController.addPage);
+
+// PUT /api/v1/designs/:id/pages/order - Reorder pages of a design
+router.put("/:id/pages/order", designPageController.reorderPages);
+
+// GET /api/v1/designs/:id/pages/:pageId - Get a page with its canvas data
+router.get("/:id/pages/:pageId", designPageController.getPage);
+
+// PUT /api/v1/designs/:id/pages/:pageId - Update a page
+router.put("/:id/pages/:pageId", designPageController.updatePage);
+
+// DELETE /api/v1/designs/:id/pages/:pageId - Delete a page
+router.delete("/:id/pages/:pageId", designPageController.deletePage);
+
+// POST /api/v1/designs/:id/pages/:pageId/duplicate - Duplicate a page
+router.post(
+  "/:id/pages/:pageId/duplicate",
+  designPageController.duplicatePage
+);
+
+// GET /api/v1/designs/:id/versions - List version history of a design
+router.get("/:id/versions", designVersionController.getVersions);
+
+// POST /api/v1/designs/:id/versions - Save a named checkpoint
+router.post("/:id/versions", designVersionController.createVersion);
+
+// GET /api/v1/designs/:id/versions/:versionId - Get a version with its pages
+router.get("/:id/versions/:versionId", designVersionController.getVersion);
+
+// POST /api/v1/designs/:id/versions/:versionId/restore - Restore a version
+router.post(
+  "/:id/versions/:versionId/restore",
+  designVersionController.restoreVersion
+);
+
+// DELETE /api/v1/designs/:id/versions/:versionId - Delete a version
+router.delete(
+  "/:id/versions/:versionId",
+  designVersionController.deleteVersion
+);
+
+// POST /api/v1/designs/:id/export - Queue a server-side export
+router.post("/:id/export", designExportController.createExport);
+
+// GET /api/v1/designs/:id/exports - List recent exports of a design
+router.get("/:id/exports", designExportController.getExports);
+
+// GET /api/v1/designs/:id/export/:jobId - Get export job status
+router.get("/:id/export/:jobId", designExportController.getExport);
+
+// GET /api/v1/designs/:id/sharing - Get collaborators and public link
+router.get("/:id/sharing", designShareController.getSharing);
+
+// POST /api/v1/designs/:id/collaborators - Invite a collaborator by email
+router.post("/:id/collaborators", designShareController.addCollaborator);
+
+// PUT /api/v1/designs/:id/collaborators/:collaboratorId - Change a role
+router.put(
+  "/:id/collaborators/:collaboratorId",
+  designShareController.updateCollaborator
+);
+
+// DELETE /api/v1/designs/:id/collaborators/:collaboratorId - Revoke access
+router.delete(
+  "/:id/collaborators/:collaboratorId",
+  designShareController.removeCollaborator
+);
+
+// POST /api/v1/designs/:id/share-link - Create a public read-only link
+router.post("/:id/share-link", designShareController.createShareLink);
+
+// DELETE /api/v1/designs/:id/share-link - Disable the public link
+router.delete("/:id/share-link", designShareController.deleteShareLink);
+
+// GET /api/v1/designs/:id/comments - List comment threads of a design
+router.get("/:id/comments", designCommentController.getComments);
+
+// POST /api/v1/designs/:id/comments - Start a comment thread
+router.post("/:id/comments", designCommentController.createComment);
+
+// PUT /api/v1/designs/:id/comments/:commentId - Edit a comment or move its pin
+router.put("/:id/comments/:commentId", designCommentController.updateComment);
+
+// DELETE /api/v1/designs/:id/comments/:commentId - Delete a comment thread
+router.delete(
+  "/:id/comments/:commentId",
+  designCommentController.deleteComment
+);
+
+// POST /api/v1/designs/:id/comments/:commentId/replies - Reply to a thread
+router.post(
+  "/:id/comments/:commentId/replies",
+  designCommentController.addReply
+);
+
+// DELETE /api/v1/designs/:id/comments/:commentId/replies/:replyId - Delete a reply
+router.delete(
+  "/:id/comments/:commentId/replies/:replyId",
+  designCommentController.deleteReply
+);
+
+// POST /api/v1/designs/:id/comments/:commentId/resolve - Resolve a thread
+router.post(
+  "/:id/comments/:commentId/resolve",
+  designCommentController.resolveComment
+);
+
+// POST /api/v1/designs/:id/comments/:commentId/reopen - Reopen a thread
+router.post(
+  "/:id/comments/:commentId/reopen",
+  designCommentController.reopenComment
+);
+
 // POST /api/v1/designs/fix-corrupted - Fix corrupted designs (utility endpoint)
 router.post("/fix-corrupted", designController.fixCorruptedDesigns);
 
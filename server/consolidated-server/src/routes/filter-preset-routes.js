@@ -0,0 +1,22 @@
+const express = require("express");
+const filterPresetController = require("../controllers/filter-preset-controller");
+const authMiddleware = require("../middleware/auth-middleware");
+
+const router = express.Router();
+
+// Apply authentication to all filter preset routes
+router.use(authMiddleware);
+
+// GET /api/v1/filter-presets - List the user's saved filter presets
+router.get("/", filterPresetController.getFilterPresets);
+
+// POST /api/v1/filter-presets - Save an image adjustment stack
+router.post("/", filterPresetController.createFilterPreset);
+
+// PUT /api/v1/filter-presets/:id - Rename a preset or change its adjustments
+router.put("/:id", filterPresetController.updateFilterPreset);
+
+// DELETE /api/v1/filter-presets/:id - Delete a preset
+router.delete("/:id", filterPresetController.deleteFilterPreset);
+
+module.exports = router;
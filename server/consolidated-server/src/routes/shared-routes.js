@@ -0,0 +1,11 @@
+const express = require("express");
+const designShareController = require("../controllers/design-share-controller");
+
+const router = express.Router();
+
+// Public links work without signing in, so no auth middleware here
+
+// GET /api/v1/shared/:token - View a design through its public link
+router.get("/:token", designShareController.getSharedDesign);
+
+module.exports = router;
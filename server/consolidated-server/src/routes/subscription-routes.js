@@ -5,20 +5,13 @@ const authMiddleware = require("../middleware/auth-middleware");
 
 const router = express.Router();
 
-// Test endpoint without authentication for debugging PayPal
-router.post(
-  "/test-paypal",
-  (req, res, next) => {
-    // Mock user object for testing
-    req.user = {
-      userId: "test-user-123",
-      email: "test@example.com",
-      name: "Test User",
-    };
-    next();
-  },
-  paymentController.createOrder
-);
+// POST /api/v1/subscription/webhook/paypal - PayPal webhook events, verified
+// by signature instead of user authentication
+router.post("/webhook/paypal", paymentController.handlePayPalWebhook);
+
+// POST /api/v1/subscription/webhook/stripe - Stripe webhook events, verified
+// by signature instead of user authentication
+router.post("/webhook/stripe", paymentController.handleStripeWebhook);
 
 // Apply authentication to all other subscription routes
 router.use(authMiddleware);
@@ -26,14 +19,25 @@ router.use(authMiddleware);
 // GET /api/v1/subscription - Get user subscription status
 router.get("/", subscriptionController.getSubscription);
 
-// POST /api/v1/subscription/create-subscription - Create new subscription (matches original)
-router.post("/create-subscription", paymentController.createOrder);
+// GET /api/v1/subscription/plans - Paid plans, prices and trial eligibility
+router.get("/plans", paymentController.getPlans);
+
+// POST /api/v1/subscription/create-subscription - Start a recurring
+// subscription for { provider, plan, billingCycle }
+router.post("/create-subscription", paymentController.createSubscription);
+
+// POST /api/v1/subscription/activate-subscription - Activate a confirmed
+// checkout, { provider, checkoutId }
+router.post(
+  "/activate-subscription",
+  paymentController.activateSubscription
+);
 
-// POST /api/v1/subscription/create-order - Create PayPal order
-router.post("/create-order", paymentController.createOrder);
+// POST /api/v1/subscription/change-plan - Switch plan or billing cycle
+router.post("/change-plan", paymentController.changePlan);
 
-// POST /api/v1/subscription/capture-order - Capture PayPal payment
-router.post("/capture-order", paymentController.capturePayment);
+// POST /api/v1/subscription/billing-portal - Provider page to manage billing
+router.post("/billing-portal", paymentController.createBillingPortal);
 
 // POST /api/v1/subscription/cancel - Cancel subscription
 router.post("/cancel", subscriptionController.cancelSubscription);
@@ -41,11 +45,20 @@ router.post("/cancel", subscriptionController.cancelSubscription);
 // POST /api/v1/subscription/reactivate - Reactivate subscription
 router.post("/reactivate", subscriptionController.reactivateSubscription);
 
-// GET /api/v1/subscription/billing-history - Get billing history
+// GET /api/v1/subscription/billing-history - Paginated payments and refunds
 router.get("/billing-history", subscriptionController.getBillingHistory);
 
-// PayPal webhook handler - temporarily disabled until webhook handling is implemented
-// router.post("/webhook/paypal", paymentController.handlePayPalWebhook);
+// GET /api/v1/subscription/billing-history/:transactionId/invoice - PDF invoice
+router.get(
+  "/billing-history/:transactionId/invoice",
+  subscriptionController.getInvoice
+);
+
+// GET /api/v1/subscription/billing-details - Customer details for invoices
+router.get("/billing-details", subscriptionController.getBillingDetails);
+
+// PUT /api/v1/subscription/billing-details - Update invoice customer details
+router.put("/billing-details", subscriptionController.updateBillingDetails);
 
 // Development/Testing routes (only available in non-production)
 if (process.env.NODE_ENV !== "production") {
@@ -0,0 +1,125 @@
+const express = require("express");
+const teamController = require("../controllers/team-controller");
+const templateController = require("../controllers/template-controller");
+const subscriptionController = require("../controllers/subscription-controller");
+const paymentController = require("../controllers/payment-controller");
+const authMiddleware = require("../middleware/auth-middleware");
+const teamMiddleware = require("../middleware/team-middleware");
+const { requireTeamOwner } = require("../middleware/team-middleware");
+
+const router = express.Router();
+
+// Apply authentication to all team routes
+router.use(authMiddleware);
+
+// GET /api/v1/teams - Teams the user is a member of
+router.get("/", teamController.getTeams);
+
+// POST /api/v1/teams - Create a team owned by the user, { name }
+router.post("/", teamController.createTeam);
+
+// GET /api/v1/teams/invitations - Invitations sent to the user's email
+router.get("/invitations", teamController.getInvitations);
+
+// POST /api/v1/teams/invitations/:invitationId/accept - Join the team
+router.post(
+  "/invitations/:invitationId/accept",
+  teamController.acceptInvitation
+);
+
+// POST /api/v1/teams/invitations/:invitationId/decline - Decline invitation
+router.post(
+  "/invitations/:invitationId/decline",
+  teamController.declineInvitation
+);
+
+// Routes below are for members of the team in :teamId
+router.use("/:teamId", teamMiddleware);
+
+// GET /api/v1/teams/:teamId - Team with members, invitations and billing
+router.get("/:teamId", teamController.getTeam);
+
+// PUT /api/v1/teams/:teamId - Rename the team (admins)
+router.put("/:teamId", teamController.updateTeam);
+
+// DELETE /api/v1/teams/:teamId - Delete the team (owner)
+router.delete("/:teamId", teamController.deleteTeam);
+
+// POST /api/v1/teams/:teamId/members - Invite someone, { email, role }
+router.post("/:teamId/members", teamController.inviteMember);
+
+// PUT /api/v1/teams/:teamId/members/:memberId - Change a role (owner)
+router.put("/:teamId/members/:memberId", teamController.updateMember);
+
+// DELETE /api/v1/teams/:teamId/members/:memberId - Remove a member, revoke
+// an invitation or leave the team
+router.delete("/:teamId/members/:memberId", teamController.removeMember);
+
+// GET /api/v1/teams/:teamId/templates - Templates published to the team
+router.get("/:teamId/templates", templateController.getTeamTemplates);
+
+// POST /api/v1/teams/:teamId/templates - Publish a team design as a team
+// template, { designId, name, description, category, tags }
+router.post("/:teamId/templates", templateController.createTeamTemplate);
+
+// DELETE /api/v1/teams/:teamId/templates/:templateId - Remove a team template
+router.delete(
+  "/:teamId/templates/:templateId",
+  templateController.deleteTeamTemplate
+);
+
+// Billing routes below are for the team owner
+router.use("/:teamId/billing", requireTeamOwner);
+
+// POST /api/v1/teams/:teamId/billing/checkout - Buy seats on the pro plan,
+// { provider, billingCycle, seats }
+router.post("/:teamId/billing/checkout", teamController.createCheckout);
+
+// POST /api/v1/teams/:teamId/billing/activate - Activate a confirmed
+// checkout, { provider, checkoutId }
+router.post("/:teamId/billing/activate", teamController.activateCheckout);
+
+// PUT /api/v1/teams/:teamId/billing/seats - Change the seats paid for,
+// { seats }
+router.put("/:teamId/billing/seats", teamController.changeSeats);
+
+// POST /api/v1/teams/:teamId/billing/cancel - Cancel the team subscription
+router.post(
+  "/:teamId/billing/cancel",
+  subscriptionController.cancelSubscription
+);
+
+// POST /api/v1/teams/:teamId/billing/reactivate - Undo a cancellation
+router.post(
+  "/:teamId/billing/reactivate",
+  subscriptionController.reactivateSubscription
+);
+
+// POST /api/v1/teams/:teamId/billing/portal - Provider page to manage billing
+router.post("/:teamId/billing/portal", paymentController.createBillingPortal);
+
+// GET /api/v1/teams/:teamId/billing/history - Paginated team payments
+router.get(
+  "/:teamId/billing/history",
+  subscriptionController.getBillingHistory
+);
+
+// GET /api/v1/teams/:teamId/billing/history/:transactionId/invoice - PDF
+router.get(
+  "/:teamId/billing/history/:transactionId/invoice",
+  subscriptionController.getInvoice
+);
+
+// GET /api/v1/teams/:teamId/billing/details - Customer details for invoices
+router.get(
+  "/:teamId/billing/details",
+  subscriptionController.getBillingDetails
+);
+
+// PUT /api/v1/teams/:teamId/billing/details - Update invoice details
+router.put(
+  "/:teamId/billing/details",
+  subscriptionController.updateBillingDetails
+);
+
+module.exports = router;
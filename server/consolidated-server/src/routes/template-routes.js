@@ -0,0 +1,55 @@
+const express = require("express");
+const templateController = require("../controllers/template-controller");
+const authMiddleware = require("../middleware/auth-middleware");
+const adminMiddleware = require("../middleware/admin-middleware");
+
+const router = express.Router();
+
+// Browsing templates works without signing in; managing them is for admins
+const adminOnly = [authMiddleware, adminMiddleware];
+
+// GET /api/v1/templates - List published templates (search, filters, pages)
+router.get("/", templateController.getTemplates);
+
+// GET /api/v1/templates/categories - Categories with published templates
+router.get("/categories", templateController.getTemplateCategories);
+
+// GET /api/v1/templates/manage - List all templates, unpublished included
+router.get("/manage", adminOnly, templateController.getManagedTemplates);
+
+// GET /api/v1/templates/:id - Get a published template with its content
+router.get("/:id", templateController.getTemplate);
+
+// POST /api/v1/templates - Publish a design as a template
+router.post("/", adminOnly, templateController.createTemplate);
+
+// PUT /api/v1/templates/:id - Update a template's details
+router.put("/:id", adminOnly, templateController.updateTemplate);
+
+// DELETE /api/v1/templates/:id - Delete a template and its versions
+router.delete("/:id", adminOnly, templateController.deleteTemplate);
+
+// POST /api/v1/templates/:id/publish - Show a template in the gallery
+router.post("/:id/publish", adminOnly, templateController.publishTemplate);
+
+// POST /api/v1/templates/:id/unpublish - Hide a template from the gallery
+router.post("/:id/unpublish", adminOnly, templateController.unpublishTemplate);
+
+// GET /api/v1/templates/:id/versions - List a template's versions
+router.get("/:id/versions", adminOnly, templateController.getTemplateVersions);
+
+// POST /api/v1/templates/:id/versions - Publish new content from a design
+router.post(
+  "/:id/versions",
+  adminOnly,
+  templateController.createTemplateVersion
+);
+
+// POST /api/v1/templates/:id/versions/:version/restore - Roll back
+router.post(
+  "/:id/versions/:version/restore",
+  adminOnly,
+  templateController.restoreTemplateVersion
+);
+
+module.exports = router;
@@ -2,7 +2,10 @@ const express = require("express");
 const multer = require("multer");
 const uploadController = require("../controllers/upload-controller");
 const aiImageController = require("../controllers/ai-image-controller");
+const backgroundRemovalController = require("../controllers/background-removal-controller");
+const mediaFolderController = require("../controllers/media-folder-controller");
 const authMiddleware = require("../middleware/auth-middleware");
+const workspaceMiddleware = require("../middleware/workspace-middleware");
 
 const router = express.Router();
 
@@ -34,8 +37,10 @@ const upload = multer({
   },
 });
 
-// Apply authentication to all media routes
+// Apply authentication to all media routes, which work in the library of
+// the workspace picked with the X-Workspace-Id header
 router.use(authMiddleware);
+router.use(workspaceMiddleware);
 
 // POST /api/v1/media/upload - Upload single file
 router.post(
@@ -88,13 +93,40 @@ router.post(
   uploadController.uploadMultipleMedia
 );
 
-// GET /api/v1/media - Get all user media
+// GET /api/v1/media - Get all user media (?type=&folderId=&tags=&q=)
 router.get("/", uploadController.getAllMediasByUser);
 
+// GET /api/v1/media/storage - Storage used against the plan's quota
+router.get("/storage", uploadController.getStorage);
+
+// GET /api/v1/media/tags - Tags used in the library
+router.get("/tags", uploadController.getMediaTags);
+
+// GET /api/v1/media/folders - List library folders
+router.get("/folders", mediaFolderController.getMediaFolders);
+
+// POST /api/v1/media/folders - Create a library folder
+router.post("/folders", mediaFolderController.createMediaFolder);
+
+// PUT /api/v1/media/folders/:folderId - Rename a library folder
+router.put("/folders/:folderId", mediaFolderController.renameMediaFolder);
+
+// DELETE /api/v1/media/folders/:folderId - Delete a folder, keeping its files
+router.delete("/folders/:folderId", mediaFolderController.deleteMediaFolder);
+
+// POST /api/v1/media/bulk-delete - Delete several files
+router.post("/bulk-delete", uploadController.bulkDeleteMedia);
+
+// POST /api/v1/media/bulk-update - Move several files or change their tags
+router.post("/bulk-update", uploadController.bulkUpdateMedia);
+
 // GET /api/v1/media/:id - Get specific media by ID
 router.get("/:id", uploadController.getMediaById);
 
-// DELETE /api/v1/media/:id - Delete specific media
+// GET /api/v1/media/:id/usage - Designs that use this media
+router.get("/:id/usage", uploadController.getMediaUsage);
+
+// DELETE /api/v1/media/:id - Delete specific media (?force=true if in use)
 router.delete("/:id", uploadController.deleteMedia);
 
 // POST /api/v1/media/ai-image-generate - Generate AI image
@@ -104,6 +136,12 @@ router.post(
   aiImageController.generateImageFromAIAndUploadToDB
 );
 
+// POST /api/v1/media/:id/remove-background - Cut out the subject as new media
+router.post(
+  "/:id/remove-background",
+  backgroundRemovalController.removeBackground
+);
+
 // GET /api/v1/media/search/:query - Search media by name/tags
 router.get("/search/:query", uploadController.searchMedia);
 
@@ -0,0 +1,87 @@
+// One-off setup of the PayPal catalog product and the billing plans that
+// recurring subscriptions use, one per paid plan and billing cycle, priced
+// from PLAN_PRICES. Prints the PAYPAL_PLAN_* lines to add to .env. Plans
+// already configured in the environment are skipped.
+//
+//   npm run paypal:create-plans
+require("dotenv").config();
+const { paypalRequest } = require("../utils/paypal");
+const {
+  PLAN_CURRENCY,
+  PLAN_PRICES,
+  getProviderPlanId,
+} = require("../utils/subscription-plans");
+
+const PRODUCT_ID = process.env.PAYPAL_PRODUCT_ID || "MOCKO_DESIGNS_PREMIUM";
+
+const INTERVAL_UNITS = { monthly: "MONTH", yearly: "YEAR" };
+
+const envName = (plan, billingCycle) =>
+  `PAYPAL_PLAN_${plan.toUpperCase()}_${billingCycle.toUpperCase()}`;
+
+// Create the catalog product unless it exists already
+const ensureProduct = async () => {
+  try {
+    await paypalRequest("get", `/v1/catalogs/products/${PRODUCT_ID}`);
+  } catch (error) {
+    if (error.response?.status !== 404) throw error;
+    await paypalRequest("post", "/v1/catalogs/products", {
+      id: PRODUCT_ID,
+      name: "Mocko Designs Premium",
+      type: "SERVICE",
+      category: "SOFTWARE",
+    });
+    console.log(`Created PayPal product ${PRODUCT_ID}`);
+  }
+};
+
+const createPlan = (plan, billingCycle, price) =>
+  paypalRequest("post", "/v1/billing/plans", {
+    product_id: PRODUCT_ID,
+    name: `Mocko Designs ${plan} (${billingCycle})`,
+    status: "ACTIVE",
+    // Team subscriptions buy one unit per seat
+    quantity_supported: true,
+    billing_cycles: [
+      {
+        frequency: { interval_unit: INTERVAL_UNITS[billingCycle] },
+        tenure_type: "REGULAR",
+        sequence: 1,
+        total_cycles: 0,
+        pricing_scheme: {
+          fixed_price: {
+            value: price.toFixed(2),
+            currency_code: PLAN_CURRENCY,
+          },
+        },
+      },
+    ],
+    payment_preferences: {
+      auto_bill_outstanding: true,
+      payment_failure_threshold: 3,
+    },
+  });
+
+const run = async () => {
+  await ensureProduct();
+
+  const lines = [];
+  for (const [plan, prices] of Object.entries(PLAN_PRICES)) {
+    for (const [billingCycle, price] of Object.entries(prices)) {
+      const existing = getProviderPlanId("paypal", plan, billingCycle);
+      const id = existing || (await createPlan(plan, billingCycle, price)).id;
+      lines.push(`${envName(plan, billingCycle)}=${id}`);
+    }
+  }
+
+  console.log("✅ PayPal plans ready. Add these to .env:\n");
+  console.log(lines.join("\n"));
+};
+
+run().catch((error) => {
+  console.error(
+    "PayPal plan setup failed:",
+    error.response?.data || error.message
+  );
+  process.exit(1);
+});
@@ -0,0 +1,90 @@
+// One-off import of the static example templates (client/public/examples)
+// into the Template collection. Templates that already exist by name are
+// skipped, so it is safe to run again.
+//
+//   npm run templates:import [-- path/to/folder]
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const Template = require("../models/template");
+const TemplateVersion = require("../models/template-version");
+const {
+  cleanTemplateName,
+  cleanCategory,
+  normalizeTags,
+  templateContent,
+} = require("../utils/templates");
+
+const DEFAULT_FOLDER = path.resolve(
+  __dirname,
+  "../../../../client/public/examples"
+);
+
+const importTemplate = async (filePath) => {
+  const { templateInfo = {}, isPremium, ...canvasData } = JSON.parse(
+    fs.readFileSync(filePath, "utf8")
+  );
+  const name =
+    cleanTemplateName(templateInfo.name) || path.basename(filePath, ".json");
+
+  if (await Template.exists({ name })) {
+    console.log(`⏭️  ${name} already exists`);
+    return;
+  }
+
+  const template = await Template.create({
+    name,
+    description: templateInfo.description || "",
+    category: cleanCategory(templateInfo.category),
+    tags: normalizeTags(templateInfo.tags),
+    isPremium: Boolean(isPremium),
+    width: canvasData.width || 800,
+    height: canvasData.height || 600,
+    pages: [
+      {
+        name: "Page 1",
+        canvasData: JSON.stringify(canvasData),
+        background:
+          typeof canvasData.background === "string"
+            ? canvasData.background
+            : undefined,
+      },
+    ],
+    createdBy: "import",
+    publishedAt: new Date(),
+  });
+  await TemplateVersion.create({
+    templateId: template._id,
+    version: template.version,
+    ...templateContent(template),
+    publishedBy: "import",
+    note: "Imported from example files",
+  });
+  console.log(`✅ Imported ${name}`);
+};
+
+const run = async () => {
+  const folder = path.resolve(process.argv[2] || DEFAULT_FOLDER);
+  const files = fs
+    .readdirSync(folder)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => path.join(folder, file));
+
+  await mongoose.connect(process.env.MONGO_URI, {
+    serverSelectionTimeoutMS: 5000,
+  });
+  for (const file of files) {
+    try {
+      await importTemplate(file);
+    } catch (error) {
+      console.error(`❌ Failed to import ${file}:`, error.message);
+    }
+  }
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error("Template import failed:", error);
+  process.exit(1);
+});
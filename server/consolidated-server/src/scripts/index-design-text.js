@@ -0,0 +1,38 @@
+// One-off backfill of the searchable text of designs saved before search
+// was added. New and edited designs are kept up to date on save.
+//
+//   npm run designs:index-text
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Design = require("../models/design");
+const { buildSearchText } = require("../utils/design-search");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI, {
+    serverSelectionTimeoutMS: 5000,
+  });
+
+  // Built in the background by MongoDB on first use otherwise
+  await Design.syncIndexes();
+
+  let updated = 0;
+  const cursor = Design.find({ searchText: { $exists: false } })
+    .select("pages canvasData")
+    .cursor();
+  for await (const design of cursor) {
+    await Design.updateOne(
+      { _id: design._id },
+      { $set: { searchText: buildSearchText(design) } },
+      { timestamps: false }
+    );
+    updated++;
+  }
+
+  console.log(`✅ Indexed the text of ${updated} design(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error("Design text indexing failed:", error);
+  process.exit(1);
+});
@@ -12,11 +12,28 @@ const uploadRoutes = require("./routes/upload-routes");
 const subscriptionRoutes = require("./routes/subscription-routes");
 const healthRoutes = require("./routes/health-routes");
 const paypalTestRoutes = require("./routes/paypal-test-routes");
+const sharedRoutes = require("./routes/shared-routes");
+const brandKitRoutes = require("./routes/brand-kit-routes");
+const filterPresetRoutes = require("./routes/filter-preset-routes");
+const componentRoutes = require("./routes/component-routes");
+const templateRoutes = require("./routes/template-routes");
+const teamRoutes = require("./routes/team-routes");
 
 // Import middleware
 const errorHandler = require("./middleware/error-handler");
 const requestLogger = require("./middleware/request-logger");
 
+// Import background jobs
+const {
+  resumeExportJobs,
+  startExportCleanup,
+} = require("./utils/design-export");
+const { startTrashPurge } = require("./utils/design-trash");
+const { startSubscriptionExpiry } = require("./utils/subscription-expiry");
+
+// Import real-time collaboration
+const { attachCollaborationServer } = require("./realtime/collaboration-server");
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -91,8 +108,15 @@ const connectToDatabase = async () => {
   }
 };
 
-// Initialize database connection
-connectToDatabase();
+// Initialize database connection, then pick up exports interrupted by a
+// restart and remove old ones, start purging designs that were in the
+// trash for too long and expire subscriptions that were not renewed
+connectToDatabase().then(() => {
+  resumeExportJobs();
+  startExportCleanup();
+  startTrashPurge();
+  startSubscriptionExpiry();
+});
 
 // Rate limiting for production
 const limiter = rateLimit({
@@ -156,6 +180,7 @@ const corsOptions = {
     "X-Request-ID",
     "x-request-timestamp",
     "Accept-Language",
+    "X-Workspace-Id",
   ],
   exposedHeaders: ["X-Request-ID"],
   maxAge: 86400, // Cache preflight response for 24 hours
@@ -197,16 +222,34 @@ app.use("/paypal", paypalTestRoutes);
 app.use("/v1/designs", designRoutes);
 app.use("/v1/media", uploadRoutes);
 app.use("/v1/subscription", subscriptionRoutes);
+app.use("/v1/shared", sharedRoutes);
+app.use("/v1/brand-kit", brandKitRoutes);
+app.use("/v1/filter-presets", filterPresetRoutes);
+app.use("/v1/components", componentRoutes);
+app.use("/v1/templates", templateRoutes);
+app.use("/v1/teams", teamRoutes);
 
 // Alternative API routes with versioning
 app.use("/api/v1/designs", designRoutes);
 app.use("/api/v1/media", uploadRoutes);
 app.use("/api/v1/subscription", subscriptionRoutes);
+app.use("/api/v1/shared", sharedRoutes);
+app.use("/api/v1/brand-kit", brandKitRoutes);
+app.use("/api/v1/filter-presets", filterPresetRoutes);
+app.use("/api/v1/components", componentRoutes);
+app.use("/api/v1/templates", templateRoutes);
+app.use("/api/v1/teams", teamRoutes);
 
 // Legacy API routes for backward compatibility
 app.use("/api/designs", designRoutes);
 app.use("/api/media", uploadRoutes);
 app.use("/api/subscription", subscriptionRoutes);
+app.use("/api/shared", sharedRoutes);
+app.use("/api/brand-kit", brandKitRoutes);
+app.use("/api/filter-presets", filterPresetRoutes);
+app.use("/api/components", componentRoutes);
+app.use("/api/templates", templateRoutes);
+app.use("/api/teams", teamRoutes);
 
 // API info endpoint
 app.get("/api", (req, res) => {
@@ -220,6 +263,12 @@ app.get("/api", (req, res) => {
       designs: "/api/v1/designs",
       media: "/api/v1/media",
       subscription: "/api/v1/subscription",
+      shared: "/api/v1/shared/:token",
+      brandKit: "/api/v1/brand-kit",
+      filterPresets: "/api/v1/filter-presets",
+      components: "/api/v1/components",
+      templates: "/api/v1/templates",
+      teams: "/api/v1/teams",
     },
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || "development",
@@ -283,6 +332,9 @@ const server = app.listen(PORT, () => {
   console.log("🚀 ====================================");
 });
 
+// Real-time collaboration shares the HTTP server (ws://.../ws/designs/:id)
+attachCollaborationServer(server);
+
 // Server error handling
 server.on("error", (error) => {
   console.error("🚨 Server error:", error);
@@ -0,0 +1,176 @@
+const axios = require("axios");
+
+// Background removal is pluggable: "onnx" runs a salient-object segmentation
+// model (U²-Net and compatible) in-process, "http" forwards the image to a
+// self-hosted service such as rembg that answers with the cut-out PNG.
+const PROVIDER = process.env.BACKGROUND_REMOVAL_PROVIDER || "onnx";
+const MODEL_PATH = process.env.BACKGROUND_REMOVAL_MODEL_PATH;
+// Square input resolution the model was trained on
+const MODEL_SIZE = parseInt(process.env.BACKGROUND_REMOVAL_MODEL_SIZE) || 320;
+const SERVICE_URL = process.env.BACKGROUND_REMOVAL_URL;
+
+// ImageNet normalization used by U²-Net style models
+const MEAN = [0.485, 0.456, 0.406];
+const STD = [0.229, 0.224, 0.225];
+
+// Raster formats the local pipeline can decode
+const SUPPORTED_MIME_TYPES = [
+  "image/jpeg",
+  "image/jpg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+];
+
+// onnxruntime-node and the native `canvas` package are loaded lazily, like
+// the canvas renderer, so the server still starts without them
+let onnxModules;
+const loadOnnxModules = () => {
+  if (onnxModules === undefined) {
+    try {
+      onnxModules = {
+        ort: require("onnxruntime-node"),
+        canvas: require("canvas"),
+      };
+    } catch (error) {
+      console.warn(
+        "Local background removal disabled - onnxruntime-node or canvas could not be loaded:",
+        error.message
+      );
+      onnxModules = null;
+    }
+  }
+  return onnxModules;
+};
+
+let sessionPromise = null;
+const getSession = () => {
+  if (!sessionPromise) {
+    const { ort } = loadOnnxModules();
+    sessionPromise = ort.InferenceSession.create(MODEL_PATH).catch((error) => {
+      // Let the next request try again
+      sessionPromise = null;
+      throw error;
+    });
+  }
+  return sessionPromise;
+};
+
+// Resize to the model input and convert to a normalized NCHW float tensor
+const toInputTensor = (ort, { createCanvas }, image) => {
+  const inputCanvas = createCanvas(MODEL_SIZE, MODEL_SIZE);
+  const ctx = inputCanvas.getContext("2d");
+  ctx.drawImage(image, 0, 0, MODEL_SIZE, MODEL_SIZE);
+  const { data } = ctx.getImageData(0, 0, MODEL_SIZE, MODEL_SIZE);
+
+  const pixelCount = MODEL_SIZE * MODEL_SIZE;
+  const input = new Float32Array(3 * pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    for (let channel = 0; channel < 3; channel++) {
+      input[channel * pixelCount + i] =
+        (data[i * 4 + channel] / 255 - MEAN[channel]) / STD[channel];
+    }
+  }
+
+  return new ort.Tensor("float32", input, [1, 3, MODEL_SIZE, MODEL_SIZE]);
+};
+
+// Stretch the model output to 0-255 and scale it up to the image size
+const toMaskImageData = ({ createCanvas }, output, width, height) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of output) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  const range = max - min || 1;
+
+  const maskCanvas = createCanvas(MODEL_SIZE, MODEL_SIZE);
+  const maskCtx = maskCanvas.getContext("2d");
+  const mask = maskCtx.createImageData(MODEL_SIZE, MODEL_SIZE);
+  output.forEach((value, i) => {
+    const alpha = Math.round(((value - min) / range) * 255);
+    mask.data[i * 4] = alpha;
+    mask.data[i * 4 + 1] = alpha;
+    mask.data[i * 4 + 2] = alpha;
+    mask.data[i * 4 + 3] = 255;
+  });
+  maskCtx.putImageData(mask, 0, 0);
+
+  const scaledCanvas = createCanvas(width, height);
+  const scaledCtx = scaledCanvas.getContext("2d");
+  scaledCtx.drawImage(maskCanvas, 0, 0, width, height);
+  return scaledCtx.getImageData(0, 0, width, height);
+};
+
+const removeWithOnnx = async (buffer) => {
+  const { ort, canvas } = loadOnnxModules();
+  const session = await getSession();
+
+  const image = await canvas.loadImage(buffer);
+  const { width, height } = image;
+
+  const results = await session.run({
+    [session.inputNames[0]]: toInputTensor(ort, canvas, image),
+  });
+  // U²-Net's first output is the fused, most detailed mask
+  const output = results[session.outputNames[0]].data;
+  const mask = toMaskImageData(canvas, output, width, height);
+
+  const outputCanvas = canvas.createCanvas(width, height);
+  const ctx = outputCanvas.getContext("2d");
+  ctx.drawImage(image, 0, 0);
+  const pixels = ctx.getImageData(0, 0, width, height);
+  for (let i = 3; i < pixels.data.length; i += 4) {
+    // Keep any transparency the source already had
+    pixels.data[i] = Math.round((pixels.data[i] * mask.data[i - 3]) / 255);
+  }
+  ctx.putImageData(pixels, 0, 0);
+
+  return { buffer: outputCanvas.toBuffer("image/png"), width, height };
+};
+
+const removeWithService = async (buffer, mimeType) => {
+  const response = await axios.post(SERVICE_URL, buffer, {
+    headers: { "Content-Type": mimeType, Accept: "image/png" },
+    responseType: "arraybuffer",
+    timeout: 60000,
+    maxContentLength: 50 * 1024 * 1024,
+  });
+  return { buffer: Buffer.from(response.data) };
+};
+
+const PROVIDERS = {
+  onnx: {
+    isAvailable: () => Boolean(MODEL_PATH && loadOnnxModules()),
+    remove: removeWithOnnx,
+  },
+  http: {
+    isAvailable: () => Boolean(SERVICE_URL),
+    remove: removeWithService,
+  },
+};
+
+const getProvider = () => PROVIDERS[PROVIDER] || null;
+
+const isBackgroundRemovalAvailable = () =>
+  Boolean(getProvider()?.isAvailable());
+
+const isSupportedImage = (mimeType) => SUPPORTED_MIME_TYPES.includes(mimeType);
+
+/**
+ * Cut the subject out of an image. Resolves with the PNG `buffer` and, when
+ * the provider knows them, its `width` and `height`.
+ */
+const removeBackground = async (buffer, mimeType) => {
+  if (!isBackgroundRemovalAvailable()) {
+    throw new Error("Background removal is not available");
+  }
+  return getProvider().remove(buffer, mimeType);
+};
+
+module.exports = {
+  isBackgroundRemovalAvailable,
+  isSupportedImage,
+  removeBackground,
+};
@@ -0,0 +1,23 @@
+// Renewal payments are reported shortly after the billing date, so access
+// is kept for a day past it before the subscription counts as lapsed
+const RENEWAL_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// The date `count` billing periods after `date` (before it when negative)
+const addBillingPeriod = (date, billingCycle = "monthly", count = 1) => {
+  const next = new Date(date);
+  if (billingCycle === "yearly") {
+    next.setFullYear(next.getFullYear() + count);
+  } else {
+    next.setMonth(next.getMonth() + count);
+  }
+  return next;
+};
+
+const isPastBillingDate = (nextBillingDate, now = Date.now()) =>
+  new Date(nextBillingDate).getTime() + RENEWAL_GRACE_MS <= now;
+
+module.exports = {
+  RENEWAL_GRACE_MS,
+  addBillingPeriod,
+  isPastBillingDate,
+};
@@ -0,0 +1,96 @@
+const MAX_PALETTES = 10;
+const MAX_COLORS_PER_PALETTE = 20;
+const MAX_FONT_PAIRS = 10;
+const MAX_LOGOS = 20;
+
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// "#ABC" -> "#aabbcc"; null for anything that isn't a hex color
+const normalizeHexColor = (color) => {
+  if (typeof color !== "string" || !HEX_COLOR_PATTERN.test(color.trim())) {
+    return null;
+  }
+  const hex = color.trim().slice(1).toLowerCase();
+  return hex.length === 3
+    ? `#${hex
+        .split("")
+        .map((digit) => digit + digit)
+        .join("")}`
+    : `#${hex}`;
+};
+
+const cleanName = (name, fallback) =>
+  typeof name === "string" && name.trim()
+    ? name.trim().slice(0, 50)
+    : fallback;
+
+const cleanFontFamily = (font) =>
+  typeof font === "string" && font.trim() ? font.trim().slice(0, 100) : null;
+
+/**
+ * Validate palettes sent by the client. Returns { palettes } or { error }.
+ */
+const sanitizePalettes = (palettes) => {
+  if (!Array.isArray(palettes)) return { error: "Palettes must be a list" };
+  if (palettes.length > MAX_PALETTES) {
+    return { error: `A brand kit can have at most ${MAX_PALETTES} palettes` };
+  }
+
+  const result = [];
+  for (const [index, palette] of palettes.entries()) {
+    const colors = Array.isArray(palette?.colors) ? palette.colors : [];
+    if (colors.length > MAX_COLORS_PER_PALETTE) {
+      return {
+        error: `A palette can have at most ${MAX_COLORS_PER_PALETTE} colors`,
+      };
+    }
+
+    const normalized = colors.map(normalizeHexColor);
+    if (normalized.includes(null)) {
+      return { error: "Colors must be hex values like #1a2b3c" };
+    }
+
+    result.push({
+      name: cleanName(palette.name, `Palette ${index + 1}`),
+      colors: [...new Set(normalized)],
+    });
+  }
+  return { palettes: result };
+};
+
+/**
+ * Validate heading/body font pairs. Returns { fontPairs } or { error }.
+ */
+const sanitizeFontPairs = (fontPairs) => {
+  if (!Array.isArray(fontPairs)) return { error: "Font pairs must be a list" };
+  if (fontPairs.length > MAX_FONT_PAIRS) {
+    return {
+      error: `A brand kit can have at most ${MAX_FONT_PAIRS} font pairs`,
+    };
+  }
+
+  const result = [];
+  for (const [index, pair] of fontPairs.entries()) {
+    const heading = cleanFontFamily(pair?.heading);
+    const body = cleanFontFamily(pair?.body);
+    if (!heading || !body) {
+      return { error: "Every font pair needs a heading and a body font" };
+    }
+    result.push({
+      name: cleanName(pair.name, `Font pair ${index + 1}`),
+      heading,
+      body,
+    });
+  }
+  return { fontPairs: result };
+};
+
+module.exports = {
+  MAX_PALETTES,
+  MAX_COLORS_PER_PALETTE,
+  MAX_FONT_PAIRS,
+  MAX_LOGOS,
+  normalizeHexColor,
+  sanitizePalettes,
+  sanitizeFontPairs,
+};
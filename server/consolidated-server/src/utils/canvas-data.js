@@ -0,0 +1,41 @@
+const DEFAULT_CANVAS_VERSION = "5.3.0";
+const DEFAULT_BACKGROUND = "#ffffff";
+
+// Empty Fabric canvas structure used for new designs and pages
+const createEmptyCanvasData = (background = DEFAULT_BACKGROUND) => ({
+  version: DEFAULT_CANVAS_VERSION,
+  objects: [],
+  background,
+});
+
+// Parse canvas data (string or object) and make sure the structure Fabric
+// expects is present. Throws a SyntaxError if the string is not valid JSON.
+const parseCanvasData = (canvasData) => {
+  const parsedCanvasData =
+    typeof canvasData === "string" ? JSON.parse(canvasData) : canvasData;
+
+  if (!parsedCanvasData || typeof parsedCanvasData !== "object") {
+    throw new SyntaxError("Canvas data must be a JSON object");
+  }
+
+  if (!parsedCanvasData.objects) {
+    parsedCanvasData.objects = [];
+  }
+  if (!parsedCanvasData.version) {
+    parsedCanvasData.version = DEFAULT_CANVAS_VERSION;
+  }
+
+  return parsedCanvasData;
+};
+
+// Same as parseCanvasData but returns the string form stored in MongoDB
+const normalizeCanvasData = (canvasData) =>
+  JSON.stringify(parseCanvasData(canvasData));
+
+module.exports = {
+  DEFAULT_CANVAS_VERSION,
+  DEFAULT_BACKGROUND,
+  createEmptyCanvasData,
+  parseCanvasData,
+  normalizeCanvasData,
+};
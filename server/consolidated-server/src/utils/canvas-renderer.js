@@ -0,0 +1,146 @@
+const { parseCanvasData } = require("./canvas-data");
+const { isCloudinaryAssetUrl } = require("./cloudinary");
+const { registerImageFilters } = require("./image-filters");
+
+// Longest side of generated thumbnails, in pixels
+const THUMBNAIL_MAX_SIZE = 400;
+
+// fabric's node build depends on the native `canvas` package. It is loaded
+// lazily so the server still starts (and falls back to client-generated
+// thumbnails) on hosts where the native build is not available.
+let fabricNode;
+const loadFabric = () => {
+  if (fabricNode === undefined) {
+    try {
+      fabricNode = require("fabric/node");
+      registerImageFilters(fabricNode);
+    } catch (error) {
+      console.warn(
+        "Server-side canvas rendering disabled - fabric/node could not be loaded:",
+        error.message
+      );
+      fabricNode = null;
+    }
+  }
+  return fabricNode;
+};
+
+const isRendererAvailable = () => Boolean(loadFabric());
+
+// fabric/node loads image sources with a real resource loader, so a URL in
+// the user's canvas data would be fetched from this server. Only data URLs
+// and files in the app's Cloudinary account are loaded.
+const isTrustedSource = (source) =>
+  typeof source !== "string" ||
+  source.startsWith("data:") ||
+  isCloudinaryAssetUrl(source);
+
+// Images, patterns, clip paths and image filters carry their URL as src
+// or source
+const hasUntrustedSource = (value) =>
+  Boolean(value) &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(isTrustedSource(value.src) && isTrustedSource(value.source));
+
+// Copy of Fabric JSON without the objects that load untrusted URLs
+const removeUntrustedSources = (value) => {
+  if (Array.isArray(value)) {
+    return value
+      .filter((item) => !hasUntrustedSource(item))
+      .map(removeUntrustedSources);
+  }
+  if (!value || typeof value !== "object") return value;
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, child]) => !hasUntrustedSource(child))
+      .map(([key, child]) => [key, removeUntrustedSources(child)])
+  );
+};
+
+// Load Fabric JSON into a StaticCanvas, run `render` on it and dispose it.
+// `scale` multiplies the output resolution and `bleed` (in design pixels)
+// extends the canvas on every side, filled with the page background.
+const withStaticCanvas = async (
+  canvasData,
+  { width, height, scale = 1, bleed = 0 },
+  render
+) => {
+  const fabric = loadFabric();
+  if (!fabric) {
+    throw new Error("Canvas renderer is not available");
+  }
+
+  const parsedCanvasData = parseCanvasData(canvasData);
+  const sourceWidth = width || parsedCanvasData.width || 800;
+  const sourceHeight = height || parsedCanvasData.height || 600;
+
+  const staticCanvas = new fabric.StaticCanvas(null, {
+    width: Math.round((sourceWidth + bleed * 2) * scale),
+    height: Math.round((sourceHeight + bleed * 2) * scale),
+    renderOnAddRemove: false,
+    // Paint the background over the bleed area too
+    backgroundVpt: false,
+  });
+
+  try {
+    await staticCanvas.loadFromJSON(removeUntrustedSources(parsedCanvasData));
+    staticCanvas.backgroundColor = parsedCanvasData.background || "#ffffff";
+    staticCanvas.setViewportTransform([
+      scale,
+      0,
+      0,
+      scale,
+      bleed * scale,
+      bleed * scale,
+    ]);
+    staticCanvas.renderAll();
+
+    return await render(staticCanvas);
+  } finally {
+    staticCanvas.dispose();
+  }
+};
+
+// Render Fabric JSON into a PNG or JPEG buffer
+const renderRaster = (
+  canvasData,
+  { width, height, scale = 1, bleed = 0, format = "png", quality = 0.92 } = {}
+) =>
+  withStaticCanvas(canvasData, { width, height, scale, bleed }, (canvas) =>
+    format === "jpeg"
+      ? canvas.getNodeCanvas().toBuffer("image/jpeg", { quality })
+      : canvas.getNodeCanvas().toBuffer("image/png")
+  );
+
+// Render Fabric JSON into an SVG document (vector text and paths)
+const renderSvg = (canvasData, { width, height, bleed = 0 } = {}) =>
+  withStaticCanvas(canvasData, { width, height, bleed }, (canvas) =>
+    canvas.toSVG()
+  );
+
+// Render a PNG thumbnail that fits within maxSize x maxSize
+const renderThumbnail = (
+  canvasData,
+  { width, height, maxSize = THUMBNAIL_MAX_SIZE } = {}
+) => {
+  const parsedCanvasData = parseCanvasData(canvasData);
+  const sourceWidth = width || parsedCanvasData.width || 800;
+  const sourceHeight = height || parsedCanvasData.height || 600;
+  const scale = Math.min(maxSize / sourceWidth, maxSize / sourceHeight, 1);
+
+  return renderRaster(parsedCanvasData, {
+    width: sourceWidth,
+    height: sourceHeight,
+    scale,
+  });
+};
+
+module.exports = {
+  THUMBNAIL_MAX_SIZE,
+  isRendererAvailable,
+  renderRaster,
+  renderSvg,
+  renderThumbnail,
+};
@@ -36,9 +36,10 @@ const uploadMediaToCloudinary = (file, options = {}) => {
   });
 };
 
-const deleteMediaFromCloudinary = async (publicId) => {
+// options.resource_type is needed for anything but images, e.g. "raw"
+const deleteMediaFromCloudinary = async (publicId, options = {}) => {
   try {
-    const result = await cloudinary.uploader.destroy(publicId);
+    const result = await cloudinary.uploader.destroy(publicId, options);
     return result;
   } catch (error) {
     console.error("Cloudinary delete error:", error);
@@ -78,10 +79,28 @@ const generateImageVariations = (publicId) => {
   };
 };
 
+// Whether a URL points at a file in this app's Cloudinary account. The
+// server only ever downloads those, never URLs taken from user content.
+const isCloudinaryAssetUrl = (url) => {
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  if (!cloudName) return false;
+  try {
+    const { protocol, hostname, pathname } = new URL(url);
+    return (
+      protocol === "https:" &&
+      hostname === "res.cloudinary.com" &&
+      pathname.startsWith(`/${cloudName}/`)
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
 module.exports = {
   uploadMediaToCloudinary,
   deleteMediaFromCloudinary,
   getCloudinaryUrl,
   generateImageVariations,
+  isCloudinaryAssetUrl,
   cloudinary,
 };
@@ -0,0 +1,48 @@
+const MAX_COMPONENTS = 200;
+// Component data is Fabric JSON; images are referenced by URL, so anything
+// bigger than this is almost certainly inlined image data
+const MAX_COMPONENT_DATA_LENGTH = 2 * 1024 * 1024;
+const MAX_THUMBNAIL_LENGTH = 512 * 1024;
+
+const cleanComponentName = (name) =>
+  typeof name === "string" && name.trim() ? name.trim().slice(0, 100) : null;
+
+/**
+ * Validate a component's content: the Fabric JSON (string or object) of the
+ * single object, normally a group, that instances are created from. Returns
+ * { data } with the string to store, or { error }.
+ */
+const normalizeComponentData = (data) => {
+  let parsed;
+  try {
+    parsed = typeof data === "string" ? JSON.parse(data) : data;
+  } catch (error) {
+    return { error: "Component data must be valid JSON" };
+  }
+
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { error: "Component data must be a Fabric object" };
+  }
+  if (typeof parsed.type !== "string") {
+    return { error: "Component data must have an object type" };
+  }
+
+  const normalized = JSON.stringify(parsed);
+  if (normalized.length > MAX_COMPONENT_DATA_LENGTH) {
+    return { error: "Component is too large" };
+  }
+  return { data: normalized };
+};
+
+// Thumbnails are small PNG/JPEG data URLs rendered by the editor
+const isValidThumbnail = (thumbnail) =>
+  typeof thumbnail === "string" &&
+  thumbnail.startsWith("data:image/") &&
+  thumbnail.length <= MAX_THUMBNAIL_LENGTH;
+
+module.exports = {
+  MAX_COMPONENTS,
+  cleanComponentName,
+  normalizeComponentData,
+  isValidThumbnail,
+};
@@ -0,0 +1,130 @@
+const { ensurePages } = require("./design-pages");
+
+const MAX_COLLABORATORS_PER_DESIGN = 50;
+
+// Roles a design can be shared with, from least to most access. The owner
+// is implicit and ranks above all of them.
+const COLLABORATOR_ROLES = ["viewer", "commenter", "editor"];
+
+const ROLE_RANK = {
+  viewer: 1,
+  commenter: 2,
+  editor: 3,
+  owner: 4,
+};
+
+const normalizeEmail = (email) =>
+  typeof email === "string" ? email.trim().toLowerCase() : "";
+
+// Query conditions matching designs the user owns, was invited to or that
+// belong to one of their teams (user.teamIds, see workspace-middleware).
+// Designs in the trash can't be opened until they are restored.
+const accessibleDesignsFilter = (user) => {
+  const conditions = [
+    { userId: user.userId },
+    { "collaborators.userId": user.userId },
+  ];
+  const email = normalizeEmail(user.email);
+  if (email) conditions.push({ "collaborators.email": email });
+  if (user.teamIds?.length) conditions.push({ teamId: { $in: user.teamIds } });
+  return { $or: conditions, deletedAt: null };
+};
+
+const findCollaborator = (design, user) => {
+  const email = normalizeEmail(user.email);
+  return (design.collaborators || []).find(
+    (collaborator) =>
+      (collaborator.userId && collaborator.userId === user.userId) ||
+      (email && collaborator.email === email)
+  );
+};
+
+const isTeamDesign = (design, user) =>
+  Boolean(design.teamId) &&
+  (user.teamIds || []).includes(design.teamId.toString());
+
+// The user's role on a design: "owner", a collaborator role, or null.
+// Members of the design's team can edit it.
+const getDesignRole = (design, user) => {
+  if (!design || !user) return null;
+  if (design.userId === user.userId) return "owner";
+  if (isTeamDesign(design, user)) return "editor";
+
+  const collaborator = findCollaborator(design, user);
+  return collaborator ? collaborator.role : null;
+};
+
+const hasRole = (role, minimumRole) =>
+  Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minimumRole];
+
+// Minimum role for each kind of action on a design and what belongs to it
+// (pages, comments, versions)
+const ACTION_ROLES = {
+  view: "viewer",
+  comment: "commenter",
+  edit: "editor",
+};
+
+// Load the design of req.params.id if the user can access it, with their
+// role on it; `allowed` tells whether the role is enough for the action.
+// `fields` optionally limits what is loaded. Legacy designs get their
+// first page in memory, see ensurePages.
+const findDesignForAction = async (req, action, fields) => {
+  // Required here since the Design model uses COLLABORATOR_ROLES above
+  const Design = require("../models/design");
+  const query = Design.findOne({
+    _id: req.params.id,
+    ...accessibleDesignsFilter(req.user),
+  });
+  const design = ensurePages(await (fields ? query.select(fields) : query));
+  const role = getDesignRole(design, req.user);
+  return { design, role, allowed: hasRole(role, ACTION_ROLES[action]) };
+};
+
+const designNotFound = (res, action = "view") =>
+  res.status(404).json({
+    success: false,
+    error: "Design not found",
+    message: `Design not found or you don't have permission to ${action} it.`,
+    code: "DESIGN_NOT_FOUND",
+  });
+
+// `action` completes the message, e.g. "edit this design"
+const permissionDenied = (res, action) =>
+  res.status(403).json({
+    success: false,
+    error: "Permission denied",
+    message: `You don't have permission to ${action}.`,
+    code: "PERMISSION_DENIED",
+  });
+
+// Record the user id of an invitee the first time they open the design, so
+// it stays shared with them if their email changes
+const claimInvitation = async (design, user) => {
+  const collaborator = findCollaborator(design, user);
+  if (!collaborator || collaborator.userId) return;
+
+  collaborator.userId = user.userId;
+  await design.constructor.updateOne(
+    { _id: design._id, "collaborators._id": collaborator._id },
+    { $set: { "collaborators.$.userId": user.userId } }
+  );
+};
+
+const isShareLinkActive = (shareLink) =>
+  Boolean(shareLink && shareLink.token) &&
+  (!shareLink.expiresAt || shareLink.expiresAt > new Date());
+
+module.exports = {
+  MAX_COLLABORATORS_PER_DESIGN,
+  COLLABORATOR_ROLES,
+  normalizeEmail,
+  accessibleDesignsFilter,
+  getDesignRole,
+  hasRole,
+  findDesignForAction,
+  designNotFound,
+  permissionDenied,
+  claimInvitation,
+  isShareLinkActive,
+};
@@ -0,0 +1,29 @@
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_MENTIONS_PER_COMMENT = 20;
+
+// "@jane@example.com" mentions the person invited with that email
+const MENTION_PATTERN = /(?:^|[^\w.@])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+// Lowercased, de-duplicated emails mentioned in a comment body
+const extractMentions = (body) => {
+  const mentions = new Set();
+  for (const match of String(body || "").matchAll(MENTION_PATTERN)) {
+    // A sentence may end right after the mention
+    mentions.add(match[1].replace(/\.+$/, "").toLowerCase());
+    if (mentions.size >= MAX_MENTIONS_PER_COMMENT) break;
+  }
+  return [...mentions];
+};
+
+// The author fields stored on comments and replies
+const toAuthor = (user) => ({
+  authorId: user.userId,
+  authorName: user.name || "",
+  authorEmail: (user.email || "").toLowerCase(),
+});
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  extractMentions,
+  toAuthor,
+};
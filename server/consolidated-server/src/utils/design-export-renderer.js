@@ -0,0 +1,184 @@
+const axios = require("axios");
+const PDFDocument = require("pdfkit");
+const SVGtoPDF = require("svg-to-pdfkit");
+const { isCloudinaryAssetUrl } = require("./cloudinary");
+const { renderRaster, renderSvg } = require("./canvas-renderer");
+
+// Design dimensions are CSS pixels (96 per inch)
+const DESIGN_DPI = 96;
+const POINTS_PER_PIXEL = 72 / DESIGN_DPI;
+const mmToPixels = (mm) => (mm / 25.4) * DESIGN_DPI;
+
+// Space around the bleed box reserved for crop marks, in points
+const CROP_MARK_MARGIN = 24;
+const CROP_MARK_OFFSET = 6;
+
+// svg-to-pdfkit only embeds data URLs, so remote images are inlined first.
+// The renderer has already dropped images from other hosts; they are
+// checked again here since the URLs come from the user's canvas data.
+const inlineSvgImages = async (svg) => {
+  const urls = [
+    ...new Set(
+      [...svg.matchAll(/href="(https?:\/\/[^"]+)"/g)].map((match) => match[1])
+    ),
+  ];
+
+  let inlinedSvg = svg;
+  for (const url of urls) {
+    const imageUrl = url.replace(/&amp;/g, "&");
+    if (!isCloudinaryAssetUrl(imageUrl)) {
+      console.warn(`Skipped export image outside Cloudinary: ${imageUrl}`);
+      continue;
+    }
+    try {
+      const response = await axios.get(imageUrl, {
+        responseType: "arraybuffer",
+        timeout: 30000,
+        maxRedirects: 0,
+      });
+      const mimeType = response.headers["content-type"] || "image/png";
+      const dataUrl = `data:${mimeType};base64,${Buffer.from(
+        response.data
+      ).toString("base64")}`;
+      inlinedSvg = inlinedSvg.split(`"${url}"`).join(`"${dataUrl}"`);
+    } catch (error) {
+      console.error(`Failed to inline export image ${url}:`, error.message);
+    }
+  }
+  return inlinedSvg;
+};
+
+// Draw printer's crop marks at the trim box corners, outside the bleed
+const drawCropMarks = (doc, trimX, trimY, trimWidth, trimHeight, bleed) => {
+  const start = bleed + CROP_MARK_OFFSET;
+  const end = bleed + CROP_MARK_MARGIN;
+  const corners = [
+    [trimX, trimY, -1, -1],
+    [trimX + trimWidth, trimY, 1, -1],
+    [trimX, trimY + trimHeight, -1, 1],
+    [trimX + trimWidth, trimY + trimHeight, 1, 1],
+  ];
+
+  doc.save().lineWidth(0.25).strokeColor("#000000");
+  corners.forEach(([x, y, dirX, dirY]) => {
+    doc
+      .moveTo(x + dirX * start, y)
+      .lineTo(x + dirX * end, y)
+      .stroke();
+    doc
+      .moveTo(x, y + dirY * start)
+      .lineTo(x, y + dirY * end)
+      .stroke();
+  });
+  doc.restore();
+};
+
+// Vector PDF: each page is rendered to SVG by Fabric and drawn with
+// svg-to-pdfkit so text and shapes stay vectors
+const renderPdf = async (
+  design,
+  pages,
+  { bleedMm, cropMarks },
+  onProgress
+) => {
+  const bleedPx = mmToPixels(bleedMm);
+  const bleed = bleedPx * POINTS_PER_PIXEL;
+  const trimWidth = design.width * POINTS_PER_PIXEL;
+  const trimHeight = design.height * POINTS_PER_PIXEL;
+  const margin = cropMarks ? bleed + CROP_MARK_MARGIN : bleed;
+
+  const doc = new PDFDocument({
+    autoFirstPage: false,
+    info: { Title: design.name, Creator: "Mocko Designs" },
+  });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  for (let index = 0; index < pages.length; index++) {
+    const svg = await inlineSvgImages(
+      await renderSvg(pages[index].canvasData, {
+        width: design.width,
+        height: design.height,
+        bleed: bleedPx,
+      })
+    );
+
+    doc.addPage({
+      size: [trimWidth + margin * 2, trimHeight + margin * 2],
+      margin: 0,
+    });
+    SVGtoPDF(doc, svg, margin - bleed, margin - bleed, {
+      width: trimWidth + bleed * 2,
+      height: trimHeight + bleed * 2,
+      preserveAspectRatio: "none",
+    });
+    if (cropMarks) {
+      drawCropMarks(doc, margin, margin, trimWidth, trimHeight, bleed);
+    }
+
+    await onProgress(Math.round(((index + 1) / pages.length) * 90));
+  }
+
+  doc.end();
+  return finished;
+};
+
+/**
+ * Render the export file of a design's pages. design: { name, width,
+ * height }, pages: [{ canvasData }], options: { format, dpi, quality,
+ * bleedMm, cropMarks }. Resolves to { buffer, width, height }, the pixel
+ * size only for raster formats. onProgress is called with percentages.
+ */
+const renderExport = async (design, pages, options, onProgress) => {
+  const { format, dpi, quality, bleedMm, cropMarks } = options;
+  if (pages.length === 0) {
+    throw new Error("Design has no pages to export");
+  }
+
+  if (format === "pdf") {
+    const buffer = await renderPdf(
+      design,
+      pages,
+      { bleedMm, cropMarks },
+      onProgress
+    );
+    return { buffer };
+  }
+
+  const [page] = pages;
+  const bleed = mmToPixels(bleedMm);
+
+  if (format === "svg") {
+    const svg = await renderSvg(page.canvasData, {
+      width: design.width,
+      height: design.height,
+      bleed,
+    });
+    return { buffer: Buffer.from(svg, "utf8") };
+  }
+
+  const scale = dpi / DESIGN_DPI;
+  const buffer = await renderRaster(page.canvasData, {
+    width: design.width,
+    height: design.height,
+    scale,
+    bleed,
+    format,
+    quality,
+  });
+  return {
+    buffer,
+    width: Math.round((design.width + bleed * 2) * scale),
+    height: Math.round((design.height + bleed * 2) * scale),
+  };
+};
+
+module.exports = {
+  DESIGN_DPI,
+  mmToPixels,
+  renderExport,
+};
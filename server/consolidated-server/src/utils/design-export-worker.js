@@ -0,0 +1,16 @@
+const { parentPort, workerData } = require("worker_threads");
+const { renderExport } = require("./design-export-renderer");
+
+// Renders one export off the main thread, see renderInWorker in
+// design-export.js. workerData: { design, pages, options }
+const { design, pages, options } = workerData;
+
+renderExport(design, pages, options, (progress) =>
+  parentPort.postMessage({ type: "progress", progress })
+)
+  .then(({ buffer, width, height }) =>
+    parentPort.postMessage({ type: "done", buffer, width, height })
+  )
+  .catch((error) =>
+    parentPort.postMessage({ type: "error", message: error.message })
+  );
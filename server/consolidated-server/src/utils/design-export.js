@@ -0,0 +1,323 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+const Design = require("../models/design");
+const ExportJob = require("../models/export-job");
+const {
+  uploadMediaToCloudinary,
+  deleteMediaFromCloudinary,
+} = require("./cloudinary");
+const { DESIGN_DPI, mmToPixels } = require("./design-export-renderer");
+const { accessibleDesignsFilter } = require("./design-access");
+const { ensurePages } = require("./design-pages");
+const { findActiveTeamIds } = require("./workspaces");
+
+const EXPORT_FORMATS = {
+  png: { mimeType: "image/png", extension: "png", isPremium: false },
+  jpeg: { mimeType: "image/jpeg", extension: "jpg", isPremium: false },
+  svg: { mimeType: "image/svg+xml", extension: "svg", isPremium: true },
+  pdf: { mimeType: "application/pdf", extension: "pdf", isPremium: true },
+};
+
+const MIN_EXPORT_DPI = 72;
+const MAX_EXPORT_DPI = 600;
+const MAX_BLEED_MM = 10;
+// Largest raster side we render - keeps memory use of a single job bounded
+const MAX_EXPORT_PIXELS_PER_SIDE = 12000;
+
+// Export jobs and their files are kept this long
+const EXPORT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const CLEANUP_BATCH_SIZE = 200;
+
+// Validate request options and return the normalized job options, or an
+// error response payload
+const normalizeExportOptions = (format, body, design) => {
+  const dpi = body.dpi === undefined ? 300 : Number(body.dpi);
+  const bleedMm = body.bleedMm === undefined ? 0 : Number(body.bleedMm);
+  const cropMarks = Boolean(body.cropMarks);
+  const quality =
+    body.quality === undefined
+      ? 0.92
+      : Math.min(Math.max(Number(body.quality) || 0.92, 0.1), 1);
+
+  if (!Number.isFinite(dpi) || dpi < MIN_EXPORT_DPI || dpi > MAX_EXPORT_DPI) {
+    return {
+      error: {
+        error: "Invalid DPI",
+        message: `DPI must be between ${MIN_EXPORT_DPI} and ${MAX_EXPORT_DPI}`,
+        code: "INVALID_DPI",
+      },
+    };
+  }
+
+  if (!Number.isFinite(bleedMm) || bleedMm < 0 || bleedMm > MAX_BLEED_MM) {
+    return {
+      error: {
+        error: "Invalid bleed",
+        message: `Bleed must be between 0 and ${MAX_BLEED_MM} mm`,
+        code: "INVALID_BLEED",
+      },
+    };
+  }
+
+  if (cropMarks && format !== "pdf") {
+    return {
+      error: {
+        error: "Unsupported option",
+        message: "Crop marks are only available for PDF exports",
+        code: "UNSUPPORTED_OPTION",
+      },
+    };
+  }
+
+  const pageIds = Array.isArray(body.pageIds) ? body.pageIds.map(String) : [];
+  const knownPageIds = design.pages.map((page) => page._id.toString());
+  if (pageIds.some((pageId) => !knownPageIds.includes(pageId))) {
+    return {
+      error: {
+        error: "Page not found",
+        message: "One or more requested pages do not exist in this design.",
+        code: "PAGE_NOT_FOUND",
+      },
+    };
+  }
+
+  if (format === "png" || format === "jpeg") {
+    const scale = dpi / DESIGN_DPI;
+    const bleed = mmToPixels(bleedMm);
+    const largestSide =
+      (Math.max(design.width, design.height) + bleed * 2) * scale;
+    if (largestSide > MAX_EXPORT_PIXELS_PER_SIDE) {
+      return {
+        error: {
+          error: "Export too large",
+          message: `The export would be ${Math.round(
+            largestSide
+          )}px wide. Lower the DPI to stay under ${MAX_EXPORT_PIXELS_PER_SIDE}px.`,
+          code: "EXPORT_TOO_LARGE",
+        },
+      };
+    }
+  }
+
+  return { options: { dpi, quality, pageIds, bleedMm, cropMarks } };
+};
+
+// Pages included in an export: the requested ones, else every page for
+// PDF and the first page for single-image formats
+const selectPages = (design, format, pageIds) => {
+  ensurePages(design);
+  if (pageIds && pageIds.length > 0) {
+    return pageIds.map((pageId) => design.pages.id(pageId)).filter(Boolean);
+  }
+  return format === "pdf" ? design.pages : design.pages.slice(0, 1);
+};
+
+const EXPORT_WORKER_PATH = path.join(__dirname, "design-export-worker.js");
+
+// Rendering a high DPI export takes seconds of CPU, so it runs in a worker
+// thread and requests and collaboration sockets keep being served. Resolves
+// to { buffer, width, height } once progress updates have been saved.
+const renderInWorker = (design, pages, options, onProgress) =>
+  new Promise((resolve, reject) => {
+    const worker = new Worker(EXPORT_WORKER_PATH, {
+      workerData: {
+        design: {
+          name: design.name,
+          width: design.width,
+          height: design.height,
+        },
+        pages: pages.map((page) => ({ canvasData: page.canvasData })),
+        options,
+      },
+    });
+
+    let progressSaved = Promise.resolve();
+    let isSettled = false;
+    const settle = (callback) => (value) => {
+      if (isSettled) return;
+      isSettled = true;
+      progressSaved.then(() => callback(value), reject);
+    };
+    const onDone = settle(resolve);
+    const onError = settle(reject);
+
+    worker.on("message", (message) => {
+      if (message.type === "progress") {
+        progressSaved = progressSaved.then(() => onProgress(message.progress));
+      } else if (message.type === "done") {
+        onDone({
+          buffer: Buffer.from(message.buffer),
+          width: message.width,
+          height: message.height,
+        });
+      } else if (message.type === "error") {
+        onError(new Error(message.message));
+      }
+    });
+    worker.on("error", onError);
+    worker.on("exit", (code) =>
+      onError(new Error(`Export worker exited with code ${code}`))
+    );
+  });
+
+const processExportJob = async (jobId) => {
+  const job = await ExportJob.findById(jobId);
+  if (!job || job.status !== "queued") return;
+
+  job.status = "processing";
+  job.startedAt = new Date();
+  job.progress = 5;
+  await job.save();
+
+  try {
+    // The requester may have lost access since the job was queued
+    const design = await Design.findOne({
+      _id: job.designId,
+      ...accessibleDesignsFilter({
+        userId: job.userId,
+        email: job.userEmail,
+        teamIds: await findActiveTeamIds(job.userId),
+      }),
+    });
+    if (!design) {
+      throw new Error("Design no longer exists or is no longer shared");
+    }
+
+    const { dpi, quality, pageIds, bleedMm, cropMarks } = job.options;
+    const { buffer, width, height } = await renderInWorker(
+      design,
+      selectPages(design, job.format, pageIds),
+      { format: job.format, dpi, quality, bleedMm, cropMarks },
+      async (progress) => {
+        job.progress = progress;
+        await job.save();
+      }
+    );
+
+    const { mimeType, extension } = EXPORT_FORMATS[job.format];
+    const baseName = design.name.replace(/[^\w\- ]+/g, "").trim() || "design";
+    // Exports are uploaded as raw files so Cloudinary keeps the exact bytes
+    const cloudinaryResult = await uploadMediaToCloudinary(
+      { buffer },
+      {
+        folder: `mocko-designs/${job.userId}/exports`,
+        public_id: `${job.designId}-${job._id}.${extension}`,
+        use_filename: false,
+        unique_filename: false,
+        resource_type: "raw",
+        // No incoming transformations for raw files
+        quality: undefined,
+        fetch_format: undefined,
+      }
+    );
+
+    job.status = "completed";
+    job.progress = 100;
+    job.completedAt = new Date();
+    job.result = {
+      url: cloudinaryResult.secure_url,
+      cloudinaryId: cloudinaryResult.public_id,
+      fileName: `${baseName}.${extension}`,
+      mimeType,
+      size: cloudinaryResult.bytes || buffer.length,
+      width,
+      height,
+    };
+    await job.save();
+  } catch (error) {
+    console.error(`Export job ${jobId} failed:`, error);
+    job.status = "failed";
+    job.error = error.message;
+    job.completedAt = new Date();
+    await job.save();
+  }
+};
+
+// Exports are CPU and memory heavy, so jobs run one at a time
+const exportQueue = [];
+let isProcessingQueue = false;
+
+const runExportQueue = async () => {
+  if (isProcessingQueue) return;
+  isProcessingQueue = true;
+
+  while (exportQueue.length > 0) {
+    const jobId = exportQueue.shift();
+    try {
+      await processExportJob(jobId);
+    } catch (error) {
+      console.error(`Export job ${jobId} could not be processed:`, error);
+    }
+  }
+
+  isProcessingQueue = false;
+};
+
+const enqueueExportJob = (jobId) => {
+  exportQueue.push(jobId.toString());
+  setImmediate(runExportQueue);
+};
+
+// Re-queue jobs interrupted by a restart
+const resumeExportJobs = async () => {
+  try {
+    await ExportJob.updateMany(
+      { status: "processing" },
+      { $set: { status: "queued", progress: 0 } }
+    );
+    const pendingJobs = await ExportJob.find({ status: "queued" })
+      .sort({ createdAt: 1 })
+      .select("_id");
+    pendingJobs.forEach((job) => enqueueExportJob(job._id));
+    if (pendingJobs.length > 0) {
+      console.log(`📦 Resumed ${pendingJobs.length} export job(s)`);
+    }
+  } catch (error) {
+    console.error("Failed to resume export jobs:", error);
+  }
+};
+
+// Remove jobs past the retention period with their exported files
+const removeExpiredExports = async () => {
+  try {
+    const expired = await ExportJob.find({
+      createdAt: { $lte: new Date(Date.now() - EXPORT_RETENTION_MS) },
+      status: { $in: ["completed", "failed"] },
+    })
+      .limit(CLEANUP_BATCH_SIZE)
+      .select("result.cloudinaryId");
+
+    for (const job of expired) {
+      if (job.result?.cloudinaryId) {
+        await deleteMediaFromCloudinary(job.result.cloudinaryId, {
+          resource_type: "raw",
+        });
+      }
+      await job.deleteOne();
+    }
+    if (expired.length > 0) {
+      console.log(`🗑️  Removed ${expired.length} expired export(s)`);
+    }
+  } catch (error) {
+    console.error("Failed to remove expired exports:", error);
+  }
+};
+
+// Remove expired exports now and then every hour
+const startExportCleanup = () => {
+  removeExpiredExports();
+  const timer = setInterval(removeExpiredExports, CLEANUP_INTERVAL_MS);
+  if (timer.unref) timer.unref();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  MIN_EXPORT_DPI,
+  MAX_EXPORT_DPI,
+  normalizeExportOptions,
+  enqueueExportJob,
+  resumeExportJobs,
+  removeExpiredExports,
+  startExportCleanup,
+};
@@ -0,0 +1,79 @@
+const MAX_FOLDERS_PER_USER = 200;
+
+// Levels of nesting, top-level folders are at depth 1
+const MAX_FOLDER_DEPTH = 5;
+
+const cleanFolderName = (name) =>
+  typeof name === "string" && name.trim() ? name.trim().slice(0, 100) : null;
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+// Ids of a folder and every folder nested in it, from the user's folders
+const getFolderSubtreeIds = (folders, folderId) => {
+  const ids = [folderId.toString()];
+  for (let index = 0; index < ids.length; index++) {
+    folders
+      .filter((folder) => sameId(folder.parentId, ids[index]))
+      .forEach((folder) => ids.push(folder._id.toString()));
+  }
+  return ids;
+};
+
+// Depth of a folder: 1 at the top level, 0 for the root itself (null)
+const getFolderDepth = (folders, folderId) => {
+  let depth = 0;
+  let current = folderId;
+  while (current && depth <= MAX_FOLDER_DEPTH) {
+    const folder = folders.find((item) => sameId(item._id, current));
+    if (!folder) break;
+    depth++;
+    current = folder.parentId;
+  }
+  return depth;
+};
+
+// Levels a folder spans including its deepest subfolder
+const getFolderHeight = (folders, folderId) => {
+  const children = folders.filter((folder) =>
+    sameId(folder.parentId, folderId)
+  );
+  return (
+    1 +
+    children.reduce(
+      (height, child) => Math.max(height, getFolderHeight(folders, child._id)),
+      0
+    )
+  );
+};
+
+/**
+ * Check that `folderId` can be placed in `parentId` (null for the top
+ * level). Pass no folderId for a new folder. Returns an error message or
+ * null.
+ */
+const validateFolderParent = (folders, folderId, parentId) => {
+  if (!parentId) return null;
+
+  if (!folders.some((folder) => sameId(folder._id, parentId))) {
+    return "Parent folder not found";
+  }
+  const subtreeIds = folderId ? getFolderSubtreeIds(folders, folderId) : [];
+  if (subtreeIds.includes(parentId.toString())) {
+    return "A folder can't be moved into itself or one of its subfolders";
+  }
+
+  const height = folderId ? getFolderHeight(folders, folderId) : 1;
+  if (getFolderDepth(folders, parentId) + height > MAX_FOLDER_DEPTH) {
+    return `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep`;
+  }
+  return null;
+};
+
+module.exports = {
+  MAX_FOLDERS_PER_USER,
+  MAX_FOLDER_DEPTH,
+  cleanFolderName,
+  getFolderSubtreeIds,
+  getFolderDepth,
+  validateFolderParent,
+};
@@ -0,0 +1,84 @@
+const MAX_PAGES_PER_DESIGN = 100;
+
+// Lightweight page representation used in lists (no Fabric JSON)
+const toPageSummary = (page, index) => ({
+  _id: page._id,
+  name: page.name || `Page ${index + 1}`,
+  index,
+  background: page.background,
+  thumbnail: page.thumbnail,
+  createdAt: page.createdAt,
+  updatedAt: page.updatedAt,
+});
+
+const summarizePages = (pages = []) => pages.map(toPageSummary);
+
+// Designs saved before multi-page support only have the legacy canvas,
+// which becomes their first page. The page takes the design's id so it
+// keeps the same id before and after it is stored.
+const legacyPage = (design) => ({
+  _id: design._id,
+  name: "Page 1",
+  canvasData: design.canvasData,
+  thumbnail: design.thumbnail,
+});
+
+// Give a legacy design its first page in memory only. It is stored the
+// next time an editor saves the design.
+const ensurePages = (design) => {
+  if (design && (!design.pages || design.pages.length === 0)) {
+    design.pages = [legacyPage(design)];
+  }
+  return design;
+};
+
+// Plain copies of a design's page content, for snapshots and templates.
+// Designs saved before multi-page support only have the legacy canvas.
+const copyPages = (design) => {
+  const pages = (design.pages || []).map((page) => ({
+    name: page.name,
+    canvasData: page.canvasData,
+    background: page.background,
+    thumbnail: page.thumbnail,
+  }));
+
+  if (pages.length === 0) {
+    pages.push({
+      name: "Page 1",
+      canvasData: design.canvasData,
+      thumbnail: design.thumbnail,
+    });
+  }
+  return pages;
+};
+
+// Design payload sent to the client: pages are summarized and loaded
+// individually through the page routes to keep responses small. With a
+// role, the caller's role is included and sharing settings are left out
+// for anyone but the owner.
+const serializeDesign = (design, role) => {
+  const designObject = design.toObject ? design.toObject() : { ...design };
+  const serialized = {
+    ...designObject,
+    pages: summarizePages(designObject.pages),
+  };
+
+  if (role) {
+    serialized.role = role;
+    if (role !== "owner") {
+      delete serialized.collaborators;
+      delete serialized.shareLink;
+    }
+  }
+  return serialized;
+};
+
+module.exports = {
+  MAX_PAGES_PER_DESIGN,
+  toPageSummary,
+  summarizePages,
+  legacyPage,
+  ensurePages,
+  copyPages,
+  serializeDesign,
+};
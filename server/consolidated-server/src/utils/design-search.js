@@ -0,0 +1,130 @@
+const mongoose = require("mongoose");
+
+// Text content indexed for search is capped, long documents are still
+// found by their opening text
+const MAX_SEARCH_TEXT_LENGTH = 10000;
+
+const DESIGN_SORTS = {
+  updated: { updatedAt: -1 },
+  created: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  name: { name: 1 },
+};
+
+// Collect the text of every text object in Fabric JSON, groups included
+const extractCanvasText = (canvasData) => {
+  let data;
+  try {
+    data = typeof canvasData === "string" ? JSON.parse(canvasData) : canvasData;
+  } catch (error) {
+    return [];
+  }
+
+  const texts = [];
+  const visit = (objects = []) => {
+    objects.forEach((object) => {
+      if (!object) return;
+      if (typeof object.text === "string" && object.text.trim()) {
+        texts.push(object.text.replace(/\s+/g, " ").trim());
+      }
+      if (Array.isArray(object.objects)) visit(object.objects);
+    });
+  };
+  visit(data?.objects);
+  return texts;
+};
+
+// The text content of all pages of a design, as stored in `searchText`
+const buildSearchText = (design) => {
+  const pages =
+    design.pages && design.pages.length > 0
+      ? design.pages
+      : [{ canvasData: design.canvasData }];
+
+  return pages
+    .flatMap((page) =>
+      page.canvasData ? extractCanvasText(page.canvasData) : []
+    )
+    .join(" ")
+    .slice(0, MAX_SEARCH_TEXT_LENGTH);
+};
+
+const parseDate = (value) => {
+  if (typeof value !== "string" || !value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Build the find filter, sort and projection for a design search in a
+ * workspace (see workspaceFilter). query: { q, category, tags, sort, from,
+ * to, folderId, starred } where `from`/`to` bound the last edit date and a
+ * bare `to` date includes that whole day, and folderId "root" means designs
+ * outside any folder.
+ * Designs in the trash are left out. Returns { error } when a value is
+ * invalid.
+ */
+const buildDesignSearch = (scope, query) => {
+  const filter = { ...scope, deletedAt: null };
+  const q = typeof query.q === "string" ? query.q.trim().slice(0, 200) : "";
+
+  if (query.folderId === "root") {
+    filter.folderId = null;
+  } else if (query.folderId) {
+    if (!mongoose.isValidObjectId(query.folderId)) {
+      return { error: "Invalid folder id" };
+    }
+    filter.folderId = query.folderId;
+  }
+
+  if (query.starred === "true") filter.isStarred = true;
+
+  if (q) filter.$text = { $search: q };
+
+  if (typeof query.category === "string" && query.category.trim()) {
+    filter.category = query.category.trim();
+  }
+
+  const tags = (typeof query.tags === "string" ? query.tags.split(",") : [])
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+  if (tags.length > 0) filter.tags = { $all: tags };
+
+  const from = parseDate(query.from);
+  let to = parseDate(query.to);
+  if ((query.from && !from) || (query.to && !to)) {
+    return { error: "Dates must be in YYYY-MM-DD or ISO format" };
+  }
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to = new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+  if (from || to) {
+    filter.updatedAt = {};
+    if (from) filter.updatedAt.$gte = from;
+    if (to) filter.updatedAt.$lte = to;
+  }
+
+  // Relevance is the default order of text searches
+  const sortKey = query.sort || (q ? "relevance" : "updated");
+  let sort;
+  let projection = {};
+  if (sortKey === "relevance" && q) {
+    projection = { score: { $meta: "textScore" } };
+    sort = { score: { $meta: "textScore" }, updatedAt: -1 };
+  } else if (DESIGN_SORTS[sortKey]) {
+    sort = DESIGN_SORTS[sortKey];
+  } else {
+    const sorts = ["relevance", ...Object.keys(DESIGN_SORTS)].join(", ");
+    return { error: `Sort must be one of: ${sorts}` };
+  }
+
+  return { filter, sort, projection };
+};
+
+module.exports = {
+  MAX_SEARCH_TEXT_LENGTH,
+  DESIGN_SORTS,
+  extractCanvasText,
+  buildSearchText,
+  buildDesignSearch,
+};
@@ -0,0 +1,175 @@
+const Design = require("../models/design");
+const DesignVersion = require("../models/design-version");
+const Media = require("../models/media");
+const {
+  uploadMediaToCloudinary,
+  deleteMediaFromCloudinary,
+} = require("./cloudinary");
+const {
+  isRendererAvailable,
+  renderThumbnail,
+} = require("./canvas-renderer");
+
+// Auto-saves arrive every few seconds while editing, so renders are
+// debounced per page and only the latest state is rendered
+const THUMBNAIL_RENDER_DELAY_MS = 15 * 1000;
+
+const pendingRenders = new Map();
+
+const isDataUrl = (value) =>
+  typeof value === "string" && value.startsWith("data:");
+
+// Client-generated thumbnails are base64 data URLs. When the server can
+// render thumbnails itself those are dropped in favour of a hosted image.
+const acceptClientThumbnail = (thumbnail) =>
+  Boolean(thumbnail) && !(isDataUrl(thumbnail) && isRendererAvailable());
+
+// Delete a previously generated thumbnail unless a version still shows it
+const releaseThumbnail = async (designId, url) => {
+  if (!url || isDataUrl(url)) return;
+
+  const isReferenced = await DesignVersion.exists({
+    designId,
+    $or: [{ thumbnail: url }, { "pages.thumbnail": url }],
+  });
+  if (isReferenced) return;
+
+  const media = await Media.findOne({ designId, url, purpose: "thumbnail" });
+  if (!media) return;
+
+  try {
+    await deleteMediaFromCloudinary(media.cloudinaryId);
+    await Media.deleteOne({ _id: media._id });
+  } catch (error) {
+    console.error(`Failed to release thumbnail ${media.cloudinaryId}:`, error);
+  }
+};
+
+// Render a page of a design, upload it and store the URL on the page (and
+// on the design itself for the first page). Returns the thumbnail URL.
+const renderPageThumbnail = async (designId, pageId) => {
+  const design = await Design.findById(designId);
+  if (!design) return null;
+
+  const page = pageId ? design.pages.id(pageId) : design.pages[0];
+  const canvasData = page ? page.canvasData : design.canvasData;
+  if (!canvasData) return null;
+
+  const buffer = await renderThumbnail(canvasData, {
+    width: design.width,
+    height: design.height,
+  });
+
+  // Every render gets its own asset: version snapshots keep pointing at the
+  // thumbnail they were taken with, so assets are never overwritten in place
+  const publicId = `design-${design._id}-${page ? `page-${page._id}-` : ""}${Date.now()}`;
+  const cloudinaryResult = await uploadMediaToCloudinary(
+    { buffer },
+    {
+      folder: `mocko-designs/${design.userId}/thumbnails`,
+      public_id: publicId,
+      use_filename: false,
+      unique_filename: false,
+      resource_type: "image",
+      format: "png",
+    }
+  );
+
+  await Media.create({
+    userId: design.userId,
+    name: `${design.name} thumbnail`,
+    cloudinaryId: cloudinaryResult.public_id,
+    url: cloudinaryResult.secure_url,
+    secureUrl: cloudinaryResult.secure_url,
+    mimeType: "image/png",
+    size: cloudinaryResult.bytes || buffer.length,
+    width: cloudinaryResult.width,
+    height: cloudinaryResult.height,
+    format: cloudinaryResult.format,
+    resourceType: "image",
+    folder: cloudinaryResult.folder,
+    purpose: "thumbnail",
+    designId: design._id,
+  });
+
+  // Written with an atomic update so a render never clobbers a save that
+  // happened while it was running
+  const url = cloudinaryResult.secure_url;
+  const previousUrl = page ? page.thumbnail : design.thumbnail;
+  const isFirstPage = !page || design.pages[0]._id.equals(page._id);
+  const update = {};
+  if (page) update["pages.$[page].thumbnail"] = url;
+  if (isFirstPage) update.thumbnail = url;
+
+  await Design.updateOne(
+    { _id: design._id },
+    { $set: update },
+    page ? { arrayFilters: [{ "page._id": page._id }] } : {}
+  );
+
+  // Duplicated pages start out sharing their source page's thumbnail
+  const isSharedWithOtherPage =
+    design.pages.some(
+      (otherPage) =>
+        !(page && otherPage._id.equals(page._id)) &&
+        otherPage.thumbnail === previousUrl
+    ) ||
+    (!isFirstPage && design.thumbnail === previousUrl);
+  if (!isSharedWithOtherPage) {
+    await releaseThumbnail(design._id, previousUrl);
+  }
+
+  return url;
+};
+
+// Queue a debounced background render. No-op when rendering is unavailable.
+const scheduleThumbnailRender = (
+  designId,
+  pageId = null,
+  delay = THUMBNAIL_RENDER_DELAY_MS
+) => {
+  if (!isRendererAvailable()) return false;
+
+  const renderKey = `${designId}:${pageId || "first"}`;
+  clearTimeout(pendingRenders.get(renderKey));
+
+  const timer = setTimeout(async () => {
+    pendingRenders.delete(renderKey);
+    try {
+      await renderPageThumbnail(designId, pageId);
+    } catch (error) {
+      console.error(`Thumbnail render failed for design ${designId}:`, error);
+    }
+  }, delay);
+  // Pending renders must not keep the process alive on shutdown
+  if (timer.unref) timer.unref();
+
+  pendingRenders.set(renderKey, timer);
+  return true;
+};
+
+// Remove every generated thumbnail of a design (after it is deleted)
+const deleteDesignThumbnails = async (designId) => {
+  try {
+    const thumbnails = await Media.find({ designId, purpose: "thumbnail" });
+    await Promise.all(
+      thumbnails.map((media) =>
+        deleteMediaFromCloudinary(media.cloudinaryId).catch((error) =>
+          console.error(`Failed to delete ${media.cloudinaryId}:`, error)
+        )
+      )
+    );
+    await Media.deleteMany({ designId, purpose: "thumbnail" });
+  } catch (error) {
+    console.error(`Failed to delete thumbnails of design ${designId}:`, error);
+  }
+};
+
+module.exports = {
+  THUMBNAIL_RENDER_DELAY_MS,
+  isDataUrl,
+  acceptClientThumbnail,
+  renderPageThumbnail,
+  scheduleThumbnailRender,
+  deleteDesignThumbnails,
+};
@@ -0,0 +1,61 @@
+const Design = require("../models/design");
+const DesignVersion = require("../models/design-version");
+const DesignComment = require("../models/design-comment");
+const { deleteDesignThumbnails } = require("./design-thumbnails");
+
+// Deleted designs stay in the trash this long before they are purged
+const TRASH_RETENTION_DAYS = 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Designs purged per run, the rest wait for the next one
+const PURGE_BATCH_SIZE = 200;
+
+// When a design deleted at `deletedAt` is removed for good
+const getPurgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_MS);
+
+// Remove designs with their history, comments and thumbnails
+const purgeDesigns = async (designIds) => {
+  if (designIds.length === 0) return;
+
+  await Design.deleteMany({ _id: { $in: designIds } });
+  await DesignVersion.deleteMany({ designId: { $in: designIds } });
+  await DesignComment.deleteMany({ designId: { $in: designIds } });
+  for (const designId of designIds) {
+    await deleteDesignThumbnails(designId);
+  }
+};
+
+const purgeExpiredDesigns = async () => {
+  try {
+    const expired = await Design.find({
+      deletedAt: { $ne: null, $lte: new Date(Date.now() - TRASH_RETENTION_MS) },
+    })
+      .limit(PURGE_BATCH_SIZE)
+      .select("_id");
+
+    await purgeDesigns(expired.map((design) => design._id));
+    if (expired.length > 0) {
+      console.log(`🗑️  Purged ${expired.length} design(s) from the trash`);
+    }
+  } catch (error) {
+    console.error("Failed to purge expired designs:", error);
+  }
+};
+
+// Purge expired designs now and then every hour
+const startTrashPurge = () => {
+  purgeExpiredDesigns();
+  const timer = setInterval(purgeExpiredDesigns, PURGE_INTERVAL_MS);
+  if (timer.unref) timer.unref();
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  purgeDesigns,
+  purgeExpiredDesigns,
+  startTrashPurge,
+};
@@ -0,0 +1,76 @@
+const DesignVersion = require("../models/design-version");
+const { copyPages } = require("./design-pages");
+
+// Minimum time between two automatic snapshots of the same design
+const AUTO_SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+// Automatic snapshots kept per design (named checkpoints are never pruned)
+const MAX_AUTO_VERSIONS = 30;
+
+// Fields returned in version lists - page canvas data is only needed on restore
+const VERSION_LIST_FIELDS =
+  "_id designId type label name width height thumbnail pages.name pages.thumbnail createdAt";
+
+// Capture the current (persisted) state of a design as a version
+const createSnapshot = async (design, { type = "auto", label = "" } = {}) => {
+  return DesignVersion.create({
+    designId: design._id,
+    userId: design.userId,
+    type,
+    label,
+    name: design.name,
+    width: design.width,
+    height: design.height,
+    thumbnail: design.thumbnail,
+    pages: copyPages(design),
+  });
+};
+
+// Drop the oldest automatic snapshots above MAX_AUTO_VERSIONS
+const pruneAutoSnapshots = async (designId) => {
+  const stale = await DesignVersion.find({ designId, type: "auto" })
+    .sort({ createdAt: -1 })
+    .skip(MAX_AUTO_VERSIONS)
+    .select("_id");
+
+  if (stale.length > 0) {
+    await DesignVersion.deleteMany({
+      _id: { $in: stale.map((version) => version._id) },
+    });
+  }
+};
+
+// Called before an auto-save overwrites a design: snapshots the previous
+// state at most once per AUTO_SNAPSHOT_INTERVAL_MS. Failures are logged and
+// never block the save itself.
+const createAutoSnapshotIfDue = async (design) => {
+  try {
+    const lastSnapshot = await DesignVersion.findOne({
+      designId: design._id,
+      type: "auto",
+    })
+      .sort({ createdAt: -1 })
+      .select("createdAt");
+
+    if (
+      lastSnapshot &&
+      Date.now() - lastSnapshot.createdAt.getTime() < AUTO_SNAPSHOT_INTERVAL_MS
+    ) {
+      return null;
+    }
+
+    const version = await createSnapshot(design, { type: "auto" });
+    await pruneAutoSnapshots(design._id);
+    return version;
+  } catch (error) {
+    console.error(`Failed to snapshot design ${design._id}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  AUTO_SNAPSHOT_INTERVAL_MS,
+  MAX_AUTO_VERSIONS,
+  VERSION_LIST_FIELDS,
+  createSnapshot,
+  createAutoSnapshotIfDue,
+};
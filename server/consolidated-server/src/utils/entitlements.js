@@ -0,0 +1,70 @@
+const Subscription = require("../models/subscription");
+const { teamAccountId, teamIdFromAccountId } = require("./teams");
+const { findActiveTeamIds } = require("./workspaces");
+
+const PLAN_RANK = { free: 0, premium: 1, pro: 2 };
+
+const isPremiumActive = (subscription) =>
+  Boolean(subscription && subscription.isPremium && subscription.isActive);
+
+// Subscriptions from before plans were introduced are "free" but premium
+const getPlanName = (subscription) =>
+  isPremiumActive(subscription)
+    ? subscription.plan === "free"
+      ? "premium"
+      : subscription.plan
+    : "free";
+
+/**
+ * What a user may use: their own subscription or that of a team they are
+ * an active member of, whichever has the better plan.
+ * { isPremium, plan, source: "personal" | "team" | null, teamId }
+ */
+const getPremiumAccess = async (userId) => {
+  const teamIds = await findActiveTeamIds(userId);
+  const subscriptions = await Subscription.find({
+    userId: { $in: [userId, ...teamIds.map(teamAccountId)] },
+    isPremium: true,
+    isActive: true,
+  })
+    .select("userId plan isPremium isActive")
+    .lean();
+
+  const best = subscriptions.reduce(
+    (current, subscription) =>
+      !current ||
+      PLAN_RANK[getPlanName(subscription)] > PLAN_RANK[getPlanName(current)]
+        ? subscription
+        : current,
+    null
+  );
+  if (!best) {
+    return { isPremium: false, plan: "free", source: null, teamId: null };
+  }
+
+  const teamId = teamIdFromAccountId(best.userId);
+  return {
+    isPremium: true,
+    plan: getPlanName(best),
+    source: teamId ? "team" : "personal",
+    teamId,
+  };
+};
+
+// Plan of a workspace (see workspaceFilter): a team's own subscription,
+// or the user's best plan for their personal workspace
+const getWorkspacePlan = async (scope) => {
+  if (!scope.teamId) return (await getPremiumAccess(scope.userId)).plan;
+
+  const subscription = await Subscription.findOne({
+    userId: teamAccountId(scope.teamId),
+  }).lean();
+  return getPlanName(subscription);
+};
+
+module.exports = {
+  isPremiumActive,
+  getPlanName,
+  getPremiumAccess,
+  getWorkspacePlan,
+};
@@ -0,0 +1,69 @@
+const { normalizeHexColor } = require("./brand-kit");
+
+const MAX_FILTER_PRESETS = 50;
+
+const IMAGE_EFFECTS = ["none", "grayscale", "sepia", "invert"];
+
+// Slider adjustments and their [min, max], matching the editor's controls
+const ADJUSTMENT_RANGES = {
+  brightness: [-100, 100],
+  contrast: [-100, 100],
+  saturation: [-100, 100],
+  vibrance: [-100, 100],
+  hue: [-180, 180],
+  noise: [0, 100],
+  pixelate: [0, 20],
+  sharpen: [0, 100],
+  blur: [0, 100],
+  vignette: [0, 100],
+  tint: [0, 100],
+};
+
+const ADJUSTMENT_COLORS = ["tintColor", "duotoneDark", "duotoneLight"];
+
+/**
+ * Validate an image adjustment stack sent by the client. Unknown keys are
+ * dropped and numbers are clamped to their range. Returns { adjustments }
+ * or { error }.
+ */
+const sanitizeAdjustments = (adjustments) => {
+  if (!adjustments || typeof adjustments !== "object") {
+    return { error: "Adjustments are required" };
+  }
+
+  const result = {};
+
+  if (adjustments.effect !== undefined) {
+    if (!IMAGE_EFFECTS.includes(adjustments.effect)) {
+      return { error: `Effect must be one of ${IMAGE_EFFECTS.join(", ")}` };
+    }
+    result.effect = adjustments.effect;
+  }
+
+  for (const [key, [min, max]] of Object.entries(ADJUSTMENT_RANGES)) {
+    const value = adjustments[key];
+    if (value === undefined) continue;
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return { error: `${key} must be a number` };
+    }
+    result[key] = Math.min(max, Math.max(min, Math.round(value)));
+  }
+
+  for (const key of ADJUSTMENT_COLORS) {
+    if (adjustments[key] === undefined) continue;
+    const color = normalizeHexColor(adjustments[key]);
+    if (!color) return { error: "Colors must be hex values like #1a2b3c" };
+    result[key] = color;
+  }
+
+  if (adjustments.duotone !== undefined) {
+    result.duotone = Boolean(adjustments.duotone);
+  }
+
+  return { adjustments: result };
+};
+
+module.exports = {
+  MAX_FILTER_PRESETS,
+  sanitizeAdjustments,
+};
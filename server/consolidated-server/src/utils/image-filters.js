@@ -0,0 +1,54 @@
+// Custom Fabric image filters used by the editor. They have to be
+// registered on the server's fabric build too, or designs using them can't
+// be loaded for rendering. Keep in sync with client/src/fabric/image-filters.js.
+
+// Distances from the image center (0.5 is the middle of an edge) between
+// which the vignette fades in
+const VIGNETTE_START = 0.3;
+const VIGNETTE_END = 0.75;
+
+const smoothstep = (edge0, edge1, value) => {
+  const t = Math.min(1, Math.max(0, (value - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+const createVignetteFilter = (fabric) =>
+  class Vignette extends fabric.filters.BaseFilter {
+    static type = "Vignette";
+
+    static defaults = { amount: 0 };
+
+    static uniformLocations = ["uAmount"];
+
+    // Darken the edges by up to `amount` (0-1)
+    applyTo2d({ imageData: { data, width, height } }) {
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const dx = (x + 0.5) / width - 0.5;
+          const dy = (y + 0.5) / height - 0.5;
+          const shade =
+            1 -
+            this.amount *
+              smoothstep(VIGNETTE_START, VIGNETTE_END, Math.hypot(dx, dy));
+          const index = (y * width + x) * 4;
+          data[index] *= shade;
+          data[index + 1] *= shade;
+          data[index + 2] *= shade;
+        }
+      }
+    }
+
+    isNeutralState() {
+      return this.amount === 0;
+    }
+  };
+
+let registered = false;
+
+const registerImageFilters = (fabric) => {
+  if (registered) return;
+  fabric.classRegistry.setClass(createVignetteFilter(fabric));
+  registered = true;
+};
+
+module.exports = { registerImageFilters };
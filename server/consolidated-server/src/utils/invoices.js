@@ -0,0 +1,196 @@
+const PDFDocument = require("pdfkit");
+
+// Seller details printed on every invoice. Addresses use "\n" for line
+// breaks. Prices include tax at INVOICE_TAX_RATE percent.
+const getCompanyDetails = () => ({
+  name: process.env.INVOICE_COMPANY_NAME || "Mocko Designs",
+  address: (process.env.INVOICE_COMPANY_ADDRESS || "").replace(/\\n/g, "\n"),
+  email: process.env.INVOICE_COMPANY_EMAIL || "",
+  taxId: process.env.INVOICE_TAX_ID || "",
+  taxLabel: process.env.INVOICE_TAX_LABEL || "VAT",
+  taxRate: Number(process.env.INVOICE_TAX_RATE) || 0,
+});
+
+const DOCUMENT_TITLES = {
+  payment: "Invoice",
+  refund: "Credit note",
+  reversal: "Credit note",
+};
+
+const PROVIDER_NAMES = {
+  paypal: "PayPal",
+  stripe: "Stripe",
+  manual: "manual payment",
+};
+
+const formatMoney = (amount, currency) =>
+  new Intl.NumberFormat("en-US", { style: "currency", currency }).format(
+    amount
+  );
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+
+// Tax contained in a tax-inclusive amount
+const splitTax = (total, rate) => {
+  const tax =
+    rate > 0 ? Math.round((total - total / (1 + rate / 100)) * 100) / 100 : 0;
+  return { net: Math.round((total - tax) * 100) / 100, tax };
+};
+
+const partyLines = (details = {}) =>
+  [
+    details.company,
+    details.name,
+    details.address,
+    details.country,
+    details.email,
+    details.taxId && `Tax ID: ${details.taxId}`,
+  ].filter(Boolean);
+
+/**
+ * Render the invoice, or credit note for refunds and chargebacks, of a
+ * transaction as a PDF. `original` is the payment a refund belongs to and
+ * `fallbackDetails` the customer details used when the transaction has no
+ * snapshot of its own. Resolves to a Buffer.
+ */
+const renderInvoicePdf = (transaction, options = {}) => {
+  const { original, fallbackDetails } = options;
+  const company = getCompanyDetails();
+  const title = DOCUMENT_TITLES[transaction.type] || "Receipt";
+  const isCredit = transaction.type !== "payment";
+  const sign = isCredit ? -1 : 1;
+  const { net, tax } = splitTax(transaction.amount, company.taxRate);
+  const money = (amount) => formatMoney(sign * amount, transaction.currency);
+  const provider = PROVIDER_NAMES[transaction.provider] || transaction.provider;
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 50,
+    info: {
+      Title: `${title} ${transaction.invoiceNumber}`,
+      Creator: company.name,
+    },
+  });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const width = right - left;
+
+  // Seller and document heading
+  doc.font("Helvetica-Bold").fontSize(20).text(company.name, left, 50);
+  doc.font("Helvetica").fontSize(9).fillColor("#555555");
+  partyLines({
+    address: company.address,
+    email: company.email,
+    taxId: company.taxId,
+  }).forEach((line) => doc.text(line));
+
+  doc
+    .fillColor("#000000")
+    .font("Helvetica-Bold")
+    .fontSize(16)
+    .text(title.toUpperCase(), left, 50, { width, align: "right" });
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .text(transaction.invoiceNumber, { width, align: "right" })
+    .text(`Date: ${formatDate(transaction.occurredAt)}`, {
+      width,
+      align: "right",
+    });
+  if (isCredit && original) {
+    doc.text(`For invoice ${original.invoiceNumber}`, {
+      width,
+      align: "right",
+    });
+  }
+
+  // Customer
+  doc.moveDown(4);
+  const customer = partyLines(transaction.billingDetails || fallbackDetails);
+  doc.font("Helvetica-Bold").fontSize(10).text("Billed to", left);
+  doc.font("Helvetica").fontSize(10);
+  (customer.length > 0 ? customer : [transaction.userId]).forEach((line) =>
+    doc.text(line)
+  );
+
+  // Line item
+  doc.moveDown(2);
+  const tableTop = doc.y;
+  doc
+    .font("Helvetica-Bold")
+    .text("Description", left, tableTop)
+    .text("Amount", left, tableTop, { width, align: "right" });
+  doc
+    .moveTo(left, tableTop + 16)
+    .lineTo(right, tableTop + 16)
+    .strokeColor("#cccccc")
+    .stroke();
+  doc
+    .font("Helvetica")
+    .text(transaction.description || title, left, tableTop + 24, {
+      width: width - 120,
+    })
+    .text(money(net), left, tableTop + 24, { width, align: "right" });
+
+  // Totals
+  doc.moveDown(2);
+  const totalsTop = doc.y;
+  const totals = [
+    ["Subtotal", money(net)],
+    ...(company.taxRate > 0
+      ? [[`${company.taxLabel} (${company.taxRate}%)`, money(tax)]]
+      : []),
+    ["Total", money(transaction.amount)],
+  ];
+  totals.forEach(([label, value], index) => {
+    const y = totalsTop + index * 18;
+    const isTotal = index === totals.length - 1;
+    doc
+      .font(isTotal ? "Helvetica-Bold" : "Helvetica")
+      .text(label, right - 220, y, { width: 110 })
+      .text(value, right - 110, y, { width: 110, align: "right" });
+  });
+
+  // Payment status
+  doc.moveDown(3);
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .fillColor("#555555")
+    .text(
+      isCredit
+        ? `Returned via ${provider} on ${formatDate(
+            transaction.occurredAt
+          )}.`
+        : `Paid via ${provider} on ${formatDate(
+            transaction.occurredAt
+          )}. Reference ${transaction.providerTransactionId}.`,
+      left
+    );
+  if (!isCredit && transaction.refundedAmount > 0) {
+    doc.text(
+      `${money(transaction.refundedAmount)} of this payment has been refunded.`
+    );
+  }
+
+  doc.end();
+  return finished;
+};
+
+module.exports = {
+  getCompanyDetails,
+  renderInvoicePdf,
+};
@@ -0,0 +1,144 @@
+const mongoose = require("mongoose");
+const Media = require("../models/media");
+const Design = require("../models/design");
+const { escapeRegex } = require("./templates");
+const { getWorkspacePlan } = require("./entitlements");
+
+const MB = 1024 * 1024;
+
+// Storage each plan includes, in bytes. Inactive or lapsed premium plans
+// fall back to the free quota. Team libraries get their team's plan.
+const STORAGE_QUOTAS = {
+  free: 500 * MB,
+  premium: 10 * 1024 * MB,
+  pro: 50 * 1024 * MB,
+};
+
+const MAX_FOLDERS_PER_USER = 100;
+const MAX_TAGS_PER_MEDIA = 20;
+const MAX_TAG_LENGTH = 30;
+
+// Media ids handled by one bulk request
+const MAX_BULK_ITEMS = 100;
+
+// Generated design thumbnails don't count as the user's media
+const LIBRARY_FILTER = { purpose: { $ne: "thumbnail" } };
+
+// Tags from an array or a comma separated string: trimmed, lowercase and
+// without duplicates
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags)
+    ? tags
+    : typeof tags === "string"
+      ? tags.split(",")
+      : [];
+
+  return [
+    ...new Set(
+      list
+        .filter((tag) => typeof tag === "string")
+        .map((tag) => tag.trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+        .filter(Boolean)
+    ),
+  ].slice(0, MAX_TAGS_PER_MEDIA);
+};
+
+/**
+ * Find filter for listing the library of a workspace (see
+ * workspaceFilter). query: { type, folderId, tags, q } where folderId
+ * "root" means media outside folders and tags is comma separated (all
+ * must match). Returns { filter } or { error }.
+ */
+const buildMediaFilter = (scope, query) => {
+  const filter = { ...scope, ...LIBRARY_FILTER };
+
+  if (typeof query.type === "string" && query.type) {
+    filter.resourceType = query.type;
+  }
+
+  if (query.folderId === "root") {
+    filter.folderId = null;
+  } else if (query.folderId) {
+    if (!mongoose.isValidObjectId(query.folderId)) {
+      return { error: "Invalid folder id" };
+    }
+    filter.folderId = query.folderId;
+  }
+
+  const tags = normalizeTags(query.tags);
+  if (tags.length > 0) filter.tags = { $all: tags };
+
+  const q = typeof query.q === "string" ? query.q.trim().slice(0, 100) : "";
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), "i");
+    filter.$or = [{ name: pattern }, { tags: pattern }];
+  }
+
+  return { filter };
+};
+
+/**
+ * Storage used by a workspace's library against its plan's quota:
+ * { used, quota, plan, count } with sizes in bytes.
+ */
+const getStorageUsage = async (scope) => {
+  const [plan, [totals]] = await Promise.all([
+    getWorkspacePlan(scope),
+    Media.aggregate([
+      { $match: { ...scope, ...LIBRARY_FILTER } },
+      { $group: { _id: null, used: { $sum: "$size" }, count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  return {
+    used: totals?.used || 0,
+    count: totals?.count || 0,
+    quota: STORAGE_QUOTAS[plan] || STORAGE_QUOTAS.free,
+    plan,
+  };
+};
+
+// Message for uploads that would go over the quota, or null when they fit
+const checkStorageQuota = async (scope, incomingBytes) => {
+  const { used, quota } = await getStorageUsage(scope);
+  if (used + incomingBytes <= quota) return null;
+
+  return `This upload would exceed your ${Math.round(
+    quota / MB
+  )} MB storage. Delete some media or upgrade your plan for more space.`;
+};
+
+/**
+ * Designs of the workspace whose pages reference a media file. Matches on
+ * the Cloudinary id so resized variations of the image count too.
+ * Returns [{ _id, name, inTrash }].
+ */
+const findMediaUsage = async (scope, media) => {
+  const pattern = new RegExp(escapeRegex(media.cloudinaryId));
+  const designs = await Design.find({
+    ...scope,
+    $or: [{ "pages.canvasData": pattern }, { canvasData: pattern }],
+  })
+    .select("_id name deletedAt")
+    .limit(50)
+    .lean();
+
+  return designs.map((design) => ({
+    _id: design._id,
+    name: design.name,
+    inTrash: Boolean(design.deletedAt),
+  }));
+};
+
+module.exports = {
+  STORAGE_QUOTAS,
+  MAX_FOLDERS_PER_USER,
+  MAX_TAGS_PER_MEDIA,
+  MAX_BULK_ITEMS,
+  LIBRARY_FILTER,
+  normalizeTags,
+  buildMediaFilter,
+  getStorageUsage,
+  checkStorageQuota,
+  findMediaUsage,
+};
@@ -0,0 +1,57 @@
+const paypalProvider = require("./paypal-provider");
+const stripeProvider = require("./stripe-provider");
+
+/**
+ * Payment providers recurring subscriptions can be billed through. Each
+ * one implements:
+ *
+ *   name, label
+ *   isConfigured()
+ *   createCheckout({ subscription, userId, email, plan, billingCycle,
+ *     seats, startTime, returnUrl, cancelUrl })
+ *       Start a subscription the buyer confirms at the provider, billing
+ *       from startTime (now when null) for seats units (1 when not given).
+ *       Resolves to { id, redirectUrl }.
+ *   activateCheckout(subscription, checkoutId, userId)
+ *       Apply a confirmed checkout of the user. Resolves to {} or
+ *       { status, error } with an error response payload.
+ *   changePlan(subscription, plan, billingCycle)
+ *       Optional. Switch plans in place; without it a plan change is a new
+ *       checkout that replaces the current subscription.
+ *   changeSeats(subscription, seats, { returnUrl, cancelUrl })
+ *       Bill a team subscription for another number of seats. Resolves to
+ *       {} when applied, or { redirectUrl } where the buyer approves it.
+ *   cancel(subscription, reason), resume(subscription)
+ *       Stop and restart renewals. Access lasts until nextBillingDate.
+ *   terminate(subscriptionId, reason)
+ *       End a provider subscription right away.
+ *   createPortalSession(subscription, returnUrl)
+ *       Resolves to the URL where the customer manages billing, or null.
+ *   verifyWebhook(req)
+ *       Resolves to whether a webhook delivery really came from the provider.
+ *   describeWebhookEvent(body)
+ *       { id, type, resourceId } of a webhook event, or null if it isn't one.
+ *   processWebhookEvent(event)
+ *       Resolves to { result: "processed" | "ignored", userId }.
+ *
+ * PAYPAL_BASE_URL and STRIPE_BASE_URL point either at a local mock server.
+ */
+const PAYMENT_PROVIDERS = {
+  paypal: paypalProvider,
+  stripe: stripeProvider,
+};
+
+const getPaymentProvider = (name) =>
+  Object.hasOwn(PAYMENT_PROVIDERS, name) ? PAYMENT_PROVIDERS[name] : null;
+
+// Providers a checkout can use, for the client to offer
+const listPaymentProviders = () =>
+  Object.values(PAYMENT_PROVIDERS)
+    .filter((provider) => provider.isConfigured())
+    .map(({ name, label }) => ({ name, label }));
+
+module.exports = {
+  PAYMENT_PROVIDERS,
+  getPaymentProvider,
+  listPaymentProviders,
+};
@@ -0,0 +1,114 @@
+const {
+  createBillingSubscription,
+  getBillingSubscription,
+  updateBillingSubscriptionStatus,
+  reviseBillingSubscription,
+  verifyWebhookSignature,
+} = require("./paypal");
+const { applyPayPalSubscription } = require("./paypal-subscriptions");
+const { processPayPalEvent } = require("./paypal-webhooks");
+const { endProviderSubscription } = require("./provider-subscriptions");
+const { getProviderPlanId } = require("./subscription-plans");
+
+// Where PayPal customers manage their automatic payments
+const AUTOPAY_URL =
+  process.env.NODE_ENV === "production"
+    ? "https://www.paypal.com/myaccount/autopay/"
+    : "https://www.sandbox.paypal.com/myaccount/autopay/";
+
+// PayPal billing subscriptions. A plan change is a new subscription the
+// buyer approves, so there is no changePlan.
+const paypalProvider = {
+  name: "paypal",
+  label: "PayPal",
+
+  isConfigured: () =>
+    Boolean(process.env.PAYPAL_CLIENT_ID && process.env.PAYPAL_CLIENT_SECRET),
+
+  async createCheckout(options) {
+    const paypalSubscription = await createBillingSubscription({
+      planId: getProviderPlanId("paypal", options.plan, options.billingCycle),
+      userId: options.userId,
+      quantity: options.seats,
+      startTime: options.startTime,
+      returnUrl: options.returnUrl,
+      cancelUrl: options.cancelUrl,
+    });
+    const approvalLink = paypalSubscription.links.find(
+      (link) => link.rel === "approve"
+    ).href;
+
+    return { id: paypalSubscription.id, redirectUrl: approvalLink };
+  },
+
+  // The buyer approves the new amount, then BILLING.SUBSCRIPTION.UPDATED
+  // brings the seats in line
+  async changeSeats(subscription, seats, options) {
+    const revision = await reviseBillingSubscription(
+      subscription.subscriptionId,
+      { quantity: seats, ...options }
+    );
+    const approveLink = (revision.links || []).find(
+      (link) => link.rel === "approve"
+    );
+    return { redirectUrl: approveLink?.href || null };
+  },
+
+  async activateCheckout(subscription, checkoutId, userId) {
+    const paypalSubscription = await getBillingSubscription(checkoutId);
+    if (paypalSubscription.custom_id !== userId) {
+      return {
+        status: 403,
+        error: {
+          error: "Access denied",
+          message: "This PayPal subscription belongs to another user",
+          code: "SUBSCRIPTION_OWNER_MISMATCH",
+        },
+      };
+    }
+    if (!["ACTIVE", "APPROVED"].includes(paypalSubscription.status)) {
+      return {
+        status: 400,
+        error: {
+          error: "Subscription not active",
+          message: "The PayPal subscription has not been approved",
+          code: "SUBSCRIPTION_NOT_ACTIVE",
+        },
+      };
+    }
+
+    await applyPayPalSubscription(subscription, paypalSubscription);
+    return {};
+  },
+
+  // Suspended rather than cancelled so it can be resumed until access ends
+  cancel: (subscription, reason) =>
+    updateBillingSubscriptionStatus(
+      subscription.subscriptionId,
+      "suspend",
+      reason || "Canceled by the customer"
+    ),
+
+  resume: (subscription) =>
+    updateBillingSubscriptionStatus(
+      subscription.subscriptionId,
+      "activate",
+      "Reactivated by the customer"
+    ),
+
+  terminate: (subscriptionId, reason) =>
+    endProviderSubscription("paypal", subscriptionId, reason),
+
+  createPortalSession: async () => AUTOPAY_URL,
+
+  verifyWebhook: (req) => verifyWebhookSignature(req.headers, req.body),
+
+  describeWebhookEvent: (body) =>
+    body?.id && body.event_type
+      ? { id: body.id, type: body.event_type, resourceId: body.resource?.id }
+      : null,
+
+  processWebhookEvent: processPayPalEvent,
+};
+
+module.exports = paypalProvider;
@@ -0,0 +1,68 @@
+const { addBillingPeriod } = require("./billing");
+const { findPlanByProviderId } = require("./subscription-plans");
+const {
+  setProviderSubscription,
+  getPendingCheckout,
+  clearPendingCheckout,
+} = require("./provider-subscriptions");
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+// Seats of a PayPal subscription, which has a quantity when the plan bills
+// per unit
+const readQuantity = (paypalSubscription) =>
+  Math.max(parseInt(paypalSubscription.quantity) || 1, 1);
+
+/**
+ * Bring a subscription in line with an active PayPal billing subscription,
+ * after the buyer approved it. When it replaces another subscription (a
+ * plan change) the old one is cancelled so the user isn't billed twice.
+ * Safe to call again for the same PayPal subscription.
+ */
+const applyPayPalSubscription = async (subscription, paypalSubscription) => {
+  const now = new Date();
+  const pending = getPendingCheckout(
+    subscription,
+    "paypal",
+    paypalSubscription.id
+  );
+  const planInfo =
+    findPlanByProviderId("paypal", paypalSubscription.plan_id) ||
+    (pending && { plan: pending.plan, billingCycle: pending.billingCycle });
+
+  // Trials and plan change credit both start billing later than now
+  const startTime = toDate(paypalSubscription.start_time);
+  const nextBillingTime = toDate(
+    paypalSubscription.billing_info?.next_billing_time
+  );
+
+  if (!subscription.isPremium) subscription.premiumSince = now;
+  if (planInfo) {
+    subscription.plan = planInfo.plan;
+    subscription.billingCycle = planInfo.billingCycle;
+  }
+  if (pending?.trial && startTime > now) {
+    subscription.trialEndsAt = startTime;
+  }
+
+  subscription.isPremium = true;
+  subscription.isActive = true;
+  subscription.seats = readQuantity(paypalSubscription);
+  subscription.nextBillingDate =
+    nextBillingTime ||
+    (startTime > now
+      ? startTime
+      : addBillingPeriod(now, subscription.billingCycle));
+  subscription.cancelAt = null;
+  subscription.canceledAt = null;
+
+  if (pending) clearPendingCheckout(subscription);
+  await setProviderSubscription(subscription, "paypal", paypalSubscription.id);
+
+  return subscription;
+};
+
+module.exports = {
+  readQuantity,
+  applyPayPalSubscription,
+};
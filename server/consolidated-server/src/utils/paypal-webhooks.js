@@ -0,0 +1,272 @@
+const Subscription = require("../models/subscription");
+const { addBillingPeriod } = require("./billing");
+const { getBillingSubscription } = require("./paypal");
+const {
+  readQuantity,
+  applyPayPalSubscription,
+} = require("./paypal-subscriptions");
+const { revokePaidAccess } = require("./provider-subscriptions");
+const {
+  findTransaction,
+  recordPayment,
+  recordRefund,
+} = require("./transactions");
+
+// Payment a refund or reversal belongs to: the sale of a billing
+// subscription, or the capture in the refund's "up" link
+const getRefundedPaymentId = (resource) => {
+  if (resource.sale_id) return resource.sale_id;
+  const up = (resource.links || []).find((link) => link.rel === "up");
+  const match = up?.href?.match(/\/captures\/([^/?]+)/);
+  return match ? match[1] : resource.id;
+};
+
+// Orders API resources use { value, currency_code }, billing subscription
+// sales { total, currency }
+const readAmount = (resource) => ({
+  amount: resource.amount?.value ?? resource.amount?.total,
+  currency: resource.amount?.currency_code ?? resource.amount?.currency,
+});
+
+const paidPlan = (subscription) =>
+  subscription.plan === "free" ? "premium" : subscription.plan;
+
+const setMetadata = (subscription, values) => {
+  subscription.metadata = { ...subscription.metadata, ...values };
+};
+
+// A one-off order was paid. Orders carry the user id as custom_id; older
+// captures are matched on the stored payment id. Each capture buys one
+// billing period, so one that was already recorded is left alone.
+async function onCaptureCompleted(resource) {
+  if (await findTransaction("paypal", resource.id)) return null;
+
+  const subscription = resource.custom_id
+    ? (await Subscription.findOne({ userId: resource.custom_id })) ||
+      new Subscription({ userId: resource.custom_id })
+    : await Subscription.findOne({ paymentId: resource.id });
+  if (!subscription) return null;
+
+  const paidAt = resource.create_time
+    ? new Date(resource.create_time)
+    : new Date();
+
+  // Paying early extends the current period instead of restarting it
+  const periodStart =
+    subscription.isPremium && subscription.nextBillingDate > paidAt
+      ? subscription.nextBillingDate
+      : paidAt;
+  subscription.nextBillingDate = addBillingPeriod(
+    periodStart,
+    subscription.billingCycle
+  );
+
+  if (!subscription.isPremium) subscription.premiumSince = paidAt;
+  subscription.isPremium = true;
+  subscription.isActive = true;
+  subscription.paymentId = resource.id;
+  subscription.cancelAt = null;
+  subscription.canceledAt = null;
+  // A recurring subscription keeps its provider
+  if (!subscription.subscriptionId) subscription.paymentMethod = "paypal";
+  // Saved first, so a recorded capture always had its period applied
+  await subscription.save();
+
+  await recordPayment({
+    userId: subscription.userId,
+    provider: "paypal",
+    providerTransactionId: resource.id,
+    providerOrderId: resource.supplementary_data?.related_ids?.order_id,
+    ...readAmount(resource),
+    plan: paidPlan(subscription),
+    billingCycle: subscription.billingCycle,
+    occurredAt: paidAt,
+  });
+  return subscription;
+}
+
+// A billing subscription charged the buyer: the first payment after a
+// trial or plan change credit, or a renewal
+async function onSaleCompleted(resource) {
+  const subscriptionId = resource.billing_agreement_id;
+  if (!subscriptionId) return null;
+
+  const subscription = await Subscription.findOne({ subscriptionId });
+  if (!subscription) return null;
+
+  const paidAt = resource.create_time
+    ? new Date(resource.create_time)
+    : new Date();
+
+  // PayPal knows the next charge date, counting from this payment
+  const paypalSubscription = await getBillingSubscription(subscriptionId);
+  const nextBillingTime = paypalSubscription.billing_info?.next_billing_time;
+
+  subscription.isPremium = true;
+  subscription.isActive = true;
+  subscription.paymentId = resource.id;
+  subscription.nextBillingDate = nextBillingTime
+    ? new Date(nextBillingTime)
+    : addBillingPeriod(paidAt, subscription.billingCycle);
+
+  await recordPayment({
+    userId: subscription.userId,
+    provider: "paypal",
+    providerTransactionId: resource.id,
+    providerSubscriptionId: subscriptionId,
+    ...readAmount(resource),
+    plan: paidPlan(subscription),
+    billingCycle: subscription.billingCycle,
+    occurredAt: paidAt,
+  });
+  return subscription;
+}
+
+// Refunds and chargebacks of the payment that bought the current period
+// end premium access and the billing subscription straight away, unless
+// only part of it was returned. Older payments are only recorded. Captures
+// of one-off orders from before billing subscriptions are refunded here too.
+async function onPaymentReturned(resource, eventType) {
+  const paymentId = getRefundedPaymentId(resource);
+  const isReversal = eventType.endsWith(".REVERSED");
+  const { payment } = await recordRefund(isReversal ? "reversal" : "refund", {
+    provider: "paypal",
+    providerTransactionId: resource.id,
+    paymentId,
+    ...readAmount(resource),
+    occurredAt: resource.create_time && new Date(resource.create_time),
+  });
+  if (payment?.status === "partially_refunded") return null;
+
+  const subscription = await Subscription.findOne({ paymentId });
+  if (!subscription) return null;
+
+  return revokePaidAccess(
+    subscription,
+    isReversal ? "chargeback" : "refund",
+    paymentId
+  );
+}
+
+const ACTIVATION_EVENTS = [
+  "BILLING.SUBSCRIPTION.ACTIVATED",
+  "BILLING.SUBSCRIPTION.RE-ACTIVATED",
+];
+
+// Billing subscriptions are matched on their PayPal id. Activations may
+// also be for a new or replacement subscription, matched on the user id
+// passed as custom_id. Events of replaced subscriptions match nothing.
+async function findBillingSubscription(resource, eventType) {
+  const subscription = await Subscription.findOne({
+    subscriptionId: resource.id,
+  });
+  if (subscription || !ACTIVATION_EVENTS.includes(eventType)) {
+    return subscription;
+  }
+  return resource.custom_id
+    ? Subscription.findOne({ userId: resource.custom_id })
+    : null;
+}
+
+const getNextBillingTime = (resource) =>
+  resource.billing_info?.next_billing_time
+    ? new Date(resource.billing_info.next_billing_time)
+    : null;
+
+async function onBillingSubscriptionEvent(resource, eventType) {
+  const subscription = await findBillingSubscription(resource, eventType);
+  if (!subscription) return null;
+
+  const nextBillingTime = getNextBillingTime(resource);
+
+  switch (eventType) {
+    case "BILLING.SUBSCRIPTION.CREATED":
+      break;
+
+    case "BILLING.SUBSCRIPTION.ACTIVATED":
+    case "BILLING.SUBSCRIPTION.RE-ACTIVATED":
+      await applyPayPalSubscription(subscription, resource);
+      break;
+
+    // Also sent when a change of seats was approved
+    case "BILLING.SUBSCRIPTION.UPDATED":
+      if (nextBillingTime) subscription.nextBillingDate = nextBillingTime;
+      subscription.seats = readQuantity(resource);
+      break;
+
+    // Access lasts until the end of the period that was paid for
+    case "BILLING.SUBSCRIPTION.CANCELLED":
+      subscription.canceledAt = new Date();
+      subscription.cancelAt = subscription.nextBillingDate || new Date();
+      if (!subscription.nextBillingDate) subscription.isPremium = false;
+      break;
+
+    // Cancelling in the app only suspends billing until the paid period
+    // ends, other suspensions (failed payments) end access right away
+    case "BILLING.SUBSCRIPTION.SUSPENDED":
+      if (!subscription.cancelAt) subscription.isPremium = false;
+      setMetadata(subscription, { suspendedAt: new Date() });
+      break;
+
+    case "BILLING.SUBSCRIPTION.EXPIRED":
+      subscription.isPremium = false;
+      subscription.isActive = false;
+      subscription.nextBillingDate = null;
+      subscription.canceledAt = subscription.canceledAt || new Date();
+      break;
+
+    case "BILLING.SUBSCRIPTION.PAYMENT.FAILED":
+      // PayPal retries and suspends the subscription if retries run out
+      setMetadata(subscription, {
+        lastPaymentFailedAt: new Date(),
+        failedPaymentsCount: resource.billing_info?.failed_payments_count,
+      });
+      break;
+
+    default:
+      return null;
+  }
+
+  return subscription;
+}
+
+const RETURN_EVENTS = [
+  "PAYMENT.CAPTURE.REFUNDED",
+  "PAYMENT.CAPTURE.REVERSED",
+  "PAYMENT.SALE.REFUNDED",
+  "PAYMENT.SALE.REVERSED",
+];
+
+/**
+ * Apply a verified PayPal webhook event to the matching subscription.
+ * Resolves to { result: "processed" | "ignored", userId } where ignored
+ * events matched no subscription or aren't ones we act on.
+ */
+async function processPayPalEvent(event) {
+  const { event_type: eventType, resource = {} } = event;
+
+  let subscription = null;
+  if (eventType === "PAYMENT.CAPTURE.COMPLETED") {
+    subscription = await onCaptureCompleted(resource);
+  } else if (eventType === "PAYMENT.SALE.COMPLETED") {
+    subscription = await onSaleCompleted(resource);
+  } else if (RETURN_EVENTS.includes(eventType)) {
+    subscription = await onPaymentReturned(resource, eventType);
+  } else if (eventType?.startsWith("BILLING.SUBSCRIPTION.")) {
+    subscription = await onBillingSubscriptionEvent(resource, eventType);
+  }
+
+  if (!subscription) return { result: "ignored", userId: null };
+
+  setMetadata(subscription, {
+    lastPayPalEvent: { id: event.id, type: eventType, at: new Date() },
+  });
+  await subscription.save();
+
+  return { result: "processed", userId: subscription.userId };
+}
+
+module.exports = {
+  getRefundedPaymentId,
+  processPayPalEvent,
+};
@@ -0,0 +1,168 @@
+const axios = require("axios");
+
+// PAYPAL_BASE_URL also lets a local mock PayPal server stand in for the
+// real API, e.g. when exercising webhooks
+const PAYPAL_API =
+  process.env.PAYPAL_BASE_URL ||
+  (process.env.NODE_ENV === "production"
+    ? "https://api-m.paypal.com"
+    : "https://api-m.sandbox.paypal.com");
+
+const CLIENT_ID = process.env.PAYPAL_CLIENT_ID;
+const CLIENT_SECRET = process.env.PAYPAL_CLIENT_SECRET;
+const WEBHOOK_ID = process.env.PAYPAL_WEBHOOK_ID;
+
+// Renew the cached access token this long before PayPal expires it
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+let cachedToken = null;
+
+async function getAccessToken() {
+  if (!CLIENT_ID || !CLIENT_SECRET) {
+    throw new Error("PayPal credentials not configured");
+  }
+
+  if (cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.value;
+  }
+
+  try {
+    const auth = Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString(
+      "base64"
+    );
+
+    const response = await axios({
+      method: "post",
+      url: `${PAYPAL_API}/v1/oauth2/token`,
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Authorization: `Basic ${auth}`,
+      },
+      data: "grant_type=client_credentials",
+      timeout: 10000,
+    });
+
+    const { access_token: value, expires_in: expiresIn } = response.data;
+    cachedToken = expiresIn
+      ? {
+          value,
+          expiresAt: Date.now() + expiresIn * 1000 - TOKEN_EXPIRY_MARGIN_MS,
+        }
+      : null;
+
+    return value;
+  } catch (error) {
+    console.error(
+      "PayPal access token error:",
+      error.response?.data || error.message
+    );
+    throw new Error("Failed to get PayPal access token");
+  }
+}
+
+// Authenticated JSON request to the PayPal REST API, resolving to the
+// response body
+async function paypalRequest(method, path, data) {
+  const accessToken = await getAccessToken();
+  const response = await axios({
+    method,
+    url: `${PAYPAL_API}${path}`,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${accessToken}`,
+    },
+    data,
+    timeout: 10000,
+  });
+  return response.data;
+}
+
+/**
+ * Ask PayPal whether a webhook delivery really came from it. Uses the
+ * transmission headers PayPal signs every delivery with and the id of the
+ * webhook configured as PAYPAL_WEBHOOK_ID. Resolves to true or false.
+ */
+async function verifyWebhookSignature(headers, event) {
+  if (!WEBHOOK_ID) {
+    throw new Error("PayPal webhook id not configured");
+  }
+
+  const transmission = {
+    auth_algo: headers["paypal-auth-algo"],
+    cert_url: headers["paypal-cert-url"],
+    transmission_id: headers["paypal-transmission-id"],
+    transmission_sig: headers["paypal-transmission-sig"],
+    transmission_time: headers["paypal-transmission-time"],
+  };
+  if (Object.values(transmission).some((value) => !value)) return false;
+
+  const result = await paypalRequest(
+    "post",
+    "/v1/notifications/verify-webhook-signature",
+    { ...transmission, webhook_id: WEBHOOK_ID, webhook_event: event }
+  );
+
+  return result?.verification_status === "SUCCESS";
+}
+
+// Billing subscriptions (recurring payments on a PayPal plan)
+
+// options: { planId, userId, startTime, returnUrl, cancelUrl }. Resolves to
+// the PayPal subscription, whose "approve" link the buyer must visit.
+const createBillingSubscription = (options) =>
+  paypalRequest("post", "/v1/billing/subscriptions", {
+    plan_id: options.planId,
+    custom_id: options.userId,
+    // Plans bill per unit, teams buy one per seat
+    ...(options.quantity && { quantity: String(options.quantity) }),
+    ...(options.startTime && { start_time: options.startTime.toISOString() }),
+    application_context: {
+      brand_name: "Mocko Designs",
+      shipping_preference: "NO_SHIPPING",
+      user_action: "SUBSCRIBE_NOW",
+      return_url: options.returnUrl,
+      cancel_url: options.cancelUrl,
+    },
+  });
+
+const getBillingSubscription = (subscriptionId) =>
+  paypalRequest(
+    "get",
+    `/v1/billing/subscriptions/${encodeURIComponent(subscriptionId)}`
+  );
+
+// action: "cancel" (final), "suspend" or "activate" (resume after suspend)
+const updateBillingSubscriptionStatus = (subscriptionId, action, reason) =>
+  paypalRequest(
+    "post",
+    `/v1/billing/subscriptions/${encodeURIComponent(subscriptionId)}/${action}`,
+    { reason }
+  );
+
+// Change the seats of a subscription. The buyer approves the new amount at
+// the returned approve link.
+const reviseBillingSubscription = (subscriptionId, options) =>
+  paypalRequest(
+    "post",
+    `/v1/billing/subscriptions/${encodeURIComponent(subscriptionId)}/revise`,
+    {
+      quantity: String(options.quantity),
+      application_context: {
+        brand_name: "Mocko Designs",
+        shipping_preference: "NO_SHIPPING",
+        return_url: options.returnUrl,
+        cancel_url: options.cancelUrl,
+      },
+    }
+  );
+
+module.exports = {
+  PAYPAL_API,
+  getAccessToken,
+  paypalRequest,
+  verifyWebhookSignature,
+  createBillingSubscription,
+  getBillingSubscription,
+  updateBillingSubscriptionStatus,
+  reviseBillingSubscription,
+};
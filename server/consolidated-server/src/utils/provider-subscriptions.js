@@ -0,0 +1,101 @@
+const { updateBillingSubscriptionStatus } = require("./paypal");
+const { cancelStripeSubscription } = require("./stripe");
+
+const END_SUBSCRIPTION = {
+  paypal: (subscriptionId, reason) =>
+    updateBillingSubscriptionStatus(subscriptionId, "cancel", reason),
+  stripe: (subscriptionId) => cancelStripeSubscription(subscriptionId),
+};
+
+// End a recurring subscription at its provider right away
+const endProviderSubscription = async (provider, subscriptionId, reason) => {
+  const end = END_SUBSCRIPTION[provider];
+  if (end) await end(subscriptionId, reason);
+};
+
+/**
+ * Point a subscription at a newly activated provider subscription. One it
+ * replaces, from a plan change or a switch of provider, is ended so the
+ * user isn't billed twice.
+ */
+const setProviderSubscription = async (
+  subscription,
+  provider,
+  subscriptionId
+) => {
+  const previous = {
+    provider: subscription.paymentMethod,
+    id: subscription.subscriptionId,
+  };
+
+  subscription.paymentMethod = provider;
+  subscription.subscriptionId = subscriptionId;
+  if (!previous.id || previous.id === subscriptionId) return;
+
+  subscription.metadata = {
+    ...subscription.metadata,
+    replacedSubscription: previous,
+  };
+  await endProviderSubscription(
+    previous.provider,
+    previous.id,
+    "Replaced by a new plan"
+  ).catch((error) =>
+    console.error(
+      `Failed to cancel replaced ${previous.provider} subscription ${previous.id}:`,
+      error.response?.data || error.message
+    )
+  );
+};
+
+// Take premium away after the payment for the current period was refunded
+// in full or charged back, and end the provider subscription so it doesn't
+// charge again for access it no longer gives
+const revokePaidAccess = async (subscription, reason, paymentId) => {
+  if (subscription.subscriptionId) {
+    await endProviderSubscription(
+      subscription.paymentMethod,
+      subscription.subscriptionId,
+      reason === "chargeback" ? "Payment charged back" : "Payment refunded"
+    ).catch((error) =>
+      console.error(
+        `Failed to cancel ${subscription.paymentMethod} subscription ${subscription.subscriptionId}:`,
+        error.response?.data || error.message
+      )
+    );
+  }
+
+  subscription.isPremium = false;
+  subscription.nextBillingDate = null;
+  subscription.cancelAt = null;
+  subscription.canceledAt = new Date();
+  subscription.metadata = {
+    ...subscription.metadata,
+    revokedReason: reason,
+    revokedPaymentId: paymentId,
+  };
+  return subscription;
+};
+
+// The checkout a subscription is waiting on, if it is `checkoutId` at
+// `provider`
+const getPendingCheckout = (subscription, provider, checkoutId) => {
+  const pending = subscription.metadata?.pendingCheckout;
+  return pending?.provider === provider && pending.id === checkoutId
+    ? pending
+    : null;
+};
+
+const clearPendingCheckout = (subscription) => {
+  const metadata = { ...subscription.metadata };
+  delete metadata.pendingCheckout;
+  subscription.metadata = metadata;
+};
+
+module.exports = {
+  endProviderSubscription,
+  setProviderSubscription,
+  revokePaidAccess,
+  getPendingCheckout,
+  clearPendingCheckout,
+};
@@ -0,0 +1,143 @@
+const {
+  isStripeConfigured,
+  verifyWebhookSignature,
+  createCheckoutSession,
+  getCheckoutSession,
+  getStripeSubscription,
+  updateStripeSubscription,
+  createPortalSession,
+} = require("./stripe");
+const {
+  PREMIUM_STATUSES,
+  applyStripeSubscription,
+} = require("./stripe-subscriptions");
+const { processStripeEvent } = require("./stripe-webhooks");
+const { endProviderSubscription } = require("./provider-subscriptions");
+const { getProviderPlanId } = require("./subscription-plans");
+
+// Stripe only accepts a checkout trial ending at least two days out.
+// Shorter plan change credit is dropped and billing starts right away.
+const MIN_TRIAL_MS = 48 * 60 * 60 * 1000;
+
+// Stripe Checkout subscriptions, managed in the Stripe customer portal
+const stripeProvider = {
+  name: "stripe",
+  label: "Card (Stripe)",
+
+  isConfigured: isStripeConfigured,
+
+  async createCheckout(options) {
+    const trialEnd =
+      options.startTime && options.startTime - Date.now() >= MIN_TRIAL_MS
+        ? options.startTime
+        : undefined;
+
+    const session = await createCheckoutSession({
+      priceId: getProviderPlanId("stripe", options.plan, options.billingCycle),
+      userId: options.userId,
+      customerId: options.subscription?.metadata?.stripeCustomerId,
+      email: options.email,
+      quantity: options.seats,
+      trialEnd,
+      // Stripe fills in the session id
+      successUrl: `${options.returnUrl}&session_id={CHECKOUT_SESSION_ID}`,
+      cancelUrl: options.cancelUrl,
+    });
+
+    return { id: session.id, redirectUrl: session.url };
+  },
+
+  async activateCheckout(subscription, checkoutId, userId) {
+    const session = await getCheckoutSession(checkoutId);
+    if (session.client_reference_id !== userId) {
+      return {
+        status: 403,
+        error: {
+          error: "Access denied",
+          message: "This checkout belongs to another user",
+          code: "SUBSCRIPTION_OWNER_MISMATCH",
+        },
+      };
+    }
+    if (
+      session.status !== "complete" ||
+      !PREMIUM_STATUSES.includes(session.subscription?.status)
+    ) {
+      return {
+        status: 400,
+        error: {
+          error: "Subscription not active",
+          message: "The checkout has not been completed",
+          code: "SUBSCRIPTION_NOT_ACTIVE",
+        },
+      };
+    }
+
+    await applyStripeSubscription(subscription, session.subscription);
+    return {};
+  },
+
+  // Stripe reprices the subscription in place and invoices the prorated
+  // difference straight away
+  async changePlan(subscription, plan, billingCycle) {
+    const stripeSubscription = await getStripeSubscription(
+      subscription.subscriptionId
+    );
+    const updated = await updateStripeSubscription(stripeSubscription.id, {
+      items: [
+        {
+          id: stripeSubscription.items.data[0].id,
+          price: getProviderPlanId("stripe", plan, billingCycle),
+        },
+      ],
+      proration_behavior: "always_invoice",
+      cancel_at_period_end: false,
+    });
+    await applyStripeSubscription(subscription, updated);
+  },
+
+  // Seats change in place too, prorated like a plan change
+  async changeSeats(subscription, seats) {
+    const stripeSubscription = await getStripeSubscription(
+      subscription.subscriptionId
+    );
+    const updated = await updateStripeSubscription(stripeSubscription.id, {
+      items: [{ id: stripeSubscription.items.data[0].id, quantity: seats }],
+      proration_behavior: "always_invoice",
+    });
+    await applyStripeSubscription(subscription, updated);
+    return {};
+  },
+
+  cancel: (subscription) =>
+    updateStripeSubscription(subscription.subscriptionId, {
+      cancel_at_period_end: true,
+    }),
+
+  resume: (subscription) =>
+    updateStripeSubscription(subscription.subscriptionId, {
+      cancel_at_period_end: false,
+    }),
+
+  terminate: (subscriptionId, reason) =>
+    endProviderSubscription("stripe", subscriptionId, reason),
+
+  async createPortalSession(subscription, returnUrl) {
+    const customerId = subscription.metadata?.stripeCustomerId;
+    if (!customerId) return null;
+    const session = await createPortalSession(customerId, returnUrl);
+    return session.url;
+  },
+
+  verifyWebhook: async (req) =>
+    verifyWebhookSignature(req.rawBody, req.headers["stripe-signature"]),
+
+  describeWebhookEvent: (body) =>
+    body?.object === "event" && body.id && body.type
+      ? { id: body.id, type: body.type, resourceId: body.data?.object?.id }
+      : null,
+
+  processWebhookEvent: processStripeEvent,
+};
+
+module.exports = stripeProvider;
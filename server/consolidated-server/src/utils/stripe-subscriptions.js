@@ -0,0 +1,58 @@
+const { findPlanByProviderId } = require("./subscription-plans");
+const { fromUnixTime } = require("./stripe");
+const {
+  setProviderSubscription,
+  clearPendingCheckout,
+} = require("./provider-subscriptions");
+
+// Stripe keeps retrying past_due subscriptions, so access lasts meanwhile
+const PREMIUM_STATUSES = ["trialing", "active", "past_due"];
+
+/**
+ * Bring a subscription in line with a Stripe subscription: its plan and
+ * seats, the end of the current period, a trial and a pending
+ * cancellation. When it replaces another subscription that one is ended.
+ * Safe to call again with newer versions of the same Stripe subscription.
+ */
+const applyStripeSubscription = async (subscription, stripeSubscription) => {
+  const now = new Date();
+  const item = stripeSubscription.items?.data?.[0];
+  const price = item?.price;
+  const planInfo = findPlanByProviderId("stripe", price?.id);
+  const isPremium = PREMIUM_STATUSES.includes(stripeSubscription.status);
+
+  if (isPremium && !subscription.isPremium) subscription.premiumSince = now;
+  if (planInfo) {
+    subscription.plan = planInfo.plan;
+    subscription.billingCycle = planInfo.billingCycle;
+  }
+  if (stripeSubscription.status === "trialing") {
+    subscription.trialEndsAt = fromUnixTime(stripeSubscription.trial_end);
+  }
+
+  subscription.isPremium = isPremium;
+  subscription.isActive = isPremium;
+  subscription.seats = item?.quantity || 1;
+  subscription.nextBillingDate = isPremium
+    ? fromUnixTime(stripeSubscription.current_period_end)
+    : null;
+  subscription.cancelAt = stripeSubscription.cancel_at_period_end
+    ? fromUnixTime(stripeSubscription.current_period_end)
+    : fromUnixTime(stripeSubscription.cancel_at);
+  subscription.canceledAt = fromUnixTime(stripeSubscription.canceled_at);
+  subscription.metadata = {
+    ...subscription.metadata,
+    stripeCustomerId: stripeSubscription.customer,
+  };
+
+  const pending = subscription.metadata.pendingCheckout;
+  if (pending?.provider === "stripe") clearPendingCheckout(subscription);
+  await setProviderSubscription(subscription, "stripe", stripeSubscription.id);
+
+  return subscription;
+};
+
+module.exports = {
+  PREMIUM_STATUSES,
+  applyStripeSubscription,
+};
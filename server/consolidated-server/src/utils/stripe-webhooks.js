@@ -0,0 +1,200 @@
+const Subscription = require("../models/subscription");
+const {
+  fromUnixTime,
+  fromMinorUnits,
+  getStripeSubscription,
+  listChargeRefunds,
+} = require("./stripe");
+const { applyStripeSubscription } = require("./stripe-subscriptions");
+const { revokePaidAccess } = require("./provider-subscriptions");
+const { recordPayment, recordRefund } = require("./transactions");
+
+const toCurrency = (currency) => currency?.toUpperCase();
+
+const paidPlan = (subscription) =>
+  subscription.plan === "free" ? "premium" : subscription.plan;
+
+const setMetadata = (subscription, values) => {
+  subscription.metadata = { ...subscription.metadata, ...values };
+};
+
+// The buyer finished a checkout started by createCheckout. Carries the user
+// id as client_reference_id.
+async function onCheckoutCompleted(session) {
+  if (session.mode !== "subscription" || !session.client_reference_id) {
+    return null;
+  }
+
+  const subscription =
+    (await Subscription.findOne({ userId: session.client_reference_id })) ||
+    new Subscription({ userId: session.client_reference_id });
+  await applyStripeSubscription(
+    subscription,
+    await getStripeSubscription(session.subscription)
+  );
+  return subscription;
+}
+
+// Subscriptions are matched on their Stripe id, new ones also on the user
+// id set as metadata at checkout. Events of replaced subscriptions match
+// nothing.
+async function onSubscriptionEvent(resource, eventType) {
+  let subscription = await Subscription.findOne({
+    subscriptionId: resource.id,
+  });
+  if (
+    !subscription &&
+    eventType === "customer.subscription.created" &&
+    resource.metadata?.userId
+  ) {
+    subscription = await Subscription.findOne({
+      userId: resource.metadata.userId,
+    });
+  }
+  if (!subscription) return null;
+
+  // Events can arrive out of order, so apply the subscription as it is now
+  const stripeSubscription =
+    eventType === "customer.subscription.deleted"
+      ? resource
+      : await getStripeSubscription(resource.id);
+  await applyStripeSubscription(subscription, stripeSubscription);
+  return subscription;
+}
+
+// A subscription invoice was paid: the first payment after a trial, a
+// renewal or the prorated difference of a plan change
+async function onInvoicePaid(invoice) {
+  if (!invoice.subscription) return null;
+
+  const subscription = await Subscription.findOne({
+    subscriptionId: invoice.subscription,
+  });
+  if (!subscription) return null;
+
+  const periodEnd = fromUnixTime(invoice.lines?.data?.[0]?.period?.end);
+  subscription.isPremium = true;
+  subscription.isActive = true;
+  if (periodEnd > new Date()) subscription.nextBillingDate = periodEnd;
+
+  // Trial invoices are for nothing
+  if (!invoice.amount_paid || !invoice.charge) return subscription;
+
+  subscription.paymentId = invoice.charge;
+  await recordPayment({
+    userId: subscription.userId,
+    provider: "stripe",
+    providerTransactionId: invoice.charge,
+    providerOrderId: invoice.id,
+    providerSubscriptionId: invoice.subscription,
+    amount: fromMinorUnits(invoice.amount_paid),
+    currency: toCurrency(invoice.currency),
+    plan: paidPlan(subscription),
+    billingCycle: subscription.billingCycle,
+    occurredAt:
+      fromUnixTime(invoice.status_transitions?.paid_at) || new Date(),
+  });
+  return subscription;
+}
+
+async function onInvoicePaymentFailed(invoice) {
+  const subscription = await Subscription.findOne({
+    subscriptionId: invoice.subscription,
+  });
+  if (!subscription) return null;
+
+  // Stripe retries, then cancels or marks the subscription unpaid
+  setMetadata(subscription, {
+    lastPaymentFailedAt: new Date(),
+    failedPaymentsCount: invoice.attempt_count,
+  });
+  return subscription;
+}
+
+// Refunds and chargebacks of the payment that bought the current period
+// end premium access and the Stripe subscription straight away, unless
+// only part of it was returned. Older payments are only recorded, and the
+// subscription keeps running.
+async function onChargeRefunded(charge) {
+  const refunds = await listChargeRefunds(charge.id);
+  for (const refund of refunds.data || []) {
+    if (refund.status !== "succeeded") continue;
+    await recordRefund("refund", {
+      provider: "stripe",
+      providerTransactionId: refund.id,
+      paymentId: charge.id,
+      amount: fromMinorUnits(refund.amount),
+      currency: toCurrency(refund.currency),
+      occurredAt: fromUnixTime(refund.created),
+    });
+  }
+  if (!charge.refunded) return null;
+
+  const subscription = await Subscription.findOne({ paymentId: charge.id });
+  return (
+    subscription && (await revokePaidAccess(subscription, "refund", charge.id))
+  );
+}
+
+async function onDisputeCreated(dispute) {
+  await recordRefund("reversal", {
+    provider: "stripe",
+    providerTransactionId: dispute.id,
+    paymentId: dispute.charge,
+    amount: fromMinorUnits(dispute.amount),
+    currency: toCurrency(dispute.currency),
+    occurredAt: fromUnixTime(dispute.created),
+  });
+
+  const subscription = await Subscription.findOne({
+    paymentId: dispute.charge,
+  });
+  return (
+    subscription &&
+    (await revokePaidAccess(subscription, "chargeback", dispute.charge))
+  );
+}
+
+const SUBSCRIPTION_EVENTS = [
+  "customer.subscription.created",
+  "customer.subscription.updated",
+  "customer.subscription.deleted",
+];
+
+/**
+ * Apply a verified Stripe webhook event to the matching subscription.
+ * Resolves to { result: "processed" | "ignored", userId } where ignored
+ * events matched no subscription or aren't ones we act on.
+ */
+async function processStripeEvent(event) {
+  const { type: eventType } = event;
+  const resource = event.data?.object || {};
+
+  let subscription = null;
+  if (eventType === "checkout.session.completed") {
+    subscription = await onCheckoutCompleted(resource);
+  } else if (SUBSCRIPTION_EVENTS.includes(eventType)) {
+    subscription = await onSubscriptionEvent(resource, eventType);
+  } else if (eventType === "invoice.paid") {
+    subscription = await onInvoicePaid(resource);
+  } else if (eventType === "invoice.payment_failed") {
+    subscription = await onInvoicePaymentFailed(resource);
+  } else if (eventType === "charge.refunded") {
+    subscription = await onChargeRefunded(resource);
+  } else if (eventType === "charge.dispute.created") {
+    subscription = await onDisputeCreated(resource);
+  }
+
+  if (!subscription) return { result: "ignored", userId: null };
+
+  setMetadata(subscription, {
+    lastStripeEvent: { id: event.id, type: eventType, at: new Date() },
+  });
+  await subscription.save();
+
+  return { result: "processed", userId: subscription.userId };
+}
+
+module.exports = {
+  processStripeEvent,
+};
@@ -0,0 +1,176 @@
+const axios = require("axios");
+const crypto = require("crypto");
+
+// STRIPE_BASE_URL lets a local mock Stripe server stand in for the real API
+const STRIPE_API = process.env.STRIPE_BASE_URL || "https://api.stripe.com";
+
+// Pinned so the shape of objects and webhook payloads doesn't change with
+// the account's default API version
+const STRIPE_API_VERSION = "2024-06-20";
+
+const SECRET_API_KEY = process.env.STRIPE_SECRET_KEY;
+const WEBHOOK_SIGNING_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+
+// Webhook deliveries signed longer ago than this are rejected as replays
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+const isStripeConfigured = () => Boolean(SECRET_API_KEY);
+
+const toUnixTime = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+// Stripe takes form encoded bodies, nested objects and arrays as
+// items[0][price]=...
+const toFormParams = (data, form = new URLSearchParams(), prefix = "") => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === "object" && !(value instanceof Date)) {
+      toFormParams(value, form, name);
+    } else {
+      form.append(name, value instanceof Date ? toUnixTime(value) : value);
+    }
+  });
+  return form;
+};
+
+const fromUnixTime = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+// Stripe amounts are in cents; our plans are priced in two-decimal
+// currencies only
+const fromMinorUnits = (amount) => (amount || 0) / 100;
+
+// Authenticated request to the Stripe API, resolving to the response body
+async function stripeRequest(method, path, data) {
+  if (!isStripeConfigured()) {
+    throw new Error("Stripe credentials not configured");
+  }
+
+  const isRead = method === "get" || method === "delete";
+  const response = await axios({
+    method,
+    url: `${STRIPE_API}${path}`,
+    headers: {
+      Authorization: `Bearer ${SECRET_API_KEY}`,
+      "Stripe-Version": STRIPE_API_VERSION,
+      ...(!isRead && {
+        "Content-Type": "application/x-www-form-urlencoded",
+      }),
+    },
+    ...(data && isRead
+      ? { params: toFormParams(data) }
+      : { data: data && toFormParams(data).toString() }),
+    timeout: 10000,
+  });
+  return response.data;
+}
+
+/**
+ * Check the Stripe-Signature header of a webhook delivery against the raw
+ * request body, using the endpoint's STRIPE_WEBHOOK_SECRET. Returns true
+ * or false.
+ */
+function verifyWebhookSignature(rawBody, signatureHeader) {
+  if (!WEBHOOK_SIGNING_SECRET) {
+    throw new Error("Stripe webhook secret not configured");
+  }
+  if (!rawBody || !signatureHeader) return false;
+
+  const parts = signatureHeader.split(",").map((part) => part.split("="));
+  const timestamp = Number(parts.find(([name]) => name === "t")?.[1]);
+  const signatures = parts
+    .filter(([name]) => name === "v1")
+    .map(([, value]) => value);
+
+  if (
+    !timestamp ||
+    Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS
+  ) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac("sha256", WEBHOOK_SIGNING_SECRET)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+
+  return signatures.some(
+    (signature) =>
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+}
+
+// Checkout sessions and subscriptions
+
+// options: { priceId, userId, customerId, email, trialEnd, successUrl,
+// cancelUrl }. Resolves to the session, whose url the buyer must visit.
+const createCheckoutSession = (options) =>
+  stripeRequest("post", "/v1/checkout/sessions", {
+    mode: "subscription",
+    line_items: [{ price: options.priceId, quantity: options.quantity || 1 }],
+    client_reference_id: options.userId,
+    customer: options.customerId,
+    customer_email: options.customerId ? undefined : options.email,
+    subscription_data: {
+      metadata: { userId: options.userId },
+      trial_end: options.trialEnd,
+    },
+    success_url: options.successUrl,
+    cancel_url: options.cancelUrl,
+  });
+
+// The session with its subscription expanded
+const getCheckoutSession = (sessionId) =>
+  stripeRequest(
+    "get",
+    `/v1/checkout/sessions/${encodeURIComponent(sessionId)}`,
+    { expand: ["subscription"] }
+  );
+
+const getStripeSubscription = (subscriptionId) =>
+  stripeRequest(
+    "get",
+    `/v1/subscriptions/${encodeURIComponent(subscriptionId)}`
+  );
+
+const updateStripeSubscription = (subscriptionId, changes) =>
+  stripeRequest(
+    "post",
+    `/v1/subscriptions/${encodeURIComponent(subscriptionId)}`,
+    changes
+  );
+
+// Ends the subscription straight away, without a refund
+const cancelStripeSubscription = (subscriptionId) =>
+  stripeRequest(
+    "delete",
+    `/v1/subscriptions/${encodeURIComponent(subscriptionId)}`
+  );
+
+const listChargeRefunds = (chargeId) =>
+  stripeRequest("get", "/v1/refunds", { charge: chargeId, limit: 100 });
+
+// Stripe's hosted page where customers update their card, download
+// receipts and cancel
+const createPortalSession = (customerId, returnUrl) =>
+  stripeRequest("post", "/v1/billing_portal/sessions", {
+    customer: customerId,
+    return_url: returnUrl,
+  });
+
+module.exports = {
+  STRIPE_API,
+  isStripeConfigured,
+  toUnixTime,
+  fromUnixTime,
+  fromMinorUnits,
+  stripeRequest,
+  verifyWebhookSignature,
+  createCheckoutSession,
+  getCheckoutSession,
+  getStripeSubscription,
+  updateStripeSubscription,
+  cancelStripeSubscription,
+  listChargeRefunds,
+  createPortalSession,
+};
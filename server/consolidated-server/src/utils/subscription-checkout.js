@@ -0,0 +1,102 @@
+const Subscription = require("../models/subscription");
+const { getPaymentProvider } = require("./payment-providers");
+const {
+  TRIAL_DAYS,
+  isPaidPlan,
+  getProviderPlanId,
+} = require("./subscription-plans");
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+// The provider, plan and billing cycle asked for in a request body, or an
+// error response payload
+const readPlanChoice = (body, defaultProvider = "paypal") => {
+  const {
+    provider: providerName = defaultProvider,
+    plan = "premium",
+    billingCycle = "monthly",
+  } = body;
+  const provider = getPaymentProvider(providerName);
+
+  if (!provider?.isConfigured()) {
+    return {
+      error: {
+        error: "Invalid provider",
+        message: `Payments with ${providerName} are not available`,
+        code: "INVALID_PROVIDER",
+      },
+    };
+  }
+  if (
+    !isPaidPlan(plan, billingCycle) ||
+    !getProviderPlanId(provider.name, plan, billingCycle)
+  ) {
+    return {
+      error: {
+        error: "Invalid plan",
+        message: `The ${plan} ${billingCycle} plan is not available`,
+        code: "INVALID_PLAN",
+      },
+    };
+  }
+
+  return { provider, plan, billingCycle };
+};
+
+// Where the buyer comes back to after confirming a checkout. Team
+// checkouts say which team they are for.
+const getCheckoutReturnUrl = (providerName, teamId) =>
+  `${FRONTEND_URL}/subscription/success?provider=${providerName}${
+    teamId ? `&team=${teamId}` : ""
+  }`;
+
+/**
+ * Start a checkout at the chosen provider for the subscription of an
+ * account: a user id, or a team's account id (see utils/teams). What was
+ * asked for is kept on the subscription until the buyer confirms it.
+ * options: { email, startTime, trial, seats, teamId }
+ * Resolves to the response data, with the link where the buyer confirms.
+ */
+const startCheckout = async (subscription, accountId, choice, options) => {
+  const { provider, plan, billingCycle } = choice;
+  const checkout = await provider.createCheckout({
+    subscription,
+    userId: accountId,
+    email: options.email,
+    plan,
+    billingCycle,
+    seats: options.seats,
+    startTime: options.startTime,
+    returnUrl: getCheckoutReturnUrl(provider.name, options.teamId),
+    cancelUrl: `${FRONTEND_URL}/subscription/cancel`,
+  });
+
+  const pending = subscription || new Subscription({ userId: accountId });
+  pending.metadata = {
+    ...pending.metadata,
+    pendingCheckout: {
+      provider: provider.name,
+      id: checkout.id,
+      plan,
+      billingCycle,
+      seats: options.seats || 1,
+      trial: options.trial,
+    },
+  };
+  await pending.save();
+
+  return {
+    provider: provider.name,
+    checkoutId: checkout.id,
+    approvalLink: checkout.redirectUrl,
+    billingStartsAt: options.startTime,
+    trialDays: options.trial ? TRIAL_DAYS : 0,
+  };
+};
+
+module.exports = {
+  FRONTEND_URL,
+  readPlanChoice,
+  getCheckoutReturnUrl,
+  startCheckout,
+};
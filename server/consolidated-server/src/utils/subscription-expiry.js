@@ -0,0 +1,75 @@
+const Subscription = require("../models/subscription");
+const { RENEWAL_GRACE_MS } = require("./billing");
+const { getPaymentProvider } = require("./payment-providers");
+
+const EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+
+// Subscriptions expired per run, the rest wait for the next one
+const EXPIRY_BATCH_SIZE = 200;
+
+/**
+ * End premium access for a subscription whose paid period ran out without a
+ * renewal. A provider subscription the user cancelled can still be resumed
+ * while access lasts, so it is ended for good here. Saves the subscription.
+ */
+const expireSubscription = async (subscription) => {
+  const canceled = Boolean(subscription.cancelAt);
+
+  const provider =
+    subscription.subscriptionId &&
+    getPaymentProvider(subscription.paymentMethod);
+  if (canceled && provider) {
+    await provider
+      .terminate(subscription.subscriptionId, "Canceled by the customer")
+      .catch((error) =>
+        console.error(
+          `Failed to end ${provider.name} subscription ${subscription.subscriptionId}:`,
+          error.response?.data || error.message
+        )
+      );
+  }
+
+  subscription.isPremium = false;
+  subscription.isActive = false;
+  subscription.canceledAt = new Date();
+  subscription.metadata = {
+    ...subscription.metadata,
+    expiredReason: canceled ? "canceled" : "payment_missing",
+  };
+  await subscription.save();
+  return subscription;
+};
+
+const expireLapsedSubscriptions = async () => {
+  try {
+    const lapsed = await Subscription.find({
+      isPremium: true,
+      nextBillingDate: {
+        $ne: null,
+        $lte: new Date(Date.now() - RENEWAL_GRACE_MS),
+      },
+    }).limit(EXPIRY_BATCH_SIZE);
+
+    for (const subscription of lapsed) {
+      await expireSubscription(subscription);
+    }
+    if (lapsed.length > 0) {
+      console.log(`⌛ Expired ${lapsed.length} lapsed subscription(s)`);
+    }
+  } catch (error) {
+    console.error("Failed to expire lapsed subscriptions:", error);
+  }
+};
+
+// Expire lapsed subscriptions now and then every hour
+const startSubscriptionExpiry = () => {
+  expireLapsedSubscriptions();
+  const timer = setInterval(expireLapsedSubscriptions, EXPIRY_INTERVAL_MS);
+  if (timer.unref) timer.unref();
+};
+
+module.exports = {
+  expireSubscription,
+  expireLapsedSubscriptions,
+  startSubscriptionExpiry,
+};
@@ -0,0 +1,120 @@
+const { addBillingPeriod } = require("./billing");
+
+const PLAN_CURRENCY = "USD";
+
+// Price of each paid plan per billing cycle, in PLAN_CURRENCY. The PayPal
+// plans (see scripts/create-paypal-plans.js) and Stripe prices must charge
+// the same.
+const PLAN_PRICES = {
+  premium: { monthly: 60, yearly: 600 },
+  pro: { monthly: 120, yearly: 1200 },
+};
+
+// New subscribers get this many days free before the first charge
+const TRIAL_DAYS = Number(process.env.SUBSCRIPTION_TRIAL_DAYS ?? 7);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Credit worth less than this is dropped instead of delaying a new plan
+const MIN_PRORATION_MS = 60 * 60 * 1000;
+
+const isPaidPlan = (plan, billingCycle) =>
+  Boolean(PLAN_PRICES[plan]?.[billingCycle]);
+
+// Providers' plan ids come from the environment, e.g. PAYPAL_PLAN_PRO_YEARLY
+// or STRIPE_PRICE_PREMIUM_MONTHLY
+const PLAN_ID_PREFIXES = {
+  paypal: "PAYPAL_PLAN",
+  stripe: "STRIPE_PRICE",
+};
+
+const getProviderPlanId = (provider, plan, billingCycle) => {
+  const prefix = PLAN_ID_PREFIXES[provider];
+  return process.env[
+    `${prefix}_${plan.toUpperCase()}_${billingCycle.toUpperCase()}`
+  ];
+};
+
+// { plan, billingCycle } of a provider's plan id, or null for unknown plans
+const findPlanByProviderId = (provider, planId) => {
+  for (const [plan, prices] of Object.entries(PLAN_PRICES)) {
+    for (const billingCycle of Object.keys(prices)) {
+      const id = getProviderPlanId(provider, plan, billingCycle);
+      if (planId && id === planId) return { plan, billingCycle };
+    }
+  }
+  return null;
+};
+
+// Every paid plan with the providers it can be bought with
+const listPlans = (providers = Object.keys(PLAN_ID_PREFIXES)) =>
+  Object.entries(PLAN_PRICES).flatMap(([plan, prices]) =>
+    Object.entries(prices).map(([billingCycle, price]) => {
+      const available = providers.filter((provider) =>
+        getProviderPlanId(provider, plan, billingCycle)
+      );
+      return {
+        plan,
+        billingCycle,
+        price,
+        currency: PLAN_CURRENCY,
+        providers: available,
+        available: available.length > 0,
+      };
+    })
+  );
+
+// Only users who never had premium or a trial get one
+const isTrialEligible = (subscription) =>
+  TRIAL_DAYS > 0 && !subscription?.premiumSince && !subscription?.trialEndsAt;
+
+/**
+ * When a replacement PayPal subscription should start billing after a plan
+ * change. The unused part of the current paid period is credited towards
+ * the new plan at its daily rate, so upgrades bill sooner and downgrades
+ * later. A running trial carries over unchanged. Returns a Date, or null
+ * to bill right away.
+ */
+const getProratedStartTime = (subscription, plan, billingCycle, now) => {
+  const nextBillingDate = subscription.nextBillingDate;
+  if (!subscription.isPremium || !nextBillingDate || nextBillingDate <= now) {
+    return null;
+  }
+
+  if (subscription.trialEndsAt && subscription.trialEndsAt > now) {
+    return subscription.trialEndsAt;
+  }
+
+  const currentPrice =
+    PLAN_PRICES[subscription.plan]?.[subscription.billingCycle];
+  if (!currentPrice) return null;
+
+  const periodStart = addBillingPeriod(
+    nextBillingDate,
+    subscription.billingCycle,
+    -1
+  );
+  const periodMs = nextBillingDate - periodStart;
+  const credit = (currentPrice * (nextBillingDate - now)) / periodMs;
+
+  const newPeriodMs =
+    addBillingPeriod(now, billingCycle) - new Date(now).getTime();
+  const creditMs = (credit / PLAN_PRICES[plan][billingCycle]) * newPeriodMs;
+
+  return creditMs < MIN_PRORATION_MS
+    ? null
+    : new Date(new Date(now).getTime() + creditMs);
+};
+
+module.exports = {
+  PLAN_CURRENCY,
+  PLAN_PRICES,
+  TRIAL_DAYS,
+  DAY_MS,
+  isPaidPlan,
+  getProviderPlanId,
+  findPlanByProviderId,
+  listPlans,
+  isTrialEligible,
+  getProratedStartTime,
+};
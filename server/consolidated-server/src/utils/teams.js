@@ -0,0 +1,54 @@
+// Roles in a team, from least to most access. There is one owner, who
+// pays for the team; admins manage members.
+const TEAM_ROLES = ["member", "admin", "owner"];
+
+const MEMBERSHIP_STATUSES = ["invited", "active"];
+
+const MAX_TEAMS_PER_USER = 20;
+
+// Seats a team can buy. Without a subscription a team is limited to the
+// free size, and its members don't get premium.
+const MAX_TEAM_SEATS = 500;
+const FREE_TEAM_SEATS = 5;
+
+// Teams are billed on the pro plan only
+const TEAM_PLAN = "pro";
+
+// Team subscriptions are Subscription records keyed by this instead of a
+// user id, so payments, webhooks and expiry work as they do for users
+const TEAM_ACCOUNT_PREFIX = "team:";
+
+const teamAccountId = (teamId) => `${TEAM_ACCOUNT_PREFIX}${teamId}`;
+
+// The team of a team account id, null for user ids
+const teamIdFromAccountId = (accountId) =>
+  typeof accountId === "string" && accountId.startsWith(TEAM_ACCOUNT_PREFIX)
+    ? accountId.slice(TEAM_ACCOUNT_PREFIX.length)
+    : null;
+
+const cleanTeamName = (name) =>
+  typeof name === "string" ? name.trim().slice(0, 100) : "";
+
+const isTeamAdmin = (role) => role === "owner" || role === "admin";
+
+// A requested seat count, or null when it isn't a whole number in range
+const readSeats = (value) => {
+  const seats = Number(value);
+  return Number.isInteger(seats) && seats >= 1 && seats <= MAX_TEAM_SEATS
+    ? seats
+    : null;
+};
+
+module.exports = {
+  TEAM_ROLES,
+  MEMBERSHIP_STATUSES,
+  MAX_TEAMS_PER_USER,
+  MAX_TEAM_SEATS,
+  FREE_TEAM_SEATS,
+  TEAM_PLAN,
+  teamAccountId,
+  teamIdFromAccountId,
+  cleanTeamName,
+  isTeamAdmin,
+  readSeats,
+};
@@ -0,0 +1,67 @@
+const TEMPLATE_STATUSES = ["published", "unpublished"];
+const MAX_TEMPLATE_TAGS = 20;
+const DEFAULT_TEMPLATE_CATEGORY = "general";
+const MAX_TEMPLATES_PER_PAGE = 50;
+
+// Fields returned in template lists - page canvas data is only sent when a
+// single template is opened
+const TEMPLATE_LIST_FIELDS =
+  "_id name description category tags isPremium thumbnail width height status version usageCount publishedAt createdAt updatedAt";
+
+const cleanTemplateName = (name) =>
+  typeof name === "string" && name.trim() ? name.trim().slice(0, 100) : null;
+
+const cleanCategory = (category) =>
+  typeof category === "string" && category.trim()
+    ? category.trim().toLowerCase().slice(0, 50)
+    : DEFAULT_TEMPLATE_CATEGORY;
+
+// Tags are matched case-insensitively, so they are stored lowercase once
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags)
+    ? tags
+    : typeof tags === "string"
+    ? tags.split(",")
+    : [];
+
+  const normalized = [];
+  for (const tag of list) {
+    if (typeof tag !== "string") continue;
+    const value = tag.trim().toLowerCase().slice(0, 30);
+    if (value && !normalized.includes(value)) normalized.push(value);
+  }
+  return normalized.slice(0, MAX_TEMPLATE_TAGS);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Thumbnails are uploaded image URLs or data URLs rendered by the editor
+const isValidTemplateThumbnail = (thumbnail) =>
+  typeof thumbnail === "string" &&
+  (thumbnail.startsWith("https://") || thumbnail.startsWith("data:image/"));
+
+// The content a template version is made of, copied from the template
+const templateContent = (template) => ({
+  width: template.width,
+  height: template.height,
+  thumbnail: template.thumbnail,
+  pages: template.pages.map((page) => ({
+    name: page.name,
+    canvasData: page.canvasData,
+    background: page.background,
+    thumbnail: page.thumbnail,
+  })),
+});
+
+module.exports = {
+  TEMPLATE_STATUSES,
+  DEFAULT_TEMPLATE_CATEGORY,
+  MAX_TEMPLATES_PER_PAGE,
+  TEMPLATE_LIST_FIELDS,
+  cleanTemplateName,
+  cleanCategory,
+  normalizeTags,
+  escapeRegex,
+  isValidTemplateThumbnail,
+  templateContent,
+};
@@ -0,0 +1,135 @@
+const Counter = require("../models/counter");
+const Subscription = require("../models/subscription");
+const Transaction = require("../models/transaction");
+
+// Money arrives from providers as strings like "60.00"
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const describePlan = (plan = "premium", billingCycle = "monthly") => {
+  const name = plan.charAt(0).toUpperCase() + plan.slice(1);
+  return `${name} subscription (${billingCycle})`;
+};
+
+// Invoices and credit notes are numbered per year: INV-2026-000042
+const nextDocumentNumber = async (prefix, date) => {
+  const year = new Date(date).getUTCFullYear();
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `${prefix}-${year}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return `${prefix}-${year}-${String(counter.seq).padStart(6, "0")}`;
+};
+
+const findTransaction = (provider, providerTransactionId) =>
+  Transaction.findOne({ provider, providerTransactionId });
+
+// Create a transaction once per provider id. Retried webhooks and the
+// capture endpoint may report the same payment, the first one wins.
+const createOnce = async (fields, numberPrefix) => {
+  const existing = await findTransaction(
+    fields.provider,
+    fields.providerTransactionId
+  );
+  if (existing) return { transaction: existing, created: false };
+
+  const subscription = await Subscription.findOne({ userId: fields.userId })
+    .select("billingDetails")
+    .lean();
+
+  try {
+    const transaction = await Transaction.create({
+      ...fields,
+      invoiceNumber: await nextDocumentNumber(numberPrefix, fields.occurredAt),
+      billingDetails: subscription?.billingDetails,
+    });
+    return { transaction, created: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return {
+      transaction: await findTransaction(
+        fields.provider,
+        fields.providerTransactionId
+      ),
+      created: false,
+    };
+  }
+};
+
+/**
+ * Record a completed payment. fields: { userId, provider,
+ * providerTransactionId, amount, currency, plan, billingCycle,
+ * providerOrderId, providerSubscriptionId, occurredAt }
+ */
+const recordPayment = async (fields) => {
+  const { transaction } = await createOnce(
+    {
+      ...fields,
+      type: "payment",
+      status: "completed",
+      amount: toAmount(fields.amount),
+      description: describePlan(fields.plan, fields.billingCycle),
+      occurredAt: fields.occurredAt || new Date(),
+    },
+    "INV"
+  );
+  return transaction;
+};
+
+/**
+ * Record money returned from a payment, as a refund or a chargeback
+ * ("reversal"). fields: { provider, providerTransactionId, paymentId,
+ * amount, currency, occurredAt } where paymentId is the provider id of the
+ * original payment. Without an amount the whole payment is returned.
+ * Resolves to { refund, payment }, both null when the payment is unknown.
+ */
+const recordRefund = async (type, fields) => {
+  const payment = await findTransaction(fields.provider, fields.paymentId);
+  if (!payment) return { refund: null, payment: null };
+
+  const amount =
+    fields.amount !== undefined
+      ? toAmount(fields.amount)
+      : payment.amount - payment.refundedAmount;
+
+  const { transaction: refund, created } = await createOnce(
+    {
+      userId: payment.userId,
+      provider: fields.provider,
+      providerTransactionId: fields.providerTransactionId,
+      providerOrderId: payment.providerOrderId,
+      type,
+      status: "completed",
+      amount,
+      currency: fields.currency || payment.currency,
+      description: `${
+        type === "reversal" ? "Chargeback" : "Refund"
+      } of invoice ${payment.invoiceNumber}`,
+      plan: payment.plan,
+      billingCycle: payment.billingCycle,
+      relatedTransactionId: payment._id,
+      occurredAt: fields.occurredAt || new Date(),
+    },
+    "CN"
+  );
+
+  if (created) {
+    payment.refundedAmount = toAmount(payment.refundedAmount + amount);
+    payment.status =
+      payment.refundedAmount < payment.amount
+        ? "partially_refunded"
+        : type === "reversal"
+          ? "reversed"
+          : "refunded";
+    await payment.save();
+  }
+
+  return { refund, payment };
+};
+
+module.exports = {
+  toAmount,
+  findTransaction,
+  recordPayment,
+  recordRefund,
+};
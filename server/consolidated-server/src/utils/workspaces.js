@@ -0,0 +1,40 @@
+const TeamMembership = require("../models/team-membership");
+const { teamAccountId } = require("./teams");
+
+// Teams the user has joined: [{ teamId, role }]
+const findActiveMemberships = (userId) =>
+  TeamMembership.find({ userId, status: "active" })
+    .select("teamId role")
+    .lean();
+
+const findActiveTeamIds = async (userId) =>
+  (await findActiveMemberships(userId)).map((membership) =>
+    membership.teamId.toString()
+  );
+
+// Query conditions for the designs, folders and media of the workspace a
+// request works in (see workspace-middleware). Team content is shared by
+// all members; personal content is the user's own outside any team.
+const workspaceFilter = (req) =>
+  req.workspace
+    ? { teamId: req.workspace.teamId }
+    : { userId: req.user.userId, teamId: null };
+
+// Owner fields for content created in the request's workspace
+const workspaceFields = (req) => ({
+  userId: req.user.userId,
+  teamId: req.workspace ? req.workspace.teamId : null,
+});
+
+// Whose billing a request is about: the team loaded by team-middleware on
+// team billing routes, otherwise the user
+const getBillingAccountId = (req) =>
+  req.team ? teamAccountId(req.team._id) : req.user.userId;
+
+module.exports = {
+  findActiveMemberships,
+  findActiveTeamIds,
+  workspaceFilter,
+  workspaceFields,
+  getBillingAccountId,
+};
@@ -0,0 +1,450 @@
+const crypto = require("crypto");
+const express = require("express");
+const request = require("supertest");
+const { startMockProviderServer } = require("./support/mock-provider-server");
+const { useMemoryStore } = require("./support/memory-store");
+
+const USER_ID = "user-1";
+const PAYPAL_PLAN_ID = "P-PREMIUM-MONTHLY";
+const STRIPE_PRICE_ID = "price_premium_monthly";
+const WEBHOOK_SECRET = "whsec_test";
+const NEXT_BILLING_TIME = "2030-01-01T00:00:00Z";
+const toUnixTime = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+let paypal;
+let stripe;
+let app;
+let providers;
+let Subscription;
+let Transaction;
+let subscriptions;
+let transactions;
+let webhookEvents;
+
+const paypalSubscription = (fields) => ({
+  id: "I-SUBSCRIPTION",
+  plan_id: PAYPAL_PLAN_ID,
+  custom_id: USER_ID,
+  status: "ACTIVE",
+  quantity: "1",
+  billing_info: { next_billing_time: NEXT_BILLING_TIME },
+  ...fields,
+});
+
+const stripeSubscription = (fields) => ({
+  id: "sub_1",
+  object: "subscription",
+  status: "active",
+  customer: "cus_1",
+  current_period_end: toUnixTime(NEXT_BILLING_TIME),
+  cancel_at_period_end: false,
+  cancel_at: null,
+  canceled_at: null,
+  metadata: { userId: USER_ID },
+  items: {
+    data: [{ id: "si_1", quantity: 1, price: { id: STRIPE_PRICE_ID } }],
+  },
+  ...fields,
+});
+
+const checkoutSession = (fields) => ({
+  id: "cs_1",
+  object: "checkout.session",
+  mode: "subscription",
+  client_reference_id: USER_ID,
+  status: "complete",
+  subscription: stripeSubscription(),
+  ...fields,
+});
+
+let eventCount = 0;
+const stripeEvent = (type, object) => ({
+  id: `evt_${++eventCount}`,
+  object: "event",
+  type,
+  data: { object },
+});
+
+// Stripe-Signature header for a raw body, as Stripe signs deliveries
+const signStripeBody = (
+  body,
+  timestamp = toUnixTime(new Date()),
+  secret = WEBHOOK_SECRET
+) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+const sendStripeEvent = (event, sign = signStripeBody) => {
+  const body = JSON.stringify(event);
+  return request(app)
+    .post("/api/v1/subscription/webhook/stripe")
+    .set("Content-Type", "application/json")
+    .set("Stripe-Signature", sign(body))
+    .send(body);
+};
+
+const activate = (provider, checkoutId) =>
+  request(app)
+    .post("/api/v1/subscription/activate-subscription")
+    .send({ provider, checkoutId });
+
+const findSubscription = () => Subscription.findOne({ userId: USER_ID });
+
+beforeAll(async () => {
+  paypal = await startMockProviderServer({
+    "POST /v1/oauth2/token": { access_token: "A21-TOKEN", expires_in: 3600 },
+  });
+  stripe = await startMockProviderServer();
+
+  // Read when the provider modules load
+  Object.assign(process.env, {
+    PAYPAL_BASE_URL: paypal.url,
+    PAYPAL_CLIENT_ID: "client-id",
+    PAYPAL_CLIENT_SECRET: "client-secret",
+    PAYPAL_WEBHOOK_ID: "WEBHOOK-1",
+    PAYPAL_PLAN_PREMIUM_MONTHLY: PAYPAL_PLAN_ID,
+    STRIPE_BASE_URL: stripe.url,
+    STRIPE_SECRET_KEY: "sk_test",
+    STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+    STRIPE_PRICE_PREMIUM_MONTHLY: STRIPE_PRICE_ID,
+  });
+
+  providers = require("../src/utils/payment-providers");
+  Subscription = require("../src/models/subscription");
+  Transaction = require("../src/models/transaction");
+  subscriptions = useMemoryStore(Subscription);
+  transactions = useMemoryStore(Transaction);
+  webhookEvents = useMemoryStore(require("../src/models/webhook-event"));
+  useMemoryStore(require("../src/models/counter"));
+
+  const paymentController = require("../src/controllers/payment-controller");
+  app = express();
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+  // Stands in for the Google sign-in the router requires
+  app.post(
+    "/api/v1/subscription/activate-subscription",
+    (req, res, next) => {
+      req.user = { userId: USER_ID };
+      next();
+    },
+    paymentController.activateSubscription
+  );
+  app.use(
+    "/api/v1/subscription",
+    require("../src/routes/subscription-routes")
+  );
+
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterAll(() => Promise.all([paypal.close(), stripe.close()]));
+
+beforeEach(() => {
+  subscriptions.length = 0;
+  transactions.length = 0;
+  webhookEvents.length = 0;
+  paypal.reset();
+  stripe.reset();
+  paypal.route(
+    "GET /v1/billing/subscriptions/I-SUBSCRIPTION",
+    paypalSubscription()
+  );
+  stripe.route("GET /v1/checkout/sessions/cs_1", checkoutSession());
+  stripe.route("GET /v1/subscriptions/sub_1", stripeSubscription());
+});
+
+describe("provider interface", () => {
+  const METHODS = [
+    "isConfigured",
+    "createCheckout",
+    "activateCheckout",
+    "changeSeats",
+    "cancel",
+    "resume",
+    "terminate",
+    "createPortalSession",
+    "verifyWebhook",
+    "describeWebhookEvent",
+    "processWebhookEvent",
+  ];
+
+  const EVENTS = {
+    paypal: {
+      id: "WH-1",
+      event_type: "BILLING.SUBSCRIPTION.ACTIVATED",
+      resource: { id: "I-SUBSCRIPTION" },
+    },
+    stripe: stripeEvent("customer.subscription.updated", { id: "sub_1" }),
+  };
+
+  it.each(["paypal", "stripe"])("%s implements every method", (name) => {
+    const provider = providers.getPaymentProvider(name);
+
+    expect(provider.name).toBe(name);
+    expect(typeof provider.label).toBe("string");
+    METHODS.forEach((method) =>
+      expect(typeof provider[method]).toBe("function")
+    );
+  });
+
+  it("only Stripe changes plans in place", () => {
+    expect(providers.getPaymentProvider("stripe").changePlan).toEqual(
+      expect.any(Function)
+    );
+    expect(providers.getPaymentProvider("paypal").changePlan).toBeUndefined();
+  });
+
+  it.each([
+    ["paypal", "WH-1", "BILLING.SUBSCRIPTION.ACTIVATED", "I-SUBSCRIPTION"],
+    ["stripe", EVENTS.stripe.id, "customer.subscription.updated", "sub_1"],
+  ])("%s describes its own events only", (name, id, type, resourceId) => {
+    const provider = providers.getPaymentProvider(name);
+    const other = name === "paypal" ? "stripe" : "paypal";
+
+    expect(provider.describeWebhookEvent(EVENTS[name])).toEqual({
+      id,
+      type,
+      resourceId,
+    });
+    expect(provider.describeWebhookEvent(EVENTS[other])).toBeNull();
+    expect(provider.describeWebhookEvent(undefined)).toBeNull();
+  });
+
+  it("lists configured providers for checkout", () => {
+    expect(providers.listPaymentProviders()).toEqual([
+      { name: "paypal", label: "PayPal" },
+      { name: "stripe", label: "Card (Stripe)" },
+    ]);
+  });
+
+  it("knows no other providers", () => {
+    expect(providers.getPaymentProvider("toString")).toBeNull();
+  });
+});
+
+describe("checkout activation", () => {
+  it.each([
+    ["paypal", "I-SUBSCRIPTION", "I-SUBSCRIPTION"],
+    ["stripe", "cs_1", "sub_1"],
+  ])("activates a confirmed %s checkout", async (name, checkoutId, id) => {
+    const response = await activate(name, checkoutId);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      isPremium: true,
+      provider: name,
+      plan: "premium",
+      billingCycle: "monthly",
+      nextBillingDate: NEXT_BILLING_TIME.replace("Z", ".000Z"),
+    });
+    expect(await findSubscription()).toMatchObject({
+      isPremium: true,
+      paymentMethod: name,
+      subscriptionId: id,
+    });
+  });
+
+  it.each([
+    [
+      "paypal",
+      "I-SUBSCRIPTION",
+      () =>
+        paypal.route(
+          "GET /v1/billing/subscriptions/I-SUBSCRIPTION",
+          paypalSubscription({ custom_id: "user-2" })
+        ),
+    ],
+    [
+      "stripe",
+      "cs_1",
+      () =>
+        stripe.route(
+          "GET /v1/checkout/sessions/cs_1",
+          checkoutSession({ client_reference_id: "user-2" })
+        ),
+    ],
+  ])("refuses %s checkouts of other users", async (name, id, setUp) => {
+    setUp();
+
+    const response = await activate(name, id);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe("SUBSCRIPTION_OWNER_MISMATCH");
+    expect(subscriptions).toHaveLength(0);
+  });
+
+  it.each([
+    [
+      "paypal",
+      "I-SUBSCRIPTION",
+      () =>
+        paypal.route(
+          "GET /v1/billing/subscriptions/I-SUBSCRIPTION",
+          paypalSubscription({ status: "APPROVAL_PENDING" })
+        ),
+    ],
+    [
+      "stripe",
+      "cs_1",
+      () =>
+        stripe.route(
+          "GET /v1/checkout/sessions/cs_1",
+          checkoutSession({ status: "open" })
+        ),
+    ],
+  ])("refuses unfinished %s checkouts", async (name, id, setUp) => {
+    setUp();
+
+    const response = await activate(name, id);
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe("SUBSCRIPTION_NOT_ACTIVE");
+  });
+
+  it("refuses unknown providers", async () => {
+    const response = await activate("bitcoin", "checkout-1");
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe("INVALID_PROVIDER");
+  });
+
+  it("ends the subscription at the provider it switched from", async () => {
+    await Subscription.create({
+      userId: USER_ID,
+      plan: "premium",
+      isPremium: true,
+      paymentMethod: "paypal",
+      subscriptionId: "I-OLD",
+    });
+    paypal.route("POST /v1/billing/subscriptions/I-OLD/cancel", {});
+
+    await activate("stripe", "cs_1");
+
+    const subscription = await findSubscription();
+    expect(subscription.paymentMethod).toBe("stripe");
+    expect(subscription.subscriptionId).toBe("sub_1");
+    expect(subscription.metadata.replacedSubscription).toEqual({
+      provider: "paypal",
+      id: "I-OLD",
+    });
+    expect(
+      paypal.requestsTo("POST /v1/billing/subscriptions/I-OLD/cancel")
+    ).toHaveLength(1);
+  });
+});
+
+describe("Stripe webhooks", () => {
+  const checkoutCompleted = () =>
+    stripeEvent("checkout.session.completed", {
+      ...checkoutSession(),
+      subscription: "sub_1",
+    });
+
+  it("applies deliveries signed with the endpoint secret", async () => {
+    const response = await sendStripeEvent(checkoutCompleted());
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.result).toBe("processed");
+    expect(await findSubscription()).toMatchObject({
+      isPremium: true,
+      paymentMethod: "stripe",
+      subscriptionId: "sub_1",
+    });
+    const [lookup] = stripe.requestsTo("GET /v1/subscriptions/sub_1");
+    expect(lookup.headers.authorization).toBe("Bearer sk_test");
+  });
+
+  it.each([
+    ["another secret", (body) => signStripeBody(body, undefined, "whsec_x")],
+    ["another body", () => signStripeBody("{}")],
+    [
+      "an old timestamp",
+      (body) => signStripeBody(body, toUnixTime(new Date()) - 10 * 60),
+    ],
+    ["no signature", () => `t=${toUnixTime(new Date())}`],
+  ])("rejects deliveries signed with %s", async (_, sign) => {
+    const response = await sendStripeEvent(checkoutCompleted(), sign);
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe("INVALID_WEBHOOK_SIGNATURE");
+    expect(subscriptions).toHaveLength(0);
+    expect(webhookEvents).toHaveLength(0);
+  });
+
+  it("applies a retried event once", async () => {
+    const event = checkoutCompleted();
+
+    await sendStripeEvent(event);
+    const retry = await sendStripeEvent(event);
+
+    expect(retry.status).toBe(200);
+    expect(retry.body.message).toBe("Event already processed");
+    expect(webhookEvents).toHaveLength(1);
+    expect(stripe.requestsTo("GET /v1/subscriptions/sub_1")).toHaveLength(1);
+  });
+
+  it("ends access and billing when the charge is refunded", async () => {
+    await Subscription.create({
+      userId: USER_ID,
+      plan: "premium",
+      isPremium: true,
+      paymentMethod: "stripe",
+      subscriptionId: "sub_1",
+      paymentId: "ch_1",
+    });
+    await Transaction.create({
+      userId: USER_ID,
+      provider: "stripe",
+      type: "payment",
+      amount: 60,
+      currency: "USD",
+      providerTransactionId: "ch_1",
+      invoiceNumber: "INV-2026-000001",
+    });
+    stripe.route("GET /v1/refunds", {
+      data: [
+        {
+          id: "re_1",
+          status: "succeeded",
+          amount: 6000,
+          currency: "usd",
+          created: toUnixTime("2026-03-15T00:00:00Z"),
+        },
+      ],
+    });
+    stripe.route("DELETE /v1/subscriptions/sub_1", {
+      ...stripeSubscription(),
+      status: "canceled",
+    });
+
+    const response = await sendStripeEvent(
+      stripeEvent("charge.refunded", { id: "ch_1", refunded: true })
+    );
+
+    expect(response.body.data.result).toBe("processed");
+    expect((await findSubscription()).isPremium).toBe(false);
+    expect(stripe.requestsTo("GET /v1/refunds")[0].query).toMatchObject({
+      charge: "ch_1",
+    });
+    expect(
+      stripe.requestsTo("DELETE /v1/subscriptions/sub_1")
+    ).toHaveLength(1);
+    expect(transactions[0].status).toBe("refunded");
+    expect(transactions[1]).toMatchObject({
+      type: "refund",
+      amount: 60,
+      providerTransactionId: "re_1",
+    });
+  });
+});
@@ -0,0 +1,546 @@
+const express = require("express");
+const request = require("supertest");
+const { startMockProviderServer } = require("./support/mock-provider-server");
+const { useMemoryStore } = require("./support/memory-store");
+const { addBillingPeriod } = require("../src/utils/billing");
+
+const USER_ID = "user-1";
+const PLAN_ID = "P-PREMIUM-MONTHLY";
+const SUBSCRIPTION_ID = "I-SUBSCRIPTION";
+const NEXT_BILLING_TIME = "2030-01-01T00:00:00Z";
+
+const WEBHOOK_PATH = "/api/v1/subscription/webhook/paypal";
+const SUBSCRIPTION_PATH = `/v1/billing/subscriptions/${SUBSCRIPTION_ID}`;
+
+let paypal;
+let app;
+let Subscription;
+let Transaction;
+let subscriptions;
+let transactions;
+let webhookEvents;
+let counters;
+let verificationStatus;
+
+// The headers PayPal signs every delivery with
+const transmissionHeaders = () => ({
+  "paypal-auth-algo": "SHA256withRSA",
+  "paypal-cert-url": `${paypal.url}/certs/CERT-1`,
+  "paypal-transmission-id": "TRANSMISSION-1",
+  "paypal-transmission-sig": "c2lnbmF0dXJl",
+  "paypal-transmission-time": new Date().toISOString(),
+});
+
+let eventCount = 0;
+const paypalEvent = (eventType, resource) => ({
+  id: `WH-${++eventCount}`,
+  event_type: eventType,
+  resource,
+});
+
+const sendEvent = (event, headers = transmissionHeaders()) =>
+  request(app).post(WEBHOOK_PATH).set(headers).send(event);
+
+const billingSubscription = (fields) => ({
+  id: SUBSCRIPTION_ID,
+  plan_id: PLAN_ID,
+  custom_id: USER_ID,
+  status: "ACTIVE",
+  quantity: "1",
+  billing_info: { next_billing_time: NEXT_BILLING_TIME },
+  ...fields,
+});
+
+const seedSubscription = (fields) =>
+  Subscription.create({
+    userId: USER_ID,
+    plan: "premium",
+    paymentMethod: "paypal",
+    subscriptionId: SUBSCRIPTION_ID,
+    isPremium: true,
+    nextBillingDate: new Date(NEXT_BILLING_TIME),
+    ...fields,
+  });
+
+const seedPayment = (providerTransactionId) =>
+  Transaction.create({
+    userId: USER_ID,
+    provider: "paypal",
+    type: "payment",
+    amount: 60,
+    currency: "USD",
+    providerTransactionId,
+    providerSubscriptionId: SUBSCRIPTION_ID,
+    invoiceNumber: "INV-2026-000001",
+  });
+
+const findSubscription = () => Subscription.findOne({ userId: USER_ID });
+
+beforeAll(async () => {
+  paypal = await startMockProviderServer({
+    "POST /v1/oauth2/token": { access_token: "A21-TOKEN", expires_in: 3600 },
+    "POST /v1/notifications/verify-webhook-signature": () => ({
+      verification_status: verificationStatus,
+    }),
+  });
+
+  // Read when the PayPal modules load
+  Object.assign(process.env, {
+    PAYPAL_BASE_URL: paypal.url,
+    PAYPAL_CLIENT_ID: "client-id",
+    PAYPAL_CLIENT_SECRET: "client-secret",
+    PAYPAL_WEBHOOK_ID: "WEBHOOK-1",
+    PAYPAL_PLAN_PREMIUM_MONTHLY: PLAN_ID,
+  });
+
+  Subscription = require("../src/models/subscription");
+  Transaction = require("../src/models/transaction");
+  subscriptions = useMemoryStore(Subscription);
+  transactions = useMemoryStore(Transaction);
+  webhookEvents = useMemoryStore(require("../src/models/webhook-event"));
+  counters = useMemoryStore(require("../src/models/counter"));
+
+  app = express();
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+  app.use(
+    "/api/v1/subscription",
+    require("../src/routes/subscription-routes")
+  );
+
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterAll(() => paypal.close());
+
+beforeEach(() => {
+  subscriptions.length = 0;
+  transactions.length = 0;
+  webhookEvents.length = 0;
+  counters.length = 0;
+  verificationStatus = "SUCCESS";
+  paypal.reset();
+  paypal.route(`GET ${SUBSCRIPTION_PATH}`, billingSubscription());
+  paypal.route(`POST ${SUBSCRIPTION_PATH}/cancel`, {});
+});
+
+describe("signature verification", () => {
+  it("asks PayPal to verify each delivery", async () => {
+    const event = paypalEvent("BILLING.SUBSCRIPTION.PAYMENT.FAILED", {
+      id: SUBSCRIPTION_ID,
+    });
+    await seedSubscription();
+
+    const response = await sendEvent(event);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.result).toBe("processed");
+    const [verification] = paypal.requestsTo(
+      "POST /v1/notifications/verify-webhook-signature"
+    );
+    expect(verification.headers.authorization).toBe("Bearer A21-TOKEN");
+    expect(verification.body).toMatchObject({
+      auth_algo: "SHA256withRSA",
+      transmission_id: "TRANSMISSION-1",
+      transmission_sig: "c2lnbmF0dXJl",
+      webhook_id: "WEBHOOK-1",
+      webhook_event: { id: event.id },
+    });
+  });
+
+  it("rejects deliveries PayPal doesn't verify", async () => {
+    verificationStatus = "FAILURE";
+    await seedSubscription();
+
+    const response = await sendEvent(
+      paypalEvent("BILLING.SUBSCRIPTION.EXPIRED", { id: SUBSCRIPTION_ID })
+    );
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe("INVALID_WEBHOOK_SIGNATURE");
+    expect(webhookEvents).toHaveLength(0);
+    expect((await findSubscription()).isPremium).toBe(true);
+  });
+
+  it("rejects deliveries without transmission headers", async () => {
+    const response = await sendEvent(
+      paypalEvent("BILLING.SUBSCRIPTION.EXPIRED", { id: SUBSCRIPTION_ID }),
+      {}
+    );
+
+    expect(response.status).toBe(401);
+    expect(
+      paypal.requestsTo("POST /v1/notifications/verify-webhook-signature")
+    ).toHaveLength(0);
+  });
+
+  it("rejects bodies that aren't PayPal events", async () => {
+    const response = await sendEvent({ hello: "world" });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe("INVALID_WEBHOOK_EVENT");
+  });
+});
+
+describe("duplicate deliveries", () => {
+  const saleCompleted = () =>
+    paypalEvent("PAYMENT.SALE.COMPLETED", {
+      id: "SALE-1",
+      billing_agreement_id: SUBSCRIPTION_ID,
+      amount: { total: "60.00", currency: "USD" },
+      create_time: "2026-03-01T00:00:00Z",
+    });
+
+  it("applies a retried event once", async () => {
+    await seedSubscription();
+    const event = saleCompleted();
+
+    const first = await sendEvent(event);
+    const retry = await sendEvent(event);
+
+    expect(first.body.data.result).toBe("processed");
+    expect(retry.status).toBe(200);
+    expect(retry.body.message).toBe("Event already processed");
+    expect(transactions).toHaveLength(1);
+    expect(webhookEvents).toHaveLength(1);
+    expect(webhookEvents[0]).toMatchObject({
+      provider: "paypal",
+      eventId: event.id,
+      result: "processed",
+      userId: USER_ID,
+    });
+    expect(paypal.requestsTo(`GET ${SUBSCRIPTION_PATH}`)).toHaveLength(1);
+  });
+
+  it("processes the retry of an event that failed", async () => {
+    await seedSubscription();
+    const event = saleCompleted();
+    paypal.route(`GET ${SUBSCRIPTION_PATH}`, {
+      status: 503,
+      body: { name: "SERVICE_UNAVAILABLE" },
+    });
+
+    const failed = await sendEvent(event);
+    expect(failed.status).toBe(500);
+    expect(webhookEvents).toHaveLength(0);
+
+    paypal.route(`GET ${SUBSCRIPTION_PATH}`, billingSubscription());
+    const retry = await sendEvent(event);
+
+    expect(retry.body.data.result).toBe("processed");
+    expect(transactions).toHaveLength(1);
+  });
+});
+
+describe("payments", () => {
+  it("records sales of billing subscriptions", async () => {
+    await seedSubscription({ isPremium: false });
+
+    const response = await sendEvent(
+      paypalEvent("PAYMENT.SALE.COMPLETED", {
+        id: "SALE-1",
+        billing_agreement_id: SUBSCRIPTION_ID,
+        amount: { total: "60.00", currency: "USD" },
+        create_time: "2026-03-01T00:00:00Z",
+      })
+    );
+
+    expect(response.body.data.result).toBe("processed");
+    const subscription = await findSubscription();
+    expect(subscription.isPremium).toBe(true);
+    expect(subscription.paymentId).toBe("SALE-1");
+    expect(subscription.nextBillingDate).toEqual(new Date(NEXT_BILLING_TIME));
+    expect(transactions[0]).toMatchObject({
+      userId: USER_ID,
+      type: "payment",
+      amount: 60,
+      currency: "USD",
+      providerTransactionId: "SALE-1",
+      invoiceNumber: "INV-2026-000001",
+    });
+  });
+
+  describe("captures of one-off orders", () => {
+    const captureCompleted = (fields) =>
+      paypalEvent("PAYMENT.CAPTURE.COMPLETED", {
+        id: "CAPTURE-1",
+        custom_id: USER_ID,
+        amount: { value: "60.00", currency_code: "USD" },
+        create_time: "2026-03-01T00:00:00Z",
+        supplementary_data: { related_ids: { order_id: "ORDER-1" } },
+        ...fields,
+      });
+
+    it("records the capture and gives a billing period", async () => {
+      const response = await sendEvent(captureCompleted());
+
+      expect(response.body.data.result).toBe("processed");
+      const subscription = await findSubscription();
+      expect(subscription).toMatchObject({
+        isPremium: true,
+        isActive: true,
+        paymentMethod: "paypal",
+        paymentId: "CAPTURE-1",
+        nextBillingDate: addBillingPeriod(new Date("2026-03-01T00:00:00Z")),
+        premiumSince: new Date("2026-03-01T00:00:00Z"),
+      });
+      expect(transactions).toHaveLength(1);
+      expect(transactions[0]).toMatchObject({
+        type: "payment",
+        amount: 60,
+        currency: "USD",
+        providerTransactionId: "CAPTURE-1",
+        providerOrderId: "ORDER-1",
+        invoiceNumber: "INV-2026-000001",
+      });
+    });
+
+    it("adds the period after the one already paid for", async () => {
+      await seedSubscription({ subscriptionId: undefined });
+
+      await sendEvent(captureCompleted());
+
+      expect((await findSubscription()).nextBillingDate).toEqual(
+        addBillingPeriod(new Date(NEXT_BILLING_TIME))
+      );
+    });
+
+    it("gives one period per capture", async () => {
+      await seedSubscription({ subscriptionId: undefined });
+
+      await sendEvent(captureCompleted());
+      // Another delivery of the same capture under a new event id
+      const repeat = await sendEvent(captureCompleted());
+
+      expect(repeat.body.data.result).toBe("ignored");
+      expect(transactions).toHaveLength(1);
+      expect((await findSubscription()).nextBillingDate).toEqual(
+        addBillingPeriod(new Date(NEXT_BILLING_TIME))
+      );
+    });
+
+    it("keeps the provider of a recurring subscription", async () => {
+      await seedSubscription({ paymentMethod: "stripe" });
+
+      await sendEvent(captureCompleted());
+
+      expect((await findSubscription()).paymentMethod).toBe("stripe");
+      expect(transactions).toHaveLength(1);
+    });
+
+    it("ignores captures it can't match to a user", async () => {
+      const response = await sendEvent(
+        captureCompleted({ custom_id: undefined })
+      );
+
+      expect(response.body.data.result).toBe("ignored");
+      expect(subscriptions).toHaveLength(0);
+      expect(transactions).toHaveLength(0);
+    });
+  });
+});
+
+describe("refunds", () => {
+  const cancelRequests = () =>
+    paypal.requestsTo(`POST ${SUBSCRIPTION_PATH}/cancel`);
+
+  it("ends access and billing when the current sale is refunded", async () => {
+    await seedSubscription({ paymentId: "SALE-1" });
+    await seedPayment("SALE-1");
+
+    const response = await sendEvent(
+      paypalEvent("PAYMENT.SALE.REFUNDED", {
+        id: "REFUND-1",
+        sale_id: "SALE-1",
+        amount: { total: "60.00", currency: "USD" },
+        create_time: "2026-03-15T00:00:00Z",
+      })
+    );
+
+    expect(response.body.data.result).toBe("processed");
+    const subscription = await findSubscription();
+    expect(subscription.isPremium).toBe(false);
+    expect(subscription.metadata.revokedReason).toBe("refund");
+    expect(cancelRequests()).toHaveLength(1);
+    expect(cancelRequests()[0].body).toEqual({ reason: "Payment refunded" });
+
+    const [payment, refund] = transactions;
+    expect(payment.status).toBe("refunded");
+    expect(refund).toMatchObject({
+      type: "refund",
+      amount: 60,
+      relatedTransactionId: payment._id,
+      invoiceNumber: "CN-2026-000001",
+    });
+  });
+
+  it("refunds captures found through the refund's up link", async () => {
+    await seedSubscription({ paymentId: "CAPTURE-1" });
+    await seedPayment("CAPTURE-1");
+
+    await sendEvent(
+      paypalEvent("PAYMENT.CAPTURE.REFUNDED", {
+        id: "REFUND-1",
+        amount: { value: "60.00", currency_code: "USD" },
+        links: [
+          {
+            rel: "up",
+            href: `${paypal.url}/v2/payments/captures/CAPTURE-1`,
+          },
+        ],
+      })
+    );
+
+    expect((await findSubscription()).isPremium).toBe(false);
+    expect(transactions[0].status).toBe("refunded");
+    expect(cancelRequests()).toHaveLength(1);
+  });
+
+  it("keeps access after a partial refund", async () => {
+    await seedSubscription({ paymentId: "SALE-1" });
+    await seedPayment("SALE-1");
+
+    await sendEvent(
+      paypalEvent("PAYMENT.SALE.REFUNDED", {
+        id: "REFUND-1",
+        sale_id: "SALE-1",
+        amount: { total: "20.00", currency: "USD" },
+      })
+    );
+
+    expect((await findSubscription()).isPremium).toBe(true);
+    expect(transactions[0].status).toBe("partially_refunded");
+    expect(transactions[0].refundedAmount).toBe(20);
+    expect(cancelRequests()).toHaveLength(0);
+  });
+
+  it("records chargebacks as reversals", async () => {
+    await seedSubscription({ paymentId: "SALE-1" });
+    await seedPayment("SALE-1");
+
+    await sendEvent(
+      paypalEvent("PAYMENT.SALE.REVERSED", {
+        id: "REVERSAL-1",
+        sale_id: "SALE-1",
+        amount: { total: "60.00", currency: "USD" },
+      })
+    );
+
+    const subscription = await findSubscription();
+    expect(subscription.isPremium).toBe(false);
+    expect(subscription.metadata.revokedReason).toBe("chargeback");
+    expect(transactions[0].status).toBe("reversed");
+    expect(transactions[1].type).toBe("reversal");
+    expect(cancelRequests()[0].body).toEqual({
+      reason: "Payment charged back",
+    });
+  });
+});
+
+describe("subscription lifecycle", () => {
+  it("activates a new subscription of the user in custom_id", async () => {
+    await seedSubscription({
+      isPremium: false,
+      plan: "free",
+      subscriptionId: undefined,
+      nextBillingDate: undefined,
+    });
+
+    const response = await sendEvent(
+      paypalEvent("BILLING.SUBSCRIPTION.ACTIVATED", billingSubscription())
+    );
+
+    expect(response.body.data.result).toBe("processed");
+    const subscription = await findSubscription();
+    expect(subscription).toMatchObject({
+      isPremium: true,
+      isActive: true,
+      plan: "premium",
+      billingCycle: "monthly",
+      paymentMethod: "paypal",
+      subscriptionId: SUBSCRIPTION_ID,
+      nextBillingDate: new Date(NEXT_BILLING_TIME),
+    });
+    expect(subscription.premiumSince).toBeInstanceOf(Date);
+  });
+
+  it("cancels the subscription an activation replaces", async () => {
+    await seedSubscription({ subscriptionId: "I-OLD" });
+    paypal.route("POST /v1/billing/subscriptions/I-OLD/cancel", {});
+
+    await sendEvent(
+      paypalEvent("BILLING.SUBSCRIPTION.ACTIVATED", billingSubscription())
+    );
+
+    expect((await findSubscription()).subscriptionId).toBe(SUBSCRIPTION_ID);
+    const [cancel] = paypal.requestsTo(
+      "POST /v1/billing/subscriptions/I-OLD/cancel"
+    );
+    expect(cancel.body).toEqual({ reason: "Replaced by a new plan" });
+  });
+
+  it("keeps access until the paid period ends when cancelled", async () => {
+    await seedSubscription();
+
+    await sendEvent(
+      paypalEvent("BILLING.SUBSCRIPTION.CANCELLED", { id: SUBSCRIPTION_ID })
+    );
+
+    const subscription = await findSubscription();
+    expect(subscription.isPremium).toBe(true);
+    expect(subscription.cancelAt).toEqual(new Date(NEXT_BILLING_TIME));
+    expect(subscription.canceledAt).toBeInstanceOf(Date);
+  });
+
+  it("ends access when PayPal suspends billing", async () => {
+    await seedSubscription();
+
+    await sendEvent(
+      paypalEvent("BILLING.SUBSCRIPTION.SUSPENDED", { id: SUBSCRIPTION_ID })
+    );
+
+    const subscription = await findSubscription();
+    expect(subscription.isPremium).toBe(false);
+    expect(subscription.metadata.suspendedAt).toBeInstanceOf(Date);
+  });
+
+  it("keeps access when suspended by a cancellation in the app", async () => {
+    await seedSubscription({ cancelAt: new Date(NEXT_BILLING_TIME) });
+
+    await sendEvent(
+      paypalEvent("BILLING.SUBSCRIPTION.SUSPENDED", { id: SUBSCRIPTION_ID })
+    );
+
+    expect((await findSubscription()).isPremium).toBe(true);
+  });
+
+  it("ends access when the subscription expires", async () => {
+    await seedSubscription();
+
+    await sendEvent(
+      paypalEvent("BILLING.SUBSCRIPTION.EXPIRED", { id: SUBSCRIPTION_ID })
+    );
+
+    const subscription = await findSubscription();
+    expect(subscription.isPremium).toBe(false);
+    expect(subscription.isActive).toBe(false);
+    expect(subscription.nextBillingDate).toBeNull();
+  });
+
+  it("ignores events of subscriptions it doesn't know", async () => {
+    await seedSubscription();
+
+    const response = await sendEvent(
+      paypalEvent("BILLING.SUBSCRIPTION.EXPIRED", { id: "I-UNKNOWN" })
+    );
+
+    expect(response.body.data.result).toBe("ignored");
+    expect((await findSubscription()).isPremium).toBe(true);
+  });
+});
@@ -0,0 +1,141 @@
+const mongoose = require("mongoose");
+
+// Anything the store doesn't stand in for fails at once instead of waiting
+// for a connection
+mongoose.set("bufferCommands", false);
+
+const duplicateKeyError = (modelName, fields) =>
+  Object.assign(
+    new Error(`E11000 duplicate key error: ${modelName} ${fields}`),
+    { code: 11000 }
+  );
+
+const sameValue = (a, b) =>
+  a === undefined || a === null
+    ? b === undefined || b === null
+    : String(a) === String(b);
+
+// Equality on top level paths, which is all the payment code queries with
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([path, value]) =>
+    sameValue(doc.get(path), value)
+  );
+
+// Chainable stand-in for a mongoose query, resolved when awaited
+const createQuery = (run) => {
+  let lean = false;
+  const query = {
+    select: () => query,
+    sort: () => query,
+    lean() {
+      lean = true;
+      return query;
+    },
+    exec: async () => {
+      const result = await run();
+      return lean && result?.toObject ? result.toObject() : result;
+    },
+    then: (resolve, reject) => query.exec().then(resolve, reject),
+    catch: (reject) => query.exec().catch(reject),
+  };
+  return query;
+};
+
+/**
+ * Keep the documents of a mongoose model in memory for a test file. The
+ * model's statics and save() are replaced with spies working on an array,
+ * enforcing the unique indexes of its schema with the same E11000 error
+ * MongoDB throws. Returns the array of saved documents.
+ */
+function useMemoryStore(Model) {
+  const docs = [];
+
+  const uniqueIndexes = Model.schema
+    .indexes()
+    .filter(([, options]) => options.unique)
+    .map(([fields, options]) => ({
+      paths: Object.keys(fields),
+      sparse: Boolean(options.sparse || options.partialFilterExpression),
+    }));
+
+  const checkUnique = (doc) => {
+    uniqueIndexes.forEach(({ paths, sparse }) => {
+      const values = paths.map((path) => doc.get(path));
+      if (sparse && values.some((value) => value == null)) return;
+      const taken = docs.some(
+        (other) =>
+          other !== doc &&
+          paths.every((path, i) => sameValue(other.get(path), values[i]))
+      );
+      if (taken) throw duplicateKeyError(Model.modelName, paths.join(", "));
+    });
+  };
+
+  const findFirst = (filter) =>
+    docs.find((doc) => matches(doc, filter)) || null;
+
+  const applyUpdate = (doc, update = {}) => {
+    const { $set = {}, $inc = {}, ...fields } = update;
+    Object.entries({ ...fields, ...$set }).forEach(([path, value]) =>
+      doc.set(path, value)
+    );
+    Object.entries($inc).forEach(([path, amount]) =>
+      doc.set(path, (doc.get(path) || 0) + amount)
+    );
+  };
+
+  jest.spyOn(Model.prototype, "save").mockImplementation(async function () {
+    await this.validate();
+    checkUnique(this);
+    if (!docs.includes(this)) docs.push(this);
+    this.isNew = false;
+    return this;
+  });
+
+  jest.spyOn(Model, "create").mockImplementation(async (fields) => {
+    const doc = new Model(fields);
+    await doc.save();
+    return doc;
+  });
+
+  jest
+    .spyOn(Model, "findOne")
+    .mockImplementation((filter) => createQuery(() => findFirst(filter)));
+
+  jest
+    .spyOn(Model, "find")
+    .mockImplementation((filter) =>
+      createQuery(() => docs.filter((doc) => matches(doc, filter)))
+    );
+
+  jest.spyOn(Model, "findOneAndUpdate").mockImplementation(
+    (filter, update, options = {}) =>
+      createQuery(async () => {
+        let doc = findFirst(filter);
+        if (!doc && !options.upsert) return null;
+        if (!doc) doc = new Model(filter);
+        const before = doc.toObject();
+        applyUpdate(doc, update);
+        await doc.save();
+        return options.new ? doc : before;
+      })
+  );
+
+  jest.spyOn(Model, "deleteOne").mockImplementation((filter) =>
+    createQuery(() => {
+      const doc = findFirst(filter);
+      if (doc) docs.splice(docs.indexOf(doc), 1);
+      return { deletedCount: doc ? 1 : 0 };
+    })
+  );
+
+  jest.spyOn(Model, "countDocuments").mockImplementation((filter) =>
+    createQuery(() => docs.filter((doc) => matches(doc, filter)).length)
+  );
+
+  return docs;
+}
+
+module.exports = {
+  useMemoryStore,
+};
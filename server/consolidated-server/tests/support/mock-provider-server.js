@@ -0,0 +1,80 @@
+const http = require("http");
+
+// Bodies arrive as JSON (PayPal) or form encoded (Stripe)
+const parseBody = (text, contentType = "") => {
+  if (!text) return undefined;
+  if (contentType.includes("application/x-www-form-urlencoded")) {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+  return JSON.parse(text);
+};
+
+/**
+ * A local HTTP server standing in for a payment provider's API, pointed at
+ * with PAYPAL_BASE_URL or STRIPE_BASE_URL. Routes are keyed by
+ * "METHOD /path" and answer with a body, or { status, body } for another
+ * numeric status than 200. Every request is recorded as
+ * { method, path, query, body, headers }.
+ */
+async function startMockProviderServer(routes = {}) {
+  const handlers = { ...routes };
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let text = "";
+    req.on("data", (chunk) => {
+      text += chunk;
+    });
+    req.on("end", async () => {
+      const url = new URL(req.url, "http://localhost");
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        body: parseBody(text, req.headers["content-type"]),
+        headers: req.headers,
+      };
+      requests.push(request);
+
+      const handler = handlers[`${req.method} ${url.pathname}`];
+      let status = 404;
+      let body = { name: "RESOURCE_NOT_FOUND" };
+      if (handler) {
+        const reply =
+          typeof handler === "function" ? await handler(request) : handler;
+        // Provider resources have string statuses of their own
+        const hasStatus = typeof reply?.status === "number";
+        status = hasStatus ? reply.status : 200;
+        body = hasStatus ? reply.body : reply;
+      }
+
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    // Add or replace the answer to "METHOD /path"
+    route(key, handler) {
+      handlers[key] = handler;
+    },
+    // Recorded requests for "METHOD /path"
+    requestsTo(key) {
+      return requests.filter(
+        (request) => `${request.method} ${request.path}` === key
+      );
+    },
+    reset() {
+      requests.length = 0;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  startMockProviderServer,
+};